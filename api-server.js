@@ -2,6 +2,9 @@
  * SiteLogix Local API Server
  *
  * Provides API endpoints for the frontend to fetch managers and projects
+ *
+ * For the full API without AWS, use the local runner in backend/src/local
+ * (npm run dev:local in backend/), which serves the Lambda route table.
  */
 
 require('dotenv').config();
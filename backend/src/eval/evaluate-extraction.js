@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Extraction Evaluation
+ * Scores a prompt version against the hand-labeled training transcripts
+ *
+ * Runs the 'report-extraction' task with the given prompt version over every
+ * transcript in transcripts/labels, prints precision/recall/F1 for personnel,
+ * hours, vendors and constraints, and saves the result to
+ * services/modelEvaluations.json, where AIModelRegistry reads model accuracy.
+ *
+ * The usual LLM routing applies: LLM_FIXTURES=replay re-scores recorded
+ * responses offline, LLM_PROVIDER_REPORT_EXTRACTION picks another provider.
+ *
+ * Usage:
+ *   node src/eval/evaluate-extraction.js [--prompt extraction-v2.0] [--only "Kenny CC"]
+ *     [--labels ../transcripts/labels] [--report results.json] [--dry-run]
+ *
+ * @module eval/evaluate-extraction
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AIModelRegistry } = require('../services/aiModelRegistry');
+const { EVALUATED_ENTITIES, loadLabeledTranscripts, evaluatePrompt } = require('../services/extractionEvaluation');
+
+const TRANSCRIPTS_DIR = path.resolve(__dirname, '../../../transcripts');
+
+function parseArgs(argv) {
+  const options = {
+    prompt: AIModelRegistry.getActiveVersion().promptVersion,
+    labelsDir: path.join(TRANSCRIPTS_DIR, 'labels'),
+    trainingDir: path.join(TRANSCRIPTS_DIR, 'training-txt'),
+    only: null,
+    report: null,
+    dryRun: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--prompt': options.prompt = argv[++i]; break;
+      case '--labels': options.labelsDir = path.resolve(argv[++i]); break;
+      case '--training': options.trainingDir = path.resolve(argv[++i]); break;
+      case '--only': options.only = argv[++i]; break;
+      case '--report': options.report = path.resolve(argv[++i]); break;
+      case '--dry-run': options.dryRun = true; break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+function formatPercent(value) {
+  return value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+function printMetrics(metrics) {
+  console.log('\n  entity        precision  recall      F1     tp   fp   fn');
+  for (const entity of EVALUATED_ENTITIES) {
+    const { precision, recall, f1, tp, fp, fn } = metrics[entity];
+    console.log(`  ${entity.padEnd(12)}  ${formatPercent(precision)}   ${formatPercent(recall)}  ${formatPercent(f1)}  ${String(tp).padStart(4)} ${String(fp).padStart(4)} ${String(fn).padStart(4)}`);
+  }
+  console.log('');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const transcripts = loadLabeledTranscripts(options.trainingDir, options.labelsDir)
+    .filter(item => !options.only || item.file.includes(options.only));
+
+  if (transcripts.length === 0) {
+    throw new Error(`No labeled transcripts in ${options.labelsDir}${options.only ? ` matching "${options.only}"` : ''}`);
+  }
+
+  const route = AIModelRegistry.getTaskModel('report-extraction');
+  console.log(`🧪 Evaluating ${options.prompt} on ${route.provider}/${route.model} over ${transcripts.length} labeled transcripts`);
+
+  // Agent logs would drown the per-transcript lines
+  const log = console.log;
+  console.log = () => {};
+  let report;
+  try {
+    report = await evaluatePrompt(options.prompt, transcripts, {
+      onCase: ({ file, counts, error }) => {
+        const found = EVALUATED_ENTITIES.map(entity => `${entity} ${counts[entity].tp}/${counts[entity].tp + counts[entity].fn}`);
+        log(`   ${error ? '❌' : '✅'} ${file}: ${error || found.join(', ')}`);
+      }
+    });
+  } finally {
+    console.log = log;
+  }
+
+  printMetrics(report.metrics);
+  if (report.evaluation.failed > 0) {
+    console.log(`⚠️  ${report.evaluation.failed} extraction(s) failed and were scored as empty`);
+  }
+
+  if (options.report) {
+    fs.writeFileSync(options.report, JSON.stringify(report, null, 2) + '\n');
+    console.log(`📄 Per-transcript results written to ${options.report}`);
+  }
+
+  if (options.dryRun) {
+    console.log('ℹ️  Dry run, registry not updated');
+    return;
+  }
+
+  AIModelRegistry.recordEvaluation(report.evaluation);
+  AIModelRegistry.saveEvaluations();
+  const versions = AIModelRegistry.getAllVersions()
+    .filter(version => version.evaluation === report.evaluation)
+    .map(version => version.version);
+  console.log(`💾 Saved to modelEvaluations.json${versions.length ? ` (accuracy for ${versions.join(', ')})` : ''}`);
+}
+
+main().catch(error => {
+  console.error('❌ Evaluation failed:', error.message);
+  process.exit(1);
+});
@@ -1377,7 +1377,27 @@ async function handleResetPassword(body, user) {
   }
 }
 
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * Register employee management routes on the API router
+ * Served under both /api/employees and /api/admin/employees (used by the admin UI)
+ */
+function registerRoutes(router) {
+  for (const base of ['/api/employees', '/api/admin/employees']) {
+    router.get(base, ({ event }) => handleListEmployees(event), { summary: 'List user accounts' });
+    router.post(base, ({ body, user }) => handleCreateEmployee(body, user), { auth: true, summary: 'Create user account' });
+    router.get(`${base}/:employeeId`, ({ params, user }) => handleGetEmployee(params.employeeId, user), { auth: true, summary: 'Get user account' });
+    router.put(`${base}/:employeeId`, ({ params, body, user }) => handleUpdateEmployee(params.employeeId, body, user), { auth: true, summary: 'Update user account' });
+    router.delete(`${base}/:employeeId`, ({ params, query, user }) => handleDeleteEmployee(params.employeeId, query, user), { auth: true, summary: 'Delete user account' });
+  }
+}
+
 module.exports = {
+  registerRoutes,
+
   // Authentication
   handleLogin,
   handleLogout,
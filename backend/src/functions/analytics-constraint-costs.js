@@ -3,15 +3,11 @@
 
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, PutCommand, QueryCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
-const OpenAI = require('openai');
+const { runLLMTask } = require('./aiModelRegistry');
 
 const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
 const docClient = DynamoDBDocumentClient.from(dynamoClient);
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 // Standard labor rate for cost calculations
 const BLENDED_LABOR_RATE = 50; // $50/hour blended rate for cost impact
 
@@ -38,7 +34,7 @@ async function analyzeConstraintCosts(report) {
   // Get historical constraint data for pattern recognition
   const history = await getConstraintHistory(report.project_id, 90); // Last 90 days
 
-  // Use OpenAI to analyze constraints with financial quantification
+  // Use the LLM to analyze constraints with financial quantification
   const analysis = await analyzeWithAI(report, transcript, issues, constraints, history);
 
   // Store individual constraints
@@ -60,7 +56,7 @@ async function analyzeConstraintCosts(report) {
 }
 
 /**
- * Use OpenAI to analyze constraints and quantify costs
+ * Use the LLM to analyze constraints and quantify costs
  */
 async function analyzeWithAI(report, transcript, issues, constraints, history) {
   const prompt = `You are analyzing a construction daily report to extract comprehensive CONSTRAINT & COST IMPACT INTELLIGENCE for CEO/COO-level business analytics and cost control.
@@ -361,33 +357,16 @@ Return a JSON object with this ENHANCED structure:
 }`;
 
   try {
-    console.log('🤖 Calling OpenAI GPT-4o for constraint cost analysis...');
-    const startTime = Date.now();
-
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert construction cost analyst and operations manager. You excel at quantifying the financial impact of delays, identifying root causes, and calculating ROI for prevention opportunities. Be precise with numbers and conservative with cost estimates.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      response_format: { type: 'json_object' },
-      temperature: 0.3,
-      max_tokens: 4000
+    const completion = await runLLMTask('analytics-constraint-costs', {
+      system: 'You are an expert construction cost analyst and operations manager. You excel at quantifying the financial impact of delays, identifying root causes, and calculating ROI for prevention opportunities. Be precise with numbers and conservative with cost estimates.',
+      prompt,
+      json: true
     });
 
-    const duration = Date.now() - startTime;
-    console.log(`✅ OpenAI response received in ${duration}ms`);
-
-    return JSON.parse(completion.choices[0].message.content);
+    return completion.data;
 
   } catch (error) {
-    console.error('❌ Error calling OpenAI:', error);
+    console.error('❌ Error calling LLM:', error);
     return {
       constraints: [],
       cost_summary: { total_cost_impact: 0 },
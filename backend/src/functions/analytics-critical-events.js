@@ -4,16 +4,12 @@
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
 const { SESClient, SendEmailCommand } = require('@aws-sdk/client-ses');
-const OpenAI = require('openai');
+const { runLLMTask } = require('./aiModelRegistry');
 
 const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
 const docClient = DynamoDBDocumentClient.from(dynamoClient);
 const sesClient = new SESClient({ region: process.env.AWS_REGION || 'us-east-1' });
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 // Critical keywords for fast screening
 const CRITICAL_KEYWORDS = {
   injury: ['injury', 'injured', 'accident', 'ambulance', 'hospital', 'ER', 'hurt', 'medical', 'paramedic', 'first aid'],
@@ -85,7 +81,7 @@ function fastKeywordScan(transcript, issues) {
 }
 
 /**
- * Use OpenAI to confirm and analyze potential critical events
+ * Use the LLM to confirm and analyze potential critical events
  */
 async function confirmWithAI(report, transcript, issues, detectedKeywords) {
   const prompt = `URGENT: Analyze this construction report for CRITICAL safety or operational events.
@@ -138,28 +134,17 @@ Return JSON array of events:
 }`;
 
   try {
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a construction safety analyst. Your primary goal is to identify critical events that require immediate attention. Be conservative - it is better to report a potential critical event than to miss one.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      response_format: { type: 'json_object' },
-      temperature: 0.2, // Very low for consistent, conservative detection
-      max_tokens: 1500
+    const completion = await runLLMTask('analytics-critical-events', {
+      system: 'You are a construction safety analyst. Your primary goal is to identify critical events that require immediate attention. Be conservative - it is better to report a potential critical event than to miss one.',
+      prompt,
+      json: true
     });
 
-    const analysis = JSON.parse(completion.choices[0].message.content);
+    const analysis = completion.data;
     return analysis.events || [];
 
   } catch (error) {
-    console.error('❌ Error analyzing with OpenAI:', error);
+    console.error('❌ Error analyzing with LLM:', error);
     // In case of AI failure, still flag as potential critical for manual review
     return [{
       is_critical: true,
@@ -1,19 +1,15 @@
 // Analytics Agent: Personnel Hours Calculator
-// Uses OpenAI GPT-4o to analyze transcripts and extract accurate personnel hours
+// Uses the LLM routed to 'analytics-hours' (GPT-4o by default) to analyze transcripts and extract accurate personnel hours
 
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
-const OpenAI = require('openai');
+const { runLLMTask } = require('./aiModelRegistry');
 
 const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
 const docClient = DynamoDBDocumentClient.from(dynamoClient);
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 /**
- * Calculate personnel hours from report using OpenAI GPT-4o
+ * Calculate personnel hours from report using the 'analytics-hours' LLM
  */
 async function calculatePersonnelHours(report) {
   console.log(`📊 Calculating hours for report ${report.report_id}`);
@@ -30,7 +26,7 @@ async function calculatePersonnelHours(report) {
     return { personnel_hours: [], summary: { total_regular: 0, total_overtime: 0, total_cost: 0 } };
   }
 
-  // Build enhanced prompt for OpenAI
+  // Build enhanced prompt for the LLM
   const prompt = `You are analyzing a construction daily report to extract comprehensive personnel intelligence for CEO/CFO-level business analytics.
 
 Report Date: ${report.report_date}
@@ -129,30 +125,13 @@ Return a JSON object with this ENHANCED structure:
 }`;
 
   try {
-    console.log('🤖 Calling OpenAI GPT-4o...');
-    const startTime = Date.now();
-
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert construction workforce analyst. You excel at accurately estimating work hours from daily reports and transcripts. Always be conservative with hour estimates - underestimate rather than overestimate.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      response_format: { type: 'json_object' },
-      temperature: 0.3, // Low temperature for more consistent, accurate estimates
-      max_tokens: 2000
+    const completion = await runLLMTask('analytics-hours', {
+      system: 'You are an expert construction workforce analyst. You excel at accurately estimating work hours from daily reports and transcripts. Always be conservative with hour estimates - underestimate rather than overestimate.',
+      prompt,
+      json: true
     });
 
-    const duration = Date.now() - startTime;
-    console.log(`✅ OpenAI response received in ${duration}ms`);
-
-    const analysis = JSON.parse(completion.choices[0].message.content);
+    const analysis = completion.data;
 
     // Calculate costs (using standard construction labor rates)
     const REGULAR_RATE = 40; // $40/hour base rate
@@ -185,15 +164,16 @@ Return a JSON object with this ENHANCED structure:
         average_cost_per_person: totalCost / enrichedHours.length
       },
       api_usage: {
-        model: 'gpt-4o',
-        duration_ms: duration,
-        tokens_used: completion.usage.total_tokens,
-        estimated_cost: (completion.usage.total_tokens / 1000) * 0.005 // Rough estimate
+        provider: completion.provider,
+        model: completion.model,
+        duration_ms: completion.durationMs,
+        tokens_used: completion.usage.totalTokens,
+        estimated_cost: (completion.usage.totalTokens / 1000) * 0.005 // Rough estimate
       }
     };
 
   } catch (error) {
-    console.error('❌ Error calling OpenAI:', error);
+    console.error('❌ Error calling LLM:', error);
     throw new Error(`Failed to calculate hours: ${error.message}`);
   }
 }
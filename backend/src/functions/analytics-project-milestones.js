@@ -3,15 +3,11 @@
 
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
-const OpenAI = require('openai');
+const { runLLMTask } = require('./aiModelRegistry');
 
 const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
 const docClient = DynamoDBDocumentClient.from(dynamoClient);
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 /**
  * Analyze project milestones and inspection performance from report
  */
@@ -28,7 +24,7 @@ async function analyzeProjectMilestones(report) {
   // Get historical inspection data for this project
   const history = await getProjectInspectionHistory(report.project_id, 90); // Last 90 days
 
-  // Use OpenAI to extract comprehensive project intelligence
+  // Use the LLM to extract comprehensive project intelligence
   const analysis = await analyzeWithAI(report, transcript, extractedData, history);
 
   // Store milestones and inspections
@@ -49,7 +45,7 @@ async function analyzeProjectMilestones(report) {
 }
 
 /**
- * Use OpenAI to extract project milestone and inspection intelligence
+ * Use the LLM to extract project milestone and inspection intelligence
  */
 async function analyzeWithAI(report, transcript, extractedData, history) {
   const prompt = `You are analyzing a construction daily report to extract comprehensive PROJECT MILESTONE & QUALITY INSPECTION INTELLIGENCE for CEO/COO-level project management and quality analytics.
@@ -284,33 +280,16 @@ Return a JSON object with this ENHANCED structure:
 }`;
 
   try {
-    console.log('🤖 Calling OpenAI GPT-4o for milestone analysis...');
-    const startTime = Date.now();
-
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert construction project manager and quality analyst. You excel at tracking inspection performance, milestone achievement, and identifying quality patterns. Be thorough and precise with dates, metrics, and root causes.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      response_format: { type: 'json_object' },
-      temperature: 0.3, // Low temperature for consistent, accurate analysis
-      max_tokens: 3000
+    const completion = await runLLMTask('analytics-project-milestones', {
+      system: 'You are an expert construction project manager and quality analyst. You excel at tracking inspection performance, milestone achievement, and identifying quality patterns. Be thorough and precise with dates, metrics, and root causes.',
+      prompt,
+      json: true
     });
 
-    const duration = Date.now() - startTime;
-    console.log(`✅ OpenAI response received in ${duration}ms`);
-
-    return JSON.parse(completion.choices[0].message.content);
+    return completion.data;
 
   } catch (error) {
-    console.error('❌ Error calling OpenAI:', error);
+    console.error('❌ Error calling LLM:', error);
     return {
       inspections: [],
       milestones: [],
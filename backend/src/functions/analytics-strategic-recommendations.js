@@ -3,15 +3,11 @@
 
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, PutCommand, QueryCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
-const OpenAI = require('openai');
+const { runLLMTask } = require('./aiModelRegistry');
 
 const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
 const docClient = DynamoDBDocumentClient.from(dynamoClient);
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 /**
  * Generate strategic recommendations by analyzing patterns across all agents
  */
@@ -27,7 +23,7 @@ async function generateStrategicRecommendations(report, agentOutputs) {
   // Get historical data for trend analysis
   const historical = await gatherHistoricalData(report.project_id, 90);
 
-  // Use OpenAI to synthesize cross-agent insights
+  // Use the LLM to synthesize cross-agent insights
   const recommendations = await synthesizeWithAI(
     report,
     personnelAnalysis,
@@ -47,7 +43,7 @@ async function generateStrategicRecommendations(report, agentOutputs) {
 }
 
 /**
- * Use OpenAI to synthesize strategic recommendations
+ * Use the LLM to synthesize strategic recommendations
  */
 async function synthesizeWithAI(report, personnel, vendors, milestones, constraints, historical) {
   const prompt = `You are a strategic construction business advisor analyzing data for CEO/COO/CFO-level STRATEGIC DECISION MAKING.
@@ -359,30 +355,13 @@ Return a JSON object with this ENHANCED structure:
 }`;
 
   try {
-    console.log('🤖 Calling OpenAI GPT-4o for strategic synthesis...');
-    const startTime = Date.now();
-
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a strategic construction business advisor with expertise in operations, finance, and project management. You excel at identifying patterns across multiple data sources, quantifying ROI for improvements, and generating actionable executive recommendations. Focus on insights that drive business outcomes: cost reduction, quality improvement, schedule optimization, and risk mitigation.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      response_format: { type: 'json_object' },
-      temperature: 0.4, // Balanced for creative insights while maintaining accuracy
-      max_tokens: 4000
+    const completion = await runLLMTask('analytics-strategic-recommendations', {
+      system: 'You are a strategic construction business advisor with expertise in operations, finance, and project management. You excel at identifying patterns across multiple data sources, quantifying ROI for improvements, and generating actionable executive recommendations. Focus on insights that drive business outcomes: cost reduction, quality improvement, schedule optimization, and risk mitigation.',
+      prompt,
+      json: true
     });
 
-    const duration = Date.now() - startTime;
-    console.log(`✅ OpenAI strategic synthesis completed in ${duration}ms`);
-
-    return JSON.parse(completion.choices[0].message.content);
+    return completion.data;
 
   } catch (error) {
     console.error('❌ Error generating strategic recommendations:', error);
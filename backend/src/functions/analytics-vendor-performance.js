@@ -1,16 +1,19 @@
 // Analytics Agent: Vendor Performance Tracking
 // Analyzes vendor deliveries and calculates performance scores
+//
+// Vendor names from reports are resolved to the vendor on file (aliases,
+// initials and merges included), so every spelling grades the same vendor.
 
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, PutCommand, QueryCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
-const OpenAI = require('openai');
+const { runLLMTask } = require('./aiModelRegistry');
+const { VendorDirectory, vendorNames } = require('./vendorMatching');
 
 const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
 const docClient = DynamoDBDocumentClient.from(dynamoClient);
+const vendorDirectory = new VendorDirectory(dynamoClient);
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const HISTORY_LIMIT = 50;
 
 /**
  * Analyze vendor performance from report
@@ -32,11 +35,13 @@ async function analyzeVendorPerformance(report) {
 
   const results = [];
 
-  for (const vendor of vendors) {
+  for (const reported of vendors) {
+    const vendor = await resolveReportedVendor(reported);
+
     // Get historical performance
     const history = await getVendorHistory(vendor.canonical_name, 30); // Last 30 days
 
-    // Use OpenAI to analyze performance with ENHANCED intelligence
+    // Use the LLM to analyze performance with ENHANCED intelligence
     const aiAnalysis = await analyzeVendorWithAI(vendor, history, report);
 
     // Calculate performance score (0-100)
@@ -67,8 +72,45 @@ async function analyzeVendorPerformance(report) {
   return { vendors: results };
 }
 
+/**
+ * The vendor on file a reported vendor refers to; null when none matches or
+ * the directory can't be loaded
+ */
+async function findVendor(name) {
+  try {
+    return await vendorDirectory.resolve({ name });
+  } catch (error) {
+    console.error('Error loading vendor directory:', error);
+    return null;
+  }
+}
+
+/**
+ * Swap the name a report used for the vendor on file, keeping the reported
+ * name and how well it matched
+ */
+async function resolveReportedVendor(vendor) {
+  const reportedName = vendor.canonical_name || vendor.company_name || vendor.companyName;
+  const match = reportedName ? await findVendor(reportedName) : null;
+  if (!match) {
+    return vendor;
+  }
+
+  if (match.companyName !== reportedName) {
+    console.log(`🏢 Vendor "${reportedName}" resolved to ${match.companyName} (${match.vendorId})`);
+  }
+  return {
+    ...vendor,
+    vendor_id: match.vendorId,
+    canonical_name: match.companyName,
+    reported_vendor_name: reportedName
+  };
+}
+
 /**
  * Get vendor delivery history
+ * Gathers the records stored under the vendor's id and under each name it
+ * goes by (records from before vendors were resolved are keyed by name)
  */
 async function getVendorHistory(vendorName, days = 30) {
   // If no vendor name provided, return empty array
@@ -80,19 +122,25 @@ async function getVendorHistory(vendorName, days = 30) {
   cutoffDate.setDate(cutoffDate.getDate() - days);
   const cutoffString = cutoffDate.toISOString().split('T')[0];
 
+  const vendor = await findVendor(vendorName);
+  const keys = vendor ? [...new Set([vendor.vendorId, ...vendorNames(vendor)])] : [vendorName];
+
   try {
     // Query by PK for vendor performance records
-    const result = await docClient.send(new QueryCommand({
+    const results = await Promise.all(keys.map(key => docClient.send(new QueryCommand({
       TableName: 'sitelogix-analytics',
       KeyConditionExpression: 'PK = :pk',
       ExpressionAttributeValues: {
-        ':pk': `VENDOR_PERFORMANCE#${vendorName}`
+        ':pk': `VENDOR_PERFORMANCE#${key}`
       },
-      Limit: 50,
+      Limit: HISTORY_LIMIT,
       ScanIndexForward: false // Most recent first
-    }));
+    }))));
 
-    return result.Items || [];
+    return results
+      .flatMap(result => result.Items || [])
+      .sort((a, b) => (b.SK || '').localeCompare(a.SK || ''))
+      .slice(0, HISTORY_LIMIT);
   } catch (error) {
     console.error('Error fetching vendor history:', error);
     return [];
@@ -100,7 +148,7 @@ async function getVendorHistory(vendorName, days = 30) {
 }
 
 /**
- * Use OpenAI to analyze vendor performance
+ * Use the LLM to analyze vendor performance
  */
 async function analyzeVendorWithAI(vendor, history, report) {
   const prompt = `You are analyzing a construction daily report to extract comprehensive VENDOR INTELLIGENCE for CEO/CFO-level business analytics and cost recovery tracking.
@@ -259,24 +307,13 @@ Return a JSON object with this ENHANCED structure:
 }`;
 
   try {
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert procurement analyst specializing in construction vendor performance evaluation.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      response_format: { type: 'json_object' },
-      temperature: 0.4,
-      max_tokens: 1000
+    const completion = await runLLMTask('analytics-vendor-performance', {
+      system: 'You are an expert procurement analyst specializing in construction vendor performance evaluation.',
+      prompt,
+      json: true
     });
 
-    return JSON.parse(completion.choices[0].message.content);
+    return completion.data;
   } catch (error) {
     console.error('Error analyzing vendor with AI:', error);
     return {
@@ -415,6 +452,7 @@ async function storeVendorPerformance(report, vendorAnalysis) {
     // Core vendor info
     vendor_id: vendorAnalysis.vendor_id,
     vendor_name: vendorAnalysis.canonical_name,
+    reported_vendor_name: vendorAnalysis.reported_vendor_name || null,
     report_id: report.report_id,
     project_id: report.project_id,
     project_name: report.project_name,
@@ -515,7 +553,9 @@ async function storeVendorPerformance(report, vendorAnalysis) {
       GSI2SK: financial.chargeback_amount,
 
       // Chargeback details
+      vendor_id: vendorAnalysis.vendor_id,
       vendor_name: vendorAnalysis.canonical_name,
+      reported_vendor_name: vendorAnalysis.reported_vendor_name || null,
       project_id: report.project_id,
       project_name: report.project_name,
       report_date: report.report_date,
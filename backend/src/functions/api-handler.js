@@ -10,8 +10,8 @@ const { S3Client, GetObjectCommand, PutObjectCommand, ListObjectsV2Command } = r
 const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
 const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
 const { v4: uuidv4 } = require('uuid');
-const Anthropic = require('@anthropic-ai/sdk');
-const { normalizeExtractedData, getMasterPersonnel, getMasterProjects } = require('./entityNormalizationService');
+const { runLLMTask, AIModelRegistry, PromptRegistry } = require('./aiModelRegistry');
+const { MasterDataDirectory, normalizeExtractedData } = require('./entityNormalizationService');
 const {
   getExecutiveDashboard,
   getPersonnelIntelligence,
@@ -42,70 +42,64 @@ const {
   changePassword
 } = require('./cognito-user-management');
 
-// Keep legacy admin endpoints for employee management (non-auth)
+// Endpoint modules register their own routes on the API router
+const { Router } = require('./router');
+const schemas = require('./schemas');
+const { validate, validationErrorResponse } = require('./validation');
+const { MAX_LIMIT, parsePageParams, queryPage, pageInfo } = require('./pagination');
+const { planReportQuery, validateReportFilters, reportMonth } = require('./report-queries');
+const { STAT_ATTRIBUTES, summarizePromptVersions } = require('./prompt-versions');
+const { buildOpenApiDocument } = require('./openapi');
+const { idempotencyKey, claimIdempotencyKey, completeIdempotencyKey, releaseIdempotencyKey } = require('./idempotency');
+const { ReportJobs, LambdaQueue, JOB_STATUS, REPORT_JOB_SOURCE, formatJob } = require('./report-jobs');
 const {
-  handleListEmployees,
-  handleGetEmployee,
-  handleCreateEmployee,
-  handleUpdateEmployee,
-  handleDeleteEmployee,
-  checkRateLimit,
-  hasPermission
-} = require('./admin-endpoints');
+  parseExtractedData,
+  payrollEmployeesFromExtractedData,
+  currentRevision,
+  formatRevision,
+  reviseExtractedData,
+  listRevisions,
+  getRevision
+} = require('./report-revisions');
 const {
-  handleListProjects: handleListProjectsAdmin,
-  handleGetProject: handleGetProjectAdmin,
-  handleCreateProject,
-  handleUpdateProject,
-  handleDeleteProject,
-  handleUpdateProjectStatus,
-  handleUpdateProjectTimeline,
-  handleListPersonnel
-} = require('./project-endpoints');
-const {
-  handleCreateTimeEntry,
-  handleListTimeEntries,
-  handleUpdateTimeEntry,
-  handleGetEmployeeHours
-} = require('./time-tracking-endpoints');
+  REPORT_RETENTION_SOURCE,
+  retentionDays,
+  formatTombstone,
+  softDeleteReport,
+  restoreReport,
+  deletedReportsQuery,
+  purgeExpiredReports
+} = require('./report-deletion');
+const { registerRoutes: registerAdminRoutes } = require('./admin-endpoints');
+const { registerRoutes: registerProjectRoutes } = require('./project-endpoints');
+const { registerRoutes: registerTimeTrackingRoutes } = require('./time-tracking-endpoints');
+const { registerRoutes: registerPersonnelRoutes } = require('./personnel-endpoints');
+const { registerRoutes: registerPayrollRoutes } = require('./payroll-endpoints');
 const { personnelService } = require('./personnelService');
 const { payrollService } = require('./payrollService');
+const { extractPayrollFromTranscript, createPayrollEntriesFromExtraction } = require('./payrollExtractionService');
+const { processTranscriptAnalytics, reanalyzeCorrectedData } = require('./transcriptAnalysisWrapper');
+const { transcriptTurns } = require('./transcriptProvenance');
+const { ReviewQueue, PAYROLL_REVIEW_TYPES, payrollReviewItems, reviewQueryParams, formatReviewItem } = require('./reviewQueue');
 const {
-  handleMatchOrCreateEmployee,
-  handleCreateEmployee: handleCreatePersonnelEmployee,
-  handleGetEmployee: handleGetPersonnelEmployee,
-  handleListEmployees: handleListPersonnelEmployees,
-  handleUpdateEmployee: handleUpdatePersonnelEmployee,
-  handleDeleteEmployee: handleDeletePersonnelEmployee,
-  handleAddEmployeeAlias,
-  handleSearchEmployees,
-  handleGetEmployeeByNumber
-} = require('./personnel-endpoints');
-const {
-  handleCreatePayrollEntry,
-  handleCreateBulkPayrollEntries,
-  handleGetPayrollEntry,
-  handleGetPayrollByReport,
-  handleGetPayrollByEmployee,
-  handleGetPayrollByProject,
-  handleGetPayrollByDate,
-  handleGetPayrollNeedingReview,
-  handleUpdatePayrollEntry,
-  handleMarkAsReviewed,
-  handleDeletePayrollEntry,
-  handleGenerateDailyReport,
-  handleExportDailyCSV,
-  handleGetEmployeeTimesheet,
-  handleGetProjectLaborCosts
-} = require('./payroll-endpoints');
-const { processTranscriptForPayroll } = require('./payrollExtractionService');
-const { processTranscriptAnalytics } = require('./transcriptAnalysisWrapper');
+  MergeCandidates,
+  PERSONNEL_DUPLICATE_SWEEP_SOURCE,
+  mergeCandidateQueryParams,
+  formatMergeCandidate
+} = require('./personnelDuplicates');
+const { VendorDirectory } = require('./vendorMatching');
+const { VendorMerges } = require('./vendorMerge');
 
 // Initialize AWS clients
 const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
 const s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
 const secretsClient = new SecretsManagerClient({ region: process.env.AWS_REGION || 'us-east-1' });
 const lambdaClient = new LambdaClient({ region: process.env.AWS_REGION || 'us-east-1' });
+const reviewQueue = new ReviewQueue(dynamoClient);
+const mergeCandidates = new MergeCandidates(dynamoClient);
+const masterData = new MasterDataDirectory(dynamoClient);
+const vendorDirectory = new VendorDirectory(dynamoClient);
+const vendorMerges = new VendorMerges(dynamoClient);
 
 // Cache for secrets to avoid repeated API calls
 const secretsCache = {};
@@ -317,10 +311,11 @@ async function getProjects() {
   try {
     console.log('🏗️  Fetching projects from DynamoDB...');
 
-    // Scan the reports table to get unique project IDs
+    // Scan the reports table to get unique project IDs, skipping tombstoned reports
     const command = new ScanCommand({
       TableName: 'sitelogix-reports',
-      ProjectionExpression: 'project_id, project_name, manager_id'
+      ProjectionExpression: 'project_id, project_name, manager_id',
+      FilterExpression: 'attribute_not_exists(deleted_at)'
     });
 
     const result = await dynamoClient.send(command);
@@ -374,46 +369,66 @@ function getProjectName(projectId) {
 }
 
 /**
- * Fetch reports from DynamoDB
+ * Marshall the plain ExpressionAttributeValues produced by planReportQuery
+ */
+function marshallReportParams(params) {
+  return params.ExpressionAttributeValues
+    ? { ...params, ExpressionAttributeValues: marshall(params.ExpressionAttributeValues) }
+    : params;
+}
+
+/**
+ * Page through GSI4-MonthIndex one month partition at a time, newest first
+ * The cursor key is `{ month, key }` so a page can stop part-way through a month
+ */
+async function queryReportMonths(plan, page) {
+  const items = [];
+  const start = page.startKey || {};
+  let index = Math.max(plan.months.indexOf(start.month), 0);
+  let key = start.key;
+
+  while (index < plan.months.length && items.length < page.limit) {
+    const month = plan.months[index];
+    const result = await queryPage(dynamoClient, QueryCommand, marshallReportParams(plan.params(month)), {
+      limit: page.limit - items.length,
+      startKey: key
+    });
+    items.push(...result.items);
+
+    if (result.lastKey) {
+      return { items, lastKey: { month, key: result.lastKey } };
+    }
+    index += 1;
+    key = undefined;
+  }
+
+  return { items, lastKey: index < plan.months.length ? { month: plan.months[index] } : null };
+}
+
+/**
+ * Fetch one page of reports from DynamoDB
+ *
+ * @param {Object} queryParams - projectId / managerId / status / from / to filters
+ * @param {{ limit: number, startKey?: Object }} page - From parsePageParams
  */
-async function getReports(queryParams = {}) {
+async function getReports(queryParams = {}, page) {
   try {
     console.log('📊 Fetching reports from DynamoDB...', queryParams);
 
-    let command;
+    const plan = planReportQuery(queryParams);
 
-    // Query by project_id if provided (using correct PK format)
-    if (queryParams.projectId) {
-      command = new QueryCommand({
-        TableName: 'sitelogix-reports',
-        KeyConditionExpression: 'PK = :pk',
-        ExpressionAttributeValues: {
-          ':pk': { S: `PROJECT#${queryParams.projectId}` }
-        }
-      });
-    }
-    // Scan with filter for manager_id if provided
-    else if (queryParams.managerId) {
-      command = new ScanCommand({
-        TableName: 'sitelogix-reports',
-        FilterExpression: 'manager_id = :managerId',
-        ExpressionAttributeValues: {
-          ':managerId': { S: queryParams.managerId }
-        }
-      });
-    }
-    // Otherwise scan all reports
-    else {
-      command = new ScanCommand({
-        TableName: 'sitelogix-reports'
-      });
+    let result;
+    if (plan.type === 'months') {
+      result = await queryReportMonths(plan, page);
+    } else {
+      const Command = plan.type === 'query' ? QueryCommand : ScanCommand;
+      result = await queryPage(dynamoClient, Command, marshallReportParams(plan.params), page);
     }
 
-    const result = await dynamoClient.send(command);
-    const reports = result.Items.map(item => unmarshall(item));
+    const reports = result.items.map(item => unmarshall(item));
 
-    console.log(`✅ Found ${reports.length} reports`);
-    return { success: true, reports };
+    console.log(`✅ Found ${reports.length} reports (${plan.type})`);
+    return { success: true, reports, pagination: pageInfo(page.limit, result.lastKey) };
   } catch (error) {
     console.error('❌ Error fetching reports:', error.message);
     return { success: false, error: error.message, reports: [] };
@@ -475,6 +490,10 @@ async function getReportHtml(reportId, projectId, reportDate) {
  * Helper function to generate HTML from a report object
  */
 async function generateHtmlFromReport(report) {
+  if (report.deleted_at) {
+    return { success: false, error: 'Report not found' };
+  }
+
   // If report has S3 URL, fetch from S3
   if (report.report_html_url) {
     console.log(`Fetching HTML from S3: ${report.report_html_url}`);
@@ -739,6 +758,8 @@ function generateEnhancedAnalyticsHTML(report, analytics, dateString) {
   const constraints = analytics.constraints || [];
   const vendors = analytics.vendors || [];
   const timeSummary = analytics.timeSummary || {};
+  const anomalyFlags = report.anomaly_flags || [];
+  const validationWarnings = report.validation_warnings || [];
 
   return `<!DOCTYPE html>
 <html lang="en">
@@ -799,6 +820,26 @@ function generateEnhancedAnalyticsHTML(report, analytics, dateString) {
     </div>
   </div>
 
+  ${anomalyFlags.length > 0 ? `
+  <div class="section">
+    <h2>🚩 Unusual for This Project</h2>
+    <span class="badge badge-warning">${anomalyFlags.length} Flag${anomalyFlags.length !== 1 ? 's' : ''}</span>
+    <ul>
+      ${anomalyFlags.map(flag => `<li style="margin: 8px 0; color: #fde047;">${flag.message}</li>`).join('')}
+    </ul>
+  </div>
+  ` : ''}
+
+  ${validationWarnings.length > 0 ? `
+  <div class="section">
+    <h2>⚠️ Answers That Don't Add Up</h2>
+    <span class="badge badge-warning">${validationWarnings.length} Warning${validationWarnings.length !== 1 ? 's' : ''}</span>
+    <ul>
+      ${validationWarnings.map(warning => `<li style="margin: 8px 0; color: #fde047;">${warning.message}</li>`).join('')}
+    </ul>
+  </div>
+  ` : ''}
+
   ${personnel.length > 0 ? `
   <div class="section">
     <h2>👷 Personnel</h2>
@@ -1698,10 +1739,21 @@ async function updateConstraintStatus(constraintId, status, updatedBy) {
   }
 }
 
+/**
+ * New report ID for a submission
+ */
+function generateReportId({ reportDate, managerId }) {
+  return `rpt_${reportDate.replace(/-/g, '')}_${managerId}_${Date.now()}`;
+}
+
 /**
  * Save report to S3 and DynamoDB
+ *
+ * @param {Object} reportData - POST /api/reports body
+ * @param {Object} [options]
+ * @param {string} [options.reportId] - ID reserved by an idempotency claim
  */
-async function saveReport(reportData) {
+async function saveReport(reportData, { reportId = generateReportId(reportData) } = {}) {
   try {
     const {
       audioBase64,
@@ -1715,10 +1767,6 @@ async function saveReport(reportData) {
       conversationId,
     } = reportData;
 
-    // Generate report ID
-    const timestamp = new Date().getTime();
-    const reportId = `rpt_${reportDate.replace(/-/g, '')}_${managerId}_${timestamp}`;
-
     console.log('💾 Saving report:', reportId);
 
     const BUCKET_NAME = 'sitelogix-prod';
@@ -1793,6 +1841,7 @@ async function saveReport(reportData) {
         manager_name: managerName,
         reporter_name: managerName, // Reporter is the same as manager (person submitting the report)
         report_date: reportDate,
+        report_month: reportMonth(reportDate),
         submission_timestamp: submissionTimestamp,
         conversation_id: conversationId,
         audio_s3_path: audioPath ? `s3://${BUCKET_NAME}/${audioPath}` : null,
@@ -1809,127 +1858,223 @@ async function saveReport(reportData) {
     await dynamoClient.send(dynamoCommand);
     console.log('✅ Report entry created in DynamoDB');
 
-    // Process payroll extraction and full analytics synchronously (must complete before Lambda terminates)
-    // The report is already saved, so errors here are non-fatal but we need to await completion
-    try {
-      console.log('💼 Starting payroll extraction for report:', reportId);
+    // Extraction, payroll and analytics run in a background job; clients poll /status
+    const processing = await queueReportJob(reportJobFields(reportData, reportId));
 
-      // Convert transcript object to text if needed
-      let transcriptText = transcript;
-      if (typeof transcript === 'object') {
-        transcriptText = JSON.stringify(transcript);
-      }
+    return {
+      success: true,
+      reportId,
+      audioPath,
+      transcriptPath,
+      processing
+    };
+  } catch (error) {
+    console.error('❌ Error saving report:', error.message);
+    return { success: false, error: error.message };
+  }
+}
 
-      await processTranscriptForPayroll(transcriptText, {
-        reportId,
-        projectId,
-        projectName,
-        reportDate,
-        managerId
-      });
-      console.log('✅ Payroll extraction complete');
-    } catch (payrollError) {
-      console.error('⚠️ Payroll extraction failed (non-fatal):', payrollError.message);
-      // Don't fail the report save if payroll extraction fails
+/**
+ * Fields of a POST /api/reports body that every processing stage needs
+ */
+function reportJobFields(reportData, reportId) {
+  const { projectId, projectName, projectLocation, managerId, managerName, reportDate } = reportData;
+  return { reportId, projectId, projectName, projectLocation, managerId, managerName, reportDate };
+}
+
+/**
+ * Queue the processing job for a saved report
+ *
+ * The report is already stored, so a queueing failure is reported in the
+ * returned processing status rather than failing the submission; a replayed
+ * submission queues it again.
+ *
+ * @param {Object} report - Fields for reportJobs.create()
+ * @returns {Promise<Object>} Processing status for the POST /api/reports response
+ */
+async function queueReportJob(report) {
+  const statusUrl = `/api/reports/${report.reportId}/status`;
+  try {
+    await reportJobs.create(report);
+    return { status: JOB_STATUS.QUEUED, statusUrl };
+  } catch (error) {
+    console.error(`❌ Could not queue processing for report ${report.reportId}:`, error.message);
+    return { status: JOB_STATUS.FAILED, statusUrl, error: error.message };
+  }
+}
+
+// ============================================================================
+// Report processing jobs
+// ============================================================================
+
+/**
+ * Load the saved report a processing job works on
+ */
+async function loadReportForJob(job) {
+  const { reportId, projectId, reportDate } = job.report;
+  const result = await dynamoClient.send(new GetItemCommand({
+    TableName: 'sitelogix-reports',
+    Key: marshall({
+      PK: `PROJECT#${projectId}`,
+      SK: `REPORT#${reportDate}#${reportId}`
+    })
+  }));
+
+  if (!result.Item) {
+    throw new Error(`Report ${reportId} no longer exists`);
+  }
+
+  const report = unmarshall(result.Item);
+  return {
+    ...job.report,
+    transcript: report.transcript_data,
+    // Set once a manager has corrected the extraction; stages use it instead of the transcript
+    correctedData: report.extracted_data_revision ? parseExtractedData(report.extracted_data) : null,
+    revision: report.extracted_data_revision || null
+  };
+}
+
+/**
+ * Pipeline stages, in order. Each returns an output that is stored on the job;
+ * a throw fails the attempt and the job is retried from that stage.
+ */
+const reportJobStages = {
+  // Pull each worker's hours out of the transcript
+  async extracting({ transcript, ...report }) {
+    const transcriptText = typeof transcript === 'object' ? JSON.stringify(transcript) : transcript;
+    const extraction = await extractPayrollFromTranscript(transcriptText, report);
+
+    if (!extraction.success && !extraction.skipped) {
+      throw new Error(extraction.error || 'Payroll extraction failed');
     }
+    return { employees: extraction.employees };
+  },
 
-    // Trigger full transcript analytics extraction
-    try {
-      console.log('📊 Starting full analytics extraction for report:', reportId);
+  // Match names to personnel records and write payroll entries,
+  // replacing any a previous run or revision created
+  async normalizing(report, outputs) {
+    const { employees } = outputs.extracting;
+    await payrollService.deleteEntriesByReport(report.reportId);
 
-      const analyticsResult = await processTranscriptAnalytics(transcript, {
-        reportId,
-        projectId,
-        projectName,
-        projectLocation,
-        managerName,
-        reportDate
-      });
+    if (employees.length === 0) {
+      await reviewQueue.replaceReportItems(report, PAYROLL_REVIEW_TYPES, []);
+      return { employeesProcessed: 0, employeesMatched: 0, entriesCreated: 0, reviewItems: 0 };
+    }
 
-      console.log('✅ Full analytics extraction complete');
-
-      // Log personnel hours to Google Sheets if extraction was successful
-      if (analyticsResult.success && analyticsResult.extractedData) {
-        try {
-          console.log('📊 [SHEETS] Starting Google Sheets logging...');
-          const sheetsResult = await logPersonnelHoursToSheet(
-            {
-              report_id: reportId,
-              project_id: projectId,
-              project_name: projectName,
-              manager_name: managerName,
-              report_date: reportDate
-            },
-            analyticsResult.extractedData
-          );
+    const result = await createPayrollEntriesFromExtraction(employees, report);
+    if (!result.success) {
+      console.warn('⚠️ Some payroll entries were not created:', result.createResult?.error);
+    }
 
-          if (sheetsResult.success) {
-            console.log('✅ Personnel hours logged to Google Sheets:', sheetsResult.message);
-          } else {
-            console.warn('⚠️ Failed to log hours to Google Sheets:', sheetsResult.error);
-          }
-        } catch (sheetsError) {
-          console.error('⚠️ Google Sheets logging error (non-fatal):', sheetsError.message);
-          // Don't fail the report if Google Sheets logging fails
-        }
+    const review = await reviewQueue.replaceReportItems(
+      report,
+      PAYROLL_REVIEW_TYPES,
+      payrollReviewItems(employees, result.matchResults || [])
+    );
+    console.log(`🔎 Payroll review items queued: ${review.queued}`);
+
+    return {
+      employeesProcessed: result.employeesProcessed,
+      employeesMatched: result.employeesMatched,
+      entriesCreated: result.entriesCreated,
+      entriesFailed: result.entriesFailed || 0,
+      needsReview: result.needsReview || 0,
+      reviewItems: review.queued
+    };
+  },
+
+  // Full transcript analytics, then the personnel hours sheet
+  async analytics({ transcript, correctedData, ...report }) {
+    if (correctedData) {
+      // Rebuild scores, anomaly flags and review items from the latest revision;
+      // the hours sheet is append-only, so corrected hours only reach payroll entries
+      const reanalysis = await reanalyzeCorrectedData(correctedData, transcript, report);
+      if (!reanalysis.success) {
+        throw new Error(reanalysis.error || 'Analytics from corrected data failed');
+      }
+      return {
+        personnelCount: reanalysis.extractedData.personnel?.length || 0,
+        revision: report.revision,
+        sheetsLogged: false
+      };
+    }
+
+    const analyticsResult = await processTranscriptAnalytics(transcript, report);
+    if (!analyticsResult.success) {
+      throw new Error(analyticsResult.error || 'Analytics extraction failed');
+    }
+
+    let sheetsLogged = false;
+    try {
+      const sheetsResult = await logPersonnelHoursToSheet(
+        {
+          report_id: report.reportId,
+          project_id: report.projectId,
+          project_name: report.projectName,
+          manager_name: report.managerName,
+          report_date: report.reportDate
+        },
+        analyticsResult.extractedData
+      );
+
+      sheetsLogged = sheetsResult.success;
+      if (!sheetsResult.success) {
+        console.warn('⚠️ Failed to log hours to Google Sheets:', sheetsResult.error);
       }
-    } catch (analyticsError) {
-      console.error('⚠️ Analytics extraction failed (non-fatal):', analyticsError.message);
-      console.error('⚠️ Analytics error details:', analyticsError.stack);
-      // Don't fail the report save if analytics extraction fails
+    } catch (sheetsError) {
+      // The sheet is a convenience copy; don't retry the whole analytics pass for it
+      console.error('⚠️ Google Sheets logging error (non-fatal):', sheetsError.message);
     }
 
     return {
-      success: true,
-      reportId,
-      audioPath,
-      transcriptPath,
+      personnelCount: analyticsResult.extractedData.personnel?.length || 0,
+      sheetsLogged
     };
-  } catch (error) {
-    console.error('❌ Error saving report:', error.message);
-    return { success: false, error: error.message };
   }
-}
+};
+
+const reportJobs = new ReportJobs({
+  client: dynamoClient,
+  queue: new LambdaQueue(lambdaClient, process.env.AWS_LAMBDA_FUNCTION_NAME || 'sitelogix-api'),
+  stages: reportJobStages,
+  loadContext: loadReportForJob
+});
 
 // ============================================================================
 // PERSONNEL CRUD Operations
 // ============================================================================
 
 /**
- * List all personnel with optional filtering
+ * List one page of personnel with optional filtering
  */
-async function listPersonnel(queryParams = {}) {
+async function listPersonnel(queryParams = {}, page) {
   try {
     console.log('👥 Fetching personnel...', queryParams);
-    const { projectId, limit = 50, lastEvaluatedKey } = queryParams;
+    const { projectId } = queryParams;
 
-    let command;
+    let result;
     if (projectId) {
-      command = new QueryCommand({
+      result = await queryPage(dynamoClient, QueryCommand, {
         TableName: 'sitelogix-personnel',
         IndexName: 'GSI2-ProjectIndex',
         KeyConditionExpression: 'project_id = :projectId',
         ExpressionAttributeValues: {
           ':projectId': { S: projectId }
-        },
-        Limit: parseInt(limit)
-      });
+        }
+      }, page);
     } else {
-      command = new ScanCommand({
-        TableName: 'sitelogix-personnel',
-        Limit: parseInt(limit),
-        ExclusiveStartKey: lastEvaluatedKey ? JSON.parse(lastEvaluatedKey) : undefined
-      });
+      result = await queryPage(dynamoClient, ScanCommand, {
+        TableName: 'sitelogix-personnel'
+      }, page);
     }
 
-    const result = await dynamoClient.send(command);
-    const items = result.Items.map(item => unmarshall(item));
+    const items = result.items.map(item => unmarshall(item));
 
     return {
       success: true,
       personnel: items,
-      lastEvaluatedKey: result.LastEvaluatedKey ? JSON.stringify(result.LastEvaluatedKey) : null,
-      count: items.length
+      count: items.length,
+      pagination: pageInfo(page.limit, result.lastKey)
     };
   } catch (error) {
     console.error('❌ Error fetching personnel:', error);
@@ -2092,27 +2237,22 @@ async function deletePersonnel(personnelId) {
 // ============================================================================
 
 /**
- * List all vendors
+ * List one page of vendors
  */
-async function listVendors(queryParams = {}) {
+async function listVendors(queryParams = {}, page) {
   try {
     console.log('🏢 Fetching vendors...');
-    const { limit = 50, lastEvaluatedKey } = queryParams;
-
-    const command = new ScanCommand({
-      TableName: 'sitelogix-vendors',
-      Limit: parseInt(limit),
-      ExclusiveStartKey: lastEvaluatedKey ? JSON.parse(lastEvaluatedKey) : undefined
-    });
 
-    const result = await dynamoClient.send(command);
-    const items = result.Items.map(item => unmarshall(item));
+    const { items, lastKey } = await queryPage(dynamoClient, ScanCommand, {
+      TableName: 'sitelogix-vendors'
+    }, page);
+    const vendors = items.map(item => unmarshall(item));
 
     return {
       success: true,
-      vendors: items,
-      lastEvaluatedKey: result.LastEvaluatedKey ? JSON.stringify(result.LastEvaluatedKey) : null,
-      count: items.length
+      vendors,
+      count: vendors.length,
+      pagination: pageInfo(page.limit, lastKey)
     };
   } catch (error) {
     console.error('❌ Error fetching vendors:', error);
@@ -2258,26 +2398,104 @@ async function deleteVendor(vendorId) {
   }
 }
 
+/**
+ * GET /api/vendors/match?name= - How well a company name matches each vendor
+ * on file, with the breakdown behind each score
+ */
+async function handleMatchVendor({ query }) {
+  const errors = validate(schemas.vendorMatchQuery, query);
+  if (errors.length > 0) {
+    return validationErrorResponse(errors);
+  }
+
+  const result = await vendorDirectory.match(query.name);
+  return { statusCode: 200, body: { success: true, name: query.name, ...result } };
+}
+
+/**
+ * POST /api/vendors/:vendorId/aliases - Another name the vendor goes by
+ */
+async function handleAddVendorAlias({ params, body }) {
+  let vendor;
+  try {
+    vendor = await vendorDirectory.addAlias(params.vendorId, body.alias);
+  } catch (error) {
+    if (error.name !== 'VendorAliasConflictError') throw error;
+    return { statusCode: 409, body: { success: false, error: error.message, code: 'ALIAS_CONFLICT' } };
+  }
+
+  if (!vendor) {
+    return { statusCode: 404, body: { success: false, error: 'Vendor not found', code: 'NOT_FOUND' } };
+  }
+  return { statusCode: 200, body: { success: true, vendor: publicVendor(vendor) } };
+}
+
+/**
+ * POST /api/vendors/:vendorId/merge - Merge duplicateId into this vendor,
+ * moving its deliveries, performance history and charge-backs
+ */
+async function handleMergeVendors({ params, body, user }) {
+  if (params.vendorId === body.duplicateId) {
+    return {
+      statusCode: 400,
+      body: { success: false, error: 'duplicateId must be another vendor', code: 'INVALID_DUPLICATE' }
+    };
+  }
+
+  const [primary, duplicate] = await Promise.all([
+    vendorDirectory.get(params.vendorId),
+    vendorDirectory.get(body.duplicateId)
+  ]);
+  if (!primary || !duplicate) {
+    return { statusCode: 404, body: { success: false, error: 'Vendor not found', code: 'NOT_FOUND' } };
+  }
+
+  let merge;
+  try {
+    merge = await vendorMerges.merge(primary, duplicate, { mergedBy: actorOf(user).name, note: body.note });
+  } catch (error) {
+    if (error.name !== 'VendorMergeConflictError') throw error;
+    return { statusCode: 409, body: { success: false, error: error.message, code: 'MERGE_CONFLICT' } };
+  }
+
+  vendorDirectory.invalidate();
+  return {
+    statusCode: 200,
+    body: { success: true, vendor: publicVendor(await vendorDirectory.get(primary.vendorId)), merge }
+  };
+}
+
+/**
+ * GET /api/vendors/merges/:mergeId - A vendor merge's audit record
+ */
+async function handleGetVendorMerge({ params }) {
+  const merge = await vendorMerges.get(params.mergeId);
+  if (!merge) {
+    return { statusCode: 404, body: { success: false, error: 'Merge not found', code: 'NOT_FOUND' } };
+  }
+  return { statusCode: 200, body: { success: true, merge } };
+}
+
+/**
+ * A directory vendor without its table key
+ */
+function publicVendor(vendor) {
+  if (!vendor) return null;
+  const { key, ...rest } = vendor;
+  return rest;
+}
+
 // ============================================================================
 // DATA EXTRACTION Operations (Roxy AI)
 // ============================================================================
 
 /**
- * Extract structured data from transcript using Claude AI
+ * Extract structured data from transcript with Roxy
  */
 async function extractFromTranscript(transcriptText, filename = '') {
   try {
     console.log('🤖 Roxy extracting data from transcript...');
 
-    // Get Anthropic API key from environment variables
-    const anthropicApiKey = process.env.ANTHROPIC_API_KEY;
-
-    if (!anthropicApiKey) {
-      throw new Error('ANTHROPIC_API_KEY not found in environment variables');
-    }
-
-    const anthropic = new Anthropic({ apiKey: anthropicApiKey });
-
     const ROXY_EXTRACTION_PROMPT = `You are Roxy, an AI agent specialized in extracting structured data from construction daily reports.
 
 REQUIRED FIELDS:
@@ -2330,39 +2548,18 @@ OUTPUT FORMAT: Return ONLY valid JSON:
   "ambiguities": []
 }`;
 
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2000,
-      temperature: 0,
-      messages: [
-        {
-          role: 'user',
-          content: `${ROXY_EXTRACTION_PROMPT}
+    const { data: extractedData } = await runLLMTask('roxy-extraction', {
+      prompt: `${ROXY_EXTRACTION_PROMPT}
 
 FILENAME: ${filename}
 
 TRANSCRIPT:
 ${transcriptText}
 
-Extract structured data. Return ONLY valid JSON.`
-        }
-      ]
+Extract structured data. Return ONLY valid JSON.`,
+      json: true
     });
 
-    const responseText = message.content[0].text;
-    let extractedData;
-
-    try {
-      extractedData = JSON.parse(responseText);
-    } catch (parseError) {
-      const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-      if (jsonMatch) {
-        extractedData = JSON.parse(jsonMatch[1]);
-      } else {
-        throw new Error('Could not extract valid JSON from response');
-      }
-    }
-
     extractedData.extraction_timestamp = new Date().toISOString();
     extractedData.original_filename = filename;
 
@@ -2411,6 +2608,7 @@ async function storeExtractedReport(normalizedData, s3Key, filename) {
     SK: 'METADATA',
     report_id: reportId,
     report_date: reportDate,
+    report_month: reportMonth(reportDate),
     project_id: normalizedData.project_id || 'proj_001',
     project_name: normalizedData.project_canonical_name || normalizedData.project_name || 'Unknown',
     reporter_personnel_id: normalizedData.reporter_personnel_id,
@@ -2443,40 +2641,6 @@ async function storeExtractedReport(normalizedData, s3Key, filename) {
   return reportItem;
 }
 
-/**
- * Seed master personnel to database
- */
-async function seedMasterPersonnel() {
-  console.log('👥 Seeding master personnel...');
-
-  const masterPersonnel = getMasterPersonnel();
-  let created = 0;
-
-  for (const [personnelId, data] of Object.entries(masterPersonnel)) {
-    // Check if exists
-    const existsCheck = await dynamoClient.send(new GetItemCommand({
-      TableName: 'sitelogix-personnel',
-      Key: {
-        PK: { S: `PERSONNEL#${personnelId}` },
-        SK: { S: 'METADATA' }
-      }
-    }));
-
-    if (!existsCheck.Item) {
-      await createPersonnel({
-        personnel_id: personnelId,
-        full_name: data.canonical_name,
-        role: data.role,
-        status: 'active'
-      });
-      created++;
-    }
-  }
-
-  console.log(`   ✅ Seeded ${created} personnel`);
-  return { created };
-}
-
 /**
  * Process batch of transcripts from S3
  * For batches > 2, processes first 2 synchronously, queues rest async to avoid API timeout
@@ -2507,8 +2671,8 @@ async function processBatchTranscripts(options = {}) {
     const transcriptsToProcess = allTranscripts.slice(offset, offset + effectiveLimit);
     console.log(`   📄 Processing ${transcriptsToProcess.length} transcripts (offset: ${offset})`);
 
-    // Seed personnel first
-    await seedMasterPersonnel();
+    // Normalize names against the personnel and projects tables
+    const masterDataIndex = await masterData.load();
 
     // Process each transcript
     const results = [];
@@ -2533,7 +2697,7 @@ async function processBatchTranscripts(options = {}) {
         }
 
         // Normalize entities
-        const normalized = normalizeExtractedData(extraction.data);
+        const normalized = normalizeExtractedData(extraction.data, masterDataIndex);
 
         // Store in DynamoDB
         const filename = item.Key.split('/').pop();
@@ -2617,218 +2781,127 @@ async function processBatchTranscripts(options = {}) {
 /**
  * Lambda handler - main entry point
  */
-exports.handler = async (event) => {
-  console.log('Received event:', JSON.stringify(event, null, 2));
-
-  // API Gateway handles CORS headers automatically - don't set them in Lambda
-  // Setting CORS headers in both places causes duplicate header conflicts that browsers reject
-  const headers = {
-    'Content-Type': 'application/json'
-  };
-
-  // API Gateway handles OPTIONS preflight requests automatically with CORS configuration
-  // No need to handle them in Lambda
+// ============================================================================
+// ROUTE HANDLERS
+// ============================================================================
 
-  try {
-    const path = event.requestContext?.http?.path || event.path || '';
-    const method = event.requestContext?.http?.method || event.httpMethod || 'GET';
+/**
+ * Look up a report by ID, using the direct key when projectId and reportDate are known
+ * Falls back to a scan on report_id when they're missing or the key lookup misses
+ * Deleted reports count as missing unless `includeDeleted` is set
+ */
+async function findReport(reportId, projectId, reportDate, { includeDeleted = false } = {}) {
+  const visible = (report) => (includeDeleted || !report.deleted_at ? report : null);
 
-    console.log(`Processing ${method} ${path}`);
+  if (projectId && reportDate) {
+    // Use direct GetItem with projectId and reportDate (fastest, most reliable)
+    const command = new GetItemCommand({
+      TableName: 'sitelogix-reports',
+      Key: marshall({
+        PK: `PROJECT#${projectId}`,
+        SK: `REPORT#${reportDate}#${reportId}`
+      })
+    });
 
-    // Parse request body for POST/PUT/DELETE requests
-    let body = {};
-    if (['POST', 'PUT', 'DELETE'].includes(method) && event.body) {
-      try {
-        body = JSON.parse(event.body);
-        console.log('Parsed request body:', JSON.stringify(body, null, 2));
-      } catch (e) {
-        console.error('Failed to parse request body:', e);
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify({
-            success: false,
-            error: 'Invalid JSON in request body',
-            code: 'INVALID_JSON'
-          })
-        };
-      }
+    const result = await dynamoClient.send(command);
+    if (result.Item) {
+      return visible(unmarshall(result.Item));
     }
+  }
 
-    // Route handling
-    if (path.endsWith('/managers') && method === 'GET') {
-      const result = await getManagers();
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify(result)
-      };
-    }
+  const scanCommand = new ScanCommand({
+    TableName: 'sitelogix-reports',
+    FilterExpression: 'report_id = :reportId',
+    ExpressionAttributeValues: marshall({
+      ':reportId': reportId
+    }),
+    Limit: 1
+  });
+  const scanResult = await dynamoClient.send(scanCommand);
 
-    if (path.endsWith('/projects') && method === 'GET') {
-      const result = await handleListProjectsAdmin(event);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+  if (!scanResult.Items || scanResult.Items.length === 0) {
+    return null;
+  }
+  return visible(unmarshall(scanResult.Items[0]));
+}
 
-    // POST /api/projects
-    if (path.endsWith('/projects') && method === 'POST') {
-      const result = await handleCreateProject(event);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+/**
+ * GET /api/reports/:reportId/html
+ */
+async function handleGetReportHtml({ params, query }) {
+  // Report IDs can contain characters like # - the router hands us the decoded value
+  const reportId = params.reportId;
+  console.log('🔑 Report ID (decoded):', reportId);
+  const { projectId, reportDate } = query;
+
+  if (!projectId || !reportDate) {
+    return { statusCode: 400, body: { success: false, error: 'Missing projectId or reportDate' } };
+  }
 
-    // PUT /api/projects/:id
-    if (path.match(/\/projects\/[^/]+$/) && method === 'PUT' && !path.includes('/admin')) {
-      const projectId = path.split('/').pop();
-      const result = await handleUpdateProject(event, projectId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+  const result = await getReportHtml(reportId, projectId, reportDate);
 
-    // DELETE /api/projects/:id
-    if (path.match(/\/projects\/[^/]+$/) && method === 'DELETE' && !path.includes('/admin')) {
-      const projectId = path.split('/').pop();
-      const result = await handleDeleteProject(event, projectId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+  if (!result.success) {
+    return { statusCode: 404, body: result };
+  }
 
-    // GET /api/reports/:reportId/html
-    if (path.match(/\/reports\/[^/]+\/html$/) && method === 'GET') {
-      // CRITICAL: Decode URL-encoded report ID to handle special characters like # in IDs
-      const encodedReportId = path.split('/')[path.split('/').length - 2];
-      const reportId = decodeURIComponent(encodedReportId);
-      console.log('🔑 Report ID (encoded from URL):', encodedReportId);
-      console.log('🔑 Report ID (decoded):', reportId);
-      const queryParams = event.queryStringParameters || {};
-      const projectId = queryParams.projectId;
-      const reportDate = queryParams.reportDate;
-
-      if (!projectId || !reportDate) {
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify({ success: false, error: 'Missing projectId or reportDate' })
-        };
-      }
+  // Return HTML content directly
+  return {
+    statusCode: 200,
+    headers: { 'Content-Type': 'text/html' },
+    body: result.html
+  };
+}
 
-      const result = await getReportHtml(reportId, projectId, reportDate);
+/**
+ * GET /api/reports/:reportId/transcript - View raw transcript
+ */
+async function handleGetReportTranscript({ params, query }) {
+  try {
+    const report = await findReport(params.reportId, query.projectId, query.reportDate);
+    if (!report) {
+      return { statusCode: 404, body: { success: false, error: 'Report not found' } };
+    }
 
-      if (!result.success) {
-        return {
-          statusCode: 404,
-          headers,
-          body: JSON.stringify(result)
-        };
-      }
+    // Check if transcript_data is available in DynamoDB (preferred)
+    let transcriptData = report.transcript_data;
+    let transcriptText = '';
 
-      // Return HTML content directly
-      return {
-        statusCode: 200,
-        headers: {
-          ...headers,
-          'Content-Type': 'text/html'
-        },
-        body: result.html
-      };
-    }
-
-    // GET /api/reports/:reportId/transcript - View raw transcript
-    if (path.match(/\/reports\/[^/]+\/transcript$/) && method === 'GET') {
-      const reportId = path.split('/')[path.split('/').length - 2];
-      const queryParams = event.queryStringParameters || {};
-      const projectId = queryParams.projectId;
-      const reportDate = queryParams.reportDate;
-
-      try {
-        let report;
-
-        if (projectId && reportDate) {
-          // Use direct GetItem with projectId and reportDate (fastest, most reliable)
-          const command = new GetItemCommand({
-            TableName: 'sitelogix-reports',
-            Key: marshall({
-              PK: `PROJECT#${projectId}`,
-              SK: `REPORT#${reportDate}#${reportId}`
-            })
-          });
-
-          const result = await dynamoClient.send(command);
-
-          if (!result.Item) {
-            // Try scan as fallback
-            const scanCommand = new ScanCommand({
-              TableName: 'sitelogix-reports',
-              FilterExpression: 'report_id = :reportId',
-              ExpressionAttributeValues: marshall({
-                ':reportId': reportId
-              }),
-              Limit: 1
-            });
-            const scanResult = await dynamoClient.send(scanCommand);
-            if (!scanResult.Items || scanResult.Items.length === 0) {
-              return { statusCode: 404, headers, body: JSON.stringify({ success: false, error: 'Report not found' }) };
-            }
-            report = unmarshall(scanResult.Items[0]);
-          } else {
-            report = unmarshall(result.Item);
-          }
-        } else {
-          // Fallback to scan if query params not provided
-          const scanCommand = new ScanCommand({
-            TableName: 'sitelogix-reports',
-            FilterExpression: 'report_id = :reportId',
-            ExpressionAttributeValues: marshall({
-              ':reportId': reportId
-            }),
-            Limit: 1
-          });
-          const result = await dynamoClient.send(scanCommand);
-
-          if (!result.Items || result.Items.length === 0) {
-            return { statusCode: 404, headers, body: JSON.stringify({ success: false, error: 'Report not found' }) };
-          }
+    if (transcriptData) {
+      // If transcript is stored in DynamoDB, use it
+      if (typeof transcriptData === 'string') {
+        transcriptText = transcriptData;
+      } else if (transcriptData.transcript && Array.isArray(transcriptData.transcript)) {
+        // ElevenLabs transcript is an array of {role, message} objects
+        transcriptText = transcriptData.transcript
+          .map(msg => {
+            const role = msg.role === 'user' ? 'Manager' : 'Roxy';
+            const message = msg.message || '';
+            return `${role}: ${message}`;
+          })
+          .filter(line => line.trim() !== 'Manager: ' && line.trim() !== 'Roxy: ') // Skip empty messages
+          .join('\n\n');
 
-          report = unmarshall(result.Items[0]);
+        if (!transcriptText.trim()) {
+          transcriptText = 'No conversation transcript available (conversation may have ended early)';
         }
+      } else {
+        transcriptText = JSON.stringify(transcriptData, null, 2);
+      }
+    } else if (report.transcript_s3_path || report.transcript_s3_key) {
+      // Fallback to S3 if not in DynamoDB
+      const s3Key = report.transcript_s3_path?.replace('s3://sitelogix-prod/', '') || report.transcript_s3_key;
+      const s3Command = new GetObjectCommand({
+        Bucket: 'sitelogix-prod',
+        Key: s3Key
+      });
 
-        // Check if transcript_data is available in DynamoDB (preferred)
-        let transcriptData = report.transcript_data;
-        let transcriptText = '';
-
-        if (transcriptData) {
-          // If transcript is stored in DynamoDB, use it
-          if (typeof transcriptData === 'string') {
-            transcriptText = transcriptData;
-          } else if (transcriptData.transcript && Array.isArray(transcriptData.transcript)) {
-            // ElevenLabs transcript is an array of {role, message} objects
-            transcriptText = transcriptData.transcript
-              .map(msg => {
-                const role = msg.role === 'user' ? 'Manager' : 'Roxy';
-                const message = msg.message || '';
-                return `${role}: ${message}`;
-              })
-              .filter(line => line.trim() !== 'Manager: ' && line.trim() !== 'Roxy: ') // Skip empty messages
-              .join('\n\n');
-
-            if (!transcriptText.trim()) {
-              transcriptText = 'No conversation transcript available (conversation may have ended early)';
-            }
-          } else {
-            transcriptText = JSON.stringify(transcriptData, null, 2);
-          }
-        } else if (report.transcript_s3_path || report.transcript_s3_key) {
-          // Fallback to S3 if not in DynamoDB
-          const s3Key = report.transcript_s3_path?.replace('s3://sitelogix-prod/', '') || report.transcript_s3_key;
-          const s3Command = new GetObjectCommand({
-            Bucket: 'sitelogix-prod',
-            Key: s3Key
-          });
-
-          const s3Result = await s3Client.send(s3Command);
-          transcriptText = await s3Result.Body.transformToString();
-        } else {
-          return { statusCode: 404, headers, body: JSON.stringify({ success: false, error: 'Transcript not found' }) };
-        }
+      const s3Result = await s3Client.send(s3Command);
+      transcriptText = await s3Result.Body.transformToString();
+    } else {
+      return { statusCode: 404, body: { success: false, error: 'Transcript not found' } };
+    }
 
-        const html = `<!DOCTYPE html>
+    const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
@@ -2857,1352 +2930,1375 @@ exports.handler = async (event) => {
 </body>
 </html>`;
 
-        return { statusCode: 200, headers: { ...headers, 'Content-Type': 'text/html' }, body: html };
-      } catch (error) {
-        console.error('Error fetching transcript:', error);
-        return { statusCode: 500, headers, body: JSON.stringify({ success: false, error: error.message }) };
-      }
-    }
-
-    // GET /api/reports/:reportId/audio - Get audio file
-    if (path.match(/\/reports\/[^/]+\/audio$/) && method === 'GET') {
-      const reportId = path.split('/')[path.split('/').length - 2];
-      const queryParams = event.queryStringParameters || {};
-      const projectId = queryParams.projectId;
-      const reportDate = queryParams.reportDate;
-
-      try {
-        let report;
-
-        if (projectId && reportDate) {
-          // Use direct GetItem with projectId and reportDate (fastest, most reliable)
-          const command = new GetItemCommand({
-            TableName: 'sitelogix-reports',
-            Key: marshall({
-              PK: `PROJECT#${projectId}`,
-              SK: `REPORT#${reportDate}#${reportId}`
-            })
-          });
-
-          const result = await dynamoClient.send(command);
-
-          if (!result.Item) {
-            // Try scan as fallback
-            const scanCommand = new ScanCommand({
-              TableName: 'sitelogix-reports',
-              FilterExpression: 'report_id = :reportId',
-              ExpressionAttributeValues: marshall({
-                ':reportId': reportId
-              }),
-              Limit: 1
-            });
-            const scanResult = await dynamoClient.send(scanCommand);
-            if (!scanResult.Items || scanResult.Items.length === 0) {
-              return { statusCode: 404, headers, body: JSON.stringify({ success: false, error: 'Report not found' }) };
-            }
-            report = unmarshall(scanResult.Items[0]);
-          } else {
-            report = unmarshall(result.Item);
-          }
-        } else {
-          // Fallback to scan if query params not provided
-          const scanCommand = new ScanCommand({
-            TableName: 'sitelogix-reports',
-            FilterExpression: 'report_id = :reportId',
-            ExpressionAttributeValues: marshall({
-              ':reportId': reportId
-            }),
-            Limit: 1
-          });
-          const result = await dynamoClient.send(scanCommand);
-
-          if (!result.Items || result.Items.length === 0) {
-            return { statusCode: 404, headers, body: JSON.stringify({ success: false, error: 'Report not found' }) };
-          }
-
-          report = unmarshall(result.Items[0]);
-        }
-
-        if (!report.audio_s3_path) {
-          return { statusCode: 404, headers, body: JSON.stringify({ success: false, error: 'Audio not found for this report' }) };
-        }
-
-        // Get audio from S3
-        const s3Key = report.audio_s3_path.replace('s3://sitelogix-prod/', '');
-        const s3Command = new GetObjectCommand({
-          Bucket: 'sitelogix-prod',
-          Key: s3Key
-        });
+    return { statusCode: 200, headers: { 'Content-Type': 'text/html' }, body: html };
+  } catch (error) {
+    console.error('Error fetching transcript:', error);
+    return { statusCode: 500, body: { success: false, error: error.message } };
+  }
+}
 
-        const s3Result = await s3Client.send(s3Command);
-        const audioBuffer = await s3Result.Body.transformToByteArray();
-        const audioBase64 = Buffer.from(audioBuffer).toString('base64');
+/**
+ * GET /api/reports/:reportId/transcript/turns - Transcript as JSON turns
+ *
+ * Turn indexes match the `sources` on extracted items, so a viewer can jump
+ * to and highlight the words an item was extracted from.
+ */
+async function handleGetReportTranscriptTurns({ params, query }) {
+  try {
+    const report = await findReport(params.reportId, query.projectId, query.reportDate);
+    if (!report) return reportNotFound();
 
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify({
-            success: true,
-            data: audioBase64,
-            contentType: s3Result.ContentType || 'audio/webm',
-            reportDate: report.report_date,
-            projectName: report.project_name,
-            managerName: report.manager_name
-          })
-        };
-      } catch (error) {
-        console.error('Error fetching audio:', error);
-        return { statusCode: 500, headers, body: JSON.stringify({ success: false, error: error.message }) };
-      }
+    let transcript = report.transcript_data;
+    if (!transcript && (report.transcript_s3_path || report.transcript_s3_key)) {
+      const s3Key = report.transcript_s3_path?.replace('s3://sitelogix-prod/', '') || report.transcript_s3_key;
+      const s3Result = await s3Client.send(new GetObjectCommand({ Bucket: 'sitelogix-prod', Key: s3Key }));
+      transcript = await s3Result.Body.transformToString();
+    }
+    if (!transcript) {
+      return { statusCode: 404, body: { success: false, error: 'Transcript not found', code: 'NOT_FOUND' } };
     }
 
-    // POST /api/reports - save a new report
-    if (path.endsWith('/reports') && method === 'POST') {
+    // Stored transcripts are ElevenLabs JSON, sometimes as a string; anything else is plain text
+    if (typeof transcript === 'string') {
       try {
-        const body = JSON.parse(event.body || '{}');
-        const result = await saveReport(body);
-
-        if (!result.success) {
-          return {
-            statusCode: 500,
-            headers,
-            body: JSON.stringify(result)
-          };
-        }
-
-        return {
-          statusCode: 201,
-          headers,
-          body: JSON.stringify(result)
-        };
-      } catch (error) {
-        console.error('Error in POST /api/reports:', error);
-        return {
-          statusCode: 500,
-          headers,
-          body: JSON.stringify({ success: false, error: error.message })
-        };
+        transcript = JSON.parse(transcript);
+      } catch {
+        // plain "Speaker: ..." text
       }
     }
 
-    // GET /api/reports
-    if (path.endsWith('/reports') && method === 'GET') {
-      const queryParams = event.queryStringParameters || {};
-      const result = await getReports(queryParams);
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify(result)
-      };
-    }
-
-    // DELETE /api/reports/:reportId - Delete a report (admin only)
-    if (path.match(/\/reports\/[^/]+$/) && method === 'DELETE') {
-      const reportId = path.split('/').pop();
-      const queryParams = event.queryStringParameters || {};
-      const projectId = queryParams.projectId;
-      const reportDate = queryParams.reportDate;
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        reportId: report.report_id,
+        conversationId: report.conversation_id || transcript.conversation_id || null,
+        turns: transcriptTurns(transcript)
+      }
+    };
+  } catch (error) {
+    console.error('Error in GET /api/reports/:reportId/transcript/turns:', error);
+    return { statusCode: 500, body: { success: false, error: error.message } };
+  }
+}
 
-      try {
-        // Verify admin role from Authorization header
-        const authHeader = event.headers?.Authorization || event.headers?.authorization;
-        if (!authHeader) {
-          return {
-            statusCode: 401,
-            headers,
-            body: JSON.stringify({ success: false, error: 'Unauthorized - No auth token provided' })
-          };
-        }
+/**
+ * GET /api/reports/:reportId/audio - Get audio file
+ */
+async function handleGetReportAudio({ params, query }) {
+  try {
+    const report = await findReport(params.reportId, query.projectId, query.reportDate);
+    if (!report) {
+      return { statusCode: 404, body: { success: false, error: 'Report not found' } };
+    }
 
-        // Extract token and verify user role
-        const token = authHeader.replace('Bearer ', '');
-        let userRole, userId;
-        try {
-          // Decode JWT to get user info (simple base64 decode for now)
-          const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString());
-          userRole = payload.role;
-          userId = payload.userId;
-          console.log(`🗑️ Delete request from user: ${userId}, role: ${userRole}`);
-        } catch (err) {
-          console.error('❌ Invalid token format:', err.message);
-          return {
-            statusCode: 401,
-            headers,
-            body: JSON.stringify({ success: false, error: 'Invalid token' })
-          };
-        }
+    if (!report.audio_s3_path) {
+      return { statusCode: 404, body: { success: false, error: 'Audio not found for this report' } };
+    }
 
-        // Check if user is admin
-        if (userRole !== 'admin' && userRole !== 'superadmin') {
-          console.warn(`⚠️ Forbidden: User ${userId} (role: ${userRole}) attempted to delete report`);
-          return {
-            statusCode: 403,
-            headers,
-            body: JSON.stringify({ success: false, error: 'Forbidden - Admin access required' })
-          };
-        }
+    // Get audio from S3
+    const s3Key = report.audio_s3_path.replace('s3://sitelogix-prod/', '');
+    const s3Command = new GetObjectCommand({
+      Bucket: 'sitelogix-prod',
+      Key: s3Key
+    });
 
-        // Validate required parameters
-        console.log(`🗑️ Delete parameters: reportId=${reportId}, projectId=${projectId}, reportDate=${reportDate}`);
-
-        if (!projectId || !reportDate) {
-          console.error('❌ Missing required parameters:', { projectId, reportDate });
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({
-              success: false,
-              error: 'Missing required parameters',
-              details: {
-                projectId: projectId ? 'present' : 'missing',
-                reportDate: reportDate ? 'present' : 'missing'
-              }
-            })
-          };
-        }
+    const s3Result = await s3Client.send(s3Command);
+    const audioBuffer = await s3Result.Body.transformToByteArray();
+    const audioBase64 = Buffer.from(audioBuffer).toString('base64');
 
-        // Validate date format (basic check)
-        if (!/^\d{4}-\d{2}-\d{2}/.test(reportDate)) {
-          console.error('❌ Invalid reportDate format:', reportDate);
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ success: false, error: 'Invalid reportDate format. Expected YYYY-MM-DD' })
-          };
-        }
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        data: audioBase64,
+        contentType: s3Result.ContentType || 'audio/webm',
+        reportDate: report.report_date,
+        projectName: report.project_name,
+        managerName: report.manager_name
+      }
+    };
+  } catch (error) {
+    console.error('Error fetching audio:', error);
+    return { statusCode: 500, body: { success: false, error: error.message } };
+  }
+}
 
-        // Trim parameters to handle whitespace
-        const trimmedProjectId = projectId.trim();
-        const trimmedReportDate = reportDate.trim();
-        const trimmedReportId = reportId.trim();
+// Idempotency scope for POST /api/reports, keyed on Idempotency-Key or conversationId
+const REPORT_SUBMISSION_SCOPE = 'report-submission';
 
-        console.log(`🗑️ Attempting to delete report: PK=PROJECT#${trimmedProjectId}, SK=REPORT#${trimmedReportDate}#${trimmedReportId}`);
+/**
+ * POST /api/reports - save a new report
+ *
+ * Responds 202 once the report is stored; `processing.status` says whether
+ * its processing job was queued. Retries with the same Idempotency-Key header
+ * (or conversationId) replay the first response instead of saving and
+ * extracting the report again, queueing the job if the first attempt couldn't.
+ */
+async function handleCreateReport({ body, headers }) {
+  let key;
+  try {
+    key = idempotencyKey(headers, body.conversationId);
+  } catch (error) {
+    return { statusCode: 400, body: { success: false, error: error.message, code: 'VALIDATION_ERROR' } };
+  }
 
-        // Delete from DynamoDB
-        const deleteCommand = new DeleteItemCommand({
-          TableName: 'sitelogix-reports',
-          Key: marshall({
-            PK: `PROJECT#${trimmedProjectId}`,
-            SK: `REPORT#${trimmedReportDate}#${trimmedReportId}`
-          })
-        });
+  try {
+    if (!key) {
+      const result = await saveReport(body);
+      return { statusCode: result.success ? 202 : 500, body: result };
+    }
 
-        const deleteResult = await dynamoClient.send(deleteCommand);
-        console.log('🗑️ DynamoDB delete response:', JSON.stringify(deleteResult, null, 2));
+    const submission = { scope: REPORT_SUBMISSION_SCOPE, key };
+    const claim = await claimIdempotencyKey(dynamoClient, {
+      ...submission,
+      fields: { projectId: body.projectId, managerId: body.managerId, reportDate: body.reportDate },
+      data: { report_id: generateReportId(body) }
+    });
 
-        console.log(`✅ Successfully deleted report ${trimmedReportId} by admin user ${userId}`);
+    if (claim.status === 'completed') {
+      console.log(`♻️ Replaying report submission ${key} -> ${claim.record.report_id}`);
+      let response = claim.record.response;
 
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify({
-            success: true,
-            message: 'Report deleted successfully',
-            reportId: trimmedReportId
-          })
-        };
-      } catch (error) {
-        console.error('❌ Error deleting report:', error);
-        console.error('❌ Error stack:', error.stack);
-        return {
-          statusCode: 500,
-          headers,
-          body: JSON.stringify({ success: false, error: error.message })
-        };
+      // The report was saved but its processing job never got queued
+      if (response.processing?.status === JOB_STATUS.FAILED) {
+        response = { ...response, processing: await queueReportJob(reportJobFields(body, response.reportId)) };
+        await completeIdempotencyKey(dynamoClient, submission, response);
       }
-    }
 
-    // GET /api/analytics/insights
-    if (path.endsWith('/analytics/insights') && method === 'GET') {
-      const result = await getAnalyticsInsights();
       return {
         statusCode: 200,
-        headers,
-        body: JSON.stringify(result)
+        headers: { 'Idempotent-Replayed': 'true' },
+        body: { ...response, replayed: true }
       };
     }
 
-    // POST /api/analytics/query
-    if (path.endsWith('/analytics/query') && method === 'POST') {
-      const body = JSON.parse(event.body || '{}');
-      const result = await handleAnalyticsQuery(body.query);
+    if (claim.status === 'in_progress') {
       return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify(result)
+        statusCode: 409,
+        body: {
+          success: false,
+          error: 'This report is already being submitted',
+          code: 'SUBMISSION_IN_PROGRESS',
+          reportId: claim.record.report_id
+        }
       };
     }
 
-    // GET /api/analytics/reports/:reportType
-    if (path.match(/\/analytics\/reports\/[^/]+$/) && method === 'GET') {
-      const reportType = path.split('/').pop();
-      let result;
-
-      // Route to appropriate report handler
-      if (reportType === 'deliveries') {
-        result = await getDeliveryReport();
-      } else if (reportType === 'overtime') {
-        result = await getOvertimeReport();
-      } else {
-        // Default to constraint report for 'critical', 'constraints', etc.
-        result = await getConstraintReport(reportType);
-      }
-
+    if (claim.status === 'mismatch') {
       return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify(result)
+        statusCode: 422,
+        body: {
+          success: false,
+          error: 'Idempotency key was already used for a different project, manager or date',
+          code: 'IDEMPOTENCY_KEY_REUSED'
+        }
       };
     }
 
-    // POST /api/analytics/constraints/:constraintId/resolution
-    if (path.match(/\/analytics\/constraints\/[^/]+\/resolution$/) && method === 'POST') {
-      const constraintId = path.split('/')[path.split('/').length - 2];
-      const body = JSON.parse(event.body || '{}');
-      const result = await updateConstraintResolution(constraintId, body.resolution, body.updatedBy);
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify(result)
-      };
+    const result = await saveReport(body, { reportId: claim.record.report_id });
+    if (!result.success) {
+      await releaseIdempotencyKey(dynamoClient, submission);
+      return { statusCode: 500, body: result };
     }
 
-    // POST /api/analytics/constraints/:constraintId/status
-    if (path.match(/\/analytics\/constraints\/[^/]+\/status$/) && method === 'POST') {
-      const constraintId = path.split('/')[path.split('/').length - 2];
-      const body = JSON.parse(event.body || '{}');
-      const result = await updateConstraintStatus(constraintId, body.status, body.updatedBy);
+    await completeIdempotencyKey(dynamoClient, submission, result);
+    return { statusCode: 202, body: result };
+  } catch (error) {
+    console.error('Error in POST /api/reports:', error);
+    return { statusCode: 500, body: { success: false, error: error.message } };
+  }
+}
+
+/**
+ * GET /api/reports/:reportId/status - Progress of the report's processing job
+ */
+async function handleGetReportStatus({ params }) {
+  try {
+    const job = await reportJobs.get(params.reportId);
+    if (!job) {
       return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify(result)
+        statusCode: 404,
+        body: { success: false, error: 'No processing job for this report', code: 'NOT_FOUND' }
       };
     }
+    return { statusCode: 200, body: { success: true, job: formatJob(job) } };
+  } catch (error) {
+    console.error('Error in GET /api/reports/:reportId/status:', error);
+    return { statusCode: 500, body: { success: false, error: error.message } };
+  }
+}
 
-    // POST /api/elevenlabs/conversation - Proxy for ElevenLabs conversation API
-    if (path.endsWith('/elevenlabs/conversation') && method === 'POST') {
-      try {
-        const elevenLabsSecret = await getSecret('sitelogix/elevenlabs');
-        const body = JSON.parse(event.body || '{}');
+// Job statuses during which a correction would race the running pipeline
+const REPORT_PROCESSING_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.EXTRACTING, JOB_STATUS.NORMALIZING, JOB_STATUS.ANALYTICS];
 
-        // Forward the request to ElevenLabs with our API key
-        const elevenLabsResponse = await fetch('https://api.elevenlabs.io/v1/convai/conversation', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'xi-api-key': elevenLabsSecret.api_key
-          },
-          body: JSON.stringify(body)
-        });
+function reportNotFound() {
+  return { statusCode: 404, body: { success: false, error: 'Report not found', code: 'NOT_FOUND' } };
+}
 
-        const data = await elevenLabsResponse.json();
+/**
+ * Who made a change, as stored on the report
+ */
+function actorOf(user) {
+  return {
+    userId: user.userId,
+    name: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username || user.email
+  };
+}
 
-        return {
-          statusCode: elevenLabsResponse.status,
-          headers,
-          body: JSON.stringify(data)
-        };
-      } catch (error) {
-        console.error('Error proxying ElevenLabs request:', error);
-        return {
-          statusCode: 500,
-          headers,
-          body: JSON.stringify({ success: false, error: error.message })
-        };
-      }
-    }
+/**
+ * GET /api/reports/:reportId/extracted-data - Latest revision of the structured data
+ */
+async function handleGetExtractedData({ params, query }) {
+  try {
+    const report = await findReport(params.reportId, query.projectId, query.reportDate);
+    if (!report) return reportNotFound();
 
-    // GET /api/elevenlabs/agent-config - Get ElevenLabs agent ID
-    if (path.endsWith('/elevenlabs/agent-config') && method === 'GET') {
-      try {
-        const elevenLabsSecret = await getSecret('sitelogix/elevenlabs');
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify({
-            success: true,
-            agentId: elevenLabsSecret.agent_id
-          })
-        };
-      } catch (error) {
-        console.error('Error fetching ElevenLabs config:', error);
-        return {
-          statusCode: 500,
-          headers,
-          body: JSON.stringify({ success: false, error: error.message })
-        };
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        reportId: report.report_id,
+        projectId: report.project_id,
+        reportDate: report.report_date,
+        revision: currentRevision(report),
+        extractedData: parseExtractedData(report.extracted_data),
+        correctedBy: report.corrected_by || null,
+        correctedAt: report.corrected_at || null
       }
-    }
-
-    // GET /api/elevenlabs/conversation-token - Get conversation token for secure WebRTC connection
-    if (path.endsWith('/elevenlabs/conversation-token') && method === 'GET') {
-      try {
-        console.log('🔐 Fetching conversation token from ElevenLabs...');
-        const elevenLabsSecret = await getSecret('sitelogix/elevenlabs');
-
-        // Fetch conversation token from ElevenLabs API
-        const tokenUrl = `https://api.elevenlabs.io/v1/convai/conversation/token?agent_id=${elevenLabsSecret.agent_id}`;
-        console.log('📞 Requesting token from:', tokenUrl);
+    };
+  } catch (error) {
+    console.error('Error in GET /api/reports/:reportId/extracted-data:', error);
+    return { statusCode: 500, body: { success: false, error: error.message } };
+  }
+}
 
-        const elevenLabsResponse = await fetch(tokenUrl, {
-          method: 'GET',
-          headers: {
-            'xi-api-key': elevenLabsSecret.api_key
-          }
-        });
+/**
+ * PUT /api/reports/:reportId/extracted-data - Store a manager's correction as a new revision
+ *
+ * Send `baseRevision` (the revision the edit started from) to get a 409
+ * instead of overwriting someone else's correction. Payroll entries, anomaly
+ * flags, confidence scores and review items are rebuilt from the new revision
+ * by restarting the report's processing job.
+ */
+async function handleUpdateExtractedData({ params, query, body, user }) {
+  try {
+    const report = await findReport(params.reportId, query.projectId, query.reportDate);
+    if (!report) return reportNotFound();
 
-        if (!elevenLabsResponse.ok) {
-          const errorText = await elevenLabsResponse.text();
-          console.error('❌ ElevenLabs token API error:', elevenLabsResponse.status, errorText);
-          return {
-            statusCode: elevenLabsResponse.status,
-            headers,
-            body: JSON.stringify({
-              success: false,
-              error: `Failed to get conversation token: ${elevenLabsResponse.statusText}`
-            })
-          };
+    const job = await reportJobs.get(report.report_id);
+    if (job && REPORT_PROCESSING_STATUSES.includes(job.status)) {
+      return {
+        statusCode: 409,
+        body: {
+          success: false,
+          error: 'Report is still being processed; try again once processing finishes',
+          code: 'REPORT_PROCESSING',
+          status: job.status
         }
-
-        const tokenData = await elevenLabsResponse.json();
-        console.log('✅ Successfully fetched conversation token:', tokenData);
-
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify({
-            success: true,
-            signedUrl: tokenData.signed_url || tokenData.token
-          })
-        };
-      } catch (error) {
-        console.error('❌ Error fetching conversation token:', error);
-        return {
-          statusCode: 500,
-          headers,
-          body: JSON.stringify({ success: false, error: error.message })
-        };
-      }
+      };
     }
 
-    // GET /api/elevenlabs/transcript/:conversationId - Securely fetch conversation transcript
-    if (path.match(/\/elevenlabs\/transcript\/[^/]+$/) && method === 'GET') {
-      try {
-        const conversationId = path.split('/').pop();
-        console.log('🔍 Fetching transcript for conversation:', conversationId);
-
-        const elevenLabsSecret = await getSecret('sitelogix/elevenlabs');
+    const result = await reviseExtractedData(dynamoClient, report, {
+      extractedData: body.extractedData,
+      baseRevision: body.baseRevision,
+      author: actorOf(user),
+      note: body.note
+    });
 
-        // Fetch transcript from ElevenLabs API
-        const elevenLabsResponse = await fetch(
-          `https://api.elevenlabs.io/v1/convai/conversations/${conversationId}`,
-          {
-            headers: {
-              'xi-api-key': elevenLabsSecret.api_key
-            }
-          }
-        );
-
-        if (!elevenLabsResponse.ok) {
-          const errorText = await elevenLabsResponse.text();
-          console.error('ElevenLabs API error:', elevenLabsResponse.status, errorText);
-          return {
-            statusCode: elevenLabsResponse.status,
-            headers,
-            body: JSON.stringify({
-              success: false,
-              error: `ElevenLabs API error: ${elevenLabsResponse.statusText}`
-            })
-          };
+    if (result.status === 'conflict') {
+      return {
+        statusCode: 409,
+        body: {
+          success: false,
+          error: 'Report was corrected by someone else; reload it and apply your changes again',
+          code: 'REVISION_CONFLICT',
+          currentRevision: result.revision
         }
+      };
+    }
 
-        const transcriptData = await elevenLabsResponse.json();
-        console.log('✅ Successfully fetched transcript');
-
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify({
-            success: true,
-            data: transcriptData
-          })
-        };
-      } catch (error) {
-        console.error('Error fetching transcript:', error);
-        return {
-          statusCode: 500,
-          headers,
-          body: JSON.stringify({ success: false, error: error.message })
-        };
+    const restarted = await reportJobs.restart(job?.report || {
+      reportId: report.report_id,
+      projectId: report.project_id,
+      projectName: report.project_name,
+      projectLocation: report.project_location,
+      managerId: report.manager_id,
+      managerName: report.manager_name,
+      reportDate: report.report_date
+    }, {
+      extracting: {
+        employees: payrollEmployeesFromExtractedData(result.record.extracted_data),
+        revision: result.revision,
+        completed_at: result.record.created_at
       }
+    });
+    if (!restarted) {
+      console.warn(`⚠️ Could not restart processing for report ${report.report_id}; payroll still reflects the previous revision`);
     }
 
-    // GET /api/elevenlabs/audio/:conversationId - Securely fetch conversation audio
-    if (path.match(/\/elevenlabs\/audio\/[^/]+$/) && method === 'GET') {
-      try {
-        const conversationId = path.split('/').pop();
-        console.log('🔍 Fetching audio for conversation:', conversationId);
-
-        const elevenLabsSecret = await getSecret('sitelogix/elevenlabs');
-
-        // Try the recording endpoint first (newer API)
-        let audioUrl = `https://api.elevenlabs.io/v1/convai/conversations/${conversationId}/recording`;
-        let elevenLabsResponse = await fetch(audioUrl, {
-          headers: {
-            'xi-api-key': elevenLabsSecret.api_key
-          }
-        });
-
-        // If that fails, try the audio endpoint (older API)
-        if (!elevenLabsResponse.ok) {
-          audioUrl = `https://api.elevenlabs.io/v1/convai/conversations/${conversationId}/audio`;
-          elevenLabsResponse = await fetch(audioUrl, {
-            headers: {
-              'xi-api-key': elevenLabsSecret.api_key
-            }
-          });
-        }
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        reportId: report.report_id,
+        revision: result.revision,
+        changes: result.record.diff,
+        extractedData: result.record.extracted_data,
+        processing: restarted ? {
+          status: JOB_STATUS.QUEUED,
+          statusUrl: `/api/reports/${report.report_id}/status`
+        } : null
+      }
+    };
+  } catch (error) {
+    console.error('Error in PUT /api/reports/:reportId/extracted-data:', error);
+    return { statusCode: 500, body: { success: false, error: error.message } };
+  }
+}
 
-        if (!elevenLabsResponse.ok) {
-          const errorText = await elevenLabsResponse.text();
-          console.error('ElevenLabs audio API error:', elevenLabsResponse.status, errorText);
-          return {
-            statusCode: elevenLabsResponse.status,
-            headers,
-            body: JSON.stringify({
-              success: false,
-              error: `ElevenLabs audio API error: ${elevenLabsResponse.statusText}`
-            })
-          };
-        }
+/**
+ * GET /api/reports/:reportId/revisions - Revision history, oldest first
+ */
+async function handleListRevisions({ params, query }) {
+  try {
+    const report = await findReport(params.reportId, query.projectId, query.reportDate);
+    if (!report) return reportNotFound();
 
-        // Get the audio as a buffer
-        const audioBuffer = await elevenLabsResponse.arrayBuffer();
-        const audioBase64 = Buffer.from(audioBuffer).toString('base64');
+    const revisions = await listRevisions(dynamoClient, report.report_id);
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        reportId: report.report_id,
+        currentRevision: currentRevision(report),
+        revisions: revisions.map(record => formatRevision(record))
+      }
+    };
+  } catch (error) {
+    console.error('Error in GET /api/reports/:reportId/revisions:', error);
+    return { statusCode: 500, body: { success: false, error: error.message } };
+  }
+}
 
-        console.log('✅ Successfully fetched audio');
+/**
+ * GET /api/reports/:reportId/revisions/:revision - One revision with its data and diff
+ */
+async function handleGetRevision({ params }) {
+  try {
+    const revision = Number(params.revision);
+    if (!Number.isInteger(revision) || revision < 1) {
+      return validationErrorResponse([{ field: 'revision', message: 'revision must be a positive integer' }]);
+    }
 
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify({
-            success: true,
-            data: audioBase64,
-            contentType: elevenLabsResponse.headers.get('content-type') || 'audio/webm'
-          })
-        };
-      } catch (error) {
-        console.error('Error fetching audio:', error);
-        return {
-          statusCode: 500,
-          headers,
-          body: JSON.stringify({ success: false, error: error.message })
-        };
-      }
+    const record = await getRevision(dynamoClient, params.reportId, revision);
+    if (!record) {
+      return { statusCode: 404, body: { success: false, error: 'Revision not found', code: 'NOT_FOUND' } };
     }
+    return { statusCode: 200, body: { success: true, revision: formatRevision(record, { includeData: true }) } };
+  } catch (error) {
+    console.error('Error in GET /api/reports/:reportId/revisions/:revision:', error);
+    return { statusCode: 500, body: { success: false, error: error.message } };
+  }
+}
+
+/**
+ * DELETE /api/reports/:reportId - Tombstone a report (admin only, enforced by the route)
+ *
+ * Nothing is removed here; the retention job purges the report once it has
+ * been deleted for longer than the retention window.
+ */
+async function handleDeleteReport({ params, query, body, user }) {
+  const { projectId, reportDate } = query;
 
-    // =====================================================================
-    // PERSONNEL CRUD Routes
-    // =====================================================================
+  try {
+    // Validate required parameters
+    console.log(`🗑️ Delete parameters: reportId=${params.reportId}, projectId=${projectId}, reportDate=${reportDate}`);
 
-    // GET /api/personnel
-    if (path.endsWith('/personnel') && method === 'GET') {
-      const result = await listPersonnel(event.queryStringParameters || {});
+    if (!projectId || !reportDate) {
+      console.error('❌ Missing required parameters:', { projectId, reportDate });
       return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify(result)
+        statusCode: 400,
+        body: {
+          success: false,
+          error: 'Missing required parameters',
+          details: {
+            projectId: projectId ? 'present' : 'missing',
+            reportDate: reportDate ? 'present' : 'missing'
+          }
+        }
       };
     }
 
-    // POST /api/personnel
-    if (path.endsWith('/personnel') && method === 'POST') {
-      try {
-        const body = JSON.parse(event.body || '{}');
-        const result = await createPersonnel(body);
-        return {
-          statusCode: result.success ? 201 : 400,
-          headers,
-          body: JSON.stringify(result)
-        };
-      } catch (error) {
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify({ success: false, error: error.message })
-        };
-      }
+    // Validate date format (basic check)
+    if (!/^\d{4}-\d{2}-\d{2}/.test(reportDate)) {
+      console.error('❌ Invalid reportDate format:', reportDate);
+      return { statusCode: 400, body: { success: false, error: 'Invalid reportDate format. Expected YYYY-MM-DD' } };
     }
 
-    // GET /api/personnel/:id
-    if (path.match(/\/personnel\/[^/]+$/) && method === 'GET') {
-      const personnelId = path.split('/').pop();
-      const result = await getPersonnelById(personnelId);
-      return {
-        statusCode: result.success ? 200 : 404,
-        headers,
-        body: JSON.stringify(result)
-      };
+    const reason = body.reason.trim();
+    if (!reason) {
+      return validationErrorResponse([{ field: 'reason', message: 'reason must not be blank' }]);
     }
 
-    // PUT /api/personnel/:id - REMOVED (duplicate, using personnel-endpoints handler below)
-    // DELETE /api/personnel/:id - REMOVED (duplicate, using personnel-endpoints handler below)
+    // Trim parameters to handle whitespace
+    const key = {
+      projectId: projectId.trim(),
+      reportDate: reportDate.trim(),
+      reportId: params.reportId.trim()
+    };
 
-    // =====================================================================
-    // VENDOR CRUD Routes
-    // =====================================================================
+    console.log(`🗑️ Tombstoning report: PK=PROJECT#${key.projectId}, SK=REPORT#${key.reportDate}#${key.reportId}`);
 
-    // GET /api/vendors
-    if (path.endsWith('/vendors') && method === 'GET') {
-      const result = await listVendors(event.queryStringParameters || {});
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify(result)
-      };
-    }
+    const result = await softDeleteReport(dynamoClient, key, { by: actorOf(user), reason });
 
-    // POST /api/vendors
-    if (path.endsWith('/vendors') && method === 'POST') {
-      try {
-        const body = JSON.parse(event.body || '{}');
-        const result = await createVendor(body);
-        return {
-          statusCode: result.success ? 201 : 400,
-          headers,
-          body: JSON.stringify(result)
-        };
-      } catch (error) {
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify({ success: false, error: error.message })
-        };
-      }
+    if (result.status === 'not_found') {
+      return reportNotFound();
     }
-
-    // GET /api/vendors/:id
-    if (path.match(/\/vendors\/[^/]+$/) && method === 'GET') {
-      const vendorId = path.split('/').pop();
-      const result = await getVendorById(vendorId);
+    if (result.status === 'already_deleted') {
       return {
-        statusCode: result.success ? 200 : 404,
-        headers,
-        body: JSON.stringify(result)
+        statusCode: 409,
+        body: {
+          success: false,
+          error: 'Report is already deleted',
+          code: 'ALREADY_DELETED',
+          deletion: formatTombstone(result.report)
+        }
       };
     }
 
-    // PUT /api/vendors/:id
-    if (path.match(/\/vendors\/[^/]+$/) && method === 'PUT') {
-      try {
-        const vendorId = path.split('/').pop();
-        const body = JSON.parse(event.body || '{}');
-        const result = await updateVendor(vendorId, body);
-        return {
-          statusCode: result.success ? 200 : 400,
-          headers,
-          body: JSON.stringify(result)
-        };
-      } catch (error) {
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify({ success: false, error: error.message })
-        };
+    console.log(`✅ Deleted report ${key.reportId} by admin user ${user.userId}: ${reason}`);
+
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        message: 'Report deleted successfully',
+        reportId: key.reportId,
+        deletion: formatTombstone(result.report)
       }
-    }
+    };
+  } catch (error) {
+    console.error('❌ Error deleting report:', error);
+    console.error('❌ Error stack:', error.stack);
+    return { statusCode: 500, body: { success: false, error: error.message } };
+  }
+}
 
-    // DELETE /api/vendors/:id
-    if (path.match(/\/vendors\/[^/]+$/) && method === 'DELETE') {
-      const vendorId = path.split('/').pop();
-      const result = await deleteVendor(vendorId);
-      return {
-        statusCode: result.success ? 200 : 400,
-        headers,
-        body: JSON.stringify(result)
-      };
-    }
+/**
+ * POST /api/reports/:reportId/restore - Undo a delete (admin only, enforced by the route)
+ */
+async function handleRestoreReport({ params, query, user }) {
+  try {
+    const report = await findReport(params.reportId, query.projectId, query.reportDate, { includeDeleted: true });
+    if (!report) return reportNotFound();
 
-    // =====================================================================
-    // EXTRACTION Routes (Roxy AI)
-    // =====================================================================
+    const result = await restoreReport(dynamoClient, {
+      projectId: report.project_id,
+      reportDate: report.report_date,
+      reportId: report.report_id
+    }, actorOf(user));
 
-    // POST /api/extract/batch - Process batch of transcripts
-    if (path.endsWith('/extract/batch') && method === 'POST') {
-      try {
-        const body = JSON.parse(event.body || '{}');
-        const result = await processBatchTranscripts(body);
-        return {
-          statusCode: result.success ? 200 : 500,
-          headers,
-          body: JSON.stringify(result)
-        };
-      } catch (error) {
-        return {
-          statusCode: 500,
-          headers,
-          body: JSON.stringify({ success: false, error: error.message })
-        };
-      }
+    if (result.status === 'not_found') return reportNotFound();
+    if (result.status === 'not_deleted') {
+      return { statusCode: 409, body: { success: false, error: 'Report is not deleted', code: 'NOT_DELETED' } };
     }
 
-    // POST /api/extract/personnel/seed - Seed master personnel
-    if (path.endsWith('/extract/personnel/seed') && method === 'POST') {
-      try {
-        const result = await seedMasterPersonnel();
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify({ success: true, result })
-        };
-      } catch (error) {
-        return {
-          statusCode: 500,
-          headers,
-          body: JSON.stringify({ success: false, error: error.message })
-        };
+    console.log(`♻️ Restored report ${report.report_id} by admin user ${user.userId}`);
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        message: 'Report restored successfully',
+        reportId: report.report_id,
+        deletionHistory: result.report.deletion_history
       }
-    }
+    };
+  } catch (error) {
+    console.error('Error in POST /api/reports/:reportId/restore:', error);
+    return { statusCode: 500, body: { success: false, error: error.message } };
+  }
+}
+
+/**
+ * List one page of deleted reports awaiting purge, oldest deletion first
+ */
+async function listDeletedReports(queryParams = {}, page) {
+  try {
+    console.log('🗑️ Fetching deleted reports...');
 
-    // GET /api/extract/master-data - Get master personnel and projects
-    if (path.endsWith('/extract/master-data') && method === 'GET') {
+    const { items, lastKey } = await queryPage(dynamoClient, QueryCommand, deletedReportsQuery(), page);
+    const days = retentionDays();
+    const reports = items.map(item => {
+      const report = unmarshall(item);
       return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify({
-          success: true,
-          personnel: getMasterPersonnel(),
-          projects: getMasterProjects()
-        })
+        reportId: report.report_id,
+        projectId: report.project_id,
+        projectName: report.project_name,
+        managerName: report.manager_name,
+        reportDate: report.report_date,
+        deletion: formatTombstone(report, days)
       };
-    }
+    });
 
-    // =====================================================================
-    // Business Intelligence (BI) Routes
-    // =====================================================================
+    return { success: true, retentionDays: days, reports, pagination: pageInfo(page.limit, lastKey) };
+  } catch (error) {
+    console.error('❌ Error fetching deleted reports:', error);
+    return { success: false, error: error.message, reports: [] };
+  }
+}
 
-    // GET /api/bi/executive - Executive Dashboard (Portfolio Health, Financial Snapshot)
-    if (path.endsWith('/bi/executive') && method === 'GET') {
-      const result = await getExecutiveDashboard();
-      return {
-        statusCode: result.success ? 200 : 500,
-        headers,
-        body: JSON.stringify(result)
-      };
-    }
+/**
+ * GET /api/review - Items awaiting review across reports, newest first
+ *
+ * Covers low-confidence extracted personnel, vendors and constraints plus
+ * payroll name matches and hours; `status`, `type` and `projectId` filter it.
+ */
+async function listReviewItems(query = {}, page) {
+  try {
+    const { items, lastKey } = await queryPage(dynamoClient, QueryCommand, reviewQueryParams({
+      status: query.status,
+      type: query.type,
+      projectId: query.projectId
+    }), page);
+    const reviewItems = items.map(item => formatReviewItem(unmarshall(item)));
+
+    return { success: true, items: reviewItems, count: reviewItems.length, pagination: pageInfo(page.limit, lastKey) };
+  } catch (error) {
+    console.error('❌ Error fetching review queue:', error);
+    return { success: false, error: error.message, items: [] };
+  }
+}
 
-    // GET /api/bi/personnel - Personnel Intelligence (Labor Costs, OT Analysis)
-    if (path.endsWith('/bi/personnel') && method === 'GET') {
-      const result = await getPersonnelIntelligence(event.queryStringParameters || {});
-      return {
-        statusCode: result.success ? 200 : 500,
-        headers,
-        body: JSON.stringify(result)
-      };
-    }
+/**
+ * PUT /api/review/:reviewId - Mark a review item resolved
+ */
+async function handleResolveReviewItem({ params, body, user }) {
+  const item = await reviewQueue.resolve(params.reviewId, {
+    resolvedBy: actorOf(user).name,
+    note: body.note
+  });
+  if (!item) {
+    return {
+      statusCode: 404,
+      body: { success: false, error: 'Review item not found', code: 'NOT_FOUND' }
+    };
+  }
+  return { statusCode: 200, body: { success: true, item } };
+}
 
-    // GET /api/bi/vendors - Vendor Intelligence (Performance Grading, Chargebacks)
-    if (path.endsWith('/bi/vendors') && method === 'GET') {
-      const result = await getVendorIntelligence(event.queryStringParameters || {});
-      return {
-        statusCode: result.success ? 200 : 500,
-        headers,
-        body: JSON.stringify(result)
-      };
-    }
+// ============================================================================
+// PERSONNEL MERGE REVIEW
+// ============================================================================
 
-    // GET /api/bi/projects/:project_id/health - Project Health Deep-Dive
-    if (path.match(/\/bi\/projects\/[^/]+\/health$/) && method === 'GET') {
-      const pathParts = path.split('/');
-      const projectId = pathParts[pathParts.length - 2];
-      const result = await getProjectHealth(projectId);
-      return {
-        statusCode: result.success ? 200 : 500,
-        headers,
-        body: JSON.stringify(result)
-      };
-    }
+/**
+ * Score every active employee against the others and refresh the open merge
+ * candidates (scheduled daily, or POST /api/personnel/merge-candidates/sweep)
+ */
+async function runDuplicateSweep() {
+  const employees = await personnelService.listEmployees({ status: 'active' });
+  return mergeCandidates.sweep(employees);
+}
 
-    // GET /api/bi/constraints - Constraint Analytics (Cost Impacts, ROI Opportunities)
-    if (path.endsWith('/bi/constraints') && method === 'GET') {
-      const result = await getConstraintAnalytics(event.queryStringParameters || {});
-      return {
-        statusCode: result.success ? 200 : 500,
-        headers,
-        body: JSON.stringify(result)
-      };
-    }
+/**
+ * Employee record without its password hash
+ */
+function publicEmployee(employee) {
+  const { passwordHash, ...rest } = employee;
+  return rest;
+}
 
-    // GET /api/bi/recommendations - Strategic Insights (Cost Reduction, Risk Mitigation, Growth)
-    if (path.endsWith('/bi/recommendations') && method === 'GET') {
-      const result = await getStrategicInsights(event.queryStringParameters || {});
-      return {
-        statusCode: result.success ? 200 : 500,
-        headers,
-        body: JSON.stringify(result)
-      };
-    }
+/**
+ * MergePreview for keeping `primaryId` and merging the other employee of the
+ * pair into it, or null once either employee is no longer active
+ */
+async function mergePreviewFor(candidate, primaryId = candidate.suggestedPrimaryId) {
+  const duplicateId = candidate.people.map(p => p.personId).find(id => id !== primaryId);
+  try {
+    const preview = await personnelService.suggestMerge(primaryId, duplicateId);
+    const employees = [preview.primaryEmployee, preview.duplicateEmployee];
+    if (!employees.every(employee => employee.employmentStatus === 'active')) return null;
 
-    // POST /api/bi/query - AI Natural Language Query
-    if (path.endsWith('/bi/query') && method === 'POST') {
-      try {
-        const body = JSON.parse(event.body || '{}');
-        const result = await queryWithAI(body.query || '');
-        return {
-          statusCode: result.success ? 200 : 500,
-          headers,
-          body: JSON.stringify(result)
-        };
-      } catch (error) {
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify({ success: false, error: error.message })
-        };
-      }
-    }
+    return {
+      ...preview,
+      primaryEmployee: publicEmployee(preview.primaryEmployee),
+      duplicateEmployee: publicEmployee(preview.duplicateEmployee)
+    };
+  } catch (error) {
+    console.warn(`⚠️ No merge preview for ${candidate.candidateId}: ${error.message}`);
+    return null;
+  }
+}
 
-    // =====================================================================
-    // BI Report Endpoints
-    // =====================================================================
+/**
+ * GET /api/personnel/merge-candidates - Possible duplicate employees
+ *
+ * Open candidates come with the preview for their suggested primary; pairs
+ * where either employee has since been merged away or terminated are left
+ * out until the next sweep clears them. Each page is ordered best score first.
+ */
+async function listMergeCandidates(query = {}, page) {
+  try {
+    const status = query.status || 'open';
+    const { items, lastKey } = await queryPage(dynamoClient, QueryCommand, mergeCandidateQueryParams(status), page);
+    let candidates = items.map(item => formatMergeCandidate(unmarshall(item)));
 
-    // GET /api/bi/reports/overtime - Overtime Analysis Report
-    if (path.endsWith('/bi/reports/overtime') && method === 'GET') {
-      const result = await getOvertimeReport();
-      return {
-        statusCode: result.success ? 200 : 500,
-        headers,
-        body: JSON.stringify(result)
-      };
+    if (status === 'open') {
+      const previews = await Promise.all(candidates.map(candidate => mergePreviewFor(candidate)));
+      candidates = candidates
+        .map((candidate, index) => ({ ...candidate, preview: previews[index] }))
+        .filter(candidate => candidate.preview);
     }
+    candidates.sort((a, b) => b.score - a.score);
 
-    // GET /api/bi/reports/constraints - Constraints by Project Report
-    if (path.endsWith('/bi/reports/constraints') && method === 'GET') {
-      const result = await getConstraintsReport();
-      return {
-        statusCode: result.success ? 200 : 500,
-        headers,
-        body: JSON.stringify(result)
-      };
-    }
+    return { success: true, candidates, count: candidates.length, pagination: pageInfo(page.limit, lastKey) };
+  } catch (error) {
+    console.error('❌ Error fetching merge candidates:', error);
+    return { success: false, error: error.message, candidates: [] };
+  }
+}
 
-    // GET /api/bi/reports/savings - Cost Analysis & Savings Opportunities
-    if (path.endsWith('/bi/reports/savings') && method === 'GET') {
-      const result = await getCostAnalysisReport();
-      return {
-        statusCode: result.success ? 200 : 500,
-        headers,
-        body: JSON.stringify(result)
-      };
-    }
+/**
+ * An open candidate, or the error response explaining why it can't be acted on
+ */
+async function openMergeCandidate(candidateId) {
+  const candidate = await mergeCandidates.get(candidateId);
+  if (!candidate) {
+    return { response: { statusCode: 404, body: { success: false, error: 'Merge candidate not found', code: 'NOT_FOUND' } } };
+  }
+  if (candidate.status !== 'open') {
+    return {
+      response: {
+        statusCode: 409,
+        body: { success: false, error: `This pair was already ${candidate.status}`, code: 'ALREADY_RESOLVED', candidate }
+      }
+    };
+  }
+  return { candidate };
+}
 
-    // GET /api/bi/reports/deliveries - Delivery Performance Report
-    if (path.endsWith('/bi/reports/deliveries') && method === 'GET') {
-      const result = await getDeliveryPerformanceReport();
-      return {
-        statusCode: result.success ? 200 : 500,
-        headers,
-        body: JSON.stringify(result)
-      };
-    }
+/**
+ * GET /api/personnel/merge-candidates/:candidateId/preview - MergePreview
+ * keeping `primaryId` (default: the suggested primary)
+ */
+async function handleGetMergePreview({ params, query }) {
+  const { candidate, response } = await openMergeCandidate(params.candidateId);
+  if (response) return response;
 
-    // =====================================================================
-    // Health Check Route
-    // =====================================================================
+  const primaryId = query.primaryId || candidate.suggestedPrimaryId;
+  if (!candidate.people.some(p => p.personId === primaryId)) {
+    return {
+      statusCode: 400,
+      body: { success: false, error: 'primaryId must be one of the pair', code: 'INVALID_PRIMARY' }
+    };
+  }
 
-    if (path.endsWith('/health') && method === 'GET') {
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify({ status: 'ok', timestamp: new Date().toISOString() })
-      };
-    }
+  const preview = await mergePreviewFor(candidate, primaryId);
+  if (!preview) {
+    return {
+      statusCode: 409,
+      body: { success: false, error: 'One of these employees is no longer active', code: 'STALE_CANDIDATE' }
+    };
+  }
+  return { statusCode: 200, body: { success: true, candidate, preview } };
+}
 
-    // =====================================================================
-    // AUTHENTICATION ENDPOINTS (AWS Cognito)
-    // =====================================================================
+/**
+ * POST /api/personnel/merge-candidates/:candidateId/merge - Merge the pair
+ * into `primaryId` (default: the suggested primary)
+ */
+async function handleMergeCandidate({ params, body, user }) {
+  const { candidate, response } = await openMergeCandidate(params.candidateId);
+  if (response) return response;
 
-    // POST /api/auth/login - Sign in with email and password
-    if (path.endsWith('/auth/login') && method === 'POST') {
-      const { email, password, username, passcode } = body;
-      // Support both email/password and username/passcode for backwards compatibility
-      const loginEmail = email || username;
-      const loginPassword = password || passcode;
+  const primaryId = body.primaryId || candidate.suggestedPrimaryId;
+  if (!candidate.people.some(p => p.personId === primaryId)) {
+    return {
+      statusCode: 400,
+      body: { success: false, error: 'primaryId must be one of the pair', code: 'INVALID_PRIMARY' }
+    };
+  }
+  if (!(await mergePreviewFor(candidate, primaryId))) {
+    return {
+      statusCode: 409,
+      body: { success: false, error: 'One of these employees is no longer active', code: 'STALE_CANDIDATE' }
+    };
+  }
 
-      const result = await handleCognitoLogin(loginEmail, loginPassword);
+  const duplicateId = candidate.people.map(p => p.personId).find(id => id !== primaryId);
+  let merged;
+  try {
+    merged = await personnelService.mergeEmployees(primaryId, duplicateId, {
+      mergedBy: actorOf(user).name,
+      note: body.note,
+      candidateId: candidate.candidateId
+    });
+  } catch (error) {
+    if (error.name !== 'PersonnelMergeConflictError') throw error;
+    return { statusCode: 409, body: { success: false, error: error.message, code: 'MERGE_CONFLICT' } };
+  }
 
-      return {
-        statusCode: result.success ? 200 : (result.code === 'AUTH_FAILED' ? 401 : 400),
-        headers,
-        body: JSON.stringify(result)
-      };
-    }
+  const resolved = await mergeCandidates.resolve(candidate.candidateId, 'merged', {
+    resolvedBy: actorOf(user).name,
+    note: body.note,
+    mergedIntoId: primaryId,
+    mergeId: merged.merge.mergeId
+  });
 
-    // POST /api/auth/logout - Sign out user
-    if (path.endsWith('/auth/logout') && method === 'POST') {
-      try {
-        const token = event.headers?.authorization?.replace('Bearer ', '') || event.headers?.Authorization?.replace('Bearer ', '');
-        if (!token) {
-          return {
-            statusCode: 401,
-            headers,
-            body: JSON.stringify({ success: false, error: 'No token provided', code: 'UNAUTHORIZED' })
-          };
-        }
+  return {
+    statusCode: 200,
+    body: { success: true, candidate: resolved, employee: publicEmployee(merged.employee), merge: merged.merge }
+  };
+}
 
-        const result = await handleCognitoLogout(token);
-        return {
-          statusCode: result.success ? 200 : 401,
-          headers,
-          body: JSON.stringify(result)
-        };
-      } catch (error) {
-        console.error('Logout error:', error);
-        return {
-          statusCode: 500,
-          headers,
-          body: JSON.stringify({ success: false, error: 'Logout failed', code: 'INTERNAL_ERROR' })
-        };
-      }
-    }
+/**
+ * POST /api/personnel/merge-candidates/:candidateId/dismiss - Not a duplicate;
+ * the sweep won't raise the pair again
+ */
+async function handleDismissMergeCandidate({ params, body, user }) {
+  const { candidate, response } = await openMergeCandidate(params.candidateId);
+  if (response) return response;
 
-    // POST /api/auth/refresh - Refresh access token
-    if (path.endsWith('/auth/refresh') && method === 'POST') {
-      const { refreshToken } = body;
-      const result = await handleCognitoRefresh(refreshToken);
+  const resolved = await mergeCandidates.resolve(candidate.candidateId, 'dismissed', {
+    resolvedBy: actorOf(user).name,
+    note: body.note
+  });
+  return { statusCode: 200, body: { success: true, candidate: resolved } };
+}
 
-      return {
-        statusCode: result.success ? 200 : (result.code === 'TOKEN_EXPIRED' ? 401 : 400),
-        headers,
-        body: JSON.stringify(result)
-      };
-    }
+/**
+ * GET /api/personnel/merges/:mergeId - A merge's audit record
+ */
+async function handleGetPersonnelMerge({ params }) {
+  const merge = await personnelService.getMerge(params.mergeId);
+  if (!merge) {
+    return { statusCode: 404, body: { success: false, error: 'Merge not found', code: 'NOT_FOUND' } };
+  }
+  return { statusCode: 200, body: { success: true, merge } };
+}
 
-    // GET /api/auth/me - Get current user info
-    if (path.endsWith('/auth/me') && method === 'GET') {
-      try {
-        const token = event.headers?.authorization?.replace('Bearer ', '') || event.headers?.Authorization?.replace('Bearer ', '');
-        if (!token) {
-          return {
-            statusCode: 401,
-            headers,
-            body: JSON.stringify({ success: false, error: 'No token provided', code: 'UNAUTHORIZED' })
-          };
-        }
+/**
+ * POST /api/personnel/merges/:mergeId/unmerge - Undo a merge from its audit
+ * record; the pair's merge candidate is opened again
+ */
+async function handleUnmergePersonnel({ params, body, user }) {
+  const existing = await personnelService.getMerge(params.mergeId);
+  if (!existing) {
+    return { statusCode: 404, body: { success: false, error: 'Merge not found', code: 'NOT_FOUND' } };
+  }
 
-        const result = await getCurrentUser(token);
-        return {
-          statusCode: result.success ? 200 : 401,
-          headers,
-          body: JSON.stringify(result)
-        };
-      } catch (error) {
-        console.error('Get current user error:', error);
-        return {
-          statusCode: 401,
-          headers,
-          body: JSON.stringify({ success: false, error: 'Invalid token', code: 'UNAUTHORIZED' })
-        };
-      }
-    }
+  let merge;
+  try {
+    merge = await personnelService.unmergeEmployees(params.mergeId, {
+      unmergedBy: actorOf(user).name,
+      note: body.note
+    });
+  } catch (error) {
+    if (error.name !== 'PersonnelMergeConflictError') throw error;
+    return { statusCode: 409, body: { success: false, error: error.message, code: 'MERGE_CONFLICT' } };
+  }
+  if (!merge) {
+    return {
+      statusCode: 409,
+      body: { success: false, error: `This merge is ${existing.status}, not merged`, code: 'NOT_MERGED', merge: existing }
+    };
+  }
 
-    // POST /api/auth/change-password - Change user's password
-    if (path.endsWith('/auth/change-password') && method === 'POST') {
-      try {
-        const token = event.headers?.authorization?.replace('Bearer ', '') || event.headers?.Authorization?.replace('Bearer ', '');
-        if (!token) {
-          return {
-            statusCode: 401,
-            headers,
-            body: JSON.stringify({ success: false, error: 'No token provided', code: 'UNAUTHORIZED' })
-          };
-        }
+  const candidate = merge.candidateId ? await mergeCandidates.reopen(merge.candidateId) : null;
+  return { statusCode: 200, body: { success: true, merge, candidate } };
+}
 
-        const { currentPassword, newPassword, oldPassword } = body;
-        // Support both field naming conventions
-        const oldPass = currentPassword || oldPassword;
-        const result = await changePassword(token, oldPass, newPassword);
+/**
+ * GET /api/analytics/reports/:reportType
+ */
+async function handleGetAnalyticsReport({ params }) {
+  const { reportType } = params;
+  let result;
+
+  // Route to appropriate report handler
+  if (reportType === 'deliveries') {
+    result = await getDeliveryReport();
+  } else if (reportType === 'overtime') {
+    result = await getOvertimeReport();
+  } else {
+    // Default to constraint report for 'critical', 'constraints', etc.
+    result = await getConstraintReport(reportType);
+  }
 
-        return {
-          statusCode: result.success ? 200 : (result.code === 'INVALID_PASSWORD' ? 401 : 400),
-          headers,
-          body: JSON.stringify(result)
-        };
-      } catch (error) {
-        console.error('Change password error:', error);
-        return {
-          statusCode: 500,
-          headers,
-          body: JSON.stringify({ success: false, error: 'Password change failed', code: 'INTERNAL_ERROR' })
-        };
-      }
-    }
+  return { statusCode: 200, body: result };
+}
 
-    // POST /api/auth/reset-password - Trigger password reset (admin or self-service)
-    if (path.endsWith('/auth/reset-password') && method === 'POST') {
-      const { email } = body;
-      const result = await resetPassword(email);
+/**
+ * Every report matching the filters, reading only the prompt version stats
+ */
+async function getPromptVersionStatReports(filters) {
+  const plan = planReportQuery(filters);
+  const withProjection = (params) => ({ ...params, ProjectionExpression: STAT_ATTRIBUTES.join(', ') });
+  const reports = [];
+  const page = { limit: MAX_LIMIT };
+
+  do {
+    const result = plan.type === 'months'
+      ? await queryReportMonths({ ...plan, params: month => withProjection(plan.params(month)) }, page)
+      : await queryPage(dynamoClient, plan.type === 'query' ? QueryCommand : ScanCommand, marshallReportParams(withProjection(plan.params)), page);
+    reports.push(...result.items.map(item => unmarshall(item)));
+    page.startKey = result.lastKey;
+  } while (page.startKey);
+
+  return reports;
+}
 
-      return {
-        statusCode: result.success ? 200 : (result.code === 'USER_NOT_FOUND' ? 404 : 400),
-        headers,
-        body: JSON.stringify(result)
-      };
-    }
+/**
+ * GET /api/analytics/prompt-versions
+ * Confidence, review and failure rates per extraction model version, to
+ * decide whether an experimental prompt rolls forward or back
+ */
+async function handleGetPromptVersions({ query }) {
+  const errors = checkReportFilters(query);
+  if (errors.length > 0) {
+    return validationErrorResponse(errors);
+  }
 
-    // POST /api/auth/register - Create new user (admin operation)
-    if (path.endsWith('/auth/register') && method === 'POST') {
-      try {
-        // Verify admin access
-        const token = event.headers?.authorization?.replace('Bearer ', '') || event.headers?.Authorization?.replace('Bearer ', '');
-        if (token) {
-          const verification = await verifyCognitoToken(token);
-          if (!verification.success || !['admin', 'superadmin'].includes(verification.user?.role)) {
-            return {
-              statusCode: 403,
-              headers,
-              body: JSON.stringify({ success: false, error: 'Admin access required', code: 'FORBIDDEN' })
-            };
-          }
-        }
+  try {
+    const { from, to, projectId, managerId } = query;
+    const reports = await getPromptVersionStatReports({ from, to, projectId, managerId });
+    const rules = PromptRegistry.getRoutingRules();
 
-        const result = await createCognitoUser(body);
-        return {
-          statusCode: result.success ? 201 : (result.code === 'USER_EXISTS' ? 409 : 400),
-          headers,
-          body: JSON.stringify(result)
-        };
-      } catch (error) {
-        console.error('Register error:', error);
-        return {
-          statusCode: 500,
-          headers,
-          body: JSON.stringify({ success: false, error: 'Registration failed', code: 'INTERNAL_ERROR' })
-        };
+    console.log(`🧪 Comparing prompt versions over ${reports.length} reports`);
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        activeVersion: AIModelRegistry.getActiveVersion().version,
+        routingRules: rules,
+        versions: summarizePromptVersions(reports, { versions: AIModelRegistry.getAllVersions(), rules })
       }
-    }
-
-    // =====================================================================
-    // EMPLOYEE MANAGEMENT ENDPOINTS
-    // =====================================================================
+    };
+  } catch (error) {
+    console.error('❌ Error comparing prompt versions:', error);
+    return { statusCode: 500, body: { success: false, error: error.message } };
+  }
+}
 
-    // GET /api/employees
-    if (path.endsWith('/employees') && method === 'GET') {
-      const result = await handleListEmployees(event);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+/**
+ * POST /api/elevenlabs/conversation - Proxy for ElevenLabs conversation API
+ */
+async function handleElevenLabsConversation({ body }) {
+  try {
+    const elevenLabsSecret = await getSecret('sitelogix/elevenlabs');
+
+    // Forward the request to ElevenLabs with our API key
+    const elevenLabsResponse = await fetch('https://api.elevenlabs.io/v1/convai/conversation', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'xi-api-key': elevenLabsSecret.api_key
+      },
+      body: JSON.stringify(body)
+    });
 
-    // POST /api/employees
-    if (path.endsWith('/employees') && method === 'POST') {
-      const result = await handleCreateEmployee(event);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+    const data = await elevenLabsResponse.json();
 
-    // GET /api/employees/:id
-    if (path.match(/\/employees\/[^/]+$/) && method === 'GET' && !path.includes('/hours')) {
-      const employeeId = path.split('/').pop();
-      const result = await handleGetEmployee(event, employeeId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+    return { statusCode: elevenLabsResponse.status, body: data };
+  } catch (error) {
+    console.error('Error proxying ElevenLabs request:', error);
+    return { statusCode: 500, body: { success: false, error: error.message } };
+  }
+}
 
-    // PUT /api/employees/:id
-    if (path.match(/\/employees\/[^/]+$/) && method === 'PUT') {
-      const employeeId = path.split('/').pop();
-      const result = await handleUpdateEmployee(event, employeeId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+/**
+ * GET /api/elevenlabs/agent-config - Get ElevenLabs agent ID
+ */
+async function handleElevenLabsAgentConfig() {
+  try {
+    const elevenLabsSecret = await getSecret('sitelogix/elevenlabs');
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        agentId: elevenLabsSecret.agent_id
+      }
+    };
+  } catch (error) {
+    console.error('Error fetching ElevenLabs config:', error);
+    return { statusCode: 500, body: { success: false, error: error.message } };
+  }
+}
 
-    // DELETE /api/employees/:id
-    if (path.match(/\/employees\/[^/]+$/) && method === 'DELETE') {
-      const employeeId = path.split('/').pop();
-      const result = await handleDeleteEmployee(event, employeeId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+/**
+ * GET /api/elevenlabs/conversation-token - Get conversation token for secure WebRTC connection
+ */
+async function handleElevenLabsConversationToken() {
+  try {
+    console.log('🔐 Fetching conversation token from ElevenLabs...');
+    const elevenLabsSecret = await getSecret('sitelogix/elevenlabs');
 
-    // GET /api/employees/:id/hours
-    if (path.match(/\/employees\/[^/]+\/hours$/) && method === 'GET') {
-      const employeeId = path.split('/')[path.split('/').length - 2];
-      const result = await handleGetEmployeeHours(event, employeeId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+    // Fetch conversation token from ElevenLabs API
+    const tokenUrl = `https://api.elevenlabs.io/v1/convai/conversation/token?agent_id=${elevenLabsSecret.agent_id}`;
+    console.log('📞 Requesting token from:', tokenUrl);
 
-    // =====================================================================
-    // PERSONNEL ENDPOINTS
-    // =====================================================================
+    const elevenLabsResponse = await fetch(tokenUrl, {
+      method: 'GET',
+      headers: {
+        'xi-api-key': elevenLabsSecret.api_key
+      }
+    });
 
-    // GET /api/personnel
-    if (path.endsWith('/personnel') && method === 'GET') {
-      const result = await handleListPersonnel(event);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
+    if (!elevenLabsResponse.ok) {
+      const errorText = await elevenLabsResponse.text();
+      console.error('❌ ElevenLabs token API error:', elevenLabsResponse.status, errorText);
+      return {
+        statusCode: elevenLabsResponse.status,
+        body: {
+          success: false,
+          error: `Failed to get conversation token: ${elevenLabsResponse.statusText}`
+        }
+      };
     }
 
-    // =====================================================================
-    // PROJECT MANAGEMENT ENDPOINTS (Admin)
-    // =====================================================================
+    const tokenData = await elevenLabsResponse.json();
+    console.log('✅ Successfully fetched conversation token:', tokenData);
 
-    // GET /api/projects/admin
-    if (path.endsWith('/projects/admin') && method === 'GET') {
-      const result = await handleListProjectsAdmin(event);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        signedUrl: tokenData.signed_url || tokenData.token
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error fetching conversation token:', error);
+    return { statusCode: 500, body: { success: false, error: error.message } };
+  }
+}
 
-    // POST /api/projects/admin
-    if (path.endsWith('/projects/admin') && method === 'POST') {
-      const result = await handleCreateProject(event);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+/**
+ * GET /api/elevenlabs/transcript/:conversationId - Securely fetch conversation transcript
+ */
+async function handleElevenLabsTranscript({ params }) {
+  try {
+    const { conversationId } = params;
+    console.log('🔍 Fetching transcript for conversation:', conversationId);
 
-    // GET /api/projects/admin/:id
-    if (path.match(/\/projects\/admin\/[^/]+$/) && method === 'GET') {
-      const projectId = path.split('/').pop();
-      const result = await handleGetProjectAdmin(event, projectId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+    const elevenLabsSecret = await getSecret('sitelogix/elevenlabs');
 
-    // PUT /api/projects/admin/:id
-    if (path.match(/\/projects\/admin\/[^/]+$/) && method === 'PUT') {
-      const projectId = path.split('/').pop();
-      const result = await handleUpdateProject(event, projectId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+    // Fetch transcript from ElevenLabs API
+    const elevenLabsResponse = await fetch(
+      `https://api.elevenlabs.io/v1/convai/conversations/${conversationId}`,
+      {
+        headers: {
+          'xi-api-key': elevenLabsSecret.api_key
+        }
+      }
+    );
 
-    // DELETE /api/projects/admin/:id
-    if (path.match(/\/projects\/admin\/[^/]+$/) && method === 'DELETE') {
-      const projectId = path.split('/').pop();
-      const result = await handleDeleteProject(event, projectId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
+    if (!elevenLabsResponse.ok) {
+      const errorText = await elevenLabsResponse.text();
+      console.error('ElevenLabs API error:', elevenLabsResponse.status, errorText);
+      return {
+        statusCode: elevenLabsResponse.status,
+        body: {
+          success: false,
+          error: `ElevenLabs API error: ${elevenLabsResponse.statusText}`
+        }
+      };
     }
 
-    // PUT /api/projects/admin/:id/status
-    if (path.match(/\/projects\/admin\/[^/]+\/status$/) && method === 'PUT') {
-      const projectId = path.split('/')[path.split('/').length - 2];
-      const result = await handleUpdateProjectStatus(event, projectId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+    const transcriptData = await elevenLabsResponse.json();
+    console.log('✅ Successfully fetched transcript');
 
-    // POST /api/projects/admin/:id/timeline
-    if (path.match(/\/projects\/admin\/[^/]+\/timeline$/) && method === 'POST') {
-      const projectId = path.split('/')[path.split('/').length - 2];
-      const result = await handleUpdateProjectTimeline(event, projectId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        data: transcriptData
+      }
+    };
+  } catch (error) {
+    console.error('Error fetching transcript:', error);
+    return { statusCode: 500, body: { success: false, error: error.message } };
+  }
+}
+
+/**
+ * GET /api/elevenlabs/audio/:conversationId - Securely fetch conversation audio
+ */
+async function handleElevenLabsAudio({ params }) {
+  try {
+    const { conversationId } = params;
+    console.log('🔍 Fetching audio for conversation:', conversationId);
 
-    // =====================================================================
-    // TIME TRACKING ENDPOINTS
-    // =====================================================================
+    const elevenLabsSecret = await getSecret('sitelogix/elevenlabs');
 
-    // POST /api/time-entries
-    if (path.endsWith('/time-entries') && method === 'POST') {
-      const result = await handleCreateTimeEntry(event);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+    // Try the recording endpoint first (newer API)
+    let audioUrl = `https://api.elevenlabs.io/v1/convai/conversations/${conversationId}/recording`;
+    let elevenLabsResponse = await fetch(audioUrl, {
+      headers: {
+        'xi-api-key': elevenLabsSecret.api_key
+      }
+    });
 
-    // GET /api/time-entries
-    if (path.endsWith('/time-entries') && method === 'GET') {
-      const result = await handleListTimeEntries(event);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
+    // If that fails, try the audio endpoint (older API)
+    if (!elevenLabsResponse.ok) {
+      audioUrl = `https://api.elevenlabs.io/v1/convai/conversations/${conversationId}/audio`;
+      elevenLabsResponse = await fetch(audioUrl, {
+        headers: {
+          'xi-api-key': elevenLabsSecret.api_key
+        }
+      });
     }
 
-    // PUT /api/time-entries/:id
-    if (path.match(/\/time-entries\/[^/]+$/) && method === 'PUT') {
-      const entryId = path.split('/').pop();
-      const result = await handleUpdateTimeEntry(event, entryId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
+    if (!elevenLabsResponse.ok) {
+      const errorText = await elevenLabsResponse.text();
+      console.error('ElevenLabs audio API error:', elevenLabsResponse.status, errorText);
+      return {
+        statusCode: elevenLabsResponse.status,
+        body: {
+          success: false,
+          error: `ElevenLabs audio API error: ${elevenLabsResponse.statusText}`
+        }
+      };
     }
 
-    // =====================================================================
-    // PERSONNEL MANAGEMENT ENDPOINTS
-    // =====================================================================
+    // Get the audio as a buffer
+    const audioBuffer = await elevenLabsResponse.arrayBuffer();
+    const audioBase64 = Buffer.from(audioBuffer).toString('base64');
 
-    // POST /api/personnel/match - Match or create employee (used by Roxy)
-    if (path.endsWith('/personnel/match') && method === 'POST') {
-      const result = await handleMatchOrCreateEmployee(event);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+    console.log('✅ Successfully fetched audio');
 
-    // GET /api/personnel/search - Search employees by name
-    if (path.endsWith('/personnel/search') && method === 'GET') {
-      const result = await handleSearchEmployees(event);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        data: audioBase64,
+        contentType: elevenLabsResponse.headers.get('content-type') || 'audio/webm'
+      }
+    };
+  } catch (error) {
+    console.error('Error fetching audio:', error);
+    return { statusCode: 500, body: { success: false, error: error.message } };
+  }
+}
 
-    // GET /api/personnel/number/:employeeNumber - Get employee by employee number
-    if (path.match(/\/personnel\/number\/[^/]+$/) && method === 'GET') {
-      const employeeNumber = path.split('/').pop();
-      const result = await handleGetEmployeeByNumber(event, employeeNumber);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+/**
+ * Extract the bearer token from the Authorization header
+ */
+function getBearerToken(headers = {}) {
+  return headers.authorization?.replace('Bearer ', '') || headers.Authorization?.replace('Bearer ', '');
+}
 
-    // POST /api/personnel/:id/aliases - Add employee alias
-    if (path.match(/\/personnel\/[^/]+\/aliases$/) && method === 'POST') {
-      const employeeId = path.split('/')[path.split('/').length - 2];
-      const result = await handleAddEmployeeAlias(event, employeeId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+/**
+ * POST /api/auth/login - Sign in with email and password
+ */
+async function handleLogin({ body }) {
+  const { email, password, username, passcode } = body;
+  // Support both email/password and username/passcode for backwards compatibility
+  const loginEmail = email || username;
+  const loginPassword = password || passcode;
 
-    // POST /api/personnel - Create employee
-    if (path.endsWith('/personnel') && method === 'POST') {
-      const result = await handleCreatePersonnelEmployee(event);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+  const result = await handleCognitoLogin(loginEmail, loginPassword);
 
-    // GET /api/personnel - List employees
-    if (path.endsWith('/personnel') && method === 'GET') {
-      const result = await handleListPersonnelEmployees(event);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+  return {
+    statusCode: result.success ? 200 : (result.code === 'AUTH_FAILED' ? 401 : 400),
+    body: result
+  };
+}
 
-    // GET /api/personnel/:id - Get employee by ID
-    if (path.match(/\/personnel\/[^/]+$/) && method === 'GET') {
-      const employeeId = path.split('/').pop();
-      const result = await handleGetPersonnelEmployee(event, employeeId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
+/**
+ * POST /api/auth/logout - Sign out user
+ */
+async function handleLogout({ headers }) {
+  try {
+    const token = getBearerToken(headers);
+    if (!token) {
+      return { statusCode: 401, body: { success: false, error: 'No token provided', code: 'UNAUTHORIZED' } };
     }
 
-    // PUT /api/personnel/:id - Update employee
-    if (path.match(/\/personnel\/[^/]+$/) && method === 'PUT') {
-      const employeeId = path.split('/').pop();
-      const result = await handleUpdatePersonnelEmployee(event, employeeId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+    const result = await handleCognitoLogout(token);
+    return { statusCode: result.success ? 200 : 401, body: result };
+  } catch (error) {
+    console.error('Logout error:', error);
+    return { statusCode: 500, body: { success: false, error: 'Logout failed', code: 'INTERNAL_ERROR' } };
+  }
+}
 
-    // DELETE /api/personnel/:id - Terminate employee
-    if (path.match(/\/personnel\/[^/]+$/) && method === 'DELETE') {
-      const employeeId = path.split('/').pop();
-      const result = await handleDeletePersonnelEmployee(event, employeeId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+/**
+ * POST /api/auth/refresh - Refresh access token
+ */
+async function handleRefresh({ body }) {
+  const { refreshToken } = body;
+  const result = await handleCognitoRefresh(refreshToken);
 
-    // =====================================================================
-    // PAYROLL MANAGEMENT ENDPOINTS
-    // =====================================================================
+  return {
+    statusCode: result.success ? 200 : (result.code === 'TOKEN_EXPIRED' ? 401 : 400),
+    body: result
+  };
+}
 
-    // POST /api/payroll/bulk - Create bulk payroll entries
-    if (path.endsWith('/payroll/bulk') && method === 'POST') {
-      const result = await handleCreateBulkPayrollEntries(event);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
+/**
+ * GET /api/auth/me - Get current user info
+ */
+async function handleGetMe({ headers }) {
+  try {
+    const token = getBearerToken(headers);
+    if (!token) {
+      return { statusCode: 401, body: { success: false, error: 'No token provided', code: 'UNAUTHORIZED' } };
     }
 
-    // GET /api/payroll/review - Get entries needing review
-    if (path.endsWith('/payroll/review') && method === 'GET') {
-      const result = await handleGetPayrollNeedingReview(event);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+    const result = await getCurrentUser(token);
+    return { statusCode: result.success ? 200 : 401, body: result };
+  } catch (error) {
+    console.error('Get current user error:', error);
+    return { statusCode: 401, body: { success: false, error: 'Invalid token', code: 'UNAUTHORIZED' } };
+  }
+}
 
-    // GET /api/payroll/report/:reportId - Get payroll by report
-    if (path.match(/\/payroll\/report\/[^/]+$/) && method === 'GET') {
-      const reportId = path.split('/').pop();
-      const result = await handleGetPayrollByReport(event, reportId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
+/**
+ * POST /api/auth/change-password - Change user's password
+ */
+async function handleChangePassword({ headers, body }) {
+  try {
+    const token = getBearerToken(headers);
+    if (!token) {
+      return { statusCode: 401, body: { success: false, error: 'No token provided', code: 'UNAUTHORIZED' } };
     }
 
-    // GET /api/payroll/employee/:employeeId/timesheet - Get employee timesheet
-    if (path.match(/\/payroll\/employee\/[^/]+\/timesheet$/) && method === 'GET') {
-      const employeeId = path.split('/')[path.split('/').length - 2];
-      const result = await handleGetEmployeeTimesheet(event, employeeId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+    const { currentPassword, newPassword, oldPassword } = body;
+    // Support both field naming conventions
+    const oldPass = currentPassword || oldPassword;
+    const result = await changePassword(token, oldPass, newPassword);
 
-    // GET /api/payroll/employee/:employeeId - Get payroll by employee
-    if (path.match(/\/payroll\/employee\/[^/]+$/) && method === 'GET') {
-      const employeeId = path.split('/').pop();
-      const result = await handleGetPayrollByEmployee(event, employeeId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+    return {
+      statusCode: result.success ? 200 : (result.code === 'INVALID_PASSWORD' ? 401 : 400),
+      body: result
+    };
+  } catch (error) {
+    console.error('Change password error:', error);
+    return { statusCode: 500, body: { success: false, error: 'Password change failed', code: 'INTERNAL_ERROR' } };
+  }
+}
 
-    // GET /api/payroll/project/:projectId/costs - Get project labor costs
-    if (path.match(/\/payroll\/project\/[^/]+\/costs$/) && method === 'GET') {
-      const projectId = path.split('/')[path.split('/').length - 2];
-      const result = await handleGetProjectLaborCosts(event, projectId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+/**
+ * POST /api/auth/reset-password - Trigger password reset (admin or self-service)
+ */
+async function handleResetPassword({ body }) {
+  const { email } = body;
+  const result = await resetPassword(email);
 
-    // GET /api/payroll/project/:projectId - Get payroll by project
-    if (path.match(/\/payroll\/project\/[^/]+$/) && method === 'GET') {
-      const projectId = path.split('/').pop();
-      const result = await handleGetPayrollByProject(event, projectId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+  return {
+    statusCode: result.success ? 200 : (result.code === 'USER_NOT_FOUND' ? 404 : 400),
+    body: result
+  };
+}
 
-    // GET /api/payroll/date/:date - Get payroll by date
-    if (path.match(/\/payroll\/date\/[^/]+$/) && method === 'GET') {
-      const date = path.split('/').pop();
-      const result = await handleGetPayrollByDate(event, date);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
+/**
+ * POST /api/auth/register - Create new user (admin operation)
+ */
+async function handleRegister({ headers, body }) {
+  try {
+    // Verify admin access
+    const token = getBearerToken(headers);
+    if (token) {
+      const verification = await verifyCognitoToken(token);
+      if (!verification.success || !['admin', 'superadmin'].includes(verification.user?.role)) {
+        return { statusCode: 403, body: { success: false, error: 'Admin access required', code: 'FORBIDDEN' } };
+      }
     }
 
-    // GET /api/payroll/report/daily/:date - Generate daily payroll report
-    if (path.match(/\/payroll\/report\/daily\/[^/]+$/) && method === 'GET') {
-      const date = path.split('/').pop();
-      const result = await handleGenerateDailyReport(event, date);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+    const result = await createCognitoUser(body);
+    return {
+      statusCode: result.success ? 201 : (result.code === 'USER_EXISTS' ? 409 : 400),
+      body: result
+    };
+  } catch (error) {
+    console.error('Register error:', error);
+    return { statusCode: 500, body: { success: false, error: 'Registration failed', code: 'INTERNAL_ERROR' } };
+  }
+}
 
-    // GET /api/payroll/export/daily/:date - Export daily CSV
-    if (path.match(/\/payroll\/export\/daily\/[^/]+$/) && method === 'GET') {
-      const date = path.split('/').pop();
-      const result = await handleExportDailyCSV(event, date);
-      // CSV export returns different headers
-      return {
-        statusCode: result.statusCode,
-        headers: {
-          ...headers,
-          ...(result.headers || {})
-        },
-        body: result.body
-      };
-    }
+/**
+ * Wrap a `{ success, ... }` result in a response, choosing the status from `success`
+ */
+function resultResponse(result, okStatus = 200, errorStatus = 500) {
+  return { statusCode: result.success ? okStatus : errorStatus, body: result };
+}
 
-    // PUT /api/payroll/:id/review - Mark entry as reviewed
-    if (path.match(/\/payroll\/[^/]+\/review$/) && method === 'PUT') {
-      const entryId = path.split('/')[path.split('/').length - 2];
-      const result = await handleMarkAsReviewed(event, entryId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+/**
+ * Wrap a paged list function as a route handler
+ * Bad `limit` / `cursor` values (or filters rejected by `checkQuery`) get the
+ * uniform validation 400
+ *
+ * @param {Function} list - async (query, page) => body
+ * @param {Function} [checkQuery] - (query) => Array<{field, message}>
+ */
+function pagedList(list, checkQuery) {
+  return async ({ query }) => {
+    const page = parsePageParams(query);
+    const errors = [...(page.errors || []), ...(checkQuery ? checkQuery(query) : [])];
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+    return { statusCode: 200, body: await list(query, page) };
+  };
+}
 
-    // POST /api/payroll - Create payroll entry
-    if (path.endsWith('/payroll') && method === 'POST') {
-      const result = await handleCreatePayrollEntry(event);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+/**
+ * Field and combination checks for GET /api/reports filters
+ */
+function checkReportFilters(query) {
+  const errors = validate(schemas.reportListQuery, query);
+  return errors.length > 0 ? errors : validateReportFilters(query);
+}
 
-    // GET /api/payroll/:id - Get payroll entry
-    if (path.match(/\/payroll\/[^/]+$/) && method === 'GET') {
-      const entryId = path.split('/').pop();
-      const result = await handleGetPayrollEntry(event, entryId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+// ============================================================================
+// ROUTE TABLE
+// ============================================================================
 
-    // PUT /api/payroll/:id - Update payroll entry
-    if (path.match(/\/payroll\/[^/]+$/) && method === 'PUT') {
-      const entryId = path.split('/').pop();
-      const result = await handleUpdatePayrollEntry(event, entryId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+const ADMIN_ROLES = ['admin', 'superadmin'];
+const REPORT_EDITOR_ROLES = [...ADMIN_ROLES, 'manager'];
+
+const router = new Router({ authenticate: verifyCognitoTokenMiddleware });
+
+router.get('/api/health', async () => ({
+  statusCode: 200,
+  body: { status: 'ok', timestamp: new Date().toISOString() }
+}), { summary: 'Health check' });
+
+router.get('/api/managers', async () => ({ statusCode: 200, body: await getManagers() }), { summary: 'List managers from the Employee Roster' });
+
+// Reports
+router.get('/api/reports', pagedList(getReports, checkReportFilters), { summary: 'List reports' });
+router.post('/api/reports', handleCreateReport, { schema: schemas.reportCreate, summary: 'Save a new report' });
+router.get('/api/reports/deleted', pagedList(listDeletedReports), { roles: ADMIN_ROLES, summary: 'List deleted reports awaiting purge' });
+router.delete('/api/reports/:reportId', handleDeleteReport, { roles: ADMIN_ROLES, schema: schemas.reportDelete, summary: 'Delete a report' });
+router.post('/api/reports/:reportId/restore', handleRestoreReport, { roles: ADMIN_ROLES, summary: 'Restore a deleted report' });
+router.get('/api/reports/:reportId/html', handleGetReportHtml, { summary: 'Get report HTML' });
+router.get('/api/reports/:reportId/transcript', handleGetReportTranscript, { summary: 'View raw transcript' });
+router.get('/api/reports/:reportId/transcript/turns', handleGetReportTranscriptTurns, { summary: 'Get transcript turns' });
+router.get('/api/reports/:reportId/audio', handleGetReportAudio, { summary: 'Get report audio' });
+router.get('/api/reports/:reportId/status', handleGetReportStatus, { summary: 'Get report processing status' });
+router.get('/api/reports/:reportId/extracted-data', handleGetExtractedData, { summary: 'Get report extracted data' });
+router.put('/api/reports/:reportId/extracted-data', handleUpdateExtractedData, { roles: REPORT_EDITOR_ROLES, schema: schemas.reportExtractedDataUpdate, summary: 'Correct report extracted data' });
+router.get('/api/reports/:reportId/revisions', handleListRevisions, { summary: 'List extracted data revisions' });
+router.get('/api/reports/:reportId/revisions/:revision', handleGetRevision, { summary: 'Get extracted data revision' });
+
+// Review queue
+router.get('/api/review', pagedList(listReviewItems, query => validate(schemas.reviewListQuery, query)), { roles: REPORT_EDITOR_ROLES, summary: 'List items awaiting review' });
+router.put('/api/review/:reviewId', handleResolveReviewItem, { roles: REPORT_EDITOR_ROLES, schema: schemas.reviewResolve, summary: 'Resolve a review item' });
+
+// Analytics
+router.get('/api/analytics/insights', async () => ({ statusCode: 200, body: await getAnalyticsInsights() }), { summary: 'Analytics insights' });
+router.post('/api/analytics/query', async ({ body }) => ({ statusCode: 200, body: await handleAnalyticsQuery(body.query) }), { summary: 'Natural language analytics query' });
+router.get('/api/analytics/reports/:reportType', handleGetAnalyticsReport, { summary: 'Analytics report by type' });
+router.get('/api/analytics/prompt-versions', handleGetPromptVersions, { roles: ADMIN_ROLES, summary: 'Compare extraction prompt versions' });
+router.post('/api/analytics/constraints/:constraintId/resolution', async ({ params, body }) => ({
+  statusCode: 200,
+  body: await updateConstraintResolution(params.constraintId, body.resolution, body.updatedBy)
+}), { summary: 'Record constraint resolution' });
+router.post('/api/analytics/constraints/:constraintId/status', async ({ params, body }) => ({
+  statusCode: 200,
+  body: await updateConstraintStatus(params.constraintId, body.status, body.updatedBy)
+}), { summary: 'Update constraint status' });
+
+// ElevenLabs proxy
+router.post('/api/elevenlabs/conversation', handleElevenLabsConversation, { summary: 'Proxy ElevenLabs conversation API' });
+router.get('/api/elevenlabs/agent-config', handleElevenLabsAgentConfig, { summary: 'Get ElevenLabs agent ID' });
+router.get('/api/elevenlabs/conversation-token', handleElevenLabsConversationToken, { summary: 'Get ElevenLabs conversation token' });
+router.get('/api/elevenlabs/transcript/:conversationId', handleElevenLabsTranscript, { summary: 'Fetch conversation transcript' });
+router.get('/api/elevenlabs/audio/:conversationId', handleElevenLabsAudio, { summary: 'Fetch conversation audio' });
+
+// Personnel CRUD (legacy handlers; the rest of /api/personnel is registered by personnel-endpoints)
+router.get('/api/personnel', pagedList(listPersonnel), { summary: 'List personnel' });
+router.post('/api/personnel', async ({ body }) => resultResponse(await createPersonnel(body), 201, 400), { schema: schemas.personnelCreate, summary: 'Create personnel' });
+router.get('/api/personnel/:personnelId', async ({ params }) => resultResponse(await getPersonnelById(params.personnelId), 200, 404), { summary: 'Get personnel by ID' });
+
+// Personnel merge review
+router.get('/api/personnel/merge-candidates', pagedList(listMergeCandidates, query => validate(schemas.mergeCandidateListQuery, query)), { roles: ADMIN_ROLES, summary: 'List possible duplicate employees' });
+router.post('/api/personnel/merge-candidates/sweep', async () => ({
+  statusCode: 200,
+  body: { success: true, ...(await runDuplicateSweep()) }
+}), { roles: ADMIN_ROLES, summary: 'Sweep active employees for duplicates now' });
+router.get('/api/personnel/merge-candidates/:candidateId/preview', handleGetMergePreview, { roles: ADMIN_ROLES, summary: 'Preview merging a duplicate pair' });
+router.post('/api/personnel/merge-candidates/:candidateId/merge', handleMergeCandidate, { roles: ADMIN_ROLES, schema: schemas.mergeCandidateMerge, summary: 'Merge a duplicate pair' });
+router.post('/api/personnel/merge-candidates/:candidateId/dismiss', handleDismissMergeCandidate, { roles: ADMIN_ROLES, schema: schemas.mergeCandidateDismiss, summary: 'Dismiss a pair as not a duplicate' });
+router.get('/api/personnel/merges/:mergeId', handleGetPersonnelMerge, { roles: ADMIN_ROLES, summary: 'Get the audit record of a merge' });
+router.post('/api/personnel/merges/:mergeId/unmerge', handleUnmergePersonnel, { roles: ADMIN_ROLES, schema: schemas.personnelUnmerge, summary: 'Undo a merge' });
+
+// Vendor CRUD
+router.get('/api/vendors', pagedList(listVendors), { summary: 'List vendors' });
+router.post('/api/vendors', async ({ body }) => resultResponse(await createVendor(body), 201, 400), { schema: schemas.vendorCreate, summary: 'Create vendor' });
+router.get('/api/vendors/match', handleMatchVendor, { summary: 'Match a company name to the vendors on file' });
+router.get('/api/vendors/merges/:mergeId', handleGetVendorMerge, { roles: ADMIN_ROLES, summary: 'Get the audit record of a vendor merge' });
+router.get('/api/vendors/:vendorId', async ({ params }) => resultResponse(await getVendorById(params.vendorId), 200, 404), { summary: 'Get vendor' });
+router.post('/api/vendors/:vendorId/aliases', handleAddVendorAlias, { schema: schemas.vendorAlias, summary: 'Add vendor alias' });
+router.post('/api/vendors/:vendorId/merge', handleMergeVendors, { roles: ADMIN_ROLES, schema: schemas.vendorMerge, summary: 'Merge a duplicate vendor into this one' });
+router.put('/api/vendors/:vendorId', async ({ params, body }) => resultResponse(await updateVendor(params.vendorId, body), 200, 400), { schema: schemas.vendorUpdate, summary: 'Update vendor' });
+router.delete('/api/vendors/:vendorId', async ({ params }) => resultResponse(await deleteVendor(params.vendorId), 200, 400), { summary: 'Delete vendor' });
+
+// Extraction (Roxy AI)
+router.post('/api/extract/batch', async ({ body }) => resultResponse(await processBatchTranscripts(body)), { summary: 'Process batch of transcripts' });
+router.get('/api/extract/master-data', async ({ query }) => {
+  const { personnel, projects, loadedAt } = await masterData.load({ refresh: query.refresh === 'true' });
+  return { statusCode: 200, body: { success: true, personnel, projects, loadedAt } };
+}, { roles: ADMIN_ROLES, summary: 'Personnel and project directory used to normalize extracted names' });
+
+// Business Intelligence
+router.get('/api/bi/executive', async () => resultResponse(await getExecutiveDashboard()), { summary: 'Executive dashboard' });
+router.get('/api/bi/personnel', async ({ query }) => resultResponse(await getPersonnelIntelligence(query)), { summary: 'Personnel intelligence' });
+router.get('/api/bi/vendors', async ({ query }) => resultResponse(await getVendorIntelligence(query)), { summary: 'Vendor intelligence' });
+router.get('/api/bi/projects/:projectId/health', async ({ params }) => resultResponse(await getProjectHealth(params.projectId)), { summary: 'Project health deep-dive' });
+router.get('/api/bi/constraints', async ({ query }) => resultResponse(await getConstraintAnalytics(query)), { summary: 'Constraint analytics' });
+router.get('/api/bi/recommendations', async ({ query }) => resultResponse(await getStrategicInsights(query)), { summary: 'Strategic insights' });
+router.post('/api/bi/query', async ({ body }) => resultResponse(await queryWithAI(body.query || '')), { summary: 'AI natural language query' });
+router.get('/api/bi/reports/overtime', async () => resultResponse(await getOvertimeReport()), { summary: 'Overtime analysis report' });
+router.get('/api/bi/reports/constraints', async () => resultResponse(await getConstraintsReport()), { summary: 'Constraints by project report' });
+router.get('/api/bi/reports/savings', async () => resultResponse(await getCostAnalysisReport()), { summary: 'Cost analysis and savings report' });
+router.get('/api/bi/reports/deliveries', async () => resultResponse(await getDeliveryPerformanceReport()), { summary: 'Delivery performance report' });
+
+// Authentication (AWS Cognito)
+router.post('/api/auth/login', handleLogin, { summary: 'Sign in' });
+router.post('/api/auth/logout', handleLogout, { summary: 'Sign out' });
+router.post('/api/auth/refresh', handleRefresh, { summary: 'Refresh access token' });
+router.get('/api/auth/me', handleGetMe, { summary: 'Get current user' });
+router.post('/api/auth/change-password', handleChangePassword, { summary: 'Change password' });
+router.post('/api/auth/reset-password', handleResetPassword, { summary: 'Trigger password reset' });
+router.post('/api/auth/register', handleRegister, { summary: 'Create new user' });
+
+// Endpoint modules
+registerAdminRoutes(router);
+registerProjectRoutes(router);
+registerTimeTrackingRoutes(router);
+registerPersonnelRoutes(router);
+registerPayrollRoutes(router);
+
+// API contract, built from the table above on first request
+let openApiDocument = null;
+router.get('/api/openapi.json', async () => {
+  openApiDocument = openApiDocument || buildOpenApiDocument(router.listRoutes());
+  return { statusCode: 200, body: openApiDocument };
+}, { summary: 'OpenAPI document for this API' });
+
+exports.handler = async (event, context) => {
+  console.log('Received event:', JSON.stringify(event, null, 2));
 
-    // DELETE /api/payroll/:id - Delete payroll entry
-    if (path.match(/\/payroll\/[^/]+$/) && method === 'DELETE') {
-      const entryId = path.split('/').pop();
-      const result = await handleDeletePayrollEntry(event, entryId);
-      return { statusCode: result.statusCode, headers, body: JSON.stringify(result.body) };
-    }
+  // Report processing jobs arrive as async self-invocations, not HTTP requests
+  if (event.source === REPORT_JOB_SOURCE) {
+    return reportJobs.run(event, { leaseMs: context?.getRemainingTimeInMillis?.() });
+  }
 
-    // Route not found
-    return {
-      statusCode: 404,
-      headers,
-      body: JSON.stringify({ success: false, error: 'Not found' })
-    };
+  // Daily EventBridge schedule purging reports past the retention window
+  if (event.source === REPORT_RETENTION_SOURCE) {
+    return purgeExpiredReports({ dynamo: dynamoClient, s3: s3Client });
+  }
 
-  } catch (error) {
-    console.error('Error processing request:', error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({
-        success: false,
-        error: error.message || 'Internal server error'
-      })
-    };
+  // Daily EventBridge schedule looking for duplicate employees
+  if (event.source === PERSONNEL_DUPLICATE_SWEEP_SOURCE) {
+    return runDuplicateSweep();
   }
+
+  // API Gateway handles CORS headers and OPTIONS preflight requests automatically -
+  // setting CORS headers here as well causes duplicate header conflicts that browsers reject
+  return router.handle(event);
 };
+
+exports.router = router;
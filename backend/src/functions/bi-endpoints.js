@@ -3,9 +3,11 @@
 
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, ScanCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { VendorDirectory, normalizeVendorName, resolveVendor } = require('./vendorMatching');
 
 const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
 const docClient = DynamoDBDocumentClient.from(dynamoClient);
+const vendorDirectory = new VendorDirectory(dynamoClient);
 
 /**
  * Executive Dashboard Endpoint
@@ -416,17 +418,41 @@ async function getVendorIntelligence(params = {}) {
     console.log(`✅ Fetched ${vendorPerformance.Items?.length || 0} vendor performance records`);
     console.log(`✅ Fetched ${chargebacks.Items?.length || 0} chargeback records`);
 
+    // Group records by the vendor on file, so every spelling of a vendor
+    // (and vendors merged into it) is graded as one; vendors not on file are
+    // grouped by normalized name
+    const vendorsOnFile = await vendorDirectory.load().catch(error => {
+      console.warn(`⚠️ Vendor directory unavailable, grouping vendors by reported name: ${error.message}`);
+      return [];
+    });
+    const resolved = new Map();
+    const vendorFor = item => {
+      const cacheKey = `${item.vendor_id || ''}|${item.vendor_name || ''}`;
+      if (!resolved.has(cacheKey)) {
+        const vendor = resolveVendor(vendorsOnFile, { vendorId: item.vendor_id, name: item.vendor_name });
+        resolved.set(cacheKey, vendor
+          ? { key: vendor.vendorId, vendor_id: vendor.vendorId, vendor_name: vendor.companyName }
+          : { key: `NAME#${normalizeVendorName(item.vendor_name || '')}`, vendor_id: item.vendor_id || null, vendor_name: item.vendor_name || 'Unknown' });
+      }
+      return resolved.get(cacheKey);
+    };
+
     // Aggregate vendor data
     const vendorMap = {};
     const gradeCount = { A: 0, B: 0, C: 0, D: 0 };
     let highRiskCount = 0;
 
     (vendorPerformance.Items || []).forEach(item => {
-      const vName = item.vendor_name || 'Unknown';
+      const vendor = vendorFor(item);
+      const vName = vendor.key;
+      const reportedName = item.reported_vendor_name || item.vendor_name;
 
       if (!vendorMap[vName]) {
         vendorMap[vName] = {
-          vendor_name: vName,
+          vendor_id: vendor.vendor_id,
+          vendor_name: vendor.vendor_name,
+          reported_names: [],
+          last_report_date: item.report_date || null,
           grade: item.performance_grade || 'N/A',
           performance_score: item.performance_score || 0,
           risk_level: item.risk_level || 'unknown',
@@ -447,6 +473,27 @@ async function getVendorIntelligence(params = {}) {
         };
       }
 
+      if (reportedName && !vendorMap[vName].reported_names.includes(reportedName)) {
+        vendorMap[vName].reported_names.push(reportedName);
+      }
+
+      // Grade, score and risk come from the vendor's latest report
+      if (item.report_date && item.report_date > (vendorMap[vName].last_report_date || '')) {
+        Object.assign(vendorMap[vName], {
+          last_report_date: item.report_date,
+          grade: item.performance_grade || 'N/A',
+          performance_score: item.performance_score || 0,
+          risk_level: item.risk_level || 'unknown',
+          trend: item.trend || 'stable',
+          recommendation: item.recommendation || 'N/A',
+          grade_criteria: {
+            delivery: item.grade_criteria_delivery || '',
+            quality: item.grade_criteria_quality || '',
+            communication: item.grade_criteria_communication || ''
+          }
+        });
+      }
+
       // Aggregate deliveries
       vendorMap[vName].deliveries++;
       if (item.delivery_status === 'ontime') {
@@ -475,7 +522,7 @@ async function getVendorIntelligence(params = {}) {
 
     // Add chargeback data
     (chargebacks.Items || []).forEach(item => {
-      const vName = item.vendor_name;
+      const vName = vendorFor(item).key;
       if (vendorMap[vName]) {
         vendorMap[vName].chargebacks++;
         vendorMap[vName].chargeback_amount += (item.amount || 0);
@@ -527,7 +574,7 @@ async function getVendorIntelligence(params = {}) {
         chargeback_pipeline: (chargebacks.Items || [])
           .filter(item => item.status === 'pending')
           .map(item => ({
-            vendor_name: item.vendor_name,
+            vendor_name: vendorFor(item).vendor_name,
             extra_work_order: item.extra_work_order,
             amount: item.amount,
             status: item.status,
@@ -45,6 +45,17 @@ const idTokenVerifier = CognitoJwtVerifier.create({
   clientId: COGNITO_CONFIG.clientId,
 });
 
+/**
+ * Trust tokens signed with the given keys instead of the user pool's JWKS
+ * Only the local dev server (src/local) calls this, with its own signing key
+ *
+ * @param {Object} jwks - JSON Web Key Set to verify tokens against
+ */
+function useSigningKeys(jwks) {
+  accessTokenVerifier.cacheJwks(jwks);
+  idTokenVerifier.cacheJwks(jwks);
+}
+
 /**
  * Generate SECRET_HASH for Cognito authentication
  * Required when app client has a client secret
@@ -507,5 +518,6 @@ module.exports = {
   handleCognitoLogout,
   verifyCognitoToken,
   getCurrentUser,
+  useSigningKeys,
   COGNITO_CONFIG
 };
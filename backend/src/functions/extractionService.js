@@ -4,7 +4,7 @@
  * Extraction Service - Roxy AI Agent
  *
  * Extracts structured data from unstructured construction daily reports
- * using Claude AI with specialized prompts for entity recognition and normalization.
+ * the model routed to 'roxy-extraction' with specialized prompts for entity recognition and normalization.
  *
  * Key Features:
  * - Entity extraction (personnel, projects, hours, activities, vendors, issues)
@@ -13,12 +13,7 @@
  * - Abbreviation mapping
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
-
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
+const { runLLMTask } = require('./aiModelRegistry');
 
 /**
  * Roxy v1.0 Extraction Prompt
@@ -106,7 +101,7 @@ Return ONLY valid JSON with no additional text or explanations. Use this exact s
 }`;
 
 /**
- * Extract structured data from a transcript using Claude AI
+ * Extract structured data from a transcript with Roxy
  *
  * @param {string} transcriptText - Raw transcript text
  * @param {string} filename - Original filename (for date extraction)
@@ -118,42 +113,18 @@ async function extractFromTranscript(transcriptText, filename = '') {
     console.log(`   📄 Filename: ${filename}`);
     console.log(`   📝 Content length: ${transcriptText.length} characters`);
 
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2000,
-      temperature: 0,
-      messages: [
-        {
-          role: 'user',
-          content: `${ROXY_EXTRACTION_PROMPT}
+    const { data: extractedData } = await runLLMTask('roxy-extraction', {
+      prompt: `${ROXY_EXTRACTION_PROMPT}
 
 FILENAME: ${filename}
 
 TRANSCRIPT:
 ${transcriptText}
 
-Extract structured data following the rules above. Return ONLY valid JSON.`
-        }
-      ]
+Extract structured data following the rules above. Return ONLY valid JSON.`,
+      json: true
     });
 
-    // Extract JSON from response
-    const responseText = message.content[0].text;
-
-    // Try to parse JSON from response
-    let extractedData;
-    try {
-      extractedData = JSON.parse(responseText);
-    } catch (parseError) {
-      // If direct parse fails, try to extract JSON from markdown code blocks
-      const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-      if (jsonMatch) {
-        extractedData = JSON.parse(jsonMatch[1]);
-      } else {
-        throw new Error('Could not extract valid JSON from response');
-      }
-    }
-
     // Add metadata
     extractedData.extraction_timestamp = new Date().toISOString();
     extractedData.original_filename = filename;
@@ -0,0 +1,181 @@
+/**
+ * Idempotent Writes
+ * Claim records that let a retried request return the first attempt's result
+ *
+ * A request carrying an idempotency key claims `IDEMPOTENCY#{scope}#{key}` in
+ * sitelogix-idempotency before doing any work. The claim stores whatever the
+ * caller needs to reproduce the write (e.g. the reportId it will use) and,
+ * once the work finishes, the response to replay. Outcomes of a claim:
+ *
+ *   claimed     - first attempt, or a takeover of a claim whose Lambda died
+ *                 (older than CLAIM_TIMEOUT_SECONDS); go ahead and do the work
+ *   completed   - replay record.response, do nothing else
+ *   in_progress - another attempt is still working on it
+ *   mismatch    - key reused with a different request
+ *
+ * Records expire through the table's TTL on `expires_at`.
+ *
+ * @module idempotency
+ */
+
+const crypto = require('crypto');
+const { PutItemCommand, GetItemCommand, UpdateItemCommand, DeleteItemCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+
+const IDEMPOTENCY_TABLE = 'sitelogix-idempotency';
+
+// Longest a Lambda invocation can run; a claim older than this was abandoned
+const CLAIM_TIMEOUT_SECONDS = 15 * 60;
+
+const RECORD_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const MAX_KEY_LENGTH = 255;
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function recordKey(scope, key) {
+  return marshall({ PK: `IDEMPOTENCY#${scope}#${key}`, SK: 'CLAIM' });
+}
+
+/**
+ * Stable hash of the request fields that must match on a replay
+ */
+function fingerprint(fields) {
+  const sorted = Object.keys(fields).sort().map(name => [name, fields[name] ?? null]);
+  return crypto.createHash('sha256').update(JSON.stringify(sorted)).digest('hex');
+}
+
+/**
+ * Idempotency key for a request: the `Idempotency-Key` header, else the fallback
+ *
+ * @param {Object} headers - Request headers (any case)
+ * @param {string} [fallback] - Natural key from the body, e.g. conversationId
+ * @returns {string|null}
+ * @throws {Error} When the key is longer than MAX_KEY_LENGTH
+ */
+function idempotencyKey(headers = {}, fallback) {
+  const header = Object.entries(headers).find(([name]) => name.toLowerCase() === 'idempotency-key');
+  const key = String((header && header[1]) || fallback || '').trim();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    throw new Error(`Idempotency key must be at most ${MAX_KEY_LENGTH} characters`);
+  }
+  return key || null;
+}
+
+/**
+ * Claim an idempotency key before doing the work it protects
+ *
+ * @param {DynamoDBClient} client
+ * @param {Object} request
+ * @param {string} request.scope - Operation name, e.g. 'report-submission'
+ * @param {string} request.key - Idempotency key
+ * @param {Object} request.fields - Request fields a replay must match
+ * @param {Object} [request.data] - Stored on a new claim and returned on every outcome
+ * @returns {Promise<{status: string, record: Object}>}
+ */
+async function claimIdempotencyKey(client, { scope, key, fields, data = {} }) {
+  const now = nowSeconds();
+  const record = {
+    ...data,
+    scope,
+    idempotency_key: key,
+    fingerprint: fingerprint(fields),
+    status: 'in_progress',
+    claimed_at: now,
+    expires_at: now + RECORD_TTL_SECONDS
+  };
+
+  try {
+    await client.send(new PutItemCommand({
+      TableName: IDEMPOTENCY_TABLE,
+      Item: { ...recordKey(scope, key), ...marshall(record, { removeUndefinedValues: true }) },
+      ConditionExpression: 'attribute_not_exists(PK)'
+    }));
+    return { status: 'claimed', record };
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+  }
+
+  const result = await client.send(new GetItemCommand({
+    TableName: IDEMPOTENCY_TABLE,
+    Key: recordKey(scope, key),
+    ConsistentRead: true
+  }));
+
+  // Expired between the put and the get; the caller's retry will claim it
+  if (!result.Item) {
+    return { status: 'in_progress', record };
+  }
+
+  const existing = unmarshall(result.Item);
+  if (existing.fingerprint !== record.fingerprint) {
+    return { status: 'mismatch', record: existing };
+  }
+  if (existing.status === 'completed') {
+    return { status: 'completed', record: existing };
+  }
+  if (existing.claimed_at > now - CLAIM_TIMEOUT_SECONDS) {
+    return { status: 'in_progress', record: existing };
+  }
+
+  // Abandoned claim: take it over, keeping its data so the work lands in the same place
+  try {
+    await client.send(new UpdateItemCommand({
+      TableName: IDEMPOTENCY_TABLE,
+      Key: recordKey(scope, key),
+      UpdateExpression: 'SET claimed_at = :now',
+      ConditionExpression: '#status = :inProgress AND claimed_at = :claimedAt',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: marshall({ ':now': now, ':inProgress': 'in_progress', ':claimedAt': existing.claimed_at })
+    }));
+    console.warn(`⚠️ Took over abandoned ${scope} claim for key ${key}`);
+    return { status: 'claimed', record: { ...existing, claimed_at: now } };
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+    return { status: 'in_progress', record: existing };
+  }
+}
+
+/**
+ * Mark a claim completed and store the response to replay
+ */
+async function completeIdempotencyKey(client, { scope, key }, response) {
+  await client.send(new UpdateItemCommand({
+    TableName: IDEMPOTENCY_TABLE,
+    Key: recordKey(scope, key),
+    UpdateExpression: 'SET #status = :completed, #response = :response, completed_at = :now',
+    ExpressionAttributeNames: { '#status': 'status', '#response': 'response' },
+    ExpressionAttributeValues: marshall({
+      ':completed': 'completed',
+      ':response': response,
+      ':now': new Date().toISOString()
+    }, { removeUndefinedValues: true })
+  }));
+}
+
+/**
+ * Drop a claim after the work failed, so a retry runs it again
+ */
+async function releaseIdempotencyKey(client, { scope, key }) {
+  await client.send(new DeleteItemCommand({
+    TableName: IDEMPOTENCY_TABLE,
+    Key: recordKey(scope, key),
+    ConditionExpression: '#status = :inProgress',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: marshall({ ':inProgress': 'in_progress' })
+  })).catch(error => {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+  });
+}
+
+module.exports = {
+  IDEMPOTENCY_TABLE,
+  CLAIM_TIMEOUT_SECONDS,
+  idempotencyKey,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+};
@@ -0,0 +1,112 @@
+/**
+ * Idempotency Tests
+ *
+ * Runs the claim/complete/release cycle against the local DynamoDB stand-in,
+ * which evaluates the same condition expressions the real table would.
+ */
+
+const { localClient } = require('../local/dynamodb');
+const {
+  CLAIM_TIMEOUT_SECONDS,
+  idempotencyKey,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+} = require('./idempotency');
+
+const submission = { scope: 'report-submission', key: 'conv_123' };
+const fields = { projectId: 'proj-1', managerId: 'mgr-1', reportDate: '2026-10-19' };
+
+describe('idempotencyKey', () => {
+  it('should prefer the Idempotency-Key header in any case', () => {
+    expect(idempotencyKey({ 'idempotency-key': ' abc ' }, 'conv_1')).toBe('abc');
+    expect(idempotencyKey({ 'Idempotency-Key': 'abc' }, 'conv_1')).toBe('abc');
+  });
+
+  it('should fall back to the natural key', () => {
+    expect(idempotencyKey({}, 'conv_1')).toBe('conv_1');
+  });
+
+  it('should return null when there is no key', () => {
+    expect(idempotencyKey({}, undefined)).toBeNull();
+    expect(idempotencyKey(undefined, '')).toBeNull();
+  });
+
+  it('should reject overlong keys', () => {
+    expect(() => idempotencyKey({ 'idempotency-key': 'x'.repeat(256) })).toThrow('at most 255');
+  });
+});
+
+describe('claimIdempotencyKey', () => {
+  let client;
+
+  beforeEach(() => {
+    client = localClient();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should claim a new key and keep the caller data', async () => {
+    const claim = await claimIdempotencyKey(client, { ...submission, fields, data: { report_id: 'rpt_1' } });
+
+    expect(claim.status).toBe('claimed');
+    expect(claim.record.report_id).toBe('rpt_1');
+  });
+
+  it('should report a claim that is still being worked on', async () => {
+    await claimIdempotencyKey(client, { ...submission, fields, data: { report_id: 'rpt_1' } });
+    const second = await claimIdempotencyKey(client, { ...submission, fields, data: { report_id: 'rpt_2' } });
+
+    expect(second.status).toBe('in_progress');
+    expect(second.record.report_id).toBe('rpt_1');
+  });
+
+  it('should replay the stored response once completed', async () => {
+    await claimIdempotencyKey(client, { ...submission, fields, data: { report_id: 'rpt_1' } });
+    await completeIdempotencyKey(client, submission, { success: true, reportId: 'rpt_1' });
+
+    const replay = await claimIdempotencyKey(client, { ...submission, fields, data: { report_id: 'rpt_2' } });
+    expect(replay.status).toBe('completed');
+    expect(replay.record.response).toEqual({ success: true, reportId: 'rpt_1' });
+  });
+
+  it('should flag a key reused for a different request', async () => {
+    await claimIdempotencyKey(client, { ...submission, fields });
+    const reused = await claimIdempotencyKey(client, { ...submission, fields: { ...fields, projectId: 'proj-2' } });
+
+    expect(reused.status).toBe('mismatch');
+  });
+
+  it('should let a retry claim the key again after a release', async () => {
+    await claimIdempotencyKey(client, { ...submission, fields, data: { report_id: 'rpt_1' } });
+    await releaseIdempotencyKey(client, submission);
+
+    const retry = await claimIdempotencyKey(client, { ...submission, fields, data: { report_id: 'rpt_2' } });
+    expect(retry.status).toBe('claimed');
+    expect(retry.record.report_id).toBe('rpt_2');
+  });
+
+  it('should not release a completed claim', async () => {
+    await claimIdempotencyKey(client, { ...submission, fields });
+    await completeIdempotencyKey(client, submission, { success: true });
+    await releaseIdempotencyKey(client, submission);
+
+    expect((await claimIdempotencyKey(client, { ...submission, fields })).status).toBe('completed');
+  });
+
+  it('should take over an abandoned claim and keep its data', async () => {
+    const start = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(start);
+    await claimIdempotencyKey(client, { ...submission, fields, data: { report_id: 'rpt_1' } });
+
+    Date.now.mockReturnValue(start + (CLAIM_TIMEOUT_SECONDS + 1) * 1000);
+    const takeover = await claimIdempotencyKey(client, { ...submission, fields, data: { report_id: 'rpt_2' } });
+
+    expect(takeover.status).toBe('claimed');
+    expect(takeover.record.report_id).toBe('rpt_1');
+    expect((await claimIdempotencyKey(client, { ...submission, fields })).status).toBe('in_progress');
+  });
+});
@@ -0,0 +1,1532 @@
+/**
+ * OpenAPI Document
+ * Builds the OpenAPI 3 description of the API from the router's route table
+ *
+ * Method, path, path parameters, auth, roles, summary and request body come
+ * straight from the registered routes (body schemas are converted from the
+ * validation rules in schemas.js). What the route table can't know - query
+ * parameters, response shapes, non-JSON content - is described per route in
+ * ROUTE_SPECS, keyed `'METHOD /path'`. openapi.test.js fails when a route has
+ * no entry there, or an entry no longer matches a route.
+ *
+ * @module openapi
+ */
+
+const schemas = require('./schemas');
+
+// Only *.js files are deployed, so package.json can't be read at runtime
+const API_VERSION = '1.0.0';
+
+// ============================================================================
+// SCHEMA HELPERS
+// ============================================================================
+
+const FORMAT_PATTERNS = {
+  date: '^\\d{4}-\\d{2}-\\d{2}',
+  time: '^([01]?\\d|2[0-3]):[0-5]\\d'
+};
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+function arrayOf(items) {
+  return { type: 'array', items };
+}
+
+const ANY_OBJECT = { type: 'object', additionalProperties: true };
+
+/**
+ * `{ success: true, ...properties }` response body
+ */
+function envelope(properties = {}) {
+  return {
+    type: 'object',
+    properties: { success: { type: 'boolean' }, ...properties },
+    required: ['success']
+  };
+}
+
+/**
+ * `{ success, data }` body used by the personnel and payroll endpoint modules
+ */
+function dataEnvelope(data) {
+  return envelope({ data });
+}
+
+/**
+ * Convert a validation rule (see validation.js) to a JSON Schema
+ * Numbers are documented as numbers even though numeric strings are accepted
+ */
+function ruleToSchema(rule = {}) {
+  const schema = {};
+
+  if (rule.type && rule.type !== 'any') schema.type = rule.type;
+  if (rule.description) schema.description = rule.description;
+  if (rule.enum) schema.enum = rule.enum;
+
+  if (rule.format === 'email') {
+    schema.format = 'email';
+  } else if (rule.format === 'date') {
+    schema.format = 'date';
+    schema.pattern = FORMAT_PATTERNS.date;
+  } else if (FORMAT_PATTERNS[rule.format]) {
+    schema.pattern = FORMAT_PATTERNS[rule.format];
+  }
+
+  if (rule.type === 'number' || rule.type === 'integer') {
+    if (rule.min !== undefined) schema.minimum = rule.min;
+    if (rule.max !== undefined) schema.maximum = rule.max;
+  } else if (rule.type === 'string') {
+    if (rule.min !== undefined) schema.minLength = rule.min;
+    if (rule.max !== undefined) schema.maxLength = rule.max;
+  } else if (rule.type === 'array') {
+    if (rule.min !== undefined) schema.minItems = rule.min;
+    if (rule.max !== undefined) schema.maxItems = rule.max;
+    if (rule.items) schema.items = ruleToSchema(rule.items);
+  } else if (rule.type === 'object' && rule.fields) {
+    Object.assign(schema, fieldsToSchema(rule.fields));
+  }
+
+  return schema;
+}
+
+function fieldsToSchema(fields) {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+
+  for (const [name, rule] of Object.entries(fields)) {
+    schema.properties[name] = ruleToSchema(rule);
+    if (rule.required) required.push(name);
+  }
+
+  if (required.length > 0) schema.required = required;
+  return schema;
+}
+
+/**
+ * Convert a request body schema (`{ fields, requireOneOf }`) to a JSON Schema
+ */
+function bodySchema(schema) {
+  const result = fieldsToSchema(schema.fields || {});
+
+  const groups = schema.requireOneOf || [];
+  if (groups.length > 0) {
+    result.allOf = groups.map(group => ({
+      anyOf: group.map(name => ({ required: [name] }))
+    }));
+  }
+
+  return result;
+}
+
+// ============================================================================
+// COMPONENTS
+// ============================================================================
+
+const PAGINATION_QUERY = {
+  limit: { type: 'integer', min: 1, max: 1000, description: 'Page size (default 50)' },
+  cursor: { type: 'string', description: 'nextCursor from the previous page' }
+};
+
+const COMPONENTS = {
+  Error: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string' },
+      code: { type: 'string' }
+    },
+    required: ['success', 'error']
+  },
+  ValidationError: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string' },
+      code: { type: 'string', enum: ['VALIDATION_ERROR'] },
+      details: arrayOf({
+        type: 'object',
+        properties: { field: { type: 'string' }, message: { type: 'string' } },
+        required: ['field', 'message']
+      })
+    },
+    required: ['success', 'error', 'code', 'details']
+  },
+  Pagination: {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer' },
+      nextCursor: { type: 'string', nullable: true },
+      hasMore: { type: 'boolean' }
+    },
+    required: ['limit', 'nextCursor', 'hasMore']
+  },
+  Report: {
+    type: 'object',
+    additionalProperties: true,
+    properties: {
+      report_id: { type: 'string' },
+      project_id: { type: 'string' },
+      project_name: { type: 'string' },
+      manager_id: { type: 'string' },
+      manager_name: { type: 'string' },
+      report_date: { type: 'string', format: 'date' },
+      report_month: { type: 'string' },
+      status: { type: 'string' },
+      audio_s3_path: { type: 'string' },
+      transcript_s3_path: { type: 'string' },
+      extraction_model_version: { type: 'string' },
+      extraction_prompt_version: { type: 'string' },
+      extraction_confidence: { type: 'number', nullable: true },
+      needs_review: { type: 'boolean', description: 'The extraction failed validation after a repair attempt' },
+      anomaly_flags: arrayOf(ref('AnomalyFlag')),
+      validation_warnings: arrayOf(ref('ValidationWarning')),
+      created_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  Manager: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      goByName: { type: 'string' },
+      position: { type: 'string' },
+      phone: { type: 'string' },
+      email: { type: 'string' },
+      currentProject: { type: 'string' }
+    }
+  },
+  Personnel: {
+    type: 'object',
+    additionalProperties: true,
+    properties: {
+      personnel_id: { type: 'string' },
+      employee_number: { type: 'string' },
+      full_name: { type: 'string' },
+      first_name: { type: 'string' },
+      last_name: { type: 'string' },
+      role: { type: 'string' },
+      hourly_rate: { type: 'number' },
+      status: { type: 'string' },
+      project_id: { type: 'string' }
+    }
+  },
+  Employee: {
+    type: 'object',
+    additionalProperties: true,
+    properties: {
+      personId: { type: 'string' },
+      employeeNumber: { type: 'string' },
+      firstName: { type: 'string' },
+      lastName: { type: 'string' },
+      fullName: { type: 'string' },
+      knownAliases: arrayOf({ type: 'string' }),
+      hourlyRate: { type: 'number' },
+      employmentStatus: { type: 'string' }
+    }
+  },
+  UserAccount: {
+    type: 'object',
+    properties: {
+      userId: { type: 'string' },
+      username: { type: 'string' },
+      email: { type: 'string' },
+      firstName: { type: 'string' },
+      lastName: { type: 'string' },
+      role: { type: 'string' },
+      status: { type: 'string' },
+      permissions: arrayOf({ type: 'string' }),
+      mustChangePassword: { type: 'boolean' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Vendor: {
+    type: 'object',
+    additionalProperties: true,
+    properties: {
+      vendor_id: { type: 'string' },
+      company_name: { type: 'string' },
+      contact_name: { type: 'string' },
+      phone: { type: 'string' },
+      email: { type: 'string' },
+      services: arrayOf({ type: 'string' }),
+      status: { type: 'string' },
+      created_at: { type: 'string', format: 'date-time' },
+      updated_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  Project: {
+    type: 'object',
+    additionalProperties: true,
+    properties: {
+      projectId: { type: 'string' },
+      projectName: { type: 'string' },
+      projectCode: { type: 'string' },
+      description: { type: 'string' },
+      location: ANY_OBJECT,
+      projectType: { type: 'string' },
+      status: { type: 'string' },
+      startDate: { type: 'string' },
+      estimatedEndDate: { type: 'string' },
+      targetCompletionPercentage: { type: 'number' },
+      budget: ANY_OBJECT,
+      kpiTargets: ANY_OBJECT,
+      assignedManagers: arrayOf({}),
+      milestones: arrayOf(ANY_OBJECT),
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  PayrollEntry: {
+    type: 'object',
+    properties: {
+      entry_id: { type: 'string' },
+      report_id: { type: 'string' },
+      report_date: { type: 'string', format: 'date' },
+      report_submitted_by: { type: 'string' },
+      project_id: { type: 'string' },
+      project_name: { type: 'string' },
+      employee_id: { type: 'string' },
+      employee_name: { type: 'string' },
+      employee_number: { type: 'string' },
+      regular_hours: { type: 'number' },
+      overtime_hours: { type: 'number' },
+      double_time_hours: { type: 'number' },
+      total_hours: { type: 'number' },
+      arrival_time: { type: 'string' },
+      departure_time: { type: 'string' },
+      activities_performed: arrayOf({ type: 'string' }),
+      employee_specific_issues: { type: 'string' },
+      work_location: { type: 'string', enum: ['on-site', 'off-site'] },
+      hourly_rate: { type: 'number' },
+      total_cost: { type: 'number' },
+      extracted_by_ai: { type: 'boolean' },
+      needs_review: { type: 'boolean' },
+      created_at: { type: 'string', format: 'date-time' },
+      updated_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  PayrollEntryPage: {
+    type: 'object',
+    properties: {
+      entries: arrayOf(ref('PayrollEntry')),
+      count: { type: 'integer' },
+      pagination: ref('Pagination')
+    }
+  },
+  TimeEntry: {
+    type: 'object',
+    properties: {
+      timeEntryId: { type: 'string' },
+      employeeId: { type: 'string' },
+      employeeName: { type: 'string' },
+      projectId: { type: 'string' },
+      projectName: { type: 'string' },
+      date: { type: 'string', format: 'date' },
+      startTime: { type: 'string' },
+      endTime: { type: 'string' },
+      hours: { type: 'number' },
+      overtimeHours: { type: 'number' },
+      regularPay: { type: 'number' },
+      overtimePay: { type: 'number' },
+      totalPay: { type: 'number' },
+      tasks: arrayOf({}),
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  User: {
+    type: 'object',
+    additionalProperties: true,
+    properties: {
+      userId: { type: 'string' },
+      username: { type: 'string' },
+      email: { type: 'string' },
+      personId: { type: 'string', nullable: true },
+      employeeNumber: { type: 'string', nullable: true },
+      firstName: { type: 'string', nullable: true },
+      lastName: { type: 'string', nullable: true },
+      nickName: { type: 'string', nullable: true },
+      role: { type: 'string' },
+      groups: arrayOf({ type: 'string' })
+    }
+  },
+  AuthSession: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      user: ref('User'),
+      accessToken: { type: 'string' },
+      idToken: { type: 'string' },
+      refreshToken: { type: 'string' },
+      expiresIn: { type: 'integer' }
+    },
+    required: ['success']
+  },
+  Audio: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      data: { type: 'string', format: 'byte', description: 'Base64 encoded audio' },
+      contentType: { type: 'string' }
+    },
+    additionalProperties: true,
+    required: ['success']
+  },
+  ReportJob: {
+    type: 'object',
+    properties: {
+      reportId: { type: 'string' },
+      status: { type: 'string', enum: ['queued', 'extracting', 'normalizing', 'analytics', 'done', 'failed', 'dead_letter'] },
+      stage: { type: 'string', nullable: true, description: 'Stage of the current or last attempt' },
+      attempts: { type: 'integer' },
+      maxAttempts: { type: 'integer' },
+      lastError: { type: 'string', nullable: true },
+      retryAt: { type: 'string', format: 'date-time', nullable: true },
+      stages: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: { completedAt: { type: 'string', format: 'date-time', nullable: true } }
+        }
+      },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      completedAt: { type: 'string', format: 'date-time', nullable: true }
+    }
+  },
+  TranscriptTurn: {
+    type: 'object',
+    properties: {
+      index: { type: 'integer', description: 'Position in the ElevenLabs transcript' },
+      role: { type: 'string', enum: ['user', 'agent'] },
+      speaker: { type: 'string' },
+      message: { type: 'string' },
+      timeInCallSecs: { type: 'number', nullable: true, description: 'Start of the turn in the call recording' }
+    }
+  },
+  SourceSpan: {
+    type: 'object',
+    description: 'Where in the transcript an extracted item was quoted from',
+    properties: {
+      turnIndex: { type: 'integer' },
+      start: { type: 'integer', description: 'Character offset into the turn message' },
+      end: { type: 'integer' },
+      timeInCallSecs: { type: 'number', nullable: true },
+      match: { type: 'string', enum: ['exact', 'fuzzy'] }
+    }
+  },
+  ExtractedItem: {
+    type: 'object',
+    properties: {
+      extractedFromText: { type: 'string', description: 'Quotes from the transcript, joined with " … "' },
+      sources: arrayOf(ref('SourceSpan')),
+      confidenceScore: ref('EntityConfidence')
+    },
+    additionalProperties: true
+  },
+  EntityConfidence: {
+    type: 'object',
+    description: 'Confidence the pipeline assigned an extracted item, 0-100',
+    properties: {
+      overall: { type: 'number' },
+      extractionConfidence: { type: 'number' },
+      matchConfidence: { type: 'number' },
+      historicalConfidence: { type: 'number' },
+      anomalyScore: { type: 'number' },
+      requiresReview: { type: 'boolean' },
+      reviewReason: { type: 'string', nullable: true },
+      breakdown: { type: 'object', additionalProperties: { type: 'number' }, description: 'Score of each signal that went into overall' }
+    }
+  },
+  ExtractedData: {
+    type: 'object',
+    description: 'Structured data extracted from the transcript (and corrected by managers)',
+    properties: {
+      personnel: arrayOf(ref('ExtractedItem')),
+      workLogs: arrayOf(ANY_OBJECT),
+      constraints: arrayOf(ref('ExtractedItem')),
+      vendors: arrayOf(ref('ExtractedItem')),
+      timeSummary: ANY_OBJECT
+    },
+    additionalProperties: true
+  },
+  RevisionAuthor: {
+    type: 'object',
+    properties: { userId: { type: 'string' }, name: { type: 'string' } }
+  },
+  RevisionChange: {
+    type: 'object',
+    properties: {
+      path: { type: 'string', description: 'JSON Pointer into the extracted data' },
+      op: { type: 'string', enum: ['add', 'remove', 'replace'] },
+      from: {},
+      to: {}
+    }
+  },
+  ReportRevision: {
+    type: 'object',
+    properties: {
+      revision: { type: 'integer' },
+      source: { type: 'string', enum: ['extraction', 'correction'] },
+      author: ref('RevisionAuthor'),
+      note: { type: 'string', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      changes: { type: 'integer', description: 'Number of changes from the previous revision' },
+      diff: arrayOf(ref('RevisionChange')),
+      extractedData: ref('ExtractedData')
+    }
+  },
+  ReportTombstone: {
+    type: 'object',
+    properties: {
+      deletedAt: { type: 'string', format: 'date-time' },
+      deletedBy: ref('RevisionAuthor'),
+      reason: { type: 'string' },
+      purgeAfter: { type: 'string', format: 'date-time', description: 'When the retention job may permanently remove the report' }
+    }
+  },
+  DeletedReport: {
+    type: 'object',
+    properties: {
+      reportId: { type: 'string' },
+      projectId: { type: 'string' },
+      projectName: { type: 'string' },
+      managerName: { type: 'string' },
+      reportDate: { type: 'string', format: 'date' },
+      deletion: ref('ReportTombstone')
+    }
+  },
+  PromptRoutingRule: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      version: { type: 'string', description: 'Model version the matching reports use' },
+      percent: { type: 'number', description: 'Share of reports routed, 0-100' },
+      projectIds: arrayOf({ type: 'string' }),
+      managerIds: arrayOf({ type: 'string' })
+    }
+  },
+  PromptVersionStats: {
+    type: 'object',
+    properties: {
+      modelVersion: { type: 'string' },
+      promptVersion: { type: 'string', nullable: true },
+      status: { type: 'string', enum: ['active', 'deprecated', 'experimental', 'unknown'] },
+      routingRules: arrayOf({ type: 'string' }),
+      reports: { type: 'integer' },
+      failed: { type: 'integer' },
+      reviewed: { type: 'integer', description: 'Reports a manager corrected' },
+      needsReview: { type: 'integer', description: 'Reports whose extraction failed validation after a repair attempt' },
+      averageConfidence: { type: 'number', nullable: true, description: 'Mean extraction confidence, 0-1' },
+      reviewRate: { type: 'number', nullable: true },
+      needsReviewRate: { type: 'number', nullable: true },
+      failureRate: { type: 'number' }
+    }
+  },
+  AnomalyFlag: {
+    type: 'object',
+    description: 'A value far outside the recent history of the project',
+    properties: {
+      metric: { type: 'string', enum: ['crew_size', 'regular_hours', 'overtime_hours', 'arrival_time', 'departure_time'] },
+      subject: { type: 'string', nullable: true, description: 'Crew member, or null for the whole report' },
+      value: { type: 'number', description: 'Times are minutes after midnight' },
+      expected: { type: 'number' },
+      zScore: { type: 'number' },
+      score: { type: 'number', description: '0-100; flagged from 50' },
+      message: { type: 'string' }
+    }
+  },
+  DirectoryPerson: {
+    type: 'object',
+    description: 'A sitelogix-personnel profile as extracted names are matched against it',
+    properties: {
+      personnel_id: { type: 'string' },
+      canonical_name: { type: 'string' },
+      aliases: { type: 'array', items: { type: 'string' } },
+      role: { type: 'string', nullable: true },
+      status: { type: 'string' },
+      project_id: { type: 'string', nullable: true }
+    }
+  },
+  DirectoryProject: {
+    type: 'object',
+    description: 'A sitelogix-projects record as extracted project names are matched against it',
+    properties: {
+      project_id: { type: 'string' },
+      canonical_name: { type: 'string' },
+      abbreviations: { type: 'array', items: { type: 'string' } },
+      location: { type: 'string', nullable: true },
+      primary_manager: { type: 'string', nullable: true },
+      managers: { type: 'array', items: { type: 'string' } },
+      status: { type: 'string' }
+    }
+  },
+  ValidationWarning: {
+    type: 'object',
+    description: 'Two checklist answers in the report that contradict each other',
+    properties: {
+      check: { type: 'string', enum: ['headcount', 'time_window', 'team_hours'] },
+      checklistItems: { type: 'array', items: { type: 'string' }, description: 'Checklist item ids the answers came from' },
+      subject: { type: 'string', nullable: true, description: 'Crew member or team, or null for the whole report' },
+      stated: { type: 'number' },
+      derived: { type: 'number' },
+      message: { type: 'string' }
+    }
+  },
+  ReviewItem: {
+    type: 'object',
+    properties: {
+      reviewId: { type: 'string' },
+      type: { type: 'string', enum: ['personnel', 'personnel_match', 'payroll_hours', 'vendor', 'constraint'] },
+      key: { type: 'string' },
+      label: { type: 'string' },
+      reason: { type: 'string' },
+      confidence: { type: 'number', nullable: true, description: '0-100' },
+      details: ANY_OBJECT,
+      reportId: { type: 'string' },
+      projectId: { type: 'string' },
+      projectName: { type: 'string', nullable: true },
+      reportDate: { type: 'string', format: 'date' },
+      status: { type: 'string', enum: ['open', 'resolved'] },
+      queuedAt: { type: 'string', format: 'date-time' },
+      resolvedAt: { type: 'string', format: 'date-time', nullable: true },
+      resolvedBy: { type: 'string', nullable: true },
+      note: { type: 'string', nullable: true }
+    }
+  },
+  ScoreBreakdown: {
+    type: 'object',
+    description: 'How a spoken name scored against one of an employee\'s names (see services/nameMatching)',
+    properties: {
+      matchedName: { type: 'string' },
+      parts: arrayOf({
+        type: 'object',
+        properties: {
+          spoken: { type: 'string' },
+          known: { type: 'string' },
+          method: { type: 'string', enum: ['exact', 'nickname', 'phonetic', 'edit'] },
+          score: { type: 'number' }
+        }
+      }),
+      partialName: { type: 'boolean' },
+      nameScore: { type: 'number' },
+      editSimilarity: { type: 'number' },
+      projectBoost: { type: 'number' },
+      total: { type: 'number' }
+    }
+  },
+  MergePreview: {
+    type: 'object',
+    properties: {
+      primaryEmployee: ref('Employee'),
+      duplicateEmployee: ref('Employee'),
+      conflicts: arrayOf({
+        type: 'object',
+        properties: { field: { type: 'string' }, primaryValue: {}, duplicateValue: {} }
+      }),
+      aliasesToMerge: arrayOf({ type: 'string' }),
+      historyRecordsToMove: { type: 'integer' }
+    }
+  },
+  MergeCandidate: {
+    type: 'object',
+    description: 'Two active employees the duplicate sweep thinks are the same person',
+    properties: {
+      candidateId: { type: 'string', description: 'The two person ids, sorted, joined with ~' },
+      people: arrayOf({
+        type: 'object',
+        properties: {
+          personId: { type: 'string' },
+          fullName: { type: 'string' },
+          employeeNumber: { type: 'string', nullable: true }
+        }
+      }),
+      suggestedPrimaryId: { type: 'string' },
+      score: { type: 'number', description: '0-100' },
+      reason: { type: 'string' },
+      scoreBreakdown: ref('ScoreBreakdown'),
+      status: { type: 'string', enum: ['open', 'merged', 'dismissed'] },
+      detectedAt: { type: 'string', format: 'date-time' },
+      resolvedAt: { type: 'string', format: 'date-time', nullable: true },
+      resolvedBy: { type: 'string', nullable: true },
+      mergedIntoId: { type: 'string', nullable: true },
+      mergeId: { type: 'string', nullable: true, description: 'The PersonnelMerge, once merged' },
+      note: { type: 'string', nullable: true },
+      preview: ref('MergePreview')
+    }
+  },
+  PersonnelMerge: {
+    type: 'object',
+    description: 'Audit record of a merge: the records re-pointed from the duplicate to the primary, which unmerge reverses',
+    properties: {
+      mergeId: { type: 'string' },
+      status: { type: 'string', enum: ['merging', 'merged', 'failed', 'unmerged'] },
+      primaryId: { type: 'string' },
+      primaryName: { type: 'string' },
+      duplicateId: { type: 'string' },
+      duplicateName: { type: 'string' },
+      candidateId: { type: 'string', nullable: true },
+      addedAliases: arrayOf({ type: 'string' }),
+      filledFields: arrayOf({ type: 'string' }),
+      repointed: {
+        type: 'object',
+        properties: {
+          payrollEntries: { type: 'integer' },
+          timeEntries: { type: 'integer' },
+          reports: { type: 'integer' }
+        }
+      },
+      mergedBy: { type: 'string' },
+      mergedAt: { type: 'string', format: 'date-time' },
+      note: { type: 'string', nullable: true },
+      unmergedBy: { type: 'string', nullable: true },
+      unmergedAt: { type: 'string', format: 'date-time', nullable: true },
+      unmergeNote: { type: 'string', nullable: true },
+      unmergeSkipped: { type: 'integer', nullable: true, description: 'Re-pointed records changed again before the unmerge, left as they were' },
+      error: { type: 'string', nullable: true }
+    }
+  },
+  DirectoryVendor: {
+    type: 'object',
+    description: 'A sitelogix-vendors record (either shape) as company names are matched against it',
+    properties: {
+      vendorId: { type: 'string' },
+      companyName: { type: 'string' },
+      aliases: arrayOf({ type: 'string' }),
+      vendorType: { type: 'string', nullable: true },
+      status: { type: 'string' },
+      mergedIntoId: { type: 'string', nullable: true }
+    }
+  },
+  VendorMatch: {
+    type: 'object',
+    properties: {
+      vendorId: { type: 'string' },
+      companyName: { type: 'string' },
+      score: { type: 'number', description: '0-100; a match from 85' },
+      scoreBreakdown: {
+        type: 'object',
+        properties: {
+          matchedName: { type: 'string', description: 'The vendor name or alias compared with' },
+          normalized: arrayOf({ type: 'string' }),
+          method: { type: 'string', enum: ['exact', 'core', 'initials', 'edit'] },
+          editSimilarity: { type: 'number' },
+          total: { type: 'number' }
+        }
+      }
+    }
+  },
+  VendorMerge: {
+    type: 'object',
+    description: 'Audit record of a vendor merge: the history moved from the duplicate to the primary',
+    properties: {
+      mergeId: { type: 'string' },
+      status: { type: 'string', enum: ['merging', 'merged', 'failed'] },
+      primaryId: { type: 'string' },
+      primaryName: { type: 'string' },
+      duplicateId: { type: 'string' },
+      duplicateName: { type: 'string' },
+      addedAliases: arrayOf({ type: 'string' }),
+      repointed: {
+        type: 'object',
+        properties: {
+          deliveries: { type: 'integer' },
+          performance: { type: 'integer' },
+          chargebacks: { type: 'integer' }
+        }
+      },
+      mergedBy: { type: 'string' },
+      mergedAt: { type: 'string', format: 'date-time' },
+      note: { type: 'string', nullable: true },
+      error: { type: 'string', nullable: true }
+    }
+  },
+  Message: envelope({ message: { type: 'string' } })
+};
+
+// ============================================================================
+// ROUTE SPECS
+// ============================================================================
+
+const MESSAGE = ref('Message');
+const PAYROLL_PAGE = dataEnvelope(ref('PayrollEntryPage'));
+const PAYROLL_DATES = {
+  startDate: { type: 'string', format: 'date' },
+  endDate: { type: 'string', format: 'date' }
+};
+const PERSON_ACTION = dataEnvelope({
+  type: 'object',
+  properties: { message: { type: 'string' }, personId: { type: 'string' } }
+});
+const PAYROLL_ACTION = dataEnvelope({
+  type: 'object',
+  properties: { message: { type: 'string' }, entryId: { type: 'string' } }
+});
+
+/**
+ * Specs for the user account routes, served under two base paths
+ */
+function employeeAccountSpecs(base) {
+  return {
+    [`GET ${base}`]: {
+      tag: 'Employees',
+      query: {
+        projectId: { type: 'string' },
+        role: { type: 'string' },
+        status: { type: 'string' },
+        search: { type: 'string' },
+        limit: { type: 'integer', min: 1 },
+        offset: { type: 'integer', min: 0 }
+      },
+      response: envelope({
+        employees: arrayOf(ref('UserAccount')),
+        pagination: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            limit: { type: 'integer' },
+            offset: { type: 'integer' },
+            hasMore: { type: 'boolean' }
+          }
+        }
+      })
+    },
+    [`POST ${base}`]: { tag: 'Employees', status: 201, body: {}, response: envelope({ employee: ref('UserAccount') }) },
+    [`GET ${base}/:employeeId`]: { tag: 'Employees', response: envelope({ employee: ref('UserAccount') }) },
+    [`PUT ${base}/:employeeId`]: { tag: 'Employees', body: {}, response: envelope({ employee: ref('UserAccount') }) },
+    [`DELETE ${base}/:employeeId`]: {
+      tag: 'Employees',
+      query: {
+        hardDelete: { type: 'string', enum: ['true', 'false'] },
+        reason: { type: 'string' }
+      },
+      response: envelope({
+        message: { type: 'string' },
+        employeeId: { type: 'string' },
+        terminatedAt: { type: 'string', format: 'date-time' }
+      })
+    }
+  };
+}
+
+/**
+ * Per-route documentation the route table doesn't carry
+ *
+ * tag      - Grouping in the rendered docs
+ * query    - Query parameters as validation rules (plus `description`)
+ * headers  - Request headers as validation rules (plus `description`)
+ * paged    - Accepts `limit` / `cursor`
+ * body     - Body fields as validation rules, for routes without a router schema
+ * status   - Success status code (default 200)
+ * content  - Success media type when not JSON; the body is then a string
+ * response - JSON Schema of the success body
+ * errors   - Route-specific error responses, status -> description
+ * replay   - Status returned when a retried request replays its first response
+ */
+const ROUTE_SPECS = {
+  'GET /api/openapi.json': { tag: 'Meta', response: ANY_OBJECT },
+  'GET /api/health': {
+    tag: 'Meta',
+    response: {
+      type: 'object',
+      properties: { status: { type: 'string' }, timestamp: { type: 'string', format: 'date-time' } }
+    }
+  },
+  'GET /api/managers': { tag: 'Reports', response: envelope({ managers: arrayOf(ref('Manager')) }) },
+
+  // Reports
+  'GET /api/reports': {
+    tag: 'Reports',
+    query: schemas.reportListQuery.fields,
+    paged: true,
+    response: envelope({ reports: arrayOf(ref('Report')), pagination: ref('Pagination') })
+  },
+  'POST /api/reports': {
+    tag: 'Reports',
+    headers: {
+      'Idempotency-Key': {
+        type: 'string',
+        max: 255,
+        description: 'Retries with the same key replay the first response. Defaults to conversationId.'
+      }
+    },
+    status: 202,
+    replay: 200,
+    response: envelope({
+      reportId: { type: 'string' },
+      audioPath: { type: 'string' },
+      transcriptPath: { type: 'string' },
+      processing: {
+        type: 'object',
+        description: '`failed` when the report was saved but its processing job could not be queued; a replay queues it again',
+        properties: {
+          status: { type: 'string', enum: ['queued', 'failed'] },
+          statusUrl: { type: 'string' },
+          error: { type: 'string' }
+        }
+      },
+      replayed: { type: 'boolean' }
+    }),
+    errors: {
+      409: 'A submission with this key is still in progress',
+      422: 'Idempotency key reused for a different project, manager or date'
+    }
+  },
+  'GET /api/reports/deleted': {
+    tag: 'Reports',
+    paged: true,
+    response: envelope({
+      retentionDays: { type: 'integer' },
+      reports: arrayOf(ref('DeletedReport')),
+      pagination: ref('Pagination')
+    })
+  },
+  'DELETE /api/reports/:reportId': {
+    tag: 'Reports',
+    query: { projectId: { type: 'string', required: true }, reportDate: { type: 'string', format: 'date', required: true } },
+    response: envelope({ message: { type: 'string' }, reportId: { type: 'string' }, deletion: ref('ReportTombstone') }),
+    errors: { 409: 'The report is already deleted' }
+  },
+  'POST /api/reports/:reportId/restore': {
+    tag: 'Reports',
+    query: { projectId: { type: 'string' }, reportDate: { type: 'string', format: 'date' } },
+    response: envelope({
+      message: { type: 'string' },
+      reportId: { type: 'string' },
+      deletionHistory: arrayOf({
+        type: 'object',
+        properties: {
+          deleted_at: { type: 'string', format: 'date-time' },
+          deleted_by: ref('RevisionAuthor'),
+          reason: { type: 'string' },
+          restored_at: { type: 'string', format: 'date-time' },
+          restored_by: ref('RevisionAuthor')
+        }
+      })
+    }),
+    errors: { 409: 'The report is not deleted' }
+  },
+  'GET /api/reports/:reportId/html': {
+    tag: 'Reports',
+    query: { projectId: { type: 'string' }, reportDate: { type: 'string', format: 'date' } },
+    content: 'text/html'
+  },
+  'GET /api/reports/:reportId/transcript': {
+    tag: 'Reports',
+    query: { projectId: { type: 'string' }, reportDate: { type: 'string', format: 'date' } },
+    content: 'text/html'
+  },
+  'GET /api/reports/:reportId/transcript/turns': {
+    tag: 'Reports',
+    query: { projectId: { type: 'string' }, reportDate: { type: 'string', format: 'date' } },
+    response: envelope({
+      reportId: { type: 'string' },
+      conversationId: { type: 'string', nullable: true },
+      turns: arrayOf(ref('TranscriptTurn'))
+    })
+  },
+  'GET /api/reports/:reportId/audio': {
+    tag: 'Reports',
+    query: { projectId: { type: 'string' }, reportDate: { type: 'string', format: 'date' } },
+    response: ref('Audio')
+  },
+  'GET /api/reports/:reportId/status': {
+    tag: 'Reports',
+    response: envelope({ job: ref('ReportJob') })
+  },
+  'GET /api/reports/:reportId/extracted-data': {
+    tag: 'Reports',
+    query: { projectId: { type: 'string' }, reportDate: { type: 'string', format: 'date' } },
+    response: envelope({
+      reportId: { type: 'string' },
+      projectId: { type: 'string' },
+      reportDate: { type: 'string', format: 'date' },
+      revision: { type: 'integer', description: '0 when nothing has been extracted yet' },
+      extractedData: { allOf: [ref('ExtractedData')], nullable: true },
+      correctedBy: { allOf: [ref('RevisionAuthor')], nullable: true },
+      correctedAt: { type: 'string', format: 'date-time', nullable: true }
+    })
+  },
+  'PUT /api/reports/:reportId/extracted-data': {
+    tag: 'Reports',
+    query: { projectId: { type: 'string' }, reportDate: { type: 'string', format: 'date' } },
+    response: envelope({
+      reportId: { type: 'string' },
+      revision: { type: 'integer' },
+      changes: arrayOf(ref('RevisionChange')),
+      extractedData: ref('ExtractedData'),
+      processing: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          status: { type: 'string', enum: ['queued'] },
+          statusUrl: { type: 'string' }
+        }
+      }
+    }),
+    errors: {
+      409: 'The report is still being processed, or baseRevision is no longer the latest revision'
+    }
+  },
+  'GET /api/reports/:reportId/revisions': {
+    tag: 'Reports',
+    query: { projectId: { type: 'string' }, reportDate: { type: 'string', format: 'date' } },
+    response: envelope({
+      reportId: { type: 'string' },
+      currentRevision: { type: 'integer' },
+      revisions: arrayOf(ref('ReportRevision'))
+    })
+  },
+  'GET /api/reports/:reportId/revisions/:revision': {
+    tag: 'Reports',
+    response: envelope({ revision: ref('ReportRevision') })
+  },
+
+  // Analytics
+  'GET /api/analytics/insights': { tag: 'Analytics', response: envelope({ insights: ANY_OBJECT }) },
+  'POST /api/analytics/query': {
+    tag: 'Analytics',
+    body: { query: { type: 'string', required: true } },
+    response: envelope({ analysis: ANY_OBJECT })
+  },
+  'GET /api/analytics/reports/:reportType': { tag: 'Analytics', response: ANY_OBJECT },
+  'GET /api/review': {
+    tag: 'Review',
+    query: schemas.reviewListQuery.fields,
+    paged: true,
+    response: envelope({ items: arrayOf(ref('ReviewItem')), count: { type: 'integer' }, pagination: ref('Pagination') })
+  },
+  'PUT /api/review/:reviewId': {
+    tag: 'Review',
+    response: envelope({ item: ref('ReviewItem') })
+  },
+  'GET /api/analytics/prompt-versions': {
+    tag: 'Analytics',
+    query: {
+      from: { type: 'string', format: 'date' },
+      to: { type: 'string', format: 'date' },
+      projectId: { type: 'string' },
+      managerId: { type: 'string' }
+    },
+    response: envelope({
+      activeVersion: { type: 'string' },
+      routingRules: arrayOf(ref('PromptRoutingRule')),
+      versions: arrayOf(ref('PromptVersionStats'))
+    })
+  },
+  'POST /api/analytics/constraints/:constraintId/resolution': {
+    tag: 'Analytics',
+    body: { resolution: { type: 'string', required: true }, updatedBy: { type: 'string' } },
+    response: envelope()
+  },
+  'POST /api/analytics/constraints/:constraintId/status': {
+    tag: 'Analytics',
+    body: { status: { type: 'string', required: true }, updatedBy: { type: 'string' } },
+    response: envelope()
+  },
+
+  // ElevenLabs proxy
+  'POST /api/elevenlabs/conversation': { tag: 'ElevenLabs', body: {}, response: ANY_OBJECT },
+  'GET /api/elevenlabs/agent-config': { tag: 'ElevenLabs', response: envelope({ agentId: { type: 'string' } }) },
+  'GET /api/elevenlabs/conversation-token': { tag: 'ElevenLabs', response: envelope({ signedUrl: { type: 'string' } }) },
+  'GET /api/elevenlabs/transcript/:conversationId': { tag: 'ElevenLabs', response: envelope({ data: ANY_OBJECT }) },
+  'GET /api/elevenlabs/audio/:conversationId': { tag: 'ElevenLabs', response: ref('Audio') },
+
+  // Personnel
+  'GET /api/personnel': {
+    tag: 'Personnel',
+    query: { projectId: { type: 'string' } },
+    paged: true,
+    response: envelope({
+      personnel: arrayOf(ref('Personnel')),
+      count: { type: 'integer' },
+      pagination: ref('Pagination')
+    })
+  },
+  'POST /api/personnel': { tag: 'Personnel', status: 201, response: envelope({ personnel: ref('Personnel') }) },
+  'GET /api/personnel/:personnelId': { tag: 'Personnel', response: envelope({ personnel: ref('Personnel') }) },
+  'POST /api/personnel/match': { tag: 'Personnel', response: dataEnvelope(ANY_OBJECT) },
+  'GET /api/personnel/search': {
+    tag: 'Personnel',
+    query: { name: { type: 'string', required: true } },
+    response: dataEnvelope({
+      type: 'object',
+      properties: { employees: arrayOf(ref('Employee')), count: { type: 'integer' } }
+    })
+  },
+  'GET /api/personnel/number/:employeeNumber': { tag: 'Personnel', response: dataEnvelope(ref('Employee')) },
+  'POST /api/personnel/:employeeId/aliases': {
+    tag: 'Personnel',
+    response: dataEnvelope({
+      type: 'object',
+      properties: { message: { type: 'string' }, personId: { type: 'string' }, alias: { type: 'string' } }
+    })
+  },
+  'PUT /api/personnel/:employeeId': { tag: 'Personnel', response: PERSON_ACTION },
+  'GET /api/personnel/merge-candidates': {
+    tag: 'Personnel',
+    query: schemas.mergeCandidateListQuery.fields,
+    paged: true,
+    response: envelope({ candidates: arrayOf(ref('MergeCandidate')), count: { type: 'integer' }, pagination: ref('Pagination') })
+  },
+  'POST /api/personnel/merge-candidates/sweep': {
+    tag: 'Personnel',
+    response: envelope({
+      employees: { type: 'integer' },
+      pairsScored: { type: 'integer' },
+      queued: { type: 'integer' },
+      cleared: { type: 'integer' },
+      skipped: { type: 'integer', description: 'Pairs already merged or dismissed' }
+    })
+  },
+  'GET /api/personnel/merge-candidates/:candidateId/preview': {
+    tag: 'Personnel',
+    query: { primaryId: { type: 'string', description: 'Employee to keep (default: the suggested primary)' } },
+    response: envelope({ candidate: ref('MergeCandidate'), preview: ref('MergePreview') })
+  },
+  'POST /api/personnel/merge-candidates/:candidateId/merge': {
+    tag: 'Personnel',
+    response: envelope({ candidate: ref('MergeCandidate'), employee: ref('Employee'), merge: ref('PersonnelMerge') })
+  },
+  'POST /api/personnel/merge-candidates/:candidateId/dismiss': {
+    tag: 'Personnel',
+    response: envelope({ candidate: ref('MergeCandidate') })
+  },
+  'GET /api/personnel/merges/:mergeId': {
+    tag: 'Personnel',
+    response: envelope({ merge: ref('PersonnelMerge') })
+  },
+  'POST /api/personnel/merges/:mergeId/unmerge': {
+    tag: 'Personnel',
+    response: envelope({ merge: ref('PersonnelMerge'), candidate: ref('MergeCandidate') })
+  },
+  'DELETE /api/personnel/:employeeId': { tag: 'Personnel', response: PERSON_ACTION },
+
+  // Vendors
+  'GET /api/vendors': {
+    tag: 'Vendors',
+    paged: true,
+    response: envelope({
+      vendors: arrayOf(ref('Vendor')),
+      count: { type: 'integer' },
+      pagination: ref('Pagination')
+    })
+  },
+  'POST /api/vendors': { tag: 'Vendors', status: 201, response: envelope({ vendor: ref('Vendor') }) },
+  'GET /api/vendors/match': {
+    tag: 'Vendors',
+    query: schemas.vendorMatchQuery.fields,
+    response: envelope({
+      name: { type: 'string' },
+      match: { allOf: [ref('VendorMatch')], nullable: true },
+      candidates: arrayOf(ref('VendorMatch')),
+      ambiguous: { type: 'boolean', description: 'Another vendor scored within 5 of the match' }
+    })
+  },
+  'GET /api/vendors/merges/:mergeId': { tag: 'Vendors', response: envelope({ merge: ref('VendorMerge') }) },
+  'GET /api/vendors/:vendorId': { tag: 'Vendors', response: envelope({ vendor: ref('Vendor') }) },
+  'POST /api/vendors/:vendorId/aliases': { tag: 'Vendors', response: envelope({ vendor: ref('DirectoryVendor') }) },
+  'POST /api/vendors/:vendorId/merge': {
+    tag: 'Vendors',
+    response: envelope({ vendor: ref('DirectoryVendor'), merge: ref('VendorMerge') })
+  },
+  'PUT /api/vendors/:vendorId': { tag: 'Vendors', response: envelope({ vendor: ref('Vendor') }) },
+  'DELETE /api/vendors/:vendorId': { tag: 'Vendors', response: envelope() },
+
+  // Extraction
+  'POST /api/extract/batch': {
+    tag: 'Extraction',
+    body: { transcripts: { type: 'array', required: true, items: { type: 'object' } } },
+    response: envelope({ processed: { type: 'integer' }, results: arrayOf(ANY_OBJECT) })
+  },
+  'GET /api/extract/master-data': {
+    tag: 'Extraction',
+    query: { refresh: { type: 'string', enum: ['true', 'false'], description: 'Reload from the tables instead of the cached directory' } },
+    response: envelope({
+      personnel: arrayOf(ref('DirectoryPerson')),
+      projects: arrayOf(ref('DirectoryProject')),
+      loadedAt: { type: 'string', format: 'date-time' }
+    })
+  },
+
+  // Business Intelligence
+  'GET /api/bi/executive': { tag: 'BI', response: envelope({ dashboard: ANY_OBJECT }) },
+  'GET /api/bi/personnel': {
+    tag: 'BI',
+    query: {
+      project_id: { type: 'string' },
+      start_date: { type: 'string', format: 'date' },
+      end_date: { type: 'string', format: 'date' },
+      person_id: { type: 'string' }
+    },
+    response: envelope({ personnel_analytics: ANY_OBJECT })
+  },
+  'GET /api/bi/vendors': {
+    tag: 'BI',
+    query: { risk_level: { type: 'string' }, grade: { type: 'string' }, vendor_name: { type: 'string' } },
+    response: envelope({ vendor_analytics: ANY_OBJECT })
+  },
+  'GET /api/bi/projects/:projectId/health': { tag: 'BI', response: envelope({ project_health: ANY_OBJECT }) },
+  'GET /api/bi/constraints': {
+    tag: 'BI',
+    query: { project_id: { type: 'string' }, category: { type: 'string' }, min_cost: { type: 'number' } },
+    response: envelope({ constraint_analytics: ANY_OBJECT })
+  },
+  'GET /api/bi/recommendations': {
+    tag: 'BI',
+    query: { priority: { type: 'string' }, project_id: { type: 'string' } },
+    response: envelope({ strategic_insights: ANY_OBJECT })
+  },
+  'POST /api/bi/query': {
+    tag: 'BI',
+    body: { query: { type: 'string', required: true } },
+    response: envelope({ ai_response: ANY_OBJECT })
+  },
+  'GET /api/bi/reports/overtime': { tag: 'BI', response: envelope({ report: ANY_OBJECT }) },
+  'GET /api/bi/reports/constraints': { tag: 'BI', response: envelope({ report: ANY_OBJECT }) },
+  'GET /api/bi/reports/savings': { tag: 'BI', response: envelope({ report: ANY_OBJECT }) },
+  'GET /api/bi/reports/deliveries': { tag: 'BI', response: envelope({ report: ANY_OBJECT }) },
+
+  // Authentication
+  'POST /api/auth/login': {
+    tag: 'Auth',
+    body: {
+      email: { type: 'string' },
+      password: { type: 'string' },
+      username: { type: 'string', description: 'Legacy alias for email' },
+      passcode: { type: 'string', description: 'Legacy alias for password' }
+    },
+    response: ref('AuthSession')
+  },
+  'POST /api/auth/logout': { tag: 'Auth', bearer: true, response: MESSAGE },
+  'POST /api/auth/refresh': {
+    tag: 'Auth',
+    body: { refreshToken: { type: 'string', required: true } },
+    response: ref('AuthSession')
+  },
+  'GET /api/auth/me': { tag: 'Auth', bearer: true, response: envelope({ user: ref('User') }) },
+  'POST /api/auth/change-password': {
+    tag: 'Auth',
+    bearer: true,
+    body: {
+      currentPassword: { type: 'string' },
+      oldPassword: { type: 'string', description: 'Alias for currentPassword' },
+      newPassword: { type: 'string', required: true }
+    },
+    response: MESSAGE
+  },
+  'POST /api/auth/reset-password': {
+    tag: 'Auth',
+    body: { email: { type: 'string', format: 'email', required: true } },
+    response: MESSAGE
+  },
+  'POST /api/auth/register': {
+    tag: 'Auth',
+    status: 201,
+    body: {
+      email: { type: 'string', format: 'email', required: true },
+      password: { type: 'string' },
+      firstName: { type: 'string', required: true },
+      lastName: { type: 'string', required: true },
+      personId: { type: 'string' },
+      employeeNumber: { type: 'string' },
+      nickName: { type: 'string' },
+      role: { type: 'string' },
+      phoneNumber: { type: 'string' },
+      emailVerified: { type: 'boolean' },
+      sendEmail: { type: 'boolean' }
+    },
+    response: envelope({ user: ref('User') })
+  },
+
+  // User accounts
+  ...employeeAccountSpecs('/api/employees'),
+  ...employeeAccountSpecs('/api/admin/employees'),
+
+  // Projects
+  'GET /api/projects': { tag: 'Projects', response: envelope({ projects: arrayOf(ref('Project')) }) },
+  'POST /api/projects': { tag: 'Projects', status: 201, response: envelope({ project: ref('Project') }) },
+  'PUT /api/projects/:projectId': { tag: 'Projects', response: envelope({ project: ref('Project') }) },
+  'DELETE /api/projects/:projectId': { tag: 'Projects', response: MESSAGE },
+  'GET /api/projects/admin': { tag: 'Projects', response: envelope({ projects: arrayOf(ref('Project')) }) },
+  'POST /api/projects/admin': { tag: 'Projects', status: 201, response: envelope({ project: ref('Project') }) },
+  'GET /api/projects/admin/:projectId': { tag: 'Projects', response: envelope({ project: ref('Project') }) },
+  'PUT /api/projects/admin/:projectId': { tag: 'Projects', response: envelope({ project: ref('Project') }) },
+  'DELETE /api/projects/admin/:projectId': { tag: 'Projects', response: MESSAGE },
+  'PUT /api/projects/admin/:projectId/status': { tag: 'Projects', response: envelope({ project: ref('Project') }) },
+  'POST /api/projects/admin/:projectId/timeline': { tag: 'Projects', response: envelope({ project: ref('Project') }) },
+
+  // Time tracking
+  'POST /api/time-entries': { tag: 'Time Tracking', status: 201, response: envelope({ timeEntry: ref('TimeEntry') }) },
+  'GET /api/time-entries': {
+    tag: 'Time Tracking',
+    query: {
+      employeeId: { type: 'string' },
+      projectId: { type: 'string' },
+      startDate: { type: 'string', format: 'date' },
+      endDate: { type: 'string', format: 'date' }
+    },
+    paged: true,
+    response: envelope({
+      timeEntries: arrayOf(ref('TimeEntry')),
+      summary: ANY_OBJECT,
+      pagination: ref('Pagination')
+    })
+  },
+  'PUT /api/time-entries/:timeEntryId': { tag: 'Time Tracking', response: envelope({ timeEntry: ref('TimeEntry') }) },
+  'GET /api/employees/:employeeId/hours': {
+    tag: 'Time Tracking',
+    query: {
+      period: { type: 'string', enum: ['week', 'month', 'year', 'custom'] },
+      startDate: { type: 'string', format: 'date' },
+      endDate: { type: 'string', format: 'date' },
+      projectId: { type: 'string' }
+    },
+    response: envelope({
+      employeeId: { type: 'string' },
+      fullName: { type: 'string' },
+      period: { type: 'string' },
+      startDate: { type: 'string' },
+      endDate: { type: 'string' },
+      summary: ANY_OBJECT,
+      byProject: arrayOf(ANY_OBJECT),
+      breakdown: arrayOf(ANY_OBJECT)
+    })
+  },
+
+  // Payroll
+  'POST /api/payroll': {
+    tag: 'Payroll',
+    status: 201,
+    response: dataEnvelope({
+      type: 'object',
+      properties: { entryId: { type: 'string' }, message: { type: 'string' } }
+    })
+  },
+  'POST /api/payroll/bulk': {
+    tag: 'Payroll',
+    status: 201,
+    response: dataEnvelope({
+      type: 'object',
+      properties: {
+        created: { type: 'integer' },
+        failed: arrayOf(ANY_OBJECT),
+        successful: arrayOf(ANY_OBJECT)
+      }
+    })
+  },
+  'GET /api/payroll/review': { tag: 'Payroll', paged: true, response: PAYROLL_PAGE },
+  'GET /api/payroll/report/:reportId': { tag: 'Payroll', paged: true, response: PAYROLL_PAGE },
+  'GET /api/payroll/report/daily/:date': { tag: 'Payroll', response: dataEnvelope(ANY_OBJECT) },
+  'GET /api/payroll/export/daily/:date': { tag: 'Payroll', content: 'text/csv' },
+  'GET /api/payroll/employee/:employeeId': { tag: 'Payroll', query: PAYROLL_DATES, paged: true, response: PAYROLL_PAGE },
+  'GET /api/payroll/employee/:employeeId/timesheet': { tag: 'Payroll', query: PAYROLL_DATES, response: dataEnvelope(ANY_OBJECT) },
+  'GET /api/payroll/project/:projectId': { tag: 'Payroll', query: PAYROLL_DATES, paged: true, response: PAYROLL_PAGE },
+  'GET /api/payroll/project/:projectId/costs': {
+    tag: 'Payroll',
+    query: {
+      startDate: { type: 'string', format: 'date', required: true },
+      endDate: { type: 'string', format: 'date', required: true }
+    },
+    response: dataEnvelope(ANY_OBJECT)
+  },
+  'GET /api/payroll/date/:date': { tag: 'Payroll', paged: true, response: PAYROLL_PAGE },
+  'GET /api/payroll/:entryId': { tag: 'Payroll', response: dataEnvelope(ref('PayrollEntry')) },
+  'PUT /api/payroll/:entryId': { tag: 'Payroll', response: PAYROLL_ACTION },
+  'PUT /api/payroll/:entryId/review': { tag: 'Payroll', response: PAYROLL_ACTION },
+  'DELETE /api/payroll/:entryId': { tag: 'Payroll', response: PAYROLL_ACTION }
+};
+
+// ============================================================================
+// DOCUMENT
+// ============================================================================
+
+function specKey(route) {
+  return `${route.method} ${route.path}`;
+}
+
+/**
+ * `/api/reports/:reportId/html` -> `/api/reports/{reportId}/html`
+ */
+function toOpenApiPath(path) {
+  return path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+/**
+ * `GET /api/reports/:reportId/html` -> `getReportsByReportIdHtml`
+ */
+function operationId(route) {
+  const words = route.path
+    .split('/')
+    .filter(segment => segment && segment !== 'api')
+    .map(segment => (segment.startsWith(':') ? `by-${segment.slice(1)}` : segment))
+    .join('-')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+
+  return route.method.toLowerCase() + words.map(w => w[0].toUpperCase() + w.slice(1)).join('');
+}
+
+function jsonContent(schema) {
+  return { 'application/json': { schema } };
+}
+
+function errorResponse(description, name = 'Error') {
+  return { description, content: jsonContent(ref(name)) };
+}
+
+function buildParameters(route, spec) {
+  const parameters = route.path
+    .split('/')
+    .filter(segment => segment.startsWith(':'))
+    .map(segment => ({
+      name: segment.slice(1),
+      in: 'path',
+      required: true,
+      schema: { type: 'string' }
+    }));
+
+  const query = { ...(spec.query || {}), ...(spec.paged ? PAGINATION_QUERY : {}) };
+  for (const [name, rule] of Object.entries(query)) {
+    parameters.push({ name, in: 'query', required: !!rule.required, schema: ruleToSchema(rule) });
+  }
+
+  for (const [name, rule] of Object.entries(spec.headers || {})) {
+    parameters.push({ name, in: 'header', required: !!rule.required, schema: ruleToSchema(rule) });
+  }
+
+  return parameters;
+}
+
+function buildOperation(route, spec) {
+  const operation = {
+    operationId: operationId(route),
+    summary: route.summary,
+    tags: [spec.tag]
+  };
+
+  const parameters = buildParameters(route, spec);
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (route.schema) {
+    operation.requestBody = { required: true, content: jsonContent(bodySchema(route.schema)) };
+  } else if (spec.body) {
+    operation.requestBody = { required: true, content: jsonContent(bodySchema({ fields: spec.body })) };
+  }
+
+  // Routes that read the bearer token themselves still document it, without a 401 from the router
+  if (route.auth || spec.bearer) {
+    operation.security = [{ bearerAuth: [] }];
+  }
+  if (route.roles) {
+    operation['x-roles'] = route.roles;
+  }
+
+  const success = { description: 'Success' };
+  if (spec.content) {
+    success.content = { [spec.content]: { schema: { type: 'string' } } };
+  } else if (spec.response) {
+    success.content = jsonContent(spec.response);
+  }
+
+  const responses = { [String(spec.status || 200)]: success };
+  if (spec.replay) {
+    responses[String(spec.replay)] = { ...success, description: 'Replayed response of an earlier request' };
+  }
+  if (route.schema || spec.body || spec.query || spec.paged) {
+    responses['400'] = errorResponse('Invalid request', 'ValidationError');
+  }
+  if (route.auth || spec.bearer) {
+    responses['401'] = errorResponse('Missing or invalid bearer token');
+  }
+  if (route.roles) {
+    responses['403'] = errorResponse(`Requires role: ${route.roles.join(', ')}`);
+  }
+  if (route.path.includes(':')) {
+    responses['404'] = errorResponse('Not found');
+  }
+  for (const [status, description] of Object.entries(spec.errors || {})) {
+    responses[status] = errorResponse(description);
+  }
+  responses['500'] = errorResponse('Server error');
+  operation.responses = responses;
+
+  return operation;
+}
+
+/**
+ * Routes that have no ROUTE_SPECS entry
+ *
+ * @param {Array<Object>} routes - router.listRoutes()
+ * @returns {string[]} `'METHOD /path'` keys
+ */
+function missingSpecs(routes) {
+  return routes.map(specKey).filter(key => !ROUTE_SPECS[key]);
+}
+
+/**
+ * ROUTE_SPECS entries that no longer match a route
+ *
+ * @param {Array<Object>} routes - router.listRoutes()
+ * @returns {string[]} `'METHOD /path'` keys
+ */
+function staleSpecs(routes) {
+  const keys = new Set(routes.map(specKey));
+  return Object.keys(ROUTE_SPECS).filter(key => !keys.has(key));
+}
+
+/**
+ * Build the OpenAPI 3 document for a route table
+ *
+ * @param {Array<Object>} routes - router.listRoutes()
+ * @param {Object} [options]
+ * @param {string} [options.serverUrl] - Base URL clients should call
+ * @throws {Error} When a route has no ROUTE_SPECS entry
+ */
+function buildOpenApiDocument(routes, options = {}) {
+  const missing = missingSpecs(routes);
+  if (missing.length > 0) {
+    throw new Error(`Routes missing from ROUTE_SPECS: ${missing.join(', ')}`);
+  }
+
+  const paths = {};
+  for (const route of routes) {
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = buildOperation(route, ROUTE_SPECS[specKey(route)]);
+  }
+
+  const document = {
+    openapi: '3.0.3',
+    info: {
+      title: 'SiteLogix API',
+      version: API_VERSION,
+      description: 'Daily reports, personnel, payroll, projects and business intelligence for SiteLogix.'
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: COMPONENTS
+    }
+  };
+
+  if (options.serverUrl) {
+    document.servers = [{ url: options.serverUrl }];
+  }
+
+  return document;
+}
+
+module.exports = {
+  ROUTE_SPECS,
+  toOpenApiPath,
+  operationId,
+  bodySchema,
+  missingSpecs,
+  staleSpecs,
+  buildOpenApiDocument
+};
@@ -0,0 +1,161 @@
+/**
+ * OpenAPI Contract Tests
+ *
+ * Loads the real route table from api-handler and fails when a route has no
+ * ROUTE_SPECS entry (or an entry outlives its route), then checks the
+ * generated document against the table.
+ */
+
+// api-handler expects services/ to be copied next to it at deploy time
+jest.mock('./personnelService', () => require('../services/personnelService'), { virtual: true });
+jest.mock('./payrollService', () => require('../services/payrollService'), { virtual: true });
+jest.mock('./payrollExtractionService', () => require('../services/payrollExtractionService'), { virtual: true });
+jest.mock('./aiModelRegistry', () => require('../services/aiModelRegistry'), { virtual: true });
+jest.mock('./transcriptChunking', () => require('../services/transcriptChunking'), { virtual: true });
+jest.mock('./transcriptProvenance', () => require('../services/transcriptProvenance'), { virtual: true });
+jest.mock('./confidenceScoringService', () => require('../services/confidenceScoringService'), { virtual: true });
+jest.mock('./reviewQueue', () => require('../services/reviewQueue'), { virtual: true });
+jest.mock('./anomalyDetection', () => require('../services/anomalyDetection'), { virtual: true });
+jest.mock('./extractionConsistency', () => require('../services/extractionConsistency'), { virtual: true });
+jest.mock('./entityNormalizationService', () => require('../services/entityNormalizationService'), { virtual: true });
+jest.mock('./personnelDuplicates', () => require('../services/personnelDuplicates'), { virtual: true });
+jest.mock('./vendorMatching', () => require('../services/vendorMatching'), { virtual: true });
+jest.mock('./vendorMerge', () => require('../services/vendorMerge'), { virtual: true });
+
+const { Router } = require('./router');
+const { missingSpecs, staleSpecs, buildOpenApiDocument, toOpenApiPath, operationId, bodySchema } = require('./openapi');
+
+describe('OpenAPI document', () => {
+  let api;
+  let routes;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    api = require('./api-handler');
+    routes = api.router.listRoutes();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('contract', () => {
+    it('should have a spec entry for every registered route', () => {
+      expect(missingSpecs(routes)).toEqual([]);
+    });
+
+    it('should not keep spec entries for routes that no longer exist', () => {
+      expect(staleSpecs(routes)).toEqual([]);
+    });
+
+    it('should document every route as an operation', () => {
+      const document = buildOpenApiDocument(routes);
+
+      for (const route of routes) {
+        const operation = document.paths[toOpenApiPath(route.path)]?.[route.method.toLowerCase()];
+        expect(operation).toBeDefined();
+        expect(operation.summary).toBe(route.summary);
+      }
+    });
+
+    it('should give every operation a unique operationId', () => {
+      const ids = routes.map(operationId);
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    it('should declare every path parameter', () => {
+      const document = buildOpenApiDocument(routes);
+
+      for (const route of routes) {
+        const operation = document.paths[toOpenApiPath(route.path)][route.method.toLowerCase()];
+        const declared = (operation.parameters || []).filter(p => p.in === 'path').map(p => p.name);
+        const expected = route.path.split('/').filter(s => s.startsWith(':')).map(s => s.slice(1));
+        expect(declared).toEqual(expected);
+      }
+    });
+
+    it('should only reference component schemas that exist', () => {
+      const document = buildOpenApiDocument(routes);
+      const refs = JSON.stringify(document).match(/#\/components\/schemas\/[A-Za-z]+/g) || [];
+
+      for (const ref of new Set(refs)) {
+        expect(document.components.schemas).toHaveProperty(ref.split('/').pop());
+      }
+    });
+  });
+
+  describe('GET /api/openapi.json', () => {
+    it('should serve the document for the full route table', async () => {
+      const response = await api.handler({ requestContext: { http: { method: 'GET', path: '/api/openapi.json' } } });
+      const document = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(200);
+      expect(document.openapi).toMatch(/^3\./);
+      expect(document.paths['/api/openapi.json'].get).toBeDefined();
+      expect(document.paths['/api/reports/{reportId}/html'].get.parameters[0]).toMatchObject({ name: 'reportId', in: 'path' });
+    });
+  });
+});
+
+describe('buildOpenApiDocument', () => {
+  const noop = async () => ({ statusCode: 200, body: {} });
+
+  it('should throw when a route has no spec entry', () => {
+    const router = new Router();
+    router.get('/api/not-documented', noop);
+
+    expect(() => buildOpenApiDocument(router.listRoutes())).toThrow('GET /api/not-documented');
+  });
+
+  it('should mark auth and role requirements on the operation', () => {
+    const router = new Router();
+    router.delete('/api/reports/:reportId', noop, { roles: ['admin'] });
+
+    const operation = buildOpenApiDocument(router.listRoutes()).paths['/api/reports/{reportId}'].delete;
+    expect(operation.security).toEqual([{ bearerAuth: [] }]);
+    expect(operation['x-roles']).toEqual(['admin']);
+    expect(Object.keys(operation.responses)).toEqual(expect.arrayContaining(['401', '403']));
+  });
+
+  it('should document paged list query parameters', () => {
+    const router = new Router();
+    router.get('/api/vendors', noop);
+
+    const operation = buildOpenApiDocument(router.listRoutes()).paths['/api/vendors'].get;
+    expect(operation.parameters.map(p => p.name)).toEqual(['limit', 'cursor']);
+    expect(operation.responses['400'].content['application/json'].schema.$ref).toBe('#/components/schemas/ValidationError');
+  });
+});
+
+describe('bodySchema', () => {
+  it('should convert validation rules to JSON Schema', () => {
+    const schema = bodySchema({
+      fields: {
+        name: { type: 'string', required: true, max: 200 },
+        hours: { type: 'number', min: 0, max: 24 },
+        date: { type: 'string', format: 'date' },
+        tags: { type: 'array', items: { type: 'string' } }
+      }
+    });
+
+    expect(schema).toEqual({
+      type: 'object',
+      properties: {
+        name: { type: 'string', maxLength: 200 },
+        hours: { type: 'number', minimum: 0, maximum: 24 },
+        date: { type: 'string', format: 'date', pattern: '^\\d{4}-\\d{2}-\\d{2}' },
+        tags: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['name']
+    });
+  });
+
+  it('should express requireOneOf groups as anyOf required', () => {
+    const schema = bodySchema({
+      fields: { firstName: { type: 'string' }, first_name: { type: 'string' } },
+      requireOneOf: [['firstName', 'first_name']]
+    });
+
+    expect(schema.allOf).toEqual([{ anyOf: [{ required: ['firstName'] }, { required: ['first_name'] }] }]);
+  });
+});
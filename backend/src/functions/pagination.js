@@ -0,0 +1,114 @@
+/**
+ * Cursor Pagination
+ * Shared `limit` / `cursor` handling for list endpoints
+ *
+ * A cursor is the DynamoDB LastEvaluatedKey of the previous page, base64url
+ * encoded so clients treat it as an opaque token and pass it back unchanged.
+ * Every list response carries `pagination: { limit, nextCursor, hasMore }`.
+ *
+ * @module pagination
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 1000;
+
+/**
+ * Encode a DynamoDB key as an opaque cursor (null when there is no next page)
+ */
+function encodeCursor(key) {
+  if (!key) return null;
+  return Buffer.from(JSON.stringify(key), 'utf8').toString('base64url');
+}
+
+/**
+ * Decode a cursor back into a DynamoDB key
+ * @throws {Error} When the cursor is not one we issued
+ */
+function decodeCursor(cursor) {
+  const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  if (!key || typeof key !== 'object' || Array.isArray(key)) {
+    throw new Error('Invalid cursor');
+  }
+  return key;
+}
+
+/**
+ * Read `limit` and `cursor` from query parameters
+ *
+ * @param {Object} query - Query string parameters
+ * @param {Object} [options]
+ * @param {number} [options.defaultLimit=50]
+ * @returns {{ limit: number, startKey: Object|undefined } | { errors: Array<{field, message}> }}
+ *   `errors` is shaped for validationErrorResponse
+ */
+function parsePageParams(query = {}, options = {}) {
+  const errors = [];
+  let limit = options.defaultLimit || DEFAULT_LIMIT;
+  let startKey;
+
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push({ field: 'limit', message: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+  }
+
+  if (query.cursor) {
+    try {
+      startKey = decodeCursor(query.cursor);
+    } catch (e) {
+      errors.push({ field: 'cursor', message: 'cursor is invalid or expired' });
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { limit, startKey };
+}
+
+/**
+ * Run a Query or Scan until `limit` items are collected or the table is exhausted
+ *
+ * DynamoDB applies `Limit` before any FilterExpression, so a single request can
+ * come back short (or empty) while more matches remain. Each follow-up request
+ * only asks for the items still needed, so the returned key never skips unread
+ * items.
+ *
+ * @param {Object} client - DynamoDB client (raw or document)
+ * @param {Function} Command - QueryCommand or ScanCommand class matching the client
+ * @param {Object} params - Command input without Limit / ExclusiveStartKey
+ * @param {{ limit: number, startKey?: Object }} page
+ * @returns {Promise<{ items: Object[], lastKey: Object|null }>}
+ */
+async function queryPage(client, Command, params, { limit, startKey }) {
+  const items = [];
+  let key = startKey;
+
+  do {
+    const result = await client.send(new Command({
+      ...params,
+      Limit: limit - items.length,
+      ExclusiveStartKey: key
+    }));
+    items.push(...(result.Items || []));
+    key = result.LastEvaluatedKey;
+  } while (key && items.length < limit);
+
+  return { items, lastKey: key || null };
+}
+
+/**
+ * Pagination block for a list response
+ */
+function pageInfo(limit, lastKey) {
+  const nextCursor = encodeCursor(lastKey);
+  return { limit, nextCursor, hasMore: !!nextCursor };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parsePageParams,
+  queryPage,
+  pageInfo
+};
@@ -0,0 +1,80 @@
+/**
+ * Pagination Tests
+ *
+ * Covers cursor encoding, limit/cursor parsing and the Query/Scan loop that
+ * fills a page across filtered DynamoDB responses.
+ */
+
+const { encodeCursor, decodeCursor, parsePageParams, queryPage, pageInfo, MAX_LIMIT } = require('./pagination');
+
+class FakeCommand {
+  constructor(input) {
+    this.input = input;
+  }
+}
+
+/**
+ * Client that returns the given responses in order and records each input
+ */
+function fakeClient(responses) {
+  const calls = [];
+  return {
+    calls,
+    send: async (command) => {
+      calls.push(command.input);
+      return responses[calls.length - 1];
+    }
+  };
+}
+
+describe('cursors', () => {
+  it('should round-trip a DynamoDB key through an opaque cursor', () => {
+    const key = { PK: { S: 'PROJECT#p1' }, SK: { S: 'REPORT#2026-10-19#r1' } };
+    const cursor = encodeCursor(key);
+
+    expect(cursor).not.toContain('PROJECT');
+    expect(decodeCursor(cursor)).toEqual(key);
+  });
+
+  it('should encode a missing key as null', () => {
+    expect(encodeCursor(undefined)).toBeNull();
+    expect(pageInfo(25, null)).toEqual({ limit: 25, nextCursor: null, hasMore: false });
+  });
+});
+
+describe('parsePageParams', () => {
+  it('should default the limit and leave the start key empty', () => {
+    expect(parsePageParams({})).toEqual({ limit: 50, startKey: undefined });
+  });
+
+  it('should reject out-of-range limits and cursors we did not issue', () => {
+    const { errors } = parsePageParams({ limit: String(MAX_LIMIT + 1), cursor: 'not-a-cursor' });
+    expect(errors.map(e => e.field)).toEqual(['limit', 'cursor']);
+  });
+});
+
+describe('queryPage', () => {
+  it('should keep reading until the page is full, asking only for what is missing', async () => {
+    const client = fakeClient([
+      { Items: [{ id: 1 }], LastEvaluatedKey: { id: 1 } },
+      { Items: [{ id: 2 }, { id: 3 }], LastEvaluatedKey: { id: 3 } }
+    ]);
+
+    const { items, lastKey } = await queryPage(client, FakeCommand, { TableName: 't' }, { limit: 3 });
+
+    expect(items).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    expect(lastKey).toEqual({ id: 3 });
+    expect(client.calls.map(c => c.Limit)).toEqual([3, 2]);
+    expect(client.calls[1].ExclusiveStartKey).toEqual({ id: 1 });
+  });
+
+  it('should stop with no last key when the table is exhausted', async () => {
+    const client = fakeClient([{ Items: [{ id: 1 }] }]);
+
+    const { items, lastKey } = await queryPage(client, FakeCommand, { TableName: 't' }, { limit: 10, startKey: { id: 0 } });
+
+    expect(items).toEqual([{ id: 1 }]);
+    expect(lastKey).toBeNull();
+    expect(client.calls[0].ExclusiveStartKey).toEqual({ id: 0 });
+  });
+});
@@ -4,6 +4,9 @@
  */
 
 const { payrollService } = require('./payrollService');
+const schemas = require('./schemas');
+const { validationErrorResponse } = require('./validation');
+const { parsePageParams, pageInfo } = require('./pagination');
 
 /**
  * POST /api/payroll
@@ -204,13 +207,18 @@ async function handleGetPayrollEntry(event, entryId) {
 
 /**
  * GET /api/payroll/report/:reportId
- * Get all payroll entries for a report
+ * Get a page of payroll entries for a report
  */
 async function handleGetPayrollByReport(event, reportId) {
   try {
+    const page = parsePageParams(event.queryStringParameters || {});
+    if (page.errors) {
+      return validationErrorResponse(page.errors);
+    }
+
     console.log(`📋 Fetching payroll entries for report: ${reportId}`);
 
-    const entries = await payrollService.getEntriesByReport(reportId);
+    const { entries, lastKey } = await payrollService.getEntriesByReport(reportId, page);
 
     return {
       statusCode: 200,
@@ -218,7 +226,8 @@ async function handleGetPayrollByReport(event, reportId) {
         success: true,
         data: {
           entries,
-          count: entries.length
+          count: entries.length,
+          pagination: pageInfo(page.limit, lastKey)
         }
       }
     };
@@ -237,16 +246,21 @@ async function handleGetPayrollByReport(event, reportId) {
 
 /**
  * GET /api/payroll/employee/:employeeId
- * Get all payroll entries for an employee
+ * Get a page of payroll entries for an employee
  */
 async function handleGetPayrollByEmployee(event, employeeId) {
   try {
     const queryParams = event.queryStringParameters || {};
     const { startDate, endDate } = queryParams;
 
+    const page = parsePageParams(queryParams);
+    if (page.errors) {
+      return validationErrorResponse(page.errors);
+    }
+
     console.log(`📋 Fetching payroll entries for employee: ${employeeId}`);
 
-    const entries = await payrollService.getEntriesByEmployee(employeeId, startDate, endDate);
+    const { entries, lastKey } = await payrollService.getEntriesByEmployee(employeeId, startDate, endDate, page);
 
     return {
       statusCode: 200,
@@ -254,7 +268,8 @@ async function handleGetPayrollByEmployee(event, employeeId) {
         success: true,
         data: {
           entries,
-          count: entries.length
+          count: entries.length,
+          pagination: pageInfo(page.limit, lastKey)
         }
       }
     };
@@ -273,16 +288,21 @@ async function handleGetPayrollByEmployee(event, employeeId) {
 
 /**
  * GET /api/payroll/project/:projectId
- * Get all payroll entries for a project
+ * Get a page of payroll entries for a project
  */
 async function handleGetPayrollByProject(event, projectId) {
   try {
     const queryParams = event.queryStringParameters || {};
     const { startDate, endDate } = queryParams;
 
+    const page = parsePageParams(queryParams);
+    if (page.errors) {
+      return validationErrorResponse(page.errors);
+    }
+
     console.log(`📋 Fetching payroll entries for project: ${projectId}`);
 
-    const entries = await payrollService.getEntriesByProject(projectId, startDate, endDate);
+    const { entries, lastKey } = await payrollService.getEntriesByProject(projectId, startDate, endDate, page);
 
     return {
       statusCode: 200,
@@ -290,7 +310,8 @@ async function handleGetPayrollByProject(event, projectId) {
         success: true,
         data: {
           entries,
-          count: entries.length
+          count: entries.length,
+          pagination: pageInfo(page.limit, lastKey)
         }
       }
     };
@@ -309,13 +330,18 @@ async function handleGetPayrollByProject(event, projectId) {
 
 /**
  * GET /api/payroll/date/:date
- * Get all payroll entries for a specific date
+ * Get a page of payroll entries for a specific date
  */
 async function handleGetPayrollByDate(event, date) {
   try {
+    const page = parsePageParams(event.queryStringParameters || {});
+    if (page.errors) {
+      return validationErrorResponse(page.errors);
+    }
+
     console.log(`📋 Fetching payroll entries for date: ${date}`);
 
-    const entries = await payrollService.getEntriesByDate(date);
+    const { entries, lastKey } = await payrollService.getEntriesByDate(date, page);
 
     return {
       statusCode: 200,
@@ -323,7 +349,8 @@ async function handleGetPayrollByDate(event, date) {
         success: true,
         data: {
           entries,
-          count: entries.length
+          count: entries.length,
+          pagination: pageInfo(page.limit, lastKey)
         }
       }
     };
@@ -342,13 +369,18 @@ async function handleGetPayrollByDate(event, date) {
 
 /**
  * GET /api/payroll/review
- * Get all entries that need review
+ * Get a page of entries that need review
  */
 async function handleGetPayrollNeedingReview(event) {
   try {
+    const page = parsePageParams(event.queryStringParameters || {});
+    if (page.errors) {
+      return validationErrorResponse(page.errors);
+    }
+
     console.log(`🔍 Fetching payroll entries needing review`);
 
-    const entries = await payrollService.getEntriesNeedingReview();
+    const { entries, lastKey } = await payrollService.getEntriesNeedingReview(page);
 
     return {
       statusCode: 200,
@@ -356,7 +388,8 @@ async function handleGetPayrollNeedingReview(event) {
         success: true,
         data: {
           entries,
-          count: entries.length
+          count: entries.length,
+          pagination: pageInfo(page.limit, lastKey)
         }
       }
     };
@@ -675,7 +708,29 @@ async function handleGetProjectLaborCosts(event, projectId) {
   }
 }
 
+/**
+ * Register payroll routes on the API router
+ */
+function registerRoutes(router) {
+  router.post('/api/payroll', ({ event }) => handleCreatePayrollEntry(event), { schema: schemas.payrollEntryCreate, summary: 'Create payroll entry' });
+  router.post('/api/payroll/bulk', ({ event }) => handleCreateBulkPayrollEntries(event), { schema: schemas.payrollEntryBulk, summary: 'Create bulk payroll entries' });
+  router.get('/api/payroll/review', ({ event }) => handleGetPayrollNeedingReview(event), { summary: 'Get entries needing review' });
+  router.get('/api/payroll/report/:reportId', ({ event, params }) => handleGetPayrollByReport(event, params.reportId), { summary: 'Get payroll by report' });
+  router.get('/api/payroll/report/daily/:date', ({ event, params }) => handleGenerateDailyReport(event, params.date), { summary: 'Generate daily payroll report' });
+  router.get('/api/payroll/export/daily/:date', ({ event, params }) => handleExportDailyCSV(event, params.date), { summary: 'Export daily payroll CSV' });
+  router.get('/api/payroll/employee/:employeeId', ({ event, params }) => handleGetPayrollByEmployee(event, params.employeeId), { summary: 'Get payroll by employee' });
+  router.get('/api/payroll/employee/:employeeId/timesheet', ({ event, params }) => handleGetEmployeeTimesheet(event, params.employeeId), { summary: 'Get employee timesheet' });
+  router.get('/api/payroll/project/:projectId', ({ event, params }) => handleGetPayrollByProject(event, params.projectId), { summary: 'Get payroll by project' });
+  router.get('/api/payroll/project/:projectId/costs', ({ event, params }) => handleGetProjectLaborCosts(event, params.projectId), { summary: 'Get project labor costs' });
+  router.get('/api/payroll/date/:date', ({ event, params }) => handleGetPayrollByDate(event, params.date), { summary: 'Get payroll by date' });
+  router.get('/api/payroll/:entryId', ({ event, params }) => handleGetPayrollEntry(event, params.entryId), { summary: 'Get payroll entry' });
+  router.put('/api/payroll/:entryId', ({ event, params }) => handleUpdatePayrollEntry(event, params.entryId), { schema: schemas.payrollEntryUpdate, summary: 'Update payroll entry' });
+  router.put('/api/payroll/:entryId/review', ({ event, params }) => handleMarkAsReviewed(event, params.entryId), { summary: 'Mark entry as reviewed' });
+  router.delete('/api/payroll/:entryId', ({ event, params }) => handleDeletePayrollEntry(event, params.entryId), { summary: 'Delete payroll entry' });
+}
+
 module.exports = {
+  registerRoutes,
   handleCreatePayrollEntry,
   handleCreateBulkPayrollEntries,
   handleGetPayrollEntry,
@@ -4,6 +4,7 @@
  */
 
 const { personnelService } = require('./personnelService');
+const schemas = require('./schemas');
 
 /**
  * POST /api/personnel/match
@@ -463,7 +464,22 @@ async function handleGetEmployeeByNumber(event, employeeNumber) {
   }
 }
 
+/**
+ * Register personnel routes on the API router
+ * GET/POST /api/personnel and GET /api/personnel/:id are served by the
+ * legacy CRUD handlers in api-handler.js
+ */
+function registerRoutes(router) {
+  router.post('/api/personnel/match', ({ event }) => handleMatchOrCreateEmployee(event), { schema: schemas.personnelMatch, summary: 'Match or create employee (used by Roxy)' });
+  router.get('/api/personnel/search', ({ event }) => handleSearchEmployees(event), { summary: 'Search employees by name' });
+  router.get('/api/personnel/number/:employeeNumber', ({ event, params }) => handleGetEmployeeByNumber(event, params.employeeNumber), { summary: 'Get employee by employee number' });
+  router.post('/api/personnel/:employeeId/aliases', ({ event, params }) => handleAddEmployeeAlias(event, params.employeeId), { schema: schemas.personnelAlias, summary: 'Add employee alias' });
+  router.put('/api/personnel/:employeeId', ({ event, params }) => handleUpdateEmployee(event, params.employeeId), { schema: schemas.personnelUpdate, summary: 'Update employee' });
+  router.delete('/api/personnel/:employeeId', ({ event, params }) => handleDeleteEmployee(event, params.employeeId), { summary: 'Terminate employee' });
+}
+
 module.exports = {
+  registerRoutes,
   handleMatchOrCreateEmployee,
   handleCreateEmployee,
   handleGetEmployee,
@@ -6,6 +6,7 @@
 const { DynamoDBClient, ScanCommand, GetItemCommand, PutItemCommand, UpdateItemCommand, DeleteItemCommand, QueryCommand } = require('@aws-sdk/client-dynamodb');
 const { unmarshall, marshall } = require('@aws-sdk/util-dynamodb');
 const { v4: uuidv4 } = require('uuid');
+const schemas = require('./schemas');
 
 const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
 const PROJECTS_TABLE = 'sitelogix-projects';
@@ -527,7 +528,27 @@ async function handleListPersonnel(event) {
   }
 }
 
+/**
+ * Register project routes on the API router
+ * The unprefixed /api/projects routes are kept for older clients
+ */
+function registerRoutes(router) {
+  router.get('/api/projects', ({ event }) => handleListProjects(event), { summary: 'List projects' });
+  router.post('/api/projects', ({ event }) => handleCreateProject(event), { schema: schemas.projectCreate, summary: 'Create project' });
+  router.put('/api/projects/:projectId', ({ event, params }) => handleUpdateProject(event, params.projectId), { schema: schemas.projectUpdate, summary: 'Update project' });
+  router.delete('/api/projects/:projectId', ({ event, params }) => handleDeleteProject(event, params.projectId), { summary: 'Delete project' });
+
+  router.get('/api/projects/admin', ({ event }) => handleListProjects(event), { summary: 'List projects (admin)' });
+  router.post('/api/projects/admin', ({ event }) => handleCreateProject(event), { schema: schemas.projectCreate, summary: 'Create project (admin)' });
+  router.get('/api/projects/admin/:projectId', ({ event, params }) => handleGetProject(event, params.projectId), { summary: 'Get project (admin)' });
+  router.put('/api/projects/admin/:projectId', ({ event, params }) => handleUpdateProject(event, params.projectId), { schema: schemas.projectUpdate, summary: 'Update project (admin)' });
+  router.delete('/api/projects/admin/:projectId', ({ event, params }) => handleDeleteProject(event, params.projectId), { summary: 'Delete project (admin)' });
+  router.put('/api/projects/admin/:projectId/status', ({ event, params }) => handleUpdateProjectStatus(event, params.projectId), { schema: schemas.projectStatus, summary: 'Update project status' });
+  router.post('/api/projects/admin/:projectId/timeline', ({ event, params }) => handleUpdateProjectTimeline(event, params.projectId), { schema: schemas.projectTimeline, summary: 'Update project timeline' });
+}
+
 module.exports = {
+  registerRoutes,
   handleListProjects,
   handleGetProject,
   handleCreateProject,
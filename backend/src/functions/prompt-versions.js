@@ -0,0 +1,116 @@
+/**
+ * Prompt Version Comparison
+ * Per-version extraction stats for prompt A/B rollouts
+ *
+ * Each analytics run stamps its report with the model and prompt version
+ * PromptRegistry routed it to, plus the extraction's mean item confidence:
+ *   extraction_model_version, extraction_prompt_version, extraction_rule,
+ *   extraction_confidence (0-1, null when the prompt asks for no scores)
+ *
+ * Grouping reports on those gives, per version:
+ *   averageConfidence  mean of the reports' extraction_confidence
+ *   reviewRate         share of reports a manager corrected (extracted_data_revision)
+ *   needsReviewRate    share of reports whose output failed the schema even after repair
+ *   failureRate        share of reports whose analytics run failed
+ *
+ * @module prompt-versions
+ */
+
+// Item lists the extraction prompts ask to score
+const SCORED_SECTIONS = ['personnel', 'workLogs', 'constraints', 'vendors'];
+
+// Report attributes the comparison reads
+const STAT_ATTRIBUTES = [
+  'extraction_model_version',
+  'extraction_prompt_version',
+  'extraction_confidence',
+  'extracted_data_revision',
+  'needs_review',
+  'analytics_status'
+];
+
+function round(value, places = 3) {
+  return Math.round(value * 10 ** places) / 10 ** places;
+}
+
+/**
+ * Mean item confidence of an extraction, 0-1
+ * Prompts score items 0-100; an extraction whose scores are all 0-1 is taken as is.
+ *
+ * @returns {number|null} null when no item carries a score
+ */
+function extractionConfidence(extractedData) {
+  const scores = SCORED_SECTIONS
+    .flatMap(section => (Array.isArray(extractedData?.[section]) ? extractedData[section] : []))
+    .filter(item => item?.confidence !== null && item?.confidence !== undefined && item?.confidence !== '')
+    .map(item => Number(item.confidence))
+    .filter(score => Number.isFinite(score) && score >= 0 && score <= 100);
+
+  if (scores.length === 0) return null;
+  const scale = scores.some(score => score > 1) ? 100 : 1;
+  return round(scores.reduce((sum, score) => sum + score, 0) / scores.length / scale);
+}
+
+/**
+ * Group stamped reports by model version
+ *
+ * @param {Object[]} reports - Unmarshalled report items (STAT_ATTRIBUTES)
+ * @param {{ versions?: Object[], rules?: Object[] }} registry - AIModelRegistry
+ *   versions and PromptRegistry rules, to label each group
+ * @returns {Object[]} Newest-deployed version first
+ */
+function summarizePromptVersions(reports, { versions = [], rules = [] } = {}) {
+  const groups = new Map();
+
+  for (const report of reports) {
+    const version = report.extraction_model_version;
+    if (!version) continue;
+
+    if (!groups.has(version)) {
+      groups.set(version, { promptVersions: new Set(), reports: 0, failed: 0, reviewed: 0, flagged: 0, scored: 0, confidenceSum: 0 });
+    }
+    const group = groups.get(version);
+    group.reports += 1;
+    if (report.extraction_prompt_version) group.promptVersions.add(report.extraction_prompt_version);
+
+    if (report.analytics_status === 'failed') {
+      group.failed += 1;
+      continue;
+    }
+    if (report.extracted_data_revision) group.reviewed += 1;
+    if (report.needs_review) group.flagged += 1;
+    if (typeof report.extraction_confidence === 'number') {
+      group.scored += 1;
+      group.confidenceSum += report.extraction_confidence;
+    }
+  }
+
+  const deployed = new Map(versions.map(version => [version.version, version]));
+
+  return Array.from(groups, ([modelVersion, group]) => {
+    const model = deployed.get(modelVersion);
+    const completed = group.reports - group.failed;
+    return {
+      modelVersion,
+      promptVersion: model?.promptVersion || Array.from(group.promptVersions)[0] || null,
+      status: model?.status || 'unknown',
+      routingRules: rules.filter(rule => rule.version === modelVersion).map(rule => rule.id),
+      reports: group.reports,
+      failed: group.failed,
+      reviewed: group.reviewed,
+      needsReview: group.flagged,
+      averageConfidence: group.scored > 0 ? round(group.confidenceSum / group.scored) : null,
+      reviewRate: completed > 0 ? round(group.reviewed / completed) : null,
+      needsReviewRate: completed > 0 ? round(group.flagged / completed) : null,
+      failureRate: round(group.failed / group.reports)
+    };
+  }).sort((a, b) =>
+    String(deployed.get(b.modelVersion)?.deployedAt || '').localeCompare(String(deployed.get(a.modelVersion)?.deployedAt || '')) ||
+    a.modelVersion.localeCompare(b.modelVersion));
+}
+
+module.exports = {
+  STAT_ATTRIBUTES,
+  extractionConfidence,
+  summarizePromptVersions
+};
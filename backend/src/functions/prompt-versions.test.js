@@ -0,0 +1,303 @@
+/**
+ * Prompt Version Comparison Tests
+ *
+ * Confidence and per-version stats, and the version stamp the analytics run
+ * leaves on a report (DynamoDB stubbed, FakeLLMProvider for the model).
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+
+// The wrapper expects services/ to be copied next to it at deploy time
+jest.mock('./aiModelRegistry', () => require('../services/aiModelRegistry'), { virtual: true });
+jest.mock('./transcriptChunking', () => require('../services/transcriptChunking'), { virtual: true });
+jest.mock('./transcriptProvenance', () => require('../services/transcriptProvenance'), { virtual: true });
+jest.mock('./confidenceScoringService', () => require('../services/confidenceScoringService'), { virtual: true });
+jest.mock('./reviewQueue', () => require('../services/reviewQueue'), { virtual: true });
+jest.mock('./anomalyDetection', () => require('../services/anomalyDetection'), { virtual: true });
+jest.mock('./extractionConsistency', () => require('../services/extractionConsistency'), { virtual: true });
+
+const { AIModelRegistry, PromptRegistry } = require('../services/aiModelRegistry');
+const { FakeLLMProvider } = require('../services/llmProviders');
+const { extractionConfidence, summarizePromptVersions } = require('./prompt-versions');
+const { processTranscriptAnalytics } = require('./transcriptAnalysisWrapper');
+
+const VERSIONS = [
+  { version: 'v2.0.0', promptVersion: 'extraction-v2.0', status: 'active', deployedAt: '2025-11-04T00:00:00Z' },
+  { version: 'v2.1.0', promptVersion: 'extraction-v2.1', status: 'experimental', deployedAt: '2026-10-01T00:00:00Z' }
+];
+
+describe('extractionConfidence', () => {
+  it('should average item scores across sections as a 0-1 value', () => {
+    expect(extractionConfidence({
+      personnel: [{ confidence: 90 }, { confidence: 70 }],
+      vendors: [{ confidence: '50' }],
+      constraints: [{ confidence: null }],
+      timeSummary: { confidence: 0 }
+    })).toBe(0.7);
+  });
+
+  it('should take scores that are already fractions as is', () => {
+    expect(extractionConfidence({ personnel: [{ confidence: 0.9 }, { confidence: 0.6 }] })).toBe(0.75);
+  });
+
+  it('should be null when nothing is scored', () => {
+    expect(extractionConfidence({ personnel: [{ fullName: 'Wes Clark' }] })).toBeNull();
+    expect(extractionConfidence(null)).toBeNull();
+  });
+});
+
+describe('summarizePromptVersions', () => {
+  it('should compute confidence, review and failure rates per version', () => {
+    const stats = summarizePromptVersions([
+      { extraction_model_version: 'v2.0.0', extraction_prompt_version: 'extraction-v2.0', extraction_confidence: 0.8, analytics_status: 'completed' },
+      { extraction_model_version: 'v2.0.0', extraction_prompt_version: 'extraction-v2.0', extraction_confidence: 0.6, extracted_data_revision: 2, analytics_status: 'completed' },
+      { extraction_model_version: 'v2.1.0', extraction_prompt_version: 'extraction-v2.1', extraction_confidence: 0.9, needs_review: true, analytics_status: 'completed' },
+      { extraction_model_version: 'v2.1.0', extraction_prompt_version: 'extraction-v2.1', analytics_status: 'failed' },
+      { report_id: 'legacy', analytics_status: 'completed' }
+    ], { versions: VERSIONS, rules: [{ id: 'pilot', version: 'v2.1.0', percent: 10 }] });
+
+    expect(stats).toEqual([
+      {
+        modelVersion: 'v2.1.0',
+        promptVersion: 'extraction-v2.1',
+        status: 'experimental',
+        routingRules: ['pilot'],
+        reports: 2,
+        failed: 1,
+        reviewed: 0,
+        needsReview: 1,
+        averageConfidence: 0.9,
+        reviewRate: 0,
+        needsReviewRate: 1,
+        failureRate: 0.5
+      },
+      {
+        modelVersion: 'v2.0.0',
+        promptVersion: 'extraction-v2.0',
+        status: 'active',
+        routingRules: [],
+        reports: 2,
+        failed: 0,
+        reviewed: 1,
+        needsReview: 0,
+        averageConfidence: 0.7,
+        reviewRate: 0.5,
+        needsReviewRate: 0,
+        failureRate: 0
+      }
+    ]);
+  });
+
+  it('should still list versions the registry no longer knows', () => {
+    const [stats] = summarizePromptVersions([
+      { extraction_model_version: 'v1.9.0', extraction_prompt_version: 'extraction-v1.9', analytics_status: 'failed' }
+    ]);
+
+    expect(stats).toEqual(expect.objectContaining({
+      promptVersion: 'extraction-v1.9',
+      status: 'unknown',
+      averageConfidence: null,
+      reviewRate: null,
+      failureRate: 1
+    }));
+  });
+});
+
+describe('processTranscriptAnalytics version stamp', () => {
+  let fake;
+  let updates;
+  let payrollHistory;
+
+  // The analytics update of the report itself
+  const reportUpdate = () => updates.find(input => input.TableName === 'sitelogix-reports');
+
+  beforeEach(() => {
+    process.env.LLM_PROVIDER = 'fake';
+    fake = new FakeLLMProvider();
+    AIModelRegistry.resetProviders();
+    AIModelRegistry.registerProvider(fake);
+    updates = [];
+    payrollHistory = [];
+    jest.spyOn(DynamoDBClient.prototype, 'send').mockImplementation(async (command) => {
+      updates.push(command.input);
+      if (command.input.TableName === 'sitelogix-payroll-entries') {
+        return { Items: payrollHistory.map(entry => marshall(entry)) };
+      }
+      return {};
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.LLM_PROVIDER;
+    AIModelRegistry.resetProviders();
+    PromptRegistry.resetRoutingRules();
+    jest.restoreAllMocks();
+  });
+
+  const context = {
+    reportId: 'rpt_1',
+    projectId: 'proj_001',
+    projectName: 'Parkway Plaza',
+    projectLocation: 'Austin, TX',
+    managerId: 'mgr_001',
+    managerName: 'Wes Clark',
+    reportDate: '2026-10-19'
+  };
+
+  it('should extract with the routed prompt and stamp the versions on the report', async () => {
+    fake.respond('transcript-analytics', { personnel: [{ fullName: 'Wes Clark', hoursWorked: 8, confidence: 80 }] });
+
+    const result = await processTranscriptAnalytics('Manager: Wes worked 8 hours.', context);
+
+    expect(fake.calls[0].prompt).toContain('WITH CONFIDENCE SCORES');
+    expect(fake.calls[0].prompt).toContain('Manager: Wes worked 8 hours.');
+    expect(result.extractedData.extraction).toEqual({
+      modelVersion: 'v2.0.0',
+      promptVersion: 'extraction-v2.0',
+      routingRule: null,
+      provider: 'fake',
+      model: 'fake-llm',
+      confidence: 0.8,
+      chunks: 1,
+      attempts: 1,
+      needsReview: false,
+      validationErrors: []
+    });
+    expect(unmarshall(reportUpdate().ExpressionAttributeValues)).toEqual(expect.objectContaining({
+      ':modelVersion': 'v2.0.0',
+      ':promptVersion': 'extraction-v2.0',
+      ':rule': null,
+      ':confidence': 0.8,
+      ':needsReview': false
+    }));
+  });
+
+  it('should link extracted items to the transcript turns they quote', async () => {
+    fake.respond('transcript-analytics', {
+      personnel: [{ fullName: 'Wes Clark', hoursWorked: 8, extractedFromText: 'Wes worked 8 hours' }]
+    });
+
+    const result = await processTranscriptAnalytics({
+      transcript: [
+        { role: 'agent', message: 'Who was on site?', time_in_call_secs: 0 },
+        { role: 'user', message: 'Wes worked 8 hours.', time_in_call_secs: 3 }
+      ]
+    }, context);
+
+    expect(result.extractedData.personnel[0].sources).toEqual([
+      { turnIndex: 1, start: 0, end: 18, timeInCallSecs: 3, match: 'exact' }
+    ]);
+  });
+
+  it('should score extracted items and queue low-confidence ones for review', async () => {
+    fake.respond('transcript-analytics', {
+      personnel: [
+        { fullName: 'Wes Clark', hoursWorked: 8, confidence: 90, extractedFromText: 'Wes worked 8 hours' },
+        { fullName: 'Jim', hoursWorked: 20, confidence: 30, extractedFromText: 'the crane guy' }
+      ]
+    });
+
+    const result = await processTranscriptAnalytics('Manager: Wes worked 8 hours.', context);
+
+    expect(result.extractedData.personnel.map(person => person.confidenceScore.requiresReview)).toEqual([false, true]);
+    const queued = updates.filter(input => input.TableName === 'sitelogix-review-queue' && input.Item).map(input => unmarshall(input.Item));
+    expect(queued).toEqual([expect.objectContaining({
+      PK: 'REPORT#rpt_1',
+      SK: 'personnel#jim',
+      review_status: 'open',
+      project_id: 'proj_001'
+    })]);
+  });
+
+  it('should flag hours and crew sizes far from the project history', async () => {
+    // Six earlier reports, each with the same crew of eight working 8 hours
+    for (let day = 1; day <= 6; day++) {
+      for (let n = 1; n <= 8; n++) {
+        payrollHistory.push({
+          report_id: `rpt_old_${day}`,
+          report_date: `2026-10-0${day}`,
+          project_id: 'proj_001',
+          employee_id: `emp_${n}`,
+          employee_name: n === 1 ? 'Kenny Ruiz' : `Worker ${n}`,
+          regular_hours: 8,
+          overtime_hours: 0
+        });
+      }
+    }
+    fake.respond('transcript-analytics', {
+      personnel: [
+        { fullName: 'Kenny Ruiz', hoursWorked: 16, confidence: 90 },
+        { fullName: 'Worker 2', hoursWorked: 8, confidence: 90 }
+      ],
+      timeSummary: { totalPersonnelCount: 40 }
+    });
+
+    const result = await processTranscriptAnalytics('Manager: Kenny worked 16 hours.', context);
+
+    const [kenny, worker] = result.extractedData.personnel.map(person => person.confidenceScore);
+    expect(kenny).toEqual(expect.objectContaining({
+      anomalyScore: 100,
+      requiresReview: true,
+      reviewReason: 'Unusual for this project: Kenny Ruiz reported 16 hours; usually 8'
+    }));
+    expect(worker).toEqual(expect.objectContaining({ anomalyScore: 0, historicalConfidence: 100, requiresReview: false }));
+
+    const { ':anomalyFlags': flags } = unmarshall(reportUpdate().ExpressionAttributeValues);
+    expect(flags.map(flag => flag.message)).toEqual([
+      'Crew of 40 on a project that averages 8',
+      'Kenny Ruiz reported 16 hours; usually 8'
+    ]);
+  });
+
+  it('should store checklist answers that contradict each other as validation warnings', async () => {
+    fake.respond('transcript-analytics', {
+      personnel: [{ fullName: 'Wes Clark', hoursWorked: 8, confidence: 90 }],
+      timeSummary: { totalPersonnelCount: 3 }
+    });
+
+    await processTranscriptAnalytics('Manager: Three guys today, Wes worked 8 hours.', context);
+
+    const { ':validationWarnings': warnings } = unmarshall(reportUpdate().ExpressionAttributeValues);
+    expect(warnings).toEqual([expect.objectContaining({
+      check: 'headcount',
+      message: 'Headcount was given as 3 but 1 person was named'
+    })]);
+  });
+
+  it('should keep output that is still invalid after a repair and flag the report', async () => {
+    fake.respond('transcript-analytics', 'Wes worked 8 hours.');
+
+    const result = await processTranscriptAnalytics('Manager: Wes worked 8 hours.', context);
+
+    expect(result.success).toBe(true);
+    expect(fake.calls).toHaveLength(2);
+    expect(result.extractedData.extraction).toEqual(expect.objectContaining({ attempts: 2, needsReview: true }));
+    expect(unmarshall(reportUpdate().ExpressionAttributeValues)).toEqual(expect.objectContaining({
+      ':status': 'completed',
+      ':needsReview': true,
+      ':totalPersonnel': 0
+    }));
+  });
+
+  it('should record a failed run against the routed version', async () => {
+    PromptRegistry.setRoutingRules([{ id: 'legacy-sites', version: 'v1.0.0', projectIds: ['proj_001'] }]);
+    fake.respond('transcript-analytics', () => {
+      throw new Error('Rate limited');
+    });
+
+    const result = await processTranscriptAnalytics('Manager: Wes worked 8 hours.', context);
+
+    expect(result.success).toBe(false);
+    expect(fake.calls[0].prompt).not.toContain('WITH CONFIDENCE SCORES');
+    expect(unmarshall(reportUpdate().ExpressionAttributeValues)).toEqual(expect.objectContaining({
+      ':status': 'failed',
+      ':modelVersion': 'v1.0.0',
+      ':promptVersion': 'extraction-v1.0',
+      ':rule': 'legacy-sites'
+    }));
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * Report Deletion
+ * Soft delete, restore and retention purge for sitelogix-reports
+ *
+ * DELETE /api/reports/:reportId doesn't remove anything: it tombstones the
+ * report with who deleted it, when and why. Tombstoned reports drop out of
+ * report lists and lookups, and an admin can restore them. Each restore
+ * appends the tombstone it cleared to the report's `deletion_history`.
+ *
+ * A tombstone also sets `tombstone = 'DELETED'`, which puts the report in the
+ * sparse GSI5-DeletedIndex (tombstone + deleted_at). The retention job
+ * (a scheduled invocation of the API Lambda with source REPORT_RETENTION_SOURCE)
+ * queries that index for reports deleted more than REPORT_RETENTION_DAYS ago
+ * and purges them: the report item, its S3 artifacts, revisions and
+ * processing job. Payroll entries are kept; they have their own retention.
+ *
+ * @module report-deletion
+ */
+
+const { GetItemCommand, UpdateItemCommand, DeleteItemCommand, QueryCommand } = require('@aws-sdk/client-dynamodb');
+const { ListObjectsV2Command, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { REPORT_REVISIONS_TABLE } = require('./report-revisions');
+const { REPORT_JOBS_TABLE } = require('./report-jobs');
+
+const REPORTS_TABLE = 'sitelogix-reports';
+const DELETED_INDEX = 'GSI5-DeletedIndex';
+const TOMBSTONE = 'DELETED';
+
+// Marks a Lambda event as the scheduled retention run
+const REPORT_RETENTION_SOURCE = 'sitelogix.report-retention';
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days a deleted report stays restorable (REPORT_RETENTION_DAYS, default 90)
+ */
+function retentionDays() {
+  const days = Number(process.env.REPORT_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+function reportKey({ projectId, reportDate, reportId }) {
+  return marshall({ PK: `PROJECT#${projectId}`, SK: `REPORT#${reportDate}#${reportId}` });
+}
+
+async function getReport(client, key) {
+  const result = await client.send(new GetItemCommand({
+    TableName: REPORTS_TABLE,
+    Key: reportKey(key),
+    ConsistentRead: true
+  }));
+  return result.Item ? unmarshall(result.Item) : null;
+}
+
+/**
+ * Public view of a report's tombstone, or null if it isn't deleted
+ */
+function formatTombstone(report, days = retentionDays()) {
+  if (!report.deleted_at) return null;
+  return {
+    deletedAt: report.deleted_at,
+    deletedBy: report.deleted_by,
+    reason: report.deletion_reason,
+    purgeAfter: new Date(Date.parse(report.deleted_at) + days * DAY_MS).toISOString()
+  };
+}
+
+/**
+ * Tombstone a report
+ *
+ * @param {DynamoDBClient} client
+ * @param {Object} key - { projectId, reportDate, reportId }
+ * @param {Object} deletion - { by: { userId, name }, reason }
+ * @returns {Promise<{status: 'deleted'|'not_found'|'already_deleted', report?: Object}>}
+ */
+async function softDeleteReport(client, key, { by, reason }) {
+  try {
+    const result = await client.send(new UpdateItemCommand({
+      TableName: REPORTS_TABLE,
+      Key: reportKey(key),
+      UpdateExpression: 'SET deleted_at = :now, deleted_by = :by, deletion_reason = :reason, tombstone = :tombstone, updated_at = :now',
+      ConditionExpression: 'attribute_exists(PK) AND attribute_not_exists(deleted_at)',
+      ExpressionAttributeValues: marshall({
+        ':now': new Date().toISOString(),
+        ':by': by,
+        ':reason': reason,
+        ':tombstone': TOMBSTONE
+      }, { removeUndefinedValues: true }),
+      ReturnValues: 'ALL_NEW'
+    }));
+    return { status: 'deleted', report: unmarshall(result.Attributes) };
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+    const report = await getReport(client, key);
+    return report ? { status: 'already_deleted', report } : { status: 'not_found' };
+  }
+}
+
+/**
+ * Clear a report's tombstone, keeping it in deletion_history
+ *
+ * @param {DynamoDBClient} client
+ * @param {Object} key - { projectId, reportDate, reportId }
+ * @param {Object} by - { userId, name } of the admin restoring it
+ * @returns {Promise<{status: 'restored'|'not_found'|'not_deleted', report?: Object}>}
+ */
+async function restoreReport(client, key, by) {
+  const report = await getReport(client, key);
+  if (!report) return { status: 'not_found' };
+  if (!report.deleted_at) return { status: 'not_deleted', report };
+
+  const now = new Date().toISOString();
+  try {
+    const result = await client.send(new UpdateItemCommand({
+      TableName: REPORTS_TABLE,
+      Key: reportKey(key),
+      UpdateExpression: `SET deletion_history = list_append(if_not_exists(deletion_history, :empty), :entry), updated_at = :now
+        REMOVE deleted_at, deleted_by, deletion_reason, tombstone`,
+      // The tombstone we're archiving must be the one still on the report
+      ConditionExpression: 'deleted_at = :deletedAt',
+      ExpressionAttributeValues: marshall({
+        ':empty': [],
+        ':entry': [{
+          deleted_at: report.deleted_at,
+          deleted_by: report.deleted_by,
+          reason: report.deletion_reason,
+          restored_at: now,
+          restored_by: by
+        }],
+        ':now': now,
+        ':deletedAt': report.deleted_at
+      }, { removeUndefinedValues: true }),
+      ReturnValues: 'ALL_NEW'
+    }));
+    return { status: 'restored', report: unmarshall(result.Attributes) };
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+    return { status: 'not_deleted', report };
+  }
+}
+
+/**
+ * Query params for deleted reports, oldest deletion first
+ *
+ * @param {string} [deletedBefore] - Only reports deleted before this ISO time
+ */
+function deletedReportsQuery(deletedBefore) {
+  return {
+    TableName: REPORTS_TABLE,
+    IndexName: DELETED_INDEX,
+    KeyConditionExpression: deletedBefore ? 'tombstone = :tombstone AND deleted_at < :before' : 'tombstone = :tombstone',
+    ExpressionAttributeValues: marshall({
+      ':tombstone': TOMBSTONE,
+      ...(deletedBefore && { ':before': deletedBefore })
+    })
+  };
+}
+
+/**
+ * S3 keys to remove with a report: everything in its report folder
+ * (SITELOGIX/projects/{projectId}/reports/{yyyy}/{mm}/{reportId}/), or just the
+ * paths on the item when they don't live in a folder of their own
+ */
+async function reportArtifactKeys(s3, report) {
+  const paths = [report.audio_s3_path, report.transcript_s3_path]
+    .filter(Boolean)
+    .map(path => path.match(/^s3:\/\/([^/]+)\/(.+)$/))
+    .filter(Boolean)
+    .map(([, bucket, key]) => ({ bucket, key }));
+
+  if (paths.length === 0) return [];
+
+  const { bucket, key } = paths[0];
+  const folder = key.slice(0, key.lastIndexOf('/') + 1);
+  if (!folder.endsWith(`/${report.report_id}/`)) return paths;
+
+  const keys = [];
+  let ContinuationToken;
+  do {
+    const result = await s3.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: folder, ContinuationToken }));
+    keys.push(...(result.Contents || []).map(object => ({ bucket, key: object.Key })));
+    ContinuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+  return keys;
+}
+
+/**
+ * Permanently remove one tombstoned report and what belongs to it
+ *
+ * The report item goes last, conditional on the tombstone still being there:
+ * if removing its artifacts fails part way, the report stays tombstoned and
+ * the next run finishes the job. A report restored before or while the job
+ * runs is left alone.
+ *
+ * @returns {Promise<boolean>} Whether the report was purged
+ */
+async function purgeReport({ dynamo, s3 }, report) {
+  const Key = marshall({ PK: report.PK, SK: report.SK });
+  const current = await dynamo.send(new GetItemCommand({ TableName: REPORTS_TABLE, Key, ConsistentRead: true }));
+  if (!current.Item || unmarshall(current.Item).deleted_at !== report.deleted_at) {
+    console.log(`ℹ️ Report ${report.report_id} was restored, not purging`);
+    return false;
+  }
+
+  for (const { bucket, key } of await reportArtifactKeys(s3, report)) {
+    await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  }
+
+  let ExclusiveStartKey;
+  do {
+    const revisions = await dynamo.send(new QueryCommand({
+      TableName: REPORT_REVISIONS_TABLE,
+      KeyConditionExpression: 'PK = :pk',
+      ProjectionExpression: 'PK, SK',
+      ExpressionAttributeValues: marshall({ ':pk': `REPORT#${report.report_id}` }),
+      ExclusiveStartKey
+    }));
+    for (const revisionKey of revisions.Items || []) {
+      await dynamo.send(new DeleteItemCommand({ TableName: REPORT_REVISIONS_TABLE, Key: revisionKey }));
+    }
+    ExclusiveStartKey = revisions.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+
+  await dynamo.send(new DeleteItemCommand({
+    TableName: REPORT_JOBS_TABLE,
+    Key: marshall({ PK: `JOB#${report.report_id}`, SK: 'STATUS' })
+  }));
+
+  try {
+    await dynamo.send(new DeleteItemCommand({
+      TableName: REPORTS_TABLE,
+      Key,
+      ConditionExpression: 'deleted_at = :deletedAt',
+      ExpressionAttributeValues: marshall({ ':deletedAt': report.deleted_at })
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+    console.log(`ℹ️ Report ${report.report_id} was restored while purging; its artifacts are already gone`);
+    return false;
+  }
+
+  console.log(`🧹 Purged report ${report.report_id} (deleted ${report.deleted_at})`);
+  return true;
+}
+
+/**
+ * Retention job: purge every report deleted more than `days` ago
+ *
+ * A failure on one report is logged and the run moves on; the report is
+ * still tombstoned, so the next run picks it up again.
+ *
+ * @param {Object} clients - { dynamo, s3 }
+ * @param {Object} [options] - { days, now }
+ * @returns {Promise<{purged: number, failed: number, cutoff: string}>}
+ */
+async function purgeExpiredReports(clients, { days = retentionDays(), now = Date.now() } = {}) {
+  const cutoff = new Date(now - days * DAY_MS).toISOString();
+  console.log(`🧹 Purging reports deleted before ${cutoff} (${days} day retention)`);
+
+  let purged = 0;
+  let failed = 0;
+  let ExclusiveStartKey;
+
+  do {
+    const result = await clients.dynamo.send(new QueryCommand({ ...deletedReportsQuery(cutoff), ExclusiveStartKey }));
+    for (const item of result.Items || []) {
+      const report = unmarshall(item);
+      try {
+        if (await purgeReport(clients, report)) purged += 1;
+      } catch (error) {
+        failed += 1;
+        console.error(`❌ Failed to purge report ${report.report_id}:`, error.message);
+      }
+    }
+    ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+
+  console.log(`✅ Retention run complete: ${purged} purged, ${failed} failed`);
+  return { purged, failed, cutoff };
+}
+
+module.exports = {
+  REPORT_RETENTION_SOURCE,
+  DEFAULT_RETENTION_DAYS,
+  retentionDays,
+  formatTombstone,
+  softDeleteReport,
+  restoreReport,
+  deletedReportsQuery,
+  purgeReport,
+  purgeExpiredReports
+};
@@ -0,0 +1,324 @@
+/**
+ * Report Deletion Tests
+ *
+ * Tombstones, restores and purges run against the local DynamoDB stand-in so
+ * their conditions and the sparse deleted index behave as they do in AWS.
+ * S3 is a mock that records what was deleted.
+ */
+
+const { PutItemCommand, GetItemCommand, QueryCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { localClient } = require('../local/dynamodb');
+
+// report-revisions expects services/ to be copied next to it at deploy time
+jest.mock('./extractionConsistency', () => require('../services/extractionConsistency'), { virtual: true });
+
+const {
+  retentionDays,
+  formatTombstone,
+  softDeleteReport,
+  restoreReport,
+  purgeReport,
+  purgeExpiredReports
+} = require('./report-deletion');
+
+/**
+ * S3Client mock holding a flat list of object keys
+ */
+function mockS3(keys) {
+  const objects = new Set(keys);
+  return {
+    objects,
+    send: jest.fn(async (command) => {
+      const { Prefix, Key } = command.input;
+      switch (command.constructor.name) {
+        case 'ListObjectsV2Command':
+          return { Contents: [...objects].filter(key => key.startsWith(Prefix)).map(key => ({ Key: key })) };
+        case 'DeleteObjectCommand':
+          objects.delete(Key);
+          return {};
+        default:
+          throw new Error(`Unexpected S3 command ${command.constructor.name}`);
+      }
+    })
+  };
+}
+
+const ADMIN = { userId: 'user-001-uuid', name: 'Robert Trask' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function reportKey(reportId) {
+  return { projectId: 'proj-1', reportDate: '2026-10-19', reportId };
+}
+
+function folder(reportId) {
+  return `SITELOGIX/projects/proj-1/reports/2026/10/${reportId}/`;
+}
+
+describe('report deletion', () => {
+  let dynamo;
+  let s3;
+
+  async function saveReport(reportId, fields = {}) {
+    await dynamo.send(new PutItemCommand({
+      TableName: 'sitelogix-reports',
+      Item: marshall({
+        PK: 'PROJECT#proj-1',
+        SK: `REPORT#2026-10-19#${reportId}`,
+        report_id: reportId,
+        project_id: 'proj-1',
+        report_date: '2026-10-19',
+        audio_s3_path: `s3://sitelogix-prod/${folder(reportId)}audio.webm`,
+        transcript_s3_path: `s3://sitelogix-prod/${folder(reportId)}transcript.json`,
+        ...fields
+      })
+    }));
+  }
+
+  async function loadReport(reportId) {
+    const result = await dynamo.send(new GetItemCommand({
+      TableName: 'sitelogix-reports',
+      Key: marshall({ PK: 'PROJECT#proj-1', SK: `REPORT#2026-10-19#${reportId}` })
+    }));
+    return result.Item ? unmarshall(result.Item) : null;
+  }
+
+  async function deletedDaysAgo(reportId, days) {
+    await saveReport(reportId, {
+      deleted_at: new Date(Date.now() - days * DAY_MS).toISOString(),
+      deleted_by: ADMIN,
+      deletion_reason: 'Duplicate submission',
+      tombstone: 'DELETED'
+    });
+  }
+
+  beforeEach(() => {
+    dynamo = localClient();
+    s3 = mockS3([
+      `${folder('rpt_old')}audio.webm`,
+      `${folder('rpt_old')}transcript.json`,
+      `${folder('rpt_old')}report.html`,
+      `${folder('rpt_new')}audio.webm`
+    ]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.REPORT_RETENTION_DAYS;
+  });
+
+  describe('softDeleteReport', () => {
+    it('should record who deleted the report, when and why without removing it', async () => {
+      await saveReport('rpt_1');
+
+      const result = await softDeleteReport(dynamo, reportKey('rpt_1'), { by: ADMIN, reason: 'Duplicate submission' });
+
+      expect(result.status).toBe('deleted');
+      const report = await loadReport('rpt_1');
+      expect(report.deleted_by).toEqual(ADMIN);
+      expect(report.deletion_reason).toBe('Duplicate submission');
+      expect(report.tombstone).toBe('DELETED');
+      expect(Date.parse(report.deleted_at)).not.toBeNaN();
+    });
+
+    it('should keep the first tombstone when deleted twice', async () => {
+      await deletedDaysAgo('rpt_1', 3);
+      const first = await loadReport('rpt_1');
+
+      const result = await softDeleteReport(dynamo, reportKey('rpt_1'), { by: ADMIN, reason: 'Again' });
+
+      expect(result.status).toBe('already_deleted');
+      expect(await loadReport('rpt_1')).toEqual(first);
+    });
+
+    it('should not create a tombstone for a missing report', async () => {
+      const result = await softDeleteReport(dynamo, reportKey('rpt_missing'), { by: ADMIN, reason: 'Typo' });
+
+      expect(result.status).toBe('not_found');
+      expect(await loadReport('rpt_missing')).toBeNull();
+    });
+  });
+
+  describe('restoreReport', () => {
+    it('should clear the tombstone and keep it in the deletion history', async () => {
+      await deletedDaysAgo('rpt_1', 3);
+      const deleted = await loadReport('rpt_1');
+
+      const result = await restoreReport(dynamo, reportKey('rpt_1'), ADMIN);
+
+      expect(result.status).toBe('restored');
+      const report = await loadReport('rpt_1');
+      expect(report.deleted_at).toBeUndefined();
+      expect(report.tombstone).toBeUndefined();
+      expect(report.deletion_history).toEqual([expect.objectContaining({
+        deleted_at: deleted.deleted_at,
+        deleted_by: ADMIN,
+        reason: 'Duplicate submission',
+        restored_by: ADMIN
+      })]);
+    });
+
+    it('should append to the history on each restore', async () => {
+      await saveReport('rpt_1');
+      await softDeleteReport(dynamo, reportKey('rpt_1'), { by: ADMIN, reason: 'First' });
+      await restoreReport(dynamo, reportKey('rpt_1'), ADMIN);
+      await softDeleteReport(dynamo, reportKey('rpt_1'), { by: ADMIN, reason: 'Second' });
+      await restoreReport(dynamo, reportKey('rpt_1'), ADMIN);
+
+      expect((await loadReport('rpt_1')).deletion_history.map(entry => entry.reason)).toEqual(['First', 'Second']);
+    });
+
+    it('should refuse to restore a report that is not deleted', async () => {
+      await saveReport('rpt_1');
+
+      expect((await restoreReport(dynamo, reportKey('rpt_1'), ADMIN)).status).toBe('not_deleted');
+      expect((await restoreReport(dynamo, reportKey('rpt_missing'), ADMIN)).status).toBe('not_found');
+    });
+  });
+
+  describe('purgeExpiredReports', () => {
+    it('should purge reports deleted before the retention window and leave the rest', async () => {
+      await deletedDaysAgo('rpt_old', 91);
+      await deletedDaysAgo('rpt_new', 10);
+      await saveReport('rpt_live');
+
+      const result = await purgeExpiredReports({ dynamo, s3 }, { days: 90 });
+
+      expect(result).toEqual(expect.objectContaining({ purged: 1, failed: 0 }));
+      expect(await loadReport('rpt_old')).toBeNull();
+      expect(await loadReport('rpt_new')).not.toBeNull();
+      expect(await loadReport('rpt_live')).not.toBeNull();
+      expect([...s3.objects]).toEqual([`${folder('rpt_new')}audio.webm`]);
+    });
+
+    it('should remove the report revisions and processing job', async () => {
+      await deletedDaysAgo('rpt_old', 91);
+      await dynamo.send(new PutItemCommand({
+        TableName: 'sitelogix-report-revisions',
+        Item: marshall({ PK: 'REPORT#rpt_old', SK: 'REVISION#000001', revision: 1 })
+      }));
+      await dynamo.send(new PutItemCommand({
+        TableName: 'sitelogix-report-jobs',
+        Item: marshall({ PK: 'JOB#rpt_old', SK: 'STATUS', status: 'done' })
+      }));
+
+      await purgeExpiredReports({ dynamo, s3 }, { days: 90 });
+
+      const revision = await dynamo.send(new GetItemCommand({
+        TableName: 'sitelogix-report-revisions',
+        Key: marshall({ PK: 'REPORT#rpt_old', SK: 'REVISION#000001' })
+      }));
+      const job = await dynamo.send(new GetItemCommand({
+        TableName: 'sitelogix-report-jobs',
+        Key: marshall({ PK: 'JOB#rpt_old', SK: 'STATUS' })
+      }));
+      expect(revision.Item).toBeUndefined();
+      expect(job.Item).toBeUndefined();
+    });
+
+    it('should remove every page of revisions', async () => {
+      await deletedDaysAgo('rpt_old', 91);
+      for (const revision of [1, 2, 3]) {
+        await dynamo.send(new PutItemCommand({
+          TableName: 'sitelogix-report-revisions',
+          Item: marshall({ PK: 'REPORT#rpt_old', SK: `REVISION#00000${revision}`, revision })
+        }));
+      }
+      // One revision a page, as a large revision history would come back
+      const send = dynamo.send;
+      dynamo.send = (command) => {
+        if (command.input.TableName === 'sitelogix-report-revisions' && command.constructor.name === 'QueryCommand') {
+          command.input.Limit = 1;
+        }
+        return send(command);
+      };
+
+      await purgeExpiredReports({ dynamo, s3 }, { days: 90 });
+
+      const remaining = await dynamo.send(new QueryCommand({
+        TableName: 'sitelogix-report-revisions',
+        KeyConditionExpression: 'PK = :pk',
+        ExpressionAttributeValues: marshall({ ':pk': 'REPORT#rpt_old' })
+      }));
+      expect(remaining.Items).toEqual([]);
+    });
+
+    it('should use REPORT_RETENTION_DAYS for the window', async () => {
+      process.env.REPORT_RETENTION_DAYS = '7';
+      await deletedDaysAgo('rpt_new', 10);
+
+      expect(retentionDays()).toBe(7);
+      expect((await purgeExpiredReports({ dynamo, s3 })).purged).toBe(1);
+    });
+
+    it('should only delete the artifact paths when the report has no folder of its own', async () => {
+      s3 = mockS3(['SITELOGIX/shared/audio.webm', 'SITELOGIX/shared/other.webm']);
+      await deletedDaysAgo('rpt_old', 91);
+      await saveReport('rpt_old', {
+        ...(await loadReport('rpt_old')),
+        audio_s3_path: 's3://sitelogix-prod/SITELOGIX/shared/audio.webm',
+        transcript_s3_path: null
+      });
+
+      await purgeExpiredReports({ dynamo, s3 }, { days: 90 });
+
+      expect([...s3.objects]).toEqual(['SITELOGIX/shared/other.webm']);
+    });
+
+    it('should keep going after a report fails to purge', async () => {
+      await deletedDaysAgo('rpt_old', 91);
+      await deletedDaysAgo('rpt_older', 120);
+      s3.send.mockRejectedValueOnce(new Error('S3 unavailable'));
+
+      const result = await purgeExpiredReports({ dynamo, s3 }, { days: 90 });
+
+      expect(result).toEqual(expect.objectContaining({ purged: 1, failed: 1 }));
+    });
+
+    it('should keep a report tombstoned until its artifacts are gone so the next run finishes it', async () => {
+      await deletedDaysAgo('rpt_old', 91);
+      s3.send.mockImplementationOnce(async () => ({ Contents: [{ Key: `${folder('rpt_old')}audio.webm` }] }));
+      s3.send.mockRejectedValueOnce(new Error('S3 unavailable'));
+
+      expect((await purgeExpiredReports({ dynamo, s3 }, { days: 90 })).failed).toBe(1);
+      expect((await loadReport('rpt_old')).tombstone).toBe('DELETED');
+
+      expect((await purgeExpiredReports({ dynamo, s3 }, { days: 90 })).purged).toBe(1);
+      expect(await loadReport('rpt_old')).toBeNull();
+      expect([...s3.objects]).toEqual([`${folder('rpt_new')}audio.webm`]);
+    });
+  });
+
+  describe('purgeReport', () => {
+    it('should leave a report that was restored after the purge run picked it up', async () => {
+      await deletedDaysAgo('rpt_old', 91);
+      const stale = await loadReport('rpt_old');
+      await restoreReport(dynamo, reportKey('rpt_old'), ADMIN);
+
+      expect(await purgeReport({ dynamo, s3 }, stale)).toBe(false);
+      expect(await loadReport('rpt_old')).not.toBeNull();
+      expect(s3.send).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('formatTombstone', () => {
+  it('should show when the report becomes eligible for purging', () => {
+    expect(formatTombstone({
+      deleted_at: '2026-10-01T12:00:00.000Z',
+      deleted_by: ADMIN,
+      deletion_reason: 'Wrong project'
+    }, 30)).toEqual({
+      deletedAt: '2026-10-01T12:00:00.000Z',
+      deletedBy: ADMIN,
+      reason: 'Wrong project',
+      purgeAfter: '2026-10-31T12:00:00.000Z'
+    });
+  });
+
+  it('should return null for a report that is not deleted', () => {
+    expect(formatTombstone({ report_id: 'rpt_1' })).toBeNull();
+  });
+});
@@ -0,0 +1,406 @@
+/**
+ * Report Processing Jobs
+ * Queue-driven pipeline that runs the slow work behind a report submission
+ *
+ * POST /api/reports saves the transcript and report record, then creates a
+ * job in sitelogix-report-jobs and enqueues it. A worker runs the stages in
+ * order, recording each stage's output so a retry resumes where the last
+ * attempt stopped:
+ *
+ *   queued -> extracting -> normalizing -> analytics -> done
+ *
+ * A stage that throws moves the job to `failed` and re-enqueues it with
+ * backoff; once MAX_ATTEMPTS attempts have failed the job is parked in
+ * `dead_letter` for someone to look at. Each attempt holds a lease (the
+ * Lambda's remaining run time) so a duplicate delivery doesn't run the job
+ * twice, while a delivery after a timed-out attempt can take over.
+ *
+ * Queues:
+ *   LambdaQueue    - async self-invocation of the API Lambda (production)
+ *   InProcessQueue - runs jobs in this process (tests, local development)
+ *
+ * @module report-jobs
+ */
+
+const { PutItemCommand, GetItemCommand, UpdateItemCommand } = require('@aws-sdk/client-dynamodb');
+const { InvokeCommand } = require('@aws-sdk/client-lambda');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+
+const REPORT_JOBS_TABLE = 'sitelogix-report-jobs';
+
+// Marks a Lambda event as a job delivery rather than an API Gateway request
+const REPORT_JOB_SOURCE = 'sitelogix.report-jobs';
+
+const STAGES = ['extracting', 'normalizing', 'analytics'];
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  EXTRACTING: 'extracting',
+  NORMALIZING: 'normalizing',
+  ANALYTICS: 'analytics',
+  DONE: 'done',
+  FAILED: 'failed',
+  DEAD_LETTER: 'dead_letter'
+};
+
+const FINAL_STATUSES = [JOB_STATUS.DONE, JOB_STATUS.DEAD_LETTER];
+
+const MAX_ATTEMPTS = 3;
+
+// Delay before retry n is RETRY_BASE_SECONDS * 2^(n-1)
+const RETRY_BASE_SECONDS = 5;
+
+// Lease when the caller can't say how long it has (Lambda's maximum run time)
+const DEFAULT_LEASE_MS = 15 * 60 * 1000;
+
+function jobKey(reportId) {
+  return marshall({ PK: `JOB#${reportId}`, SK: 'STATUS' });
+}
+
+function defaultSleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Public view of a job record, for GET /api/reports/:reportId/status
+ */
+function formatJob(job) {
+  return {
+    reportId: job.report_id,
+    status: job.status,
+    stage: job.stage || null,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    lastError: job.last_error || null,
+    retryAt: job.retry_at || null,
+    stages: Object.fromEntries(STAGES.map(stage => [stage, {
+      completedAt: job.stage_outputs?.[stage]?.completed_at || null
+    }])),
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    completedAt: job.completed_at || null
+  };
+}
+
+class ReportJobs {
+  /**
+   * @param {Object} options
+   * @param {DynamoDBClient} options.client
+   * @param {LambdaQueue|InProcessQueue} options.queue
+   * @param {Object} options.stages - Stage name -> async (context, outputs) => output
+   * @param {Function} [options.loadContext] - async (job) => context passed to every stage
+   * @param {number} [options.maxAttempts]
+   * @param {Function} [options.sleep] - async (ms), for retry backoff
+   */
+  constructor({ client, queue, stages, loadContext = async job => job, maxAttempts = MAX_ATTEMPTS, sleep = defaultSleep }) {
+    this.client = client;
+    this.queue = queue;
+    this.stages = stages;
+    this.loadContext = loadContext;
+    this.maxAttempts = maxAttempts;
+    this.sleep = sleep;
+  }
+
+  /**
+   * Create and enqueue the processing job for a saved report
+   *
+   * Safe to call again for the same report (e.g. a retried submission):
+   * an existing job is re-enqueued, not reset.
+   *
+   * @param {Object} report - Fields every stage needs (reportId, projectId, reportDate, ...)
+   */
+  async create(report) {
+    const now = new Date().toISOString();
+    const job = {
+      report_id: report.reportId,
+      report,
+      status: JOB_STATUS.QUEUED,
+      attempts: 0,
+      max_attempts: this.maxAttempts,
+      stage_outputs: {},
+      created_at: now,
+      updated_at: now
+    };
+
+    try {
+      await this.client.send(new PutItemCommand({
+        TableName: REPORT_JOBS_TABLE,
+        Item: { ...jobKey(report.reportId), ...marshall(job, { removeUndefinedValues: true }) },
+        ConditionExpression: 'attribute_not_exists(PK)'
+      }));
+      console.log(`📥 Queued processing job for report ${report.reportId}`);
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') throw error;
+      console.log(`ℹ️ Processing job for report ${report.reportId} already exists, re-enqueuing`);
+    }
+
+    await this.queue.enqueue({ reportId: report.reportId });
+    return job;
+  }
+
+  /**
+   * Run a report's pipeline again, e.g. after its extracted data was corrected
+   *
+   * Stages with an entry in `outputs` are treated as done; the rest run again
+   * with a fresh set of attempts. Creates the job for reports that predate
+   * processing jobs.
+   *
+   * @param {Object} report - Same fields as create()
+   * @param {Object} [outputs] - Stage name -> output to keep
+   * @returns {Promise<Object|null>} The reset job, or null while an attempt is still running
+   */
+  async restart(report, outputs = {}) {
+    const existing = await this.get(report.reportId);
+    if (existing && existing.lease_expires_at && existing.lease_expires_at > Date.now()) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      report_id: report.reportId,
+      report,
+      status: JOB_STATUS.QUEUED,
+      stage: null,
+      attempts: 0,
+      max_attempts: this.maxAttempts,
+      stage_outputs: outputs,
+      created_at: existing?.created_at || now,
+      updated_at: now
+    };
+
+    try {
+      await this.client.send(new PutItemCommand({
+        TableName: REPORT_JOBS_TABLE,
+        Item: { ...jobKey(report.reportId), ...marshall(job, { removeUndefinedValues: true }) },
+        // Lost a race with a worker that claimed the job after we read it
+        ConditionExpression: existing ? 'attempts = :seenAttempts' : 'attribute_not_exists(PK)',
+        ...(existing && { ExpressionAttributeValues: marshall({ ':seenAttempts': existing.attempts }) })
+      }));
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') throw error;
+      return null;
+    }
+
+    console.log(`🔁 Restarted processing job for report ${report.reportId}`);
+    await this.queue.enqueue({ reportId: report.reportId });
+    return job;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Job record
+   */
+  async get(reportId) {
+    const result = await this.client.send(new GetItemCommand({
+      TableName: REPORT_JOBS_TABLE,
+      Key: jobKey(reportId),
+      ConsistentRead: true
+    }));
+    return result.Item ? unmarshall(result.Item) : null;
+  }
+
+  async update(reportId, fields, condition) {
+    const names = {};
+    const values = {};
+    const sets = Object.entries(fields).map(([field, value], i) => {
+      names[`#f${i}`] = field;
+      values[`:f${i}`] = value;
+      return `#f${i} = :f${i}`;
+    });
+
+    await this.client.send(new UpdateItemCommand({
+      TableName: REPORT_JOBS_TABLE,
+      Key: jobKey(reportId),
+      UpdateExpression: `SET ${sets.join(', ')}`,
+      ...(condition && { ConditionExpression: condition.expression }),
+      ExpressionAttributeNames: { ...names, ...condition?.names },
+      ExpressionAttributeValues: marshall({ ...values, ...condition?.values }, { removeUndefinedValues: true })
+    }));
+  }
+
+  /**
+   * Start a new attempt, unless the job is finished or another attempt holds the lease
+   *
+   * @returns {Promise<Object|null>} The job with the attempt recorded, or null to skip
+   */
+  async claim(reportId, leaseMs) {
+    const job = await this.get(reportId);
+    if (!job) {
+      console.warn(`⚠️ No processing job for report ${reportId}`);
+      return null;
+    }
+    if (FINAL_STATUSES.includes(job.status)) return null;
+    if (job.lease_expires_at && job.lease_expires_at > Date.now()) {
+      console.log(`ℹ️ Report ${reportId} is being processed by another worker`);
+      return null;
+    }
+
+    // A previous attempt timed out without recording its failure
+    if (job.attempts >= job.max_attempts) {
+      await this.deadLetter(job, job.last_error || 'Processing attempt timed out');
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const attempt = {
+      attempts: job.attempts + 1,
+      lease_expires_at: Date.now() + leaseMs,
+      updated_at: now
+    };
+
+    try {
+      await this.update(reportId, attempt, {
+        expression: '#attempts = :seenAttempts',
+        names: { '#attempts': 'attempts' },
+        values: { ':seenAttempts': job.attempts }
+      });
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') throw error;
+      return null;
+    }
+
+    return { ...job, ...attempt };
+  }
+
+  /**
+   * Run the job's remaining stages (the queue's message handler)
+   *
+   * @param {Object} message - { reportId, delaySeconds }
+   * @param {Object} [options]
+   * @param {number} [options.leaseMs] - How long this worker can run
+   */
+  async run({ reportId, delaySeconds = 0 }, { leaseMs = DEFAULT_LEASE_MS } = {}) {
+    if (delaySeconds > 0) {
+      await this.sleep(delaySeconds * 1000);
+    }
+
+    const job = await this.claim(reportId, leaseMs);
+    if (!job) return null;
+
+    const outputs = { ...job.stage_outputs };
+    let stage = null;
+
+    try {
+      const context = await this.loadContext(job);
+
+      for (stage of STAGES.filter(s => !outputs[s])) {
+        await this.update(reportId, { status: stage, stage, updated_at: new Date().toISOString() });
+        console.log(`⚙️ Report ${reportId}: ${stage} (attempt ${job.attempts}/${job.max_attempts})`);
+
+        const output = await this.stages[stage](context, outputs);
+        outputs[stage] = { ...output, completed_at: new Date().toISOString() };
+        await this.update(reportId, { stage_outputs: outputs });
+      }
+
+      const now = new Date().toISOString();
+      await this.update(reportId, {
+        status: JOB_STATUS.DONE,
+        stage: null,
+        lease_expires_at: null,
+        completed_at: now,
+        updated_at: now
+      });
+      console.log(`✅ Report ${reportId} processing complete`);
+      return { ...job, status: JOB_STATUS.DONE, stage_outputs: outputs };
+    } catch (error) {
+      return this.fail(job, stage, error);
+    }
+  }
+
+  async fail(job, stage, error) {
+    const message = `${stage || 'setup'}: ${error.message}`;
+    console.error(`❌ Report ${job.report_id} processing failed at ${message}`);
+
+    if (job.attempts >= job.max_attempts) {
+      return this.deadLetter(job, message);
+    }
+
+    const delaySeconds = RETRY_BASE_SECONDS * 2 ** (job.attempts - 1);
+    const now = new Date();
+    await this.update(job.report_id, {
+      status: JOB_STATUS.FAILED,
+      last_error: message,
+      lease_expires_at: null,
+      retry_at: new Date(now.getTime() + delaySeconds * 1000).toISOString(),
+      updated_at: now.toISOString()
+    });
+
+    await this.queue.enqueue({ reportId: job.report_id, delaySeconds });
+    return { ...job, status: JOB_STATUS.FAILED, last_error: message };
+  }
+
+  async deadLetter(job, message) {
+    console.error(`🪦 Report ${job.report_id} moved to dead letter after ${job.attempts} attempts`);
+    await this.update(job.report_id, {
+      status: JOB_STATUS.DEAD_LETTER,
+      last_error: message,
+      lease_expires_at: null,
+      retry_at: null,
+      updated_at: new Date().toISOString()
+    });
+    return { ...job, status: JOB_STATUS.DEAD_LETTER, last_error: message };
+  }
+}
+
+/**
+ * Delivers jobs by invoking the API Lambda asynchronously
+ */
+class LambdaQueue {
+  /**
+   * @param {LambdaClient} lambdaClient
+   * @param {string} functionName
+   */
+  constructor(lambdaClient, functionName) {
+    this.lambdaClient = lambdaClient;
+    this.functionName = functionName;
+  }
+
+  async enqueue(message) {
+    await this.lambdaClient.send(new InvokeCommand({
+      FunctionName: this.functionName,
+      InvocationType: 'Event',
+      Payload: JSON.stringify({ source: REPORT_JOB_SOURCE, ...message })
+    }));
+  }
+}
+
+/**
+ * Runs jobs in the current process
+ *
+ * Messages are held until drain() is called, which keeps running them
+ * (including retries they enqueue) until the queue is empty.
+ */
+class InProcessQueue {
+  constructor() {
+    this.messages = [];
+    this.handler = null;
+  }
+
+  /**
+   * @param {Function} handler - async (message) => void
+   */
+  process(handler) {
+    this.handler = handler;
+  }
+
+  async enqueue(message) {
+    this.messages.push(message);
+  }
+
+  async drain() {
+    while (this.messages.length > 0) {
+      await this.handler(this.messages.shift());
+    }
+  }
+}
+
+module.exports = {
+  REPORT_JOBS_TABLE,
+  REPORT_JOB_SOURCE,
+  JOB_STATUS,
+  STAGES,
+  MAX_ATTEMPTS,
+  ReportJobs,
+  LambdaQueue,
+  InProcessQueue,
+  formatJob
+};
@@ -0,0 +1,206 @@
+/**
+ * Report Jobs Tests
+ *
+ * Runs jobs through the in-process queue against the local DynamoDB stand-in,
+ * so claims, leases and retries go through real condition expressions.
+ */
+
+const { localClient } = require('../local/dynamodb');
+const { ReportJobs, InProcessQueue, JOB_STATUS, formatJob } = require('./report-jobs');
+
+const REPORT = { reportId: 'rpt_1', projectId: 'proj-1', managerId: 'mgr-1', reportDate: '2026-10-19' };
+
+describe('ReportJobs', () => {
+  let queue;
+  let stages;
+  let jobs;
+
+  function createJobs(options = {}) {
+    const reportJobs = new ReportJobs({
+      client: localClient(),
+      queue,
+      stages,
+      sleep: async () => {},
+      ...options
+    });
+    queue.process(message => reportJobs.run(message));
+    return reportJobs;
+  }
+
+  beforeEach(() => {
+    queue = new InProcessQueue();
+    stages = {
+      extracting: jest.fn(async () => ({ employees: 2 })),
+      normalizing: jest.fn(async () => ({ created: 2 })),
+      analytics: jest.fn(async () => ({ personnelCount: 2 }))
+    };
+    jobs = createJobs();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should queue a new job without running it', async () => {
+    await jobs.create(REPORT);
+
+    const job = await jobs.get('rpt_1');
+    expect(job.status).toBe(JOB_STATUS.QUEUED);
+    expect(job.attempts).toBe(0);
+    expect(stages.extracting).not.toHaveBeenCalled();
+  });
+
+  it('should run every stage in order and finish done', async () => {
+    await jobs.create(REPORT);
+    await queue.drain();
+
+    const job = await jobs.get('rpt_1');
+    expect(job.status).toBe(JOB_STATUS.DONE);
+    expect(job.attempts).toBe(1);
+    expect(job.stage_outputs.normalizing.created).toBe(2);
+    expect(stages.analytics).toHaveBeenCalledWith(
+      expect.objectContaining({ report: REPORT }),
+      expect.objectContaining({ extracting: expect.objectContaining({ employees: 2 }) })
+    );
+  });
+
+  it('should retry from the failed stage without repeating finished ones', async () => {
+    stages.normalizing.mockRejectedValueOnce(new Error('payroll API unavailable'));
+    await jobs.create(REPORT);
+    await queue.drain();
+
+    const job = await jobs.get('rpt_1');
+    expect(job.status).toBe(JOB_STATUS.DONE);
+    expect(job.attempts).toBe(2);
+    expect(job.last_error).toBe('normalizing: payroll API unavailable');
+    expect(stages.extracting).toHaveBeenCalledTimes(1);
+    expect(stages.normalizing).toHaveBeenCalledTimes(2);
+  });
+
+  it('should back off between retries', async () => {
+    const sleep = jest.fn(async () => {});
+    jobs = createJobs({ sleep });
+    stages.extracting.mockRejectedValue(new Error('bad transcript'));
+
+    await jobs.create(REPORT);
+    await queue.drain();
+
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([5000, 10000]);
+  });
+
+  it('should move the job to dead letter after the last attempt fails', async () => {
+    stages.analytics.mockRejectedValue(new Error('OpenAI timeout'));
+    await jobs.create(REPORT);
+    await queue.drain();
+
+    const job = await jobs.get('rpt_1');
+    expect(job.status).toBe(JOB_STATUS.DEAD_LETTER);
+    expect(job.attempts).toBe(3);
+    expect(job.last_error).toBe('analytics: OpenAI timeout');
+    expect(stages.analytics).toHaveBeenCalledTimes(3);
+  });
+
+  it('should skip a duplicate delivery while another attempt holds the lease', async () => {
+    await jobs.create(REPORT);
+    await jobs.claim('rpt_1', 60 * 1000);
+
+    expect(await jobs.run({ reportId: 'rpt_1' })).toBeNull();
+    expect(stages.extracting).not.toHaveBeenCalled();
+  });
+
+  it('should take over a job whose lease expired', async () => {
+    const start = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(start);
+    await jobs.create(REPORT);
+    await jobs.claim('rpt_1', 1000);
+
+    Date.now.mockReturnValue(start + 2000);
+    await jobs.run({ reportId: 'rpt_1' });
+
+    const job = await jobs.get('rpt_1');
+    expect(job.status).toBe(JOB_STATUS.DONE);
+    expect(job.attempts).toBe(2);
+  });
+
+  it('should dead-letter a timed-out job that has no attempts left', async () => {
+    const start = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(start);
+    jobs = createJobs({ maxAttempts: 1 });
+    await jobs.create(REPORT);
+    await jobs.claim('rpt_1', 1000);
+
+    Date.now.mockReturnValue(start + 2000);
+    expect(await jobs.run({ reportId: 'rpt_1' })).toBeNull();
+    expect((await jobs.get('rpt_1')).status).toBe(JOB_STATUS.DEAD_LETTER);
+    expect(stages.extracting).not.toHaveBeenCalled();
+  });
+
+  it('should not rerun a finished job', async () => {
+    await jobs.create(REPORT);
+    await queue.drain();
+    await jobs.create(REPORT);
+    await queue.drain();
+
+    expect(stages.extracting).toHaveBeenCalledTimes(1);
+  });
+
+  it('should restart a finished job from the stages without a kept output', async () => {
+    await jobs.create(REPORT);
+    await queue.drain();
+
+    await jobs.restart(REPORT, { extracting: { employees: 1, revision: 2 } });
+    await queue.drain();
+
+    const job = await jobs.get('rpt_1');
+    expect(job.status).toBe(JOB_STATUS.DONE);
+    expect(job.attempts).toBe(1);
+    expect(stages.extracting).toHaveBeenCalledTimes(1);
+    expect(stages.normalizing).toHaveBeenLastCalledWith(
+      expect.anything(),
+      expect.objectContaining({ extracting: { employees: 1, revision: 2 } })
+    );
+  });
+
+  it('should create the job when restarting a report that has none', async () => {
+    await jobs.restart(REPORT, { extracting: { employees: 0 } });
+    await queue.drain();
+
+    expect((await jobs.get('rpt_1')).status).toBe(JOB_STATUS.DONE);
+    expect(stages.extracting).not.toHaveBeenCalled();
+  });
+
+  it('should not restart a job while an attempt holds the lease', async () => {
+    await jobs.create(REPORT);
+    await jobs.claim('rpt_1', 60 * 1000);
+
+    expect(await jobs.restart(REPORT)).toBeNull();
+  });
+});
+
+describe('formatJob', () => {
+  it('should expose status and stage completion times', () => {
+    const job = formatJob({
+      report_id: 'rpt_1',
+      status: 'analytics',
+      stage: 'analytics',
+      attempts: 1,
+      max_attempts: 3,
+      stage_outputs: {
+        extracting: { employees: 2, completed_at: '2026-10-19T10:00:00.000Z' },
+        normalizing: { created: 2, completed_at: '2026-10-19T10:00:05.000Z' }
+      },
+      created_at: '2026-10-19T09:59:59.000Z',
+      updated_at: '2026-10-19T10:00:05.000Z'
+    });
+
+    expect(job).toEqual(expect.objectContaining({ reportId: 'rpt_1', status: 'analytics', lastError: null }));
+    expect(job.stages).toEqual({
+      extracting: { completedAt: '2026-10-19T10:00:00.000Z' },
+      normalizing: { completedAt: '2026-10-19T10:00:05.000Z' },
+      analytics: { completedAt: null }
+    });
+  });
+});
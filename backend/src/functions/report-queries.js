@@ -0,0 +1,192 @@
+/**
+ * Report List Queries
+ * Maps GET /api/reports filters onto key conditions for sitelogix-reports
+ *
+ * Access paths, most selective first:
+ *   projectId          -> PK = PROJECT#{id}, SK BETWEEN REPORT#{from} AND REPORT#{to}
+ *   managerId          -> GSI2-ManagerIndex, report_date BETWEEN from AND to
+ *   from (dates only)  -> GSI4-MonthIndex, one report_month partition per month
+ *   nothing to key on  -> Scan
+ *
+ * Anything that isn't part of the chosen key (status, managerId alongside
+ * projectId, `to` on a Scan) becomes a FilterExpression. Deleted reports
+ * (see report-deletion) are always filtered out. Queries return newest first.
+ *
+ * @module report-queries
+ */
+
+const REPORTS_TABLE = 'sitelogix-reports';
+
+// Date-only queries walk one partition per month; keep a bound on that walk
+const MAX_MONTH_SPAN = 24;
+
+const MIN_DATE = '0000-01-01';
+const MAX_DATE = '9999-12-31';
+
+/**
+ * YYYY-MM partition value for a report date
+ */
+function reportMonth(reportDate) {
+  return String(reportDate).slice(0, 7);
+}
+
+/**
+ * Months (YYYY-MM) from `to` back to `from`, newest first
+ */
+function monthsBetween(from, to) {
+  const months = [];
+  let [year, month] = reportMonth(to).split('-').map(Number);
+  const end = reportMonth(from);
+
+  while (true) {
+    const current = `${year}-${String(month).padStart(2, '0')}`;
+    if (current < end) break;
+    months.push(current);
+    month -= 1;
+    if (month === 0) {
+      month = 12;
+      year -= 1;
+    }
+  }
+  return months;
+}
+
+/**
+ * Check filter combinations the field schema can't express
+ *
+ * @returns {Array<{field, message}>}
+ */
+function validateReportFilters({ from, to, projectId, managerId }) {
+  const errors = [];
+
+  if (from && to && from > to) {
+    errors.push({ field: 'from', message: 'from must not be after to' });
+  }
+
+  if (from && !projectId && !managerId) {
+    const span = monthsBetween(from, to || new Date().toISOString().split('T')[0]).length;
+    if (span > MAX_MONTH_SPAN) {
+      errors.push({
+        field: 'from',
+        message: `date range without projectId or managerId may span at most ${MAX_MONTH_SPAN} months`
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Plan the DynamoDB request(s) for a set of report filters
+ *
+ * Returns `{ type: 'query' | 'scan', params }`, or for date-only filters
+ * `{ type: 'months', months, params(month) }` - one Query per month partition.
+ * ExpressionAttributeValues are plain JS values; the caller marshalls them.
+ *
+ * @param {Object} filters - { projectId, managerId, status, from, to }
+ */
+function planReportQuery(filters = {}) {
+  const { projectId, managerId, status } = filters;
+  const from = filters.from || null;
+  const to = filters.to || null;
+
+  // Tombstoned reports stay in the table until the retention job purges them
+  const conditions = ['attribute_not_exists(deleted_at)'];
+  const names = {};
+  const values = {};
+
+  if (status) {
+    conditions.push('#status = :status');
+    names['#status'] = 'status';
+    values[':status'] = status;
+  }
+
+  const withFilters = (params) => {
+    params.FilterExpression = conditions.join(' AND ');
+    if (Object.keys(names).length > 0) params.ExpressionAttributeNames = names;
+    if (Object.keys(values).length > 0) params.ExpressionAttributeValues = values;
+    return params;
+  };
+
+  if (projectId) {
+    let keyCondition = 'PK = :pk';
+    values[':pk'] = `PROJECT#${projectId}`;
+
+    if (from || to) {
+      // SK is REPORT#{date}#{reportId}; the trailing \uffff keeps every report dated `to`
+      keyCondition += ' AND SK BETWEEN :skFrom AND :skTo';
+      values[':skFrom'] = `REPORT#${from || MIN_DATE}`;
+      values[':skTo'] = `REPORT#${to || MAX_DATE}#\uffff`;
+    }
+
+    if (managerId) {
+      conditions.push('manager_id = :managerId');
+      values[':managerId'] = managerId;
+    }
+
+    return {
+      type: 'query',
+      params: withFilters({
+        TableName: REPORTS_TABLE,
+        KeyConditionExpression: keyCondition,
+        ScanIndexForward: false
+      })
+    };
+  }
+
+  if (managerId) {
+    let keyCondition = 'manager_id = :managerId';
+    values[':managerId'] = managerId;
+
+    if (from || to) {
+      keyCondition += ' AND report_date BETWEEN :from AND :to';
+      values[':from'] = from || MIN_DATE;
+      values[':to'] = to || MAX_DATE;
+    }
+
+    return {
+      type: 'query',
+      params: withFilters({
+        TableName: REPORTS_TABLE,
+        IndexName: 'GSI2-ManagerIndex',
+        KeyConditionExpression: keyCondition,
+        ScanIndexForward: false
+      })
+    };
+  }
+
+  if (from) {
+    const end = to || new Date().toISOString().split('T')[0];
+    values[':from'] = from;
+    values[':to'] = end;
+
+    return {
+      type: 'months',
+      months: monthsBetween(from, end),
+      params: (month) => ({
+        ...withFilters({
+          TableName: REPORTS_TABLE,
+          IndexName: 'GSI4-MonthIndex',
+          KeyConditionExpression: 'report_month = :month AND report_date BETWEEN :from AND :to',
+          ScanIndexForward: false
+        }),
+        ExpressionAttributeValues: { ...values, ':month': month }
+      })
+    };
+  }
+
+  if (to) {
+    conditions.push('report_date <= :to');
+    values[':to'] = to;
+  }
+
+  return { type: 'scan', params: withFilters({ TableName: REPORTS_TABLE }) };
+}
+
+module.exports = {
+  MAX_MONTH_SPAN,
+  reportMonth,
+  monthsBetween,
+  validateReportFilters,
+  planReportQuery
+};
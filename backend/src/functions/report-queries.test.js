@@ -0,0 +1,93 @@
+/**
+ * Report Query Tests
+ *
+ * Covers which key condition each combination of GET /api/reports filters
+ * uses, and the month walk behind date-only queries.
+ */
+
+const { planReportQuery, monthsBetween, validateReportFilters, MAX_MONTH_SPAN } = require('./report-queries');
+
+describe('monthsBetween', () => {
+  it('should list months newest first across a year boundary', () => {
+    expect(monthsBetween('2025-11-15', '2026-02-03')).toEqual(['2026-02', '2026-01', '2025-12', '2025-11']);
+  });
+
+  it('should return a single month for a range inside it', () => {
+    expect(monthsBetween('2026-10-01', '2026-10-31')).toEqual(['2026-10']);
+  });
+});
+
+describe('planReportQuery', () => {
+  it('should use the project partition with an SK range that includes reports dated `to`', () => {
+    const { type, params } = planReportQuery({ projectId: 'p1', from: '2026-10-01', to: '2026-10-31' });
+
+    expect(type).toBe('query');
+    expect(params.IndexName).toBeUndefined();
+    expect(params.KeyConditionExpression).toBe('PK = :pk AND SK BETWEEN :skFrom AND :skTo');
+    expect(params.ExpressionAttributeValues[':skFrom']).toBe('REPORT#2026-10-01');
+    expect('REPORT#2026-10-31#rpt_20261031_m1_1' <= params.ExpressionAttributeValues[':skTo']).toBe(true);
+    expect(params.ScanIndexForward).toBe(false);
+  });
+
+  it('should filter on manager when it comes with a project', () => {
+    const { params } = planReportQuery({ projectId: 'p1', managerId: 'm1' });
+
+    expect(params.KeyConditionExpression).toBe('PK = :pk');
+    expect(params.FilterExpression).toBe('attribute_not_exists(deleted_at) AND manager_id = :managerId');
+  });
+
+  it('should use the manager index with a report_date range', () => {
+    const { type, params } = planReportQuery({ managerId: 'm1', from: '2026-10-01' });
+
+    expect(type).toBe('query');
+    expect(params.IndexName).toBe('GSI2-ManagerIndex');
+    expect(params.KeyConditionExpression).toBe('manager_id = :managerId AND report_date BETWEEN :from AND :to');
+    expect(params.ExpressionAttributeValues[':to']).toBe('9999-12-31');
+  });
+
+  it('should walk month partitions for date-only filters and keep status as a filter', () => {
+    const plan = planReportQuery({ from: '2026-09-20', to: '2026-10-31', status: 'uploaded' });
+
+    expect(plan.type).toBe('months');
+    expect(plan.months).toEqual(['2026-10', '2026-09']);
+
+    const params = plan.params('2026-09');
+    expect(params.IndexName).toBe('GSI4-MonthIndex');
+    expect(params.FilterExpression).toBe('attribute_not_exists(deleted_at) AND #status = :status');
+    expect(params.ExpressionAttributeNames).toEqual({ '#status': 'status' });
+    expect(params.ExpressionAttributeValues).toMatchObject({ ':month': '2026-09', ':from': '2026-09-20', ':status': 'uploaded' });
+  });
+
+  it('should fall back to a scan that only hides deleted reports with no filters', () => {
+    expect(planReportQuery({})).toEqual({
+      type: 'scan',
+      params: { TableName: 'sitelogix-reports', FilterExpression: 'attribute_not_exists(deleted_at)' }
+    });
+  });
+
+  it('should hide deleted reports on every access path', () => {
+    const plans = [
+      planReportQuery({ projectId: 'p1' }),
+      planReportQuery({ managerId: 'm1' }),
+      planReportQuery({ to: '2026-10-31' })
+    ];
+
+    for (const { params } of plans) {
+      expect(params.FilterExpression).toMatch(/^attribute_not_exists\(deleted_at\)/);
+    }
+    expect(planReportQuery({ from: '2026-10-01' }).params('2026-10').FilterExpression).toBe('attribute_not_exists(deleted_at)');
+  });
+});
+
+describe('validateReportFilters', () => {
+  it('should reject an inverted range', () => {
+    expect(validateReportFilters({ from: '2026-10-31', to: '2026-10-01' })[0].field).toBe('from');
+  });
+
+  it('should bound date-only ranges but not keyed ones', () => {
+    const from = `${2026 - Math.ceil(MAX_MONTH_SPAN / 12) - 1}-01-01`;
+
+    expect(validateReportFilters({ from, to: '2026-10-31' })).toHaveLength(1);
+    expect(validateReportFilters({ from, to: '2026-10-31', managerId: 'm1' })).toEqual([]);
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * Report Revisions
+ * Manager corrections to a report's extracted data, kept as numbered revisions
+ *
+ * A report's `extracted_data` (personnel, workLogs, constraints, vendors,
+ * timeSummary) is what analytics, payroll and the HTML report read. Each
+ * correction stores the full data as a new revision in
+ * sitelogix-report-revisions, keyed `REPORT#{reportId}` / `REVISION#{n}`,
+ * together with its author, timestamp and a diff against the revision before.
+ *
+ * A report carries no `extracted_data_revision` until it is first corrected;
+ * until then its extraction counts as revision 1 and is only stored as such
+ * in the same transaction as that first correction. (A report whose
+ * extraction failed starts at revision 0 and the correction becomes 1.)
+ *
+ * The revision write and the report update happen in one transaction that
+ * requires the report to still be on the revision the editor started from,
+ * so two managers correcting the same report can't overwrite each other.
+ * The report's `validation_warnings` are recomputed from the corrected data
+ * in the same update.
+ *
+ * @module report-revisions
+ */
+
+const { QueryCommand, GetItemCommand, TransactWriteItemsCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { checkConsistency } = require('./extractionConsistency');
+
+const REPORT_REVISIONS_TABLE = 'sitelogix-report-revisions';
+const REPORTS_TABLE = 'sitelogix-reports';
+
+function revisionKey(reportId, revision) {
+  return { PK: `REPORT#${reportId}`, SK: `REVISION#${String(revision).padStart(6, '0')}` };
+}
+
+function parseExtractedData(value) {
+  if (!value) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Field-level changes between two versions of extracted data
+ *
+ * Paths are JSON Pointers into the data; arrays are compared by position.
+ *
+ * @returns {Array<{path: string, op: 'add'|'remove'|'replace', from?: *, to?: *}>}
+ */
+function diffExtractedData(before, after, path = '') {
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const changes = [];
+    for (let i = 0; i < Math.max(before.length, after.length); i++) {
+      if (i >= after.length) changes.push({ path: `${path}/${i}`, op: 'remove', from: before[i] });
+      else if (i >= before.length) changes.push({ path: `${path}/${i}`, op: 'add', to: after[i] });
+      else changes.push(...diffExtractedData(before[i], after[i], `${path}/${i}`));
+    }
+    return changes;
+  }
+
+  if (isObject(before) && isObject(after)) {
+    const changes = [];
+    for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      const fieldPath = `${path}/${field.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+      if (!(field in after)) changes.push({ path: fieldPath, op: 'remove', from: before[field] });
+      else if (!(field in before)) changes.push({ path: fieldPath, op: 'add', to: after[field] });
+      else changes.push(...diffExtractedData(before[field], after[field], fieldPath));
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  return [{ path: path || '/', op: 'replace', from: before, to: after }];
+}
+
+/**
+ * Copy of extracted data with the timeSummary totals recomputed from personnel
+ *
+ * hoursWorked is regular time and overtimeHours comes on top of it, as in the
+ * personnel hours sheet.
+ */
+function withRecomputedTotals(data) {
+  const personnel = data.personnel || [];
+  return {
+    ...data,
+    timeSummary: {
+      ...data.timeSummary,
+      totalPersonnelCount: personnel.length,
+      totalRegularHours: personnel.reduce((sum, p) => sum + (Number(p.hoursWorked) || 0), 0),
+      totalOvertimeHours: personnel.reduce((sum, p) => sum + (Number(p.overtimeHours) || 0), 0)
+    }
+  };
+}
+
+/**
+ * Personnel from extracted data in the shape payroll extraction produces,
+ * so corrected hours go through the same payroll entry path
+ */
+function payrollEmployeesFromExtractedData(data) {
+  return (data.personnel || [])
+    .filter(person => person.fullName)
+    .map(person => {
+      const regular = Number(person.hoursWorked) || 0;
+      const overtime = Number(person.overtimeHours) || 0;
+      return {
+        name: person.fullName,
+        total_hours: regular + overtime,
+        regular_hours: regular,
+        overtime_hours: overtime,
+        double_time_hours: 0,
+        activities: person.activitiesPerformed || null,
+        issues: person.healthStatus && person.healthStatus !== 'Healthy' ? person.healthStatus : null
+      };
+    });
+}
+
+/**
+ * Revision the report's extracted data is on (0 when there is none yet)
+ */
+function currentRevision(report) {
+  return report.extracted_data_revision || (report.extracted_data ? 1 : 0);
+}
+
+/**
+ * Public view of a revision record
+ */
+function formatRevision(record, { includeData = false } = {}) {
+  return {
+    revision: record.revision,
+    source: record.source,
+    author: record.author,
+    note: record.note || null,
+    createdAt: record.created_at,
+    changes: record.diff.length,
+    ...(includeData && { diff: record.diff, extractedData: record.extracted_data })
+  };
+}
+
+/**
+ * Store corrected extracted data as the report's next revision
+ *
+ * @param {DynamoDBClient} client
+ * @param {Object} report - Report item (unmarshalled, including PK/SK)
+ * @param {Object} correction
+ * @param {Object} correction.extractedData - The full corrected data
+ * @param {number} [correction.baseRevision] - Revision the editor started from
+ * @param {Object} correction.author - { userId, name }
+ * @param {string} [correction.note]
+ * @returns {Promise<{status: 'saved'|'conflict', revision: number, record?: Object}>}
+ */
+async function reviseExtractedData(client, report, { extractedData, baseRevision, author, note }) {
+  const current = currentRevision(report);
+  if (baseRevision !== undefined && baseRevision !== current) {
+    return { status: 'conflict', revision: current };
+  }
+
+  const previous = parseExtractedData(report.extracted_data) || {};
+  const data = withRecomputedTotals(extractedData);
+  const now = new Date().toISOString();
+  const revision = current + 1;
+
+  const record = {
+    report_id: report.report_id,
+    revision,
+    source: 'correction',
+    author,
+    note,
+    diff: diffExtractedData(previous, data),
+    extracted_data: data,
+    created_at: now
+  };
+
+  const items = [];
+
+  // First correction: keep the extraction it replaces as revision 1
+  if (current === 1 && !report.extracted_data_revision) {
+    items.push({
+      Put: {
+        TableName: REPORT_REVISIONS_TABLE,
+        Item: marshall({
+          ...revisionKey(report.report_id, 1),
+          report_id: report.report_id,
+          revision: 1,
+          source: 'extraction',
+          author: { userId: 'system', name: 'AI extraction' },
+          diff: [],
+          extracted_data: previous,
+          created_at: report.analytics_processed_at || report.created_at || now
+        }, { removeUndefinedValues: true }),
+        ConditionExpression: 'attribute_not_exists(PK)'
+      }
+    });
+  }
+
+  items.push({
+    Put: {
+      TableName: REPORT_REVISIONS_TABLE,
+      Item: marshall({ ...revisionKey(report.report_id, revision), ...record }, { removeUndefinedValues: true }),
+      ConditionExpression: 'attribute_not_exists(PK)'
+    }
+  });
+
+  items.push({
+    Update: {
+      TableName: REPORTS_TABLE,
+      Key: marshall({ PK: report.PK, SK: report.SK }),
+      UpdateExpression: `SET extracted_data = :data, extracted_data_revision = :revision,
+        total_personnel = :totalPersonnel, total_regular_hours = :totalRegularHours,
+        total_overtime_hours = :totalOvertimeHours, validation_warnings = :warnings,
+        corrected_by = :author, corrected_at = :now, updated_at = :now`,
+      ConditionExpression: report.extracted_data_revision
+        ? 'attribute_exists(PK) AND extracted_data_revision = :current'
+        : 'attribute_exists(PK) AND attribute_not_exists(extracted_data_revision)',
+      ExpressionAttributeValues: marshall({
+        ':data': data,
+        ':revision': revision,
+        ':totalPersonnel': data.timeSummary.totalPersonnelCount,
+        ':totalRegularHours': data.timeSummary.totalRegularHours,
+        ':totalOvertimeHours': data.timeSummary.totalOvertimeHours,
+        ':warnings': checkConsistency(data),
+        ':author': author,
+        ':now': now,
+        ...(report.extracted_data_revision && { ':current': report.extracted_data_revision })
+      }, { removeUndefinedValues: true })
+    }
+  });
+
+  try {
+    await client.send(new TransactWriteItemsCommand({ TransactItems: items }));
+  } catch (error) {
+    if (error.name !== 'TransactionCanceledException') throw error;
+    console.warn(`⚠️ Revision ${revision} of report ${report.report_id} lost a race with another correction`);
+    return { status: 'conflict', revision: current };
+  }
+
+  console.log(`✏️ Report ${report.report_id} corrected to revision ${revision} (${record.diff.length} changes)`);
+  return { status: 'saved', revision, record };
+}
+
+/**
+ * All revisions of a report, oldest first
+ */
+async function listRevisions(client, reportId) {
+  const records = [];
+  let ExclusiveStartKey;
+
+  do {
+    const result = await client.send(new QueryCommand({
+      TableName: REPORT_REVISIONS_TABLE,
+      KeyConditionExpression: 'PK = :pk',
+      ExpressionAttributeValues: marshall({ ':pk': `REPORT#${reportId}` }),
+      ExclusiveStartKey
+    }));
+    records.push(...(result.Items || []).map(item => unmarshall(item)));
+    ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+
+  return records;
+}
+
+/**
+ * @returns {Promise<Object|null>} Revision record
+ */
+async function getRevision(client, reportId, revision) {
+  const result = await client.send(new GetItemCommand({
+    TableName: REPORT_REVISIONS_TABLE,
+    Key: marshall(revisionKey(reportId, revision))
+  }));
+  return result.Item ? unmarshall(result.Item) : null;
+}
+
+module.exports = {
+  REPORT_REVISIONS_TABLE,
+  parseExtractedData,
+  diffExtractedData,
+  withRecomputedTotals,
+  payrollEmployeesFromExtractedData,
+  currentRevision,
+  formatRevision,
+  reviseExtractedData,
+  listRevisions,
+  getRevision
+};
@@ -0,0 +1,226 @@
+/**
+ * Report Revisions Tests
+ *
+ * Corrections run against the local DynamoDB stand-in so the revision write
+ * and report update go through a real transaction and its conditions.
+ */
+
+const { PutItemCommand, GetItemCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { localClient } = require('../local/dynamodb');
+
+// report-revisions expects services/ to be copied next to it at deploy time
+jest.mock('./extractionConsistency', () => require('../services/extractionConsistency'), { virtual: true });
+
+const {
+  diffExtractedData,
+  withRecomputedTotals,
+  payrollEmployeesFromExtractedData,
+  currentRevision,
+  formatRevision,
+  reviseExtractedData,
+  listRevisions,
+  getRevision
+} = require('./report-revisions');
+
+const EXTRACTION = {
+  personnel: [
+    { fullName: 'Aaron Trask', hoursWorked: 8, overtimeHours: 0, activitiesPerformed: 'Framing' },
+    { fullName: 'Bryan Nash', hoursWorked: 8, overtimeHours: 2 }
+  ],
+  constraints: [{ title: 'Late delivery', severity: 'medium' }],
+  timeSummary: { totalPersonnelCount: 2, totalRegularHours: 16, totalOvertimeHours: 2, arrivalTime: '07:00' }
+};
+
+const AUTHOR = { userId: 'user-003-uuid', name: 'David Chen' };
+
+function corrected(changes) {
+  return { ...EXTRACTION, ...changes };
+}
+
+describe('diffExtractedData', () => {
+  it('should report changed, added and removed fields as JSON Pointer paths', () => {
+    const after = {
+      personnel: [{ ...EXTRACTION.personnel[0], hoursWorked: 10 }],
+      constraints: EXTRACTION.constraints,
+      timeSummary: EXTRACTION.timeSummary,
+      vendors: [{ companyName: 'ABC Supply' }]
+    };
+
+    expect(diffExtractedData(EXTRACTION, after)).toEqual([
+      { path: '/personnel/0/hoursWorked', op: 'replace', from: 8, to: 10 },
+      { path: '/personnel/1', op: 'remove', from: EXTRACTION.personnel[1] },
+      { path: '/vendors', op: 'add', to: [{ companyName: 'ABC Supply' }] }
+    ]);
+  });
+
+  it('should return no changes for equal data', () => {
+    expect(diffExtractedData(EXTRACTION, JSON.parse(JSON.stringify(EXTRACTION)))).toEqual([]);
+  });
+});
+
+describe('withRecomputedTotals', () => {
+  it('should recompute the time summary totals from personnel and keep the rest', () => {
+    const data = withRecomputedTotals(corrected({
+      personnel: [{ fullName: 'Aaron Trask', hoursWorked: 9, overtimeHours: 1 }]
+    }));
+
+    expect(data.timeSummary).toEqual({
+      totalPersonnelCount: 1,
+      totalRegularHours: 9,
+      totalOvertimeHours: 1,
+      arrivalTime: '07:00'
+    });
+  });
+});
+
+describe('payrollEmployeesFromExtractedData', () => {
+  it('should map personnel to payroll extraction employees', () => {
+    expect(payrollEmployeesFromExtractedData(EXTRACTION)[1]).toEqual(expect.objectContaining({
+      name: 'Bryan Nash',
+      total_hours: 10,
+      regular_hours: 8,
+      overtime_hours: 2,
+      double_time_hours: 0
+    }));
+  });
+});
+
+describe('reviseExtractedData', () => {
+  let client;
+
+  async function saveReport(fields = {}) {
+    await client.send(new PutItemCommand({
+      TableName: 'sitelogix-reports',
+      Item: marshall({
+        PK: 'PROJECT#proj-1',
+        SK: 'REPORT#2026-10-19#rpt_1',
+        report_id: 'rpt_1',
+        extracted_data: EXTRACTION,
+        analytics_processed_at: '2026-10-19T18:00:00.000Z',
+        ...fields
+      })
+    }));
+    return loadReport();
+  }
+
+  async function loadReport() {
+    const result = await client.send(new GetItemCommand({
+      TableName: 'sitelogix-reports',
+      Key: marshall({ PK: 'PROJECT#proj-1', SK: 'REPORT#2026-10-19#rpt_1' })
+    }));
+    return unmarshall(result.Item);
+  }
+
+  beforeEach(() => {
+    client = localClient();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should keep the original extraction as revision 1 and store the correction as revision 2', async () => {
+    const report = await saveReport();
+    const extractedData = corrected({ personnel: [{ ...EXTRACTION.personnel[0], hoursWorked: 10 }] });
+
+    const result = await reviseExtractedData(client, report, { extractedData, baseRevision: 1, author: AUTHOR, note: 'Aaron stayed late' });
+
+    expect(result.status).toBe('saved');
+    expect(result.revision).toBe(2);
+
+    const original = await getRevision(client, 'rpt_1', 1);
+    expect(original.source).toBe('extraction');
+    expect(original.extracted_data).toEqual(EXTRACTION);
+    expect(original.created_at).toBe('2026-10-19T18:00:00.000Z');
+
+    const revision = await getRevision(client, 'rpt_1', 2);
+    expect(revision.author).toEqual(AUTHOR);
+    expect(revision.note).toBe('Aaron stayed late');
+    expect(revision.diff).toContainEqual({ path: '/personnel/0/hoursWorked', op: 'replace', from: 8, to: 10 });
+  });
+
+  it('should update the report to the latest revision and its totals', async () => {
+    const report = await saveReport();
+    const extractedData = corrected({ personnel: [{ ...EXTRACTION.personnel[0], hoursWorked: 10 }] });
+
+    await reviseExtractedData(client, report, { extractedData, author: AUTHOR });
+
+    const updated = await loadReport();
+    expect(currentRevision(updated)).toBe(2);
+    expect(updated.extracted_data.personnel[0].hoursWorked).toBe(10);
+    expect(updated.total_personnel).toBe(1);
+    expect(updated.total_regular_hours).toBe(10);
+    expect(updated.corrected_by).toEqual(AUTHOR);
+  });
+
+  it('should recheck the corrected data for inconsistent answers', async () => {
+    const report = await saveReport();
+    const extractedData = corrected({
+      personnel: [{ ...EXTRACTION.personnel[0], hoursWorked: 12 }],
+      timeSummary: { ...EXTRACTION.timeSummary, departureTime: '15:30' }
+    });
+
+    await reviseExtractedData(client, report, { extractedData, author: AUTHOR });
+
+    const updated = await loadReport();
+    expect(updated.validation_warnings).toEqual([expect.objectContaining({
+      check: 'time_window',
+      subject: 'Aaron Trask',
+      message: 'Aaron Trask reported 12 hours but the crew was on site 7:00 AM to 3:30 PM (8.5 hours)'
+    })]);
+  });
+
+  it('should reject a correction based on an older revision', async () => {
+    await reviseExtractedData(client, await saveReport(), { extractedData: corrected({}), author: AUTHOR });
+
+    const stale = await reviseExtractedData(client, await loadReport(), {
+      extractedData: corrected({}),
+      baseRevision: 1,
+      author: AUTHOR
+    });
+
+    expect(stale).toEqual({ status: 'conflict', revision: 2 });
+  });
+
+  it('should reject the slower of two concurrent corrections', async () => {
+    const report = await saveReport();
+
+    const first = await reviseExtractedData(client, report, { extractedData: corrected({}), author: AUTHOR });
+    const second = await reviseExtractedData(client, report, { extractedData: corrected({ vendors: [] }), author: AUTHOR });
+
+    expect(first.status).toBe('saved');
+    expect(second.status).toBe('conflict');
+    expect((await listRevisions(client, 'rpt_1')).map(r => r.revision)).toEqual([1, 2]);
+  });
+
+  it('should start at revision 1 when nothing was extracted', async () => {
+    const report = await saveReport({ extracted_data: null });
+
+    const result = await reviseExtractedData(client, report, { extractedData: corrected({}), baseRevision: 0, author: AUTHOR });
+
+    expect(result.revision).toBe(1);
+    expect(await listRevisions(client, 'rpt_1')).toHaveLength(1);
+  });
+
+  it('should parse extracted data stored as a JSON string', async () => {
+    const report = await saveReport({ extracted_data: JSON.stringify(EXTRACTION) });
+
+    const result = await reviseExtractedData(client, report, { extractedData: EXTRACTION, author: AUTHOR });
+
+    expect(result.record.diff.filter(change => !change.path.startsWith('/timeSummary'))).toEqual([]);
+  });
+
+  it('should list revisions oldest first without their data', async () => {
+    await reviseExtractedData(client, await saveReport(), { extractedData: corrected({}), author: AUTHOR });
+    await reviseExtractedData(client, await loadReport(), { extractedData: corrected({ vendors: [] }), author: AUTHOR });
+
+    const revisions = (await listRevisions(client, 'rpt_1')).map(record => formatRevision(record));
+
+    expect(revisions.map(r => [r.revision, r.source])).toEqual([[1, 'extraction'], [2, 'correction'], [3, 'correction']]);
+    expect(revisions[2].changes).toBe(1);
+    expect(revisions[2].extractedData).toBeUndefined();
+  });
+});
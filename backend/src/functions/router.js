@@ -0,0 +1,307 @@
+/**
+ * API Router
+ * Declarative route table for the SiteLogix API Lambda
+ *
+ * Routes are matched on method + path pattern (e.g. `/api/projects/:id`).
+ * Literal segments always win over path parameters, so `/api/personnel/search`
+ * is never shadowed by `/api/personnel/:id` regardless of registration order,
+ * and registering the same method + path shape twice throws at startup.
+ *
+ * @module router
+ */
+
+const { validate, validationErrorResponse } = require('./validation');
+
+const DEFAULT_HEADERS = {
+  'Content-Type': 'application/json'
+};
+
+const BODY_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Split a path into non-empty segments
+ */
+function splitPath(path) {
+  return path.split('/').filter(Boolean);
+}
+
+/**
+ * Compile a route pattern into segment matchers
+ * `/api/reports/:reportId/html` -> [literal api, literal reports, param reportId, literal html]
+ */
+function compilePattern(pattern) {
+  return splitPath(pattern).map(segment => (
+    segment.startsWith(':')
+      ? { type: 'param', name: segment.slice(1) }
+      : { type: 'literal', value: segment }
+  ));
+}
+
+/**
+ * Shape of a compiled pattern with parameter names erased
+ * Two routes with the same method and shape would shadow each other
+ */
+function patternShape(segments) {
+  return segments.map(s => (s.type === 'param' ? ':' : s.value)).join('/');
+}
+
+/**
+ * Match path segments against a compiled route, returning decoded params or null
+ */
+function matchSegments(segments, pathSegments) {
+  if (segments.length !== pathSegments.length) return null;
+
+  const params = {};
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    const value = pathSegments[i];
+
+    if (segment.type === 'literal') {
+      if (segment.value !== value) return null;
+    } else {
+      try {
+        params[segment.name] = decodeURIComponent(value);
+      } catch (e) {
+        params[segment.name] = value;
+      }
+    }
+  }
+  return params;
+}
+
+/**
+ * Compare two routes by specificity: the first literal-vs-param difference wins
+ * Returns a negative number when `a` is more specific than `b`
+ */
+function compareSpecificity(a, b) {
+  for (let i = 0; i < a.segments.length; i++) {
+    const aLiteral = a.segments[i].type === 'literal';
+    const bLiteral = b.segments[i].type === 'literal';
+    if (aLiteral !== bLiteral) return aLiteral ? -1 : 1;
+  }
+  return 0;
+}
+
+class Router {
+  /**
+   * @param {Object} options
+   * @param {string} [options.basePath='/api'] - Mount point of the API; anything before it (e.g. a stage name) is ignored
+   * @param {Function} [options.authenticate] - async (event) => { success, user, error, code }
+   */
+  constructor(options = {}) {
+    this.basePath = options.basePath || '/api';
+    this.authenticate = options.authenticate || null;
+    this.routes = [];
+  }
+
+  /**
+   * Register a route
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Path pattern with `:param` segments
+   * @param {Function} handler - async (ctx) => { statusCode, body, headers? }
+   * @param {Object} [options]
+   * @param {boolean} [options.auth=false] - Require a verified bearer token
+   * @param {string[]} [options.roles] - Roles allowed to call the route (implies auth)
+   * @param {Object} [options.schema] - Request body schema checked before the handler runs
+   * @param {string} [options.summary] - One-line description of the route
+   */
+  add(method, path, handler, options = {}) {
+    const upperMethod = method.toUpperCase();
+    const segments = compilePattern(path);
+    const shape = patternShape(segments);
+
+    const existing = this.routes.find(r => r.method === upperMethod && r.shape === shape);
+    if (existing) {
+      throw new Error(`Route conflict: ${upperMethod} ${path} shadows ${existing.method} ${existing.path}`);
+    }
+
+    const roles = options.roles || null;
+    this.routes.push({
+      method: upperMethod,
+      path,
+      segments,
+      shape,
+      handler,
+      auth: !!(options.auth || roles),
+      roles,
+      schema: options.schema || null,
+      summary: options.summary || ''
+    });
+    return this;
+  }
+
+  get(path, handler, options) {
+    return this.add('GET', path, handler, options);
+  }
+
+  post(path, handler, options) {
+    return this.add('POST', path, handler, options);
+  }
+
+  put(path, handler, options) {
+    return this.add('PUT', path, handler, options);
+  }
+
+  delete(path, handler, options) {
+    return this.add('DELETE', path, handler, options);
+  }
+
+  /**
+   * Strip any prefix before the base path (API Gateway stage) and trailing slashes
+   * Paths that don't include the base path are treated as relative to it
+   */
+  normalizePath(rawPath) {
+    const segments = splitPath(rawPath || '');
+    const baseSegments = splitPath(this.basePath);
+
+    for (let i = 0; i + baseSegments.length <= segments.length; i++) {
+      if (baseSegments.every((s, j) => segments[i + j] === s)) {
+        return segments.slice(i);
+      }
+    }
+    return [...baseSegments, ...segments];
+  }
+
+  /**
+   * Resolve a method + path to a route
+   *
+   * @returns {{ route: Object|null, params: Object, allowedMethods: string[] }}
+   */
+  match(method, rawPath) {
+    const pathSegments = this.normalizePath(rawPath);
+    const upperMethod = (method || 'GET').toUpperCase();
+
+    const candidates = [];
+    for (const route of this.routes) {
+      const params = matchSegments(route.segments, pathSegments);
+      if (params) candidates.push({ route, params });
+    }
+
+    const allowedMethods = [...new Set(candidates.map(c => c.route.method))];
+    const forMethod = candidates
+      .filter(c => c.route.method === upperMethod)
+      .sort((a, b) => compareSpecificity(a.route, b.route));
+
+    if (forMethod.length === 0) {
+      return { route: null, params: {}, allowedMethods };
+    }
+    return { route: forMethod[0].route, params: forMethod[0].params, allowedMethods };
+  }
+
+  /**
+   * Dispatch an API Gateway event
+   */
+  async handle(event) {
+    const path = event.requestContext?.http?.path || event.path || '';
+    const method = event.requestContext?.http?.method || event.httpMethod || 'GET';
+
+    console.log(`Processing ${method} ${path}`);
+
+    try {
+      const { route, params, allowedMethods } = this.match(method, path);
+
+      if (!route) {
+        if (allowedMethods.length > 0) {
+          return this.respond(405, {
+            success: false,
+            error: `Method ${method} not allowed`,
+            code: 'METHOD_NOT_ALLOWED'
+          }, { Allow: allowedMethods.join(', ') });
+        }
+        return this.respond(404, { success: false, error: 'Not found', code: 'NOT_FOUND' });
+      }
+
+      // Parse request body for POST/PUT/DELETE requests
+      let body = {};
+      if (BODY_METHODS.includes(method.toUpperCase()) && event.body) {
+        try {
+          body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+        } catch (e) {
+          console.error('Failed to parse request body:', e);
+          return this.respond(400, {
+            success: false,
+            error: 'Invalid JSON in request body',
+            code: 'INVALID_JSON'
+          });
+        }
+      }
+
+      let user = null;
+      if (route.auth) {
+        if (!this.authenticate) {
+          throw new Error(`Route ${route.method} ${route.path} requires auth but no authenticator is configured`);
+        }
+
+        const auth = await this.authenticate(event);
+        if (!auth.success) {
+          return this.respond(401, {
+            success: false,
+            error: auth.error || 'Unauthorized',
+            code: auth.code || 'UNAUTHORIZED'
+          });
+        }
+        user = auth.user;
+
+        if (route.roles && !route.roles.includes(user?.role)) {
+          console.warn(`⚠️ Forbidden: ${user?.userId} (role: ${user?.role}) attempted ${route.method} ${route.path}`);
+          return this.respond(403, {
+            success: false,
+            error: 'Insufficient permissions',
+            code: 'FORBIDDEN'
+          });
+        }
+      }
+
+      if (route.schema) {
+        const errors = validate(route.schema, body);
+        if (errors.length > 0) {
+          const invalid = validationErrorResponse(errors);
+          return this.respond(invalid.statusCode, invalid.body);
+        }
+      }
+
+      const result = await route.handler({
+        event,
+        method: route.method,
+        path,
+        params,
+        query: event.queryStringParameters || {},
+        headers: event.headers || {},
+        body,
+        user
+      });
+
+      return this.respond(result.statusCode, result.body, result.headers);
+    } catch (error) {
+      console.error('Error processing request:', error);
+      return this.respond(500, {
+        success: false,
+        error: error.message || 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Build a Lambda proxy response
+   * String bodies (HTML, CSV) are passed through untouched
+   */
+  respond(statusCode, body, headers = {}) {
+    return {
+      statusCode,
+      headers: { ...DEFAULT_HEADERS, ...headers },
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    };
+  }
+
+  /**
+   * Registered routes, for documentation and contract checks
+   */
+  listRoutes() {
+    return this.routes.map(({ method, path, auth, roles, schema, summary }) => ({ method, path, auth, roles, schema, summary }));
+  }
+}
+
+module.exports = {
+  Router
+};
@@ -0,0 +1,173 @@
+/**
+ * Router Tests
+ *
+ * Covers path matching, literal-over-param precedence, conflict detection,
+ * 404/405 responses, body schema validation and per-route auth/role checks.
+ */
+
+const { Router } = require('./router');
+
+function event(method, path, extra = {}) {
+  return { requestContext: { http: { method, path } }, ...extra };
+}
+
+const ok = (body = {}) => async () => ({ statusCode: 200, body });
+
+describe('Router', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('match', () => {
+    it('should extract and decode path parameters', () => {
+      const router = new Router();
+      router.get('/api/reports/:reportId/html', ok());
+
+      const { route, params } = router.match('GET', '/api/reports/rpt%23123/html');
+      expect(route.path).toBe('/api/reports/:reportId/html');
+      expect(params).toEqual({ reportId: 'rpt#123' });
+    });
+
+    it('should prefer literal segments over parameters regardless of order', () => {
+      const router = new Router();
+      router.get('/api/personnel/:id', ok());
+      router.get('/api/personnel/search', ok());
+
+      expect(router.match('GET', '/api/personnel/search').route.path).toBe('/api/personnel/search');
+      expect(router.match('GET', '/api/personnel/abc').route.path).toBe('/api/personnel/:id');
+    });
+
+    it('should ignore a stage prefix and trailing slash', () => {
+      const router = new Router();
+      router.get('/api/health', ok());
+
+      expect(router.match('GET', '/prod/api/health/').route).not.toBeNull();
+      expect(router.match('GET', '/health').route).not.toBeNull();
+    });
+  });
+
+  describe('add', () => {
+    it('should throw when a route would shadow an existing one', () => {
+      const router = new Router();
+      router.get('/api/payroll/:entryId', ok());
+
+      expect(() => router.get('/api/payroll/:id', ok())).toThrow(/Route conflict/);
+      expect(() => router.put('/api/payroll/:id', ok())).not.toThrow();
+    });
+  });
+
+  describe('handle', () => {
+    it('should return 404 for unknown paths', async () => {
+      const router = new Router();
+      const res = await router.handle(event('GET', '/api/nope'));
+
+      expect(res.statusCode).toBe(404);
+      expect(JSON.parse(res.body).code).toBe('NOT_FOUND');
+    });
+
+    it('should return 405 with an Allow header when only the method differs', async () => {
+      const router = new Router();
+      router.get('/api/vendors', ok());
+      router.post('/api/vendors', ok());
+
+      const res = await router.handle(event('DELETE', '/api/vendors'));
+      expect(res.statusCode).toBe(405);
+      expect(res.headers.Allow).toBe('GET, POST');
+    });
+
+    it('should reject malformed JSON bodies', async () => {
+      const router = new Router();
+      router.post('/api/reports', ok());
+
+      const res = await router.handle(event('POST', '/api/reports', { body: '{nope' }));
+      expect(res.statusCode).toBe(400);
+      expect(JSON.parse(res.body).code).toBe('INVALID_JSON');
+    });
+
+    it('should pass params, query and parsed body to the handler', async () => {
+      const router = new Router();
+      const handler = jest.fn(async () => ({ statusCode: 201, body: { success: true } }));
+      router.post('/api/personnel/:employeeId/aliases', handler);
+
+      const res = await router.handle(event('POST', '/api/personnel/emp1/aliases', {
+        body: JSON.stringify({ alias: 'Bobby' }),
+        queryStringParameters: { dryRun: 'true' }
+      }));
+
+      expect(res.statusCode).toBe(201);
+      const ctx = handler.mock.calls[0][0];
+      expect(ctx.params).toEqual({ employeeId: 'emp1' });
+      expect(ctx.body).toEqual({ alias: 'Bobby' });
+      expect(ctx.query).toEqual({ dryRun: 'true' });
+    });
+
+    it('should return 400 with field details when the body fails the route schema', async () => {
+      const router = new Router();
+      const handler = jest.fn(ok());
+      router.post('/api/vendors', handler, { schema: { fields: { company_name: { type: 'string', required: true } } } });
+
+      const res = await router.handle(event('POST', '/api/vendors', { body: JSON.stringify({ phone: '555' }) }));
+      expect(res.statusCode).toBe(400);
+      expect(JSON.parse(res.body)).toMatchObject({
+        code: 'VALIDATION_ERROR',
+        details: [{ field: 'company_name', message: 'company_name is required' }]
+      });
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should pass string bodies through with the handler headers', async () => {
+      const router = new Router();
+      router.get('/api/export', async () => ({ statusCode: 200, headers: { 'Content-Type': 'text/csv' }, body: 'a,b' }));
+
+      const res = await router.handle(event('GET', '/api/export'));
+      expect(res.body).toBe('a,b');
+      expect(res.headers['Content-Type']).toBe('text/csv');
+    });
+
+    it('should return 500 when a handler throws', async () => {
+      const router = new Router();
+      router.get('/api/boom', async () => { throw new Error('boom'); });
+
+      const res = await router.handle(event('GET', '/api/boom'));
+      expect(res.statusCode).toBe(500);
+      expect(JSON.parse(res.body).error).toBe('boom');
+    });
+  });
+
+  describe('auth', () => {
+    const authenticate = async (evt) => {
+      const token = evt.headers?.authorization;
+      if (!token) return { success: false, error: 'No authorization header', code: 'UNAUTHORIZED' };
+      return { success: true, user: { userId: 'u1', role: token } };
+    };
+
+    it('should return 401 when an auth route has no valid token', async () => {
+      const router = new Router({ authenticate });
+      router.get('/api/time-entries', ok(), { auth: true });
+
+      const res = await router.handle(event('GET', '/api/time-entries'));
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('should return 403 when the user role is not allowed', async () => {
+      const router = new Router({ authenticate });
+      router.delete('/api/reports/:reportId', ok(), { roles: ['admin'] });
+
+      const res = await router.handle(event('DELETE', '/api/reports/r1', { headers: { authorization: 'manager' } }));
+      expect(res.statusCode).toBe(403);
+      expect(JSON.parse(res.body).code).toBe('FORBIDDEN');
+    });
+
+    it('should pass the authenticated user to the handler', async () => {
+      const router = new Router({ authenticate });
+      const handler = jest.fn(ok());
+      router.delete('/api/reports/:reportId', handler, { roles: ['admin'] });
+
+      const res = await router.handle(event('DELETE', '/api/reports/r1', { headers: { authorization: 'admin' } }));
+      expect(res.statusCode).toBe(200);
+      expect(handler.mock.calls[0][0].user).toEqual({ userId: 'u1', role: 'admin' });
+    });
+  });
+});
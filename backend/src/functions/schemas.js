@@ -0,0 +1,364 @@
+/**
+ * Request Body Schemas
+ * Field rules for every write endpoint, enforced by the router (see validation.js),
+ * plus the query string filters list endpoints check themselves
+ *
+ * Create schemas mark the fields the handler needs; update schemas share the
+ * same rules with nothing required, since updates are partial.
+ *
+ * @module schemas
+ */
+
+/**
+ * Copy of a field map with every `required` flag cleared (for partial updates)
+ */
+function partial(fields) {
+  const result = {};
+  for (const [name, rule] of Object.entries(fields)) {
+    result[name] = { ...rule, required: false };
+  }
+  return result;
+}
+
+const hours = { type: 'number', min: 0, max: 24 };
+const rate = { type: 'number', min: 0 };
+
+// ============================================================================
+// PROJECTS
+// ============================================================================
+
+const PROJECT_STATUSES = ['planning', 'active', 'on_hold', 'on-hold', 'completed', 'complete', 'archived'];
+
+const projectFields = {
+  projectName: { type: 'string', required: true, min: 1, max: 200 },
+  projectCode: { type: 'string', max: 50 },
+  description: { type: 'string', max: 5000 },
+  location: {
+    type: 'object',
+    fields: {
+      address: { type: 'string' },
+      city: { type: 'string' },
+      state: { type: 'string' },
+      zip: { type: 'string' }
+    }
+  },
+  projectType: { type: 'string' },
+  status: { type: 'string', enum: PROJECT_STATUSES },
+  startDate: { type: 'string', format: 'date' },
+  estimatedEndDate: { type: 'string', format: 'date' },
+  targetCompletionPercentage: { type: 'number', min: 0, max: 100 },
+  budget: {
+    type: 'object',
+    fields: {
+      total: { type: 'number', min: 0 },
+      labor: { type: 'number', min: 0 },
+      materials: { type: 'number', min: 0 },
+      equipment: { type: 'number', min: 0 }
+    }
+  },
+  kpiTargets: {
+    type: 'object',
+    fields: {
+      healthScore: { type: 'number', min: 0, max: 100 },
+      qualityScore: { type: 'number', min: 0, max: 100 },
+      scheduleScore: { type: 'number', min: 0, max: 100 },
+      maxOvertimePercent: { type: 'number', min: 0, max: 100 },
+      vendorOnTimeRate: { type: 'number', min: 0, max: 100 }
+    }
+  },
+  assignedManagers: { type: 'array' },
+  milestones: { type: 'array', items: { type: 'object' } }
+};
+
+const projectCreate = { fields: projectFields };
+const projectUpdate = { fields: partial(projectFields) };
+const projectStatus = { fields: { status: { type: 'string', required: true, enum: PROJECT_STATUSES } } };
+const projectTimeline = {
+  fields: {
+    startDate: { type: 'string', format: 'date' },
+    estimatedEndDate: { type: 'string', format: 'date' }
+  }
+};
+
+// ============================================================================
+// PERSONNEL
+// ============================================================================
+
+// Accepts both camelCase and the snake_case names the legacy handlers map from
+const personnelFields = {
+  firstName: { type: 'string', max: 100 },
+  first_name: { type: 'string', max: 100 },
+  lastName: { type: 'string', max: 100 },
+  last_name: { type: 'string', max: 100 },
+  middleName: { type: 'string', max: 100 },
+  preferredName: { type: 'string', max: 100 },
+  nickName: { type: 'string', max: 100 },
+  employeeNumber: { type: 'string', max: 50 },
+  email: { type: 'string', format: 'email' },
+  phone: { type: 'string', max: 30 },
+  jobTitle: { type: 'string' },
+  position: { type: 'string' },
+  role: { type: 'string' },
+  projectId: { type: 'string' },
+  hourlyRate: rate,
+  hourly_rate: rate,
+  overtimeRate: rate,
+  doubleTimeRate: rate,
+  employmentStatus: { type: 'string' },
+  hireDate: { type: 'string', format: 'date' },
+  username: { type: 'string' },
+  password: { type: 'string', min: 8 },
+  needsProfileCompletion: { type: 'boolean' }
+};
+
+const personnelCreate = {
+  fields: personnelFields,
+  requireOneOf: [['firstName', 'first_name'], ['lastName', 'last_name']]
+};
+const personnelUpdate = { fields: personnelFields };
+const personnelMatch = {
+  fields: {
+    name: { type: 'string', required: true, min: 1, max: 200 },
+    projectId: { type: 'string' }
+  }
+};
+const personnelAlias = { fields: { alias: { type: 'string', required: true, min: 1, max: 200 } } };
+
+// ============================================================================
+// VENDORS
+// ============================================================================
+
+const vendorFields = {
+  company_name: { type: 'string', required: true, min: 1, max: 200 },
+  contact_name: { type: 'string', max: 200 },
+  phone: { type: 'string', max: 30 },
+  email: { type: 'string', format: 'email' },
+  services: { type: 'array', items: { type: 'string' } },
+  status: { type: 'string', enum: ['active', 'inactive'] }
+};
+
+const vendorCreate = { fields: vendorFields };
+const vendorUpdate = { fields: partial(vendorFields) };
+const vendorAlias = { fields: { alias: { type: 'string', required: true, min: 1, max: 200 } } };
+
+// GET /api/vendors/match?name= scores a company name against the vendors on file
+const vendorMatchQuery = {
+  fields: {
+    name: { type: 'string', required: true, min: 1, max: 200 }
+  }
+};
+
+// POST /api/vendors/:vendorId/merge moves duplicateId's history to :vendorId
+const vendorMerge = {
+  fields: {
+    duplicateId: { type: 'string', required: true, min: 1, max: 100 },
+    note: { type: 'string', max: 1000 }
+  }
+};
+
+// ============================================================================
+// PAYROLL
+// ============================================================================
+
+const payrollEntryFields = {
+  reportId: { type: 'string', required: true },
+  employeeId: { type: 'string', required: true },
+  employeeNumber: { type: 'string' },
+  employeeName: { type: 'string' },
+  projectId: { type: 'string' },
+  projectName: { type: 'string' },
+  reportDate: { type: 'string', required: true, format: 'date' },
+  regularHours: hours,
+  overtimeHours: hours,
+  doubleTimeHours: hours,
+  hourlyRate: rate,
+  overtimeRate: rate,
+  doubleTimeRate: rate,
+  arrivalTime: { type: 'string', format: 'time' },
+  departureTime: { type: 'string', format: 'time' },
+  activities: { type: 'any' },
+  employeeSpecificIssues: { type: 'any' }
+};
+
+const payrollEntryCreate = { fields: payrollEntryFields };
+const payrollEntryBulk = {
+  fields: {
+    entries: {
+      type: 'array',
+      required: true,
+      min: 1,
+      items: { type: 'object', fields: payrollEntryFields }
+    }
+  }
+};
+const payrollEntryUpdate = {
+  fields: {
+    ...partial(payrollEntryFields),
+    reviewNotes: { type: 'string' },
+    needsReview: { type: 'boolean' }
+  }
+};
+
+// ============================================================================
+// TIME ENTRIES
+// ============================================================================
+
+const timeEntryFields = {
+  employeeId: { type: 'string', required: true },
+  projectId: { type: 'string', required: true },
+  date: { type: 'string', required: true, format: 'date' },
+  hours: { ...hours, required: true },
+  overtimeHours: hours,
+  startTime: { type: 'string', format: 'time' },
+  endTime: { type: 'string', format: 'time' },
+  breakMinutes: { type: 'integer', min: 0 },
+  tasks: { type: 'array' },
+  notes: { type: 'string', max: 2000 },
+  status: { type: 'string' }
+};
+
+const timeEntryCreate = { fields: timeEntryFields };
+const timeEntryUpdate = { fields: partial(timeEntryFields) };
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+const reportCreate = {
+  fields: {
+    managerId: { type: 'string', required: true },
+    managerName: { type: 'string' },
+    projectId: { type: 'string', required: true },
+    projectName: { type: 'string' },
+    projectLocation: { type: 'any' },
+    reportDate: { type: 'string', required: true, format: 'date' },
+    conversationId: { type: 'string' },
+    audioBase64: { type: 'string' },
+    transcript: { type: 'any' }
+  }
+};
+
+// PUT /api/reports/:reportId/extracted-data; only the fields totals and payroll
+// are computed from are checked, the rest of the extraction is stored as sent
+const reportExtractedDataUpdate = {
+  fields: {
+    extractedData: {
+      type: 'object',
+      required: true,
+      fields: {
+        personnel: {
+          type: 'array',
+          items: {
+            type: 'object',
+            fields: {
+              fullName: { type: 'string', required: true, min: 1, max: 200 },
+              hoursWorked: hours,
+              overtimeHours: hours
+            }
+          }
+        },
+        workLogs: { type: 'array', items: { type: 'object' } },
+        constraints: { type: 'array', items: { type: 'object' } },
+        vendors: { type: 'array', items: { type: 'object' } },
+        timeSummary: { type: 'object' }
+      }
+    },
+    baseRevision: { type: 'integer', min: 0 },
+    note: { type: 'string', max: 1000 }
+  }
+};
+
+// DELETE /api/reports/:reportId; the reason is kept on the tombstone
+const reportDelete = {
+  fields: {
+    reason: { type: 'string', required: true, min: 3, max: 1000 }
+  }
+};
+
+// Query string filters for GET /api/reports
+const reportListQuery = {
+  fields: {
+    from: { type: 'string', format: 'date' },
+    to: { type: 'string', format: 'date' },
+    projectId: { type: 'string' },
+    managerId: { type: 'string' },
+    status: { type: 'string' }
+  }
+};
+
+// Query string filters for GET /api/review
+const reviewListQuery = {
+  fields: {
+    status: { type: 'string', enum: ['open', 'resolved'] },
+    type: { type: 'string', enum: ['personnel', 'personnel_match', 'payroll_hours', 'vendor', 'constraint'] },
+    projectId: { type: 'string' }
+  }
+};
+
+// PUT /api/review/:reviewId marks the item resolved
+const reviewResolve = {
+  fields: {
+    note: { type: 'string', max: 1000 }
+  }
+};
+
+// Query string filters for GET /api/personnel/merge-candidates
+const mergeCandidateListQuery = {
+  fields: {
+    status: { type: 'string', enum: ['open', 'merged', 'dismissed'] }
+  }
+};
+
+// POST /api/personnel/merge-candidates/:candidateId/merge keeps primaryId
+// (default: the suggested primary) and merges the other employee into it
+const mergeCandidateMerge = {
+  fields: {
+    primaryId: { type: 'string', max: 100 },
+    note: { type: 'string', max: 1000 }
+  }
+};
+
+// POST /api/personnel/merge-candidates/:candidateId/dismiss records "not a duplicate"
+const mergeCandidateDismiss = {
+  fields: {
+    note: { type: 'string', max: 1000 }
+  }
+};
+
+// POST /api/personnel/merges/:mergeId/unmerge undoes a merge from its audit record
+const personnelUnmerge = {
+  fields: {
+    note: { type: 'string', max: 1000 }
+  }
+};
+
+module.exports = {
+  projectCreate,
+  projectUpdate,
+  projectStatus,
+  projectTimeline,
+  personnelCreate,
+  personnelUpdate,
+  personnelMatch,
+  personnelAlias,
+  vendorCreate,
+  vendorUpdate,
+  vendorAlias,
+  vendorMatchQuery,
+  vendorMerge,
+  payrollEntryCreate,
+  payrollEntryBulk,
+  payrollEntryUpdate,
+  timeEntryCreate,
+  timeEntryUpdate,
+  reportCreate,
+  reportExtractedDataUpdate,
+  reportDelete,
+  reportListQuery,
+  reviewListQuery,
+  reviewResolve,
+  mergeCandidateListQuery,
+  mergeCandidateMerge,
+  mergeCandidateDismiss,
+  personnelUnmerge
+};
@@ -8,6 +8,9 @@
 const { DynamoDBClient, PutItemCommand, UpdateItemCommand, QueryCommand, ScanCommand, GetItemCommand } = require('@aws-sdk/client-dynamodb');
 const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
 const { v4: uuidv4 } = require('uuid');
+const schemas = require('./schemas');
+const { validationErrorResponse } = require('./validation');
+const { parsePageParams, queryPage, pageInfo } = require('./pagination');
 
 const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
 
@@ -184,70 +187,85 @@ async function handleCreateTimeEntry(body, user) {
 
 /**
  * GET /api/time-entries
- * Get time entries with filtering
+ * Get one page of time entries with filtering
+ *
+ * Date and permission filters run in DynamoDB so every page is full and the
+ * cursor never skips matching entries.
  */
 async function handleListTimeEntries(queryParams, user) {
   try {
-    const { employeeId, projectId, startDate, endDate, limit = 50, offset = 0 } = queryParams;
+    const { employeeId, projectId, startDate, endDate } = queryParams;
+
+    const page = parsePageParams(queryParams);
+    if (page.errors) {
+      return validationErrorResponse(page.errors);
+    }
+
+    const filters = [];
+    const values = {};
 
-    let command;
-    let items = [];
+    if (startDate) {
+      filters.push('#date >= :startDate');
+      values[':startDate'] = startDate;
+    }
+
+    if (endDate) {
+      filters.push('#date <= :endDate');
+      values[':endDate'] = endDate;
+    }
+
+    // Regular employees only see their own entries
+    if (user.role !== 'admin' && user.role !== 'manager') {
+      filters.push('employee_id = :userId');
+      values[':userId'] = user.userId;
+    }
+
+    let Command;
+    let params;
 
     // Build query based on filters
     if (employeeId) {
       // Query by employee (using GSI)
-      command = new QueryCommand({
+      Command = QueryCommand;
+      params = {
         TableName: 'sitelogix-time-entries',
         IndexName: 'GSI1-EmployeeIndex',
-        KeyConditionExpression: 'employee_id = :employeeId',
-        ExpressionAttributeValues: marshall({
-          ':employeeId': employeeId
-        })
-      });
+        KeyConditionExpression: 'employee_id = :employeeId'
+      };
+      values[':employeeId'] = employeeId;
     } else if (projectId) {
       // Query by project (using GSI)
-      command = new QueryCommand({
+      Command = QueryCommand;
+      params = {
         TableName: 'sitelogix-time-entries',
         IndexName: 'GSI2-ProjectIndex',
-        KeyConditionExpression: 'project_id = :projectId',
-        ExpressionAttributeValues: marshall({
-          ':projectId': projectId
-        })
-      });
+        KeyConditionExpression: 'project_id = :projectId'
+      };
+      values[':projectId'] = projectId;
     } else {
       // Scan all time entries
-      command = new ScanCommand({
-        TableName: 'sitelogix-time-entries',
-        Limit: parseInt(limit)
-      });
+      Command = ScanCommand;
+      params = { TableName: 'sitelogix-time-entries' };
     }
 
-    const result = await dynamoClient.send(command);
-    items = result.Items.map(item => unmarshall(item));
-
-    // Apply date filters
-    if (startDate) {
-      items = items.filter(entry => entry.date >= startDate);
+    if (filters.length > 0) {
+      params.FilterExpression = filters.join(' AND ');
     }
-
-    if (endDate) {
-      items = items.filter(entry => entry.date <= endDate);
+    if (startDate || endDate) {
+      params.ExpressionAttributeNames = { '#date': 'date' };
     }
-
-    // Filter by user permissions
-    if (user.role !== 'admin' && user.role !== 'manager') {
-      // Regular employees only see their own entries
-      items = items.filter(entry => entry.employee_id === user.userId);
+    if (Object.keys(values).length > 0) {
+      params.ExpressionAttributeValues = marshall(values);
     }
 
-    // Sort by date descending
-    items.sort((a, b) => new Date(b.date) - new Date(a.date));
+    const { items, lastKey } = await queryPage(dynamoClient, Command, params, page);
+    const entries = items.map(item => unmarshall(item));
 
-    // Apply pagination
-    const paginatedItems = items.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+    // Sort by date descending
+    entries.sort((a, b) => new Date(b.date) - new Date(a.date));
 
     // Transform to API format
-    const timeEntries = paginatedItems.map(entry => ({
+    const timeEntries = entries.map(entry => ({
       timeEntryId: entry.time_entry_id,
       employeeId: entry.employee_id,
       employeeName: entry.employee_name,
@@ -280,12 +298,7 @@ async function handleListTimeEntries(queryParams, user) {
         success: true,
         timeEntries,
         summary,
-        pagination: {
-          total: items.length,
-          limit: parseInt(limit),
-          offset: parseInt(offset),
-          hasMore: items.length > (parseInt(offset) + parseInt(limit))
-        }
+        pagination: pageInfo(page.limit, lastKey)
       }
     };
   } catch (error) {
@@ -661,7 +674,19 @@ async function handleGetEmployeeHours(employeeId, queryParams, user) {
   }
 }
 
+/**
+ * Register time tracking routes on the API router
+ * All routes need the authenticated user for permission checks
+ */
+function registerRoutes(router) {
+  router.post('/api/time-entries', ({ body, user }) => handleCreateTimeEntry(body, user), { auth: true, schema: schemas.timeEntryCreate, summary: 'Log a time entry' });
+  router.get('/api/time-entries', ({ query, user }) => handleListTimeEntries(query, user), { auth: true, summary: 'List time entries' });
+  router.put('/api/time-entries/:timeEntryId', ({ params, body, user }) => handleUpdateTimeEntry(params.timeEntryId, body, user), { auth: true, schema: schemas.timeEntryUpdate, summary: 'Update a time entry' });
+  router.get('/api/employees/:employeeId/hours', ({ params, query, user }) => handleGetEmployeeHours(params.employeeId, query, user), { auth: true, summary: 'Get employee hours breakdown' });
+}
+
 module.exports = {
+  registerRoutes,
   handleCreateTimeEntry,
   handleListTimeEntries,
   handleUpdateTimeEntry,
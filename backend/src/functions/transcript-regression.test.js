@@ -0,0 +1,128 @@
+/**
+ * Training Set Regression Tests
+ *
+ * Runs transcripts from transcripts/training-txt through processTranscriptAnalytics
+ * and then detectCriticalEvents with every model call replayed from
+ * backend/fixtures/llm, and compares the results with the saved snapshots.
+ * A changed prompt misses its fixture and fails here until it is re-recorded.
+ *
+ * Record (needs API keys; TRAINING_SET limits it to a comma-separated list of files):
+ *   LLM_FIXTURES=record npx jest src/functions/transcript-regression -u
+ *
+ * Only recorded transcripts (training-set.json in the fixtures directory) are
+ * replayed, and the suite fails when there are none. DynamoDB and SES calls
+ * are stubbed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { SESClient } = require('@aws-sdk/client-ses');
+const { unmarshall } = require('@aws-sdk/util-dynamodb');
+
+// The agents expect services/ to be copied next to them at deploy time
+jest.mock('./aiModelRegistry', () => require('../services/aiModelRegistry'), { virtual: true });
+jest.mock('./transcriptChunking', () => require('../services/transcriptChunking'), { virtual: true });
+jest.mock('./transcriptProvenance', () => require('../services/transcriptProvenance'), { virtual: true });
+jest.mock('./confidenceScoringService', () => require('../services/confidenceScoringService'), { virtual: true });
+jest.mock('./reviewQueue', () => require('../services/reviewQueue'), { virtual: true });
+jest.mock('./anomalyDetection', () => require('../services/anomalyDetection'), { virtual: true });
+jest.mock('./extractionConsistency', () => require('../services/extractionConsistency'), { virtual: true });
+
+const TRAINING_DIR = path.resolve(__dirname, '../../../transcripts/training-txt');
+const FIXTURES_DIR = process.env.LLM_FIXTURES_DIR || path.resolve(__dirname, '../../fixtures/llm');
+const MANIFEST = path.join(FIXTURES_DIR, 'training-set.json');
+const MODE = process.env.LLM_FIXTURES === 'record' ? 'record' : 'replay';
+
+process.env.LLM_FIXTURES = MODE;
+process.env.LLM_FIXTURES_DIR = FIXTURES_DIR;
+
+const { AIModelRegistry } = require('../services/aiModelRegistry');
+const { parseTrainingTranscript } = require('../services/extractionEvaluation');
+const { processTranscriptAnalytics } = require('./transcriptAnalysisWrapper');
+const { detectCriticalEvents } = require('./analytics-critical-events');
+
+function recordedTranscripts() {
+  return fs.existsSync(MANIFEST) ? JSON.parse(fs.readFileSync(MANIFEST, 'utf8')) : [];
+}
+
+function transcriptsToRun() {
+  if (MODE === 'replay') {
+    const recorded = recordedTranscripts();
+    if (recorded.length === 0) {
+      throw new Error(`No recorded transcripts in ${MANIFEST}; record them with LLM_FIXTURES=record`);
+    }
+    return recorded;
+  }
+  if (process.env.TRAINING_SET) return process.env.TRAINING_SET.split(',').map(file => file.trim());
+  return fs.readdirSync(TRAINING_DIR).filter(file => file.endsWith('.txt')).sort();
+}
+
+function loadTrainingTranscript(file) {
+  const text = fs.readFileSync(path.join(TRAINING_DIR, file), 'utf8');
+  return { ...parseTrainingTranscript(file, text), projectId: 'training', projectLocation: 'N/A' };
+}
+
+const transcripts = transcriptsToRun();
+
+describe('training set regression', () => {
+  let dynamoWrites;
+
+  beforeAll(() => {
+    AIModelRegistry.resetProviders();
+  });
+
+  beforeEach(() => {
+    dynamoWrites = [];
+    jest.spyOn(DynamoDBClient.prototype, 'send').mockImplementation(async (command) => {
+      dynamoWrites.push(command.input);
+      return {};
+    });
+    jest.spyOn(DynamoDBDocumentClient.prototype, 'send').mockResolvedValue({});
+    jest.spyOn(SESClient.prototype, 'send').mockResolvedValue({ MessageId: 'test' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    if (MODE === 'record' && transcripts.length > 0) {
+      const recorded = new Set([...recordedTranscripts(), ...transcripts]);
+      fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+      fs.writeFileSync(MANIFEST, JSON.stringify([...recorded].sort(), null, 2) + '\n');
+    }
+  });
+
+  it.each(transcripts)('should reproduce the analytics and critical events for %s', async (file) => {
+    const { transcript, ...context } = loadTrainingTranscript(file);
+
+    const analytics = await processTranscriptAnalytics(transcript, context);
+    expect(analytics.error).toBeUndefined();
+
+    const { critical_events } = await detectCriticalEvents({
+      report_id: context.reportId,
+      project_id: context.projectId,
+      project_name: context.projectName,
+      report_date: context.reportDate,
+      manager_name: context.managerName,
+      transcript,
+      extracted_data: analytics.extractedData
+    });
+
+    const reportUpdate = dynamoWrites.find(input => input.UpdateExpression?.includes('total_personnel'));
+    const summary = unmarshall(reportUpdate.ExpressionAttributeValues);
+    expect({
+      extractedData: analytics.extractedData,
+      totals: {
+        personnel: summary[':totalPersonnel'],
+        regularHours: summary[':totalRegularHours'],
+        overtimeHours: summary[':totalOvertimeHours']
+      },
+      criticalEvents: critical_events
+    }).toMatchSnapshot();
+  });
+});
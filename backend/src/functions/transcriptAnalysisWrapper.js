@@ -3,11 +3,20 @@
  * Extracts: personnel, hours/overtime, vendors, deliveries, constraints, delays, injuries
  */
 
-const OpenAI = require('openai');
+const { PromptRegistry } = require('./aiModelRegistry');
+const { runChunkedExtraction } = require('./transcriptChunking');
+const { attachSources } = require('./transcriptProvenance');
+const { getConfidenceScoringService } = require('./confidenceScoringService');
+const { ReviewQueue, EXTRACTION_REVIEW_TYPES, extractionReviewItems } = require('./reviewQueue');
+const { AnomalyDetector } = require('./anomalyDetection');
+const { checkConsistency } = require('./extractionConsistency');
+const { extractionConfidence } = require('./prompt-versions');
 const { DynamoDBClient, UpdateItemCommand } = require('@aws-sdk/client-dynamodb');
 const { marshall } = require('@aws-sdk/util-dynamodb');
 
 const dynamoClient = new DynamoDBClient({});
+const reviewQueue = new ReviewQueue(dynamoClient);
+const anomalyDetector = new AnomalyDetector(dynamoClient);
 
 /**
  * Convert transcript to plain text
@@ -58,100 +67,50 @@ function transcriptToText(transcript) {
 }
 
 /**
- * Build extraction prompt for Claude
+ * What analytics derives from extracted data without calling the model
+ *
+ * Links each item's quotes to the transcript turns they came from, compares
+ * the report with the project's history, then scores each item and checks
+ * the checklist answers against each other.
  */
-function buildExtractionPrompt(rawTranscript, context) {
-  return `You are an AI assistant specialized in extracting structured construction data from daily report conversations.
-
-CONTEXT:
-- Project: ${context.projectName}
-- Location: ${context.projectLocation}
-- Manager: ${context.managerName}
-- Date: ${context.reportDate}
-
-TRANSCRIPT:
-${rawTranscript}
-
-TASK:
-Extract ALL of the following information in JSON format:
-
-1. PERSONNEL:
-For each person mentioned, extract:
-- fullName: Full name (best guess)
-- goByName: Nickname or "go by" name
-- position: Position (Project Manager, Foreman, Journeyman, Apprentice)
-- teamAssignment: Team (Project Manager, Team 1, Team 2, etc.)
-- hoursWorked: Hours worked (number)
-- overtimeHours: Overtime hours (number, default 0)
-- healthStatus: Health status (Healthy, N/A, or specific limitation)
-- activitiesPerformed: Brief description
-- extractedFromText: Exact quote
-
-2. WORK ACTIVITIES (workLogs):
-For each team/group:
-- teamId: Team identifier
-- level: Building level or area
-- personnelAssigned: Array of full names
-- personnelCount: Number of personnel
-- taskDescription: What they worked on
-- hoursWorked: Total team hours
-- overtimeHours: Total team overtime
-- materialsUsed: Array of materials (optional)
-- equipmentUsed: Array of equipment (optional)
-- extractedFromText: Exact quote
-
-3. CONSTRAINTS/ISSUES (constraints):
-For each issue:
-- category: delay, safety, material, weather, labor, coordination, other
-- level: Building level
-- severity: low, medium, high, critical
-- title: Short title (1-5 words)
-- description: Full description
-- status: open, in_progress, resolved
-- extractedFromText: Exact quote
-
-4. VENDORS/DELIVERIES (vendors):
-For each delivery:
-- companyName: Company name
-- vendorType: supplier, subcontractor, rental, other
-- materialsDelivered: Description
-- deliveryTime: Time if mentioned
-- receivedBy: Person who received
-- deliveryNotes: Issues or special notes
-- extractedFromText: Exact quote
-
-5. TIME SUMMARY (timeSummary):
-- totalPersonnelCount: Total unique personnel
-- totalRegularHours: Sum of regular hours
-- totalOvertimeHours: Sum of overtime
-- arrivalTime: Site arrival time
-- departureTime: Site departure time
-
-RULES:
-- Include extractedFromText with direct quotes
-- Use null for missing data
-- Be conservative - only extract clearly stated info
-- Use consistent naming
-- For injuries, include in constraints with category "safety"
-
-Return ONLY valid JSON:
-{
-  "personnel": [...],
-  "workLogs": [...],
-  "constraints": [...],
-  "vendors": [...],
-  "timeSummary": {...}
-}`;
+async function deriveAnalytics(data, transcript, { reportId, projectId, reportDate }) {
+  const { data: linkedData, linked, unmatched } = attachSources(data, transcript);
+  const anomalies = await anomalyDetector.detect(linkedData, { reportId, projectId, reportDate });
+  const { data: extractedData, reviewCount } = getConfidenceScoringService()
+    .scoreExtraction(linkedData, { personnel: anomalies.personnel });
+
+  return {
+    extractedData,
+    linked,
+    unmatched,
+    anomalies,
+    reviewCount,
+    validationWarnings: checkConsistency(extractedData)
+  };
 }
 
 /**
  * Process transcript and extract all analytics data
+ *
+ * The prompt comes from the version PromptRegistry routes the report to;
+ * both versions are stamped on the report and its extracted data.
+ * Personnel, vendors and constraints get `sources` pointing at the transcript
+ * turns their quotes came from and a `confidenceScore` breakdown; those
+ * scoring below the review threshold are queued for review. Crew size,
+ * hours and times far from the project's history are flagged on the report
+ * (`anomaly_flags`) and lower the confidence of the personnel involved.
+ * Checklist answers that contradict each other (headcount against names,
+ * hours against the site window, team against member hours) are stored as
+ * `validation_warnings`.
  */
 async function processTranscriptAnalytics(transcript, context) {
+  let route = null;
   try {
     console.log('📊 Starting full transcript analytics extraction...');
 
-    const { reportId, projectId, projectName, projectLocation, managerName, reportDate } = context;
+    const { reportId, projectId, projectName, projectLocation, managerId, managerName, reportDate } = context;
+    route = PromptRegistry.routeReport({ reportId, projectId, managerId });
+    console.log(`🧪 Using ${route.modelVersion} (${route.promptVersion})${route.rule ? ` via routing rule ${route.rule}` : ''}`);
 
     // Convert transcript to text
     const rawTranscript = transcriptToText(transcript);
@@ -160,60 +119,56 @@ async function processTranscriptAnalytics(transcript, context) {
       throw new Error('Empty transcript');
     }
 
-    // Build prompt
-    const prompt = buildExtractionPrompt(rawTranscript, {
+    // Long transcripts are extracted in chunks of whole speaker turns and merged
+    const buildPrompt = (text, part, total) => PromptRegistry.buildPrompt(route.promptVersion, {
       projectName,
       projectLocation,
       managerName,
-      reportDate
+      reportDate,
+      rawTranscriptText: total > 1
+        ? `[Part ${part} of ${total} of a longer conversation. Extract only what this part states.]\n\n${text}`
+        : text
     });
 
-    // Analyze with OpenAI GPT-4
-    const openaiApiKey = process.env.OPENAI_API_KEY;
-    if (!openaiApiKey) {
-      throw new Error('OPENAI_API_KEY not configured');
-    }
-
-    const openai = new OpenAI({ apiKey: openaiApiKey });
-
-    console.log('🤖 Analyzing transcript with GPT-4...');
-
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an AI assistant specialized in extracting structured construction data from daily report conversations. Always respond with valid JSON only.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0,
-      response_format: { type: 'json_object' }
-    });
-
-    const responseText = completion.choices[0].message.content;
-    if (!responseText) {
-      throw new Error('No response from GPT-4');
-    }
-
-    // Extract JSON from response
-    let jsonText = responseText.trim();
-    if (jsonText.startsWith('```json')) {
-      jsonText = jsonText.replace(/```json\n/, '').replace(/\n```$/, '');
-    } else if (jsonText.startsWith('```')) {
-      jsonText = jsonText.replace(/```\n/, '').replace(/\n```$/, '');
-    }
-
-    const extractedData = JSON.parse(jsonText);
+    // Analyze with the model routed to 'transcript-analytics' (GPT-4o by default);
+    // output that still fails the schema after one repair is kept but flagged
+    const { data, completion, needsReview, errors, attempts, chunks } = await runChunkedExtraction(
+      'transcript-analytics',
+      rawTranscript,
+      buildPrompt,
+      { system: 'You are an AI assistant specialized in extracting structured construction data from daily report conversations. Always respond with valid JSON only.' }
+    );
+
+    const { extractedData, linked, unmatched, anomalies, reviewCount, validationWarnings } =
+      await deriveAnalytics(data, transcript, { reportId, projectId, reportDate });
+    const confidence = extractionConfidence(extractedData);
+
+    extractedData.extraction = {
+      modelVersion: route.modelVersion,
+      promptVersion: route.promptVersion,
+      routingRule: route.rule,
+      provider: completion.provider,
+      model: completion.model,
+      confidence,
+      chunks,
+      attempts,
+      needsReview,
+      validationErrors: errors
+    };
 
     console.log('✅ Transcript analysis complete:');
     console.log(`   - Personnel: ${extractedData.personnel?.length || 0}`);
     console.log(`   - Work Logs: ${extractedData.workLogs?.length || 0}`);
     console.log(`   - Constraints: ${extractedData.constraints?.length || 0}`);
     console.log(`   - Vendors: ${extractedData.vendors?.length || 0}`);
+    console.log(`   - Sources: ${linked} linked${unmatched ? `, ${unmatched} quotes not found in transcript` : ''}`);
+    console.log(`   - Confidence: ${confidence === null ? 'not scored' : `${Math.round(confidence * 100)}%`}`);
+    console.log(`   - Queued for review: ${reviewCount}`);
+    anomalies.flags.forEach(flag => console.warn(`🚩 ${flag.message}`));
+    validationWarnings.forEach(warning => console.warn(`⚠️ ${warning.message}`));
+    if (needsReview) {
+      console.warn(`⚠️ Extraction flagged for review: ${errors.length} validation errors after ${attempts} attempts`);
+    }
 
     // Calculate summary statistics from extracted data
     const totalPersonnel = extractedData.timeSummary?.totalPersonnelCount || 0;
@@ -235,7 +190,14 @@ async function processTranscriptAnalytics(transcript, context) {
             analytics_status = :status,
             total_personnel = :totalPersonnel,
             total_regular_hours = :totalRegularHours,
-            total_overtime_hours = :totalOvertimeHours
+            total_overtime_hours = :totalOvertimeHours,
+            extraction_model_version = :modelVersion,
+            extraction_prompt_version = :promptVersion,
+            extraction_rule = :rule,
+            extraction_confidence = :confidence,
+            needs_review = :needsReview,
+            anomaly_flags = :anomalyFlags,
+            validation_warnings = :validationWarnings
       `,
       ExpressionAttributeValues: marshall({
         ':extractedData': extractedData,
@@ -243,13 +205,26 @@ async function processTranscriptAnalytics(transcript, context) {
         ':status': 'completed',
         ':totalPersonnel': totalPersonnel,
         ':totalRegularHours': totalRegularHours,
-        ':totalOvertimeHours': totalOvertimeHours
+        ':totalOvertimeHours': totalOvertimeHours,
+        ':modelVersion': route.modelVersion,
+        ':promptVersion': route.promptVersion,
+        ':rule': route.rule,
+        ':confidence': confidence,
+        ':needsReview': needsReview,
+        ':anomalyFlags': anomalies.flags,
+        ':validationWarnings': validationWarnings
       })
     });
 
     await dynamoClient.send(updateCommand);
     console.log('✅ Extracted analytics data saved to DynamoDB');
 
+    await reviewQueue.replaceReportItems(
+      { reportId, projectId, projectName, reportDate },
+      EXTRACTION_REVIEW_TYPES,
+      extractionReviewItems(extractedData)
+    );
+
     return {
       success: true,
       extractedData
@@ -257,7 +232,8 @@ async function processTranscriptAnalytics(transcript, context) {
   } catch (error) {
     console.error('❌ Transcript analytics extraction failed:', error);
 
-    // Try to update report status to indicate analytics failed (non-fatal)
+    // Try to update report status to indicate analytics failed (non-fatal);
+    // the version is kept so failures count against the prompt that caused them
     try {
       const updateCommand = new UpdateItemCommand({
         TableName: 'sitelogix-reports',
@@ -267,11 +243,15 @@ async function processTranscriptAnalytics(transcript, context) {
         }),
         UpdateExpression: `
           SET analytics_status = :status,
-              analytics_error = :error
+              analytics_error = :error${route ? `,
+              extraction_model_version = :modelVersion,
+              extraction_prompt_version = :promptVersion,
+              extraction_rule = :rule` : ''}
         `,
         ExpressionAttributeValues: marshall({
           ':status': 'failed',
-          ':error': error.message
+          ':error': error.message,
+          ...(route ? { ':modelVersion': route.modelVersion, ':promptVersion': route.promptVersion, ':rule': route.rule } : {})
         })
       });
 
@@ -287,6 +267,72 @@ async function processTranscriptAnalytics(transcript, context) {
   }
 }
 
+/**
+ * Rebuild the analytics of a report from a manager's corrected revision
+ *
+ * Sources, confidence scores, anomaly flags, validation warnings and the
+ * report's extraction review items are derived again from the corrected data;
+ * the model isn't called and the extraction's version and confidence stats
+ * are left as the model produced them. Nothing is written if the report has
+ * moved on to a newer revision in the meantime.
+ *
+ * @param {Object} correctedData - The report's latest extracted data revision
+ * @param {Object} transcript - ElevenLabs transcript the quotes come from
+ * @param {Object} context - Report fields, plus `revision` (the revision number)
+ */
+async function reanalyzeCorrectedData(correctedData, transcript, context) {
+  try {
+    const { reportId, projectId, projectName, reportDate, revision } = context;
+    console.log(`📊 Rebuilding analytics for report ${reportId} from revision ${revision}...`);
+
+    const { extractedData, anomalies, reviewCount, validationWarnings } =
+      await deriveAnalytics(correctedData, transcript, { reportId, projectId, reportDate });
+
+    try {
+      await dynamoClient.send(new UpdateItemCommand({
+        TableName: 'sitelogix-reports',
+        Key: marshall({
+          PK: `PROJECT#${projectId}`,
+          SK: `REPORT#${reportDate}#${reportId}`
+        }),
+        UpdateExpression: `
+          SET extracted_data = :extractedData,
+              analytics_processed_at = :processedAt,
+              analytics_status = :status,
+              anomaly_flags = :anomalyFlags,
+              validation_warnings = :validationWarnings
+        `,
+        ConditionExpression: 'extracted_data_revision = :revision',
+        ExpressionAttributeValues: marshall({
+          ':extractedData': extractedData,
+          ':processedAt': new Date().toISOString(),
+          ':status': 'completed',
+          ':anomalyFlags': anomalies.flags,
+          ':validationWarnings': validationWarnings,
+          ':revision': revision
+        }, { removeUndefinedValues: true })
+      }));
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') throw error;
+      console.warn(`⚠️ Report ${reportId} is past revision ${revision}; leaving its analytics to the newer revision`);
+      return { success: true, skipped: true, extractedData };
+    }
+
+    await reviewQueue.replaceReportItems(
+      { reportId, projectId, projectName, reportDate },
+      EXTRACTION_REVIEW_TYPES,
+      extractionReviewItems(extractedData)
+    );
+
+    console.log(`✅ Revision ${revision} analytics saved: ${anomalies.flags.length} anomaly flags, ${validationWarnings.length} warnings, ${reviewCount} queued for review`);
+    return { success: true, extractedData };
+  } catch (error) {
+    console.error('❌ Rebuilding analytics from corrected data failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 module.exports = {
-  processTranscriptAnalytics
+  processTranscriptAnalytics,
+  reanalyzeCorrectedData
 };
@@ -0,0 +1,159 @@
+/**
+ * Request Validation
+ * Declarative field schemas checked by the router before a handler runs
+ *
+ * A schema is `{ fields, requireOneOf }`:
+ *   fields: { name: rule }, where a rule supports
+ *     type        'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'any'
+ *     required    reject when missing, null or ''
+ *     enum        allowed values
+ *     format      'date' (YYYY-MM-DD prefix) | 'time' (HH:MM) | 'email'
+ *     min / max   numeric bounds (numbers) or length bounds (strings, arrays)
+ *     fields      nested schema fields for objects
+ *     items       rule applied to every array element
+ *   requireOneOf: [['firstName', 'first_name'], ...] - at least one of each group must be present
+ *
+ * Numbers may arrive as numeric strings from form inputs, so 'number' accepts both.
+ *
+ * @module validation
+ */
+
+const FORMATS = {
+  date: { pattern: /^\d{4}-\d{2}-\d{2}/, message: 'must be a date (YYYY-MM-DD)' },
+  time: { pattern: /^([01]?\d|2[0-3]):[0-5]\d/, message: 'must be a time (HH:MM)' },
+  email: { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'must be a valid email address' }
+};
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function isNumeric(value) {
+  if (typeof value === 'number') return Number.isFinite(value);
+  return typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+}
+
+/**
+ * Check a value's type, returning an error message or null
+ */
+function checkType(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'number':
+      return isNumeric(value) ? null : 'must be a number';
+    case 'integer':
+      return isNumeric(value) && Number.isInteger(Number(value)) ? null : 'must be an integer';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be a boolean';
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    case 'array':
+      return Array.isArray(value) ? null : 'must be an array';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate a single value against a rule, pushing `{ field, message }` errors
+ */
+function validateValue(rule, value, field, errors) {
+  if (isMissing(value)) {
+    if (rule.required) {
+      errors.push({ field, message: `${field} is required` });
+    }
+    return;
+  }
+
+  const typeError = checkType(rule.type || 'any', value);
+  if (typeError) {
+    errors.push({ field, message: `${field} ${typeError}` });
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({ field, message: `${field} must be one of: ${rule.enum.join(', ')}` });
+  }
+
+  if (rule.format && FORMATS[rule.format] && !FORMATS[rule.format].pattern.test(String(value))) {
+    errors.push({ field, message: `${field} ${FORMATS[rule.format].message}` });
+  }
+
+  if (rule.type === 'number' || rule.type === 'integer') {
+    const n = Number(value);
+    if (rule.min !== undefined && n < rule.min) {
+      errors.push({ field, message: `${field} must be at least ${rule.min}` });
+    }
+    if (rule.max !== undefined && n > rule.max) {
+      errors.push({ field, message: `${field} must be at most ${rule.max}` });
+    }
+  } else if (rule.type === 'string' || rule.type === 'array') {
+    const unit = rule.type === 'string' ? 'characters' : 'items';
+    if (rule.min !== undefined && value.length < rule.min) {
+      errors.push({ field, message: `${field} must have at least ${rule.min} ${unit}` });
+    }
+    if (rule.max !== undefined && value.length > rule.max) {
+      errors.push({ field, message: `${field} must have at most ${rule.max} ${unit}` });
+    }
+  }
+
+  if (rule.type === 'object' && rule.fields) {
+    validateFields(rule.fields, value, `${field}.`, errors);
+  }
+
+  if (rule.type === 'array' && rule.items) {
+    value.forEach((item, i) => validateValue(rule.items, item, `${field}[${i}]`, errors));
+  }
+}
+
+function validateFields(fields, data, prefix, errors) {
+  for (const [name, rule] of Object.entries(fields)) {
+    validateValue(rule, data[name], `${prefix}${name}`, errors);
+  }
+}
+
+/**
+ * Validate a request body against a schema
+ *
+ * @param {Object} schema - `{ fields, requireOneOf }`
+ * @param {*} body - Parsed request body
+ * @returns {Array<{field: string, message: string}>} Field-level errors (empty when valid)
+ */
+function validate(schema, body) {
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return [{ field: 'body', message: 'Request body must be a JSON object' }];
+  }
+
+  validateFields(schema.fields || {}, body, '', errors);
+
+  for (const group of schema.requireOneOf || []) {
+    if (group.every(name => isMissing(body[name]))) {
+      errors.push({ field: group[0], message: `${group.join(' or ')} is required` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build the uniform 400 response for validation failures
+ */
+function validationErrorResponse(details) {
+  return {
+    statusCode: 400,
+    body: {
+      success: false,
+      error: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      details
+    }
+  };
+}
+
+module.exports = {
+  validate,
+  validationErrorResponse
+};
@@ -0,0 +1,91 @@
+/**
+ * Validation Tests
+ *
+ * Covers field rules (type, required, enum, format, bounds), nested objects,
+ * array items, requireOneOf groups and the route schemas in schemas.js.
+ */
+
+const { validate, validationErrorResponse } = require('./validation');
+const schemas = require('./schemas');
+
+const fields = (errors) => errors.map(e => e.field);
+
+describe('validate', () => {
+  it('should reject a body that is not an object', () => {
+    expect(fields(validate({ fields: {} }, null))).toEqual(['body']);
+    expect(fields(validate({ fields: {} }, [1, 2]))).toEqual(['body']);
+  });
+
+  it('should report missing required fields and treat empty strings as missing', () => {
+    const schema = { fields: { name: { type: 'string', required: true }, note: { type: 'string' } } };
+
+    expect(validate(schema, { name: 'ok' })).toEqual([]);
+    expect(validate(schema, { name: '' })).toEqual([{ field: 'name', message: 'name is required' }]);
+  });
+
+  it('should accept numeric strings for number fields', () => {
+    const schema = { fields: { hours: { type: 'number', min: 0, max: 24 } } };
+
+    expect(validate(schema, { hours: '8' })).toEqual([]);
+    expect(fields(validate(schema, { hours: 'eight' }))).toEqual(['hours']);
+    expect(validate(schema, { hours: 30 })[0].message).toBe('hours must be at most 24');
+  });
+
+  it('should check enum and format rules', () => {
+    const schema = {
+      fields: {
+        status: { type: 'string', enum: ['active', 'inactive'] },
+        date: { type: 'string', format: 'date' },
+        email: { type: 'string', format: 'email' }
+      }
+    };
+
+    const errors = validate(schema, { status: 'gone', date: '10/19/2026', email: 'nope' });
+    expect(fields(errors)).toEqual(['status', 'date', 'email']);
+  });
+
+  it('should prefix nested object and array item errors with their path', () => {
+    const schema = {
+      fields: {
+        budget: { type: 'object', fields: { total: { type: 'number', min: 0 } } },
+        entries: { type: 'array', items: { type: 'object', fields: { employeeId: { type: 'string', required: true } } } }
+      }
+    };
+
+    const errors = validate(schema, { budget: { total: -1 }, entries: [{ employeeId: 'e1' }, {}] });
+    expect(fields(errors)).toEqual(['budget.total', 'entries[1].employeeId']);
+  });
+
+  it('should require at least one field of each requireOneOf group', () => {
+    expect(validate(schemas.personnelCreate, { first_name: 'Bob', lastName: 'Smith' })).toEqual([]);
+    expect(validate(schemas.personnelCreate, { firstName: 'Bob' })).toEqual([
+      { field: 'lastName', message: 'lastName or last_name is required' }
+    ]);
+  });
+});
+
+describe('schemas', () => {
+  it('should require the fields the time entry handler needs on create but not on update', () => {
+    expect(fields(validate(schemas.timeEntryCreate, {}))).toEqual(['employeeId', 'projectId', 'date', 'hours']);
+    expect(validate(schemas.timeEntryUpdate, { notes: 'rain delay' })).toEqual([]);
+  });
+
+  it('should validate every entry of a bulk payroll request', () => {
+    const entry = { reportId: 'r1', employeeId: 'e1', reportDate: '2026-10-19', regularHours: 8 };
+
+    expect(validate(schemas.payrollEntryBulk, { entries: [entry] })).toEqual([]);
+    expect(fields(validate(schemas.payrollEntryBulk, { entries: [] }))).toEqual(['entries']);
+    expect(fields(validate(schemas.payrollEntryBulk, { entries: [{ ...entry, regularHours: 25 }] })))
+      .toEqual(['entries[0].regularHours']);
+  });
+});
+
+describe('validationErrorResponse', () => {
+  it('should build a 400 with field-level details', () => {
+    const details = [{ field: 'name', message: 'name is required' }];
+    expect(validationErrorResponse(details)).toEqual({
+      statusCode: 400,
+      body: { success: false, error: 'Validation failed', code: 'VALIDATION_ERROR', details }
+    });
+  });
+});
@@ -0,0 +1,398 @@
+/**
+ * Local Cognito User Pool
+ * Stand-in for the Cognito operations used by cognito-auth and cognito-user-management
+ *
+ * Tokens are RS256 JWTs with the same issuer, audience and claims as the real
+ * user pool, signed with a local key. The server hands the public key to
+ * cognito-auth's useSigningKeys at startup so aws-jwt-verify accepts them
+ * without fetching the pool's JWKS. Users, refresh tokens and the signing key
+ * are kept in `<dataDir>/cognito.json` so sessions survive a restart.
+ *
+ * @module local/cognito
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const USER_POOL_ID = 'us-east-1_tPkj4vb3A';
+const CLIENT_ID = '7rsb6cnpp86cdgtv3h9j6c8t75';
+const ISSUER = `https://cognito-idp.us-east-1.amazonaws.com/${USER_POOL_ID}`;
+const TOKEN_TTL_SECONDS = 3600;
+const KEY_ID = 'local-1';
+
+class CognitoError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.type = type;
+  }
+}
+
+function base64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function attributeList(attributes) {
+  return Object.entries(attributes).map(([Name, Value]) => ({ Name, Value }));
+}
+
+class LocalCognito {
+  /**
+   * @param {string} file - Path to the persisted pool state
+   */
+  constructor(file) {
+    this.file = file;
+    this.users = new Map();
+    this.refreshTokens = new Map();
+
+    if (fs.existsSync(file)) {
+      const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+      this.privateKey = crypto.createPrivateKey(state.privateKey);
+      for (const user of state.users) {
+        this.users.set(user.username, { ...user, groups: new Set(user.groups) });
+      }
+      this.refreshTokens = new Map(Object.entries(state.refreshTokens || {}));
+    } else {
+      this.privateKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    }
+  }
+
+  /**
+   * JWKS for the local signing key, in the shape Cognito publishes
+   */
+  get jwks() {
+    const jwk = crypto.createPublicKey(this.privateKey).export({ format: 'jwk' });
+    return { keys: [{ ...jwk, kid: KEY_ID, alg: 'RS256', use: 'sig' }] };
+  }
+
+  save() {
+    const state = {
+      privateKey: this.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      users: [...this.users.values()].map(user => ({ ...user, groups: [...user.groups] })),
+      refreshTokens: Object.fromEntries(this.refreshTokens)
+    };
+    fs.writeFileSync(this.file, JSON.stringify(state, null, 2));
+  }
+
+  /**
+   * Add users that do not exist yet
+   *
+   * @param {Object[]} users - { username, password, attributes, groups }
+   */
+  seedUsers(users) {
+    for (const user of users) {
+      if (this.users.has(user.username)) continue;
+      this.users.set(user.username, this.newUser(user.username, user.attributes, user.password, 'CONFIRMED', user.groups));
+    }
+    this.save();
+  }
+
+  newUser(username, attributes, password, status, groups = []) {
+    const now = nowSeconds();
+    const sub = attributes.sub || crypto.randomUUID();
+    return {
+      username,
+      password: password || null,
+      attributes: { ...attributes, sub },
+      groups: new Set(groups),
+      enabled: true,
+      status,
+      createdAt: now,
+      modifiedAt: now,
+      signedOutAt: 0
+    };
+  }
+
+  /**
+   * Find a user by username, email or preferred_username (Cognito username aliases)
+   */
+  findUser(name) {
+    if (this.users.has(name)) return this.users.get(name);
+    const lower = String(name || '').toLowerCase();
+    for (const user of this.users.values()) {
+      if (user.attributes.sub === name
+        || user.attributes.email?.toLowerCase() === lower
+        || user.attributes.preferred_username?.toLowerCase() === lower) {
+        return user;
+      }
+    }
+    return null;
+  }
+
+  requireUser(name) {
+    const user = this.findUser(name);
+    if (!user) throw new CognitoError('UserNotFoundException', 'User does not exist.');
+    return user;
+  }
+
+  sign(payload) {
+    const header = { kid: KEY_ID, alg: 'RS256' };
+    const data = `${base64url(header)}.${base64url(payload)}`;
+    const signature = crypto.sign('sha256', Buffer.from(data), this.privateKey).toString('base64url');
+    return `${data}.${signature}`;
+  }
+
+  /**
+   * Verify a locally issued access token and return its user
+   */
+  userForAccessToken(token) {
+    const [header, payload, signature] = String(token || '').split('.');
+    const valid = signature && crypto.verify(
+      'sha256',
+      Buffer.from(`${header}.${payload}`),
+      crypto.createPublicKey(this.privateKey),
+      Buffer.from(signature, 'base64url')
+    );
+    if (!valid) throw new CognitoError('NotAuthorizedException', 'Invalid Access Token');
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (claims.token_use !== 'access' || claims.exp < nowSeconds()) {
+      throw new CognitoError('NotAuthorizedException', 'Access Token has expired');
+    }
+
+    const user = this.findUser(claims.username);
+    if (!user || claims.iat < user.signedOutAt) {
+      throw new CognitoError('NotAuthorizedException', 'Access Token has been revoked');
+    }
+    return user;
+  }
+
+  issueTokens(user, refreshToken) {
+    const iat = nowSeconds();
+    const exp = iat + TOKEN_TTL_SECONDS;
+    const groups = [...user.groups];
+    const common = {
+      sub: user.attributes.sub,
+      iss: ISSUER,
+      iat,
+      exp,
+      auth_time: iat,
+      ...(groups.length > 0 && { 'cognito:groups': groups })
+    };
+
+    const accessToken = this.sign({
+      ...common,
+      token_use: 'access',
+      client_id: CLIENT_ID,
+      scope: 'aws.cognito.signin.user.admin',
+      jti: crypto.randomUUID(),
+      username: user.username
+    });
+
+    const { sub, ...attributes } = user.attributes;
+    const idToken = this.sign({
+      ...attributes,
+      ...common,
+      token_use: 'id',
+      aud: CLIENT_ID,
+      email_verified: user.attributes.email_verified === 'true',
+      'cognito:username': user.username
+    });
+
+    const result = {
+      AccessToken: accessToken,
+      IdToken: idToken,
+      ExpiresIn: TOKEN_TTL_SECONDS,
+      TokenType: 'Bearer'
+    };
+
+    if (!refreshToken) {
+      result.RefreshToken = crypto.randomBytes(48).toString('base64url');
+      this.refreshTokens.set(result.RefreshToken, user.username);
+      this.save();
+    }
+
+    return result;
+  }
+
+  /**
+   * Handle a Cognito JSON 1.1 operation
+   */
+  handle(operation, input) {
+    const method = this[`op${operation}`];
+    if (!method) {
+      throw new CognitoError('InvalidParameterException', `${operation} is not supported locally`);
+    }
+    return method.call(this, input);
+  }
+
+  opInitiateAuth({ AuthFlow, AuthParameters = {} }) {
+    if (AuthFlow === 'REFRESH_TOKEN_AUTH' || AuthFlow === 'REFRESH_TOKEN') {
+      const username = this.refreshTokens.get(AuthParameters.REFRESH_TOKEN);
+      const user = username && this.findUser(username);
+      if (!user || !user.enabled) throw new CognitoError('NotAuthorizedException', 'Invalid Refresh Token');
+      return { ChallengeParameters: {}, AuthenticationResult: this.issueTokens(user, AuthParameters.REFRESH_TOKEN) };
+    }
+
+    if (AuthFlow !== 'USER_PASSWORD_AUTH') {
+      throw new CognitoError('InvalidParameterException', `${AuthFlow} is not supported locally`);
+    }
+
+    const user = this.findUser(AuthParameters.USERNAME);
+    if (!user || user.password !== AuthParameters.PASSWORD) {
+      throw new CognitoError('NotAuthorizedException', 'Incorrect username or password.');
+    }
+    if (!user.enabled) throw new CognitoError('NotAuthorizedException', 'User is disabled.');
+    if (user.status === 'RESET_REQUIRED') {
+      throw new CognitoError('PasswordResetRequiredException', 'Password reset required for the user');
+    }
+    if (user.status === 'FORCE_CHANGE_PASSWORD') {
+      return {
+        ChallengeName: 'NEW_PASSWORD_REQUIRED',
+        Session: crypto.randomBytes(32).toString('base64url'),
+        ChallengeParameters: { USER_ID_FOR_SRP: user.username }
+      };
+    }
+
+    return { ChallengeParameters: {}, AuthenticationResult: this.issueTokens(user) };
+  }
+
+  opGetUser({ AccessToken }) {
+    const user = this.userForAccessToken(AccessToken);
+    return { Username: user.username, UserAttributes: attributeList(user.attributes) };
+  }
+
+  opGlobalSignOut({ AccessToken }) {
+    const user = this.userForAccessToken(AccessToken);
+    user.signedOutAt = nowSeconds() + 1;
+    for (const [token, username] of this.refreshTokens) {
+      if (username === user.username) this.refreshTokens.delete(token);
+    }
+    this.save();
+    return {};
+  }
+
+  opChangePassword({ AccessToken, PreviousPassword, ProposedPassword }) {
+    const user = this.userForAccessToken(AccessToken);
+    if (user.password !== PreviousPassword) {
+      throw new CognitoError('NotAuthorizedException', 'Incorrect username or password.');
+    }
+    user.password = ProposedPassword;
+    user.modifiedAt = nowSeconds();
+    this.save();
+    return {};
+  }
+
+  opAdminCreateUser({ Username, UserAttributes = [], TemporaryPassword }) {
+    if (this.findUser(Username)) {
+      throw new CognitoError('UsernameExistsException', 'An account with the given email already exists.');
+    }
+    const attributes = Object.fromEntries(UserAttributes.map(a => [a.Name, a.Value]));
+    const password = TemporaryPassword || crypto.randomBytes(9).toString('base64url');
+    const user = this.newUser(Username, attributes, password, 'FORCE_CHANGE_PASSWORD');
+    this.users.set(Username, user);
+    this.save();
+    return { User: this.describeUser(user, 'Attributes') };
+  }
+
+  opAdminSetUserPassword({ Username, Password, Permanent }) {
+    const user = this.requireUser(Username);
+    user.password = Password;
+    user.status = Permanent ? 'CONFIRMED' : 'FORCE_CHANGE_PASSWORD';
+    user.modifiedAt = nowSeconds();
+    this.save();
+    return {};
+  }
+
+  opAdminResetUserPassword({ Username }) {
+    const user = this.requireUser(Username);
+    user.status = 'RESET_REQUIRED';
+    user.modifiedAt = nowSeconds();
+    this.save();
+    return {};
+  }
+
+  opAdminUpdateUserAttributes({ Username, UserAttributes = [] }) {
+    const user = this.requireUser(Username);
+    for (const { Name, Value } of UserAttributes) {
+      if (Name !== 'sub') user.attributes[Name] = Value;
+    }
+    user.modifiedAt = nowSeconds();
+    this.save();
+    return {};
+  }
+
+  opAdminGetUser({ Username }) {
+    return this.describeUser(this.requireUser(Username), 'UserAttributes');
+  }
+
+  opAdminListGroupsForUser({ Username }) {
+    const user = this.requireUser(Username);
+    return { Groups: [...user.groups].map(GroupName => ({ GroupName, UserPoolId: USER_POOL_ID })) };
+  }
+
+  opAdminAddUserToGroup({ Username, GroupName }) {
+    this.requireUser(Username).groups.add(GroupName);
+    this.save();
+    return {};
+  }
+
+  opAdminRemoveUserFromGroup({ Username, GroupName }) {
+    this.requireUser(Username).groups.delete(GroupName);
+    this.save();
+    return {};
+  }
+
+  opAdminEnableUser({ Username }) {
+    this.requireUser(Username).enabled = true;
+    this.save();
+    return {};
+  }
+
+  opAdminDisableUser({ Username }) {
+    this.requireUser(Username).enabled = false;
+    this.save();
+    return {};
+  }
+
+  opAdminDeleteUser({ Username }) {
+    const user = this.requireUser(Username);
+    this.users.delete(user.username);
+    this.save();
+    return {};
+  }
+
+  opListUsers({ Limit = 60, PaginationToken, Filter }) {
+    let users = [...this.users.values()].sort((a, b) => a.username.localeCompare(b.username));
+
+    // Filter syntax: attribute = "value" (exact) or attribute ^= "value" (prefix)
+    const match = Filter && Filter.match(/^\s*([\w:]+)\s*(\^?=)\s*"(.*)"\s*$/);
+    if (match) {
+      const [, name, operator, value] = match;
+      users = users.filter(user => {
+        const actual = name === 'username' ? user.username : (user.attributes[name] || '');
+        return operator === '=' ? actual === value : actual.startsWith(value);
+      });
+    }
+
+    const start = PaginationToken ? Number(Buffer.from(PaginationToken, 'base64url').toString('utf8')) : 0;
+    const page = users.slice(start, start + Limit);
+    const next = start + Limit < users.length
+      ? Buffer.from(String(start + Limit)).toString('base64url')
+      : undefined;
+
+    return {
+      Users: page.map(user => this.describeUser(user, 'Attributes')),
+      ...(next && { PaginationToken: next })
+    };
+  }
+
+  describeUser(user, attributesField) {
+    return {
+      Username: user.username,
+      [attributesField]: attributeList(user.attributes),
+      UserCreateDate: user.createdAt,
+      UserLastModifiedDate: user.modifiedAt,
+      Enabled: user.enabled,
+      UserStatus: user.status
+    };
+  }
+}
+
+module.exports = {
+  LocalCognito,
+  CognitoError
+};
@@ -0,0 +1,120 @@
+/**
+ * Local Cognito Tests
+ *
+ * Checks that locally issued tokens pass the same aws-jwt-verify checks
+ * cognito-auth applies to real user pool tokens, and the sign-in flows the
+ * API depends on.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CognitoJwtVerifier } = require('aws-jwt-verify');
+const { LocalCognito } = require('./cognito');
+
+const USER = {
+  username: 'david.chen@sitelogix.com',
+  password: 'local-password',
+  groups: ['admin'],
+  attributes: {
+    sub: 'user-003-uuid',
+    email: 'david.chen@sitelogix.com',
+    email_verified: 'true',
+    preferred_username: 'dchen',
+    'custom:role': 'admin'
+  }
+};
+
+describe('LocalCognito', () => {
+  let dir;
+  let cognito;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-cognito-'));
+    cognito = new LocalCognito(path.join(dir, 'cognito.json'));
+    cognito.seedUsers([USER]);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function login(username = 'dchen', password = USER.password) {
+    return cognito.handle('InitiateAuth', {
+      AuthFlow: 'USER_PASSWORD_AUTH',
+      AuthParameters: { USERNAME: username, PASSWORD: password }
+    }).AuthenticationResult;
+  }
+
+  it('should issue tokens that aws-jwt-verify accepts for the user pool', async () => {
+    const tokens = login();
+    const verifier = (tokenUse) => {
+      const v = CognitoJwtVerifier.create({ userPoolId: 'us-east-1_tPkj4vb3A', tokenUse, clientId: '7rsb6cnpp86cdgtv3h9j6c8t75' });
+      v.cacheJwks(cognito.jwks);
+      return v;
+    };
+
+    const id = await verifier('id').verify(tokens.IdToken);
+    const access = await verifier('access').verify(tokens.AccessToken);
+
+    expect(id['custom:role']).toBe('admin');
+    expect(id['cognito:username']).toBe(USER.username);
+    expect(access['cognito:groups']).toEqual(['admin']);
+  });
+
+  it('should reject a wrong password', () => {
+    expect(() => login('dchen', 'nope')).toThrow(expect.objectContaining({ type: 'NotAuthorizedException' }));
+  });
+
+  it('should return user attributes for an access token until sign-out', () => {
+    const { AccessToken } = login();
+
+    const user = cognito.handle('GetUser', { AccessToken });
+    expect(user.UserAttributes).toContainEqual({ Name: 'email', Value: USER.attributes.email });
+
+    cognito.handle('GlobalSignOut', { AccessToken });
+    expect(() => cognito.handle('GetUser', { AccessToken }))
+      .toThrow(expect.objectContaining({ type: 'NotAuthorizedException' }));
+  });
+
+  it('should refresh tokens without issuing a new refresh token', () => {
+    const { RefreshToken } = login();
+
+    const refreshed = cognito.handle('InitiateAuth', {
+      AuthFlow: 'REFRESH_TOKEN_AUTH',
+      AuthParameters: { REFRESH_TOKEN: RefreshToken }
+    }).AuthenticationResult;
+
+    expect(refreshed.AccessToken).toBeDefined();
+    expect(refreshed.RefreshToken).toBeUndefined();
+  });
+
+  it('should require a new password for admin-created users until it is set', () => {
+    cognito.handle('AdminCreateUser', {
+      Username: 'new.hire@sitelogix.com',
+      UserAttributes: [{ Name: 'email', Value: 'new.hire@sitelogix.com' }],
+      TemporaryPassword: 'temporary'
+    });
+
+    const challenge = cognito.handle('InitiateAuth', {
+      AuthFlow: 'USER_PASSWORD_AUTH',
+      AuthParameters: { USERNAME: 'new.hire@sitelogix.com', PASSWORD: 'temporary' }
+    });
+    expect(challenge.ChallengeName).toBe('NEW_PASSWORD_REQUIRED');
+
+    cognito.handle('AdminSetUserPassword', { Username: 'new.hire@sitelogix.com', Password: 'permanent', Permanent: true });
+    expect(login('new.hire@sitelogix.com', 'permanent').AccessToken).toBeDefined();
+  });
+
+  it('should keep users and the signing key across restarts', () => {
+    const { RefreshToken } = login();
+    const restarted = new LocalCognito(path.join(dir, 'cognito.json'));
+
+    expect(restarted.jwks).toEqual(cognito.jwks);
+    expect(restarted.findUser('dchen').attributes.sub).toBe('user-003-uuid');
+    expect(restarted.handle('InitiateAuth', {
+      AuthFlow: 'REFRESH_TOKEN_AUTH',
+      AuthParameters: { REFRESH_TOKEN: RefreshToken }
+    }).AuthenticationResult.AccessToken).toBeDefined();
+  });
+});
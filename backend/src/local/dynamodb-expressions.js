@@ -0,0 +1,746 @@
+/**
+ * DynamoDB Expressions
+ * Parser and evaluator for condition, key condition, filter, update and
+ * projection expressions, used by the local DynamoDB stand-in
+ *
+ * Items and values stay in wire format (`{ S: 'x' }`, `{ N: '1' }`, ...), the
+ * same shape the SDK sends, so nothing is lost converting numbers or sets.
+ *
+ * @module local/dynamodb-expressions
+ */
+
+class ValidationException extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationException';
+  }
+}
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+const TOKEN_PATTERN = /\s*(?:(#[A-Za-z0-9_]+)|(:[A-Za-z0-9_]+)|([A-Za-z_][A-Za-z0-9_]*)|(\d+)|(<>|<=|>=|[=<>()[\],.+-]))/y;
+
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    if (/^\s*$/.test(expression.slice(TOKEN_PATTERN.lastIndex))) break;
+
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      throw new ValidationException(`Invalid expression: unexpected character at position ${start} in "${expression}"`);
+    }
+
+    if (match[1]) tokens.push({ type: 'name', value: match[1] });
+    else if (match[2]) tokens.push({ type: 'value', value: match[2] });
+    else if (match[3]) tokens.push({ type: 'word', value: match[3] });
+    else if (match[4]) tokens.push({ type: 'number', value: Number(match[4]) });
+    else tokens.push({ type: 'op', value: match[5] });
+  }
+
+  return tokens;
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+const CONDITION_FUNCTIONS = ['attribute_exists', 'attribute_not_exists', 'attribute_type', 'begins_with', 'contains'];
+const COMPARATORS = ['=', '<>', '<', '<=', '>', '>='];
+
+class Parser {
+  constructor(expression) {
+    this.expression = expression;
+    this.tokens = tokenize(expression);
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  isWord(word, offset = 0) {
+    const token = this.peek(offset);
+    return !!token && token.type === 'word' && token.value.toUpperCase() === word;
+  }
+
+  isOp(op, offset = 0) {
+    const token = this.peek(offset);
+    return !!token && token.type === 'op' && token.value === op;
+  }
+
+  expectOp(op) {
+    if (!this.isOp(op)) this.fail(`expected "${op}"`);
+    this.next();
+  }
+
+  expectWord(word) {
+    if (!this.isWord(word)) this.fail(`expected ${word}`);
+    this.next();
+  }
+
+  done() {
+    return this.pos >= this.tokens.length;
+  }
+
+  fail(message) {
+    const token = this.peek();
+    const near = token ? `near "${token.value}"` : 'at end of expression';
+    throw new ValidationException(`Invalid expression: ${message} ${near} in "${this.expression}"`);
+  }
+
+  // path := element ( '.' element | '[' number ']' )*
+  parsePath() {
+    const token = this.next();
+    if (!token || (token.type !== 'name' && token.type !== 'word')) {
+      this.pos--;
+      this.fail('expected an attribute name');
+    }
+
+    const path = [{ name: token.value }];
+    while (this.isOp('.') || this.isOp('[')) {
+      if (this.next().value === '.') {
+        const part = this.next();
+        if (!part || (part.type !== 'name' && part.type !== 'word')) this.fail('expected an attribute name');
+        path.push({ name: part.value });
+      } else {
+        const index = this.next();
+        if (!index || index.type !== 'number') this.fail('expected a list index');
+        this.expectOp(']');
+        path.push({ index: index.value });
+      }
+    }
+    return path;
+  }
+
+  // operand := ':value' | size(path) | path
+  parseOperand() {
+    const token = this.peek();
+    if (!token) this.fail('expected an operand');
+
+    if (token.type === 'value') {
+      this.next();
+      return { type: 'value', name: token.value };
+    }
+    if (token.type === 'word' && token.value === 'size' && this.isOp('(', 1)) {
+      this.next();
+      this.next();
+      const path = this.parsePath();
+      this.expectOp(')');
+      return { type: 'size', path };
+    }
+    return { type: 'path', path: this.parsePath() };
+  }
+
+  parseCondition() {
+    const condition = this.parseOr();
+    if (!this.done()) this.fail('unexpected token');
+    return condition;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isWord('OR')) {
+      this.next();
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isWord('AND')) {
+      this.next();
+      left = { type: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.isWord('NOT')) {
+      this.next();
+      return { type: 'not', condition: this.parseNot() };
+    }
+    return this.parsePredicate();
+  }
+
+  parsePredicate() {
+    if (this.isOp('(')) {
+      this.next();
+      const condition = this.parseOr();
+      this.expectOp(')');
+      return condition;
+    }
+
+    const token = this.peek();
+    if (token && token.type === 'word' && CONDITION_FUNCTIONS.includes(token.value) && this.isOp('(', 1)) {
+      this.next();
+      this.next();
+      const args = [this.parseOperand()];
+      while (this.isOp(',')) {
+        this.next();
+        args.push(this.parseOperand());
+      }
+      this.expectOp(')');
+      return { type: 'function', name: token.value, args };
+    }
+
+    const left = this.parseOperand();
+
+    if (this.isWord('BETWEEN')) {
+      this.next();
+      const low = this.parseOperand();
+      this.expectWord('AND');
+      return { type: 'between', operand: left, low, high: this.parseOperand() };
+    }
+
+    if (this.isWord('IN')) {
+      this.next();
+      this.expectOp('(');
+      const list = [this.parseOperand()];
+      while (this.isOp(',')) {
+        this.next();
+        list.push(this.parseOperand());
+      }
+      this.expectOp(')');
+      return { type: 'in', operand: left, list };
+    }
+
+    const op = this.peek();
+    if (!op || op.type !== 'op' || !COMPARATORS.includes(op.value)) this.fail('expected a comparator');
+    this.next();
+    return { type: 'compare', op: op.value, left, right: this.parseOperand() };
+  }
+
+  // set-operand := if_not_exists(path, set-operand) | list_append(set-operand, set-operand) | operand
+  parseSetOperand() {
+    const token = this.peek();
+    if (token && token.type === 'word' && this.isOp('(', 1)) {
+      if (token.value === 'if_not_exists') {
+        this.next();
+        this.next();
+        const path = this.parsePath();
+        this.expectOp(',');
+        const fallback = this.parseSetOperand();
+        this.expectOp(')');
+        return { type: 'if_not_exists', path, fallback };
+      }
+      if (token.value === 'list_append') {
+        this.next();
+        this.next();
+        const first = this.parseSetOperand();
+        this.expectOp(',');
+        const second = this.parseSetOperand();
+        this.expectOp(')');
+        return { type: 'list_append', first, second };
+      }
+    }
+    return this.parseOperand();
+  }
+
+  parseSetValue() {
+    const left = this.parseSetOperand();
+    if (this.isOp('+') || this.isOp('-')) {
+      const op = this.next().value;
+      return { type: 'arithmetic', op, left, right: this.parseSetOperand() };
+    }
+    return left;
+  }
+
+  parseUpdate() {
+    const update = { set: [], remove: [], add: [], delete: [] };
+    const seen = new Set();
+
+    while (!this.done()) {
+      const clause = this.next();
+      const keyword = clause.type === 'word' ? clause.value.toUpperCase() : null;
+      if (!['SET', 'REMOVE', 'ADD', 'DELETE'].includes(keyword)) {
+        this.pos--;
+        this.fail('expected SET, REMOVE, ADD or DELETE');
+      }
+      if (seen.has(keyword)) this.fail(`the ${keyword} section can only be used once`);
+      seen.add(keyword);
+
+      do {
+        if (update[keyword.toLowerCase()].length > 0) this.next(); // the comma
+        const path = this.parsePath();
+        if (keyword === 'SET') {
+          this.expectOp('=');
+          update.set.push({ path, value: this.parseSetValue() });
+        } else if (keyword === 'REMOVE') {
+          update.remove.push({ path });
+        } else {
+          update[keyword.toLowerCase()].push({ path, value: this.parseOperand() });
+        }
+      } while (this.isOp(','));
+    }
+
+    return update;
+  }
+
+  parseProjection() {
+    const paths = [this.parsePath()];
+    while (this.isOp(',')) {
+      this.next();
+      paths.push(this.parsePath());
+    }
+    if (!this.done()) this.fail('unexpected token');
+    return paths;
+  }
+}
+
+const cache = new Map();
+
+function cached(kind, expression, parse) {
+  const key = `${kind}\u0000${expression}`;
+  if (!cache.has(key)) cache.set(key, parse(new Parser(expression)));
+  return cache.get(key);
+}
+
+function parseCondition(expression) {
+  return cached('condition', expression, parser => parser.parseCondition());
+}
+
+function parseUpdate(expression) {
+  return cached('update', expression, parser => parser.parseUpdate());
+}
+
+function parseProjection(expression) {
+  return cached('projection', expression, parser => parser.parseProjection());
+}
+
+// ============================================================================
+// VALUES
+// ============================================================================
+
+function typeOf(value) {
+  return value ? Object.keys(value)[0] : undefined;
+}
+
+/**
+ * Order two scalar values of the same type, or return null when they can't be ordered
+ */
+function compareValues(a, b) {
+  const type = typeOf(a);
+  if (!type || type !== typeOf(b)) return null;
+
+  if (type === 'N') return Number(a.N) - Number(b.N);
+  if (type === 'S') return a.S < b.S ? -1 : (a.S > b.S ? 1 : 0);
+  if (type === 'B') return Buffer.compare(Buffer.from(a.B, 'base64'), Buffer.from(b.B, 'base64'));
+  return null;
+}
+
+function valuesEqual(a, b) {
+  const type = typeOf(a);
+  if (!type || type !== typeOf(b)) return false;
+
+  switch (type) {
+    case 'S':
+    case 'B':
+    case 'BOOL':
+    case 'NULL':
+      return a[type] === b[type];
+    case 'N':
+      return Number(a.N) === Number(b.N);
+    case 'SS':
+    case 'BS':
+      return a[type].length === b[type].length && a[type].every(v => b[type].includes(v));
+    case 'NS':
+      return a.NS.length === b.NS.length && a.NS.every(v => b.NS.some(w => Number(w) === Number(v)));
+    case 'L':
+      return a.L.length === b.L.length && a.L.every((v, i) => valuesEqual(v, b.L[i]));
+    case 'M': {
+      const keys = Object.keys(a.M);
+      return keys.length === Object.keys(b.M).length && keys.every(k => valuesEqual(a.M[k], b.M[k]));
+    }
+    default:
+      return false;
+  }
+}
+
+function formatNumber(n) {
+  return String(Number(n.toPrecision(15)));
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Resolve `#name` placeholders in a parsed path
+ */
+function resolvePath(path, context) {
+  return path.map(element => {
+    if (element.name === undefined || !element.name.startsWith('#')) return element;
+
+    const name = (context.names || {})[element.name];
+    if (name === undefined) {
+      throw new ValidationException(`An expression attribute name used in the document path is not defined; attribute name: ${element.name}`);
+    }
+    context.usedNames?.add(element.name);
+    return { name };
+  });
+}
+
+function getValue(item, path) {
+  let current = { M: item };
+  for (const element of path) {
+    if (element.name !== undefined) {
+      if (!current || !current.M) return undefined;
+      current = current.M[element.name];
+    } else {
+      if (!current || !current.L) return undefined;
+      current = current.L[element.index];
+    }
+  }
+  return current;
+}
+
+function placeholderValue(name, context) {
+  const value = (context.values || {})[name];
+  if (value === undefined) {
+    throw new ValidationException(`An expression attribute value used in expression is not defined; attribute value: ${name}`);
+  }
+  context.usedValues?.add(name);
+  return value;
+}
+
+function sizeOf(value) {
+  switch (typeOf(value)) {
+    case 'S':
+      return Buffer.byteLength(value.S, 'utf8');
+    case 'B':
+      return Buffer.from(value.B, 'base64').length;
+    case 'SS':
+    case 'NS':
+    case 'BS':
+    case 'L':
+      return value[typeOf(value)].length;
+    case 'M':
+      return Object.keys(value.M).length;
+    default:
+      return undefined;
+  }
+}
+
+function evaluateOperand(operand, item, context) {
+  switch (operand.type) {
+    case 'value':
+      return placeholderValue(operand.name, context);
+    case 'path':
+      return getValue(item, resolvePath(operand.path, context));
+    case 'size': {
+      const size = sizeOf(getValue(item, resolvePath(operand.path, context)));
+      return size === undefined ? undefined : { N: String(size) };
+    }
+    default:
+      throw new ValidationException(`Unsupported operand: ${operand.type}`);
+  }
+}
+
+function compare(op, a, b) {
+  if (a === undefined || b === undefined) return false;
+  if (op === '=') return valuesEqual(a, b);
+  if (op === '<>') return !valuesEqual(a, b);
+
+  const order = compareValues(a, b);
+  if (order === null) return false;
+  switch (op) {
+    case '<': return order < 0;
+    case '<=': return order <= 0;
+    case '>': return order > 0;
+    case '>=': return order >= 0;
+    default: return false;
+  }
+}
+
+function evaluateFunction(node, item, context) {
+  const [first, second] = node.args;
+  const target = evaluateOperand(first, item, context);
+
+  switch (node.name) {
+    case 'attribute_exists':
+      return target !== undefined;
+    case 'attribute_not_exists':
+      return target === undefined;
+    case 'attribute_type':
+      return target !== undefined && typeOf(target) === evaluateOperand(second, item, context)?.S;
+    case 'begins_with': {
+      const prefix = evaluateOperand(second, item, context);
+      if (typeOf(target) === 'S' && typeOf(prefix) === 'S') return target.S.startsWith(prefix.S);
+      if (typeOf(target) === 'B' && typeOf(prefix) === 'B') {
+        return Buffer.from(target.B, 'base64').subarray(0, Buffer.from(prefix.B, 'base64').length)
+          .equals(Buffer.from(prefix.B, 'base64'));
+      }
+      return false;
+    }
+    case 'contains': {
+      const needle = evaluateOperand(second, item, context);
+      const type = typeOf(target);
+      if (!needle) return false;
+      if (type === 'S' && typeOf(needle) === 'S') return target.S.includes(needle.S);
+      if (type === 'SS' && typeOf(needle) === 'S') return target.SS.includes(needle.S);
+      if (type === 'NS' && typeOf(needle) === 'N') return target.NS.some(n => Number(n) === Number(needle.N));
+      if (type === 'BS' && typeOf(needle) === 'B') return target.BS.includes(needle.B);
+      if (type === 'L') return target.L.some(element => valuesEqual(element, needle));
+      return false;
+    }
+    default:
+      throw new ValidationException(`Invalid function name: ${node.name}`);
+  }
+}
+
+/**
+ * Evaluate a parsed condition against an item (a map of attribute values)
+ *
+ * @param {Object} condition - From parseCondition
+ * @param {Object} item - Wire-format item, or {} when it doesn't exist
+ * @param {Object} context - { names, values } from ExpressionAttributeNames / Values
+ */
+function evaluateCondition(condition, item, context) {
+  switch (condition.type) {
+    case 'or':
+      return evaluateCondition(condition.left, item, context) || evaluateCondition(condition.right, item, context);
+    case 'and':
+      return evaluateCondition(condition.left, item, context) && evaluateCondition(condition.right, item, context);
+    case 'not':
+      return !evaluateCondition(condition.condition, item, context);
+    case 'compare':
+      return compare(condition.op, evaluateOperand(condition.left, item, context), evaluateOperand(condition.right, item, context));
+    case 'between': {
+      const value = evaluateOperand(condition.operand, item, context);
+      return compare('>=', value, evaluateOperand(condition.low, item, context))
+        && compare('<=', value, evaluateOperand(condition.high, item, context));
+    }
+    case 'in': {
+      const value = evaluateOperand(condition.operand, item, context);
+      return condition.list.some(candidate => compare('=', value, evaluateOperand(candidate, item, context)));
+    }
+    case 'function':
+      return evaluateFunction(condition, item, context);
+    default:
+      throw new ValidationException(`Unsupported condition: ${condition.type}`);
+  }
+}
+
+// ============================================================================
+// UPDATES
+// ============================================================================
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function evaluateSetValue(node, item, context) {
+  switch (node.type) {
+    case 'if_not_exists': {
+      const existing = getValue(item, resolvePath(node.path, context));
+      return existing !== undefined ? existing : evaluateSetValue(node.fallback, item, context);
+    }
+    case 'list_append': {
+      const first = evaluateSetValue(node.first, item, context);
+      const second = evaluateSetValue(node.second, item, context);
+      if (typeOf(first) !== 'L' || typeOf(second) !== 'L') {
+        throw new ValidationException('Invalid UpdateExpression: Incorrect operand type for operator or function; operator or function: list_append');
+      }
+      return { L: [...first.L, ...second.L] };
+    }
+    case 'arithmetic': {
+      const left = evaluateSetValue(node.left, item, context);
+      const right = evaluateSetValue(node.right, item, context);
+      if (typeOf(left) !== 'N' || typeOf(right) !== 'N') {
+        throw new ValidationException(`Invalid UpdateExpression: Incorrect operand type for operator or function; operator: ${node.op}`);
+      }
+      const result = node.op === '+' ? Number(left.N) + Number(right.N) : Number(left.N) - Number(right.N);
+      return { N: formatNumber(result) };
+    }
+    default: {
+      const value = evaluateOperand(node, item, context);
+      if (value === undefined) {
+        throw new ValidationException('The provided expression refers to an attribute that does not exist in the item');
+      }
+      return value;
+    }
+  }
+}
+
+/**
+ * Find the container holding the last element of a path, for writes
+ */
+function parentOf(item, path) {
+  const parent = path.length === 1 ? { M: item } : getValue(item, path.slice(0, -1));
+  const last = path[path.length - 1];
+  if (!parent || (last.name !== undefined ? !parent.M : !parent.L)) {
+    throw new ValidationException('The document path provided in the update expression is invalid for update');
+  }
+  return { parent, last };
+}
+
+function setValue(item, path, value) {
+  const { parent, last } = parentOf(item, path);
+  if (last.name !== undefined) {
+    parent.M[last.name] = value;
+  } else if (last.index >= parent.L.length) {
+    parent.L.push(value);
+  } else {
+    parent.L[last.index] = value;
+  }
+}
+
+function removeValue(item, path) {
+  const parent = path.length === 1 ? { M: item } : getValue(item, path.slice(0, -1));
+  const last = path[path.length - 1];
+  if (!parent) return;
+  if (last.name !== undefined && parent.M) {
+    delete parent.M[last.name];
+  } else if (last.index !== undefined && parent.L && last.index < parent.L.length) {
+    parent.L.splice(last.index, 1);
+  }
+}
+
+const SET_TYPES = ['SS', 'NS', 'BS'];
+
+function addValue(item, path, value) {
+  const existing = getValue(item, path);
+  const type = typeOf(value);
+
+  if (existing === undefined) {
+    if (type !== 'N' && !SET_TYPES.includes(type)) {
+      throw new ValidationException('Invalid UpdateExpression: Incorrect operand type for operator or function; operator: ADD');
+    }
+    setValue(item, path, clone(value));
+    return;
+  }
+
+  if (typeOf(existing) !== type) {
+    throw new ValidationException('An operand in the update expression has an incorrect data type');
+  }
+  if (type === 'N') {
+    setValue(item, path, { N: formatNumber(Number(existing.N) + Number(value.N)) });
+  } else {
+    const merged = [...existing[type]];
+    for (const element of value[type]) {
+      if (!merged.includes(element)) merged.push(element);
+    }
+    setValue(item, path, { [type]: merged });
+  }
+}
+
+function deleteFromSet(item, path, value) {
+  const existing = getValue(item, path);
+  if (existing === undefined) return;
+
+  const type = typeOf(value);
+  if (!SET_TYPES.includes(type) || typeOf(existing) !== type) {
+    throw new ValidationException('An operand in the update expression has an incorrect data type');
+  }
+
+  const remaining = existing[type].filter(element => !value[type].includes(element));
+  if (remaining.length === 0) {
+    removeValue(item, path);
+  } else {
+    setValue(item, path, { [type]: remaining });
+  }
+}
+
+/**
+ * Apply a parsed update expression, returning the new item
+ * Every right-hand side is evaluated against the item as it was before the update.
+ *
+ * @param {Object} update - From parseUpdate
+ * @param {Object} item - Wire-format item ({} when creating)
+ * @param {Object} context - { names, values }
+ * @returns {{ item: Object, updatedPaths: Array<Array<Object>> }}
+ */
+function applyUpdate(update, item, context) {
+  const result = clone(item);
+  const updatedPaths = [];
+
+  const sets = update.set.map(({ path, value }) => ({
+    path: resolvePath(path, context),
+    value: evaluateSetValue(value, item, context)
+  }));
+  for (const { path, value } of sets) {
+    setValue(result, path, clone(value));
+    updatedPaths.push(path);
+  }
+
+  // Remove list elements from the highest index down so earlier indexes stay valid
+  const removals = update.remove
+    .map(({ path }) => resolvePath(path, context))
+    .sort((a, b) => (b[b.length - 1].index || 0) - (a[a.length - 1].index || 0));
+  for (const path of removals) {
+    removeValue(result, path);
+    updatedPaths.push(path);
+  }
+
+  for (const { path, value } of update.add) {
+    const resolved = resolvePath(path, context);
+    addValue(result, resolved, evaluateOperand(value, item, context));
+    updatedPaths.push(resolved);
+  }
+
+  for (const { path, value } of update.delete) {
+    const resolved = resolvePath(path, context);
+    deleteFromSet(result, resolved, evaluateOperand(value, item, context));
+    updatedPaths.push(resolved);
+  }
+
+  return { item: result, updatedPaths };
+}
+
+// ============================================================================
+// PROJECTION
+// ============================================================================
+
+/**
+ * Copy only the projected paths of an item
+ */
+function project(paths, item, context) {
+  const result = {};
+
+  for (const rawPath of paths) {
+    const path = resolvePath(rawPath, context);
+    const value = getValue(item, path);
+    if (value === undefined) continue;
+
+    let target = { M: result };
+    path.forEach((element, i) => {
+      const isLast = i === path.length - 1;
+      const container = element.name !== undefined ? target.M : target.L;
+      const key = element.name !== undefined ? element.name : container.length;
+
+      if (isLast) {
+        container[key] = clone(value);
+      } else {
+        const nextIsIndex = path[i + 1].index !== undefined;
+        if (!container[key]) container[key] = nextIsIndex ? { L: [] } : { M: {} };
+        target = container[key];
+      }
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  ValidationException,
+  parseCondition,
+  parseUpdate,
+  parseProjection,
+  resolvePath,
+  evaluateCondition,
+  applyUpdate,
+  project,
+  getValue,
+  compareValues,
+  valuesEqual
+};
@@ -0,0 +1,614 @@
+/**
+ * Local DynamoDB
+ * In-memory implementation of the DynamoDB operations the API uses
+ *
+ * Requests and responses use the DynamoDB JSON wire format, so the stand-in
+ * server can pass request bodies straight through. Tables are created on
+ * first use with a PK/SK key; index key schemas come from the table
+ * definitions in infrastructure/ when known, otherwise from the query's key
+ * condition.
+ *
+ * @module local/dynamodb
+ */
+
+const {
+  ValidationException,
+  parseCondition,
+  parseUpdate,
+  parseProjection,
+  resolvePath,
+  evaluateCondition,
+  applyUpdate,
+  project,
+  compareValues
+} = require('./dynamodb-expressions');
+
+// Most actions DynamoDB takes in one TransactWriteItems call
+const MAX_TRANSACTION_ITEMS = 100;
+
+const DEFAULT_KEY_SCHEMA = [
+  { AttributeName: 'PK', KeyType: 'HASH' },
+  { AttributeName: 'SK', KeyType: 'RANGE' }
+];
+
+class DynamoDBError extends Error {
+  /**
+   * @param {string} type - DynamoDB error type, e.g. ConditionalCheckFailedException
+   * @param {string} message
+   * @param {Object} [extra] - Additional fields for the error body
+   */
+  constructor(type, message, extra = {}) {
+    super(message);
+    this.name = type;
+    this.type = type;
+    this.extra = extra;
+  }
+}
+
+function keyNames(keySchema) {
+  return {
+    hash: keySchema.find(k => k.KeyType === 'HASH').AttributeName,
+    range: keySchema.find(k => k.KeyType === 'RANGE')?.AttributeName || null
+  };
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Expression context (placeholder names and values) for a request
+ */
+function contextFor(input) {
+  return {
+    names: input.ExpressionAttributeNames || {},
+    values: input.ExpressionAttributeValues || {}
+  };
+}
+
+function rejectLegacyParameters(input) {
+  const legacy = ['AttributesToGet', 'KeyConditions', 'QueryFilter', 'ScanFilter', 'Expected', 'AttributeUpdates']
+    .filter(name => input[name] !== undefined);
+  if (legacy.length > 0) {
+    throw new DynamoDBError('ValidationException', `Legacy parameters are not supported locally: ${legacy.join(', ')}`);
+  }
+}
+
+class Table {
+  constructor(name, definition) {
+    this.name = name;
+    this.keySchema = definition?.KeySchema || DEFAULT_KEY_SCHEMA;
+    this.key = keyNames(this.keySchema);
+    this.indexes = new Map(
+      (definition?.GlobalSecondaryIndexes || []).concat(definition?.LocalSecondaryIndexes || [])
+        .map(index => [index.IndexName, keyNames(index.KeySchema)])
+    );
+    this.items = new Map();
+    this.createdAt = Date.now();
+  }
+
+  /**
+   * Identity of an item (or key) within the table
+   */
+  keyOf(item) {
+    const hash = item[this.key.hash];
+    const range = this.key.range ? item[this.key.range] : null;
+    return JSON.stringify([hash, range]);
+  }
+
+  /**
+   * Validate a Key parameter against the key schema
+   */
+  checkKey(key) {
+    const expected = [this.key.hash, this.key.range].filter(Boolean);
+    const given = Object.keys(key || {});
+    if (given.length !== expected.length || !expected.every(name => key[name] !== undefined)) {
+      throw new DynamoDBError('ValidationException', 'The provided key element does not match the schema');
+    }
+  }
+
+  checkItemKey(item) {
+    for (const name of [this.key.hash, this.key.range].filter(Boolean)) {
+      const value = item[name];
+      if (!value) {
+        throw new DynamoDBError('ValidationException', `One or more parameter values were invalid: Missing the key ${name} in the item`);
+      }
+      if (!value.S && !value.N && !value.B) {
+        throw new DynamoDBError('ValidationException', `One or more parameter values were invalid: Type mismatch for key ${name}`);
+      }
+    }
+  }
+
+  get(key) {
+    return this.items.get(this.keyOf(key));
+  }
+
+  primaryKey(item) {
+    const key = { [this.key.hash]: item[this.key.hash] };
+    if (this.key.range) key[this.key.range] = item[this.key.range];
+    return key;
+  }
+
+  describe() {
+    return {
+      TableName: this.name,
+      TableStatus: 'ACTIVE',
+      KeySchema: this.keySchema,
+      ItemCount: this.items.size,
+      CreationDateTime: this.createdAt / 1000,
+      GlobalSecondaryIndexes: [...this.indexes].map(([IndexName, key]) => ({
+        IndexName,
+        IndexStatus: 'ACTIVE',
+        KeySchema: [
+          { AttributeName: key.hash, KeyType: 'HASH' },
+          ...(key.range ? [{ AttributeName: key.range, KeyType: 'RANGE' }] : [])
+        ],
+        Projection: { ProjectionType: 'ALL' }
+      }))
+    };
+  }
+}
+
+class LocalDynamoDB {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.definitions] - CreateTable-style definitions (TableName, KeySchema, GlobalSecondaryIndexes)
+   * @param {Function} [options.onChange] - Called after every write
+   */
+  constructor(options = {}) {
+    this.definitions = new Map((options.definitions || []).map(d => [d.TableName, d]));
+    this.onChange = options.onChange || (() => {});
+    this.tables = new Map();
+  }
+
+  table(name) {
+    if (!name) {
+      throw new DynamoDBError('ValidationException', 'TableName is required');
+    }
+    if (!this.tables.has(name)) {
+      this.tables.set(name, new Table(name, this.definitions.get(name)));
+    }
+    return this.tables.get(name);
+  }
+
+  /**
+   * Run an operation by name, e.g. handle('Query', input)
+   */
+  handle(operation, input = {}) {
+    const method = OPERATIONS[operation];
+    if (!method) {
+      throw new DynamoDBError('UnknownOperationException', `Operation ${operation} is not supported locally`);
+    }
+    rejectLegacyParameters(input);
+
+    try {
+      return this[method](input);
+    } catch (error) {
+      if (error instanceof ValidationException) {
+        throw new DynamoDBError('ValidationException', error.message);
+      }
+      throw error;
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Items
+  // --------------------------------------------------------------------------
+
+  checkCondition(input, item) {
+    if (!input.ConditionExpression) return;
+    const condition = parseCondition(input.ConditionExpression);
+    if (!evaluateCondition(condition, item || {}, contextFor(input))) {
+      throw new DynamoDBError('ConditionalCheckFailedException', 'The conditional request failed',
+        input.ReturnValuesOnConditionCheckFailure === 'ALL_OLD' && item ? { Item: item } : {});
+    }
+  }
+
+  getItem(input) {
+    const table = this.table(input.TableName);
+    table.checkKey(input.Key);
+
+    const item = table.get(input.Key);
+    if (!item) return {};
+    return { Item: this.projectItem(input, item) };
+  }
+
+  putItem(input, { notify = true } = {}) {
+    const table = this.table(input.TableName);
+    table.checkItemKey(input.Item);
+
+    const existing = table.get(input.Item);
+    this.checkCondition(input, existing);
+
+    table.items.set(table.keyOf(input.Item), clone(input.Item));
+    if (notify) this.onChange();
+
+    return input.ReturnValues === 'ALL_OLD' && existing ? { Attributes: clone(existing) } : {};
+  }
+
+  updateItem(input, { notify = true } = {}) {
+    const table = this.table(input.TableName);
+    table.checkKey(input.Key);
+
+    const existing = table.get(input.Key);
+    this.checkCondition(input, existing);
+
+    const base = existing ? clone(existing) : clone(input.Key);
+    let updated = base;
+    let updatedPaths = [];
+    if (input.UpdateExpression) {
+      ({ item: updated, updatedPaths } = applyUpdate(parseUpdate(input.UpdateExpression), base, contextFor(input)));
+    }
+
+    for (const name of [table.key.hash, table.key.range].filter(Boolean)) {
+      if (JSON.stringify(updated[name]) !== JSON.stringify(input.Key[name])) {
+        throw new DynamoDBError('ValidationException', `One or more parameter values were invalid: Cannot update attribute ${name}. This attribute is part of the key`);
+      }
+    }
+
+    table.items.set(table.keyOf(input.Key), updated);
+    if (notify) this.onChange();
+
+    return this.returnValues(input.ReturnValues, existing, updated, updatedPaths);
+  }
+
+  returnValues(mode, before, after, updatedPaths) {
+    const pick = (item) => {
+      const result = {};
+      for (const path of updatedPaths) {
+        const name = path[0].name;
+        if (item && item[name] !== undefined) result[name] = clone(item[name]);
+      }
+      return result;
+    };
+
+    switch (mode) {
+      case 'ALL_NEW':
+        return { Attributes: clone(after) };
+      case 'ALL_OLD':
+        return before ? { Attributes: clone(before) } : {};
+      case 'UPDATED_NEW':
+        return { Attributes: pick(after) };
+      case 'UPDATED_OLD':
+        return before ? { Attributes: pick(before) } : {};
+      default:
+        return {};
+    }
+  }
+
+  deleteItem(input, { notify = true } = {}) {
+    const table = this.table(input.TableName);
+    table.checkKey(input.Key);
+
+    const existing = table.get(input.Key);
+    this.checkCondition(input, existing);
+
+    if (existing) {
+      table.items.delete(table.keyOf(input.Key));
+      if (notify) this.onChange();
+    }
+    return input.ReturnValues === 'ALL_OLD' && existing ? { Attributes: clone(existing) } : {};
+  }
+
+  projectItem(input, item) {
+    if (!input.ProjectionExpression) return clone(item);
+    return project(parseProjection(input.ProjectionExpression), item, contextFor(input));
+  }
+
+  // --------------------------------------------------------------------------
+  // Query / Scan
+  // --------------------------------------------------------------------------
+
+  /**
+   * Key attributes for the table or one of its indexes
+   * Unknown indexes take their key from the key condition: the `=` attribute is
+   * the hash key, any other attribute the range key.
+   */
+  indexKey(table, indexName, keyCondition, context) {
+    if (!indexName) return table.key;
+    if (table.indexes.has(indexName)) return table.indexes.get(indexName);
+
+    const attributes = [];
+    const walk = (node) => {
+      if (!node) return;
+      if (node.type === 'and') {
+        walk(node.left);
+        walk(node.right);
+        return;
+      }
+      const operand = node.type === 'compare' ? node.left : (node.operand || node.args?.[0]);
+      if (operand?.type === 'path') {
+        attributes.push({ name: resolvePath(operand.path, context)[0].name, equality: node.type === 'compare' && node.op === '=' });
+      }
+    };
+    walk(keyCondition);
+
+    const hash = attributes.find(a => a.equality) || attributes[0];
+    const range = attributes.find(a => a !== hash);
+    return { hash: hash?.name, range: range?.name || null };
+  }
+
+  /**
+   * Sort items by index range key, then by table key, so pages are stable
+   */
+  orderItems(items, table, key) {
+    const sortAttributes = [key.range, table.key.hash, table.key.range].filter(Boolean);
+    return items.sort((a, b) => {
+      for (const name of sortAttributes) {
+        const order = compareValues(a[name], b[name]);
+        if (order) return order;
+        if (a[name] === undefined && b[name] !== undefined) return -1;
+        if (a[name] !== undefined && b[name] === undefined) return 1;
+      }
+      return 0;
+    });
+  }
+
+  /**
+   * Read a page from ordered candidates, applying Limit before the filter as DynamoDB does
+   */
+  readPage(input, table, key, candidates) {
+    const context = contextFor(input);
+    let start = 0;
+
+    if (input.ExclusiveStartKey) {
+      const startKey = input.ExclusiveStartKey;
+      const match = candidates.findIndex(item => table.keyOf(item) === table.keyOf(startKey));
+      if (match >= 0) {
+        start = match + 1;
+      } else {
+        // The start item was deleted; resume after where it would have been
+        const ordered = this.orderItems([...candidates, startKey], table, key);
+        const forward = input.ScanIndexForward !== false;
+        const position = (forward ? ordered : ordered.reverse()).indexOf(startKey);
+        start = position;
+      }
+    }
+
+    const filter = input.FilterExpression ? parseCondition(input.FilterExpression) : null;
+    const limit = input.Limit || Infinity;
+    const items = [];
+    let scanned = 0;
+    let index = start;
+
+    while (index < candidates.length && scanned < limit) {
+      const item = candidates[index++];
+      scanned++;
+      if (!filter || evaluateCondition(filter, item, context)) {
+        items.push(item);
+      }
+    }
+
+    const result = { Count: items.length, ScannedCount: scanned };
+    if (input.Select !== 'COUNT') {
+      result.Items = items.map(item => this.projectItem(input, item));
+    }
+
+    if (scanned >= limit && scanned > 0) {
+      const last = candidates[index - 1];
+      const lastKey = table.primaryKey(last);
+      if (key !== table.key) {
+        lastKey[key.hash] = last[key.hash];
+        if (key.range && last[key.range] !== undefined) lastKey[key.range] = last[key.range];
+      }
+      result.LastEvaluatedKey = clone(lastKey);
+    }
+
+    return result;
+  }
+
+  query(input) {
+    if (!input.KeyConditionExpression) {
+      throw new DynamoDBError('ValidationException', 'Either the KeyConditions or KeyConditionExpression parameter must be specified in the request.');
+    }
+
+    const table = this.table(input.TableName);
+    const context = contextFor(input);
+    const keyCondition = parseCondition(input.KeyConditionExpression);
+    const key = this.indexKey(table, input.IndexName, keyCondition, context);
+
+    const matches = [...table.items.values()].filter(item =>
+      item[key.hash] !== undefined && evaluateCondition(keyCondition, item, context)
+    );
+
+    const ordered = this.orderItems(matches, table, key);
+    if (input.ScanIndexForward === false) ordered.reverse();
+
+    return this.readPage(input, table, key, ordered);
+  }
+
+  scan(input) {
+    const table = this.table(input.TableName);
+
+    // Parallel scans: everything goes to segment 0
+    if (input.TotalSegments && input.Segment > 0) {
+      return { Items: [], Count: 0, ScannedCount: 0 };
+    }
+
+    const key = input.IndexName ? (table.indexes.get(input.IndexName) || table.key) : table.key;
+    const candidates = [...table.items.values()].filter(item => item[key.hash] !== undefined);
+    return this.readPage(input, table, key, this.orderItems(candidates, table, key));
+  }
+
+  // --------------------------------------------------------------------------
+  // Batches and transactions
+  // --------------------------------------------------------------------------
+
+  batchGetItem(input) {
+    const responses = {};
+    for (const [tableName, request] of Object.entries(input.RequestItems || {})) {
+      const table = this.table(tableName);
+      responses[tableName] = request.Keys
+        .map(key => table.get(key))
+        .filter(Boolean)
+        .map(item => this.projectItem({ ...request, TableName: tableName }, item));
+    }
+    return { Responses: responses, UnprocessedKeys: {} };
+  }
+
+  batchWriteItem(input) {
+    for (const [tableName, requests] of Object.entries(input.RequestItems || {})) {
+      for (const request of requests) {
+        if (request.PutRequest) {
+          this.putItem({ TableName: tableName, Item: request.PutRequest.Item }, { notify: false });
+        } else if (request.DeleteRequest) {
+          this.deleteItem({ TableName: tableName, Key: request.DeleteRequest.Key }, { notify: false });
+        }
+      }
+    }
+    this.onChange();
+    return { UnprocessedItems: {} };
+  }
+
+  /**
+   * All-or-nothing writes: every condition is checked before anything is applied
+   */
+  transactWriteItems(input) {
+    const actions = (input.TransactItems || []).map(entry => {
+      const [type, request] = Object.entries(entry)[0];
+      return { type, request };
+    });
+    if (actions.length > MAX_TRANSACTION_ITEMS) {
+      throw new DynamoDBError(
+        'ValidationException',
+        `Member must have length less than or equal to ${MAX_TRANSACTION_ITEMS} (transactItems has ${actions.length})`
+      );
+    }
+
+    const seen = new Set();
+    for (const { request } of actions) {
+      const table = this.table(request.TableName);
+      const id = `${request.TableName}\u0000${table.keyOf(request.Key || request.Item)}`;
+      if (seen.has(id)) {
+        throw new DynamoDBError('ValidationException', 'Transaction request cannot include multiple operations on one item');
+      }
+      seen.add(id);
+    }
+
+    const reasons = actions.map(({ request }) => {
+      const table = this.table(request.TableName);
+      const existing = table.get(request.Key || request.Item);
+      try {
+        this.checkCondition(request, existing);
+        return { Code: 'None' };
+      } catch (error) {
+        if (error.type !== 'ConditionalCheckFailedException') throw error;
+        return {
+          Code: 'ConditionalCheckFailed',
+          Message: 'The conditional request failed',
+          ...(request.ReturnValuesOnConditionCheckFailure === 'ALL_OLD' && existing ? { Item: clone(existing) } : {})
+        };
+      }
+    });
+
+    if (reasons.some(reason => reason.Code !== 'None')) {
+      throw new DynamoDBError(
+        'TransactionCanceledException',
+        `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map(r => r.Code).join(', ')}]`,
+        { CancellationReasons: reasons }
+      );
+    }
+
+    // Conditions passed; apply without re-checking
+    for (const { type, request } of actions) {
+      const unconditional = { ...request, ConditionExpression: undefined };
+      if (type === 'Put') this.putItem(unconditional, { notify: false });
+      else if (type === 'Update') this.updateItem(unconditional, { notify: false });
+      else if (type === 'Delete') this.deleteItem(unconditional, { notify: false });
+    }
+    this.onChange();
+    return {};
+  }
+
+  transactGetItems(input) {
+    return {
+      Responses: (input.TransactItems || []).map(({ Get }) => {
+        const item = this.table(Get.TableName).get(Get.Key);
+        return item ? { Item: this.projectItem(Get, item) } : {};
+      })
+    };
+  }
+
+  // --------------------------------------------------------------------------
+  // Tables
+  // --------------------------------------------------------------------------
+
+  createTable(input) {
+    if (this.tables.has(input.TableName)) {
+      throw new DynamoDBError('ResourceInUseException', `Table already exists: ${input.TableName}`);
+    }
+    this.definitions.set(input.TableName, input);
+    return { TableDescription: this.table(input.TableName).describe() };
+  }
+
+  describeTable(input) {
+    return { Table: this.table(input.TableName).describe() };
+  }
+
+  listTables() {
+    const names = new Set([...this.definitions.keys(), ...this.tables.keys()]);
+    return { TableNames: [...names].sort() };
+  }
+
+  // --------------------------------------------------------------------------
+  // Persistence
+  // --------------------------------------------------------------------------
+
+  /**
+   * Plain snapshot of every table's items, for writing to disk
+   */
+  toJSON() {
+    const tables = {};
+    for (const [name, table] of this.tables) {
+      tables[name] = [...table.items.values()];
+    }
+    return { tables };
+  }
+
+  load(snapshot) {
+    for (const [name, items] of Object.entries(snapshot.tables || {})) {
+      const table = this.table(name);
+      for (const item of items) {
+        table.items.set(table.keyOf(item), item);
+      }
+    }
+  }
+}
+
+// Wire operation name -> method
+const OPERATIONS = {
+  GetItem: 'getItem',
+  PutItem: 'putItem',
+  UpdateItem: 'updateItem',
+  DeleteItem: 'deleteItem',
+  Query: 'query',
+  Scan: 'scan',
+  BatchGetItem: 'batchGetItem',
+  BatchWriteItem: 'batchWriteItem',
+  TransactWriteItems: 'transactWriteItems',
+  TransactGetItems: 'transactGetItems',
+  CreateTable: 'createTable',
+  DescribeTable: 'describeTable',
+  ListTables: 'listTables'
+};
+
+/**
+ * DynamoDBClient stand-in that runs commands in process against a LocalDynamoDB,
+ * for tests that want real condition expressions and indexes without the
+ * HTTP stand-in
+ *
+ * @param {LocalDynamoDB} [db] - Tables to run against (a new, empty one by default)
+ * @returns {{db: LocalDynamoDB, send: Function}}
+ */
+function localClient(db = new LocalDynamoDB()) {
+  return {
+    db,
+    send: async (command) => db.handle(command.constructor.name.replace(/Command$/, ''), command.input)
+  };
+}
+
+module.exports = {
+  LocalDynamoDB,
+  DynamoDBError,
+  localClient
+};
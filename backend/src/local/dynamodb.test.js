@@ -0,0 +1,232 @@
+/**
+ * Local DynamoDB Tests
+ *
+ * Exercises the stand-in through the same wire-format operations the SDK
+ * sends: key handling, condition/update/filter expressions, index queries
+ * with paging, batches and transactions.
+ */
+
+const { LocalDynamoDB, DynamoDBError } = require('./dynamodb');
+
+const REPORTS = 'sitelogix-reports';
+
+const definitions = [{
+  TableName: REPORTS,
+  KeySchema: [
+    { AttributeName: 'PK', KeyType: 'HASH' },
+    { AttributeName: 'SK', KeyType: 'RANGE' }
+  ],
+  GlobalSecondaryIndexes: [{
+    IndexName: 'GSI2-ManagerIndex',
+    KeySchema: [
+      { AttributeName: 'manager_id', KeyType: 'HASH' },
+      { AttributeName: 'report_date', KeyType: 'RANGE' }
+    ]
+  }]
+}];
+
+function report(id, date, manager, status = 'submitted') {
+  return {
+    PK: { S: `REPORT#${id}` },
+    SK: { S: 'METADATA' },
+    report_id: { S: id },
+    report_date: { S: date },
+    manager_id: { S: manager },
+    status: { S: status },
+    crew_size: { N: '4' }
+  };
+}
+
+describe('LocalDynamoDB', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new LocalDynamoDB({ definitions });
+    db.handle('PutItem', { TableName: REPORTS, Item: report('r1', '2026-10-01', 'mgr-1') });
+    db.handle('PutItem', { TableName: REPORTS, Item: report('r2', '2026-10-02', 'mgr-1', 'draft') });
+    db.handle('PutItem', { TableName: REPORTS, Item: report('r3', '2026-10-03', 'mgr-1') });
+    db.handle('PutItem', { TableName: REPORTS, Item: report('r4', '2026-10-01', 'mgr-2') });
+  });
+
+  describe('items', () => {
+    it('should return a stored item by key', () => {
+      const { Item } = db.handle('GetItem', { TableName: REPORTS, Key: { PK: { S: 'REPORT#r1' }, SK: { S: 'METADATA' } } });
+      expect(Item.report_date).toEqual({ S: '2026-10-01' });
+    });
+
+    it('should reject keys missing the sort key', () => {
+      expect(() => db.handle('GetItem', { TableName: REPORTS, Key: { PK: { S: 'REPORT#r1' } } }))
+        .toThrow(DynamoDBError);
+    });
+
+    it('should fail a conditional put on an existing item', () => {
+      expect(() => db.handle('PutItem', {
+        TableName: REPORTS,
+        Item: report('r1', '2026-10-09', 'mgr-9'),
+        ConditionExpression: 'attribute_not_exists(PK)'
+      })).toThrow(expect.objectContaining({ type: 'ConditionalCheckFailedException' }));
+    });
+
+    it('should apply SET, ADD and REMOVE clauses and return the new item', () => {
+      const { Attributes } = db.handle('UpdateItem', {
+        TableName: REPORTS,
+        Key: { PK: { S: 'REPORT#r1' }, SK: { S: 'METADATA' } },
+        UpdateExpression: 'SET #status = :status, tags = list_append(if_not_exists(tags, :empty), :tags) ADD crew_size :one REMOVE manager_id',
+        ConditionExpression: '#status = :expected',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':status': { S: 'approved' },
+          ':expected': { S: 'submitted' },
+          ':empty': { L: [] },
+          ':tags': { L: [{ S: 'reviewed' }] },
+          ':one': { N: '1' }
+        },
+        ReturnValues: 'ALL_NEW'
+      });
+
+      expect(Attributes.status).toEqual({ S: 'approved' });
+      expect(Attributes.tags).toEqual({ L: [{ S: 'reviewed' }] });
+      expect(Attributes.crew_size).toEqual({ N: '5' });
+      expect(Attributes.manager_id).toBeUndefined();
+    });
+
+    it('should not allow updating key attributes', () => {
+      expect(() => db.handle('UpdateItem', {
+        TableName: REPORTS,
+        Key: { PK: { S: 'REPORT#r1' }, SK: { S: 'METADATA' } },
+        UpdateExpression: 'SET SK = :sk',
+        ExpressionAttributeValues: { ':sk': { S: 'OTHER' } }
+      })).toThrow(expect.objectContaining({ type: 'ValidationException' }));
+    });
+
+    it('should report malformed expressions as validation errors', () => {
+      expect(() => db.handle('Scan', { TableName: REPORTS, FilterExpression: 'status = = :s' }))
+        .toThrow(expect.objectContaining({ type: 'ValidationException' }));
+    });
+  });
+
+  describe('Query', () => {
+    const byManager = {
+      TableName: REPORTS,
+      IndexName: 'GSI2-ManagerIndex',
+      KeyConditionExpression: 'manager_id = :m AND report_date BETWEEN :from AND :to',
+      ExpressionAttributeValues: {
+        ':m': { S: 'mgr-1' },
+        ':from': { S: '2026-10-01' },
+        ':to': { S: '2026-10-31' }
+      }
+    };
+
+    it('should return index items ordered by the range key', () => {
+      const { Items } = db.handle('Query', { ...byManager, ScanIndexForward: false });
+      expect(Items.map(i => i.report_id.S)).toEqual(['r3', 'r2', 'r1']);
+    });
+
+    it('should page with Limit and ExclusiveStartKey', () => {
+      const first = db.handle('Query', { ...byManager, Limit: 2 });
+      expect(first.Items.map(i => i.report_id.S)).toEqual(['r1', 'r2']);
+      expect(first.LastEvaluatedKey).toEqual({
+        PK: { S: 'REPORT#r2' },
+        SK: { S: 'METADATA' },
+        manager_id: { S: 'mgr-1' },
+        report_date: { S: '2026-10-02' }
+      });
+
+      const second = db.handle('Query', { ...byManager, Limit: 2, ExclusiveStartKey: first.LastEvaluatedKey });
+      expect(second.Items.map(i => i.report_id.S)).toEqual(['r3']);
+      expect(second.LastEvaluatedKey).toBeUndefined();
+    });
+
+    it('should apply the filter after the limit', () => {
+      const result = db.handle('Query', {
+        ...byManager,
+        Limit: 2,
+        FilterExpression: '#s = :s',
+        ExpressionAttributeNames: { '#s': 'status' },
+        ExpressionAttributeValues: { ...byManager.ExpressionAttributeValues, ':s': { S: 'draft' } }
+      });
+
+      expect(result.Items.map(i => i.report_id.S)).toEqual(['r2']);
+      expect(result.ScannedCount).toBe(2);
+      expect(result.LastEvaluatedKey).toBeDefined();
+    });
+  });
+
+  describe('batches and transactions', () => {
+    it('should write and read items in batches', () => {
+      db.handle('BatchWriteItem', {
+        RequestItems: {
+          [REPORTS]: [
+            { PutRequest: { Item: report('r5', '2026-10-05', 'mgr-3') } },
+            { DeleteRequest: { Key: { PK: { S: 'REPORT#r4' }, SK: { S: 'METADATA' } } } }
+          ]
+        }
+      });
+
+      const { Responses } = db.handle('BatchGetItem', {
+        RequestItems: {
+          [REPORTS]: {
+            Keys: [
+              { PK: { S: 'REPORT#r4' }, SK: { S: 'METADATA' } },
+              { PK: { S: 'REPORT#r5' }, SK: { S: 'METADATA' } }
+            ]
+          }
+        }
+      });
+      expect(Responses[REPORTS].map(i => i.report_id.S)).toEqual(['r5']);
+    });
+
+    it('should apply nothing when any transaction condition fails', () => {
+      let error;
+      try {
+        db.handle('TransactWriteItems', {
+          TransactItems: [
+            { Put: { TableName: REPORTS, Item: report('r6', '2026-10-06', 'mgr-1') } },
+            {
+              Delete: {
+                TableName: REPORTS,
+                Key: { PK: { S: 'REPORT#r1' }, SK: { S: 'METADATA' } },
+                ConditionExpression: '#s = :s',
+                ExpressionAttributeNames: { '#s': 'status' },
+                ExpressionAttributeValues: { ':s': { S: 'draft' } }
+              }
+            }
+          ]
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.type).toBe('TransactionCanceledException');
+      expect(error.extra.CancellationReasons.map(r => r.Code)).toEqual(['None', 'ConditionalCheckFailed']);
+      expect(db.handle('GetItem', { TableName: REPORTS, Key: { PK: { S: 'REPORT#r6' }, SK: { S: 'METADATA' } } }).Item)
+        .toBeUndefined();
+    });
+
+    it('should reject a transaction of more than 100 actions', () => {
+      const TransactItems = Array.from({ length: 101 }, (_, i) => ({
+        Put: { TableName: REPORTS, Item: report(`t${i}`, '2026-10-07', 'mgr-1') }
+      }));
+
+      expect(() => db.handle('TransactWriteItems', { TransactItems })).toThrow('less than or equal to 100');
+    });
+  });
+
+  describe('persistence', () => {
+    it('should restore tables from a snapshot', () => {
+      const copy = new LocalDynamoDB({ definitions });
+      copy.load(JSON.parse(JSON.stringify(db.toJSON())));
+
+      expect(copy.handle('Scan', { TableName: REPORTS }).Count).toBe(4);
+    });
+
+    it('should notify after writes', () => {
+      const onChange = jest.fn();
+      const watched = new LocalDynamoDB({ definitions, onChange });
+      watched.handle('PutItem', { TableName: REPORTS, Item: report('r1', '2026-10-01', 'mgr-1') });
+      watched.handle('GetItem', { TableName: REPORTS, Key: { PK: { S: 'REPORT#r1' }, SK: { S: 'METADATA' } } });
+
+      expect(onChange).toHaveBeenCalledTimes(1);
+    });
+  });
+});
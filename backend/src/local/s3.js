@@ -0,0 +1,216 @@
+/**
+ * Local S3
+ * File-backed implementation of the S3 object operations the API uses
+ *
+ * Objects live under `<dir>/objects/<bucket>/<key>` with their content type
+ * and ETag in `<dir>/meta/<bucket>/<key>.json`. Buckets are created on first
+ * write. Requests are path-style (`/bucket/key`), which the SDK uses
+ * automatically when the endpoint is an IP address.
+ *
+ * @module local/s3
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function errorResponse(statusCode, code, message, resource) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/xml' },
+    body: `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${xmlEscape(message)}</Message><Resource>${xmlEscape(resource)}</Resource></Error>`
+  };
+}
+
+/**
+ * Decode an `aws-chunked` upload body (used for streaming uploads with trailing checksums)
+ */
+function decodeAwsChunked(buffer) {
+  const chunks = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd < 0) break;
+    const size = parseInt(buffer.subarray(offset, lineEnd).toString('ascii').split(';')[0], 16);
+    if (!size) break;
+    chunks.push(buffer.subarray(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+
+  return Buffer.concat(chunks);
+}
+
+class LocalS3 {
+  /**
+   * @param {string} dir - Directory holding object data
+   */
+  constructor(dir) {
+    this.objectsDir = path.join(dir, 'objects');
+    this.metaDir = path.join(dir, 'meta');
+  }
+
+  objectPath(bucket, key) {
+    const file = path.join(this.objectsDir, bucket, key);
+    if (!file.startsWith(path.join(this.objectsDir, bucket) + path.sep)) {
+      throw new Error(`Invalid object key: ${key}`);
+    }
+    return file;
+  }
+
+  metaPath(bucket, key) {
+    return path.join(this.metaDir, bucket, `${key}.json`);
+  }
+
+  readMeta(bucket, key) {
+    try {
+      return JSON.parse(fs.readFileSync(this.metaPath(bucket, key), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Handle a path-style S3 request
+   *
+   * @param {Object} request - { method, path, query, headers, body: Buffer }
+   * @returns {{ statusCode, headers, body }}
+   */
+  handle({ method, path: requestPath, query, headers, body }) {
+    const [bucket, ...keyParts] = requestPath.split('/').filter((part, i) => i > 0 || part);
+    const key = keyParts.map(decodeURIComponent).join('/');
+
+    if (!bucket) {
+      return errorResponse(400, 'InvalidRequest', 'Listing buckets is not supported locally', requestPath);
+    }
+
+    if (!key) {
+      if (method === 'GET' && query['list-type'] === '2') return this.listObjects(bucket, query);
+      if (method === 'PUT' || method === 'HEAD') return { statusCode: 200, headers: {}, body: '' };
+      return errorResponse(400, 'InvalidRequest', `${method} on a bucket is not supported locally`, requestPath);
+    }
+
+    switch (method) {
+      case 'PUT':
+        return this.putObject(bucket, key, headers, body);
+      case 'GET':
+        return this.getObject(bucket, key, requestPath);
+      case 'HEAD': {
+        const response = this.getObject(bucket, key, requestPath);
+        return { ...response, body: '' };
+      }
+      case 'DELETE':
+        return this.deleteObject(bucket, key);
+      default:
+        return errorResponse(405, 'MethodNotAllowed', `${method} is not supported locally`, requestPath);
+    }
+  }
+
+  putObject(bucket, key, headers, body) {
+    if (headers['x-amz-copy-source']) {
+      return errorResponse(400, 'NotImplemented', 'CopyObject is not supported locally', `/${bucket}/${key}`);
+    }
+
+    const chunked = (headers['content-encoding'] || '').includes('aws-chunked')
+      || (headers['x-amz-content-sha256'] || '').startsWith('STREAMING-');
+    const data = chunked ? decodeAwsChunked(body) : body;
+    const etag = `"${crypto.createHash('md5').update(data).digest('hex')}"`;
+
+    const file = this.objectPath(bucket, key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, data);
+
+    const metaFile = this.metaPath(bucket, key);
+    fs.mkdirSync(path.dirname(metaFile), { recursive: true });
+    fs.writeFileSync(metaFile, JSON.stringify({
+      contentType: headers['content-type'] || 'application/octet-stream',
+      etag,
+      lastModified: new Date().toUTCString()
+    }));
+
+    return { statusCode: 200, headers: { ETag: etag }, body: '' };
+  }
+
+  getObject(bucket, key, resource) {
+    const file = this.objectPath(bucket, key);
+    if (!fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      return errorResponse(404, 'NoSuchKey', 'The specified key does not exist.', resource);
+    }
+
+    const data = fs.readFileSync(file);
+    const meta = this.readMeta(bucket, key) || {};
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': meta.contentType || 'application/octet-stream',
+        'Content-Length': String(data.length),
+        ETag: meta.etag || '""',
+        'Last-Modified': meta.lastModified || new Date().toUTCString()
+      },
+      body: data
+    };
+  }
+
+  deleteObject(bucket, key) {
+    fs.rmSync(this.objectPath(bucket, key), { force: true });
+    fs.rmSync(this.metaPath(bucket, key), { force: true });
+    return { statusCode: 204, headers: {}, body: '' };
+  }
+
+  listObjects(bucket, query) {
+    const prefix = query.prefix || '';
+    const maxKeys = Math.min(Number(query['max-keys']) || 1000, 1000);
+    const after = query['continuation-token']
+      ? Buffer.from(query['continuation-token'], 'base64url').toString('utf8')
+      : (query['start-after'] || '');
+
+    const bucketDir = path.join(this.objectsDir, bucket);
+    const keys = [];
+    const walk = (dir) => {
+      if (!fs.existsSync(dir)) return;
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) walk(full);
+        else keys.push(path.relative(bucketDir, full).split(path.sep).join('/'));
+      }
+    };
+    walk(bucketDir);
+
+    const matching = keys.filter(k => k.startsWith(prefix) && k > after).sort();
+    const page = matching.slice(0, maxKeys);
+    const truncated = matching.length > page.length;
+
+    const contents = page.map(k => {
+      const stat = fs.statSync(path.join(bucketDir, k));
+      const meta = this.readMeta(bucket, k) || {};
+      return `<Contents><Key>${xmlEscape(k)}</Key><LastModified>${stat.mtime.toISOString()}</LastModified>`
+        + `<ETag>${xmlEscape(meta.etag || '""')}</ETag><Size>${stat.size}</Size><StorageClass>STANDARD</StorageClass></Contents>`;
+    }).join('');
+
+    const next = truncated
+      ? `<NextContinuationToken>${Buffer.from(page[page.length - 1], 'utf8').toString('base64url')}</NextContinuationToken>`
+      : '';
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/xml' },
+      body: '<?xml version="1.0" encoding="UTF-8"?>'
+        + '<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">'
+        + `<Name>${xmlEscape(bucket)}</Name><Prefix>${xmlEscape(prefix)}</Prefix>`
+        + `<KeyCount>${page.length}</KeyCount><MaxKeys>${maxKeys}</MaxKeys><IsTruncated>${truncated}</IsTruncated>`
+        + `${contents}${next}</ListBucketResult>`
+    };
+  }
+}
+
+module.exports = {
+  LocalS3
+};
@@ -0,0 +1,72 @@
+/**
+ * Local Secrets Manager
+ * Serves GetSecretValue from `<dataDir>/secrets.json`
+ *
+ * `sitelogix/jwt` gets a generated signing key so auth works out of the box.
+ * Google, ElevenLabs and other third-party credentials are only available
+ * when added to secrets.json, e.g.
+ *
+ *   { "sitelogix/elevenlabs": { "apiKey": "..." } }
+ *
+ * @module local/secrets
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+class SecretsError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.type = type;
+  }
+}
+
+class LocalSecrets {
+  /**
+   * @param {string} file - Path to secrets.json (need not exist)
+   */
+  constructor(file) {
+    this.file = file;
+    this.defaults = {
+      'sitelogix/jwt': { secret_key: crypto.randomBytes(32).toString('hex') }
+    };
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return {};
+    return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+  }
+
+  /**
+   * Handle a Secrets Manager JSON 1.1 operation
+   */
+  handle(operation, input) {
+    if (operation !== 'GetSecretValue') {
+      throw new SecretsError('InvalidRequestException', `${operation} is not supported locally`);
+    }
+
+    const secrets = { ...this.defaults, ...this.load() };
+    const value = secrets[input.SecretId];
+
+    if (value === undefined) {
+      throw new SecretsError(
+        'ResourceNotFoundException',
+        `Secrets Manager can't find the specified secret. Add "${input.SecretId}" to ${this.file}`
+      );
+    }
+
+    return {
+      ARN: `arn:aws:secretsmanager:us-east-1:000000000000:secret:${input.SecretId}`,
+      Name: input.SecretId,
+      SecretString: typeof value === 'string' ? value : JSON.stringify(value),
+      VersionId: 'local',
+      VersionStages: ['AWSCURRENT'],
+      CreatedDate: 0
+    };
+  }
+}
+
+module.exports = {
+  LocalSecrets,
+  SecretsError
+};
@@ -0,0 +1,130 @@
+/**
+ * Local Seed Data
+ * Table definitions and sample records from infrastructure/ for the local stand-ins
+ *
+ * @module local/seed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { marshall } = require('@aws-sdk/util-dynamodb');
+
+const INFRASTRUCTURE_DIR = path.resolve(__dirname, '../../../infrastructure');
+
+// sample-data.json section -> table it belongs to
+const SAMPLE_SECTIONS = {
+  enhanced_personnel_samples: 'sitelogix-personnel',
+  projects_samples: 'sitelogix-projects',
+  users_auth_samples: 'sitelogix-users',
+  time_tracking_samples: 'sitelogix-time-entries'
+};
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(INFRASTRUCTURE_DIR, file), 'utf8'));
+}
+
+/**
+ * CreateTable-style definitions from infrastructure/, merged per table
+ *
+ * Several files describe the same table (e.g. table-personnel.json and
+ * table-personnel-enhanced.json); their indexes are combined so either
+ * generation of the code finds its index.
+ */
+function loadTableDefinitions() {
+  const files = fs.readdirSync(INFRASTRUCTURE_DIR).filter(f => /^table-.*\.json$/.test(f));
+  const definitions = [
+    ...files.map(readJson),
+    ...Object.values(readJson('admin-tables-schemas.json'))
+  ];
+
+  const merged = new Map();
+  for (const definition of definitions) {
+    const existing = merged.get(definition.TableName);
+    if (!existing) {
+      merged.set(definition.TableName, {
+        TableName: definition.TableName,
+        KeySchema: definition.KeySchema,
+        GlobalSecondaryIndexes: [...(definition.GlobalSecondaryIndexes || [])]
+      });
+      continue;
+    }
+    for (const index of definition.GlobalSecondaryIndexes || []) {
+      if (!existing.GlobalSecondaryIndexes.some(i => i.IndexName === index.IndexName)) {
+        existing.GlobalSecondaryIndexes.push(index);
+      }
+    }
+  }
+
+  return [...merged.values()];
+}
+
+/**
+ * Sample items per table, marshalled to DynamoDB JSON
+ *
+ * @returns {Object<string, Object[]>} Table name -> items
+ */
+function loadSampleItems() {
+  const tables = {};
+  const add = (table, items) => {
+    tables[table] = (tables[table] || []).concat(
+      items.map(item => marshall(item, { removeUndefinedValues: true }))
+    );
+  };
+
+  const samples = readJson('sample-data.json');
+  for (const [section, table] of Object.entries(SAMPLE_SECTIONS)) {
+    add(table, samples[section] || []);
+  }
+
+  // Payroll samples are grouped by table, one level of named groups deep
+  const payroll = readJson('sample-data-payroll.json');
+  for (const [table, groups] of Object.entries(payroll.tables)) {
+    for (const group of Object.values(groups)) {
+      add(table, Array.isArray(group) ? group : [group]);
+    }
+  }
+
+  return tables;
+}
+
+/**
+ * Cognito users for the sample accounts in users_auth_samples
+ *
+ * Each account signs in with its personnel email (or its username) and the
+ * shared local password.
+ *
+ * @param {string} password - Password given to every sample user
+ */
+function loadSampleUsers(password) {
+  const samples = readJson('sample-data.json');
+  const personnel = new Map(samples.enhanced_personnel_samples.map(p => [p.PK, p]));
+
+  return samples.users_auth_samples.map(account => {
+    const person = personnel.get(account.employee_id) || {};
+    const [firstName, ...lastName] = (person.full_name || account.username).split(' ');
+    const email = person.email || `${account.username}@sitelogix.local`;
+
+    return {
+      username: email,
+      password,
+      groups: [account.role],
+      attributes: {
+        sub: account.user_id,
+        email,
+        email_verified: 'true',
+        preferred_username: account.username,
+        given_name: firstName,
+        family_name: lastName.join(' '),
+        'custom:role': account.role,
+        'custom:personId': person.employee_id || '',
+        'custom:employeeNumber': person.employee_number || ''
+      }
+    };
+  });
+}
+
+module.exports = {
+  loadTableDefinitions,
+  loadSampleItems,
+  loadSampleUsers
+};
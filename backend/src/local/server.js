@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * Local Development Server
+ * Runs the api-handler Lambda behind a plain HTTP server, against local AWS stand-ins
+ *
+ * Replaces api-server.js and analytics-server.js for local work: every route
+ * in the real route table is served, and DynamoDB, S3, Secrets Manager,
+ * Cognito and Lambda calls go to the stand-in in stand-in.js. On first start
+ * (or with --reset) the tables are seeded from infrastructure/sample-data.json
+ * and sample-data-payroll.json.
+ *
+ * Usage:
+ *   node src/local/server.js [--port 3001] [--aws-port 4566] [--data-dir .local-data] [--reset]
+ *
+ * @module local/server
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const Module = require('module');
+const { LocalAws } = require('./stand-in');
+const { loadTableDefinitions, loadSampleItems, loadSampleUsers } = require('./seed');
+
+const FUNCTIONS_DIR = path.resolve(__dirname, '../functions');
+const SERVICES_DIR = path.resolve(__dirname, '../services');
+const LOCAL_PASSWORD = process.env.LOCAL_USER_PASSWORD || 'SiteLogix-local1';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS'
+};
+
+function parseArgs(argv) {
+  const options = {
+    port: Number(process.env.PORT) || 3001,
+    awsPort: 4566,
+    dataDir: path.resolve(__dirname, '../../.local-data'),
+    reset: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port': options.port = Number(argv[++i]); break;
+      case '--aws-port': options.awsPort = Number(argv[++i]); break;
+      case '--data-dir': options.dataDir = path.resolve(argv[++i]); break;
+      case '--reset': options.reset = true; break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Resolve `./x` requires from functions/ into services/ when functions/x
+ * does not exist, mirroring the flat layout the deploy script builds
+ */
+function linkServices() {
+  const resolve = Module._resolveFilename;
+  Module._resolveFilename = function (request, parent, ...rest) {
+    try {
+      return resolve.call(this, request, parent, ...rest);
+    } catch (error) {
+      if (request.startsWith('./') && parent?.filename && path.dirname(parent.filename) === FUNCTIONS_DIR) {
+        return resolve.call(this, path.join(SERVICES_DIR, request), parent, ...rest);
+      }
+      throw error;
+    }
+  };
+}
+
+/**
+ * Seed empty tables and the user pool from the sample data
+ */
+function seed(aws) {
+  const items = loadSampleItems();
+  let seeded = 0;
+
+  for (const [tableName, tableItems] of Object.entries(items)) {
+    const table = aws.dynamodb.table(tableName);
+    if (table.items.size > 0) continue;
+    for (const item of tableItems) {
+      aws.dynamodb.putItem({ TableName: tableName, Item: item }, { notify: false });
+    }
+    seeded += tableItems.length;
+  }
+
+  aws.cognito.seedUsers(loadSampleUsers(LOCAL_PASSWORD));
+  aws.save();
+  return seeded;
+}
+
+/**
+ * Convert a Node request into an API Gateway HTTP API (v2) event
+ */
+function toEvent(req, body) {
+  const url = new URL(req.url, 'http://localhost');
+  const query = Object.fromEntries(url.searchParams);
+
+  return {
+    version: '2.0',
+    routeKey: '$default',
+    rawPath: url.pathname,
+    rawQueryString: url.search.slice(1),
+    headers: req.headers,
+    queryStringParameters: Object.keys(query).length > 0 ? query : undefined,
+    requestContext: {
+      http: {
+        method: req.method,
+        path: url.pathname,
+        protocol: `HTTP/${req.httpVersion}`,
+        sourceIp: req.socket.remoteAddress,
+        userAgent: req.headers['user-agent'] || ''
+      },
+      requestId: `local-${Date.now()}`,
+      stage: '$default'
+    },
+    body: body.length > 0 ? body.toString('utf8') : undefined,
+    isBase64Encoded: false
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.reset) {
+    fs.rmSync(options.dataDir, { recursive: true, force: true });
+  }
+
+  // The handler is loaded after the stand-in starts so its Lambda
+  // self-invocations can be routed back to it
+  let handler = null;
+  const aws = new LocalAws({
+    dataDir: options.dataDir,
+    definitions: loadTableDefinitions(),
+    onInvoke: async (functionName, payload) => handler(payload)
+  });
+
+  const seeded = seed(aws);
+  const endpoint = await aws.listen(options.awsPort);
+
+  process.env.AWS_ENDPOINT_URL = endpoint;
+  process.env.AWS_REGION = process.env.AWS_REGION || 'us-east-1';
+  process.env.AWS_ACCESS_KEY_ID = 'local';
+  process.env.AWS_SECRET_ACCESS_KEY = 'local';
+
+  linkServices();
+  require(path.join(FUNCTIONS_DIR, 'cognito-auth')).useSigningKeys(aws.cognito.jwks);
+  handler = require(path.join(FUNCTIONS_DIR, 'api-handler')).handler;
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+
+    try {
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      const result = await handler(toEvent(req, Buffer.concat(chunks)));
+
+      res.writeHead(result.statusCode, { ...result.headers, ...CORS_HEADERS });
+      res.end(result.isBase64Encoded ? Buffer.from(result.body, 'base64') : result.body);
+    } catch (error) {
+      console.error('❌ Unhandled handler error:', error);
+      res.writeHead(500, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+      res.end(JSON.stringify({ success: false, error: error.message }));
+    }
+  });
+
+  server.listen(options.port, () => {
+    console.log(`\n🚀 SiteLogix local API on http://localhost:${options.port}/api`);
+    console.log(`☁️  AWS stand-in on ${endpoint} (data in ${options.dataDir})`);
+    if (seeded > 0) console.log(`🌱 Seeded ${seeded} sample items`);
+    console.log(`🔑 Sample users sign in with their email and password "${LOCAL_PASSWORD}"\n`);
+  });
+
+  const shutdown = async () => {
+    server.close();
+    await aws.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  console.error('❌ Failed to start local server:', error);
+  process.exit(1);
+});
@@ -0,0 +1,182 @@
+/**
+ * Local AWS Stand-in
+ * One HTTP endpoint that serves DynamoDB, S3, Secrets Manager, Cognito and Lambda
+ *
+ * The AWS SDK clients are pointed here through AWS_ENDPOINT_URL. JSON
+ * protocol services are told apart by their X-Amz-Target header, Lambda by
+ * its invocation path; everything else is treated as a path-style S3 request.
+ * State lives in the data directory so it survives restarts:
+ *
+ *   dynamodb.json  - table items (written shortly after each change)
+ *   s3/            - object data
+ *   cognito.json   - user pool
+ *   secrets.json   - secret values (hand-edited)
+ *
+ * @module local/stand-in
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { LocalDynamoDB, DynamoDBError } = require('./dynamodb');
+const { LocalS3 } = require('./s3');
+const { LocalSecrets, SecretsError } = require('./secrets');
+const { LocalCognito, CognitoError } = require('./cognito');
+
+const SAVE_DELAY_MS = 250;
+
+// X-Amz-Target prefix -> service name, JSON protocol version and error type namespace
+const JSON_SERVICES = {
+  'DynamoDB_20120810.': { service: 'dynamodb', version: '1.0', namespace: 'com.amazonaws.dynamodb.v20120810#' },
+  'secretsmanager.': { service: 'secrets', version: '1.1', namespace: '' },
+  'AWSCognitoIdentityProviderService.': { service: 'cognito', version: '1.1', namespace: '' }
+};
+
+const LAMBDA_INVOKE_PATH = /^\/2015-03-31\/functions\/([^/]+)\/invocations$/;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+class LocalAws {
+  /**
+   * @param {Object} options
+   * @param {string} options.dataDir - Directory for persisted state
+   * @param {Array<Object>} [options.definitions] - DynamoDB table definitions
+   * @param {Function} [options.onInvoke] - (functionName, payload, invocationType) => Promise<Object> for Lambda Invoke
+   */
+  constructor({ dataDir, definitions, onInvoke }) {
+    fs.mkdirSync(dataDir, { recursive: true });
+
+    this.dynamoFile = path.join(dataDir, 'dynamodb.json');
+    this.dynamodb = new LocalDynamoDB({ definitions, onChange: () => this.scheduleSave() });
+    if (fs.existsSync(this.dynamoFile)) {
+      this.dynamodb.load(JSON.parse(fs.readFileSync(this.dynamoFile, 'utf8')));
+    }
+
+    this.s3 = new LocalS3(path.join(dataDir, 's3'));
+    this.secrets = new LocalSecrets(path.join(dataDir, 'secrets.json'));
+    this.cognito = new LocalCognito(path.join(dataDir, 'cognito.json'));
+    this.onInvoke = onInvoke || null;
+    this.saveTimer = null;
+  }
+
+  /**
+   * Write DynamoDB state to disk shortly after the last change
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    fs.writeFileSync(this.dynamoFile, JSON.stringify(this.dynamodb.toJSON()));
+  }
+
+  /**
+   * Start listening on 127.0.0.1
+   *
+   * @param {number} port - 0 picks a free port
+   * @returns {Promise<string>} Endpoint URL
+   */
+  listen(port) {
+    this.server = http.createServer((req, res) => {
+      this.route(req, res).catch(error => {
+        console.error('❌ Local AWS stand-in error:', error);
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ __type: 'InternalFailure', message: error.message }));
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}`);
+      });
+    });
+  }
+
+  close() {
+    if (this.saveTimer) this.save();
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  async route(req, res) {
+    const body = await readBody(req);
+    const url = new URL(req.url, 'http://localhost');
+    const target = req.headers['x-amz-target'];
+
+    if (target) {
+      const prefix = Object.keys(JSON_SERVICES).find(p => target.startsWith(p));
+      if (prefix) {
+        return this.json(res, JSON_SERVICES[prefix], target.slice(prefix.length), body);
+      }
+    }
+
+    const invocation = url.pathname.match(LAMBDA_INVOKE_PATH);
+    if (invocation) {
+      return this.invoke(res, decodeURIComponent(invocation[1]), req.headers['x-amz-invocation-type'], body);
+    }
+
+    const response = this.s3.handle({
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      body
+    });
+    res.writeHead(response.statusCode, response.headers);
+    res.end(response.body);
+  }
+
+  json(res, { service, version, namespace }, operation, body) {
+    const contentType = `application/x-amz-json-${version}`;
+    const input = body.length > 0 ? JSON.parse(body.toString('utf8')) : {};
+
+    try {
+      const output = this[service].handle(operation, input);
+      res.writeHead(200, { 'Content-Type': contentType });
+      res.end(JSON.stringify(output));
+    } catch (error) {
+      if (!(error instanceof DynamoDBError || error instanceof SecretsError || error instanceof CognitoError)) {
+        throw error;
+      }
+      res.writeHead(400, { 'Content-Type': contentType, 'x-amzn-ErrorType': error.type });
+      res.end(JSON.stringify({ __type: `${namespace}${error.type}`, message: error.message, ...error.extra }));
+    }
+  }
+
+  async invoke(res, functionName, invocationType = 'RequestResponse', body) {
+    if (!this.onInvoke) {
+      res.writeHead(404, { 'Content-Type': 'application/json', 'x-amzn-ErrorType': 'ResourceNotFoundException' });
+      res.end(JSON.stringify({ Type: 'User', message: `Function not found: ${functionName}` }));
+      return;
+    }
+
+    const payload = body.length > 0 ? JSON.parse(body.toString('utf8')) : {};
+
+    if (invocationType === 'Event') {
+      this.onInvoke(functionName, payload, invocationType).catch(error => {
+        console.error(`❌ Async invocation of ${functionName} failed:`, error);
+      });
+      res.writeHead(202);
+      res.end();
+      return;
+    }
+
+    const result = await this.onInvoke(functionName, payload, invocationType);
+    res.writeHead(200, { 'Content-Type': 'application/json', 'X-Amz-Executed-Version': '$LATEST' });
+    res.end(JSON.stringify(result ?? null));
+  }
+}
+
+module.exports = {
+  LocalAws
+};
@@ -0,0 +1,644 @@
+"use strict";
+/**
+ * AI Model Registry
+ *
+ * Model versioning and prompt management for AI pipeline
+ * Implements RFC-008 model versioning requirements
+ *
+ * Also routes each LLM task (extraction, payroll, each analytics agent) to a
+ * provider and model. Routes can be changed per task at runtime or through
+ * the environment:
+ *   LLM_PROVIDER=fake                       every task, e.g. offline test runs
+ *   LLM_PROVIDER_ANALYTICS_HOURS=anthropic  one task's provider
+ *   LLM_MODEL_ANALYTICS_HOURS=gpt-4o-mini   one task's model
+ *   LLM_FIXTURES=record|replay              save or serve responses from disk (see llmFixtures)
+ *
+ * Report extraction prompts can be A/B tested: PromptRegistry routing rules
+ * send some projects, managers or a share of reports to another model
+ * version, e.g.
+ *   PROMPT_ROUTING_RULES='[{"id":"v2.1-pilot","version":"v2.1.0","percent":10}]'
+ * Without rules every report uses the active version.
+ *
+ * Model accuracy comes from evaluation runs against the labeled training
+ * transcripts (npm run eval:extraction), saved in modelEvaluations.json.
+ * A version with no run for its prompt and model has no accuracy at all
+ * (undefined, not zero); the committed file holds no runs until one is
+ * recorded against a live model.
+ */
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || (function () {
+    var ownKeys = function(o) {
+        ownKeys = Object.getOwnPropertyNames || function (o) {
+            var ar = [];
+            for (var k in o) if (Object.prototype.hasOwnProperty.call(o, k)) ar[ar.length] = k;
+            return ar;
+        };
+        return ownKeys(o);
+    };
+    return function (mod) {
+        if (mod && mod.__esModule) return mod;
+        var result = {};
+        if (mod != null) for (var k = ownKeys(mod), i = 0; i < k.length; i++) if (k[i] !== "default") __createBinding(result, mod, k[i]);
+        __setModuleDefault(result, mod);
+        return result;
+    };
+})();
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.PromptRegistry = exports.AIModelRegistry = exports.MODEL_EVALUATIONS_FILE = void 0;
+exports.loadModelEvaluations = loadModelEvaluations;
+exports.getActiveAIModel = getActiveAIModel;
+exports.getPromptTemplate = getPromptTemplate;
+exports.buildExtractionPrompt = buildExtractionPrompt;
+exports.runLLMTask = runLLMTask;
+const crypto = __importStar(require("crypto"));
+const fs = __importStar(require("fs"));
+const path = __importStar(require("path"));
+const llmProviders_1 = require("./llmProviders");
+const llmFixtures_1 = require("./llmFixtures");
+exports.MODEL_EVALUATIONS_FILE = path.join(__dirname, 'modelEvaluations.json');
+/**
+ * Saved evaluation runs, latest per prompt version and model
+ */
+function loadModelEvaluations(file = exports.MODEL_EVALUATIONS_FILE) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+}
+// Model used when a task is moved to a provider without naming a model
+const DEFAULT_PROVIDER_MODELS = {
+    anthropic: 'claude-3-5-sonnet-20241022',
+    openai: 'gpt-4o',
+    fake: 'fake-llm'
+};
+// What the fake provider answers for each task: the smallest response its
+// caller accepts, so the pipeline runs end to end without network access
+const FAKE_TASK_RESPONSES = {
+    'report-extraction': {
+        personnel: [],
+        workLogs: [],
+        constraints: [],
+        vendors: [],
+        timeSummary: { totalPersonnelCount: 0, totalRegularHours: 0, totalOvertimeHours: 0 }
+    },
+    'transcript-analytics': {
+        personnel: [],
+        workLogs: [],
+        constraints: [],
+        vendors: [],
+        timeSummary: { totalPersonnelCount: 0, totalRegularHours: 0, totalOvertimeHours: 0 }
+    },
+    'roxy-extraction': {
+        report_date: null,
+        reporter_name: null,
+        project_name: null,
+        total_hours: 0,
+        additional_personnel: [],
+        work_completed: [],
+        work_in_progress: [],
+        issues: [],
+        vendors: [],
+        weather_notes: '',
+        extraction_confidence: 0,
+        ambiguities: []
+    },
+    'payroll-extraction': { employees: [] },
+    'analytics-hours': { personnel_hours: [], summary: {} },
+    'analytics-critical-events': { events: [] },
+    'analytics-vendor-performance': {
+        trend: 'stable',
+        impact_summary: '',
+        specific_issues: [],
+        recommendations: [],
+        quality_concerns: false,
+        confidence: 0
+    },
+    'analytics-project-milestones': {
+        inspections: [],
+        milestones: [],
+        quality_issues: [],
+        coordination_issues: [],
+        production_metrics: {},
+        project_health: {}
+    },
+    'analytics-constraint-costs': { constraints: [], cost_summary: { total_cost_impact: 0 }, patterns: {} },
+    'analytics-strategic-recommendations': {
+        executive_summary: {},
+        cross_functional_patterns: [],
+        cost_reduction_opportunities: [],
+        risk_escalations: [],
+        performance_recognition: [],
+        strategic_recommendations: [],
+        key_metrics_summary: {}
+    }
+};
+class AIModelRegistry {
+    /**
+     * Provider and model for a task, after environment overrides
+     */
+    static getTaskModel(task) {
+        const route = this.tasks.get(task);
+        if (!route) {
+            throw new Error(`Unknown LLM task: ${task}`);
+        }
+        const envKey = task.toUpperCase().replace(/-/g, '_');
+        const provider = (process.env[`LLM_PROVIDER_${envKey}`] || process.env.LLM_PROVIDER || route.provider);
+        const model = process.env[`LLM_MODEL_${envKey}`]
+            || (provider === route.provider ? route.model : DEFAULT_PROVIDER_MODELS[provider]);
+        if (!model) {
+            throw new Error(`Unknown LLM provider for ${task}: ${provider}`);
+        }
+        return { ...route, provider, model };
+    }
+    /**
+     * Switch a task to another provider or model
+     */
+    static setTaskModel(task, changes) {
+        const route = this.tasks.get(task);
+        if (!route) {
+            throw new Error(`Unknown LLM task: ${task}`);
+        }
+        const provider = changes.provider || route.provider;
+        const model = changes.model
+            || (provider === route.provider ? route.model : DEFAULT_PROVIDER_MODELS[provider]);
+        this.tasks.set(task, { ...route, ...changes, provider, model });
+        console.log(`✅ LLM task ${task} now uses ${provider}/${model}`);
+    }
+    /**
+     * All task routes, after environment overrides
+     */
+    static getAllTaskModels() {
+        return Object.fromEntries(Array.from(this.tasks.keys()).map(task => [task, this.getTaskModel(task)]));
+    }
+    /**
+     * Provider instance by name, created on first use and wrapped for
+     * record/replay when LLM_FIXTURES is set
+     */
+    static getProvider(name) {
+        let provider = this.providers.get(name);
+        if (!provider) {
+            provider = name === 'fake'
+                ? new llmProviders_1.FakeLLMProvider({ responses: FAKE_TASK_RESPONSES })
+                : (0, llmProviders_1.createLLMProvider)(name);
+            const mode = (0, llmFixtures_1.fixtureMode)();
+            if (mode) {
+                provider = new llmFixtures_1.FixtureLLMProvider(provider, { mode });
+            }
+            this.providers.set(name, provider);
+        }
+        return provider;
+    }
+    /**
+     * Use this provider instance for its name, e.g. a FakeLLMProvider in tests
+     */
+    static registerProvider(provider) {
+        this.providers.set(provider.name, provider);
+    }
+    /**
+     * Drop provider instances so the next call creates them again
+     */
+    static resetProviders() {
+        this.providers.clear();
+    }
+    /**
+     * Whether the provider a task routes to can make calls
+     */
+    static isTaskConfigured(task) {
+        return this.getProvider(this.getTaskModel(task).provider).isConfigured();
+    }
+    /**
+     * Get active model version
+     */
+    static getActiveVersion() {
+        const active = Array.from(this.models.values())
+            .find(m => m.status === 'active');
+        if (!active) {
+            throw new Error('No active AI model version');
+        }
+        return active;
+    }
+    /**
+     * Get specific model version
+     */
+    static getVersion(version) {
+        return this.models.get(version) || null;
+    }
+    /**
+     * Register new model version
+     */
+    static registerNewVersion(model) {
+        // Mark previous active as deprecated; experimental versions run alongside it
+        const previousActive = model.status === 'active'
+            ? Array.from(this.models.values()).find(m => m.status === 'active' && m.version !== model.version)
+            : undefined;
+        if (previousActive) {
+            previousActive.status = 'deprecated';
+            previousActive.deprecatedAt = new Date().toISOString();
+        }
+        this.models.set(model.version, model);
+        this.applyEvaluations(model);
+        console.log(`✅ Registered new AI model version: ${model.version}`);
+        console.log(`   - Model ID: ${model.modelId}`);
+        console.log(`   - Prompt Version: ${model.promptVersion}`);
+        console.log(`   - Status: ${model.status}`);
+    }
+    /**
+     * Record an evaluation run; model versions using its prompt and model take
+     * its accuracy
+     */
+    static recordEvaluation(evaluation) {
+        this.evaluations = this.evaluations
+            .filter(e => e.promptVersion !== evaluation.promptVersion || e.model !== evaluation.model)
+            .concat(evaluation);
+        this.models.forEach(model => this.applyEvaluations(model));
+    }
+    /**
+     * Latest evaluation per prompt version and model
+     */
+    static getEvaluations() {
+        return [...this.evaluations];
+    }
+    /**
+     * Forget recorded evaluations; model versions lose their accuracy
+     */
+    static clearEvaluations() {
+        this.evaluations = [];
+        this.models.forEach(model => this.applyEvaluations(model));
+    }
+    /**
+     * Write the evaluations to modelEvaluations.json, which is committed so
+     * accuracy changes show up in review
+     */
+    static saveEvaluations(file = exports.MODEL_EVALUATIONS_FILE) {
+        const sorted = [...this.evaluations].sort((a, b) => a.promptVersion.localeCompare(b.promptVersion) || a.model.localeCompare(b.model));
+        fs.writeFileSync(file, JSON.stringify(sorted, null, 2) + '\n');
+    }
+    static applyEvaluations(model) {
+        const evaluation = this.evaluations
+            .find(e => e.promptVersion === model.promptVersion && e.model === model.modelId);
+        model.accuracy = evaluation?.accuracy;
+        model.evaluation = evaluation;
+    }
+    /**
+     * Get all model versions
+     */
+    static getAllVersions() {
+        return Array.from(this.models.values());
+    }
+    /**
+     * Get model version history
+     */
+    static getVersionHistory() {
+        return Array.from(this.models.values())
+            .map(m => ({
+            version: m.version,
+            status: m.status,
+            deployedAt: m.deployedAt,
+            deprecatedAt: m.deprecatedAt
+        }))
+            .sort((a, b) => new Date(b.deployedAt).getTime() - new Date(a.deployedAt).getTime());
+    }
+}
+exports.AIModelRegistry = AIModelRegistry;
+AIModelRegistry.models = new Map([
+    ['v1.0.0', {
+            modelId: 'claude-3-5-sonnet-20241022',
+            version: 'v1.0.0',
+            promptVersion: 'extraction-v1.0',
+            capabilities: ['personnel', 'vendors', 'constraints', 'work_logs'],
+            status: 'deprecated',
+            deployedAt: '2025-09-01T00:00:00Z',
+            deprecatedAt: '2025-11-04T00:00:00Z'
+        }],
+    ['v2.0.0', {
+            modelId: 'claude-3-5-sonnet-20241022',
+            version: 'v2.0.0',
+            promptVersion: 'extraction-v2.0',
+            capabilities: ['personnel', 'vendors', 'constraints', 'work_logs', 'confidence'],
+            status: 'active',
+            deployedAt: '2025-11-04T00:00:00Z'
+        }]
+]);
+AIModelRegistry.tasks = new Map([
+    ['report-extraction', { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022', temperature: 0, maxTokens: 8000 }],
+    ['transcript-analytics', { provider: 'openai', model: 'gpt-4o', temperature: 0 }],
+    ['roxy-extraction', { provider: 'anthropic', model: 'claude-sonnet-4-20250514', temperature: 0, maxTokens: 2000 }],
+    ['payroll-extraction', { provider: 'openai', model: 'gpt-4', temperature: 0.3, maxTokens: 2000, jsonMode: false }],
+    ['analytics-hours', { provider: 'openai', model: 'gpt-4o', temperature: 0.3, maxTokens: 2000 }],
+    ['analytics-critical-events', { provider: 'openai', model: 'gpt-4o', temperature: 0.2, maxTokens: 1500 }],
+    ['analytics-vendor-performance', { provider: 'openai', model: 'gpt-4o', temperature: 0.4, maxTokens: 1000 }],
+    ['analytics-project-milestones', { provider: 'openai', model: 'gpt-4o', temperature: 0.3, maxTokens: 3000 }],
+    ['analytics-constraint-costs', { provider: 'openai', model: 'gpt-4o', temperature: 0.3, maxTokens: 4000 }],
+    ['analytics-strategic-recommendations', { provider: 'openai', model: 'gpt-4o', temperature: 0.4, maxTokens: 4000 }]
+]);
+AIModelRegistry.providers = new Map();
+AIModelRegistry.evaluations = [];
+loadModelEvaluations().forEach(evaluation => AIModelRegistry.recordEvaluation(evaluation));
+class PromptRegistry {
+    /**
+     * Get prompt template by version
+     */
+    static getPrompt(version) {
+        const prompt = this.prompts.get(version);
+        if (!prompt) {
+            throw new Error(`Prompt version ${version} not found`);
+        }
+        return prompt;
+    }
+    /**
+     * Register new prompt template
+     */
+    static registerPrompt(prompt) {
+        this.prompts.set(prompt.version, prompt);
+        console.log(`✅ Registered new prompt template: ${prompt.version}`);
+    }
+    /**
+     * Build prompt with variables
+     */
+    static buildPrompt(version, variables) {
+        const template = this.getPrompt(version);
+        let prompt = template.template;
+        // Replace all variables; a function keeps "$&" and the like in transcripts literal
+        for (const [key, value] of Object.entries(variables)) {
+            prompt = prompt.replace(new RegExp(`{${key}}`, 'g'), () => value);
+        }
+        return prompt;
+    }
+    /**
+     * Get latest prompt for capability
+     */
+    static getLatestPromptForCapability(capability) {
+        const prompts = Array.from(this.prompts.values())
+            .filter(p => p.capabilities.includes(capability))
+            .sort((a, b) => b.version.localeCompare(a.version));
+        if (prompts.length === 0) {
+            throw new Error(`No prompt found for capability: ${capability}`);
+        }
+        return prompts[0];
+    }
+    /**
+     * Replace the routing rules; checked before any report is routed by them
+     */
+    static setRoutingRules(rules) {
+        const ids = new Set();
+        let percentTotal = 0;
+        for (const rule of rules) {
+            if (!rule.id || ids.has(rule.id)) {
+                throw new Error(`Routing rules need unique ids: ${JSON.stringify(rule.id)}`);
+            }
+            ids.add(rule.id);
+            const model = AIModelRegistry.getVersion(rule.version);
+            if (!model) {
+                throw new Error(`Routing rule ${rule.id}: model version ${rule.version} not found`);
+            }
+            this.getPrompt(model.promptVersion);
+            const targeted = !!(rule.projectIds?.length || rule.managerIds?.length);
+            if (rule.percent === undefined ? !targeted : !(rule.percent >= 0 && rule.percent <= 100)) {
+                throw new Error(`Routing rule ${rule.id}: percent must be between 0 and 100`);
+            }
+            if (!targeted) {
+                percentTotal += rule.percent;
+            }
+        }
+        if (percentTotal > 100) {
+            throw new Error(`Routing rules send ${percentTotal}% of reports to other versions`);
+        }
+        this.routingRules = rules.map(rule => ({ ...rule }));
+        console.log(`✅ Prompt routing: ${rules.length ? rules.map(r => `${r.id} -> ${r.version}`).join(', ') : 'active version only'}`);
+    }
+    /**
+     * Current routing rules, read from PROMPT_ROUTING_RULES on first use
+     */
+    static getRoutingRules() {
+        if (this.routingRules === null) {
+            this.routingRules = [];
+            if (process.env.PROMPT_ROUTING_RULES) {
+                try {
+                    this.setRoutingRules(JSON.parse(process.env.PROMPT_ROUTING_RULES));
+                }
+                catch (error) {
+                    // A bad experiment config shouldn't stop extraction; fall back to the active version
+                    console.error(`❌ Ignoring PROMPT_ROUTING_RULES: ${error.message}`);
+                }
+            }
+        }
+        return this.routingRules.map(rule => ({ ...rule }));
+    }
+    /**
+     * Drop the rules so the next report reads PROMPT_ROUTING_RULES again
+     */
+    static resetRoutingRules() {
+        this.routingRules = null;
+    }
+    /**
+     * Model and prompt version for a report
+     *
+     * Rules naming the report's project or manager win, in order. The rest split
+     * reports by a hash of the report id, so a retried report keeps its version.
+     */
+    static routeReport(context) {
+        const rules = this.getRoutingRules();
+        const bucket = crypto.createHash('sha256').update(String(context.reportId)).digest().readUInt32BE(0) % 10000 / 100;
+        const route = (rule, reason) => ({
+            modelVersion: rule.version,
+            promptVersion: AIModelRegistry.getVersion(rule.version).promptVersion,
+            rule: rule.id,
+            reason
+        });
+        for (const rule of rules) {
+            const reason = context.projectId && rule.projectIds?.includes(context.projectId) ? 'project'
+                : context.managerId && rule.managerIds?.includes(context.managerId) ? 'manager'
+                    : null;
+            if (reason && bucket < (rule.percent ?? 100)) {
+                return route(rule, reason);
+            }
+        }
+        let threshold = 0;
+        for (const rule of rules.filter(r => !r.projectIds?.length && !r.managerIds?.length)) {
+            threshold += rule.percent;
+            if (bucket < threshold) {
+                return route(rule, 'percent');
+            }
+        }
+        const active = AIModelRegistry.getActiveVersion();
+        return { modelVersion: active.version, promptVersion: active.promptVersion, rule: null, reason: 'active' };
+    }
+}
+exports.PromptRegistry = PromptRegistry;
+PromptRegistry.prompts = new Map([
+    ['extraction-v1.0', {
+            version: 'extraction-v1.0',
+            template: `You are an AI assistant specialized in extracting structured construction data from daily report conversations.
+
+CONTEXT:
+- Project: {projectName}
+- Location: {projectLocation}
+- Manager: {managerName}
+- Date: {reportDate}
+
+TRANSCRIPT:
+{rawTranscriptText}
+
+TASK:
+Extract ALL of the following information in JSON format:
+
+1. PERSONNEL:
+For each person mentioned, extract:
+- fullName: Full name (best guess at formal name)
+- goByName: Nickname or "go by" name
+- position: Position (Project Manager, Foreman, Journeyman, Apprentice)
+- teamAssignment: Team assignment (Project Manager, Team 1, Team 2, etc.)
+- hoursWorked: Hours worked (number)
+- overtimeHours: Overtime hours (number, default 0)
+- healthStatus: Health/limitation status
+- activitiesPerformed: Brief description of activities (optional)
+- extractedFromText: Quote the exact text snippet
+
+2. WORK ACTIVITIES (workLogs):
+For each team/group, extract:
+- teamId, level, personnelAssigned, personnelCount, taskDescription, hoursWorked, overtimeHours
+- materialsUsed, equipmentUsed (optional)
+- extractedFromText
+
+3. CONSTRAINTS/ISSUES (constraints):
+For each issue mentioned, extract:
+- category (delay, safety, material, weather, labor, coordination, other)
+- level, severity (low, medium, high, critical), title, description, status
+- extractedFromText
+
+4. VENDORS/DELIVERIES (vendors):
+For each delivery or vendor mention, extract:
+- companyName, vendorType, materialsDelivered, deliveryTime, receivedBy, deliveryNotes
+- extractedFromText
+
+5. TIME SUMMARY (timeSummary):
+- totalPersonnelCount, totalRegularHours, totalOvertimeHours, arrivalTime, departureTime
+
+IMPORTANT:
+- Include "extractedFromText" field with direct quotes
+- Use null for missing data
+- Be conservative - only extract clearly stated information
+
+Return a valid JSON object with keys: personnel, workLogs, constraints, vendors, timeSummary`,
+            variables: ['projectName', 'projectLocation', 'managerName', 'reportDate', 'rawTranscriptText'],
+            capabilities: ['personnel', 'vendors', 'constraints', 'work_logs'],
+            includesConfidenceScoring: false
+        }],
+    ['extraction-v2.0', {
+            version: 'extraction-v2.0',
+            template: `You are an AI assistant specialized in extracting structured construction data from daily report conversations.
+
+CONTEXT:
+- Project: {projectName}
+- Location: {projectLocation}
+- Manager: {managerName}
+- Date: {reportDate}
+
+TRANSCRIPT:
+{rawTranscriptText}
+
+TASK:
+Extract ALL of the following information in JSON format WITH CONFIDENCE SCORES:
+
+1. PERSONNEL:
+For each person mentioned, extract:
+- fullName: Full name (best guess at formal name)
+- goByName: Nickname or "go by" name
+- position: Position (Project Manager, Foreman, Journeyman, Apprentice)
+- teamAssignment: Team assignment (Project Manager, Team 1, Team 2, etc.)
+- hoursWorked: Hours worked (number)
+- overtimeHours: Overtime hours (number, default 0)
+- healthStatus: Health/limitation status
+- activitiesPerformed: Brief description of activities (optional)
+- extractedFromText: Quote the exact text snippet
+- confidence: Confidence score 0-100
+
+2. WORK ACTIVITIES (workLogs):
+For each team/group, extract:
+- teamId, level, personnelAssigned, personnelCount, taskDescription, hoursWorked, overtimeHours
+- materialsUsed, equipmentUsed (optional)
+- extractedFromText
+- confidence: Confidence score 0-100
+
+3. CONSTRAINTS/ISSUES (constraints):
+For each issue mentioned, extract:
+- category (delay, safety, material, weather, labor, coordination, other)
+- level, severity (low, medium, high, critical), title, description, status
+- extractedFromText
+- confidence: Confidence score 0-100
+
+4. VENDORS/DELIVERIES (vendors):
+For each delivery or vendor mention, extract:
+- companyName, vendorType, materialsDelivered, deliveryTime, receivedBy, deliveryNotes
+- extractedFromText
+- confidence: Confidence score 0-100
+
+5. TIME SUMMARY (timeSummary):
+- totalPersonnelCount, totalRegularHours, totalOvertimeHours, arrivalTime, departureTime
+
+CONFIDENCE SCORING GUIDE:
+- 90-100: Explicitly stated, unambiguous
+- 70-89: Clearly implied, high certainty
+- 50-69: Inferred from context, moderate certainty
+- 30-49: Uncertain, may need verification
+- 0-29: Guess, requires manual review
+
+IMPORTANT:
+- Include "extractedFromText" field with direct quotes
+- Use null for missing data
+- Be conservative - only extract clearly stated information
+- Always provide confidence scores
+
+Return a valid JSON object with keys: personnel, workLogs, constraints, vendors, timeSummary`,
+            variables: ['projectName', 'projectLocation', 'managerName', 'reportDate', 'rawTranscriptText'],
+            capabilities: ['personnel', 'vendors', 'constraints', 'work_logs', 'confidence'],
+            includesConfidenceScoring: true
+        }]
+]);
+PromptRegistry.routingRules = null;
+// Export singleton access
+function getActiveAIModel() {
+    return AIModelRegistry.getActiveVersion();
+}
+function getPromptTemplate(version) {
+    return PromptRegistry.getPrompt(version);
+}
+function buildExtractionPrompt(variables) {
+    const activeModel = AIModelRegistry.getActiveVersion();
+    return PromptRegistry.buildPrompt(activeModel.promptVersion, variables);
+}
+/**
+ * Run a task on the provider and model the registry routes it to
+ */
+async function runLLMTask(task, input) {
+    const route = AIModelRegistry.getTaskModel(task);
+    const provider = AIModelRegistry.getProvider(route.provider);
+    const response = await provider.complete({
+        task,
+        model: route.model,
+        system: input.system,
+        prompt: input.prompt,
+        temperature: route.temperature,
+        maxTokens: route.maxTokens,
+        json: input.json,
+        jsonMode: route.jsonMode
+    });
+    console.log(`🤖 ${task}: ${response.provider}/${response.model} in ${response.durationMs}ms (${response.usage.totalTokens} tokens)`);
+    return {
+        ...response,
+        task,
+        ...(input.json && input.parse !== false ? { data: (0, llmProviders_1.parseJSONResponse)(response.text) } : {})
+    };
+}
@@ -0,0 +1,277 @@
+/**
+ * AI Model Registry Tests
+ *
+ * Task routing and provider selection for the LLM calls. Everything runs on
+ * FakeLLMProvider, so no API keys or network are needed.
+ */
+
+const { AIModelRegistry, PromptRegistry, runLLMTask } = require('./aiModelRegistry');
+const { FakeLLMProvider, parseJSONResponse } = require('./llmProviders');
+const { extractFromTranscript } = require('./extractionService');
+
+const ENV_KEYS = [
+  'LLM_PROVIDER',
+  'LLM_PROVIDER_ANALYTICS_HOURS',
+  'LLM_MODEL_ANALYTICS_HOURS',
+  'ANTHROPIC_API_KEY',
+  'OPENAI_API_KEY'
+];
+
+describe('AIModelRegistry task routing', () => {
+  const savedEnv = {};
+
+  beforeEach(() => {
+    for (const key of ENV_KEYS) {
+      savedEnv[key] = process.env[key];
+      delete process.env[key];
+    }
+    AIModelRegistry.resetProviders();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    for (const key of ENV_KEYS) {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    }
+    AIModelRegistry.resetProviders();
+    jest.restoreAllMocks();
+  });
+
+  it('should route each task to its default provider and model', () => {
+    expect(AIModelRegistry.getTaskModel('report-extraction')).toEqual(expect.objectContaining({
+      provider: 'anthropic',
+      model: 'claude-3-5-sonnet-20241022',
+      maxTokens: 8000
+    }));
+    expect(AIModelRegistry.getTaskModel('analytics-hours')).toEqual(expect.objectContaining({
+      provider: 'openai',
+      model: 'gpt-4o',
+      temperature: 0.3
+    }));
+  });
+
+  it('should throw for an unknown task', () => {
+    expect(() => AIModelRegistry.getTaskModel('weather-forecast')).toThrow('Unknown LLM task: weather-forecast');
+  });
+
+  it('should send every task to LLM_PROVIDER with that provider\'s default model', () => {
+    process.env.LLM_PROVIDER = 'fake';
+
+    const routes = AIModelRegistry.getAllTaskModels();
+
+    expect(Object.values(routes).every(route => route.provider === 'fake' && route.model === 'fake-llm')).toBe(true);
+  });
+
+  it('should let a per-task provider and model override LLM_PROVIDER', () => {
+    process.env.LLM_PROVIDER = 'fake';
+    process.env.LLM_PROVIDER_ANALYTICS_HOURS = 'anthropic';
+    process.env.LLM_MODEL_ANALYTICS_HOURS = 'claude-3-5-haiku-20241022';
+
+    expect(AIModelRegistry.getTaskModel('analytics-hours')).toEqual(expect.objectContaining({
+      provider: 'anthropic',
+      model: 'claude-3-5-haiku-20241022',
+      temperature: 0.3
+    }));
+    expect(AIModelRegistry.getTaskModel('analytics-critical-events').provider).toBe('fake');
+  });
+
+  it('should report whether the provider behind a task has its API key', () => {
+    expect(AIModelRegistry.isTaskConfigured('analytics-hours')).toBe(false);
+
+    process.env.OPENAI_API_KEY = 'sk-test';
+    AIModelRegistry.resetProviders();
+    expect(AIModelRegistry.isTaskConfigured('analytics-hours')).toBe(true);
+    expect(AIModelRegistry.isTaskConfigured('report-extraction')).toBe(false);
+
+    process.env.LLM_PROVIDER = 'fake';
+    expect(AIModelRegistry.isTaskConfigured('report-extraction')).toBe(true);
+  });
+
+  it('should switch a task to another provider with setTaskModel', () => {
+    const original = AIModelRegistry.getTaskModel('analytics-vendor-performance');
+    try {
+      AIModelRegistry.setTaskModel('analytics-vendor-performance', { provider: 'anthropic' });
+
+      expect(AIModelRegistry.getTaskModel('analytics-vendor-performance')).toEqual(expect.objectContaining({
+        provider: 'anthropic',
+        model: 'claude-3-5-sonnet-20241022',
+        temperature: 0.4
+      }));
+    } finally {
+      AIModelRegistry.setTaskModel('analytics-vendor-performance', original);
+    }
+  });
+
+  describe('runLLMTask', () => {
+    it('should call the routed provider with the task settings and parse JSON', async () => {
+      process.env.LLM_PROVIDER = 'fake';
+      const fake = new FakeLLMProvider().respond('analytics-hours', { personnel_hours: [{ name: 'Aaron Trask' }] });
+      AIModelRegistry.registerProvider(fake);
+
+      const result = await runLLMTask('analytics-hours', { system: 'You are a payroll analyst.', prompt: 'Hours?', json: true });
+
+      expect(result).toEqual(expect.objectContaining({
+        task: 'analytics-hours',
+        provider: 'fake',
+        model: 'fake-llm',
+        data: { personnel_hours: [{ name: 'Aaron Trask' }] }
+      }));
+      expect(fake.calls).toEqual([expect.objectContaining({
+        task: 'analytics-hours',
+        system: 'You are a payroll analyst.',
+        prompt: 'Hours?',
+        temperature: 0.3,
+        maxTokens: 2000,
+        json: true
+      })]);
+    });
+
+    it('should give the same answer and token counts for the same request', async () => {
+      process.env.LLM_PROVIDER = 'fake';
+
+      const first = await runLLMTask('analytics-critical-events', { prompt: 'Any injuries?', json: true });
+      const second = await runLLMTask('analytics-critical-events', { prompt: 'Any injuries?', json: true });
+
+      expect(first.data).toEqual({ events: [] });
+      expect(second.text).toBe(first.text);
+      expect(second.usage).toEqual(first.usage);
+    });
+
+    it('should fail when the routed provider has no API key', async () => {
+      await expect(runLLMTask('analytics-hours', { prompt: 'Hours?' })).rejects.toThrow('OPENAI_API_KEY not configured');
+    });
+  });
+
+  describe('Roxy extraction', () => {
+    it('should extract through the roxy-extraction route', async () => {
+      process.env.LLM_PROVIDER = 'fake';
+      const fake = new FakeLLMProvider().respond('roxy-extraction', '```json\n{"project_name": "Cortex Commons", "total_hours": 8}\n```');
+      AIModelRegistry.registerProvider(fake);
+
+      const result = await extractFromTranscript('CC today, 8 hours', '2026-10-19.txt');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(expect.objectContaining({
+        project_name: 'Cortex Commons',
+        total_hours: 8,
+        original_filename: '2026-10-19.txt'
+      }));
+      expect(fake.calls[0].prompt).toContain('CC today, 8 hours');
+    });
+  });
+});
+
+describe('PromptRegistry routing', () => {
+  const reportIds = Array.from({ length: 1000 }, (_, i) => `rpt_${i}`);
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    PromptRegistry.registerPrompt({ ...PromptRegistry.getPrompt('extraction-v2.0'), version: 'extraction-v2.1' });
+    AIModelRegistry.registerNewVersion({
+      modelId: 'claude-3-5-sonnet-20241022',
+      version: 'v2.1.0',
+      promptVersion: 'extraction-v2.1',
+      capabilities: ['personnel', 'vendors', 'constraints', 'work_logs', 'confidence'],
+      status: 'experimental',
+      deployedAt: '2026-10-01T00:00:00Z'
+    });
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.PROMPT_ROUTING_RULES;
+    PromptRegistry.resetRoutingRules();
+    jest.restoreAllMocks();
+  });
+
+  it('should keep the active version when an experimental one is registered', () => {
+    expect(AIModelRegistry.getActiveVersion().version).toBe('v2.0.0');
+    expect(AIModelRegistry.getVersion('v2.0.0').deprecatedAt).toBeUndefined();
+  });
+
+  it('should use the active version without rules', () => {
+    expect(PromptRegistry.routeReport({ reportId: 'rpt_1' })).toEqual({
+      modelVersion: 'v2.0.0',
+      promptVersion: 'extraction-v2.0',
+      rule: null,
+      reason: 'active'
+    });
+  });
+
+  it('should send about the configured share of reports to the experiment, the same way every time', () => {
+    PromptRegistry.setRoutingRules([{ id: 'pilot', version: 'v2.1.0', percent: 20 }]);
+
+    const routed = reportIds.filter(reportId => PromptRegistry.routeReport({ reportId }).rule === 'pilot');
+
+    expect(routed.length).toBeGreaterThan(150);
+    expect(routed.length).toBeLessThan(250);
+    expect(reportIds.filter(reportId => PromptRegistry.routeReport({ reportId }).rule === 'pilot')).toEqual(routed);
+    expect(PromptRegistry.routeReport({ reportId: routed[0] })).toEqual(expect.objectContaining({
+      modelVersion: 'v2.1.0',
+      promptVersion: 'extraction-v2.1',
+      reason: 'percent'
+    }));
+  });
+
+  it('should route named projects and managers before the percentage split', () => {
+    PromptRegistry.setRoutingRules([
+      { id: 'everyone-else', version: 'v2.0.0', percent: 100 },
+      { id: 'pilot-sites', version: 'v2.1.0', projectIds: ['proj_001'], managerIds: ['mgr_002'] }
+    ]);
+
+    expect(PromptRegistry.routeReport({ reportId: 'rpt_1', projectId: 'proj_001' })).toEqual(expect.objectContaining({ rule: 'pilot-sites', reason: 'project' }));
+    expect(PromptRegistry.routeReport({ reportId: 'rpt_1', projectId: 'proj_009', managerId: 'mgr_002' })).toEqual(expect.objectContaining({ rule: 'pilot-sites', reason: 'manager' }));
+    expect(PromptRegistry.routeReport({ reportId: 'rpt_1', projectId: 'proj_009' })).toEqual(expect.objectContaining({ rule: 'everyone-else' }));
+  });
+
+  it('should reject rules that cannot be routed', () => {
+    expect(() => PromptRegistry.setRoutingRules([{ id: 'a', version: 'v9.0.0', percent: 10 }])).toThrow('model version v9.0.0 not found');
+    expect(() => PromptRegistry.setRoutingRules([{ id: 'a', version: 'v2.1.0' }])).toThrow('percent must be between 0 and 100');
+    expect(() => PromptRegistry.setRoutingRules([
+      { id: 'a', version: 'v2.1.0', percent: 60 },
+      { id: 'b', version: 'v1.0.0', percent: 60 }
+    ])).toThrow('120%');
+    expect(PromptRegistry.getRoutingRules()).toEqual([]);
+  });
+
+  it('should read PROMPT_ROUTING_RULES and ignore it when invalid', () => {
+    process.env.PROMPT_ROUTING_RULES = JSON.stringify([{ id: 'pilot', version: 'v2.1.0', projectIds: ['proj_001'] }]);
+    expect(PromptRegistry.routeReport({ reportId: 'rpt_1', projectId: 'proj_001' }).modelVersion).toBe('v2.1.0');
+
+    PromptRegistry.resetRoutingRules();
+    process.env.PROMPT_ROUTING_RULES = '[{"id": "pilot"';
+    expect(PromptRegistry.routeReport({ reportId: 'rpt_1', projectId: 'proj_001' }).modelVersion).toBe('v2.0.0');
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Ignoring PROMPT_ROUTING_RULES'));
+  });
+
+  it('should insert transcript text literally', () => {
+    const prompt = PromptRegistry.buildPrompt('extraction-v2.0', { rawTranscriptText: 'Paid $& and $1 for sleeves' });
+
+    expect(prompt).toContain('Paid $& and $1 for sleeves');
+  });
+});
+
+describe('parseJSONResponse', () => {
+  it('should parse bare JSON', () => {
+    expect(parseJSONResponse(' {"employees": []} ')).toEqual({ employees: [] });
+  });
+
+  it('should parse a fenced JSON block', () => {
+    expect(parseJSONResponse('Here you go:\n```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+  });
+
+  it('should parse a JSON object surrounded by prose', () => {
+    expect(parseJSONResponse('Sure! {"a": {"b": 2}} Let me know.')).toEqual({ a: { b: 2 } });
+  });
+
+  it('should throw when there is no JSON', () => {
+    expect(() => parseJSONResponse('No data found')).toThrow('Could not parse JSON from model response');
+  });
+});
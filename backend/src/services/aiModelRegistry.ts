@@ -3,23 +3,170 @@
  *
  * Model versioning and prompt management for AI pipeline
  * Implements RFC-008 model versioning requirements
+ *
+ * Also routes each LLM task (extraction, payroll, each analytics agent) to a
+ * provider and model. Routes can be changed per task at runtime or through
+ * the environment:
+ *   LLM_PROVIDER=fake                       every task, e.g. offline test runs
+ *   LLM_PROVIDER_ANALYTICS_HOURS=anthropic  one task's provider
+ *   LLM_MODEL_ANALYTICS_HOURS=gpt-4o-mini   one task's model
+ *   LLM_FIXTURES=record|replay              save or serve responses from disk (see llmFixtures)
+ *
+ * Report extraction prompts can be A/B tested: PromptRegistry routing rules
+ * send some projects, managers or a share of reports to another model
+ * version, e.g.
+ *   PROMPT_ROUTING_RULES='[{"id":"v2.1-pilot","version":"v2.1.0","percent":10}]'
+ * Without rules every report uses the active version.
+ *
+ * Model accuracy comes from evaluation runs against the labeled training
+ * transcripts (npm run eval:extraction), saved in modelEvaluations.json.
+ * A version with no run for its prompt and model has no accuracy at all
+ * (undefined, not zero); the committed file holds no runs until one is
+ * recorded against a live model.
  */
 
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  LLMProvider,
+  LLMProviderName,
+  LLMResponse,
+  FakeLLMProvider,
+  createLLMProvider,
+  parseJSONResponse
+} from './llmProviders';
+import { FixtureLLMProvider, fixtureMode } from './llmFixtures';
+
 export interface AIModelVersion {
   modelId: string;              // e.g., "claude-3-5-sonnet-20241022"
   version: string;              // e.g., "v2.1.0"
   promptVersion: string;        // e.g., "extraction-v2.1"
   capabilities: string[];       // e.g., ["personnel", "vendors", "constraints"]
-  accuracy: {
-    personnel: number;          // Historical accuracy %
-    vendors: number;
-    constraints: number;
-  };
+  accuracy?: ModelAccuracy;     // F1 % from the latest evaluation, if any
+  evaluation?: ModelEvaluation;
   status: 'active' | 'deprecated' | 'experimental';
   deployedAt: string;
   deprecatedAt?: string;
 }
 
+export interface ModelAccuracy {
+  personnel: number | null;
+  hours: number | null;
+  vendors: number | null;
+  constraints: number | null;
+}
+
+export interface ModelEvaluation {
+  promptVersion: string;
+  provider: string;
+  model: string;
+  evaluatedAt: string;
+  transcripts: number;          // Labeled transcripts scored
+  failed: number;               // Extractions that errored (scored as empty)
+  accuracy: ModelAccuracy;      // F1 %
+  precision: ModelAccuracy;
+  recall: ModelAccuracy;
+}
+
+export const MODEL_EVALUATIONS_FILE = path.join(__dirname, 'modelEvaluations.json');
+
+/**
+ * Saved evaluation runs, latest per prompt version and model
+ */
+export function loadModelEvaluations(file: string = MODEL_EVALUATIONS_FILE): ModelEvaluation[] {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+}
+
+export type LLMTask =
+  | 'report-extraction'
+  | 'transcript-analytics'
+  | 'roxy-extraction'
+  | 'payroll-extraction'
+  | 'analytics-hours'
+  | 'analytics-critical-events'
+  | 'analytics-vendor-performance'
+  | 'analytics-project-milestones'
+  | 'analytics-constraint-costs'
+  | 'analytics-strategic-recommendations';
+
+export interface LLMTaskModel {
+  provider: LLMProviderName;
+  model: string;
+  temperature?: number;
+  maxTokens?: number;
+  jsonMode?: boolean;           // false for models without a native JSON output mode
+}
+
+// Model used when a task is moved to a provider without naming a model
+const DEFAULT_PROVIDER_MODELS: Record<LLMProviderName, string> = {
+  anthropic: 'claude-3-5-sonnet-20241022',
+  openai: 'gpt-4o',
+  fake: 'fake-llm'
+};
+
+// What the fake provider answers for each task: the smallest response its
+// caller accepts, so the pipeline runs end to end without network access
+const FAKE_TASK_RESPONSES: Record<LLMTask, unknown> = {
+  'report-extraction': {
+    personnel: [],
+    workLogs: [],
+    constraints: [],
+    vendors: [],
+    timeSummary: { totalPersonnelCount: 0, totalRegularHours: 0, totalOvertimeHours: 0 }
+  },
+  'transcript-analytics': {
+    personnel: [],
+    workLogs: [],
+    constraints: [],
+    vendors: [],
+    timeSummary: { totalPersonnelCount: 0, totalRegularHours: 0, totalOvertimeHours: 0 }
+  },
+  'roxy-extraction': {
+    report_date: null,
+    reporter_name: null,
+    project_name: null,
+    total_hours: 0,
+    additional_personnel: [],
+    work_completed: [],
+    work_in_progress: [],
+    issues: [],
+    vendors: [],
+    weather_notes: '',
+    extraction_confidence: 0,
+    ambiguities: []
+  },
+  'payroll-extraction': { employees: [] },
+  'analytics-hours': { personnel_hours: [], summary: {} },
+  'analytics-critical-events': { events: [] },
+  'analytics-vendor-performance': {
+    trend: 'stable',
+    impact_summary: '',
+    specific_issues: [],
+    recommendations: [],
+    quality_concerns: false,
+    confidence: 0
+  },
+  'analytics-project-milestones': {
+    inspections: [],
+    milestones: [],
+    quality_issues: [],
+    coordination_issues: [],
+    production_metrics: {},
+    project_health: {}
+  },
+  'analytics-constraint-costs': { constraints: [], cost_summary: { total_cost_impact: 0 }, patterns: {} },
+  'analytics-strategic-recommendations': {
+    executive_summary: {},
+    cross_functional_patterns: [],
+    cost_reduction_opportunities: [],
+    risk_escalations: [],
+    performance_recognition: [],
+    strategic_recommendations: [],
+    key_metrics_summary: {}
+  }
+};
+
 export interface PromptTemplate {
   version: string;
   template: string;
@@ -28,6 +175,27 @@ export interface PromptTemplate {
   includesConfidenceScoring: boolean;
 }
 
+export interface PromptRoutingRule {
+  id: string;                   // Stamped on each report the rule routes
+  version: string;              // Model version (and so prompt version) to use
+  percent?: number;             // Share of reports, 0-100; all of them when targeted and unset
+  projectIds?: string[];        // Only reports for these projects...
+  managerIds?: string[];        // ...or by these managers
+}
+
+export interface PromptRoutingContext {
+  reportId: string;
+  projectId?: string;
+  managerId?: string;
+}
+
+export interface PromptRoute {
+  modelVersion: string;
+  promptVersion: string;
+  rule: string | null;          // Matching rule id, null for the active version
+  reason: 'project' | 'manager' | 'percent' | 'active';
+}
+
 export class AIModelRegistry {
 
   private static models: Map<string, AIModelVersion> = new Map([
@@ -36,11 +204,6 @@ export class AIModelRegistry {
       version: 'v1.0.0',
       promptVersion: 'extraction-v1.0',
       capabilities: ['personnel', 'vendors', 'constraints', 'work_logs'],
-      accuracy: {
-        personnel: 88,
-        vendors: 82,
-        constraints: 85
-      },
       status: 'deprecated',
       deployedAt: '2025-09-01T00:00:00Z',
       deprecatedAt: '2025-11-04T00:00:00Z'
@@ -50,16 +213,115 @@ export class AIModelRegistry {
       version: 'v2.0.0',
       promptVersion: 'extraction-v2.0',
       capabilities: ['personnel', 'vendors', 'constraints', 'work_logs', 'confidence'],
-      accuracy: {
-        personnel: 92,
-        vendors: 87,
-        constraints: 89
-      },
       status: 'active',
       deployedAt: '2025-11-04T00:00:00Z'
     }]
   ]);
 
+  private static tasks: Map<string, LLMTaskModel> = new Map<string, LLMTaskModel>([
+    ['report-extraction', { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022', temperature: 0, maxTokens: 8000 }],
+    ['transcript-analytics', { provider: 'openai', model: 'gpt-4o', temperature: 0 }],
+    ['roxy-extraction', { provider: 'anthropic', model: 'claude-sonnet-4-20250514', temperature: 0, maxTokens: 2000 }],
+    ['payroll-extraction', { provider: 'openai', model: 'gpt-4', temperature: 0.3, maxTokens: 2000, jsonMode: false }],
+    ['analytics-hours', { provider: 'openai', model: 'gpt-4o', temperature: 0.3, maxTokens: 2000 }],
+    ['analytics-critical-events', { provider: 'openai', model: 'gpt-4o', temperature: 0.2, maxTokens: 1500 }],
+    ['analytics-vendor-performance', { provider: 'openai', model: 'gpt-4o', temperature: 0.4, maxTokens: 1000 }],
+    ['analytics-project-milestones', { provider: 'openai', model: 'gpt-4o', temperature: 0.3, maxTokens: 3000 }],
+    ['analytics-constraint-costs', { provider: 'openai', model: 'gpt-4o', temperature: 0.3, maxTokens: 4000 }],
+    ['analytics-strategic-recommendations', { provider: 'openai', model: 'gpt-4o', temperature: 0.4, maxTokens: 4000 }]
+  ]);
+
+  private static providers: Map<LLMProviderName, LLMProvider> = new Map();
+
+  private static evaluations: ModelEvaluation[] = [];
+
+  /**
+   * Provider and model for a task, after environment overrides
+   */
+  static getTaskModel(task: LLMTask | string): LLMTaskModel {
+    const route = this.tasks.get(task);
+    if (!route) {
+      throw new Error(`Unknown LLM task: ${task}`);
+    }
+
+    const envKey = task.toUpperCase().replace(/-/g, '_');
+    const provider = (process.env[`LLM_PROVIDER_${envKey}`] || process.env.LLM_PROVIDER || route.provider) as LLMProviderName;
+    const model = process.env[`LLM_MODEL_${envKey}`]
+      || (provider === route.provider ? route.model : DEFAULT_PROVIDER_MODELS[provider]);
+
+    if (!model) {
+      throw new Error(`Unknown LLM provider for ${task}: ${provider}`);
+    }
+
+    return { ...route, provider, model };
+  }
+
+  /**
+   * Switch a task to another provider or model
+   */
+  static setTaskModel(task: LLMTask | string, changes: Partial<LLMTaskModel>): void {
+    const route = this.tasks.get(task);
+    if (!route) {
+      throw new Error(`Unknown LLM task: ${task}`);
+    }
+
+    const provider = changes.provider || route.provider;
+    const model = changes.model
+      || (provider === route.provider ? route.model : DEFAULT_PROVIDER_MODELS[provider]);
+
+    this.tasks.set(task, { ...route, ...changes, provider, model });
+    console.log(`✅ LLM task ${task} now uses ${provider}/${model}`);
+  }
+
+  /**
+   * All task routes, after environment overrides
+   */
+  static getAllTaskModels(): Record<string, LLMTaskModel> {
+    return Object.fromEntries(
+      Array.from(this.tasks.keys()).map(task => [task, this.getTaskModel(task)])
+    );
+  }
+
+  /**
+   * Provider instance by name, created on first use and wrapped for
+   * record/replay when LLM_FIXTURES is set
+   */
+  static getProvider(name: LLMProviderName): LLMProvider {
+    let provider = this.providers.get(name);
+    if (!provider) {
+      provider = name === 'fake'
+        ? new FakeLLMProvider({ responses: FAKE_TASK_RESPONSES })
+        : createLLMProvider(name);
+      const mode = fixtureMode();
+      if (mode) {
+        provider = new FixtureLLMProvider(provider, { mode });
+      }
+      this.providers.set(name, provider);
+    }
+    return provider;
+  }
+
+  /**
+   * Use this provider instance for its name, e.g. a FakeLLMProvider in tests
+   */
+  static registerProvider(provider: LLMProvider): void {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Drop provider instances so the next call creates them again
+   */
+  static resetProviders(): void {
+    this.providers.clear();
+  }
+
+  /**
+   * Whether the provider a task routes to can make calls
+   */
+  static isTaskConfigured(task: LLMTask | string): boolean {
+    return this.getProvider(this.getTaskModel(task).provider).isConfigured();
+  }
+
   /**
    * Get active model version
    */
@@ -85,9 +347,10 @@ export class AIModelRegistry {
    * Register new model version
    */
   static registerNewVersion(model: AIModelVersion): void {
-    // Mark previous active as deprecated
-    const previousActive = Array.from(this.models.values())
-      .find(m => m.status === 'active');
+    // Mark previous active as deprecated; experimental versions run alongside it
+    const previousActive = model.status === 'active'
+      ? Array.from(this.models.values()).find(m => m.status === 'active' && m.version !== model.version)
+      : undefined;
 
     if (previousActive) {
       previousActive.status = 'deprecated';
@@ -95,6 +358,7 @@ export class AIModelRegistry {
     }
 
     this.models.set(model.version, model);
+    this.applyEvaluations(model);
 
     console.log(`✅ Registered new AI model version: ${model.version}`);
     console.log(`   - Model ID: ${model.modelId}`);
@@ -102,6 +366,49 @@ export class AIModelRegistry {
     console.log(`   - Status: ${model.status}`);
   }
 
+  /**
+   * Record an evaluation run; model versions using its prompt and model take
+   * its accuracy
+   */
+  static recordEvaluation(evaluation: ModelEvaluation): void {
+    this.evaluations = this.evaluations
+      .filter(e => e.promptVersion !== evaluation.promptVersion || e.model !== evaluation.model)
+      .concat(evaluation);
+    this.models.forEach(model => this.applyEvaluations(model));
+  }
+
+  /**
+   * Latest evaluation per prompt version and model
+   */
+  static getEvaluations(): ModelEvaluation[] {
+    return [...this.evaluations];
+  }
+
+  /**
+   * Forget recorded evaluations; model versions lose their accuracy
+   */
+  static clearEvaluations(): void {
+    this.evaluations = [];
+    this.models.forEach(model => this.applyEvaluations(model));
+  }
+
+  /**
+   * Write the evaluations to modelEvaluations.json, which is committed so
+   * accuracy changes show up in review
+   */
+  static saveEvaluations(file: string = MODEL_EVALUATIONS_FILE): void {
+    const sorted = [...this.evaluations].sort((a, b) =>
+      a.promptVersion.localeCompare(b.promptVersion) || a.model.localeCompare(b.model));
+    fs.writeFileSync(file, JSON.stringify(sorted, null, 2) + '\n');
+  }
+
+  private static applyEvaluations(model: AIModelVersion): void {
+    const evaluation = this.evaluations
+      .find(e => e.promptVersion === model.promptVersion && e.model === model.modelId);
+    model.accuracy = evaluation?.accuracy;
+    model.evaluation = evaluation;
+  }
+
   /**
    * Get all model versions
    */
@@ -131,6 +438,8 @@ export class AIModelRegistry {
   }
 }
 
+loadModelEvaluations().forEach(evaluation => AIModelRegistry.recordEvaluation(evaluation));
+
 export class PromptRegistry {
 
   private static prompts: Map<string, PromptTemplate> = new Map([
@@ -264,6 +573,8 @@ Return a valid JSON object with keys: personnel, workLogs, constraints, vendors,
     }]
   ]);
 
+  private static routingRules: PromptRoutingRule[] | null = null;
+
   /**
    * Get prompt template by version
    */
@@ -291,9 +602,9 @@ Return a valid JSON object with keys: personnel, workLogs, constraints, vendors,
 
     let prompt = template.template;
 
-    // Replace all variables
+    // Replace all variables; a function keeps "$&" and the like in transcripts literal
     for (const [key, value] of Object.entries(variables)) {
-      prompt = prompt.replace(new RegExp(`{${key}}`, 'g'), value);
+      prompt = prompt.replace(new RegExp(`{${key}}`, 'g'), () => value);
     }
 
     return prompt;
@@ -313,6 +624,104 @@ Return a valid JSON object with keys: personnel, workLogs, constraints, vendors,
 
     return prompts[0];
   }
+
+  /**
+   * Replace the routing rules; checked before any report is routed by them
+   */
+  static setRoutingRules(rules: PromptRoutingRule[]): void {
+    const ids = new Set<string>();
+    let percentTotal = 0;
+
+    for (const rule of rules) {
+      if (!rule.id || ids.has(rule.id)) {
+        throw new Error(`Routing rules need unique ids: ${JSON.stringify(rule.id)}`);
+      }
+      ids.add(rule.id);
+
+      const model = AIModelRegistry.getVersion(rule.version);
+      if (!model) {
+        throw new Error(`Routing rule ${rule.id}: model version ${rule.version} not found`);
+      }
+      this.getPrompt(model.promptVersion);
+
+      const targeted = !!(rule.projectIds?.length || rule.managerIds?.length);
+      if (rule.percent === undefined ? !targeted : !(rule.percent >= 0 && rule.percent <= 100)) {
+        throw new Error(`Routing rule ${rule.id}: percent must be between 0 and 100`);
+      }
+      if (!targeted) {
+        percentTotal += rule.percent as number;
+      }
+    }
+
+    if (percentTotal > 100) {
+      throw new Error(`Routing rules send ${percentTotal}% of reports to other versions`);
+    }
+
+    this.routingRules = rules.map(rule => ({ ...rule }));
+    console.log(`✅ Prompt routing: ${rules.length ? rules.map(r => `${r.id} -> ${r.version}`).join(', ') : 'active version only'}`);
+  }
+
+  /**
+   * Current routing rules, read from PROMPT_ROUTING_RULES on first use
+   */
+  static getRoutingRules(): PromptRoutingRule[] {
+    if (this.routingRules === null) {
+      this.routingRules = [];
+      if (process.env.PROMPT_ROUTING_RULES) {
+        try {
+          this.setRoutingRules(JSON.parse(process.env.PROMPT_ROUTING_RULES));
+        } catch (error) {
+          // A bad experiment config shouldn't stop extraction; fall back to the active version
+          console.error(`❌ Ignoring PROMPT_ROUTING_RULES: ${(error as Error).message}`);
+        }
+      }
+    }
+    return this.routingRules.map(rule => ({ ...rule }));
+  }
+
+  /**
+   * Drop the rules so the next report reads PROMPT_ROUTING_RULES again
+   */
+  static resetRoutingRules(): void {
+    this.routingRules = null;
+  }
+
+  /**
+   * Model and prompt version for a report
+   *
+   * Rules naming the report's project or manager win, in order. The rest split
+   * reports by a hash of the report id, so a retried report keeps its version.
+   */
+  static routeReport(context: PromptRoutingContext): PromptRoute {
+    const rules = this.getRoutingRules();
+    const bucket = crypto.createHash('sha256').update(String(context.reportId)).digest().readUInt32BE(0) % 10000 / 100;
+    const route = (rule: PromptRoutingRule, reason: PromptRoute['reason']): PromptRoute => ({
+      modelVersion: rule.version,
+      promptVersion: (AIModelRegistry.getVersion(rule.version) as AIModelVersion).promptVersion,
+      rule: rule.id,
+      reason
+    });
+
+    for (const rule of rules) {
+      const reason = context.projectId && rule.projectIds?.includes(context.projectId) ? 'project'
+        : context.managerId && rule.managerIds?.includes(context.managerId) ? 'manager'
+          : null;
+      if (reason && bucket < (rule.percent ?? 100)) {
+        return route(rule, reason);
+      }
+    }
+
+    let threshold = 0;
+    for (const rule of rules.filter(r => !r.projectIds?.length && !r.managerIds?.length)) {
+      threshold += rule.percent as number;
+      if (bucket < threshold) {
+        return route(rule, 'percent');
+      }
+    }
+
+    const active = AIModelRegistry.getActiveVersion();
+    return { modelVersion: active.version, promptVersion: active.promptVersion, rule: null, reason: 'active' };
+  }
 }
 
 // Export singleton access
@@ -328,3 +737,42 @@ export function buildExtractionPrompt(variables: Record<string, string>): string
   const activeModel = AIModelRegistry.getActiveVersion();
   return PromptRegistry.buildPrompt(activeModel.promptVersion, variables);
 }
+
+export interface LLMTaskInput {
+  system?: string;
+  prompt: string;
+  json?: boolean;               // Parse the response text into `data`
+  parse?: boolean;              // false: ask for JSON but leave the text for the caller to check
+}
+
+export interface LLMTaskResult extends LLMResponse {
+  task: string;
+  data?: any;
+}
+
+/**
+ * Run a task on the provider and model the registry routes it to
+ */
+export async function runLLMTask(task: LLMTask | string, input: LLMTaskInput): Promise<LLMTaskResult> {
+  const route = AIModelRegistry.getTaskModel(task);
+  const provider = AIModelRegistry.getProvider(route.provider);
+
+  const response = await provider.complete({
+    task,
+    model: route.model,
+    system: input.system,
+    prompt: input.prompt,
+    temperature: route.temperature,
+    maxTokens: route.maxTokens,
+    json: input.json,
+    jsonMode: route.jsonMode
+  });
+
+  console.log(`🤖 ${task}: ${response.provider}/${response.model} in ${response.durationMs}ms (${response.usage.totalTokens} tokens)`);
+
+  return {
+    ...response,
+    task,
+    ...(input.json && input.parse !== false ? { data: parseJSONResponse(response.text) } : {})
+  };
+}
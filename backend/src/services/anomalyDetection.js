@@ -0,0 +1,282 @@
+"use strict";
+/**
+ * Anomaly Detection
+ *
+ * Baselines of what a project's reports usually look like, built from its
+ * recent payroll entries: crew size per report, and regular hours, overtime
+ * hours, arrival and departure times both project-wide and per employee.
+ * A new report's extraction is compared against them; values far outside the
+ * usual range become flags on the report ("Crew of 40 on a project that
+ * averages 8") and an anomalyScore for ConfidenceScoringService.
+ *
+ * Each value gets a z-score against its baseline. The anomaly score grows
+ * from 0 at one standard deviation to 100 at five; a value is flagged at
+ * three (score 50). Baselines need MIN_BASELINE_SAMPLES values before they
+ * are used, and a minimum spread so a project whose crews always report
+ * exactly 8 hours does not flag 8.5.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.AnomalyDetector = exports.ANOMALY_FLAG_SCORE = exports.MIN_BASELINE_SAMPLES = exports.ANOMALY_LOOKBACK_DAYS = exports.PROJECT_DATE_INDEX = exports.PAYROLL_ENTRIES_TABLE = void 0;
+exports.nameKey = nameKey;
+exports.parseTimeOfDay = parseTimeOfDay;
+exports.formatTimeOfDay = formatTimeOfDay;
+exports.baselineStats = baselineStats;
+exports.buildProjectBaseline = buildProjectBaseline;
+exports.anomalyScoreFor = anomalyScoreFor;
+exports.detectAnomalies = detectAnomalies;
+const client_dynamodb_1 = require("@aws-sdk/client-dynamodb");
+const util_dynamodb_1 = require("@aws-sdk/util-dynamodb");
+exports.PAYROLL_ENTRIES_TABLE = 'sitelogix-payroll-entries';
+exports.PROJECT_DATE_INDEX = 'GSI2-ProjectDateIndex';
+exports.ANOMALY_LOOKBACK_DAYS = 90;
+exports.MIN_BASELINE_SAMPLES = 5;
+exports.ANOMALY_FLAG_SCORE = 50;
+// Smallest standard deviation each metric is measured against
+const MIN_SPREAD = {
+    crew_size: mean => Math.max(1, mean * 0.1),
+    regular_hours: () => 1,
+    overtime_hours: () => 1,
+    arrival_time: () => 30,
+    departure_time: () => 30
+};
+function round(value, places = 1) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+function toNumber(value) {
+    if (value === null || value === undefined || value === '')
+        return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+/**
+ * Lookup key for an employee name, e.g. "Kenny  O'Neil" -> "kenny o neil"
+ */
+function nameKey(name) {
+    return String(name ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+/**
+ * Minutes after midnight for "7:00", "07:30", "7am", "3:45 PM" or "3:45 p.m."
+ */
+function parseTimeOfDay(value) {
+    if (typeof value !== 'string')
+        return null;
+    const match = value.trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?\s*m?\.?$/);
+    if (!match)
+        return null;
+    let hours = Number(match[1]);
+    const minutes = Number(match[2] || 0);
+    const meridiem = match[3];
+    if (!match[2] && !meridiem)
+        return null;
+    if (minutes > 59 || hours > (meridiem ? 12 : 23))
+        return null;
+    if (meridiem === 'p' && hours < 12)
+        hours += 12;
+    if (meridiem === 'a' && hours === 12)
+        hours = 0;
+    return hours * 60 + minutes;
+}
+/**
+ * "7:00 AM" for minutes after midnight
+ */
+function formatTimeOfDay(minutes) {
+    const rounded = Math.round(minutes);
+    const hours = Math.floor(rounded / 60) % 24;
+    const suffix = hours >= 12 ? 'PM' : 'AM';
+    return `${hours % 12 || 12}:${String(rounded % 60).padStart(2, '0')} ${suffix}`;
+}
+/**
+ * Mean and standard deviation, or null with fewer than MIN_BASELINE_SAMPLES values
+ */
+function baselineStats(values) {
+    const numbers = values.filter((value) => value !== null);
+    if (numbers.length < exports.MIN_BASELINE_SAMPLES)
+        return null;
+    const mean = numbers.reduce((total, value) => total + value, 0) / numbers.length;
+    const variance = numbers.reduce((total, value) => total + (value - mean) ** 2, 0) / numbers.length;
+    return { samples: numbers.length, mean: round(mean, 2), stdDev: round(Math.sqrt(variance), 2) };
+}
+function workBaseline(entries) {
+    return {
+        regularHours: baselineStats(entries.map(entry => toNumber(entry.regular_hours))),
+        overtimeHours: baselineStats(entries.map(entry => toNumber(entry.overtime_hours))),
+        arrivalMinutes: baselineStats(entries.map(entry => parseTimeOfDay(entry.arrival_time))),
+        departureMinutes: baselineStats(entries.map(entry => parseTimeOfDay(entry.departure_time)))
+    };
+}
+/**
+ * Baseline for a project from its payroll entries
+ *
+ * @param entries - Payroll entries (snake_case, as stored); entries of
+ *   `excludeReportId` are left out so a report is not compared with itself
+ */
+function buildProjectBaseline(projectId, entries, excludeReportId) {
+    const history = (entries || []).filter(entry => !excludeReportId || entry.report_id !== excludeReportId);
+    const crewByReport = new Map();
+    const byEmployee = new Map();
+    for (const entry of history) {
+        const key = nameKey(entry.employee_name);
+        if (!crewByReport.has(entry.report_id))
+            crewByReport.set(entry.report_id, new Set());
+        crewByReport.get(entry.report_id).add(entry.employee_id || key);
+        if (key) {
+            if (!byEmployee.has(key))
+                byEmployee.set(key, []);
+            byEmployee.get(key).push(entry);
+        }
+    }
+    const employees = {};
+    for (const [key, employeeEntries] of byEmployee) {
+        employees[key] = { name: employeeEntries[0].employee_name, ...workBaseline(employeeEntries) };
+    }
+    return {
+        projectId,
+        reports: crewByReport.size,
+        crewSize: baselineStats([...crewByReport.values()].map(crew => crew.size)),
+        ...workBaseline(history),
+        employees
+    };
+}
+/**
+ * z-score of a value against a baseline, using the metric's minimum spread
+ */
+function zScore(metric, value, stats) {
+    return (value - stats.mean) / Math.max(stats.stdDev, MIN_SPREAD[metric](stats.mean));
+}
+/**
+ * Anomaly score (0-100) for a z-score: 0 within one standard deviation, 100 at five
+ */
+function anomalyScoreFor(z) {
+    return Math.round(Math.min(100, Math.max(0, (Math.abs(z) - 1) * 25)));
+}
+function describe(metric, subject, value, expected, usual) {
+    switch (metric) {
+        case 'crew_size':
+            return `Crew of ${value} on a project that averages ${round(expected)}`;
+        case 'regular_hours':
+            return `${subject} reported ${value} hours; ${usual} ${round(expected)}`;
+        case 'overtime_hours':
+            return `${subject} reported ${value} overtime hours; ${usual} ${round(expected)}`;
+        case 'arrival_time':
+            return `${subject || 'Crew'} arrived at ${formatTimeOfDay(value)}; ${usual} ${formatTimeOfDay(expected)}`;
+        case 'departure_time':
+            return `${subject || 'Crew'} left at ${formatTimeOfDay(value)}; ${usual} ${formatTimeOfDay(expected)}`;
+    }
+}
+function check(metric, subject, value, stats, usual) {
+    if (value === null || !stats)
+        return null;
+    const z = zScore(metric, value, stats);
+    return {
+        metric,
+        subject,
+        value,
+        expected: stats.mean,
+        zScore: round(z, 2),
+        score: anomalyScoreFor(z),
+        message: describe(metric, subject, value, stats.mean, usual)
+    };
+}
+/**
+ * Compare an extraction with a project baseline
+ *
+ * Personnel are compared with their own history on the project when they
+ * have enough of it, otherwise with the project's. Only checks scoring
+ * ANOMALY_FLAG_SCORE or more are flagged, but every check feeds the
+ * person's anomalyScore.
+ */
+function detectAnomalies(extractedData, baseline) {
+    if (!baseline || baseline.reports === 0) {
+        return { flags: [], personnel: [] };
+    }
+    const flags = [];
+    const keep = (result) => {
+        if (result && result.score >= exports.ANOMALY_FLAG_SCORE)
+            flags.push(result);
+        return result;
+    };
+    const personnel = Array.isArray(extractedData?.personnel) ? extractedData.personnel : [];
+    const timeSummary = extractedData?.timeSummary || {};
+    const crewSize = toNumber(timeSummary.totalPersonnelCount) || personnel.length || null;
+    keep(check('crew_size', null, crewSize, baseline.crewSize, ''));
+    keep(check('arrival_time', null, parseTimeOfDay(timeSummary.arrivalTime), baseline.arrivalMinutes, 'crews usually arrive at'));
+    keep(check('departure_time', null, parseTimeOfDay(timeSummary.departureTime), baseline.departureMinutes, 'crews usually leave at'));
+    const signals = personnel.map((person) => {
+        const name = person?.fullName || person?.goByName || 'Unnamed crew member';
+        const own = baseline.employees[nameKey(person?.fullName)] || baseline.employees[nameKey(person?.goByName)];
+        const pick = (field) => own?.[field]
+            ? [own[field], 'usually']
+            : [baseline[field], 'crews on this project average'];
+        const results = [
+            keep(check('regular_hours', name, toNumber(person?.hoursWorked), ...pick('regularHours'))),
+            keep(check('overtime_hours', name, toNumber(person?.overtimeHours), ...pick('overtimeHours'))),
+            keep(check('arrival_time', name, parseTimeOfDay(person?.arrivalTime), ...pick('arrivalMinutes'))),
+            keep(check('departure_time', name, parseTimeOfDay(person?.departureTime), ...pick('departureMinutes')))
+        ].filter((result) => result !== null);
+        if (results.length === 0)
+            return {};
+        const worst = results.reduce((a, b) => (b.score > a.score ? b : a));
+        return {
+            anomalyScore: worst.score,
+            historicalConfidence: 100 - worst.score,
+            ...(worst.score >= exports.ANOMALY_FLAG_SCORE ? { anomalyReason: worst.message } : {})
+        };
+    });
+    return { flags, personnel: signals };
+}
+class AnomalyDetector {
+    constructor(client, tableName = exports.PAYROLL_ENTRIES_TABLE) {
+        this.client = client;
+        this.tableName = tableName;
+    }
+    /**
+     * Payroll entries for a project in the ANOMALY_LOOKBACK_DAYS up to `reportDate`
+     */
+    async projectHistory(projectId, reportDate) {
+        const end = new Date(`${reportDate}T00:00:00Z`);
+        const start = new Date(end.getTime() - exports.ANOMALY_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+        const entries = [];
+        let startKey;
+        do {
+            const result = await this.client.send(new client_dynamodb_1.QueryCommand({
+                TableName: this.tableName,
+                IndexName: exports.PROJECT_DATE_INDEX,
+                KeyConditionExpression: 'project_id = :projectId AND report_date BETWEEN :start AND :end',
+                ExpressionAttributeValues: (0, util_dynamodb_1.marshall)({
+                    ':projectId': projectId,
+                    ':start': start.toISOString().slice(0, 10),
+                    ':end': reportDate
+                }),
+                ExclusiveStartKey: startKey
+            }));
+            entries.push(...(result.Items || []).map(item => (0, util_dynamodb_1.unmarshall)(item)));
+            startKey = result.LastEvaluatedKey;
+        } while (startKey);
+        return entries;
+    }
+    /**
+     * Baseline for a project as of a report, leaving that report out
+     */
+    async projectBaseline(projectId, reportDate, reportId) {
+        return buildProjectBaseline(projectId, await this.projectHistory(projectId, reportDate), reportId);
+    }
+    /**
+     * Flags and confidence signals for a report's extraction
+     *
+     * History only adds signals, so when it cannot be read the report is
+     * scored without it rather than failing.
+     */
+    async detect(extractedData, report) {
+        let baseline;
+        try {
+            baseline = await this.projectBaseline(report.projectId, report.reportDate, report.reportId);
+        }
+        catch (error) {
+            console.warn(`⚠️ Could not load history for project ${report.projectId}; skipping anomaly checks:`, error.message);
+            return { flags: [], personnel: [] };
+        }
+        return detectAnomalies(extractedData, baseline);
+    }
+}
+exports.AnomalyDetector = AnomalyDetector;
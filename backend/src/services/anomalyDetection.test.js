@@ -0,0 +1,179 @@
+/**
+ * Anomaly Detection Tests
+ *
+ * Project and employee baselines from payroll history, and the flags and
+ * confidence signals a new report gets against them.
+ */
+
+const { unmarshall } = require('@aws-sdk/util-dynamodb');
+const {
+  AnomalyDetector,
+  parseTimeOfDay,
+  baselineStats,
+  buildProjectBaseline,
+  anomalyScoreFor,
+  detectAnomalies
+} = require('./anomalyDetection');
+
+/**
+ * Payroll entries for `reports` earlier reports with the same crew
+ */
+function history(reports, crew, overrides = () => ({})) {
+  const entries = [];
+  for (let day = 1; day <= reports; day++) {
+    crew.forEach((name, index) => {
+      entries.push({
+        report_id: `rpt_${day}`,
+        report_date: `2026-10-${String(day).padStart(2, '0')}`,
+        project_id: 'proj_001',
+        employee_id: `emp_${index + 1}`,
+        employee_name: name,
+        regular_hours: 8,
+        overtime_hours: 0,
+        arrival_time: '7:00 AM',
+        departure_time: '3:30 PM',
+        ...overrides(day, name)
+      });
+    });
+  }
+  return entries;
+}
+
+const CREW = ['Kenny Ruiz', 'Wes Clark', 'Jim Park', 'Ana Soto', 'Lee Grant', 'Raj Patel', 'Tom Hale', 'Bo Diaz'];
+
+describe('parseTimeOfDay', () => {
+  it('should read clock times with or without a meridiem', () => {
+    expect(parseTimeOfDay('07:30')).toBe(450);
+    expect(parseTimeOfDay('7am')).toBe(420);
+    expect(parseTimeOfDay('3:45 PM')).toBe(945);
+    expect(parseTimeOfDay('3:45 p.m.')).toBe(945);
+    expect(parseTimeOfDay('12:15 am')).toBe(15);
+    expect(parseTimeOfDay('12 pm')).toBe(720);
+  });
+
+  it('should not guess at anything else', () => {
+    expect(parseTimeOfDay('7')).toBeNull();
+    expect(parseTimeOfDay('around noon')).toBeNull();
+    expect(parseTimeOfDay('25:00')).toBeNull();
+    expect(parseTimeOfDay(null)).toBeNull();
+  });
+});
+
+describe('baselineStats', () => {
+  it('should need enough samples', () => {
+    expect(baselineStats([8, 8, 8, 8])).toBeNull();
+    expect(baselineStats([8, 8, null, 8, 8, 8])).toEqual({ samples: 5, mean: 8, stdDev: 0 });
+    expect(baselineStats([6, 8, 10, 6, 8, 10])).toEqual({ samples: 6, mean: 8, stdDev: 1.63 });
+  });
+});
+
+describe('anomalyScoreFor', () => {
+  it('should grow from one standard deviation to five', () => {
+    expect(anomalyScoreFor(0.5)).toBe(0);
+    expect(anomalyScoreFor(-3)).toBe(50);
+    expect(anomalyScoreFor(5)).toBe(100);
+    expect(anomalyScoreFor(32)).toBe(100);
+  });
+});
+
+describe('buildProjectBaseline', () => {
+  it('should build crew size, project and employee baselines, leaving the report out', () => {
+    const entries = [
+      ...history(6, CREW),
+      ...history(1, CREW.concat('Extra 1', 'Extra 2')).map(entry => ({ ...entry, report_id: 'rpt_new' }))
+    ];
+
+    const baseline = buildProjectBaseline('proj_001', entries, 'rpt_new');
+
+    expect(baseline.reports).toBe(6);
+    expect(baseline.crewSize).toEqual({ samples: 6, mean: 8, stdDev: 0 });
+    expect(baseline.regularHours).toEqual({ samples: 48, mean: 8, stdDev: 0 });
+    expect(baseline.arrivalMinutes).toEqual({ samples: 48, mean: 420, stdDev: 0 });
+    expect(baseline.employees['kenny ruiz']).toEqual(expect.objectContaining({
+      name: 'Kenny Ruiz',
+      regularHours: { samples: 6, mean: 8, stdDev: 0 }
+    }));
+    expect(baseline.employees['extra 1']).toBeUndefined();
+  });
+});
+
+describe('detectAnomalies', () => {
+  const baseline = buildProjectBaseline('proj_001', history(6, CREW, (day, name) => (
+    name === 'Wes Clark' ? { regular_hours: 10, arrival_time: '6:00 AM' } : {}
+  )));
+
+  it('should flag a crew far larger than usual', () => {
+    const { flags } = detectAnomalies({ personnel: [], timeSummary: { totalPersonnelCount: 40 } }, baseline);
+
+    expect(flags).toEqual([expect.objectContaining({
+      metric: 'crew_size',
+      subject: null,
+      value: 40,
+      expected: 8,
+      score: 100,
+      message: 'Crew of 40 on a project that averages 8'
+    })]);
+  });
+
+  it('should compare a crew member with their own history', () => {
+    const { flags, personnel } = detectAnomalies({
+      personnel: [
+        { fullName: 'Kenny Ruiz', hoursWorked: 16 },
+        { fullName: 'Wes Clark', hoursWorked: 10, arrivalTime: '6:00 AM' },
+        { fullName: 'Kenny', goByName: 'Kenny', hoursWorked: 8, arrivalTime: '11:30 AM' }
+      ],
+      timeSummary: { totalPersonnelCount: 8 }
+    }, baseline);
+
+    expect(flags.map(flag => flag.message)).toEqual([
+      'Kenny Ruiz reported 16 hours; usually 8',
+      'Kenny arrived at 11:30 AM; crews on this project average 6:53 AM'
+    ]);
+    expect(personnel[0]).toEqual({
+      anomalyScore: 100,
+      historicalConfidence: 0,
+      anomalyReason: 'Kenny Ruiz reported 16 hours; usually 8'
+    });
+    expect(personnel[1]).toEqual({ anomalyScore: 0, historicalConfidence: 100 });
+  });
+
+  it('should give no signals without history', () => {
+    const empty = buildProjectBaseline('proj_002', []);
+
+    expect(detectAnomalies({ personnel: [{ fullName: 'Kenny Ruiz', hoursWorked: 16 }] }, empty)).toEqual({ flags: [], personnel: [] });
+    expect(detectAnomalies({ personnel: [{ fullName: 'Kenny Ruiz' }] }, baseline).personnel).toEqual([{}]);
+  });
+});
+
+describe('AnomalyDetector', () => {
+  it('should query the project history up to the report date', async () => {
+    const send = jest.fn().mockResolvedValue({ Items: [] });
+    const detector = new AnomalyDetector({ send });
+
+    await detector.detect({ personnel: [] }, { reportId: 'rpt_new', projectId: 'proj_001', reportDate: '2026-10-19' });
+
+    expect(send.mock.calls[0][0].input).toEqual(expect.objectContaining({
+      TableName: 'sitelogix-payroll-entries',
+      IndexName: 'GSI2-ProjectDateIndex'
+    }));
+    expect(unmarshall(send.mock.calls[0][0].input.ExpressionAttributeValues)).toEqual({
+      ':projectId': 'proj_001',
+      ':start': '2026-07-21',
+      ':end': '2026-10-19'
+    });
+  });
+
+  it('should skip the checks when the history cannot be read', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const detector = new AnomalyDetector({ send: jest.fn().mockRejectedValue(new Error('Throttled')) });
+
+    const result = await detector.detect({ personnel: [{ fullName: 'Kenny Ruiz', hoursWorked: 16 }] }, {
+      reportId: 'rpt_new',
+      projectId: 'proj_001',
+      reportDate: '2026-10-19'
+    });
+
+    expect(result).toEqual({ flags: [], personnel: [] });
+    jest.restoreAllMocks();
+  });
+});
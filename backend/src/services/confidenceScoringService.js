@@ -0,0 +1,403 @@
+"use strict";
+/**
+ * Confidence Scoring Service
+ *
+ * Multi-signal confidence scoring for AI extractions
+ * Implements RFC-008 confidence requirements
+ *
+ * scoreExtraction scores every extracted personnel, vendor and constraint
+ * item; items scoring below REVIEW_CONFIDENCE_THRESHOLD (default 60) go to
+ * the review queue (see reviewQueue).
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ConfidenceScoringService = exports.MATCH_LEVEL_CONFIDENCE = exports.DEFAULT_REVIEW_THRESHOLD = void 0;
+exports.reviewThreshold = reviewThreshold;
+exports.getConfidenceScoringService = getConfidenceScoringService;
+exports.DEFAULT_REVIEW_THRESHOLD = 60;
+// personnelService match levels on the 0-100 scale
+exports.MATCH_LEVEL_CONFIDENCE = {
+    exact: 100,
+    high: 90,
+    medium: 70,
+    new_employee: 50
+};
+/**
+ * Review threshold from REVIEW_CONFIDENCE_THRESHOLD (0-100)
+ */
+function reviewThreshold() {
+    const configured = Number(process.env.REVIEW_CONFIDENCE_THRESHOLD);
+    return Number.isFinite(configured) && configured >= 0 && configured <= 100
+        ? configured
+        : exports.DEFAULT_REVIEW_THRESHOLD;
+}
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+function isSet(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+class ConfidenceScoringService {
+    /**
+     * Calculate overall confidence score
+     */
+    calculateOverallConfidence(extractionConf, matchConf, historicalConf, anomalyScore) {
+        // Weighted average with anomaly penalty
+        const baseScore = (extractionConf * 0.40 +
+            matchConf * 0.35 +
+            historicalConf * 0.25);
+        // Apply anomaly penalty (high anomaly reduces confidence)
+        const anomalyPenalty = (anomalyScore / 100) * 15;
+        return Math.max(0, Math.min(100, baseScore - anomalyPenalty));
+    }
+    /**
+     * Calculate personnel extraction confidence
+     */
+    calculatePersonnelConfidence(person, matchScore) {
+        return {
+            nameConfidence: this.calculateNameConfidence(person.fullName, person.goByName, person.extractedFromText),
+            positionConfidence: this.calculatePositionConfidence(person.position, person.extractedFromText),
+            hoursConfidence: this.calculateHoursConfidence(person.hoursWorked, person.overtimeHours, person.extractedFromText),
+            matchConfidence: matchScore
+        };
+    }
+    /**
+     * Name confidence algorithm
+     */
+    calculateNameConfidence(fullName, goByName, extractedText) {
+        let score = 100;
+        // Penalty for single-name extractions
+        if (!fullName.includes(' ')) {
+            score -= 20;
+        }
+        // Penalty for very short names
+        if (fullName.length < 3) {
+            score -= 30;
+        }
+        // Bonus for multiple mentions
+        const mentionCount = goByName
+            ? extractedText.toLowerCase().split(goByName.toLowerCase()).length - 1
+            : 0;
+        if (mentionCount > 1) {
+            score += 10;
+        }
+        // Penalty for unusual characters
+        if (/[0-9!@#$%^&*()]/.test(fullName)) {
+            score -= 40;
+        }
+        return Math.max(0, Math.min(100, score));
+    }
+    /**
+     * Position confidence algorithm
+     */
+    calculatePositionConfidence(position, extractedText) {
+        const validPositions = [
+            'Project Manager',
+            'Foreman',
+            'Journeyman',
+            'Apprentice',
+            'Superintendent',
+            'Laborer'
+        ];
+        // Exact match with valid positions
+        if (validPositions.includes(position)) {
+            return 95;
+        }
+        // Fuzzy match with valid positions
+        for (const validPos of validPositions) {
+            const similarity = this.calculateStringSimilarity(position, validPos);
+            if (similarity > 80) {
+                return 75;
+            }
+        }
+        // Check if position mentioned in transcript
+        if (extractedText.toLowerCase().includes(position.toLowerCase())) {
+            return 60;
+        }
+        return 40;
+    }
+    /**
+     * Hours confidence algorithm
+     */
+    calculateHoursConfidence(hoursWorked, overtimeHours, extractedText) {
+        let score = 100;
+        // Unrealistic hours
+        if (hoursWorked > 16 || hoursWorked < 0) {
+            score -= 50;
+        }
+        if (overtimeHours > 8 || overtimeHours < 0) {
+            score -= 30;
+        }
+        // Typical workday validation
+        const totalHours = hoursWorked + overtimeHours;
+        if (totalHours > 12 && totalHours <= 16) {
+            score -= 10;
+        }
+        // Check for explicit hour mention
+        const hourPattern = /(\d+)\s*(hour|hr|hrs)/i;
+        if (hourPattern.test(extractedText)) {
+            score += 10;
+        }
+        return Math.max(0, Math.min(100, score));
+    }
+    /**
+     * Calculate vendor extraction confidence
+     */
+    calculateVendorConfidence(vendor, matchScore) {
+        return {
+            companyNameConfidence: this.calculateCompanyNameConfidence(vendor.companyName, vendor.extractedFromText),
+            deliveryDetailConfidence: this.calculateDeliveryDetailConfidence(vendor.materialsDelivered, vendor.deliveryTime, vendor.receivedBy),
+            matchConfidence: matchScore
+        };
+    }
+    /**
+     * Company name confidence
+     */
+    calculateCompanyNameConfidence(companyName, extractedText) {
+        let score = 100;
+        // Too short
+        if (companyName.length < 3) {
+            score -= 40;
+        }
+        // Contains company suffixes
+        const companySuffixes = ['Inc', 'LLC', 'Corp', 'Ltd', 'Co'];
+        const hasSuffix = companySuffixes.some(suffix => companyName.includes(suffix));
+        if (hasSuffix) {
+            score += 15;
+        }
+        // Generic names
+        const genericNames = ['vendor', 'supplier', 'company', 'delivery'];
+        const isGeneric = genericNames.some(term => companyName.toLowerCase().includes(term));
+        if (isGeneric) {
+            score -= 30;
+        }
+        return Math.max(0, Math.min(100, score));
+    }
+    /**
+     * Delivery detail confidence
+     */
+    calculateDeliveryDetailConfidence(materialsDelivered, deliveryTime, receivedBy) {
+        let score = 60; // Base score
+        // Has materials description
+        if (materialsDelivered && materialsDelivered.length > 5) {
+            score += 20;
+        }
+        // Has delivery time
+        if (deliveryTime) {
+            score += 10;
+        }
+        // Has receiver
+        if (receivedBy) {
+            score += 10;
+        }
+        return Math.max(0, Math.min(100, score));
+    }
+    /**
+     * Calculate constraint extraction confidence
+     */
+    calculateConstraintConfidence(constraint) {
+        return {
+            categorySeverityConfidence: this.calculateCategorySeverityConfidence(constraint.category, constraint.severity, constraint.description),
+            descriptionQualityConfidence: this.calculateDescriptionQuality(constraint.description, constraint.extractedFromText)
+        };
+    }
+    /**
+     * Category severity confidence
+     */
+    calculateCategorySeverityConfidence(category, severity, description) {
+        let score = 100;
+        // Valid category check
+        const validCategories = ['delay', 'safety', 'material', 'weather', 'labor', 'coordination', 'other'];
+        if (!validCategories.includes(category)) {
+            score -= 30;
+        }
+        // Valid severity check
+        const validSeverities = ['low', 'medium', 'high', 'critical'];
+        if (!validSeverities.includes(severity)) {
+            score -= 30;
+        }
+        // Severity-category alignment
+        const safetyKeywords = ['injury', 'accident', 'unsafe', 'hazard', 'danger'];
+        const isSafetyRelated = safetyKeywords.some(kw => description.toLowerCase().includes(kw));
+        if (isSafetyRelated && category === 'safety') {
+            score += 10;
+        }
+        else if (isSafetyRelated && category !== 'safety') {
+            score -= 20;
+        }
+        return Math.max(0, Math.min(100, score));
+    }
+    /**
+     * Description quality confidence
+     */
+    calculateDescriptionQuality(description, extractedText) {
+        let score = 100;
+        // Too short
+        if (description.length < 10) {
+            score -= 40;
+        }
+        // Good length
+        if (description.length > 30 && description.length < 500) {
+            score += 10;
+        }
+        // Contains actionable information
+        const actionableKeywords = ['need', 'require', 'must', 'waiting', 'blocked', 'issue'];
+        const hasActionable = actionableKeywords.some(kw => description.toLowerCase().includes(kw));
+        if (hasActionable) {
+            score += 10;
+        }
+        return Math.max(0, Math.min(100, score));
+    }
+    /**
+     * Determine if review is required
+     */
+    shouldRequireReview(overallConfidence, entityType, extractionDetails, threshold = exports.DEFAULT_REVIEW_THRESHOLD) {
+        // Critical issues always require review
+        if (entityType === 'constraint' && extractionDetails.severity === 'critical') {
+            return {
+                requiresReview: true,
+                reason: 'Critical safety or project issue detected'
+            };
+        }
+        // Far outside this project's history
+        if (extractionDetails.anomalyReason) {
+            return {
+                requiresReview: true,
+                reason: `Unusual for this project: ${extractionDetails.anomalyReason}`
+            };
+        }
+        // Low confidence requires review
+        if (overallConfidence < threshold) {
+            return {
+                requiresReview: true,
+                reason: `Low confidence score: ${overallConfidence.toFixed(1)}%`
+            };
+        }
+        // Medium confidence for new entities
+        if (overallConfidence < 85 && extractionDetails.isNewEntity) {
+            return {
+                requiresReview: true,
+                reason: `New ${entityType} with moderate confidence`
+            };
+        }
+        return { requiresReview: false };
+    }
+    /**
+     * Score one extracted item
+     *
+     * Extraction confidence is the mean of the item's own signals: the
+     * model's confidence, whether its quote was found in the transcript, and
+     * the field checks above. Match and historical confidence default to it
+     * when not supplied, so a missing signal neither raises nor lowers the score.
+     */
+    scoreEntity(entityType, item, signals = {}, threshold = reviewThreshold()) {
+        const quote = typeof item?.extractedFromText === 'string' ? item.extractedFromText : '';
+        const breakdown = {};
+        const model = Number(item?.confidence);
+        if (isSet(item?.confidence) && Number.isFinite(model)) {
+            breakdown.model = model <= 1 ? model * 100 : Math.min(100, model);
+        }
+        if (Array.isArray(item?.sources)) {
+            breakdown.source = item.sources.length === 0
+                ? 30
+                : item.sources.some((source) => source.match === 'exact') ? 100 : 80;
+        }
+        if (entityType === 'personnel') {
+            const fullName = item?.fullName || '';
+            breakdown.name = this.calculateNameConfidence(fullName, item?.goByName || fullName.split(' ')[0] || '', quote);
+            if (isSet(item?.position)) {
+                breakdown.position = this.calculatePositionConfidence(item.position, quote);
+            }
+            if (typeof item?.hoursWorked === 'number' || typeof item?.overtimeHours === 'number') {
+                breakdown.hours = this.calculateHoursConfidence(item.hoursWorked || 0, item.overtimeHours || 0, quote);
+            }
+        }
+        else if (entityType === 'vendor') {
+            breakdown.companyName = this.calculateCompanyNameConfidence(item?.companyName || '', quote);
+            breakdown.deliveryDetail = this.calculateDeliveryDetailConfidence(item?.materialsDelivered || '', item?.deliveryTime || undefined, item?.receivedBy || undefined);
+        }
+        else {
+            breakdown.categorySeverity = this.calculateCategorySeverityConfidence(item?.category || '', item?.severity || '', item?.description || item?.title || '');
+            breakdown.descriptionQuality = this.calculateDescriptionQuality(item?.description || item?.title || '', quote);
+        }
+        const values = Object.values(breakdown);
+        const extractionConfidence = values.reduce((total, value) => total + value, 0) / values.length;
+        const matchConfidence = signals.matchConfidence ?? extractionConfidence;
+        const historicalConfidence = signals.historicalConfidence ?? extractionConfidence;
+        const anomalyScore = signals.anomalyScore ?? 0;
+        const overall = this.calculateOverallConfidence(extractionConfidence, matchConfidence, historicalConfidence, anomalyScore);
+        const review = this.shouldRequireReview(overall, entityType, { severity: item?.severity, isNewEntity: signals.isNewEntity, anomalyReason: signals.anomalyReason }, threshold);
+        return {
+            overall: round(overall),
+            extractionConfidence: round(extractionConfidence),
+            matchConfidence: round(matchConfidence),
+            historicalConfidence: round(historicalConfidence),
+            anomalyScore: round(anomalyScore),
+            requiresReview: review.requiresReview,
+            ...(review.reason ? { reviewReason: review.reason } : {}),
+            breakdown: Object.fromEntries(Object.entries(breakdown).map(([signal, value]) => [signal, round(value)]))
+        };
+    }
+    /**
+     * Add `confidenceScore` to every personnel, vendor and constraint item
+     *
+     * @param signals - Outside signals per item, e.g. anomaly scores from AnomalyDetector
+     */
+    scoreExtraction(extractedData, signals = {}, threshold = reviewThreshold()) {
+        const data = { ...extractedData };
+        let reviewCount = 0;
+        const sections = [['personnel', 'personnel'], ['vendors', 'vendor'], ['constraints', 'constraint']];
+        for (const [section, entityType] of sections) {
+            if (!Array.isArray(data[section]))
+                continue;
+            data[section] = data[section].map((item, index) => {
+                const confidenceScore = this.scoreEntity(entityType, item, signals[section]?.[index] || {}, threshold);
+                if (confidenceScore.requiresReview)
+                    reviewCount++;
+                return { ...item, confidenceScore };
+            });
+        }
+        return { data, reviewCount };
+    }
+    /**
+     * Simple string similarity (Levenshtein-based)
+     */
+    calculateStringSimilarity(str1, str2) {
+        const distance = this.levenshteinDistance(str1.toLowerCase(), str2.toLowerCase());
+        const maxLength = Math.max(str1.length, str2.length);
+        return ((maxLength - distance) / maxLength) * 100;
+    }
+    /**
+     * Levenshtein distance
+     */
+    levenshteinDistance(str1, str2) {
+        const m = str1.length;
+        const n = str2.length;
+        const dp = Array(m + 1)
+            .fill(null)
+            .map(() => Array(n + 1).fill(0));
+        for (let i = 0; i <= m; i++)
+            dp[i][0] = i;
+        for (let j = 0; j <= n; j++)
+            dp[0][j] = j;
+        for (let i = 1; i <= m; i++) {
+            for (let j = 1; j <= n; j++) {
+                if (str1[i - 1] === str2[j - 1]) {
+                    dp[i][j] = dp[i - 1][j - 1];
+                }
+                else {
+                    dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + 1);
+                }
+            }
+        }
+        return dp[m][n];
+    }
+}
+exports.ConfidenceScoringService = ConfidenceScoringService;
+// Export singleton
+let confidenceScoringServiceInstance = null;
+function getConfidenceScoringService() {
+    if (!confidenceScoringServiceInstance) {
+        confidenceScoringServiceInstance = new ConfidenceScoringService();
+    }
+    return confidenceScoringServiceInstance;
+}
@@ -0,0 +1,130 @@
+/**
+ * Confidence Scoring Tests
+ *
+ * Per-entity scores with their signal breakdown, the review threshold and
+ * scoring a whole extraction.
+ */
+
+const { getConfidenceScoringService, reviewThreshold, DEFAULT_REVIEW_THRESHOLD } = require('./confidenceScoringService');
+
+const scoring = getConfidenceScoringService();
+
+describe('reviewThreshold', () => {
+  afterEach(() => {
+    delete process.env.REVIEW_CONFIDENCE_THRESHOLD;
+  });
+
+  it('should read REVIEW_CONFIDENCE_THRESHOLD', () => {
+    process.env.REVIEW_CONFIDENCE_THRESHOLD = '75';
+    expect(reviewThreshold()).toBe(75);
+  });
+
+  it('should fall back to the default for a missing or out of range value', () => {
+    expect(reviewThreshold()).toBe(DEFAULT_REVIEW_THRESHOLD);
+    process.env.REVIEW_CONFIDENCE_THRESHOLD = '150';
+    expect(reviewThreshold()).toBe(DEFAULT_REVIEW_THRESHOLD);
+    process.env.REVIEW_CONFIDENCE_THRESHOLD = 'high';
+    expect(reviewThreshold()).toBe(DEFAULT_REVIEW_THRESHOLD);
+  });
+});
+
+describe('scoreEntity', () => {
+  it('should score a quoted crew member from the model, source and field signals', () => {
+    const score = scoring.scoreEntity('personnel', {
+      fullName: 'Wes Clark',
+      hoursWorked: 8,
+      confidence: 90,
+      extractedFromText: 'Wes Clark worked 8 hours',
+      sources: [{ turnIndex: 1, start: 0, end: 24, timeInCallSecs: 3, match: 'exact' }]
+    });
+
+    expect(score).toEqual({
+      overall: 97.5,
+      extractionConfidence: 97.5,
+      matchConfidence: 97.5,
+      historicalConfidence: 97.5,
+      anomalyScore: 0,
+      requiresReview: false,
+      breakdown: { model: 90, source: 100, name: 100, hours: 100 }
+    });
+  });
+
+  it('should flag an item with weak signals for review', () => {
+    const score = scoring.scoreEntity('personnel', {
+      fullName: 'Jim',
+      hoursWorked: 20,
+      confidence: 0.4,
+      extractedFromText: 'the crane guy',
+      sources: []
+    });
+
+    expect(score.breakdown).toEqual({ model: 40, source: 30, name: 80, hours: 50 });
+    expect(score.overall).toBe(50);
+    expect(score).toEqual(expect.objectContaining({ requiresReview: true, reviewReason: 'Low confidence score: 50.0%' }));
+  });
+
+  it('should weigh match, history and anomaly signals when given', () => {
+    const score = scoring.scoreEntity(
+      'personnel',
+      { fullName: 'Wes Clark', hoursWorked: 8, confidence: 90 },
+      { matchConfidence: 50, historicalConfidence: 50, anomalyScore: 80 }
+    );
+
+    expect(score).toEqual(expect.objectContaining({ overall: 56.7, extractionConfidence: 96.7, requiresReview: true }));
+  });
+
+  it('should score vendors and constraints on their own fields', () => {
+    expect(scoring.scoreEntity('vendor', {
+      companyName: 'Ferguson',
+      materialsDelivered: 'six-inch sleeves',
+      deliveryTime: '10:00',
+      confidence: 85,
+      extractedFromText: 'Ferguson dropped off the six-inch sleeves'
+    }).breakdown).toEqual({ model: 85, companyName: 100, deliveryDetail: 90 });
+
+    const constraint = scoring.scoreEntity('constraint', {
+      title: 'Inspection',
+      category: 'inspection',
+      severity: 'critical',
+      description: 'City inspector did not show up for the rough-in inspection',
+      confidence: 95
+    });
+    expect(constraint.overall).toBe(88.3);
+    expect(constraint.reviewReason).toBe('Critical safety or project issue detected');
+  });
+
+  it('should apply the threshold passed in', () => {
+    const item = { fullName: 'Wes Clark', hoursWorked: 8, confidence: 90 };
+
+    expect(scoring.scoreEntity('personnel', item, {}, 60).requiresReview).toBe(false);
+    expect(scoring.scoreEntity('personnel', item, {}, 99).requiresReview).toBe(true);
+  });
+
+  it('should not fail on items missing their fields', () => {
+    expect(() => scoring.scoreEntity('personnel', {})).not.toThrow();
+    expect(() => scoring.scoreEntity('vendor', { companyName: null })).not.toThrow();
+    expect(() => scoring.scoreEntity('constraint', null)).not.toThrow();
+  });
+});
+
+describe('scoreExtraction', () => {
+  it('should add a confidence score to personnel, vendors and constraints and count reviews', () => {
+    const extracted = {
+      personnel: [
+        { fullName: 'Wes Clark', hoursWorked: 8, confidence: 90 },
+        { fullName: 'Jim', hoursWorked: 20, confidence: 0.4, sources: [] }
+      ],
+      vendors: [{ companyName: 'Ferguson', materialsDelivered: 'sleeves', confidence: 85 }],
+      workLogs: [{ description: 'Rough-in' }]
+    };
+
+    const { data, reviewCount } = scoring.scoreExtraction(extracted);
+
+    expect(reviewCount).toBe(1);
+    expect(data.personnel.map(person => person.confidenceScore.requiresReview)).toEqual([false, true]);
+    expect(data.vendors[0].confidenceScore.overall).toBeGreaterThan(60);
+    expect(data.workLogs).toBe(extracted.workLogs);
+    expect(data.constraints).toBeUndefined();
+    expect(extracted.personnel[0].confidenceScore).toBeUndefined();
+  });
+});
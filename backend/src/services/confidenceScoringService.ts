@@ -3,8 +3,24 @@
  *
  * Multi-signal confidence scoring for AI extractions
  * Implements RFC-008 confidence requirements
+ *
+ * scoreExtraction scores every extracted personnel, vendor and constraint
+ * item; items scoring below REVIEW_CONFIDENCE_THRESHOLD (default 60) go to
+ * the review queue (see reviewQueue).
  */
 
+export const DEFAULT_REVIEW_THRESHOLD = 60;
+
+// personnelService match levels on the 0-100 scale
+export const MATCH_LEVEL_CONFIDENCE: Record<string, number> = {
+  exact: 100,
+  high: 90,
+  medium: 70,
+  new_employee: 50
+};
+
+export type ScoredEntityType = 'personnel' | 'vendor' | 'constraint';
+
 export interface ConfidenceScore {
   overall: number;              // 0-100
   extractionConfidence: number; // AI model confidence
@@ -15,6 +31,50 @@ export interface ConfidenceScore {
   reviewReason?: string;
 }
 
+/**
+ * Score of one extracted item with the signals behind it
+ */
+export interface EntityConfidence extends ConfidenceScore {
+  breakdown: Record<string, number>;
+}
+
+/**
+ * Signals from outside the extraction; any left out don't move the score
+ */
+export interface EntitySignals {
+  matchConfidence?: number | null;
+  historicalConfidence?: number | null;
+  anomalyScore?: number;
+  anomalyReason?: string;       // Set when the item is flagged against history
+  isNewEntity?: boolean;
+}
+
+// Signals for each item of an extraction section, in order
+export type ExtractionSignals = Partial<Record<'personnel' | 'vendors' | 'constraints', EntitySignals[]>>;
+
+export interface ScoredExtraction {
+  data: any;
+  reviewCount: number;
+}
+
+/**
+ * Review threshold from REVIEW_CONFIDENCE_THRESHOLD (0-100)
+ */
+export function reviewThreshold(): number {
+  const configured = Number(process.env.REVIEW_CONFIDENCE_THRESHOLD);
+  return Number.isFinite(configured) && configured >= 0 && configured <= 100
+    ? configured
+    : DEFAULT_REVIEW_THRESHOLD;
+}
+
+function round(value: number): number {
+  return Math.round(value * 10) / 10;
+}
+
+function isSet(value: unknown): boolean {
+  return value !== undefined && value !== null && value !== '';
+}
+
 export interface PersonnelExtractionConfidence {
   nameConfidence: number;
   positionConfidence: number;
@@ -112,8 +172,9 @@ export class ConfidenceScoringService {
     }
 
     // Bonus for multiple mentions
-    const mentionCount = extractedText.toLowerCase()
-      .split(goByName.toLowerCase()).length - 1;
+    const mentionCount = goByName
+      ? extractedText.toLowerCase().split(goByName.toLowerCase()).length - 1
+      : 0;
     if (mentionCount > 1) {
       score += 10;
     }
@@ -166,7 +227,7 @@ export class ConfidenceScoringService {
   /**
    * Hours confidence algorithm
    */
-  private calculateHoursConfidence(
+  calculateHoursConfidence(
     hoursWorked: number,
     overtimeHours: number,
     extractedText: string
@@ -386,8 +447,9 @@ export class ConfidenceScoringService {
    */
   shouldRequireReview(
     overallConfidence: number,
-    entityType: 'personnel' | 'vendor' | 'constraint',
-    extractionDetails: any
+    entityType: ScoredEntityType,
+    extractionDetails: any,
+    threshold: number = DEFAULT_REVIEW_THRESHOLD
   ): { requiresReview: boolean; reason?: string } {
 
     // Critical issues always require review
@@ -398,8 +460,16 @@ export class ConfidenceScoringService {
       };
     }
 
+    // Far outside this project's history
+    if (extractionDetails.anomalyReason) {
+      return {
+        requiresReview: true,
+        reason: `Unusual for this project: ${extractionDetails.anomalyReason}`
+      };
+    }
+
     // Low confidence requires review
-    if (overallConfidence < 60) {
+    if (overallConfidence < threshold) {
       return {
         requiresReview: true,
         reason: `Low confidence score: ${overallConfidence.toFixed(1)}%`
@@ -417,6 +487,112 @@ export class ConfidenceScoringService {
     return { requiresReview: false };
   }
 
+  /**
+   * Score one extracted item
+   *
+   * Extraction confidence is the mean of the item's own signals: the
+   * model's confidence, whether its quote was found in the transcript, and
+   * the field checks above. Match and historical confidence default to it
+   * when not supplied, so a missing signal neither raises nor lowers the score.
+   */
+  scoreEntity(
+    entityType: ScoredEntityType,
+    item: any,
+    signals: EntitySignals = {},
+    threshold: number = reviewThreshold()
+  ): EntityConfidence {
+    const quote = typeof item?.extractedFromText === 'string' ? item.extractedFromText : '';
+    const breakdown: Record<string, number> = {};
+
+    const model = Number(item?.confidence);
+    if (isSet(item?.confidence) && Number.isFinite(model)) {
+      breakdown.model = model <= 1 ? model * 100 : Math.min(100, model);
+    }
+
+    if (Array.isArray(item?.sources)) {
+      breakdown.source = item.sources.length === 0
+        ? 30
+        : item.sources.some((source: any) => source.match === 'exact') ? 100 : 80;
+    }
+
+    if (entityType === 'personnel') {
+      const fullName = item?.fullName || '';
+      breakdown.name = this.calculateNameConfidence(fullName, item?.goByName || fullName.split(' ')[0] || '', quote);
+      if (isSet(item?.position)) {
+        breakdown.position = this.calculatePositionConfidence(item.position, quote);
+      }
+      if (typeof item?.hoursWorked === 'number' || typeof item?.overtimeHours === 'number') {
+        breakdown.hours = this.calculateHoursConfidence(item.hoursWorked || 0, item.overtimeHours || 0, quote);
+      }
+    } else if (entityType === 'vendor') {
+      breakdown.companyName = this.calculateCompanyNameConfidence(item?.companyName || '', quote);
+      breakdown.deliveryDetail = this.calculateDeliveryDetailConfidence(
+        item?.materialsDelivered || '',
+        item?.deliveryTime || undefined,
+        item?.receivedBy || undefined
+      );
+    } else {
+      breakdown.categorySeverity = this.calculateCategorySeverityConfidence(
+        item?.category || '',
+        item?.severity || '',
+        item?.description || item?.title || ''
+      );
+      breakdown.descriptionQuality = this.calculateDescriptionQuality(item?.description || item?.title || '', quote);
+    }
+
+    const values = Object.values(breakdown);
+    const extractionConfidence = values.reduce((total, value) => total + value, 0) / values.length;
+    const matchConfidence = signals.matchConfidence ?? extractionConfidence;
+    const historicalConfidence = signals.historicalConfidence ?? extractionConfidence;
+    const anomalyScore = signals.anomalyScore ?? 0;
+
+    const overall = this.calculateOverallConfidence(extractionConfidence, matchConfidence, historicalConfidence, anomalyScore);
+    const review = this.shouldRequireReview(
+      overall,
+      entityType,
+      { severity: item?.severity, isNewEntity: signals.isNewEntity, anomalyReason: signals.anomalyReason },
+      threshold
+    );
+
+    return {
+      overall: round(overall),
+      extractionConfidence: round(extractionConfidence),
+      matchConfidence: round(matchConfidence),
+      historicalConfidence: round(historicalConfidence),
+      anomalyScore: round(anomalyScore),
+      requiresReview: review.requiresReview,
+      ...(review.reason ? { reviewReason: review.reason } : {}),
+      breakdown: Object.fromEntries(Object.entries(breakdown).map(([signal, value]) => [signal, round(value)]))
+    };
+  }
+
+  /**
+   * Add `confidenceScore` to every personnel, vendor and constraint item
+   *
+   * @param signals - Outside signals per item, e.g. anomaly scores from AnomalyDetector
+   */
+  scoreExtraction(
+    extractedData: any,
+    signals: ExtractionSignals = {},
+    threshold: number = reviewThreshold()
+  ): ScoredExtraction {
+    const data = { ...extractedData };
+    let reviewCount = 0;
+
+    const sections: [keyof ExtractionSignals, ScoredEntityType][] = [['personnel', 'personnel'], ['vendors', 'vendor'], ['constraints', 'constraint']];
+    for (const [section, entityType] of sections) {
+      if (!Array.isArray(data[section])) continue;
+
+      data[section] = data[section].map((item: any, index: number) => {
+        const confidenceScore = this.scoreEntity(entityType, item, signals[section]?.[index] || {}, threshold);
+        if (confidenceScore.requiresReview) reviewCount++;
+        return { ...item, confidenceScore };
+      });
+    }
+
+    return { data, reviewCount };
+  }
+
   /**
    * Simple string similarity (Levenshtein-based)
    */
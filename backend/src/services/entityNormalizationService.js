@@ -11,10 +11,25 @@
  * Key Features:
  * - Levenshtein distance for fuzzy matching
  * - Canonical ID assignment
- * - Master entity lists
+ * - Master data directory built from the live sitelogix-personnel and
+ *   sitelogix-projects tables, cached in memory for MASTER_DATA_TTL_MS
  * - Duplicate detection
+ *
+ * New hires and projects are picked up once the cached directory expires
+ * (or on `MasterDataDirectory.load({ refresh: true })`); nothing about the
+ * crew or project list lives in code.
  */
 
+const { ScanCommand } = require('@aws-sdk/client-dynamodb');
+const { unmarshall } = require('@aws-sdk/util-dynamodb');
+
+const PERSONNEL_TABLE = process.env.PERSONNEL_TABLE || 'sitelogix-personnel';
+const PROJECTS_TABLE = process.env.PROJECTS_TABLE || 'sitelogix-projects';
+const MASTER_DATA_TTL_MS = 5 * 60 * 1000;
+
+// A directory with nobody in it: every name normalizes as new
+const EMPTY_INDEX = Object.freeze({ personnel: [], projects: [], loadedAt: null });
+
 /**
  * Calculate Levenshtein distance between two strings
  * Used for fuzzy matching of names
@@ -56,159 +71,211 @@ function similarityScore(str1, str2) {
 }
 
 /**
- * Master Personnel List
- * Canonical names and known aliases from training data analysis
+ * Names as given, trimmed, blanks and repeats (ignoring case) dropped
+ */
+function uniqueNames(values) {
+  const seen = new Set();
+  return values
+    .flat()
+    .filter(value => typeof value === 'string' && value.trim())
+    .map(value => value.trim())
+    .filter(value => {
+      const key = value.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Person or project IDs as stored on other records ("EMPLOYEE#emp-001")
  */
-const MASTER_PERSONNEL = {
-  'per_001': {
-    canonical_name: 'Kenny',
-    aliases: ['Kenny', 'Ken'],
-    role: 'Superintendent',
-    primary_project: 'Cortex Commons'
-  },
-  'per_002': {
-    canonical_name: 'Kurt',
-    aliases: ['Kurt'],
-    role: 'Foreman',
-    primary_project: 'Meharry Medical College'
-  },
-  'per_003': {
-    canonical_name: 'Wes',
-    aliases: ['Wes', 'Wesley'],
-    role: 'Superintendent',
-    primary_project: 'Multiple Sites'
-  },
-  'per_004': {
-    canonical_name: 'Mike',
-    aliases: ['Mike', 'Michael'],
-    role: 'Foreman',
-    primary_project: 'Nashville Yards Tower 2'
-  },
-  'per_005': {
-    canonical_name: 'Brian',
-    aliases: ['Brian', 'Bryan'],
-    role: 'Superintendent',
-    primary_project: 'Nashville Yards Tower 2'
-  },
-  'per_006': {
-    canonical_name: 'Jim',
-    aliases: ['Jim', 'James'],
-    role: 'Foreman',
-    primary_project: 'Various'
-  },
-  'per_007': {
-    canonical_name: 'Scott',
-    aliases: ['Scott'],
-    role: 'Foreman',
-    primary_project: 'Monsanto'
-  },
-  'per_008': {
-    canonical_name: 'Scott Russell',
-    aliases: ['Scott Russell', 'Scott R.', 'Russell'],
-    role: 'Plumber',
-    primary_project: 'Cortex Commons'
-  },
-  'per_009': {
-    canonical_name: 'Owen Glassburn',
-    aliases: ['Owen Glassburn', 'Owen', 'Owen glass burner'],
-    role: 'Laborer',
-    primary_project: 'Cortex Commons'
+function stripEntityPrefix(id) {
+  return id ? String(id).replace(/^(EMPLOYEE|PERSONNEL|MANAGER|PROJECT)#/, '') : null;
+}
+
+/**
+ * A profile record of sitelogix-personnel as a directory entry
+ *
+ * The table holds profiles written by personnelService (PK `PER#…`, SK
+ * PROFILE, camelCase) and older ones (SK METADATA, snake_case); alias
+ * lookup records (SK `ALIAS#…`) are skipped.
+ */
+function personnelEntry(item) {
+  if (item.SK && item.SK !== 'PROFILE' && item.SK !== 'METADATA') return null;
+
+  const firstName = item.firstName || item.first_name;
+  const lastName = item.lastName || item.last_name;
+  const fullName = item.fullName || item.full_name
+    || [firstName, lastName].filter(Boolean).join(' ');
+  if (!fullName) return null;
+
+  return {
+    personnel_id: item.personId || item.employee_id || item.personnel_id || stripEntityPrefix(item.PK),
+    canonical_name: fullName,
+    aliases: uniqueNames([
+      fullName,
+      item.preferredName || item.preferred_name || item.goByName || item.go_by_name || [],
+      firstName || fullName.split(' ')[0],
+      item.knownAliases || item.known_aliases || item.aliases || []
+    ]),
+    role: item.jobTitle || item.job_title || item.position || item.role || null,
+    status: item.employmentStatus || item.employment_status || item.status || 'active',
+    project_id: item.project_id || item.projectId || null
+  };
+}
+
+/**
+ * A sitelogix-projects record as a directory entry
+ */
+function projectEntry(item) {
+  if (item.SK && item.SK !== 'METADATA') return null;
+
+  const name = item.projectName || item.project_name;
+  if (!name) return null;
+
+  const location = item.location;
+  const managers = (item.assignedManagers || item.assigned_managers || [item.manager_id || item.managerId])
+    .map(manager => stripEntityPrefix(typeof manager === 'object' && manager ? manager.managerId || manager.id : manager))
+    .filter(Boolean);
+
+  return {
+    project_id: item.projectId || item.project_id || stripEntityPrefix(item.PK),
+    canonical_name: name,
+    abbreviations: uniqueNames([
+      item.projectCode || item.project_code || [],
+      item.abbreviations || item.aliases || []
+    ]).filter(abbr => abbr.toLowerCase() !== name.toLowerCase()),
+    location: location && typeof location === 'object'
+      ? [location.city, location.state].filter(Boolean).join(', ') || location.address || null
+      : location || null,
+    primary_manager: managers[0] || null,
+    managers,
+    status: item.status || 'active'
+  };
+}
+
+/**
+ * Build the directory index from raw table items
+ *
+ * @param {Object[]} personnelItems - sitelogix-personnel items (unmarshalled)
+ * @param {Object[]} projectItems - sitelogix-projects items (unmarshalled)
+ * @returns {{personnel: Object[], projects: Object[], loadedAt: string}}
+ */
+function buildMasterDataIndex(personnelItems = [], projectItems = []) {
+  return {
+    personnel: personnelItems.map(personnelEntry).filter(Boolean),
+    projects: projectItems.map(projectEntry).filter(Boolean),
+    loadedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Personnel and projects from the live tables, cached per Lambda container
+ */
+class MasterDataDirectory {
+  /**
+   * @param {DynamoDBClient} client
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - How long a loaded index is reused
+   */
+  constructor(client, { ttlMs = MASTER_DATA_TTL_MS } = {}) {
+    this.client = client;
+    this.ttlMs = ttlMs;
+    this.index = null;
+    this.loadedAtMs = 0;
+    this.loading = null;
   }
-};
+
+  async scanTable(tableName) {
+    const items = [];
+    let startKey;
+    do {
+      const result = await this.client.send(new ScanCommand({ TableName: tableName, ExclusiveStartKey: startKey }));
+      items.push(...(result.Items || []).map(item => unmarshall(item)));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return items;
+  }
+
+  /**
+   * The directory index, scanned again once the cached one is older than the TTL
+   *
+   * A failed reload keeps serving the previous index; with none to fall back
+   * on the error is thrown.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Ignore the cached index
+   */
+  async load({ refresh = false } = {}) {
+    if (!refresh && this.index && Date.now() - this.loadedAtMs < this.ttlMs) {
+      return this.index;
+    }
+
+    if (!this.loading) {
+      this.loading = Promise.all([this.scanTable(PERSONNEL_TABLE), this.scanTable(PROJECTS_TABLE)])
+        .then(([personnelItems, projectItems]) => {
+          this.index = buildMasterDataIndex(personnelItems, projectItems);
+          this.loadedAtMs = Date.now();
+          console.log(`📇 Master data loaded: ${this.index.personnel.length} personnel, ${this.index.projects.length} projects`);
+          return this.index;
+        })
+        .catch(error => {
+          if (!this.index) throw error;
+          console.warn(`⚠️ Master data reload failed, keeping the cached directory: ${error.message}`);
+          return this.index;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Drop the cached index so the next load scans the tables
+   */
+  invalidate() {
+    this.index = null;
+    this.loadedAtMs = 0;
+  }
+}
 
 /**
- * Master Project List
- * Canonical names and abbreviations from training data
+ * Pick among directory entries that all match a name exactly
+ *
+ * One match is certain. Several are narrowed by `prefer` (the reporter's
+ * projects, the report's project); otherwise the first is used and the
+ * result marked ambiguous.
  */
-const MASTER_PROJECTS = {
-  'proj_001': {
-    canonical_name: 'Cortex Commons',
-    abbreviations: ['CC', 'Cortex'],
-    location: 'St. Louis, MO',
-    primary_manager: 'per_001' // Kenny
-  },
-  'proj_002': {
-    canonical_name: 'Meharry Medical College',
-    abbreviations: ['Meharry', 'Meharry Medical'],
-    location: 'Nashville, TN',
-    primary_manager: 'per_002' // Kurt
-  },
-  'proj_003': {
-    canonical_name: 'Nashville Yards Tower 2',
-    abbreviations: ['Nash Twr 2', 'Nash Tower 2', 'Nashville Yards'],
-    location: 'Nashville, TN',
-    primary_manager: 'per_004' // Mike
-  },
-  'proj_004': {
-    canonical_name: 'Mellow Mushroom',
-    abbreviations: ['MM', 'Mellow'],
-    location: 'TBD',
-    primary_manager: 'per_003' // Wes
-  },
-  'proj_005': {
-    canonical_name: 'Saint Louis University Residence',
-    abbreviations: ['SLU Res', 'SLU', 'Saint Louis University'],
-    location: 'St. Louis, MO',
-    primary_manager: 'per_003' // Wes
-  },
-  'proj_006': {
-    canonical_name: 'Bommarito Automotive',
-    abbreviations: ['Bommarito', 'Bommarito Auto'],
-    location: 'TBD',
-    primary_manager: 'per_003' // Wes
-  },
-  'proj_007': {
-    canonical_name: 'Surgery Partners',
-    abbreviations: ['Sx Partners', 'Six Partners', 'Surgery Partners'],
-    location: 'TBD',
-    primary_manager: 'per_006' // Jim
-  },
-  'proj_008': {
-    canonical_name: 'Carpenters Hall',
-    abbreviations: ['Carpenters', 'Carpenters Hall'],
-    location: 'TBD',
-    primary_manager: 'per_006' // Jim
-  },
-  'proj_009': {
-    canonical_name: 'Monsanto',
-    abbreviations: ['Monsanto', 'MM'],
-    location: 'TBD',
-    primary_manager: 'per_007' // Scott
-  },
-  'proj_010': {
-    canonical_name: 'Parkway North',
-    abbreviations: ['Parkway', 'Parkway North'],
-    location: 'TBD',
-    primary_manager: null
-  },
-  'proj_011': {
-    canonical_name: 'Samantha\'s House',
-    abbreviations: ['Samantha', 'Samanthas House'],
-    location: 'TBD',
-    primary_manager: 'per_006' // Jim
-  },
-  'proj_012': {
-    canonical_name: 'Brentwood',
-    abbreviations: ['Brentwood'],
-    location: 'TBD',
-    primary_manager: null
-  },
-  'proj_013': {
-    canonical_name: 'Triad',
-    abbreviations: ['Triad'],
-    location: 'TBD',
-    primary_manager: null
+function resolveExactMatch(name, candidates, prefer) {
+  if (candidates.length === 1) {
+    return { entry: candidates[0], confidence: 1.0 };
   }
-};
+
+  const preferred = candidates.filter(prefer);
+  if (preferred.length === 1) {
+    return { entry: preferred[0], confidence: 0.95, context_disambiguated: true };
+  }
+
+  const pool = preferred.length > 0 ? preferred : candidates;
+  return {
+    entry: pool[0],
+    confidence: 0.9,
+    ambiguous: `${name} could be ${pool.map(candidate => candidate.canonical_name).join(' or ')}`
+  };
+}
 
 /**
  * Normalize a personnel name to canonical ID
  *
  * @param {string} name - Raw name from transcript
- * @param {Object} context - Additional context (role, project) for disambiguation
+ * @param {Object} context - Additional context (project_id) for disambiguation
+ * @param {Object} [index] - Directory index from MasterDataDirectory.load()
  * @returns {Object} - {personnel_id, canonical_name, confidence, is_new}
  */
-function normalizePersonnel(name, context = {}) {
+function normalizePersonnel(name, context = {}, index = EMPTY_INDEX) {
   if (!name || typeof name !== 'string') {
     return { personnel_id: null, canonical_name: null, confidence: 0, is_new: false };
   }
@@ -216,38 +283,42 @@ function normalizePersonnel(name, context = {}) {
   const cleanName = name.trim();
 
   // Direct alias match (highest confidence)
-  for (const [personnelId, personnel] of Object.entries(MASTER_PERSONNEL)) {
-    for (const alias of personnel.aliases) {
-      if (alias.toLowerCase() === cleanName.toLowerCase()) {
-        return {
-          personnel_id: personnelId,
-          canonical_name: personnel.canonical_name,
-          confidence: 1.0,
-          is_new: false,
-          role: personnel.role
-        };
-      }
-    }
+  const exact = index.personnel.filter(personnel =>
+    personnel.aliases.some(alias => alias.toLowerCase() === cleanName.toLowerCase())
+  );
+  if (exact.length > 0) {
+    const { entry, ...match } = resolveExactMatch(
+      cleanName,
+      exact,
+      personnel => Boolean(context.project_id) && personnel.project_id === context.project_id
+    );
+    return {
+      personnel_id: entry.personnel_id,
+      canonical_name: entry.canonical_name,
+      is_new: false,
+      role: entry.role,
+      ...match
+    };
   }
 
   // Fuzzy match (medium confidence)
   let bestMatch = null;
   let bestScore = 0;
 
-  for (const [personnelId, personnel] of Object.entries(MASTER_PERSONNEL)) {
+  for (const personnel of index.personnel) {
     const score = similarityScore(cleanName, personnel.canonical_name);
 
     // Check aliases too
     for (const alias of personnel.aliases) {
       const aliasScore = similarityScore(cleanName, alias);
       if (aliasScore > score && aliasScore > bestScore) {
-        bestMatch = { personnelId, personnel };
+        bestMatch = personnel;
         bestScore = aliasScore;
       }
     }
 
     if (score > bestScore) {
-      bestMatch = { personnelId, personnel };
+      bestMatch = personnel;
       bestScore = score;
     }
   }
@@ -255,11 +326,11 @@ function normalizePersonnel(name, context = {}) {
   // If we found a good fuzzy match (>0.8 similarity)
   if (bestMatch && bestScore > 0.8) {
     return {
-      personnel_id: bestMatch.personnelId,
-      canonical_name: bestMatch.personnel.canonical_name,
+      personnel_id: bestMatch.personnel_id,
+      canonical_name: bestMatch.canonical_name,
       confidence: bestScore,
       is_new: false,
-      role: bestMatch.personnel.role,
+      role: bestMatch.role,
       fuzzy_match: true
     };
   }
@@ -277,11 +348,15 @@ function normalizePersonnel(name, context = {}) {
 /**
  * Normalize a project name to canonical ID
  *
+ * An abbreviation shared by several projects ("MM") goes to the one the
+ * reporter manages when that settles it.
+ *
  * @param {string} name - Raw project name from transcript
- * @param {Object} context - Additional context (reporter, location) for disambiguation
+ * @param {Object} context - Additional context (reporter_personnel_id) for disambiguation
+ * @param {Object} [index] - Directory index from MasterDataDirectory.load()
  * @returns {Object} - {project_id, canonical_name, confidence, is_new}
  */
-function normalizeProject(name, context = {}) {
+function normalizeProject(name, context = {}, index = EMPTY_INDEX) {
   if (!name || typeof name !== 'string') {
     return { project_id: null, canonical_name: null, confidence: 0, is_new: false };
   }
@@ -289,61 +364,32 @@ function normalizeProject(name, context = {}) {
   const cleanName = name.trim();
 
   // Direct abbreviation or name match (highest confidence)
-  for (const [projectId, project] of Object.entries(MASTER_PROJECTS)) {
-    // Check abbreviations
-    for (const abbr of project.abbreviations) {
-      if (abbr.toLowerCase() === cleanName.toLowerCase()) {
-        // Special case: "MM" can be Mellow Mushroom OR Monsanto
-        if (abbr === 'MM') {
-          // If reporter is Scott, it's Monsanto
-          if (context.reporter_name && context.reporter_name.toLowerCase().includes('scott')) {
-            return {
-              project_id: 'proj_009', // Monsanto
-              canonical_name: 'Monsanto',
-              confidence: 0.95,
-              is_new: false,
-              context_disambiguated: true
-            };
-          }
-          // Otherwise default to Mellow Mushroom
-          return {
-            project_id: 'proj_004', // Mellow Mushroom
-            canonical_name: 'Mellow Mushroom',
-            confidence: 0.9,
-            is_new: false,
-            ambiguous: 'MM could be Mellow Mushroom or Monsanto'
-          };
-        }
-
-        return {
-          project_id: projectId,
-          canonical_name: project.canonical_name,
-          confidence: 1.0,
-          is_new: false
-        };
-      }
-    }
-
-    // Check canonical name match
-    if (project.canonical_name.toLowerCase() === cleanName.toLowerCase()) {
-      return {
-        project_id: projectId,
-        canonical_name: project.canonical_name,
-        confidence: 1.0,
-        is_new: false
-      };
-    }
+  const exact = index.projects.filter(project =>
+    [project.canonical_name, ...project.abbreviations].some(known => known.toLowerCase() === cleanName.toLowerCase())
+  );
+  if (exact.length > 0) {
+    const { entry, ...match } = resolveExactMatch(
+      cleanName,
+      exact,
+      project => Boolean(context.reporter_personnel_id) && project.managers.includes(context.reporter_personnel_id)
+    );
+    return {
+      project_id: entry.project_id,
+      canonical_name: entry.canonical_name,
+      is_new: false,
+      ...match
+    };
   }
 
   // Fuzzy match (medium confidence)
   let bestMatch = null;
   let bestScore = 0;
 
-  for (const [projectId, project] of Object.entries(MASTER_PROJECTS)) {
+  for (const project of index.projects) {
     const score = similarityScore(cleanName, project.canonical_name);
 
     if (score > bestScore) {
-      bestMatch = { projectId, project };
+      bestMatch = project;
       bestScore = score;
     }
   }
@@ -351,8 +397,8 @@ function normalizeProject(name, context = {}) {
   // If we found a good fuzzy match (>0.85 similarity)
   if (bestMatch && bestScore > 0.85) {
     return {
-      project_id: bestMatch.projectId,
-      canonical_name: bestMatch.project.canonical_name,
+      project_id: bestMatch.project_id,
+      canonical_name: bestMatch.canonical_name,
       confidence: bestScore,
       is_new: false,
       fuzzy_match: true
@@ -373,40 +419,45 @@ function normalizeProject(name, context = {}) {
  * Normalize all entities in an extracted report
  *
  * @param {Object} extractedData - Raw extracted data from Roxy
+ * @param {Object} [index] - Directory index from MasterDataDirectory.load()
  * @returns {Object} - Normalized data with canonical IDs
  */
-function normalizeExtractedData(extractedData) {
+function normalizeExtractedData(extractedData, index = EMPTY_INDEX) {
   const normalized = { ...extractedData };
+  const addAmbiguity = (match) => {
+    if (match.ambiguous) {
+      normalized.ambiguities = normalized.ambiguities || [];
+      normalized.ambiguities.push(match.ambiguous);
+    }
+  };
 
   // Normalize reporter
   if (normalized.reporter_name) {
-    const reporterNorm = normalizePersonnel(normalized.reporter_name);
+    const reporterNorm = normalizePersonnel(normalized.reporter_name, {}, index);
     normalized.reporter_personnel_id = reporterNorm.personnel_id;
     normalized.reporter_canonical_name = reporterNorm.canonical_name;
     normalized.reporter_confidence = reporterNorm.confidence;
     normalized.reporter_is_new = reporterNorm.is_new;
+    addAmbiguity(reporterNorm);
   }
 
   // Normalize project
   if (normalized.project_name) {
     const projectNorm = normalizeProject(normalized.project_name, {
-      reporter_name: normalized.reporter_name
-    });
+      reporter_personnel_id: normalized.reporter_personnel_id
+    }, index);
     normalized.project_id = projectNorm.project_id;
     normalized.project_canonical_name = projectNorm.canonical_name;
     normalized.project_confidence = projectNorm.confidence;
     normalized.project_is_new = projectNorm.is_new;
-
-    if (projectNorm.ambiguous) {
-      normalized.ambiguities = normalized.ambiguities || [];
-      normalized.ambiguities.push(projectNorm.ambiguous);
-    }
+    addAmbiguity(projectNorm);
   }
 
   // Normalize additional personnel
   if (normalized.additional_personnel && Array.isArray(normalized.additional_personnel)) {
     normalized.additional_personnel = normalized.additional_personnel.map(person => {
-      const personNorm = normalizePersonnel(person.name);
+      const personNorm = normalizePersonnel(person.name, { project_id: normalized.project_id }, index);
+      addAmbiguity(personNorm);
       return {
         ...person,
         personnel_id: personNorm.personnel_id,
@@ -419,31 +470,19 @@ function normalizeExtractedData(extractedData) {
 
   // Add normalization metadata
   normalized.normalization_timestamp = new Date().toISOString();
-  normalized.normalization_version = '1.0';
+  normalized.normalization_version = '2.0';
+  normalized.master_data_loaded_at = index.loadedAt;
 
   return normalized;
 }
 
-/**
- * Get all master personnel
- */
-function getMasterPersonnel() {
-  return MASTER_PERSONNEL;
-}
-
-/**
- * Get all master projects
- */
-function getMasterProjects() {
-  return MASTER_PROJECTS;
-}
-
 module.exports = {
+  MASTER_DATA_TTL_MS,
+  MasterDataDirectory,
+  buildMasterDataIndex,
   normalizePersonnel,
   normalizeProject,
   normalizeExtractedData,
-  getMasterPersonnel,
-  getMasterProjects,
   levenshteinDistance,
   similarityScore
 };
@@ -0,0 +1,224 @@
+/**
+ * Entity Normalization Tests
+ *
+ * The master data directory built from sitelogix-personnel and
+ * sitelogix-projects records, and names normalized against it.
+ */
+
+const { marshall } = require('@aws-sdk/util-dynamodb');
+const {
+  MasterDataDirectory,
+  buildMasterDataIndex,
+  normalizePersonnel,
+  normalizeProject,
+  normalizeExtractedData,
+  similarityScore
+} = require('./entityNormalizationService');
+
+const PERSONNEL = [
+  {
+    PK: 'PER#EMP-001', SK: 'PROFILE', personId: 'PER#EMP-001', fullName: 'Kenny Ruiz', firstName: 'Kenny',
+    preferredName: 'Ken', knownAliases: ['Kenny Ruiz', 'K-Dog'], jobTitle: 'Superintendent', project_id: 'proj_cc'
+  },
+  { PK: 'PER#EMP-001', SK: 'ALIAS#ken' },
+  { PK: 'EMPLOYEE#emp-002', SK: 'METADATA', employee_id: 'emp-002', full_name: 'Mike Torres', role: 'Foreman', project_id: 'proj_nash' },
+  { PK: 'EMPLOYEE#emp-003', SK: 'METADATA', employee_id: 'emp-003', full_name: 'Mike Chen', role: 'Laborer', project_id: 'proj_cc' },
+  { PK: 'EMPLOYEE#emp-004', SK: 'METADATA', employee_id: 'emp-004', full_name: 'Scott Russell', role: 'Plumber' }
+];
+
+const PROJECTS = [
+  { projectId: 'proj_cc', projectName: 'Cortex Commons', projectCode: 'CC', location: { city: 'St. Louis', state: 'MO' }, assignedManagers: ['PER#EMP-001'] },
+  { projectId: 'proj_mm', projectName: 'Mellow Mushroom', abbreviations: ['MM', 'Mellow'] },
+  { projectId: 'proj_mon', projectName: 'Monsanto', projectCode: 'MM', assignedManagers: ['emp-004'] },
+  { PK: 'PROJECT#proj_nash', SK: 'METADATA', project_id: 'proj_nash', project_name: 'Nashville Yards Tower 2', location: 'Nashville, TN', manager_id: 'EMPLOYEE#emp-002' }
+];
+
+const index = buildMasterDataIndex(PERSONNEL, PROJECTS);
+
+describe('buildMasterDataIndex', () => {
+  it('should read both generations of personnel records and skip alias records', () => {
+    expect(index.personnel.map(person => person.personnel_id)).toEqual(['PER#EMP-001', 'emp-002', 'emp-003', 'emp-004']);
+    expect(index.personnel[0]).toEqual({
+      personnel_id: 'PER#EMP-001',
+      canonical_name: 'Kenny Ruiz',
+      aliases: ['Kenny Ruiz', 'Ken', 'Kenny', 'K-Dog'],
+      role: 'Superintendent',
+      status: 'active',
+      project_id: 'proj_cc'
+    });
+    expect(index.personnel[1].aliases).toEqual(['Mike Torres', 'Mike']);
+  });
+
+  it('should read project codes, abbreviations, locations and managers', () => {
+    expect(index.projects[0]).toEqual({
+      project_id: 'proj_cc',
+      canonical_name: 'Cortex Commons',
+      abbreviations: ['CC'],
+      location: 'St. Louis, MO',
+      primary_manager: 'PER#EMP-001',
+      managers: ['PER#EMP-001'],
+      status: 'active'
+    });
+    expect(index.projects[3]).toEqual(expect.objectContaining({
+      project_id: 'proj_nash',
+      location: 'Nashville, TN',
+      primary_manager: 'emp-002'
+    }));
+  });
+});
+
+describe('normalizePersonnel', () => {
+  it('should match full names and aliases exactly', () => {
+    expect(normalizePersonnel('ken', {}, index)).toEqual({
+      personnel_id: 'PER#EMP-001',
+      canonical_name: 'Kenny Ruiz',
+      confidence: 1.0,
+      is_new: false,
+      role: 'Superintendent'
+    });
+    expect(normalizePersonnel(' Scott Russell ', {}, index).personnel_id).toBe('emp-004');
+  });
+
+  it('should settle a shared first name by the project and flag it otherwise', () => {
+    expect(normalizePersonnel('Mike', { project_id: 'proj_cc' }, index)).toEqual(expect.objectContaining({
+      personnel_id: 'emp-003',
+      confidence: 0.95,
+      context_disambiguated: true
+    }));
+    expect(normalizePersonnel('Mike', {}, index)).toEqual(expect.objectContaining({
+      personnel_id: 'emp-002',
+      confidence: 0.9,
+      ambiguous: 'Mike could be Mike Torres or Mike Chen'
+    }));
+  });
+
+  it('should fuzzy match close spellings and report others as new', () => {
+    expect(normalizePersonnel('Scot Russell', {}, index)).toEqual(expect.objectContaining({
+      personnel_id: 'emp-004',
+      fuzzy_match: true
+    }));
+    expect(normalizePersonnel('Owen Glassburn', {}, index)).toEqual({
+      personnel_id: null,
+      canonical_name: 'Owen Glassburn',
+      confidence: 0.5,
+      is_new: true,
+      needs_review: true
+    });
+    expect(normalizePersonnel('Kenny Ruiz').is_new).toBe(true);
+  });
+});
+
+describe('normalizeProject', () => {
+  it('should match names and codes, using the reporter to settle shared codes', () => {
+    expect(normalizeProject('cc', {}, index)).toEqual({ project_id: 'proj_cc', canonical_name: 'Cortex Commons', confidence: 1.0, is_new: false });
+    expect(normalizeProject('MM', { reporter_personnel_id: 'emp-004' }, index)).toEqual(expect.objectContaining({
+      project_id: 'proj_mon',
+      confidence: 0.95,
+      context_disambiguated: true
+    }));
+    expect(normalizeProject('MM', {}, index)).toEqual(expect.objectContaining({
+      project_id: 'proj_mm',
+      ambiguous: 'MM could be Mellow Mushroom or Monsanto'
+    }));
+  });
+
+  it('should fuzzy match project names', () => {
+    expect(normalizeProject('Nashville Yard Tower 2', {}, index)).toEqual(expect.objectContaining({
+      project_id: 'proj_nash',
+      fuzzy_match: true
+    }));
+    expect(normalizeProject('Brentwood', {}, index).is_new).toBe(true);
+  });
+});
+
+describe('normalizeExtractedData', () => {
+  it('should normalize the reporter, project and crew against the directory', () => {
+    const normalized = normalizeExtractedData({
+      reporter_name: 'Scott Russell',
+      project_name: 'MM',
+      additional_personnel: [{ name: 'Mike' }, { name: 'Owen' }]
+    }, index);
+
+    expect(normalized.reporter_personnel_id).toBe('emp-004');
+    expect(normalized.project_id).toBe('proj_mon');
+    expect(normalized.additional_personnel.map(person => person.canonical_name)).toEqual(['Mike Torres', 'Owen']);
+    expect(normalized.ambiguities).toEqual(['Mike could be Mike Torres or Mike Chen']);
+    expect(normalized.master_data_loaded_at).toBe(index.loadedAt);
+  });
+});
+
+describe('MasterDataDirectory', () => {
+  const tables = {
+    'sitelogix-personnel': PERSONNEL,
+    'sitelogix-projects': PROJECTS
+  };
+
+  function client() {
+    return {
+      send: jest.fn(async ({ input }) => {
+        // Two pages per table
+        const items = tables[input.TableName].map(item => marshall(item));
+        const half = Math.ceil(items.length / 2);
+        return input.ExclusiveStartKey
+          ? { Items: items.slice(half) }
+          : { Items: items.slice(0, half), LastEvaluatedKey: { PK: { S: 'next' } } };
+      })
+    };
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should scan every page of both tables once and reuse the index', async () => {
+    const dynamo = client();
+    const directory = new MasterDataDirectory(dynamo);
+
+    const [first, second] = await Promise.all([directory.load(), directory.load()]);
+
+    expect(first.personnel).toHaveLength(4);
+    expect(first.projects).toHaveLength(4);
+    expect(second).toBe(first);
+    expect(await directory.load()).toBe(first);
+    expect(dynamo.send).toHaveBeenCalledTimes(4);
+  });
+
+  it('should reload once the cache expires or on refresh', async () => {
+    const dynamo = client();
+    const directory = new MasterDataDirectory(dynamo, { ttlMs: 0 });
+
+    await directory.load();
+    await directory.load();
+    expect(dynamo.send).toHaveBeenCalledTimes(8);
+
+    const cached = new MasterDataDirectory(dynamo);
+    await cached.load();
+    await cached.load({ refresh: true });
+    expect(dynamo.send).toHaveBeenCalledTimes(16);
+  });
+
+  it('should keep the cached index when a reload fails', async () => {
+    const dynamo = client();
+    const directory = new MasterDataDirectory(dynamo);
+    const loaded = await directory.load();
+
+    dynamo.send.mockRejectedValue(new Error('Throttled'));
+
+    expect(await directory.load({ refresh: true })).toBe(loaded);
+    directory.invalidate();
+    await expect(directory.load()).rejects.toThrow('Throttled');
+  });
+});
+
+describe('similarityScore', () => {
+  it('should compare names ignoring case', () => {
+    expect(similarityScore('Kenny', 'kenny')).toBe(1);
+    expect(similarityScore('', '')).toBe(1);
+    expect(similarityScore('Owen', 'Owens')).toBe(0.8);
+  });
+});
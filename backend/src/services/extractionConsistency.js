@@ -0,0 +1,121 @@
+"use strict";
+/**
+ * Extraction Consistency Checks
+ *
+ * The daily report checklist (frontend/src/config/checklistConfig.ts) asks
+ * for some facts twice in different forms: a headcount and the names of
+ * the crew, a site arrival/departure window and each person's hours, a
+ * team's hours and its members'. The extraction captures both sides
+ * (timeSummary, personnel, workLogs); these checks reconcile them and
+ * return a warning for every disagreement, naming the checklist items the
+ * manager should be asked about again.
+ *
+ * Hours are compared with HOURS_TOLERANCE of slack so rounding ("about
+ * eight and a half") doesn't raise warnings.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.HOURS_TOLERANCE = void 0;
+exports.checkHeadcount = checkHeadcount;
+exports.checkTimeWindow = checkTimeWindow;
+exports.checkTeamHours = checkTeamHours;
+exports.checkConsistency = checkConsistency;
+const anomalyDetection_1 = require("./anomalyDetection");
+exports.HOURS_TOLERANCE = 0.5;
+const CHECKLIST_ITEMS = {
+    headcount: ['personnel_count', 'personnel_names'],
+    time_window: ['arrival_time', 'departure_time', 'personnel_names'],
+    team_hours: ['onsite_activities', 'personnel_names']
+};
+function toNumber(value) {
+    if (value === null || value === undefined || value === '')
+        return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+function warning(check, subject, stated, derived, message) {
+    return { check, checklistItems: CHECKLIST_ITEMS[check], subject, stated: round(stated), derived: round(derived), message };
+}
+function personName(person) {
+    return person?.fullName || person?.goByName || 'Unnamed crew member';
+}
+function totalHours(person) {
+    const regular = toNumber(person?.hoursWorked);
+    const overtime = toNumber(person?.overtimeHours);
+    return regular === null && overtime === null ? null : (regular || 0) + (overtime || 0);
+}
+/**
+ * Stated headcount against the people named
+ */
+function checkHeadcount(data) {
+    const stated = toNumber(data?.timeSummary?.totalPersonnelCount);
+    const named = Array.isArray(data?.personnel) ? data.personnel.length : 0;
+    if (stated === null || stated === named)
+        return [];
+    return [warning('headcount', null, stated, named, `Headcount was given as ${stated} but ${named} ${named === 1 ? 'person was' : 'people were'} named`)];
+}
+/**
+ * Each person's hours against the site arrival/departure window
+ *
+ * A departure earlier than the arrival is taken as a shift past midnight.
+ */
+function checkTimeWindow(data) {
+    const arrival = (0, anomalyDetection_1.parseTimeOfDay)(data?.timeSummary?.arrivalTime);
+    const departure = (0, anomalyDetection_1.parseTimeOfDay)(data?.timeSummary?.departureTime);
+    if (arrival === null || departure === null)
+        return [];
+    const windowHours = ((departure - arrival + 24 * 60) % (24 * 60)) / 60;
+    const window = `${(0, anomalyDetection_1.formatTimeOfDay)(arrival)} to ${(0, anomalyDetection_1.formatTimeOfDay)(departure)} (${round(windowHours)} hours)`;
+    return (Array.isArray(data?.personnel) ? data.personnel : [])
+        .map((person) => ({ person, hours: totalHours(person) }))
+        .filter(({ hours }) => hours !== null && hours > windowHours + exports.HOURS_TOLERANCE)
+        .map(({ person, hours }) => warning('time_window', personName(person), hours, windowHours, `${personName(person)} reported ${hours} hours but the crew was on site ${window}`));
+}
+/**
+ * Find the crew member a work log refers to by full name, go-by name or first name
+ */
+function findMember(personnel, name) {
+    const key = (0, anomalyDetection_1.nameKey)(name);
+    if (!key)
+        return null;
+    return personnel.find(person => (0, anomalyDetection_1.nameKey)(person?.fullName) === key || (0, anomalyDetection_1.nameKey)(person?.goByName) === key)
+        || personnel.find(person => (0, anomalyDetection_1.nameKey)(person?.fullName).split(' ')[0] === key)
+        || null;
+}
+/**
+ * Each team's hours against the sum of its members' hours
+ *
+ * Only teams whose members can all be found with hours are checked. A team
+ * logged at the hours each member worked ("Team 1 worked 8 hours") is not a
+ * discrepancy.
+ */
+function checkTeamHours(data) {
+    const personnel = Array.isArray(data?.personnel) ? data.personnel : [];
+    const warnings = [];
+    (Array.isArray(data?.workLogs) ? data.workLogs : []).forEach((log, index) => {
+        const teamHours = toNumber(log?.hoursWorked);
+        const assigned = Array.isArray(log?.personnelAssigned) ? log.personnelAssigned : [];
+        if (teamHours === null || assigned.length === 0)
+            return;
+        const members = assigned.map(name => findMember(personnel, name));
+        const hours = members.map(member => toNumber(member?.hoursWorked));
+        if (hours.some(value => value === null))
+            return;
+        const memberHours = hours;
+        const sum = memberHours.reduce((total, value) => total + value, 0);
+        const perPerson = memberHours.every(value => Math.abs(value - teamHours) <= exports.HOURS_TOLERANCE);
+        if (Math.abs(sum - teamHours) <= exports.HOURS_TOLERANCE || perPerson)
+            return;
+        const team = log.teamId || `Team ${index + 1}`;
+        warnings.push(warning('team_hours', team, teamHours, sum, `${team} logged ${teamHours} hours but ${assigned.join(', ')} reported ${round(sum)} hours between them`));
+    });
+    return warnings;
+}
+/**
+ * Every consistency warning for an extraction
+ */
+function checkConsistency(data) {
+    return [...checkHeadcount(data), ...checkTimeWindow(data), ...checkTeamHours(data)];
+}
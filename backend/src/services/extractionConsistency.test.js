@@ -0,0 +1,120 @@
+/**
+ * Extraction Consistency Tests
+ *
+ * Reconciling checklist answers that state the same fact twice: headcount
+ * against named crew, the site window against hours, teams against members.
+ */
+
+const {
+  checkConsistency,
+  checkHeadcount,
+  checkTimeWindow,
+  checkTeamHours
+} = require('./extractionConsistency');
+
+const crew = (...entries) => entries.map(([fullName, hoursWorked, overtimeHours]) => ({ fullName, hoursWorked, overtimeHours }));
+
+describe('checkHeadcount', () => {
+  it('should warn when the stated headcount differs from the people named', () => {
+    const warnings = checkHeadcount({
+      personnel: crew(['Kenny Ruiz', 8], ['Wes Clark', 8]),
+      timeSummary: { totalPersonnelCount: '12' }
+    });
+
+    expect(warnings).toEqual([{
+      check: 'headcount',
+      checklistItems: ['personnel_count', 'personnel_names'],
+      subject: null,
+      stated: 12,
+      derived: 2,
+      message: 'Headcount was given as 12 but 2 people were named'
+    }]);
+  });
+
+  it('should accept a matching or missing headcount', () => {
+    expect(checkHeadcount({ personnel: crew(['Kenny Ruiz', 8]), timeSummary: { totalPersonnelCount: 1 } })).toEqual([]);
+    expect(checkHeadcount({ personnel: crew(['Kenny Ruiz', 8]), timeSummary: {} })).toEqual([]);
+    expect(checkHeadcount(null)).toEqual([]);
+  });
+});
+
+describe('checkTimeWindow', () => {
+  it('should warn about anyone who worked longer than the crew was on site', () => {
+    const warnings = checkTimeWindow({
+      personnel: crew(['Kenny Ruiz', 8, 4], ['Wes Clark', 8.5], ['Jim Park', null]),
+      timeSummary: { arrivalTime: '7:00 AM', departureTime: '3:30 PM' }
+    });
+
+    expect(warnings).toEqual([expect.objectContaining({
+      check: 'time_window',
+      subject: 'Kenny Ruiz',
+      stated: 12,
+      derived: 8.5,
+      message: 'Kenny Ruiz reported 12 hours but the crew was on site 7:00 AM to 3:30 PM (8.5 hours)'
+    })]);
+  });
+
+  it('should treat a departure before the arrival as an overnight shift', () => {
+    expect(checkTimeWindow({
+      personnel: crew(['Kenny Ruiz', 8]),
+      timeSummary: { arrivalTime: '10:00 PM', departureTime: '6:30 AM' }
+    })).toEqual([]);
+  });
+
+  it('should skip the check without a readable window', () => {
+    expect(checkTimeWindow({ personnel: crew(['Kenny Ruiz', 14]), timeSummary: { arrivalTime: 'early' } })).toEqual([]);
+  });
+});
+
+describe('checkTeamHours', () => {
+  const personnel = [
+    { fullName: 'Kenny Ruiz', hoursWorked: 8 },
+    { fullName: 'Wes Clark', goByName: 'Wesley', hoursWorked: 6 },
+    { fullName: 'Jim Park', hoursWorked: 8 }
+  ];
+
+  it('should warn when a team total differs from its members', () => {
+    const warnings = checkTeamHours({
+      personnel,
+      workLogs: [{ teamId: 'Team 1', personnelAssigned: ['Kenny', 'Wesley'], hoursWorked: 20 }]
+    });
+
+    expect(warnings).toEqual([expect.objectContaining({
+      check: 'team_hours',
+      checklistItems: ['onsite_activities', 'personnel_names'],
+      subject: 'Team 1',
+      stated: 20,
+      derived: 14,
+      message: 'Team 1 logged 20 hours but Kenny, Wesley reported 14 hours between them'
+    })]);
+  });
+
+  it('should accept team totals and per-person team hours', () => {
+    expect(checkTeamHours({
+      personnel,
+      workLogs: [
+        { personnelAssigned: ['Kenny Ruiz', 'Wes Clark'], hoursWorked: 14.5 },
+        { personnelAssigned: ['Kenny Ruiz', 'Jim Park'], hoursWorked: 8 }
+      ]
+    })).toEqual([]);
+  });
+
+  it('should skip teams with members it cannot find', () => {
+    expect(checkTeamHours({
+      personnel,
+      workLogs: [{ personnelAssigned: ['Kenny', 'The crane guy'], hoursWorked: 30 }]
+    })).toEqual([]);
+  });
+});
+
+describe('checkConsistency', () => {
+  it('should run every check', () => {
+    const warnings = checkConsistency({
+      personnel: crew(['Kenny Ruiz', 12]),
+      timeSummary: { totalPersonnelCount: 3, arrivalTime: '7:00', departureTime: '15:00' },
+      workLogs: [{ teamId: 'Framing', personnelAssigned: ['Kenny'], hoursWorked: 4 }]
+    });
+
+    expect(warnings.map(warning => warning.check)).toEqual(['headcount', 'time_window', 'team_hours']);
+  });
+});
@@ -0,0 +1,271 @@
+"use strict";
+/**
+ * Extraction Evaluation
+ *
+ * Scores a prompt version against hand-labeled training transcripts so the
+ * accuracy in AIModelRegistry is measured rather than asserted.
+ *
+ * Labels live in transcripts/labels/{name}.json next to
+ * transcripts/training-txt/{name}.txt:
+ *   {
+ *     "personnel":   [{ "name": "Owen Glassbrenner", "aliases": ["Owen Glassburn"], "hours": 8 }],
+ *     "vendors":     [{ "companyName": "Ferguson" }],
+ *     "constraints": [{ "description": "Short six inch sleeves", "keywords": ["sleeve"] }]
+ *   }
+ *
+ * Matching is one-to-one per transcript:
+ * - personnel: names match when one's words are all in the other ("Jim" ~ "Jim O'Loughlin")
+ * - hours: a matched person whose hoursWorked, or hoursWorked + overtimeHours, is within
+ *   0.25 of the label's total
+ * - vendors: company names match the same way as people
+ * - constraints: the predicted title/description contains one of the label's keywords
+ *
+ * Counts are summed over all transcripts before computing precision and recall.
+ */
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || (function () {
+    var ownKeys = function(o) {
+        ownKeys = Object.getOwnPropertyNames || function (o) {
+            var ar = [];
+            for (var k in o) if (Object.prototype.hasOwnProperty.call(o, k)) ar[ar.length] = k;
+            return ar;
+        };
+        return ownKeys(o);
+    };
+    return function (mod) {
+        if (mod && mod.__esModule) return mod;
+        var result = {};
+        if (mod != null) for (var k = ownKeys(mod), i = 0; i < k.length; i++) if (k[i] !== "default") __createBinding(result, mod, k[i]);
+        __setModuleDefault(result, mod);
+        return result;
+    };
+})();
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.EVALUATED_ENTITIES = void 0;
+exports.parseTrainingTranscript = parseTrainingTranscript;
+exports.loadLabeledTranscripts = loadLabeledTranscripts;
+exports.namesMatch = namesMatch;
+exports.scoreExtraction = scoreExtraction;
+exports.scoreCounts = scoreCounts;
+exports.summarizeCases = summarizeCases;
+exports.evaluatePrompt = evaluatePrompt;
+const fs = __importStar(require("fs"));
+const path = __importStar(require("path"));
+const aiModelRegistry_1 = require("./aiModelRegistry");
+exports.EVALUATED_ENTITIES = ['personnel', 'hours', 'vendors', 'constraints'];
+const HOURS_TOLERANCE = 0.25;
+/**
+ * Parse a training-txt file:
+ *   Report Date: / Report Name: / Employee Name: / Transcript:
+ */
+function parseTrainingTranscript(file, text) {
+    const field = (name) => {
+        const match = text.match(new RegExp(`^${name}:\\s*(.*)$`, 'm'));
+        return match ? match[1].trim() : '';
+    };
+    const start = text.search(/^Transcript:/m);
+    const reportName = field('Report Name');
+    return {
+        file,
+        reportId: `training_${reportName.replace(/[^A-Za-z0-9]+/g, '_')}`,
+        projectName: reportName.replace(/^[\d.-]+\s+\S+\s+/, '').replace(/_transcript$/, ''),
+        managerName: field('Employee Name'),
+        reportDate: field('Report Date'),
+        transcript: start === -1 ? text.trim() : text.slice(start + 'Transcript:'.length).trim()
+    };
+}
+/**
+ * Training transcripts that have a label, sorted by file name
+ */
+function loadLabeledTranscripts(trainingDir, labelsDir) {
+    return fs.readdirSync(labelsDir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(labelFile => {
+        const file = labelFile.replace(/\.json$/, '.txt');
+        const transcriptPath = path.join(trainingDir, file);
+        if (!fs.existsSync(transcriptPath)) {
+            throw new Error(`Label ${labelFile} has no transcript at ${transcriptPath}`);
+        }
+        const label = JSON.parse(fs.readFileSync(path.join(labelsDir, labelFile), 'utf8'));
+        return {
+            ...parseTrainingTranscript(file, fs.readFileSync(transcriptPath, 'utf8')),
+            label: {
+                personnel: label.personnel || [],
+                vendors: label.vendors || [],
+                constraints: label.constraints || []
+            }
+        };
+    });
+}
+function words(name) {
+    return name
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .replace(/\b(inc|llc|co|company|corp)\b/g, ' ')
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+/**
+ * Names match when every word of the shorter one appears in the longer one
+ */
+function namesMatch(a, b) {
+    const [shorter, longer] = [words(a), words(b)].sort((x, y) => x.length - y.length);
+    return shorter.length > 0 && shorter.every(word => longer.includes(word));
+}
+/**
+ * Pair each expected item with the first unused predicted item it matches
+ */
+function matchOneToOne(expected, predicted, matches) {
+    const used = new Set();
+    const pairs = [];
+    for (const e of expected) {
+        const index = predicted.findIndex((p, i) => !used.has(i) && matches(e, p));
+        if (index !== -1) {
+            used.add(index);
+            pairs.push([e, predicted[index]]);
+        }
+    }
+    return pairs;
+}
+function counts(expected, predicted, matched) {
+    return { tp: matched, fp: predicted - matched, fn: expected - matched };
+}
+function personNames(person) {
+    return [person?.fullName, person?.goByName, person?.name].filter(name => typeof name === 'string' && name.trim());
+}
+function totalHours(person) {
+    const hours = Number(person?.hoursWorked);
+    if (person?.hoursWorked === null || person?.hoursWorked === undefined || !Number.isFinite(hours)) {
+        return null;
+    }
+    const overtime = Number(person?.overtimeHours);
+    return hours + (Number.isFinite(overtime) ? overtime : 0);
+}
+/**
+ * Compare one extraction with its label
+ */
+function scoreExtraction(predicted, label) {
+    const personnel = Array.isArray(predicted?.personnel) ? predicted.personnel : [];
+    const vendors = Array.isArray(predicted?.vendors) ? predicted.vendors : [];
+    const constraints = Array.isArray(predicted?.constraints) ? predicted.constraints : [];
+    const personPairs = matchOneToOne(label.personnel, personnel, (expected, person) => [expected.name, ...(expected.aliases || [])].some(name => personNames(person).some(candidate => namesMatch(name, candidate))));
+    // Hours are scored only where both sides have a number
+    const expectedHours = label.personnel.filter(person => typeof person.hours === 'number');
+    const predictedHours = personnel.filter(person => totalHours(person) !== null);
+    const correctHours = personPairs.filter(([expected, person]) => {
+        const hours = totalHours(person);
+        const worked = Number(person.hoursWorked);
+        return typeof expected.hours === 'number' && hours !== null &&
+            (Math.abs(hours - expected.hours) <= HOURS_TOLERANCE || Math.abs(worked - expected.hours) <= HOURS_TOLERANCE);
+    }).length;
+    const vendorPairs = matchOneToOne(label.vendors, vendors, (expected, vendor) => typeof vendor?.companyName === 'string' &&
+        [expected.companyName, ...(expected.aliases || [])].some(name => namesMatch(name, vendor.companyName)));
+    const constraintPairs = matchOneToOne(label.constraints, constraints, (expected, constraint) => {
+        const text = `${constraint?.title || ''} ${constraint?.description || ''} ${constraint?.extractedFromText || ''}`.toLowerCase();
+        return expected.keywords.some(keyword => text.includes(keyword.toLowerCase()));
+    });
+    return {
+        personnel: counts(label.personnel.length, personnel.length, personPairs.length),
+        hours: counts(expectedHours.length, predictedHours.length, correctHours),
+        vendors: counts(label.vendors.length, vendors.length, vendorPairs.length),
+        constraints: counts(label.constraints.length, constraints.length, constraintPairs.length)
+    };
+}
+/**
+ * Precision, recall and F1 from summed counts (null where undefined)
+ */
+function scoreCounts({ tp, fp, fn }) {
+    const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+    const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+    const f1 = precision !== null && recall !== null && precision + recall > 0
+        ? (2 * precision * recall) / (precision + recall)
+        : (precision === 0 || recall === 0 ? 0 : null);
+    return { tp, fp, fn, precision, recall, f1 };
+}
+function percent(value) {
+    return value === null ? null : Math.round(value * 1000) / 10;
+}
+function percentages(metrics, score) {
+    return {
+        personnel: percent(metrics.personnel[score]),
+        hours: percent(metrics.hours[score]),
+        vendors: percent(metrics.vendors[score]),
+        constraints: percent(metrics.constraints[score])
+    };
+}
+/**
+ * Sum per-transcript counts into per-entity scores
+ */
+function summarizeCases(cases) {
+    return Object.fromEntries(exports.EVALUATED_ENTITIES.map(entity => {
+        const total = cases.reduce((sum, result) => ({
+            tp: sum.tp + result.counts[entity].tp,
+            fp: sum.fp + result.counts[entity].fp,
+            fn: sum.fn + result.counts[entity].fn
+        }), { tp: 0, fp: 0, fn: 0 });
+        return [entity, scoreCounts(total)];
+    }));
+}
+/**
+ * Run a prompt version over labeled transcripts and score it
+ *
+ * An extraction that fails counts as an empty one, so every label is missed.
+ */
+async function evaluatePrompt(promptVersion, transcripts, options = {}) {
+    aiModelRegistry_1.PromptRegistry.getPrompt(promptVersion);
+    const cases = [];
+    let { provider, model } = aiModelRegistry_1.AIModelRegistry.getTaskModel('report-extraction');
+    for (const item of transcripts) {
+        let result;
+        try {
+            const prompt = aiModelRegistry_1.PromptRegistry.buildPrompt(promptVersion, {
+                projectName: item.projectName,
+                projectLocation: 'N/A',
+                managerName: item.managerName,
+                reportDate: item.reportDate,
+                rawTranscriptText: item.transcript
+            });
+            const completion = await (0, aiModelRegistry_1.runLLMTask)('report-extraction', { prompt, json: true });
+            provider = completion.provider;
+            model = completion.model;
+            result = { file: item.file, counts: scoreExtraction(completion.data, item.label) };
+        }
+        catch (error) {
+            result = { file: item.file, counts: scoreExtraction({}, item.label), error: error.message };
+        }
+        cases.push(result);
+        options.onCase?.(result);
+    }
+    const metrics = summarizeCases(cases);
+    return {
+        evaluation: {
+            promptVersion,
+            provider,
+            model,
+            evaluatedAt: new Date().toISOString(),
+            transcripts: transcripts.length,
+            failed: cases.filter(result => result.error).length,
+            accuracy: percentages(metrics, 'f1'),
+            precision: percentages(metrics, 'precision'),
+            recall: percentages(metrics, 'recall')
+        },
+        metrics,
+        cases
+    };
+}
@@ -0,0 +1,199 @@
+/**
+ * Extraction Evaluation Tests
+ *
+ * Scoring rules against small hand-written labels, and a full evaluation run
+ * on FakeLLMProvider that feeds its accuracy back into the registry.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AIModelRegistry, loadModelEvaluations } = require('./aiModelRegistry');
+const { FakeLLMProvider } = require('./llmProviders');
+const {
+  parseTrainingTranscript,
+  loadLabeledTranscripts,
+  namesMatch,
+  scoreExtraction,
+  scoreCounts,
+  evaluatePrompt
+} = require('./extractionEvaluation');
+
+const TRANSCRIPTS_DIR = path.resolve(__dirname, '../../../transcripts');
+
+const LABEL = {
+  personnel: [
+    { name: 'Wes Clark', hours: 8 },
+    { name: "Jim O'Loughlin", hours: 8 },
+    { name: 'Owen Glassbrenner', aliases: ['Owen Glassburn'], hours: 10.5 }
+  ],
+  vendors: [{ companyName: 'Ferguson' }, { companyName: 'Knoebel' }],
+  constraints: [{ description: 'Short six inch sleeves', keywords: ['sleeve'] }]
+};
+
+describe('namesMatch', () => {
+  it('should match a first name to a full name and ignore punctuation and case', () => {
+    expect(namesMatch('Jim', "Jim O'Loughlin")).toBe(true);
+    expect(namesMatch('jim oloughlin', "Jim O'Loughlin")).toBe(true);
+    expect(namesMatch('Ferguson Supply Co.', 'Ferguson')).toBe(true);
+  });
+
+  it('should not match different people who share a last name', () => {
+    expect(namesMatch('Don Guthrie', 'Dawn Guthrie')).toBe(false);
+    expect(namesMatch('', 'Wes Clark')).toBe(false);
+  });
+});
+
+describe('scoreExtraction', () => {
+  it('should count matched, extra and missed entities', () => {
+    const counts = scoreExtraction({
+      personnel: [
+        { fullName: 'Wes Clark', hoursWorked: 8 },
+        { fullName: 'Jim OLoughlin', goByName: 'Jim', hoursWorked: 7 },
+        { fullName: 'Eric Smith', hoursWorked: null }
+      ],
+      vendors: [{ companyName: 'Ferguson Enterprises' }, { companyName: 'Nate' }],
+      constraints: [{ title: 'Missing sleeves', description: 'Short on 6" sleeves' }, { title: 'Weather' }]
+    }, LABEL);
+
+    expect(counts.personnel).toEqual({ tp: 2, fp: 1, fn: 1 });
+    expect(counts.hours).toEqual({ tp: 1, fp: 1, fn: 2 });
+    expect(counts.vendors).toEqual({ tp: 1, fp: 1, fn: 1 });
+    expect(counts.constraints).toEqual({ tp: 1, fp: 1, fn: 0 });
+  });
+
+  it('should match people by alias and hours with overtime added', () => {
+    const counts = scoreExtraction({
+      personnel: [{ fullName: 'Owen Glassburn', hoursWorked: 8, overtimeHours: 2.5 }]
+    }, LABEL);
+
+    expect(counts.personnel.tp).toBe(1);
+    expect(counts.hours.tp).toBe(1);
+  });
+
+  it('should pair each label with one prediction at most', () => {
+    const counts = scoreExtraction({
+      personnel: [{ fullName: 'Wes Clark', hoursWorked: 8 }, { goByName: 'Wes', hoursWorked: 8 }]
+    }, { personnel: [{ name: 'Wes Clark', hours: 8 }], vendors: [], constraints: [] });
+
+    expect(counts.personnel).toEqual({ tp: 1, fp: 1, fn: 0 });
+  });
+
+  it('should score a missing or malformed extraction as empty', () => {
+    expect(scoreExtraction(null, LABEL).personnel).toEqual({ tp: 0, fp: 0, fn: 3 });
+    expect(scoreExtraction({ personnel: 'none' }, LABEL).personnel).toEqual({ tp: 0, fp: 0, fn: 3 });
+  });
+});
+
+describe('scoreCounts', () => {
+  it('should compute precision, recall and F1', () => {
+    expect(scoreCounts({ tp: 3, fp: 1, fn: 3 })).toEqual({ tp: 3, fp: 1, fn: 3, precision: 0.75, recall: 0.5, f1: 0.6 });
+  });
+
+  it('should leave undefined scores null', () => {
+    expect(scoreCounts({ tp: 0, fp: 0, fn: 0 })).toEqual(expect.objectContaining({ precision: null, recall: null, f1: null }));
+    expect(scoreCounts({ tp: 0, fp: 0, fn: 4 })).toEqual(expect.objectContaining({ precision: null, recall: 0, f1: 0 }));
+  });
+});
+
+describe('training transcripts', () => {
+  it('should parse the header fields and transcript body', () => {
+    const parsed = parseTrainingTranscript('7.12.22 Wes MM_transcript.txt', [
+      'Report Date:  2022-07-12',
+      'Report Name: 7.12.22 Wes MM_transcript',
+      '',
+      'Employee Name: Wes Clark',
+      '',
+      'Transcript: This recording is for July 12, 2022.'
+    ].join('\n'));
+
+    expect(parsed).toEqual({
+      file: '7.12.22 Wes MM_transcript.txt',
+      reportId: 'training_7_12_22_Wes_MM_transcript',
+      projectName: 'MM',
+      managerName: 'Wes Clark',
+      reportDate: '2022-07-12',
+      transcript: 'This recording is for July 12, 2022.'
+    });
+  });
+
+  it('should have a transcript for every label in the repo', () => {
+    const labeled = loadLabeledTranscripts(path.join(TRANSCRIPTS_DIR, 'training-txt'), path.join(TRANSCRIPTS_DIR, 'labels'));
+
+    expect(labeled.length).toBeGreaterThan(0);
+    for (const item of labeled) {
+      expect(item.transcript.length).toBeGreaterThan(0);
+      expect(item.label.personnel.every(person => person.name)).toBe(true);
+      expect(item.label.constraints.every(constraint => constraint.keywords.length > 0)).toBe(true);
+    }
+  });
+});
+
+describe('evaluatePrompt', () => {
+  const transcripts = [
+    { file: 'a.txt', projectName: 'MM', managerName: 'Wes Clark', reportDate: '2022-07-12', transcript: 'Wes Clark 8 hours', label: LABEL },
+    { file: 'b.txt', projectName: 'CC', managerName: 'Kenny', reportDate: '2022-07-18', transcript: 'Kenny 8 hours', label: { personnel: [{ name: 'Kenny', hours: 8 }], vendors: [], constraints: [] } }
+  ];
+  let fake;
+  let dir;
+
+  beforeEach(() => {
+    process.env.LLM_PROVIDER = 'fake';
+    fake = new FakeLLMProvider().respond('report-extraction', (request) => (
+      request.prompt.includes('Kenny 8 hours')
+        ? { personnel: [{ fullName: 'Kenny', hoursWorked: 8 }] }
+        : 'Sorry, I could not read this transcript.'
+    ));
+    AIModelRegistry.resetProviders();
+    AIModelRegistry.registerProvider(fake);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-evaluations-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.LLM_PROVIDER;
+    AIModelRegistry.resetProviders();
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('should run the prompt version over each transcript and sum the scores', async () => {
+    const report = await evaluatePrompt('extraction-v2.0', transcripts);
+
+    expect(fake.calls).toHaveLength(2);
+    expect(fake.calls[1].prompt).toContain('Kenny 8 hours');
+    expect(fake.calls[1].prompt).toContain('WITH CONFIDENCE SCORES');
+    expect(report.cases[0].error).toMatch('Could not parse JSON');
+    expect(report.metrics.personnel).toEqual(expect.objectContaining({ tp: 1, fp: 0, fn: 3, precision: 1, recall: 0.25 }));
+    expect(report.evaluation).toEqual(expect.objectContaining({
+      promptVersion: 'extraction-v2.0',
+      provider: 'fake',
+      model: 'fake-llm',
+      transcripts: 2,
+      failed: 1,
+      accuracy: { personnel: 40, hours: 40, vendors: 0, constraints: 0 }
+    }));
+  });
+
+  it('should reject an unknown prompt version', async () => {
+    await expect(evaluatePrompt('extraction-v9.9', transcripts)).rejects.toThrow('Prompt version extraction-v9.9 not found');
+  });
+
+  it('should give the evaluated model version its accuracy and save it', async () => {
+    const { evaluation } = await evaluatePrompt('extraction-v2.0', transcripts);
+    const previous = AIModelRegistry.getEvaluations();
+    const file = path.join(dir, 'modelEvaluations.json');
+
+    try {
+      AIModelRegistry.recordEvaluation({ ...evaluation, model: 'claude-3-5-sonnet-20241022' });
+      AIModelRegistry.saveEvaluations(file);
+
+      expect(AIModelRegistry.getVersion('v2.0.0').accuracy).toEqual(evaluation.accuracy);
+      expect(AIModelRegistry.getVersion('v1.0.0').accuracy).toBeUndefined();
+      expect(loadModelEvaluations(file)).toEqual([expect.objectContaining({ promptVersion: 'extraction-v2.0', transcripts: 2 })]);
+    } finally {
+      AIModelRegistry.clearEvaluations();
+      previous.forEach(saved => AIModelRegistry.recordEvaluation(saved));
+    }
+  });
+});
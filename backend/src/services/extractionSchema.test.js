@@ -0,0 +1,148 @@
+/**
+ * Extraction Schema Tests
+ *
+ * Coercion and validation of model output, and the repair retry on
+ * FakeLLMProvider.
+ */
+
+const { AIModelRegistry } = require('./aiModelRegistry');
+const { FakeLLMProvider } = require('./llmProviders');
+const { coerceNumber, validateExtractionOutput, runExtractionTask } = require('./extractionSchema');
+
+describe('coerceNumber', () => {
+  it('should read numbers written with units or in words', () => {
+    expect(coerceNumber(8)).toBe(8);
+    expect(coerceNumber('8')).toBe(8);
+    expect(coerceNumber('8 hrs')).toBe(8);
+    expect(coerceNumber('8.5 hours')).toBe(8.5);
+    expect(coerceNumber('1,200')).toBe(1200);
+    expect(coerceNumber('eight')).toBe(8);
+    expect(coerceNumber('Eight and a half hours')).toBe(8.5);
+  });
+
+  it('should not guess at ranges or other text', () => {
+    expect(coerceNumber('8-10 hours')).toBeNull();
+    expect(coerceNumber('all day')).toBeNull();
+    expect(coerceNumber({ hours: 8 })).toBeNull();
+    expect(coerceNumber(NaN)).toBeNull();
+  });
+});
+
+describe('validateExtractionOutput', () => {
+  it('should coerce loosely written values and keep fields outside the schema', () => {
+    const { data, errors, coerced } = validateExtractionOutput({
+      personnel: [{ fullName: 'Wes Clark', hoursWorked: '8 hrs', overtimeHours: 'N/A', confidence: '90', badge: 'A12' }],
+      workLogs: { teamId: 1, personnelAssigned: 'Wes Clark', personnelCount: '2' },
+      constraints: [{ title: 'Sleeves', category: 'Material', severity: 'High', status: 'In Progress' }],
+      timeSummary: { totalPersonnelCount: 'two', totalRegularHours: '16 hours' }
+    });
+
+    expect(errors).toEqual([]);
+    expect(coerced).toBe(11);
+    expect(data).toEqual({
+      personnel: [{ fullName: 'Wes Clark', hoursWorked: 8, overtimeHours: null, confidence: 90, badge: 'A12' }],
+      workLogs: [{ teamId: '1', personnelAssigned: ['Wes Clark'], personnelCount: 2 }],
+      constraints: [{ title: 'Sleeves', category: 'material', severity: 'high', status: 'in_progress' }],
+      vendors: [],
+      timeSummary: { totalPersonnelCount: 2, totalRegularHours: 16 }
+    });
+  });
+
+  it('should list what cannot be coerced by path', () => {
+    const { errors } = validateExtractionOutput({
+      personnel: [{ hoursWorked: 30 }, { fullName: 'Jim', hoursWorked: 'all day' }],
+      constraints: [{ severity: 'urgent' }],
+      vendors: 'Ferguson',
+      timeSummary: { totalPersonnelCount: 2.5 }
+    });
+
+    expect(errors).toEqual([
+      { field: 'personnel[0].fullName', message: 'personnel[0].fullName is required' },
+      { field: 'personnel[0].hoursWorked', message: 'personnel[0].hoursWorked must be at most 24, got 30' },
+      { field: 'personnel[1].hoursWorked', message: 'personnel[1].hoursWorked must be a number, got "all day"' },
+      { field: 'constraints[0].severity', message: 'constraints[0].severity must be one of: low, medium, high, critical (got "urgent")' },
+      { field: 'vendors', message: 'vendors must be an array' },
+      { field: 'timeSummary.totalPersonnelCount', message: 'timeSummary.totalPersonnelCount must be a whole number, got 2.5' }
+    ]);
+  });
+
+  it('should reject a response that is not an object but still return empty sections', () => {
+    const { data, errors } = validateExtractionOutput([{ fullName: 'Wes Clark' }]);
+
+    expect(errors).toEqual([{ field: '$', message: 'Response must be a JSON object' }]);
+    expect(data).toEqual({ personnel: [], workLogs: [], constraints: [], vendors: [], timeSummary: {} });
+  });
+});
+
+describe('runExtractionTask', () => {
+  let fake;
+
+  beforeEach(() => {
+    process.env.LLM_PROVIDER = 'fake';
+    fake = new FakeLLMProvider();
+    AIModelRegistry.resetProviders();
+    AIModelRegistry.registerProvider(fake);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.LLM_PROVIDER;
+    AIModelRegistry.resetProviders();
+    jest.restoreAllMocks();
+  });
+
+  it('should return valid output from one call', async () => {
+    fake.respond('transcript-analytics', { personnel: [{ fullName: 'Wes Clark', hoursWorked: '8 hrs' }] });
+
+    const result = await runExtractionTask('transcript-analytics', { prompt: 'Wes worked 8 hours' });
+
+    expect(fake.calls).toHaveLength(1);
+    expect(fake.calls[0].json).toBe(true);
+    expect(result).toEqual(expect.objectContaining({ needsReview: false, errors: [], attempts: 1 }));
+    expect(result.data.personnel).toEqual([{ fullName: 'Wes Clark', hoursWorked: 8 }]);
+  });
+
+  it('should send the validation errors back once and use the repaired output', async () => {
+    fake.respond('transcript-analytics', (request) => (
+      request.prompt.includes('YOUR PREVIOUS RESPONSE')
+        ? { personnel: [{ fullName: 'Wes Clark', hoursWorked: 8 }] }
+        : '{"personnel": [{"fullName": "Wes Clark", "hoursWorked": "8 to 9"}'
+    ));
+
+    const result = await runExtractionTask('transcript-analytics', { system: 'JSON only', prompt: 'Wes worked 8 hours' });
+
+    expect(fake.calls).toHaveLength(2);
+    expect(fake.calls[1].system).toBe('JSON only');
+    expect(fake.calls[1].prompt).toContain('Wes worked 8 hours');
+    expect(fake.calls[1].prompt).toContain('- $: ');
+    expect(result).toEqual(expect.objectContaining({ needsReview: false, attempts: 2 }));
+    expect(result.data.personnel[0].hoursWorked).toBe(8);
+  });
+
+  it('should flag output that is still invalid instead of throwing', async () => {
+    fake.respond('transcript-analytics', { personnel: [{ fullName: 'Wes Clark', hoursWorked: 'all day' }], vendors: [{ companyName: 'Ferguson' }] });
+
+    const result = await runExtractionTask('transcript-analytics', { prompt: 'Wes worked all day' });
+
+    expect(fake.calls).toHaveLength(2);
+    expect(fake.calls[1].prompt).toContain('- personnel[0].hoursWorked: personnel[0].hoursWorked must be a number, got "all day"');
+    expect(result.needsReview).toBe(true);
+    expect(result.errors).toEqual([expect.objectContaining({ field: 'personnel[0].hoursWorked' })]);
+    expect(result.data.vendors).toEqual([{ companyName: 'Ferguson' }]);
+  });
+
+  it('should keep the first answer when the repair is not even JSON', async () => {
+    fake.respond('transcript-analytics', (request) => (
+      request.prompt.includes('YOUR PREVIOUS RESPONSE')
+        ? 'Sorry, I cannot help with that.'
+        : { personnel: [{ fullName: 'Wes Clark', hoursWorked: 30 }] }
+    ));
+
+    const result = await runExtractionTask('transcript-analytics', { prompt: 'Wes worked a double' });
+
+    expect(result.needsReview).toBe(true);
+    expect(result.data.personnel).toEqual([{ fullName: 'Wes Clark', hoursWorked: 30 }]);
+    expect(result.errors).toEqual([expect.objectContaining({ field: 'personnel[0].hoursWorked' })]);
+  });
+});
@@ -0,0 +1,397 @@
+/**
+ * Extraction Schema
+ *
+ * Checks model extraction output (personnel, workLogs, constraints, vendors,
+ * timeSummary) before anything is stored, and asks the model once to fix
+ * output that fails.
+ *
+ * Rules follow the request schemas in functions/validation:
+ *   type        'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'any'
+ *   required    reject when missing or null
+ *   enum        allowed values
+ *   min / max   numeric bounds
+ *   fields      nested rules for objects; other keys are kept as they are
+ *   items       rule applied to every array element
+ *   default     used when the value is missing or null (top-level sections)
+ *
+ * Values the model writes loosely are coerced rather than rejected:
+ * "8 hrs" -> 8, "eight and a half" -> 8.5, "In Progress" -> "in_progress",
+ * "N/A" -> null, a single object where a list belongs -> [object].
+ */
+
+import { LLMTask, LLMTaskInput, LLMTaskResult, runLLMTask } from './aiModelRegistry';
+import { parseJSONResponse } from './llmProviders';
+
+export interface OutputRule {
+  type: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'any';
+  required?: boolean;
+  enum?: string[];
+  min?: number;
+  max?: number;
+  fields?: Record<string, OutputRule>;
+  items?: OutputRule;
+  default?: unknown;
+}
+
+export interface OutputError {
+  field: string;
+  message: string;
+}
+
+export interface OutputValidation {
+  data: any;                    // Coerced output
+  errors: OutputError[];
+  coerced: number;              // Values rewritten to fit the schema
+}
+
+const text: OutputRule = { type: 'string' };
+const hours: OutputRule = { type: 'number', min: 0, max: 24 };
+const total: OutputRule = { type: 'number', min: 0 };
+const confidence: OutputRule = { type: 'number', min: 0, max: 100 };
+const names: OutputRule = { type: 'array', items: text };
+
+export const EXTRACTION_OUTPUT_SCHEMA: Record<string, OutputRule> = {
+  personnel: {
+    type: 'array',
+    default: [],
+    items: {
+      type: 'object',
+      fields: {
+        fullName: { type: 'string', required: true },
+        goByName: text,
+        position: text,
+        teamAssignment: text,
+        hoursWorked: hours,
+        overtimeHours: hours,
+        healthStatus: text,
+        activitiesPerformed: text,
+        extractedFromText: text,
+        confidence
+      }
+    }
+  },
+  workLogs: {
+    type: 'array',
+    default: [],
+    items: {
+      type: 'object',
+      fields: {
+        teamId: text,
+        level: text,
+        description: text,
+        taskDescription: text,
+        personnelAssigned: names,
+        personnelCount: { type: 'integer', min: 0 },
+        hoursWorked: total,
+        overtimeHours: total,
+        materialsUsed: names,
+        equipmentUsed: names,
+        extractedFromText: text,
+        confidence
+      }
+    }
+  },
+  constraints: {
+    type: 'array',
+    default: [],
+    items: {
+      type: 'object',
+      fields: {
+        category: { type: 'string', enum: ['delay', 'safety', 'material', 'weather', 'labor', 'coordination', 'other'] },
+        level: text,
+        severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+        title: text,
+        description: text,
+        status: { type: 'string', enum: ['open', 'in_progress', 'resolved'] },
+        extractedFromText: text,
+        confidence
+      }
+    }
+  },
+  vendors: {
+    type: 'array',
+    default: [],
+    items: {
+      type: 'object',
+      fields: {
+        companyName: { type: 'string', required: true },
+        vendorType: text,
+        materialsDelivered: text,
+        deliveryTime: text,
+        receivedBy: text,
+        deliveryNotes: text,
+        extractedFromText: text,
+        confidence
+      }
+    }
+  },
+  timeSummary: {
+    type: 'object',
+    default: {},
+    fields: {
+      totalPersonnelCount: { type: 'integer', min: 0 },
+      totalRegularHours: total,
+      totalOvertimeHours: total,
+      arrivalTime: text,
+      departureTime: text
+    }
+  }
+};
+
+const NUMBER_WORDS: Record<string, number> = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+  eighteen: 18, nineteen: 19, twenty: 20
+};
+
+// Ways a model writes "no value" in a field that isn't free text
+const EMPTY_VALUES = new Set(['', 'n/a', 'na', 'none', 'null', 'unknown', 'not mentioned', 'not specified']);
+
+/**
+ * Number from model output: 8, "8", "8 hrs", "1,200", "eight", "eight and a half hours"
+ *
+ * @returns the number, or null when the text isn't one
+ */
+export function coerceNumber(value: unknown): number | null {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const cleaned = value.trim().toLowerCase().replace(/(\d),(?=\d{3}\b)/g, '$1');
+  const numeric = cleaned.match(/^(-?\d+(?:\.\d+)?)\s*(?:[a-z][a-z. ]*)?$/);
+  if (numeric) {
+    return Number(numeric[1]);
+  }
+
+  const spelled = cleaned.match(/^([a-z]+)(\s+and\s+a\s+half)?(?:\s+[a-z][a-z. ]*)?$/);
+  if (spelled && spelled[1] in NUMBER_WORDS) {
+    return NUMBER_WORDS[spelled[1]] + (spelled[2] ? 0.5 : 0);
+  }
+  return null;
+}
+
+class OutputChecker {
+  errors: OutputError[] = [];
+  coerced = 0;
+
+  check(rule: OutputRule, value: any, field: string): any {
+    if (value === undefined || value === null ||
+        (rule.type !== 'string' && rule.type !== 'any' && typeof value === 'string' && EMPTY_VALUES.has(value.trim().toLowerCase()))) {
+      if (rule.default !== undefined) {
+        if (value !== undefined && value !== null) this.coerced += 1;
+        return JSON.parse(JSON.stringify(rule.default));
+      }
+      if (rule.required) {
+        this.errors.push({ field, message: `${field} is required` });
+      }
+      return value === undefined ? undefined : null;
+    }
+
+    switch (rule.type) {
+      case 'number':
+      case 'integer':
+        return this.checkNumber(rule, value, field);
+      case 'string':
+        return this.checkString(rule, value, field);
+      case 'boolean':
+        return this.checkBoolean(value, field);
+      case 'array':
+        return this.checkArray(rule, value, field);
+      case 'object':
+        return this.checkObject(rule, value, field);
+      default:
+        return value;
+    }
+  }
+
+  private checkNumber(rule: OutputRule, value: any, field: string): any {
+    const n = coerceNumber(value);
+    if (n === null) {
+      this.errors.push({ field, message: `${field} must be a number, got ${JSON.stringify(value)}` });
+      return value;
+    }
+    if (n !== value) this.coerced += 1;
+
+    if (rule.type === 'integer' && !Number.isInteger(n)) {
+      this.errors.push({ field, message: `${field} must be a whole number, got ${n}` });
+    }
+    if (rule.min !== undefined && n < rule.min) {
+      this.errors.push({ field, message: `${field} must be at least ${rule.min}, got ${n}` });
+    }
+    if (rule.max !== undefined && n > rule.max) {
+      this.errors.push({ field, message: `${field} must be at most ${rule.max}, got ${n}` });
+    }
+    return n;
+  }
+
+  private checkString(rule: OutputRule, value: any, field: string): any {
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      this.coerced += 1;
+      value = String(value);
+    } else if (typeof value !== 'string') {
+      this.errors.push({ field, message: `${field} must be a string` });
+      return value;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      const normalized = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+      if (rule.enum.includes(normalized)) {
+        this.coerced += 1;
+        return normalized;
+      }
+      this.errors.push({ field, message: `${field} must be one of: ${rule.enum.join(', ')} (got "${value}")` });
+    }
+    return value;
+  }
+
+  private checkBoolean(value: any, field: string): any {
+    if (typeof value === 'boolean') return value;
+    const normalized = String(value).trim().toLowerCase();
+    if (['true', 'yes'].includes(normalized) || ['false', 'no'].includes(normalized)) {
+      this.coerced += 1;
+      return ['true', 'yes'].includes(normalized);
+    }
+    this.errors.push({ field, message: `${field} must be a boolean` });
+    return value;
+  }
+
+  private checkArray(rule: OutputRule, value: any, field: string): any {
+    if (!Array.isArray(value)) {
+      // One item where a list belongs
+      if (rule.items && (rule.items.type === 'object' ? isPlainObject(value) : typeof value !== 'object')) {
+        this.coerced += 1;
+        value = [value];
+      } else {
+        this.errors.push({ field, message: `${field} must be an array` });
+        return value;
+      }
+    }
+    return rule.items
+      ? value.map((item: any, i: number) => this.check(rule.items as OutputRule, item, `${field}[${i}]`))
+      : value;
+  }
+
+  private checkObject(rule: OutputRule, value: any, field: string): any {
+    if (!isPlainObject(value)) {
+      this.errors.push({ field, message: `${field} must be an object` });
+      return value;
+    }
+    const result = { ...value };
+    for (const [name, fieldRule] of Object.entries(rule.fields || {})) {
+      const checked = this.check(fieldRule, value[name], `${field}.${name}`);
+      if (checked !== undefined) result[name] = checked;
+    }
+    return result;
+  }
+}
+
+function isPlainObject(value: unknown): boolean {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Coerce extraction output to the schema and list what still doesn't fit
+ */
+export function validateExtractionOutput(
+  output: unknown,
+  schema: Record<string, OutputRule> = EXTRACTION_OUTPUT_SCHEMA
+): OutputValidation {
+  const checker = new OutputChecker();
+  if (!isPlainObject(output)) {
+    return {
+      data: checker.check({ type: 'object', fields: schema }, {}, '$'),
+      errors: [{ field: '$', message: 'Response must be a JSON object' }],
+      coerced: 0
+    };
+  }
+
+  const data = checker.check({ type: 'object', fields: schema }, output, '$');
+  // "$.personnel[0].hoursWorked" reads better without the root
+  const errors = checker.errors.map(error => ({ ...error, field: error.field.replace(/^\$\./, ''), message: error.message.replace(/^\$\./, '') }));
+  return { data, errors, coerced: checker.coerced };
+}
+
+export interface ExtractionTaskResult {
+  data: any;
+  needsReview: boolean;         // Still invalid after the repair attempt
+  errors: OutputError[];        // Remaining errors, empty when valid
+  attempts: number;             // 1, or 2 when a repair was asked for
+  coerced: number;
+  completion: LLMTaskResult;    // The last model call
+}
+
+function parseAndValidate(completion: LLMTaskResult, schema: Record<string, OutputRule>): OutputValidation {
+  let parsed: unknown;
+  try {
+    parsed = parseJSONResponse(completion.text);
+  } catch (error) {
+    const { data } = validateExtractionOutput({}, schema);
+    return { data, errors: [{ field: '$', message: (error as Error).message }], coerced: 0 };
+  }
+  return validateExtractionOutput(parsed, schema);
+}
+
+/**
+ * Prompt asking the model to fix its previous answer
+ */
+export function buildRepairPrompt(prompt: string, previous: string, errors: OutputError[]): string {
+  return `${prompt}
+
+YOUR PREVIOUS RESPONSE:
+${previous}
+
+That response did not match the required format:
+${errors.map(error => `- ${error.field}: ${error.message}`).join('\n')}
+
+Return the complete corrected JSON object only, with numbers as plain numbers and null for anything not stated.`;
+}
+
+/**
+ * Run an extraction task and return schema-checked output
+ *
+ * Output that can't be parsed or fails the schema gets one repair request
+ * listing the errors. If that still fails, the best coerced data comes back
+ * with needsReview set instead of throwing, so the report isn't lost.
+ */
+export async function runExtractionTask(
+  task: LLMTask | string,
+  input: LLMTaskInput,
+  schema: Record<string, OutputRule> = EXTRACTION_OUTPUT_SCHEMA
+): Promise<ExtractionTaskResult> {
+  let completion = await runLLMTask(task, { system: input.system, prompt: input.prompt, json: true, parse: false });
+  let result = parseAndValidate(completion, schema);
+  let attempts = 1;
+
+  if (result.errors.length > 0) {
+    console.warn(`⚠️ ${task} output failed validation (${result.errors.length} errors), asking for a repair`);
+    const first = result;
+    completion = await runLLMTask(task, {
+      system: input.system,
+      prompt: buildRepairPrompt(input.prompt, completion.text, result.errors),
+      json: true,
+      parse: false
+    });
+    attempts = 2;
+    result = parseAndValidate(completion, schema);
+
+    // An unparseable repair is worse than a first answer with a few bad fields
+    if (result.errors.some(error => error.field === '$') && !first.errors.some(error => error.field === '$')) {
+      result = first;
+    }
+    if (result.errors.length > 0) {
+      console.warn(`⚠️ ${task} output still invalid after repair, flagging for review:`, result.errors.slice(0, 5));
+    }
+  }
+
+  return {
+    data: result.data,
+    needsReview: result.errors.length > 0,
+    errors: result.errors,
+    attempts,
+    coerced: result.coerced,
+    completion
+  };
+}
@@ -0,0 +1,135 @@
+"use strict";
+/**
+ * LLM Fixtures
+ *
+ * Record/replay for model calls, so the pipeline can be run and regression
+ * tested without network access or API keys.
+ *
+ * - record: calls the real provider and saves each request/response pair
+ * - replay: serves responses from disk; a request that was never recorded fails
+ *
+ * Fixtures are keyed by a hash of the task, system prompt and user prompt and
+ * stored as {dir}/{task}/{hash}.json. Changing a prompt therefore changes the
+ * key, and replay fails until the fixture is recorded again.
+ *
+ * Enabled for every task with LLM_FIXTURES=record|replay (see AIModelRegistry);
+ * LLM_FIXTURES_DIR overrides the default backend/fixtures/llm.
+ */
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || (function () {
+    var ownKeys = function(o) {
+        ownKeys = Object.getOwnPropertyNames || function (o) {
+            var ar = [];
+            for (var k in o) if (Object.prototype.hasOwnProperty.call(o, k)) ar[ar.length] = k;
+            return ar;
+        };
+        return ownKeys(o);
+    };
+    return function (mod) {
+        if (mod && mod.__esModule) return mod;
+        var result = {};
+        if (mod != null) for (var k = ownKeys(mod), i = 0; i < k.length; i++) if (k[i] !== "default") __createBinding(result, mod, k[i]);
+        __setModuleDefault(result, mod);
+        return result;
+    };
+})();
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.FixtureLLMProvider = exports.MissingFixtureError = exports.DEFAULT_FIXTURES_DIR = void 0;
+exports.fixtureMode = fixtureMode;
+exports.fixturesDir = fixturesDir;
+exports.fixtureKey = fixtureKey;
+const crypto_1 = require("crypto");
+const fs = __importStar(require("fs"));
+const path = __importStar(require("path"));
+exports.DEFAULT_FIXTURES_DIR = path.resolve(__dirname, '../../fixtures/llm');
+/**
+ * Thrown in replay mode for a request that has no recording
+ */
+class MissingFixtureError extends Error {
+    constructor(task, key, file) {
+        super(`No recorded LLM response for ${task} (${key}); record it with LLM_FIXTURES=record`);
+        this.task = task;
+        this.key = key;
+        this.file = file;
+        this.name = 'MissingFixtureError';
+    }
+}
+exports.MissingFixtureError = MissingFixtureError;
+/**
+ * Fixture mode from LLM_FIXTURES, or null when fixtures are off
+ */
+function fixtureMode() {
+    const mode = process.env.LLM_FIXTURES;
+    if (!mode) {
+        return null;
+    }
+    if (mode !== 'record' && mode !== 'replay') {
+        throw new Error(`LLM_FIXTURES must be "record" or "replay", got "${mode}"`);
+    }
+    return mode;
+}
+/**
+ * Fixtures directory from LLM_FIXTURES_DIR, or the default
+ */
+function fixturesDir() {
+    return process.env.LLM_FIXTURES_DIR || exports.DEFAULT_FIXTURES_DIR;
+}
+/**
+ * Key for a request: what was asked, not which model answered
+ */
+function fixtureKey(request) {
+    return (0, crypto_1.createHash)('sha256')
+        .update(JSON.stringify([request.task, request.system || '', request.prompt]))
+        .digest('hex');
+}
+class FixtureLLMProvider {
+    constructor(inner, options) {
+        this.inner = inner;
+        this.name = inner.name;
+        this.mode = options.mode;
+        this.dir = options.dir || fixturesDir();
+    }
+    isConfigured() {
+        return this.mode === 'replay' || this.inner.isConfigured();
+    }
+    fixturePath(request) {
+        return path.join(this.dir, request.task, `${fixtureKey(request)}.json`);
+    }
+    async complete(request) {
+        const file = this.fixturePath(request);
+        if (this.mode === 'replay') {
+            if (!fs.existsSync(file)) {
+                throw new MissingFixtureError(request.task, fixtureKey(request), file);
+            }
+            const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+            return fixture.response;
+        }
+        const response = await this.inner.complete(request);
+        const fixture = {
+            key: fixtureKey(request),
+            request,
+            response,
+            recordedAt: new Date().toISOString()
+        };
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n');
+        console.log(`📼 Recorded ${request.task} fixture ${path.relative(this.dir, file)}`);
+        return response;
+    }
+}
+exports.FixtureLLMProvider = FixtureLLMProvider;
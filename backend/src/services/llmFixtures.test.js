@@ -0,0 +1,127 @@
+/**
+ * LLM Fixtures Tests
+ *
+ * Recording wraps a FakeLLMProvider and writes to a temp directory; replay
+ * reads the same files back without touching the wrapped provider.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FakeLLMProvider } = require('./llmProviders');
+const { FixtureLLMProvider, MissingFixtureError, fixtureKey, fixtureMode } = require('./llmFixtures');
+const { AIModelRegistry, runLLMTask } = require('./aiModelRegistry');
+
+const REQUEST = {
+  task: 'analytics-critical-events',
+  model: 'gpt-4o',
+  system: 'You are a construction safety analyst.',
+  prompt: 'Worker cut his hand on level 3.',
+  temperature: 0.2,
+  json: true
+};
+
+describe('FixtureLLMProvider', () => {
+  let dir;
+  let fake;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+    fake = new FakeLLMProvider().respond('analytics-critical-events', { events: [{ is_critical: true, severity: 4 }] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('should save the request and response when recording', async () => {
+    const recorder = new FixtureLLMProvider(fake, { mode: 'record', dir });
+
+    const response = await recorder.complete(REQUEST);
+
+    const file = path.join(dir, 'analytics-critical-events', `${fixtureKey(REQUEST)}.json`);
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(fixture.request).toEqual(REQUEST);
+    expect(fixture.response).toEqual(response);
+    expect(fake.calls).toHaveLength(1);
+  });
+
+  it('should serve a recorded response without calling the provider', async () => {
+    const recorded = await new FixtureLLMProvider(fake, { mode: 'record', dir }).complete(REQUEST);
+    const unused = new FakeLLMProvider();
+
+    const replayed = await new FixtureLLMProvider(unused, { mode: 'replay', dir }).complete({ ...REQUEST, model: 'claude-3-5-sonnet-20241022' });
+
+    expect(replayed).toEqual(recorded);
+    expect(unused.calls).toHaveLength(0);
+  });
+
+  it('should fail in replay when the prompt was never recorded', async () => {
+    await new FixtureLLMProvider(fake, { mode: 'record', dir }).complete(REQUEST);
+    const replay = new FixtureLLMProvider(fake, { mode: 'replay', dir });
+
+    await expect(replay.complete({ ...REQUEST, prompt: 'Worker cut her hand on level 3.' }))
+      .rejects.toBeInstanceOf(MissingFixtureError);
+  });
+
+  it('should not need API keys to replay', () => {
+    const provider = { name: 'openai', isConfigured: () => false, complete: jest.fn() };
+
+    expect(new FixtureLLMProvider(provider, { mode: 'replay', dir }).isConfigured()).toBe(true);
+    expect(new FixtureLLMProvider(provider, { mode: 'record', dir }).isConfigured()).toBe(false);
+  });
+});
+
+describe('fixtureKey', () => {
+  it('should depend on the task and prompts but not the model', () => {
+    const key = fixtureKey(REQUEST);
+
+    expect(fixtureKey({ ...REQUEST, model: 'gpt-4o-mini', temperature: 0 })).toBe(key);
+    expect(fixtureKey({ ...REQUEST, task: 'analytics-hours' })).not.toBe(key);
+    expect(fixtureKey({ ...REQUEST, system: undefined })).not.toBe(key);
+    expect(fixtureKey({ ...REQUEST, prompt: `${REQUEST.prompt} ` })).not.toBe(key);
+  });
+});
+
+describe('LLM_FIXTURES', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+    process.env.LLM_FIXTURES_DIR = dir;
+    AIModelRegistry.resetProviders();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.LLM_FIXTURES;
+    delete process.env.LLM_FIXTURES_DIR;
+    delete process.env.LLM_PROVIDER;
+    AIModelRegistry.resetProviders();
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('should reject an unknown mode', () => {
+    process.env.LLM_FIXTURES = 'playback';
+
+    expect(() => fixtureMode()).toThrow('LLM_FIXTURES must be "record" or "replay"');
+  });
+
+  it('should record through the registry and replay the run offline', async () => {
+    process.env.LLM_FIXTURES = 'record';
+    process.env.LLM_PROVIDER = 'fake';
+    const recorded = await runLLMTask('analytics-hours', { prompt: 'Hours for 2026-10-19', json: true });
+
+    process.env.LLM_FIXTURES = 'replay';
+    delete process.env.LLM_PROVIDER;
+    AIModelRegistry.resetProviders();
+
+    expect(AIModelRegistry.isTaskConfigured('analytics-hours')).toBe(true);
+    const replayed = await runLLMTask('analytics-hours', { prompt: 'Hours for 2026-10-19', json: true });
+    expect(replayed.data).toEqual(recorded.data);
+    expect(replayed.provider).toBe('fake');
+  });
+});
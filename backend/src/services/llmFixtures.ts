@@ -0,0 +1,118 @@
+/**
+ * LLM Fixtures
+ *
+ * Record/replay for model calls, so the pipeline can be run and regression
+ * tested without network access or API keys.
+ *
+ * - record: calls the real provider and saves each request/response pair
+ * - replay: serves responses from disk; a request that was never recorded fails
+ *
+ * Fixtures are keyed by a hash of the task, system prompt and user prompt and
+ * stored as {dir}/{task}/{hash}.json. Changing a prompt therefore changes the
+ * key, and replay fails until the fixture is recorded again.
+ *
+ * Enabled for every task with LLM_FIXTURES=record|replay (see AIModelRegistry);
+ * LLM_FIXTURES_DIR overrides the default backend/fixtures/llm.
+ */
+
+import { createHash } from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import { LLMProvider, LLMProviderName, LLMRequest, LLMResponse } from './llmProviders';
+
+export type LLMFixtureMode = 'record' | 'replay';
+
+export const DEFAULT_FIXTURES_DIR = path.resolve(__dirname, '../../fixtures/llm');
+
+export interface LLMFixture {
+  key: string;
+  request: LLMRequest;
+  response: LLMResponse;
+  recordedAt: string;
+}
+
+/**
+ * Thrown in replay mode for a request that has no recording
+ */
+export class MissingFixtureError extends Error {
+  constructor(readonly task: string, readonly key: string, readonly file: string) {
+    super(`No recorded LLM response for ${task} (${key}); record it with LLM_FIXTURES=record`);
+    this.name = 'MissingFixtureError';
+  }
+}
+
+/**
+ * Fixture mode from LLM_FIXTURES, or null when fixtures are off
+ */
+export function fixtureMode(): LLMFixtureMode | null {
+  const mode = process.env.LLM_FIXTURES;
+  if (!mode) {
+    return null;
+  }
+  if (mode !== 'record' && mode !== 'replay') {
+    throw new Error(`LLM_FIXTURES must be "record" or "replay", got "${mode}"`);
+  }
+  return mode;
+}
+
+/**
+ * Fixtures directory from LLM_FIXTURES_DIR, or the default
+ */
+export function fixturesDir(): string {
+  return process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+/**
+ * Key for a request: what was asked, not which model answered
+ */
+export function fixtureKey(request: Pick<LLMRequest, 'task' | 'system' | 'prompt'>): string {
+  return createHash('sha256')
+    .update(JSON.stringify([request.task, request.system || '', request.prompt]))
+    .digest('hex');
+}
+
+export class FixtureLLMProvider implements LLMProvider {
+  readonly name: LLMProviderName;
+  readonly mode: LLMFixtureMode;
+  readonly dir: string;
+  private inner: LLMProvider;
+
+  constructor(inner: LLMProvider, options: { mode: LLMFixtureMode; dir?: string }) {
+    this.inner = inner;
+    this.name = inner.name;
+    this.mode = options.mode;
+    this.dir = options.dir || fixturesDir();
+  }
+
+  isConfigured(): boolean {
+    return this.mode === 'replay' || this.inner.isConfigured();
+  }
+
+  fixturePath(request: LLMRequest): string {
+    return path.join(this.dir, request.task, `${fixtureKey(request)}.json`);
+  }
+
+  async complete(request: LLMRequest): Promise<LLMResponse> {
+    const file = this.fixturePath(request);
+
+    if (this.mode === 'replay') {
+      if (!fs.existsSync(file)) {
+        throw new MissingFixtureError(request.task, fixtureKey(request), file);
+      }
+      const fixture: LLMFixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return fixture.response;
+    }
+
+    const response = await this.inner.complete(request);
+    const fixture: LLMFixture = {
+      key: fixtureKey(request),
+      request,
+      response,
+      recordedAt: new Date().toISOString()
+    };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n');
+    console.log(`📼 Recorded ${request.task} fixture ${path.relative(this.dir, file)}`);
+    return response;
+  }
+}
@@ -0,0 +1,182 @@
+"use strict";
+/**
+ * LLM Providers
+ *
+ * One interface over the model APIs the AI pipeline calls. Extraction and the
+ * analytics agents describe what they need (system prompt, user prompt, JSON
+ * or text); AIModelRegistry decides which provider and model serve each task.
+ *
+ * - anthropic: Claude via @anthropic-ai/sdk
+ * - openai: GPT via the openai SDK
+ * - fake: deterministic canned responses, no network (tests and offline runs)
+ */
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.FakeLLMProvider = exports.OpenAIProvider = exports.AnthropicProvider = void 0;
+exports.parseJSONResponse = parseJSONResponse;
+exports.createLLMProvider = createLLMProvider;
+const sdk_1 = __importDefault(require("@anthropic-ai/sdk"));
+const openai_1 = __importDefault(require("openai"));
+/**
+ * Parse a JSON object out of model output
+ *
+ * Handles bare JSON, ```json fenced blocks and JSON surrounded by prose.
+ */
+function parseJSONResponse(text) {
+    const trimmed = text.trim();
+    try {
+        return JSON.parse(trimmed);
+    }
+    catch (error) {
+        const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+        if (fenced) {
+            return JSON.parse(fenced[1]);
+        }
+        const object = trimmed.match(/\{[\s\S]*\}/);
+        if (object) {
+            return JSON.parse(object[0]);
+        }
+        throw new Error(`Could not parse JSON from model response: ${error.message}`);
+    }
+}
+class AnthropicProvider {
+    constructor(options = {}) {
+        this.name = 'anthropic';
+        this.client = null;
+        this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+    }
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+    async complete(request) {
+        if (!this.apiKey) {
+            throw new Error('ANTHROPIC_API_KEY not configured');
+        }
+        this.client = this.client || new sdk_1.default({ apiKey: this.apiKey });
+        const startTime = Date.now();
+        const message = await this.client.messages.create({
+            model: request.model,
+            max_tokens: request.maxTokens || 4096,
+            temperature: request.temperature ?? 0,
+            ...(request.system ? { system: request.system } : {}),
+            messages: [{ role: 'user', content: request.prompt }]
+        });
+        const text = message.content
+            .map(block => (block.type === 'text' ? block.text : ''))
+            .join('');
+        return {
+            provider: this.name,
+            model: message.model || request.model,
+            text,
+            usage: {
+                inputTokens: message.usage.input_tokens,
+                outputTokens: message.usage.output_tokens,
+                totalTokens: message.usage.input_tokens + message.usage.output_tokens
+            },
+            durationMs: Date.now() - startTime
+        };
+    }
+}
+exports.AnthropicProvider = AnthropicProvider;
+class OpenAIProvider {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.client = null;
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    }
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+    async complete(request) {
+        if (!this.apiKey) {
+            throw new Error('OPENAI_API_KEY not configured');
+        }
+        this.client = this.client || new openai_1.default({ apiKey: this.apiKey });
+        const messages = [];
+        if (request.system) {
+            messages.push({ role: 'system', content: request.system });
+        }
+        messages.push({ role: 'user', content: request.prompt });
+        const startTime = Date.now();
+        const completion = await this.client.chat.completions.create({
+            model: request.model,
+            messages,
+            temperature: request.temperature ?? 0,
+            ...(request.maxTokens ? { max_tokens: request.maxTokens } : {}),
+            ...(request.json && request.jsonMode !== false ? { response_format: { type: 'json_object' } } : {})
+        });
+        const text = completion.choices[0]?.message?.content;
+        if (!text) {
+            throw new Error(`No response from ${request.model}`);
+        }
+        return {
+            provider: this.name,
+            model: completion.model || request.model,
+            text,
+            usage: {
+                inputTokens: completion.usage?.prompt_tokens || 0,
+                outputTokens: completion.usage?.completion_tokens || 0,
+                totalTokens: completion.usage?.total_tokens || 0
+            },
+            durationMs: Date.now() - startTime
+        };
+    }
+}
+exports.OpenAIProvider = OpenAIProvider;
+/**
+ * Deterministic provider for tests and offline runs
+ *
+ * Answers each task from `responses` (a value, or a function of the request);
+ * objects are returned as JSON text. Every request is kept in `calls`.
+ */
+class FakeLLMProvider {
+    constructor(options = {}) {
+        this.name = 'fake';
+        this.calls = [];
+        this.responses = { ...(options.responses || {}) };
+    }
+    isConfigured() {
+        return true;
+    }
+    /**
+     * Set the response for a task
+     */
+    respond(task, response) {
+        this.responses[task] = response;
+        return this;
+    }
+    async complete(request) {
+        this.calls.push(request);
+        const configured = this.responses[request.task];
+        const value = typeof configured === 'function' ? configured(request) : configured;
+        const text = typeof value === 'string' ? value : JSON.stringify(value ?? {});
+        // Rough token counts, stable for a given prompt
+        const inputTokens = Math.ceil(((request.system || '').length + request.prompt.length) / 4);
+        const outputTokens = Math.ceil(text.length / 4);
+        return {
+            provider: this.name,
+            model: request.model,
+            text,
+            usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens },
+            durationMs: 0
+        };
+    }
+}
+exports.FakeLLMProvider = FakeLLMProvider;
+/**
+ * Create a provider by name with its default configuration
+ */
+function createLLMProvider(name, options = {}) {
+    switch (name) {
+        case 'anthropic':
+            return new AnthropicProvider(options);
+        case 'openai':
+            return new OpenAIProvider(options);
+        case 'fake':
+            return new FakeLLMProvider();
+        default:
+            throw new Error(`Unknown LLM provider: ${name}`);
+    }
+}
@@ -0,0 +1,235 @@
+/**
+ * LLM Providers
+ *
+ * One interface over the model APIs the AI pipeline calls. Extraction and the
+ * analytics agents describe what they need (system prompt, user prompt, JSON
+ * or text); AIModelRegistry decides which provider and model serve each task.
+ *
+ * - anthropic: Claude via @anthropic-ai/sdk
+ * - openai: GPT via the openai SDK
+ * - fake: deterministic canned responses, no network (tests and offline runs)
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import OpenAI from 'openai';
+
+export type LLMProviderName = 'anthropic' | 'openai' | 'fake';
+
+export interface LLMRequest {
+  task: string;                 // Registry task name, e.g. "analytics-hours"
+  model: string;
+  system?: string;
+  prompt: string;
+  temperature?: number;
+  maxTokens?: number;
+  json?: boolean;               // Caller expects a JSON object back
+  jsonMode?: boolean;           // Ask the API for JSON output where it supports it
+}
+
+export interface LLMUsage {
+  inputTokens: number;
+  outputTokens: number;
+  totalTokens: number;
+}
+
+export interface LLMResponse {
+  provider: LLMProviderName;
+  model: string;
+  text: string;
+  usage: LLMUsage;
+  durationMs: number;
+}
+
+export interface LLMProvider {
+  readonly name: LLMProviderName;
+  /** Whether the provider has what it needs (API key) to make calls */
+  isConfigured(): boolean;
+  complete(request: LLMRequest): Promise<LLMResponse>;
+}
+
+/**
+ * Parse a JSON object out of model output
+ *
+ * Handles bare JSON, ```json fenced blocks and JSON surrounded by prose.
+ */
+export function parseJSONResponse(text: string): any {
+  const trimmed = text.trim();
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    if (fenced) {
+      return JSON.parse(fenced[1]);
+    }
+    const object = trimmed.match(/\{[\s\S]*\}/);
+    if (object) {
+      return JSON.parse(object[0]);
+    }
+    throw new Error(`Could not parse JSON from model response: ${(error as Error).message}`);
+  }
+}
+
+export class AnthropicProvider implements LLMProvider {
+  readonly name = 'anthropic' as const;
+  private apiKey?: string;
+  private client: Anthropic | null = null;
+
+  constructor(options: { apiKey?: string } = {}) {
+    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+  }
+
+  isConfigured(): boolean {
+    return Boolean(this.apiKey);
+  }
+
+  async complete(request: LLMRequest): Promise<LLMResponse> {
+    if (!this.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY not configured');
+    }
+    this.client = this.client || new Anthropic({ apiKey: this.apiKey });
+
+    const startTime = Date.now();
+    const message = await this.client.messages.create({
+      model: request.model,
+      max_tokens: request.maxTokens || 4096,
+      temperature: request.temperature ?? 0,
+      ...(request.system ? { system: request.system } : {}),
+      messages: [{ role: 'user', content: request.prompt }]
+    });
+
+    const text = message.content
+      .map(block => (block.type === 'text' ? block.text : ''))
+      .join('');
+
+    return {
+      provider: this.name,
+      model: message.model || request.model,
+      text,
+      usage: {
+        inputTokens: message.usage.input_tokens,
+        outputTokens: message.usage.output_tokens,
+        totalTokens: message.usage.input_tokens + message.usage.output_tokens
+      },
+      durationMs: Date.now() - startTime
+    };
+  }
+}
+
+export class OpenAIProvider implements LLMProvider {
+  readonly name = 'openai' as const;
+  private apiKey?: string;
+  private client: OpenAI | null = null;
+
+  constructor(options: { apiKey?: string } = {}) {
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+  }
+
+  isConfigured(): boolean {
+    return Boolean(this.apiKey);
+  }
+
+  async complete(request: LLMRequest): Promise<LLMResponse> {
+    if (!this.apiKey) {
+      throw new Error('OPENAI_API_KEY not configured');
+    }
+    this.client = this.client || new OpenAI({ apiKey: this.apiKey });
+
+    const messages: Array<{ role: 'system' | 'user'; content: string }> = [];
+    if (request.system) {
+      messages.push({ role: 'system', content: request.system });
+    }
+    messages.push({ role: 'user', content: request.prompt });
+
+    const startTime = Date.now();
+    const completion = await this.client.chat.completions.create({
+      model: request.model,
+      messages,
+      temperature: request.temperature ?? 0,
+      ...(request.maxTokens ? { max_tokens: request.maxTokens } : {}),
+      ...(request.json && request.jsonMode !== false ? { response_format: { type: 'json_object' as const } } : {})
+    });
+
+    const text = completion.choices[0]?.message?.content;
+    if (!text) {
+      throw new Error(`No response from ${request.model}`);
+    }
+
+    return {
+      provider: this.name,
+      model: completion.model || request.model,
+      text,
+      usage: {
+        inputTokens: completion.usage?.prompt_tokens || 0,
+        outputTokens: completion.usage?.completion_tokens || 0,
+        totalTokens: completion.usage?.total_tokens || 0
+      },
+      durationMs: Date.now() - startTime
+    };
+  }
+}
+
+export type FakeResponse = unknown | ((request: LLMRequest) => unknown);
+
+/**
+ * Deterministic provider for tests and offline runs
+ *
+ * Answers each task from `responses` (a value, or a function of the request);
+ * objects are returned as JSON text. Every request is kept in `calls`.
+ */
+export class FakeLLMProvider implements LLMProvider {
+  readonly name = 'fake' as const;
+  readonly calls: LLMRequest[] = [];
+  private responses: Record<string, FakeResponse>;
+
+  constructor(options: { responses?: Record<string, FakeResponse> } = {}) {
+    this.responses = { ...(options.responses || {}) };
+  }
+
+  isConfigured(): boolean {
+    return true;
+  }
+
+  /**
+   * Set the response for a task
+   */
+  respond(task: string, response: FakeResponse): this {
+    this.responses[task] = response;
+    return this;
+  }
+
+  async complete(request: LLMRequest): Promise<LLMResponse> {
+    this.calls.push(request);
+
+    const configured = this.responses[request.task];
+    const value = typeof configured === 'function' ? configured(request) : configured;
+    const text = typeof value === 'string' ? value : JSON.stringify(value ?? {});
+
+    // Rough token counts, stable for a given prompt
+    const inputTokens = Math.ceil(((request.system || '').length + request.prompt.length) / 4);
+    const outputTokens = Math.ceil(text.length / 4);
+
+    return {
+      provider: this.name,
+      model: request.model,
+      text,
+      usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens },
+      durationMs: 0
+    };
+  }
+}
+
+/**
+ * Create a provider by name with its default configuration
+ */
+export function createLLMProvider(name: LLMProviderName, options: { apiKey?: string } = {}): LLMProvider {
+  switch (name) {
+    case 'anthropic':
+      return new AnthropicProvider(options);
+    case 'openai':
+      return new OpenAIProvider(options);
+    case 'fake':
+      return new FakeLLMProvider();
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
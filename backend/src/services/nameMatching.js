@@ -0,0 +1,454 @@
+"use strict";
+/**
+ * Name Matching
+ *
+ * Scores how likely a name heard in a voice transcript refers to a known
+ * employee. Edit distance handles typos but not the mistakes speech-to-text
+ * makes ("Bryan" for "Brian", "Cale" for "Kale") or nicknames ("Jim" for
+ * "James"), so each part of the name is compared four ways and the best one
+ * counts: exact, nickname, phonetic (Double Metaphone-style codes) and edit
+ * similarity. People last seen on the report's project get a boost, and every
+ * score carries the breakdown that produced it.
+ *
+ * @module nameMatching
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.NICKNAME_GROUPS = exports.CLEAR_LEAD = exports.MATCH_THRESHOLD = exports.PROJECT_BOOST = exports.PARTIAL_NAME_FACTOR = exports.PART_SCORES = void 0;
+exports.levenshteinDistance = levenshteinDistance;
+exports.editSimilarity = editSimilarity;
+exports.areNicknames = areNicknames;
+exports.phoneticCodes = phoneticCodes;
+exports.soundsAlike = soundsAlike;
+exports.compareNamePart = compareNamePart;
+exports.scoreName = scoreName;
+exports.explainScore = explainScore;
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+/** Score a name part gets for each way of matching (edit similarity is 0-100) */
+exports.PART_SCORES = {
+    exact: 100,
+    nickname: 92,
+    phonetic: 88
+};
+/** Applied when only one part of a longer name was said ("Brian" for "Brian Kowalski") */
+exports.PARTIAL_NAME_FACTOR = 0.85;
+/** Added for someone last seen on the report's project */
+exports.PROJECT_BOOST = 10;
+/** Lowest total score worth offering as a match */
+exports.MATCH_THRESHOLD = 80;
+/** How far the best candidate must lead the next to be taken without review */
+exports.CLEAR_LEAD = 5;
+const MAX_CODE_LENGTH = 6;
+/**
+ * Groups of names people use interchangeably, formal name first
+ */
+exports.NICKNAME_GROUPS = [
+    ['Alexander', 'Alex', 'Al', 'Xander'],
+    ['Alejandro', 'Alex', 'Ale'],
+    ['Andrew', 'Andy', 'Drew'],
+    ['Anthony', 'Tony'],
+    ['Benjamin', 'Ben', 'Benny'],
+    ['Bradley', 'Brad'],
+    ['Charles', 'Charlie', 'Chuck', 'Chas'],
+    ['Christopher', 'Chris', 'Topher'],
+    ['Daniel', 'Dan', 'Danny'],
+    ['David', 'Dave', 'Davey'],
+    ['Donald', 'Don', 'Donnie'],
+    ['Douglas', 'Doug'],
+    ['Edward', 'Ed', 'Eddie', 'Ted'],
+    ['Elizabeth', 'Liz', 'Beth', 'Betty', 'Eliza'],
+    ['Francisco', 'Frank', 'Paco', 'Pancho'],
+    ['Francis', 'Frank', 'Frankie'],
+    ['Gerald', 'Gerry', 'Jerry'],
+    ['Gregory', 'Greg'],
+    ['James', 'Jim', 'Jimmy', 'Jamie'],
+    ['Jeffrey', 'Jeff'],
+    ['Jennifer', 'Jen', 'Jenny'],
+    ['Jonathan', 'Jon', 'Jonny'],
+    ['John', 'Jack', 'Johnny'],
+    ['Joseph', 'Joe', 'Joey'],
+    ['Jose', 'Pepe'],
+    ['Katherine', 'Kate', 'Katie', 'Kathy', 'Kat'],
+    ['Kenneth', 'Ken', 'Kenny'],
+    ['Lawrence', 'Larry'],
+    ['Margaret', 'Maggie', 'Peggy', 'Meg'],
+    ['Matthew', 'Matt'],
+    ['Michael', 'Mike', 'Mikey', 'Mick'],
+    ['Nathaniel', 'Nathan', 'Nate'],
+    ['Nicholas', 'Nick', 'Nicky'],
+    ['Patricia', 'Pat', 'Patty', 'Trish'],
+    ['Patrick', 'Pat', 'Paddy'],
+    ['Peter', 'Pete'],
+    ['Raymond', 'Ray'],
+    ['Rebecca', 'Becky', 'Becca'],
+    ['Richard', 'Rick', 'Rich', 'Richie', 'Ricky', 'Dick'],
+    ['Robert', 'Bob', 'Bobby', 'Rob', 'Robbie', 'Bert'],
+    ['Ronald', 'Ron', 'Ronnie'],
+    ['Samuel', 'Sam', 'Sammy'],
+    ['Stephen', 'Steve', 'Stevie'],
+    ['Steven', 'Steve', 'Stevie'],
+    ['Susan', 'Sue', 'Suzy'],
+    ['Thomas', 'Tom', 'Tommy'],
+    ['Timothy', 'Tim', 'Timmy'],
+    ['Wesley', 'Wes'],
+    ['William', 'Bill', 'Billy', 'Will', 'Willie', 'Liam'],
+    ['Zachary', 'Zach', 'Zack']
+];
+const NICKNAMES = (() => {
+    const index = new Map();
+    for (const group of exports.NICKNAME_GROUPS) {
+        const names = group.map(name => name.toLowerCase());
+        for (const name of names) {
+            const equivalents = index.get(name) || new Set();
+            names.filter(other => other !== name).forEach(other => equivalents.add(other));
+            index.set(name, equivalents);
+        }
+    }
+    return index;
+})();
+// ============================================================================
+// COMPARISONS
+// ============================================================================
+/**
+ * Levenshtein distance between two strings
+ *
+ * @example
+ * levenshteinDistance("Robert", "Roberto") // 1
+ */
+function levenshteinDistance(str1, str2) {
+    const m = str1.length;
+    const n = str2.length;
+    const dp = Array(m + 1)
+        .fill(null)
+        .map(() => Array(n + 1).fill(0));
+    for (let i = 0; i <= m; i++)
+        dp[i][0] = i;
+    for (let j = 0; j <= n; j++)
+        dp[0][j] = j;
+    for (let i = 1; i <= m; i++) {
+        for (let j = 1; j <= n; j++) {
+            dp[i][j] = str1[i - 1] === str2[j - 1]
+                ? dp[i - 1][j - 1]
+                : Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + 1);
+        }
+    }
+    return dp[m][n];
+}
+/**
+ * Edit similarity ignoring case (0-100)
+ */
+function editSimilarity(str1, str2) {
+    const maxLength = Math.max(str1.length, str2.length);
+    if (maxLength === 0)
+        return 100;
+    return ((maxLength - levenshteinDistance(str1.toLowerCase(), str2.toLowerCase())) / maxLength) * 100;
+}
+/**
+ * Whether two first names are the same person's formal name and nickname
+ * (or two nicknames of one name)
+ */
+function areNicknames(name1, name2) {
+    return NICKNAMES.get(name1.toLowerCase())?.has(name2.toLowerCase()) || false;
+}
+/**
+ * Primary and alternate sound codes for one word, Double Metaphone-style
+ *
+ * Vowels only count at the start, doubled letters once, and spellings that
+ * sound alike share a code: "Brian" and "Bryan" are both PRN, "Cale" and
+ * "Kale" KL, "Stephen" and "Steven" STFN. Where a spelling has two common
+ * pronunciations (CH, TH, J, soft G) the alternate code takes the other.
+ *
+ * @example
+ * phoneticCodes("Catherine") // ["K0RN", "KTRN"]
+ */
+function phoneticCodes(word) {
+    const w = word.toUpperCase().replace(/[^A-Z]/g, '');
+    if (!w)
+        return [];
+    const at = (i) => w[i] || '';
+    const isVowel = (i) => 'AEIOUY'.includes(at(i)) && at(i) !== '';
+    let primary = '';
+    let alternate = '';
+    const add = (code, alternateCode = code) => {
+        primary += code;
+        alternate += alternateCode;
+    };
+    let i = 0;
+    // Silent first letters
+    if (/^(GN|KN|PN|PS|WR)/.test(w))
+        i = 1;
+    while (i < w.length && (primary.length < MAX_CODE_LENGTH || alternate.length < MAX_CODE_LENGTH)) {
+        const c = at(i);
+        // Doubled letters sound once
+        if (i > 0 && c === at(i - 1) && c !== 'C') {
+            i++;
+            continue;
+        }
+        switch (c) {
+            case 'A':
+            case 'E':
+            case 'I':
+            case 'O':
+            case 'U':
+            case 'Y':
+                if (i === 0)
+                    add('A');
+                i++;
+                break;
+            case 'B':
+                add('P');
+                i++;
+                break;
+            case 'C':
+                if (at(i + 1) === 'H') {
+                    // "Chr", "Chl" are hard; otherwise CH or K
+                    if (isVowel(i + 2))
+                        add('X', 'K');
+                    else
+                        add('K');
+                    i += 2;
+                }
+                else if ('EIY'.includes(at(i + 1)) && at(i + 1) !== '') {
+                    add('S');
+                    i++;
+                }
+                else {
+                    add('K');
+                    i += 'CKQ'.includes(at(i + 1)) && at(i + 1) !== '' ? 2 : 1;
+                }
+                break;
+            case 'D':
+                if (at(i + 1) === 'G' && 'EIY'.includes(at(i + 2)) && at(i + 2) !== '') {
+                    add('J');
+                    i += 2;
+                }
+                else {
+                    add('T');
+                    i++;
+                }
+                break;
+            case 'G':
+                if (at(i + 1) === 'H') {
+                    // Silent after a vowel ("Hugh", "Leigh"), hard otherwise
+                    if (i === 0 || !isVowel(i - 1))
+                        add('K');
+                    i += 2;
+                }
+                else if (at(i + 1) === 'N') {
+                    add('N');
+                    i += 2;
+                }
+                else if ('EIY'.includes(at(i + 1)) && at(i + 1) !== '') {
+                    add('J', 'K');
+                    i++;
+                }
+                else {
+                    add('K');
+                    i++;
+                }
+                break;
+            case 'H':
+                if ((i === 0 || !isVowel(i - 1)) && isVowel(i + 1))
+                    add('H');
+                i++;
+                break;
+            case 'J':
+                add('J', 'H');
+                i++;
+                break;
+            case 'P':
+                if (at(i + 1) === 'H') {
+                    add('F');
+                    i += 2;
+                }
+                else {
+                    add('P');
+                    i++;
+                }
+                break;
+            case 'Q':
+                add('K');
+                i++;
+                break;
+            case 'S':
+                if (at(i + 1) === 'H') {
+                    add('X');
+                    i += 2;
+                }
+                else if (at(i + 1) === 'C' && at(i + 2) === 'H') {
+                    add('SK');
+                    i += 3;
+                }
+                else if (at(i + 1) === 'I' && 'OA'.includes(at(i + 2)) && at(i + 2) !== '') {
+                    add('X');
+                    i++;
+                }
+                else {
+                    add('S');
+                    i++;
+                }
+                break;
+            case 'T':
+                if (at(i + 1) === 'H') {
+                    add('0', 'T');
+                    i += 2;
+                }
+                else if (at(i + 1) === 'C' && at(i + 2) === 'H') {
+                    add('X');
+                    i += 3;
+                }
+                else if (at(i + 1) === 'I' && 'OA'.includes(at(i + 2)) && at(i + 2) !== '') {
+                    add('X');
+                    i++;
+                }
+                else {
+                    add('T');
+                    i++;
+                }
+                break;
+            case 'V':
+                add('F');
+                i++;
+                break;
+            case 'W':
+                if (isVowel(i + 1))
+                    add('W');
+                i += at(i + 1) === 'H' ? 2 : 1;
+                break;
+            case 'X':
+                add('KS');
+                i++;
+                break;
+            case 'Z':
+                add('S');
+                i++;
+                break;
+            default:
+                // F, K, L, M, N, R sound as written
+                add(c);
+                i++;
+        }
+    }
+    return [...new Set([primary.slice(0, MAX_CODE_LENGTH), alternate.slice(0, MAX_CODE_LENGTH)])].filter(Boolean);
+}
+/**
+ * Whether two words share a sound code
+ */
+function soundsAlike(word1, word2) {
+    const codes = phoneticCodes(word2);
+    return phoneticCodes(word1).some(code => codes.includes(code));
+}
+/**
+ * Compare one spoken name part with one known name part, keeping the best way
+ */
+function compareNamePart(spoken, known) {
+    const edit = Math.round(editSimilarity(spoken, known) * 10) / 10;
+    let method = 'edit';
+    let score = edit;
+    if (spoken.toLowerCase() === known.toLowerCase()) {
+        method = 'exact';
+        score = exports.PART_SCORES.exact;
+    }
+    else if (areNicknames(spoken, known) && exports.PART_SCORES.nickname > score) {
+        method = 'nickname';
+        score = exports.PART_SCORES.nickname;
+    }
+    else if (soundsAlike(spoken, known) && exports.PART_SCORES.phonetic > score) {
+        method = 'phonetic';
+        score = exports.PART_SCORES.phonetic;
+    }
+    return { spoken, known, method, score };
+}
+function nameParts(name) {
+    return name.trim().split(/\s+/).filter(Boolean);
+}
+/**
+ * Line up the parts of a spoken name with one known name
+ *
+ * First with first and last with last; a single spoken part is compared
+ * with every part of the known name and the best taken.
+ */
+function compareForm(spoken, known) {
+    if (spoken.length === 1 || known.length === 1) {
+        const candidates = spoken.length === 1
+            ? known.map(part => compareNamePart(spoken[0], part))
+            : [compareNamePart(spoken[0], known[0])];
+        const best = candidates.reduce((top, match) => (match.score > top.score ? match : top));
+        return { parts: [best], partialName: spoken.length === 1 && known.length > 1 };
+    }
+    return {
+        parts: [
+            compareNamePart(spoken[0], known[0]),
+            compareNamePart(spoken[spoken.length - 1], known[known.length - 1])
+        ],
+        partialName: false
+    };
+}
+// ============================================================================
+// SCORING
+// ============================================================================
+/**
+ * Score a spoken name against a person's full name and aliases
+ *
+ * @param spoken - Name as transcribed
+ * @param knownNames - The person's full name first, then their aliases
+ * @param options.onProject - The person was last seen on the report's project
+ */
+function scoreName(spoken, knownNames, options = {}) {
+    const spokenParts = nameParts(spoken);
+    const forms = knownNames.filter(name => name && name.trim());
+    const projectBoost = options.onProject ? exports.PROJECT_BOOST : 0;
+    let best = {
+        matchedName: forms[0] || '',
+        parts: [],
+        partialName: false,
+        nameScore: 0
+    };
+    let bestEdit = 0;
+    for (const form of forms) {
+        const { parts, partialName } = compareForm(spokenParts, nameParts(form));
+        const mean = parts.reduce((sum, part) => sum + part.score, 0) / (parts.length || 1);
+        const nameScore = Math.round(mean * (partialName ? exports.PARTIAL_NAME_FACTOR : 1) * 10) / 10;
+        if (nameScore > best.nameScore) {
+            best = { matchedName: form, parts, partialName, nameScore };
+        }
+        bestEdit = Math.max(bestEdit, editSimilarity(spoken.trim(), form.trim()));
+    }
+    const editScore = Math.round(bestEdit * 10) / 10;
+    return {
+        ...best,
+        editSimilarity: editScore,
+        projectBoost,
+        total: Math.min(100, Math.round((Math.max(best.nameScore, editScore) + projectBoost) * 10) / 10)
+    };
+}
+const METHOD_LABELS = {
+    exact: 'same name',
+    nickname: 'nickname',
+    phonetic: 'sounds alike',
+    edit: 'spelling'
+};
+/**
+ * One-line account of a score for review screens
+ *
+ * @example
+ * explainScore(scoreName('Bryan', ['Brian Kowalski'], { onProject: true }))
+ * // "Bryan ~ Brian (sounds alike, 88); only part of the name said (×0.85); on this project (+10) → 84.8"
+ */
+function explainScore(breakdown) {
+    const reasons = [];
+    if (breakdown.editSimilarity > breakdown.nameScore) {
+        reasons.push(`${breakdown.editSimilarity}% spelled like ${breakdown.matchedName}`);
+    }
+    else {
+        breakdown.parts.forEach(part => {
+            reasons.push(`${part.spoken} ~ ${part.known} (${METHOD_LABELS[part.method]}, ${part.score})`);
+        });
+        if (breakdown.partialName)
+            reasons.push(`only part of the name said (×${exports.PARTIAL_NAME_FACTOR})`);
+    }
+    if (breakdown.projectBoost)
+        reasons.push(`on this project (+${breakdown.projectBoost})`);
+    return `${reasons.join('; ')} → ${breakdown.total}`;
+}
@@ -0,0 +1,170 @@
+/**
+ * Name Matching Tests
+ *
+ * Phonetic codes, nicknames and the scored candidates personnelService
+ * matches transcript names against (DynamoDB stubbed for the latter).
+ */
+
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const {
+  phoneticCodes,
+  soundsAlike,
+  areNicknames,
+  compareNamePart,
+  scoreName,
+  explainScore
+} = require('./nameMatching');
+const { personnelService } = require('./personnelService');
+
+describe('phoneticCodes', () => {
+  it('should give names that sound alike the same code', () => {
+    expect(phoneticCodes('Brian')).toEqual(['PRN']);
+    expect(phoneticCodes('Bryan')).toEqual(['PRN']);
+    expect(phoneticCodes('Cale')).toEqual(phoneticCodes('Kale'));
+    expect(phoneticCodes('Stephen')).toEqual(phoneticCodes('Steven'));
+    expect(phoneticCodes('Jon')).toEqual(phoneticCodes('John'));
+    expect(phoneticCodes('Phillip')).toEqual(phoneticCodes('Filip'));
+  });
+
+  it('should keep an alternate code for spellings with two sounds', () => {
+    expect(phoneticCodes('Catherine')).toEqual(['K0RN', 'KTRN']);
+    expect(soundsAlike('Kathryn', 'Katrin')).toBe(true);
+    expect(phoneticCodes('Knight')).toEqual(['NT']);
+  });
+
+  it('should tell different names apart', () => {
+    expect(soundsAlike('Christopher', 'Christian')).toBe(false);
+    expect(soundsAlike('Kenny', 'Kurt')).toBe(false);
+    expect(phoneticCodes('')).toEqual([]);
+  });
+});
+
+describe('areNicknames', () => {
+  it('should pair formal names with nicknames both ways, ignoring case', () => {
+    expect(areNicknames('Bill', 'William')).toBe(true);
+    expect(areNicknames('michael', 'MIKE')).toBe(true);
+    expect(areNicknames('Bill', 'Will')).toBe(true);
+    expect(areNicknames('Jim', 'John')).toBe(false);
+    expect(areNicknames('Jim', 'Jim')).toBe(false);
+  });
+});
+
+describe('compareNamePart', () => {
+  it('should use the best way the parts match', () => {
+    expect(compareNamePart('Jim', 'James')).toEqual({ spoken: 'Jim', known: 'James', method: 'nickname', score: 92 });
+    expect(compareNamePart('Bryan', 'Brian')).toEqual({ spoken: 'Bryan', known: 'Brian', method: 'phonetic', score: 88 });
+    expect(compareNamePart('Kowalsky', 'Kowalski')).toEqual({ spoken: 'Kowalsky', known: 'Kowalski', method: 'phonetic', score: 88 });
+    expect(compareNamePart('Mary', 'Maryann')).toEqual({ spoken: 'Mary', known: 'Maryann', method: 'edit', score: 57.1 });
+    expect(compareNamePart('kale', 'Kale').method).toBe('exact');
+  });
+});
+
+describe('scoreName', () => {
+  it('should break the score down by name part', () => {
+    const breakdown = scoreName('Jim Kowalsky', ['James Kowalski', 'Jimmy K']);
+
+    expect(breakdown).toEqual({
+      matchedName: 'James Kowalski',
+      parts: [
+        { spoken: 'Jim', known: 'James', method: 'nickname', score: 92 },
+        { spoken: 'Kowalsky', known: 'Kowalski', method: 'phonetic', score: 88 }
+      ],
+      partialName: false,
+      nameScore: 90,
+      editSimilarity: 71.4,
+      projectBoost: 0,
+      total: 90
+    });
+    expect(explainScore(breakdown)).toBe('Jim ~ James (nickname, 92); Kowalsky ~ Kowalski (sounds alike, 88) → 90');
+  });
+
+  it('should discount a first name alone and boost people on the project', () => {
+    const offProject = scoreName('Bryan', ['Brian Kowalski']);
+    const onProject = scoreName('Bryan', ['Brian Kowalski'], { onProject: true });
+
+    expect(offProject).toEqual(expect.objectContaining({ partialName: true, nameScore: 74.8, total: 74.8 }));
+    expect(onProject.total).toBe(84.8);
+    expect(explainScore(onProject)).toBe(
+      'Bryan ~ Brian (sounds alike, 88); only part of the name said (×0.85); on this project (+10) → 84.8'
+    );
+  });
+
+  it('should score the whole name by spelling when the parts do not line up', () => {
+    const breakdown = scoreName('Mary Ann Lopez', ['Maryann Lopez']);
+
+    expect(breakdown).toEqual(expect.objectContaining({ nameScore: 78.6, editSimilarity: 92.9, total: 92.9 }));
+    expect(explainScore(breakdown)).toBe('92.9% spelled like Maryann Lopez → 92.9');
+  });
+});
+
+describe('personnelService.matchOrCreateEmployee scoring', () => {
+  let employees;
+  let puts;
+
+  beforeEach(() => {
+    puts = [];
+    employees = [
+      { personId: 'PER#EMP-1', fullName: 'Brian Kowalski', knownAliases: ['Brian Kowalski'], lastSeenProjectId: 'proj_001' },
+      { personId: 'PER#EMP-2', fullName: 'Brian Mendez', knownAliases: ['Brian Mendez'], lastSeenProjectId: 'proj_002' },
+      { personId: 'PER#EMP-3', fullName: 'William Ortiz', knownAliases: ['William Ortiz'] }
+    ];
+    jest.spyOn(DynamoDBDocumentClient.prototype, 'send').mockImplementation(async (command) => {
+      const name = command.constructor.name;
+      if (name === 'QueryCommand' && command.input.IndexName === 'GSI3-StatusIndex') return { Items: employees };
+      if (name === 'PutCommand' || name === 'UpdateCommand') puts.push(command.input);
+      return { Items: [] };
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should match a nickname and explain the score', async () => {
+    const result = await personnelService.matchOrCreateEmployee('Bill Ortiz');
+
+    expect(result).toEqual(expect.objectContaining({
+      employeeId: 'PER#EMP-3',
+      confidence: 'high',
+      needsReview: false,
+      matchMethod: 'fuzzy_match'
+    }));
+    expect(result.scoreBreakdown.parts[0]).toEqual({ spoken: 'Bill', known: 'William', method: 'nickname', score: 92 });
+  });
+
+  it('should flag a lone partial-name match for review', async () => {
+    const result = await personnelService.matchOrCreateEmployee('Bryan', { projectId: 'proj_001' });
+
+    expect(result).toEqual(expect.objectContaining({
+      employeeId: 'PER#EMP-1',
+      confidence: 'medium',
+      needsReview: true,
+      matchMethod: 'fuzzy_match'
+    }));
+    expect(result.scoreBreakdown).toEqual(expect.objectContaining({ partialName: true, projectBoost: 10, total: 84.8 }));
+  });
+
+  it('should let the project settle a first name two people share', async () => {
+    const result = await personnelService.matchOrCreateEmployee('Brian', { projectId: 'proj_001' });
+
+    expect(result).toEqual(expect.objectContaining({
+      employeeId: 'PER#EMP-1',
+      matchMethod: 'context_match',
+      needsReview: true
+    }));
+    expect(result.scoreBreakdown.total).toBe(95);
+  });
+
+  it('should create a new employee flagged for review when candidates tie', async () => {
+    employees[1].lastSeenProjectId = 'proj_001';
+
+    const result = await personnelService.matchOrCreateEmployee('Brian', { projectId: 'proj_001' });
+
+    expect(result.matchMethod).toBe('multiple_matches_create_new');
+    expect(result.suggestedMatches.map(match => match.name)).toEqual(['Brian Kowalski', 'Brian Mendez']);
+    expect(result.suggestedMatches[0].reason).toBe(
+      'Brian ~ Brian (same name, 100); only part of the name said (×0.85); on this project (+10) → 95'
+    );
+  });
+});
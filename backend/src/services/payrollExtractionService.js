@@ -1,23 +1,25 @@
 /**
  * Payroll Extraction Service
- * Extracts employee hours data from daily report transcripts using GPT-4
+ * Extracts employee hours data from daily report transcripts using the
+ * model routed to 'payroll-extraction' (GPT-4 by default)
  */
 
-const fetch = require('node-fetch');
 const { personnelService } = require('./personnelService');
-
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const { payrollService } = require('./payrollService');
+const { AIModelRegistry, runLLMTask } = require('./aiModelRegistry');
+const { parseJSONResponse } = require('./llmProviders');
 
 /**
- * Extract payroll data from transcript using GPT-4
+ * Extract payroll data from transcript
  * @param {string} transcript - The conversation transcript
  * @param {Object} context - Report context (reportId, projectId, reportDate, etc.)
  * @returns {Promise<Object>} Extracted payroll data
  */
 async function extractPayrollFromTranscript(transcript, context) {
-  if (!OPENAI_API_KEY) {
-    console.warn('⚠️ OPENAI_API_KEY not configured, skipping payroll extraction');
-    return { employees: [], success: false, error: 'OpenAI API key not configured' };
+  if (!AIModelRegistry.isTaskConfigured('payroll-extraction')) {
+    const { provider } = AIModelRegistry.getTaskModel('payroll-extraction');
+    console.warn(`⚠️ ${provider} API key not configured, skipping payroll extraction`);
+    return { employees: [], success: false, skipped: true, error: `${provider} API key not configured` };
   }
 
   const extractionPrompt = `
@@ -67,48 +69,21 @@ ${transcript}
 Extract payroll data as JSON:`;
 
   try {
-    console.log('🤖 Extracting payroll data with GPT-4...');
-
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENAI_API_KEY}`
-      },
-      body: JSON.stringify({
-        model: 'gpt-4',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a payroll data extraction assistant. Always respond with valid JSON only, no additional text.'
-          },
-          {
-            role: 'user',
-            content: extractionPrompt
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 2000
-      })
-    });
-
-    if (!response.ok) {
-      const error = await response.text();
-      console.error('OpenAI API error:', error);
-      return { employees: [], success: false, error: `OpenAI API error: ${response.statusText}` };
-    }
+    console.log('🤖 Extracting payroll data...');
 
-    const data = await response.json();
-    const content = data.choices[0].message.content.trim();
+    const completion = await runLLMTask('payroll-extraction', {
+      system: 'You are a payroll data extraction assistant. Always respond with valid JSON only, no additional text.',
+      prompt: extractionPrompt
+    });
 
     // Parse JSON response
-    let jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      console.error('Failed to extract JSON from GPT response:', content);
-      return { employees: [], success: false, error: 'Failed to parse GPT response' };
+    let extracted;
+    try {
+      extracted = parseJSONResponse(completion.text);
+    } catch (parseError) {
+      console.error('Failed to extract JSON from LLM response:', completion.text);
+      return { employees: [], success: false, error: 'Failed to parse LLM response' };
     }
-
-    const extracted = JSON.parse(jsonMatch[0]);
     console.log(`✅ Extracted ${extracted.employees?.length || 0} employee records`);
 
     return {
@@ -133,19 +108,23 @@ async function matchEmployee(name, projectId) {
     // Call personnelService directly (no HTTP calls)
     const result = await personnelService.matchOrCreateEmployee(name, { projectId });
 
-    if (result.success) {
-      return {
-        success: true,
-        employeeId: result.employeeId,
-        employeeNumber: result.employeeNumber,
-        fullName: result.fullName,
-        confidence: result.confidence,
-        needsReview: result.needsReview || false
-      };
-    } else {
-      console.warn(`Failed to match employee "${name}":`, result.error);
-      return { success: false, error: result.error };
+    // matchOrCreateEmployee creates the employee when nothing matches, so an
+    // employeeId is always there unless the profile write failed
+    const employee = result.employeeId && await personnelService.getEmployeeById(result.employeeId);
+    if (!employee) {
+      console.warn(`Failed to match employee "${name}": no employee record for ${result.employeeId}`);
+      return { success: false, error: `No employee record for ${result.employeeId}` };
     }
+
+    return {
+      success: true,
+      employeeId: result.employeeId,
+      employeeNumber: employee.employeeNumber,
+      fullName: result.matchedName || employee.fullName,
+      hourlyRate: employee.hourlyRate,
+      confidence: result.confidence,
+      needsReview: result.needsReview || false
+    };
   } catch (error) {
     console.error(`Error matching employee "${name}":`, error);
     return { success: false, error: error.message };
@@ -159,24 +138,30 @@ async function matchEmployee(name, projectId) {
  */
 async function createBulkPayrollEntries(entries) {
   try {
-    const response = await fetch(`${API_BASE_URL}/payroll/bulk`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ entries })
-    });
-
-    const data = await response.json();
-
-    if (data.success) {
-      console.log(`✅ Created ${data.data.created} payroll entries`);
-      if (data.data.failed > 0) {
-        console.warn(`⚠️ ${data.data.failed} entries failed to create`);
-      }
-      return { success: true, ...data.data };
-    } else {
-      console.error('Failed to create payroll entries:', data.error);
-      return { success: false, error: data.error };
-    }
+    const created = await payrollService.createBulkEntries(entries.map(entry => ({
+      report_id: entry.reportId,
+      report_date: entry.reportDate,
+      report_submitted_by: entry.submittedBy,
+      project_id: entry.projectId,
+      project_name: entry.projectName,
+      employee_id: entry.employeeId,
+      employee_name: entry.employeeName,
+      employee_number: entry.employeeNumber,
+      regular_hours: entry.regularHours,
+      overtime_hours: entry.overtimeHours,
+      double_time_hours: entry.doubleTimeHours,
+      arrival_time: entry.arrivalTime,
+      departure_time: entry.departureTime,
+      activities_performed: entry.activities || [],
+      employee_specific_issues: entry.employeeSpecificIssues,
+      work_location: 'on-site',
+      hourly_rate: entry.hourlyRate,
+      extracted_by_ai: true,
+      needs_review: entry.needsReview
+    })));
+
+    console.log(`✅ Created ${created.length} payroll entries`);
+    return { success: true, created: created.length, failed: entries.length - created.length, entries: created };
   } catch (error) {
     console.error('Error creating payroll entries:', error);
     return { success: false, error: error.message };
@@ -225,12 +210,31 @@ async function processTranscriptForPayroll(transcript, reportContext) {
   console.log(`Found ${extraction.employees.length} employees in transcript`);
   console.log('');
 
+  return createPayrollEntriesFromExtraction(extraction.employees, reportContext);
+}
+
+/**
+ * Match extracted employees and create their payroll entries
+ * Steps 2-3 of processTranscriptForPayroll, for callers that extract separately
+ * @param {Array} employees - `employees` from extractPayrollFromTranscript
+ * @param {Object} reportContext - Report metadata
+ * @returns {Promise<Object>} Processing result
+ */
+async function createPayrollEntriesFromExtraction(employees, reportContext) {
+  const {
+    reportId,
+    projectId,
+    projectName,
+    reportDate,
+    managerId
+  } = reportContext;
+
   // Step 2: Match employees and prepare entries
   console.log('👥 Step 2: Matching employees...');
   const payrollEntries = [];
   const matchResults = [];
 
-  for (const emp of extraction.employees) {
+  for (const emp of employees) {
     console.log(`  Matching: ${emp.name}...`);
 
     const match = await matchEmployee(emp.name, projectId);
@@ -245,6 +249,8 @@ async function processTranscriptForPayroll(transcript, reportContext) {
         employeeId: match.employeeId,
         employeeNumber: match.employeeNumber,
         employeeName: match.fullName,
+        hourlyRate: match.hourlyRate || 0,
+        submittedBy: managerId,
         projectId,
         projectName,
         reportDate,
@@ -255,7 +261,8 @@ async function processTranscriptForPayroll(transcript, reportContext) {
         departureTime: emp.departure_time,
         activities: emp.activities,
         employeeSpecificIssues: emp.issues,
-        needsReview: match.needsReview || match.confidence !== 'exact'
+        // No rate on file (e.g. an auto-created employee): cost it at 0 for review
+        needsReview: match.needsReview || match.confidence !== 'exact' || !match.hourlyRate
       });
     } else {
       console.log(`    ✗ Failed to match: ${match.error}`);
@@ -270,7 +277,7 @@ async function processTranscriptForPayroll(transcript, reportContext) {
     return {
       success: true,
       message: 'No employees could be matched',
-      employeesProcessed: extraction.employees.length,
+      employeesProcessed: employees.length,
       employeesMatched: 0,
       entriesCreated: 0,
       matchResults
@@ -284,7 +291,7 @@ async function processTranscriptForPayroll(transcript, reportContext) {
   console.log('='.repeat(80));
   console.log('✅ PAYROLL EXTRACTION COMPLETE');
   console.log('='.repeat(80));
-  console.log(`Employees in transcript: ${extraction.employees.length}`);
+  console.log(`Employees in transcript: ${employees.length}`);
   console.log(`Employees matched: ${payrollEntries.length}`);
   console.log(`Entries created: ${createResult.created || 0}`);
   console.log(`Entries failed: ${createResult.failed || 0}`);
@@ -294,7 +301,7 @@ async function processTranscriptForPayroll(transcript, reportContext) {
 
   return {
     success: createResult.success,
-    employeesProcessed: extraction.employees.length,
+    employeesProcessed: employees.length,
     employeesMatched: payrollEntries.length,
     entriesCreated: createResult.created || 0,
     entriesFailed: createResult.failed || 0,
@@ -308,5 +315,6 @@ module.exports = {
   extractPayrollFromTranscript,
   matchEmployee,
   createBulkPayrollEntries,
+  createPayrollEntriesFromExtraction,
   processTranscriptForPayroll
 };
@@ -0,0 +1,109 @@
+/**
+ * Payroll Extraction Service Tests
+ *
+ * A manager's correction turned into payroll entries, with employee matching
+ * and the entry writes going through the real services against the local AWS
+ * stand-in (nothing in personnelService or payrollService is mocked).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalAws } = require('../local/stand-in');
+const { loadTableDefinitions } = require('../local/seed');
+
+// report-revisions expects services/ to be copied next to it at deploy time
+jest.mock('../functions/extractionConsistency', () => require('./extractionConsistency'), { virtual: true });
+
+const REPORT = {
+  reportId: 'rpt_20261019_mgr_1',
+  projectId: 'proj-1',
+  projectName: 'Parkway Plaza',
+  reportDate: '2026-10-19',
+  managerId: 'mgr-1'
+};
+
+describe('createPayrollEntriesFromExtraction', () => {
+  let aws;
+  let dataDir;
+  let services;
+  const env = { ...process.env };
+
+  beforeAll(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payroll-extraction-'));
+    aws = new LocalAws({ dataDir, definitions: loadTableDefinitions() });
+    Object.assign(process.env, {
+      AWS_ENDPOINT_URL: await aws.listen(0),
+      AWS_REGION: 'us-east-1',
+      AWS_ACCESS_KEY_ID: 'local',
+      AWS_SECRET_ACCESS_KEY: 'local'
+    });
+
+    // The services build their DynamoDB clients when first required
+    services = {
+      ...require('./payrollExtractionService'),
+      ...require('./personnelService'),
+      ...require('./payrollService'),
+      ...require('../functions/report-revisions')
+    };
+  });
+
+  afterAll(async () => {
+    await aws.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    process.env = env;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should create payroll entries for a corrected crew, including a newly created employee', async () => {
+    const { personnelService, payrollService, payrollEmployeesFromExtractedData, createPayrollEntriesFromExtraction } = services;
+    const aaron = await personnelService.createEmployee({
+      firstName: 'Aaron',
+      lastName: 'Trask',
+      hourlyRate: 32,
+      employmentStatus: 'active'
+    });
+
+    const corrected = {
+      personnel: [
+        { fullName: 'Aaron Trask', hoursWorked: 8, overtimeHours: 2 },
+        { fullName: 'Kenny Smith', hoursWorked: 6, overtimeHours: 0 }
+      ]
+    };
+
+    const result = await createPayrollEntriesFromExtraction(payrollEmployeesFromExtractedData(corrected), REPORT);
+
+    expect(result).toEqual(expect.objectContaining({ success: true, employeesMatched: 2, entriesCreated: 2 }));
+    expect(result.matchResults.map(match => [match.name, match.success, match.confidence])).toEqual([
+      ['Aaron Trask', true, 'exact'],
+      ['Kenny Smith', true, 'new_employee']
+    ]);
+
+    const entries = await payrollService.getEntriesByReport(REPORT.reportId);
+    const byName = Object.fromEntries(entries.map(entry => [entry.employee_name, entry]));
+
+    expect(byName['Aaron Trask']).toEqual(expect.objectContaining({
+      employee_id: aaron.personId,
+      employee_number: aaron.employeeNumber,
+      regular_hours: 8,
+      overtime_hours: 2,
+      total_cost: 352,
+      needs_review: false,
+      report_submitted_by: 'mgr-1'
+    }));
+    expect(byName['Kenny Smith']).toEqual(expect.objectContaining({
+      employee_id: result.matchResults[1].employeeId,
+      regular_hours: 6,
+      hourly_rate: 0,
+      needs_review: true
+    }));
+  });
+});
@@ -118,9 +118,10 @@ function validatePayrollEntry(data) {
         errors.push('overtime_hours must be non-negative');
     if (data.double_time_hours < 0)
         errors.push('double_time_hours must be non-negative');
-    // Validate hourly rate
-    if (data.hourly_rate <= 0)
+    // Validate hourly rate (0 only on entries held for review, e.g. an employee with no rate yet)
+    if (data.hourly_rate < 0 || (data.hourly_rate === 0 && !data.needs_review)) {
         errors.push('hourly_rate must be greater than 0');
+    }
     // Validate work location
     if (!['on-site', 'off-site'].includes(data.work_location)) {
         errors.push('work_location must be "on-site" or "off-site"');
@@ -141,6 +142,10 @@ function generateSortKey(employeeId, timestamp) {
     const ts = timestamp || Date.now();
     return `${employeeId}#${ts}`;
 }
+// Unprocessed batch items are resent after a delay that doubles from
+// BATCH_RETRY_BASE_MS, for at most BATCH_MAX_ATTEMPTS sends in all
+const BATCH_RETRY_BASE_MS = 50;
+const BATCH_MAX_ATTEMPTS = 8;
 // ============================================================================
 // PAYROLL SERVICE CLASS
 // ============================================================================
@@ -281,13 +286,8 @@ class PayrollService {
                     },
                 };
             });
-            const command = new lib_dynamodb_1.BatchWriteCommand({
-                RequestItems: {
-                    [this.tableName]: writeRequests,
-                },
-            });
             try {
-                await this.docClient.send(command);
+                await this.batchWrite(writeRequests);
                 console.log(`✅ Batch ${i / BATCH_SIZE + 1} completed`);
             }
             catch (error) {
@@ -333,18 +333,17 @@ class PayrollService {
      * Get all payroll entries for a specific report
      * Uses primary key query (report_id)
      */
-    async getEntriesByReport(reportId) {
+    async getEntriesByReport(reportId, page) {
         console.log('🔍 Getting payroll entries for report:', reportId);
-        const command = new lib_dynamodb_1.QueryCommand({
+        const input = {
             TableName: this.tableName,
             KeyConditionExpression: 'PK = :reportId',
             ExpressionAttributeValues: {
                 ':reportId': reportId,
             },
-        });
+        };
         try {
-            const response = await this.docClient.send(command);
-            return (response.Items || []);
+            return await this.runQuery(input, page);
         }
         catch (error) {
             console.error('❌ Error getting entries by report:', error);
@@ -355,9 +354,9 @@ class PayrollService {
      * Get all payroll entries for an employee within a date range
      * Uses GSI1-EmployeeDateIndex
      */
-    async getEntriesByEmployee(employeeId, startDate, endDate) {
+    async getEntriesByEmployee(employeeId, startDate, endDate, page) {
         console.log(`🔍 Getting entries for employee ${employeeId} from ${startDate} to ${endDate}`);
-        const command = new lib_dynamodb_1.QueryCommand({
+        const input = {
             TableName: this.tableName,
             IndexName: 'GSI1-EmployeeDateIndex',
             KeyConditionExpression: 'employee_id = :employeeId AND report_date BETWEEN :startDate AND :endDate',
@@ -366,10 +365,9 @@ class PayrollService {
                 ':startDate': formatDate(startDate),
                 ':endDate': formatDate(endDate),
             },
-        });
+        };
         try {
-            const response = await this.docClient.send(command);
-            return (response.Items || []);
+            return await this.runQuery(input, page);
         }
         catch (error) {
             console.error('❌ Error getting entries by employee:', error);
@@ -380,9 +378,9 @@ class PayrollService {
      * Get all payroll entries for a project within a date range
      * Uses GSI2-ProjectDateIndex
      */
-    async getEntriesByProject(projectId, startDate, endDate) {
+    async getEntriesByProject(projectId, startDate, endDate, page) {
         console.log(`🔍 Getting entries for project ${projectId} from ${startDate} to ${endDate}`);
-        const command = new lib_dynamodb_1.QueryCommand({
+        const input = {
             TableName: this.tableName,
             IndexName: 'GSI2-ProjectDateIndex',
             KeyConditionExpression: 'project_id = :projectId AND report_date BETWEEN :startDate AND :endDate',
@@ -391,10 +389,9 @@ class PayrollService {
                 ':startDate': formatDate(startDate),
                 ':endDate': formatDate(endDate),
             },
-        });
+        };
         try {
-            const response = await this.docClient.send(command);
-            return (response.Items || []);
+            return await this.runQuery(input, page);
         }
         catch (error) {
             console.error('❌ Error getting entries by project:', error);
@@ -405,19 +402,18 @@ class PayrollService {
      * Get all payroll entries for a specific date
      * Uses GSI3-DateIndex
      */
-    async getEntriesByDate(date) {
+    async getEntriesByDate(date, page) {
         console.log('🔍 Getting payroll entries for date:', date);
-        const command = new lib_dynamodb_1.QueryCommand({
+        const input = {
             TableName: this.tableName,
             IndexName: 'GSI3-DateIndex',
             KeyConditionExpression: 'report_date = :date',
             ExpressionAttributeValues: {
                 ':date': formatDate(date),
             },
-        });
+        };
         try {
-            const response = await this.docClient.send(command);
-            return (response.Items || []);
+            return await this.runQuery(input, page);
         }
         catch (error) {
             console.error('❌ Error getting entries by date:', error);
@@ -428,25 +424,61 @@ class PayrollService {
      * Get all payroll entries that need review
      * Uses GSI4-ReviewIndex
      */
-    async getEntriesNeedingReview() {
+    async getEntriesNeedingReview(page) {
         console.log('🔍 Getting payroll entries needing review');
-        const command = new lib_dynamodb_1.QueryCommand({
+        const input = {
             TableName: this.tableName,
             IndexName: 'GSI4-ReviewIndex',
             KeyConditionExpression: 'needs_review = :needsReview',
             ExpressionAttributeValues: {
                 ':needsReview': true,
             },
-        });
+        };
         try {
-            const response = await this.docClient.send(command);
-            return (response.Items || []);
+            return await this.runQuery(input, page);
         }
         catch (error) {
             console.error('❌ Error getting entries needing review:', error);
             throw new Error(`Failed to get entries needing review: ${error}`);
         }
     }
+    /**
+     * Run a query, following LastEvaluatedKey so results are never cut off at 1MB
+     * Without `page` every matching entry is returned; with it, at most `page.limit`
+     */
+    async runQuery(input, page) {
+        const entries = [];
+        let key = page?.startKey;
+        do {
+            const response = await this.docClient.send(new lib_dynamodb_1.QueryCommand({
+                ...input,
+                Limit: page ? page.limit - entries.length : undefined,
+                ExclusiveStartKey: key,
+            }));
+            entries.push(...(response.Items || []));
+            key = response.LastEvaluatedKey;
+        } while (key && (!page || entries.length < page.limit));
+        return page ? { entries, lastKey: key || null } : entries;
+    }
+    /**
+     * Write one batch of up to 25 requests, resending whatever DynamoDB
+     * returns as UnprocessedItems (e.g. when throttled) until none remain
+     */
+    async batchWrite(requests) {
+        let pending = requests;
+        for (let attempt = 1; pending.length > 0; attempt++) {
+            if (attempt > BATCH_MAX_ATTEMPTS) {
+                throw new Error(`${pending.length} items still unprocessed after ${BATCH_MAX_ATTEMPTS} attempts`);
+            }
+            if (attempt > 1) {
+                await new Promise((resolve) => setTimeout(resolve, BATCH_RETRY_BASE_MS * 2 ** (attempt - 2)));
+            }
+            const response = await this.docClient.send(new lib_dynamodb_1.BatchWriteCommand({
+                RequestItems: { [this.tableName]: pending },
+            }));
+            pending = response.UnprocessedItems?.[this.tableName] || [];
+        }
+    }
     // ==========================================================================
     // UPDATE OPERATIONS
     // ==========================================================================
@@ -554,6 +586,36 @@ class PayrollService {
             throw new Error(`Failed to delete entry: ${error}`);
         }
     }
+    /**
+     * Delete every payroll entry for a report
+     * Used before a report's entries are recreated from a corrected extraction
+     */
+    async deleteEntriesByReport(reportId) {
+        console.log('🗑️ Deleting payroll entries for report:', reportId);
+        const entries = (await this.runQuery({
+            TableName: this.tableName,
+            KeyConditionExpression: 'PK = :reportId',
+            ProjectionExpression: 'PK, SK',
+            ExpressionAttributeValues: {
+                ':reportId': reportId,
+            },
+        }));
+        const BATCH_SIZE = 25; // DynamoDB limit
+        for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+            const batch = entries.slice(i, i + BATCH_SIZE);
+            try {
+                await this.batchWrite(batch.map(({ PK, SK }) => ({
+                    DeleteRequest: { Key: { PK, SK } },
+                })));
+            }
+            catch (error) {
+                console.error('❌ Error deleting report entries:', error);
+                throw new Error(`Failed to delete entries for report: ${error}`);
+            }
+        }
+        console.log(`✅ Deleted ${entries.length} payroll entries`);
+        return entries.length;
+    }
     // ==========================================================================
     // AGGREGATION & REPORTING
     // ==========================================================================
@@ -0,0 +1,84 @@
+/**
+ * Payroll Service Tests
+ *
+ * Deleting a report's payroll entries in batches when DynamoDB leaves some
+ * of a batch unprocessed (in-memory document client).
+ */
+
+const { payrollService } = require('./payrollService');
+
+/**
+ * Just enough of DynamoDBDocumentClient for deleteEntriesByReport: entries
+ * keyed by PK and SK, with a number of deletes to leave unprocessed per batch
+ */
+class FakeDocumentClient {
+  constructor(entries, { unprocessedPerBatch = 0, throttledBatches = Infinity } = {}) {
+    this.entries = new Map(entries.map(entry => [`${entry.PK}|${entry.SK}`, entry]));
+    this.unprocessedPerBatch = unprocessedPerBatch;
+    this.throttledBatches = throttledBatches;
+    this.batches = 0;
+  }
+
+  async send(command) {
+    const input = command.input;
+    const name = command.constructor.name;
+
+    if (name === 'QueryCommand') {
+      const pk = input.ExpressionAttributeValues[':reportId'];
+      return { Items: [...this.entries.values()].filter(entry => entry.PK === pk) };
+    }
+    if (name === 'BatchWriteCommand') {
+      const [[table, requests]] = Object.entries(input.RequestItems);
+      const throttled = this.batches++ < this.throttledBatches ? this.unprocessedPerBatch : 0;
+      const unprocessed = requests.slice(requests.length - throttled);
+
+      for (const request of requests.slice(0, requests.length - throttled)) {
+        const { PK, SK } = request.DeleteRequest.Key;
+        this.entries.delete(`${PK}|${SK}`);
+      }
+      return unprocessed.length > 0 ? { UnprocessedItems: { [table]: unprocessed } } : {};
+    }
+    throw new Error(`Unexpected command ${name}`);
+  }
+}
+
+const entriesFor = (reportId, count) => Array.from({ length: count }, (_, i) => ({
+  PK: reportId,
+  SK: `emp_${i}#1792400000000`,
+  entry_id: `entry_${i}`
+}));
+
+describe('PayrollService.deleteEntriesByReport', () => {
+  let originalClient;
+
+  beforeEach(() => {
+    originalClient = payrollService.docClient;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(global, 'setTimeout').mockImplementation(callback => callback());
+  });
+
+  afterEach(() => {
+    payrollService.docClient = originalClient;
+    jest.restoreAllMocks();
+  });
+
+  it('should resend unprocessed deletes until every entry is gone', async () => {
+    const client = new FakeDocumentClient([...entriesFor('rpt_1', 30), ...entriesFor('rpt_2', 2)], {
+      unprocessedPerBatch: 4,
+      throttledBatches: 3
+    });
+    payrollService.docClient = client;
+
+    expect(await payrollService.deleteEntriesByReport('rpt_1')).toBe(30);
+    expect([...client.entries.values()].map(entry => entry.PK)).toEqual(['rpt_2', 'rpt_2']);
+  });
+
+  it('should fail rather than leave entries behind when DynamoDB keeps throttling', async () => {
+    const client = new FakeDocumentClient(entriesFor('rpt_1', 3), { unprocessedPerBatch: 1 });
+    payrollService.docClient = client;
+
+    await expect(payrollService.deleteEntriesByReport('rpt_1')).rejects.toThrow('still unprocessed after 8 attempts');
+    expect(client.entries.size).toBe(1);
+  });
+});
@@ -7,6 +7,8 @@ import {
   UpdateCommand,
   DeleteCommand,
   BatchWriteCommand,
+  BatchWriteCommandInput,
+  QueryCommandInput,
 } from '@aws-sdk/lib-dynamodb';
 
 // ============================================================================
@@ -130,6 +132,19 @@ export interface ProjectLaborCosts {
   }>;
 }
 
+/**
+ * One page of a list query: at most `limit` entries, continuing after `startKey`
+ */
+export interface PageOptions {
+  limit: number;
+  startKey?: Record<string, any>;
+}
+
+export interface PayrollEntryPage {
+  entries: PayrollEntry[];
+  lastKey: Record<string, any> | null;
+}
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -258,8 +273,10 @@ function validatePayrollEntry(data: CreatePayrollEntryInput): void {
   if (data.overtime_hours < 0) errors.push('overtime_hours must be non-negative');
   if (data.double_time_hours < 0) errors.push('double_time_hours must be non-negative');
 
-  // Validate hourly rate
-  if (data.hourly_rate <= 0) errors.push('hourly_rate must be greater than 0');
+  // Validate hourly rate (0 only on entries held for review, e.g. an employee with no rate yet)
+  if (data.hourly_rate < 0 || (data.hourly_rate === 0 && !data.needs_review)) {
+    errors.push('hourly_rate must be greater than 0');
+  }
 
   // Validate work location
   if (!['on-site', 'off-site'].includes(data.work_location)) {
@@ -285,6 +302,13 @@ function generateSortKey(employeeId: string, timestamp?: number): string {
   return `${employeeId}#${ts}`;
 }
 
+// Unprocessed batch items are resent after a delay that doubles from
+// BATCH_RETRY_BASE_MS, for at most BATCH_MAX_ATTEMPTS sends in all
+const BATCH_RETRY_BASE_MS = 50;
+const BATCH_MAX_ATTEMPTS = 8;
+
+type WriteRequest = NonNullable<BatchWriteCommandInput['RequestItems']>[string][number];
+
 // ============================================================================
 // PAYROLL SERVICE CLASS
 // ============================================================================
@@ -468,14 +492,8 @@ class PayrollService {
         };
       });
 
-      const command = new BatchWriteCommand({
-        RequestItems: {
-          [this.tableName]: writeRequests,
-        },
-      });
-
       try {
-        await this.docClient.send(command);
+        await this.batchWrite(writeRequests);
         console.log(`✅ Batch ${i / BATCH_SIZE + 1} completed`);
       } catch (error) {
         console.error('❌ Error in batch write:', error);
@@ -527,20 +545,24 @@ class PayrollService {
    * Get all payroll entries for a specific report
    * Uses primary key query (report_id)
    */
-  async getEntriesByReport(reportId: string): Promise<PayrollEntry[]> {
+  async getEntriesByReport(reportId: string): Promise<PayrollEntry[]>;
+  async getEntriesByReport(reportId: string, page: PageOptions): Promise<PayrollEntryPage>;
+  async getEntriesByReport(
+    reportId: string,
+    page?: PageOptions
+  ): Promise<PayrollEntry[] | PayrollEntryPage> {
     console.log('🔍 Getting payroll entries for report:', reportId);
 
-    const command = new QueryCommand({
+    const input: QueryCommandInput = {
       TableName: this.tableName,
       KeyConditionExpression: 'PK = :reportId',
       ExpressionAttributeValues: {
         ':reportId': reportId,
       },
-    });
+    };
 
     try {
-      const response = await this.docClient.send(command);
-      return (response.Items || []) as PayrollEntry[];
+      return await this.runQuery(input, page);
     } catch (error) {
       console.error('❌ Error getting entries by report:', error);
       throw new Error(`Failed to get entries by report: ${error}`);
@@ -555,12 +577,24 @@ class PayrollService {
     employeeId: string,
     startDate: string,
     endDate: string
-  ): Promise<PayrollEntry[]> {
+  ): Promise<PayrollEntry[]>;
+  async getEntriesByEmployee(
+    employeeId: string,
+    startDate: string,
+    endDate: string,
+    page: PageOptions
+  ): Promise<PayrollEntryPage>;
+  async getEntriesByEmployee(
+    employeeId: string,
+    startDate: string,
+    endDate: string,
+    page?: PageOptions
+  ): Promise<PayrollEntry[] | PayrollEntryPage> {
     console.log(
       `🔍 Getting entries for employee ${employeeId} from ${startDate} to ${endDate}`
     );
 
-    const command = new QueryCommand({
+    const input: QueryCommandInput = {
       TableName: this.tableName,
       IndexName: 'GSI1-EmployeeDateIndex',
       KeyConditionExpression:
@@ -570,11 +604,10 @@ class PayrollService {
         ':startDate': formatDate(startDate),
         ':endDate': formatDate(endDate),
       },
-    });
+    };
 
     try {
-      const response = await this.docClient.send(command);
-      return (response.Items || []) as PayrollEntry[];
+      return await this.runQuery(input, page);
     } catch (error) {
       console.error('❌ Error getting entries by employee:', error);
       throw new Error(`Failed to get entries by employee: ${error}`);
@@ -589,12 +622,24 @@ class PayrollService {
     projectId: string,
     startDate: string,
     endDate: string
-  ): Promise<PayrollEntry[]> {
+  ): Promise<PayrollEntry[]>;
+  async getEntriesByProject(
+    projectId: string,
+    startDate: string,
+    endDate: string,
+    page: PageOptions
+  ): Promise<PayrollEntryPage>;
+  async getEntriesByProject(
+    projectId: string,
+    startDate: string,
+    endDate: string,
+    page?: PageOptions
+  ): Promise<PayrollEntry[] | PayrollEntryPage> {
     console.log(
       `🔍 Getting entries for project ${projectId} from ${startDate} to ${endDate}`
     );
 
-    const command = new QueryCommand({
+    const input: QueryCommandInput = {
       TableName: this.tableName,
       IndexName: 'GSI2-ProjectDateIndex',
       KeyConditionExpression:
@@ -604,11 +649,10 @@ class PayrollService {
         ':startDate': formatDate(startDate),
         ':endDate': formatDate(endDate),
       },
-    });
+    };
 
     try {
-      const response = await this.docClient.send(command);
-      return (response.Items || []) as PayrollEntry[];
+      return await this.runQuery(input, page);
     } catch (error) {
       console.error('❌ Error getting entries by project:', error);
       throw new Error(`Failed to get entries by project: ${error}`);
@@ -619,21 +663,25 @@ class PayrollService {
    * Get all payroll entries for a specific date
    * Uses GSI3-DateIndex
    */
-  async getEntriesByDate(date: string): Promise<PayrollEntry[]> {
+  async getEntriesByDate(date: string): Promise<PayrollEntry[]>;
+  async getEntriesByDate(date: string, page: PageOptions): Promise<PayrollEntryPage>;
+  async getEntriesByDate(
+    date: string,
+    page?: PageOptions
+  ): Promise<PayrollEntry[] | PayrollEntryPage> {
     console.log('🔍 Getting payroll entries for date:', date);
 
-    const command = new QueryCommand({
+    const input: QueryCommandInput = {
       TableName: this.tableName,
       IndexName: 'GSI3-DateIndex',
       KeyConditionExpression: 'report_date = :date',
       ExpressionAttributeValues: {
         ':date': formatDate(date),
       },
-    });
+    };
 
     try {
-      const response = await this.docClient.send(command);
-      return (response.Items || []) as PayrollEntry[];
+      return await this.runQuery(input, page);
     } catch (error) {
       console.error('❌ Error getting entries by date:', error);
       throw new Error(`Failed to get entries by date: ${error}`);
@@ -644,27 +692,85 @@ class PayrollService {
    * Get all payroll entries that need review
    * Uses GSI4-ReviewIndex
    */
-  async getEntriesNeedingReview(): Promise<PayrollEntry[]> {
+  async getEntriesNeedingReview(): Promise<PayrollEntry[]>;
+  async getEntriesNeedingReview(page: PageOptions): Promise<PayrollEntryPage>;
+  async getEntriesNeedingReview(
+    page?: PageOptions
+  ): Promise<PayrollEntry[] | PayrollEntryPage> {
     console.log('🔍 Getting payroll entries needing review');
 
-    const command = new QueryCommand({
+    const input: QueryCommandInput = {
       TableName: this.tableName,
       IndexName: 'GSI4-ReviewIndex',
       KeyConditionExpression: 'needs_review = :needsReview',
       ExpressionAttributeValues: {
         ':needsReview': true,
       },
-    });
+    };
 
     try {
-      const response = await this.docClient.send(command);
-      return (response.Items || []) as PayrollEntry[];
+      return await this.runQuery(input, page);
     } catch (error) {
       console.error('❌ Error getting entries needing review:', error);
       throw new Error(`Failed to get entries needing review: ${error}`);
     }
   }
 
+  /**
+   * Run a query, following LastEvaluatedKey so results are never cut off at 1MB
+   * Without `page` every matching entry is returned; with it, at most `page.limit`
+   */
+  private async runQuery(input: QueryCommandInput): Promise<PayrollEntry[]>;
+  private async runQuery(
+    input: QueryCommandInput,
+    page?: PageOptions
+  ): Promise<PayrollEntry[] | PayrollEntryPage>;
+  private async runQuery(
+    input: QueryCommandInput,
+    page?: PageOptions
+  ): Promise<PayrollEntry[] | PayrollEntryPage> {
+    const entries: PayrollEntry[] = [];
+    let key = page?.startKey;
+
+    do {
+      const response = await this.docClient.send(
+        new QueryCommand({
+          ...input,
+          Limit: page ? page.limit - entries.length : undefined,
+          ExclusiveStartKey: key,
+        })
+      );
+      entries.push(...((response.Items || []) as PayrollEntry[]));
+      key = response.LastEvaluatedKey;
+    } while (key && (!page || entries.length < page.limit));
+
+    return page ? { entries, lastKey: key || null } : entries;
+  }
+
+  /**
+   * Write one batch of up to 25 requests, resending whatever DynamoDB
+   * returns as UnprocessedItems (e.g. when throttled) until none remain
+   */
+  private async batchWrite(requests: WriteRequest[]): Promise<void> {
+    let pending = requests;
+
+    for (let attempt = 1; pending.length > 0; attempt++) {
+      if (attempt > BATCH_MAX_ATTEMPTS) {
+        throw new Error(`${pending.length} items still unprocessed after ${BATCH_MAX_ATTEMPTS} attempts`);
+      }
+      if (attempt > 1) {
+        await new Promise((resolve) => setTimeout(resolve, BATCH_RETRY_BASE_MS * 2 ** (attempt - 2)));
+      }
+
+      const response = await this.docClient.send(
+        new BatchWriteCommand({
+          RequestItems: { [this.tableName]: pending },
+        })
+      );
+      pending = response.UnprocessedItems?.[this.tableName] || [];
+    }
+  }
+
   // ==========================================================================
   // UPDATE OPERATIONS
   // ==========================================================================
@@ -794,6 +900,43 @@ class PayrollService {
     }
   }
 
+  /**
+   * Delete every payroll entry for a report
+   * Used before a report's entries are recreated from a corrected extraction
+   */
+  async deleteEntriesByReport(reportId: string): Promise<number> {
+    console.log('🗑️ Deleting payroll entries for report:', reportId);
+
+    const entries = (await this.runQuery({
+      TableName: this.tableName,
+      KeyConditionExpression: 'PK = :reportId',
+      ProjectionExpression: 'PK, SK',
+      ExpressionAttributeValues: {
+        ':reportId': reportId,
+      },
+    })) as unknown as Array<{ PK: string; SK: string }>;
+
+    const BATCH_SIZE = 25; // DynamoDB limit
+
+    for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+      const batch = entries.slice(i, i + BATCH_SIZE);
+
+      try {
+        await this.batchWrite(
+          batch.map(({ PK, SK }) => ({
+            DeleteRequest: { Key: { PK, SK } },
+          }))
+        );
+      } catch (error) {
+        console.error('❌ Error deleting report entries:', error);
+        throw new Error(`Failed to delete entries for report: ${error}`);
+      }
+    }
+
+    console.log(`✅ Deleted ${entries.length} payroll entries`);
+    return entries.length;
+  }
+
   // ==========================================================================
   // AGGREGATION & REPORTING
   // ==========================================================================
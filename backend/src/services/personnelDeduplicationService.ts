@@ -8,6 +8,7 @@
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
 import { DynamoDBDocumentClient, QueryCommand, PutCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
 import { v4 as uuidv4 } from 'uuid';
+import { EntityConfidence } from './confidenceScoringService';
 
 const dynamoClient = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(dynamoClient);
@@ -308,7 +309,8 @@ export class PersonnelDeduplicationService {
     hoursWorked: number,
     overtimeHours: number,
     healthStatus: string,
-    activitiesPerformed?: string
+    activitiesPerformed?: string,
+    confidenceScore?: EntityConfidence
   ): Promise<void> {
     const timestamp = new Date().toISOString();
 
@@ -327,7 +329,8 @@ export class PersonnelDeduplicationService {
           hoursWorked,
           overtimeHours,
           healthStatus,
-          activitiesPerformed
+          activitiesPerformed,
+          confidenceScore
         }
       })
     );
@@ -348,7 +351,8 @@ export class PersonnelDeduplicationService {
     reportDate: string,
     projectId: string,
     projectName: string,
-    activitiesPerformed?: string
+    activitiesPerformed?: string,
+    confidenceScore?: EntityConfidence
   ): Promise<string> {
     try {
       // 1. Normalize name
@@ -382,7 +386,8 @@ export class PersonnelDeduplicationService {
         hoursWorked,
         overtimeHours,
         healthStatus,
-        activitiesPerformed
+        activitiesPerformed,
+        confidenceScore
       );
 
       return person.personId;
@@ -0,0 +1,190 @@
+/**
+ * Personnel Duplicate Sweep Tests
+ *
+ * Scoring employee pairs, choosing which to keep, and keeping the stored
+ * merge candidates in sync across sweeps (against the local DynamoDB stand-in).
+ */
+
+const { unmarshall } = require('@aws-sdk/util-dynamodb');
+const { LocalDynamoDB, localClient } = require('../local/dynamodb');
+const { loadTableDefinitions } = require('../local/seed');
+const {
+  MergeCandidates,
+  candidateId,
+  parseCandidateId,
+  scoreEmployeePair,
+  suggestPrimary,
+  findDuplicateCandidates,
+  mergeCandidateQueryParams
+} = require('./personnelDuplicates');
+
+function employee(personId, fullName, extra = {}) {
+  return { personId, employeeNumber: personId.replace('PER#', ''), fullName, knownAliases: [fullName], ...extra };
+}
+
+const WILLIAM = employee('PER#EMP-1', 'William Ortiz', {
+  username: 'wortiz',
+  email: 'wortiz@example.com',
+  createdAt: '2025-01-06T00:00:00.000Z'
+});
+const BILL = employee('PER#EMP-2', 'Bill Ortiz', { createdAt: '2026-09-01T00:00:00.000Z' });
+const BRIAN = employee('PER#EMP-3', 'Brian Kowalski', { lastSeenProjectId: 'proj_001' });
+const BRYAN = employee('PER#EMP-4', 'Bryan', { lastSeenProjectId: 'proj_001' });
+const MARIA = employee('PER#EMP-5', 'Maria Santos');
+
+describe('candidateId and parseCandidateId', () => {
+  it('should give a pair the same id in either order', () => {
+    expect(candidateId('PER#EMP-2', 'PER#EMP-1')).toBe('PER#EMP-1~PER#EMP-2');
+    expect(candidateId('PER#EMP-1', 'PER#EMP-2')).toBe('PER#EMP-1~PER#EMP-2');
+  });
+
+  it('should read the ids back and reject others', () => {
+    expect(parseCandidateId('PER#EMP-1~PER#EMP-2')).toEqual(['PER#EMP-1', 'PER#EMP-2']);
+    expect(parseCandidateId('PER#EMP-1')).toBeNull();
+    expect(parseCandidateId('PER#EMP-1~PER#EMP-1')).toBeNull();
+    expect(parseCandidateId('a~b~c')).toBeNull();
+  });
+});
+
+describe('scoreEmployeePair', () => {
+  it('should score nicknames of the same surname highly', () => {
+    const breakdown = scoreEmployeePair(WILLIAM, BILL);
+
+    expect(breakdown.total).toBe(96);
+    expect(breakdown.parts[0]).toEqual(expect.objectContaining({ method: 'nickname' }));
+  });
+
+  it('should boost a first name alone when both were last seen on the same project', () => {
+    expect(scoreEmployeePair(BRIAN, BRYAN)).toEqual(expect.objectContaining({ partialName: true, projectBoost: 10, total: 84.8 }));
+    expect(scoreEmployeePair(BRIAN, { ...BRYAN, lastSeenProjectId: 'proj_002' }).total).toBe(74.8);
+  });
+
+  it('should also compare known aliases', () => {
+    const maria = { ...MARIA, knownAliases: ['Maria Santos', 'Mari'] };
+    expect(scoreEmployeePair(maria, employee('PER#EMP-6', 'Mari')).total).toBe(100);
+  });
+});
+
+describe('suggestPrimary', () => {
+  it('should keep the login account, then the fuller profile, then the older record', () => {
+    expect(suggestPrimary(BILL, WILLIAM).personId).toBe('PER#EMP-1');
+    expect(suggestPrimary(BILL, { ...WILLIAM, username: undefined }).personId).toBe('PER#EMP-1');
+    expect(suggestPrimary(BILL, { ...BILL, personId: 'PER#EMP-9', createdAt: '2024-01-01T00:00:00.000Z' }).personId).toBe('PER#EMP-9');
+  });
+});
+
+describe('findDuplicateCandidates', () => {
+  it('should keep pairs above the threshold, best first, with the reason', () => {
+    const candidates = findDuplicateCandidates([BILL, BRYAN, MARIA, WILLIAM, BRIAN]);
+
+    expect(candidates.map(c => c.candidateId)).toEqual(['PER#EMP-1~PER#EMP-2', 'PER#EMP-3~PER#EMP-4']);
+    expect(candidates[0]).toEqual(expect.objectContaining({
+      people: [
+        { personId: 'PER#EMP-1', fullName: 'William Ortiz', employeeNumber: 'EMP-1' },
+        { personId: 'PER#EMP-2', fullName: 'Bill Ortiz', employeeNumber: 'EMP-2' }
+      ],
+      suggestedPrimaryId: 'PER#EMP-1',
+      score: 96,
+      reason: 'William ~ Bill (nickname, 92); Ortiz ~ Ortiz (same name, 100) → 96'
+    }));
+  });
+
+  it('should honour a custom threshold', () => {
+    expect(findDuplicateCandidates([BILL, WILLIAM, BRIAN, BRYAN], 90)).toHaveLength(1);
+  });
+});
+
+describe('mergeCandidateQueryParams', () => {
+  it('should query a status newest first', () => {
+    const params = mergeCandidateQueryParams('dismissed');
+
+    expect(params).toEqual(expect.objectContaining({
+      TableName: 'sitelogix-merge-candidates',
+      IndexName: 'GSI1-StatusIndex',
+      KeyConditionExpression: 'candidate_status = :status',
+      ScanIndexForward: false
+    }));
+    expect(unmarshall(params.ExpressionAttributeValues)).toEqual({ ':status': 'dismissed' });
+  });
+});
+
+describe('MergeCandidates', () => {
+  let client;
+  let candidates;
+
+  beforeEach(() => {
+    client = localClient(new LocalDynamoDB({ definitions: loadTableDefinitions() }));
+    candidates = new MergeCandidates(client);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should store the open candidates a sweep finds', async () => {
+    const result = await candidates.sweep([WILLIAM, BILL, BRIAN, BRYAN, MARIA]);
+
+    expect(result).toEqual({ employees: 5, pairsScored: 10, queued: 2, cleared: 0, skipped: 0 });
+    const stored = await candidates.get('PER#EMP-1~PER#EMP-2');
+    expect(stored).toEqual(expect.objectContaining({ status: 'open', score: 96, suggestedPrimaryId: 'PER#EMP-1' }));
+  });
+
+  it('should leave out profiles personnelService did not write', async () => {
+    const legacy = { PK: 'PERSON#550e8400', SK: 'PROFILE', full_name: 'Bill Ortiz', employment_status: 'active' };
+    const result = await candidates.sweep([WILLIAM, legacy]);
+
+    expect(result).toEqual(expect.objectContaining({ employees: 1, queued: 0 }));
+  });
+
+  it('should clear open candidates the next sweep no longer finds', async () => {
+    await candidates.sweep([WILLIAM, BILL, BRIAN, BRYAN]);
+    const result = await candidates.sweep([WILLIAM, BILL]);
+
+    expect(result).toEqual(expect.objectContaining({ queued: 1, cleared: 1 }));
+    expect(await candidates.get('PER#EMP-3~PER#EMP-4')).toBeNull();
+  });
+
+  it('should remember a dismissal across sweeps', async () => {
+    await candidates.sweep([WILLIAM, BILL]);
+    const dismissed = await candidates.resolve('PER#EMP-1~PER#EMP-2', 'dismissed', { resolvedBy: 'David Chen', note: 'Father and son' });
+    const result = await candidates.sweep([WILLIAM, BILL]);
+
+    expect(dismissed).toEqual(expect.objectContaining({ status: 'dismissed', resolvedBy: 'David Chen', note: 'Father and son' }));
+    expect(result).toEqual(expect.objectContaining({ queued: 0, skipped: 1 }));
+    expect((await candidates.get('PER#EMP-1~PER#EMP-2')).status).toBe('dismissed');
+  });
+
+  it('should record which employee a merged pair was kept as', async () => {
+    await candidates.sweep([WILLIAM, BILL]);
+    const merged = await candidates.resolve('PER#EMP-1~PER#EMP-2', 'merged', {
+      resolvedBy: 'David Chen',
+      mergedIntoId: 'PER#EMP-1',
+      mergeId: 'merge_1'
+    });
+
+    expect(merged).toEqual(expect.objectContaining({ status: 'merged', mergedIntoId: 'PER#EMP-1', mergeId: 'merge_1' }));
+  });
+
+  it('should reopen a merged pair once the merge is undone', async () => {
+    await candidates.sweep([WILLIAM, BILL]);
+    await candidates.resolve('PER#EMP-1~PER#EMP-2', 'merged', { resolvedBy: 'David Chen', mergedIntoId: 'PER#EMP-1', mergeId: 'merge_1' });
+
+    expect(await candidates.reopen('PER#EMP-1~PER#EMP-2')).toEqual(expect.objectContaining({
+      status: 'open',
+      mergedIntoId: null,
+      mergeId: null,
+      resolvedBy: null
+    }));
+    expect(await candidates.reopen('PER#EMP-1~PER#EMP-2')).toBeNull();
+  });
+
+  it('should return null when resolving a pair that is not open', async () => {
+    await candidates.sweep([WILLIAM, BILL]);
+    await candidates.resolve('PER#EMP-1~PER#EMP-2', 'dismissed', { resolvedBy: 'David Chen' });
+
+    expect(await candidates.resolve('PER#EMP-1~PER#EMP-2', 'merged', { resolvedBy: 'David Chen' })).toBeNull();
+    expect(await candidates.resolve('PER#EMP-7~PER#EMP-8', 'dismissed', { resolvedBy: 'David Chen' })).toBeNull();
+    expect(await candidates.resolve('not-a-pair', 'dismissed', { resolvedBy: 'David Chen' })).toBeNull();
+  });
+});
@@ -0,0 +1,398 @@
+/**
+ * Personnel Duplicate Sweep
+ *
+ * Crew names from voice reports auto-create employees when they don't match
+ * (personnelService layers 5-6), so the same person can end up on file twice
+ * ("Bill Ortiz" and "William Ortiz"). The sweep scores every pair of active
+ * employees with the same name scoring matchOrCreateEmployee uses (see
+ * nameMatching) and keeps the pairs scoring at least MATCH_THRESHOLD as merge
+ * candidates for an admin to merge or dismiss.
+ *
+ * Candidates live in sitelogix-merge-candidates (PK PAIR#{personId}~{personId},
+ * person ids sorted, SK CANDIDATE); GSI1-StatusIndex (candidate_status,
+ * detected_at) serves each status newest first. Each sweep replaces the open
+ * candidates, while pairs already merged or dismissed as "not a duplicate"
+ * are never raised again.
+ *
+ * The sweep runs when the API Lambda is invoked with source
+ * PERSONNEL_DUPLICATE_SWEEP_SOURCE (a daily schedule) or on demand.
+ */
+
+import {
+  DeleteItemCommand,
+  DynamoDBClient,
+  GetItemCommand,
+  PutItemCommand,
+  QueryCommandInput,
+  ScanCommand,
+  UpdateItemCommand
+} from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { MATCH_THRESHOLD, ScoreBreakdown, explainScore, scoreName } from './nameMatching';
+import type { Employee } from './personnelService';
+
+export const MERGE_CANDIDATES_TABLE = 'sitelogix-merge-candidates';
+export const MERGE_STATUS_INDEX = 'GSI1-StatusIndex';
+
+// Marks a Lambda event as the scheduled duplicate sweep
+export const PERSONNEL_DUPLICATE_SWEEP_SOURCE = 'sitelogix.personnel-duplicate-sweep';
+
+export const MERGE_CANDIDATE_STATUSES = ['open', 'merged', 'dismissed'] as const;
+export type MergeCandidateStatus = typeof MERGE_CANDIDATE_STATUSES[number];
+
+export interface MergeCandidatePerson {
+  personId: string;
+  fullName: string;
+  employeeNumber: string | null;
+}
+
+export interface NewMergeCandidate {
+  candidateId: string;
+  people: [MergeCandidatePerson, MergeCandidatePerson];
+  suggestedPrimaryId: string;
+  score: number;
+  reason: string;
+  scoreBreakdown: ScoreBreakdown;
+}
+
+export interface MergeCandidate extends NewMergeCandidate {
+  status: MergeCandidateStatus;
+  detectedAt: string;
+  resolvedAt: string | null;
+  resolvedBy: string | null;
+  mergedIntoId: string | null;
+  mergeId: string | null;
+  note: string | null;
+}
+
+export interface SweepResult {
+  employees: number;
+  pairsScored: number;
+  queued: number;
+  cleared: number;
+  skipped: number;
+}
+
+// candidateId is "{personId}~{personId}"; person ids never contain "~"
+const ID_SEPARATOR = '~';
+const SORT_KEY = 'CANDIDATE';
+
+/**
+ * Candidate id for a pair, the same whichever order the ids come in
+ */
+export function candidateId(personId1: string, personId2: string): string {
+  return [personId1, personId2].sort().join(ID_SEPARATOR);
+}
+
+/**
+ * The two person ids in a candidate id, or null when it is not one we issued
+ */
+export function parseCandidateId(id: string): [string, string] | null {
+  const [first, second, ...rest] = String(id).split(ID_SEPARATOR);
+  if (!first || !second || rest.length > 0 || first === second) return null;
+  return [first, second];
+}
+
+function candidateKey(id: string): { PK: string; SK: string } {
+  return { PK: `PAIR#${id}`, SK: SORT_KEY };
+}
+
+/**
+ * Every name an employee is known by
+ */
+export function employeeNames(employee: Employee): string[] {
+  const names = [employee.fullName, employee.preferredName, ...(employee.knownAliases || [])];
+  return [...new Set(names.filter((name): name is string => Boolean(name && name.trim())))];
+}
+
+/**
+ * Best score for any name of one employee against any name of the other,
+ * boosted when both were last seen on the same project
+ *
+ * The shorter name of each comparison is scored as the one said, so a first
+ * name on file alone gets the partial-name discount whichever side it is on.
+ */
+export function scoreEmployeePair(first: Employee, second: Employee): ScoreBreakdown | null {
+  const onProject = Boolean(first.lastSeenProjectId) && first.lastSeenProjectId === second.lastSeenProjectId;
+  const wordCount = (name: string) => name.trim().split(/\s+/).length;
+  let best: ScoreBreakdown | null = null;
+
+  for (const firstName of employeeNames(first)) {
+    for (const secondName of employeeNames(second)) {
+      const [spoken, known] = wordCount(firstName) <= wordCount(secondName)
+        ? [firstName, secondName]
+        : [secondName, firstName];
+      const breakdown = scoreName(spoken, [known], { onProject });
+      if (!best || breakdown.total > best.total) best = breakdown;
+    }
+  }
+
+  return best;
+}
+
+function profileGaps(employee: Employee): number {
+  return ['email', 'phone', 'hireDate', 'hourlyRate', 'jobTitle']
+    .filter(field => !(employee as any)[field]).length;
+}
+
+/**
+ * The employee to keep: a login account first, then the more complete
+ * profile, then whoever was on file first
+ */
+export function suggestPrimary(first: Employee, second: Employee): Employee {
+  const rank = (employee: Employee) => [
+    employee.username ? 0 : 1,
+    profileGaps(employee),
+    employee.createdAt || employee.firstMentionedDate || '9999'
+  ];
+  const [a, b] = [rank(first), rank(second)];
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return first;
+    if (a[i] > b[i]) return second;
+  }
+  return first.personId <= second.personId ? first : second;
+}
+
+function person(employee: Employee): MergeCandidatePerson {
+  return {
+    personId: employee.personId,
+    fullName: employee.fullName,
+    employeeNumber: employee.employeeNumber || null
+  };
+}
+
+/**
+ * Score every pair of employees, keeping those at or above the threshold,
+ * best first
+ */
+export function findDuplicateCandidates(
+  employees: Employee[],
+  threshold: number = MATCH_THRESHOLD
+): NewMergeCandidate[] {
+  const candidates: NewMergeCandidate[] = [];
+
+  for (let i = 0; i < employees.length; i++) {
+    for (let j = i + 1; j < employees.length; j++) {
+      const [first, second] = [employees[i], employees[j]].sort((a, b) => a.personId.localeCompare(b.personId));
+      if (first.personId === second.personId) continue;
+
+      const breakdown = scoreEmployeePair(first, second);
+      if (!breakdown || breakdown.total < threshold) continue;
+
+      candidates.push({
+        candidateId: candidateId(first.personId, second.personId),
+        people: [person(first), person(second)],
+        suggestedPrimaryId: suggestPrimary(first, second).personId,
+        score: breakdown.total,
+        reason: explainScore(breakdown),
+        scoreBreakdown: breakdown
+      });
+    }
+  }
+
+  return candidates.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Public view of a stored candidate
+ */
+export function formatMergeCandidate(record: any): MergeCandidate {
+  return {
+    candidateId: record.candidate_id,
+    people: record.people,
+    suggestedPrimaryId: record.suggested_primary_id,
+    score: record.score,
+    reason: record.reason,
+    scoreBreakdown: record.score_breakdown,
+    status: record.candidate_status,
+    detectedAt: record.detected_at,
+    resolvedAt: record.resolved_at || null,
+    resolvedBy: record.resolved_by || null,
+    mergedIntoId: record.merged_into_id || null,
+    mergeId: record.merge_id || null,
+    note: record.resolution_note || null
+  };
+}
+
+/**
+ * Query input for candidates with a status, newest first
+ */
+export function mergeCandidateQueryParams(status: MergeCandidateStatus = 'open'): QueryCommandInput {
+  return {
+    TableName: MERGE_CANDIDATES_TABLE,
+    IndexName: MERGE_STATUS_INDEX,
+    KeyConditionExpression: 'candidate_status = :status',
+    ExpressionAttributeValues: marshall({ ':status': status }),
+    ScanIndexForward: false
+  };
+}
+
+export class MergeCandidates {
+  constructor(private client: DynamoDBClient, private tableName: string = MERGE_CANDIDATES_TABLE) {}
+
+  /**
+   * Every stored candidate, whatever its status
+   */
+  async all(): Promise<any[]> {
+    const records: any[] = [];
+    let startKey: Record<string, any> | undefined;
+
+    do {
+      const result = await this.client.send(new ScanCommand({
+        TableName: this.tableName,
+        ExclusiveStartKey: startKey
+      }));
+      records.push(...(result.Items || []).map(item => unmarshall(item)));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+
+    return records;
+  }
+
+  /**
+   * One candidate; null when there is no such candidate
+   */
+  async get(id: string): Promise<MergeCandidate | null> {
+    if (!parseCandidateId(id)) return null;
+
+    const result = await this.client.send(new GetItemCommand({
+      TableName: this.tableName,
+      Key: marshall(candidateKey(id)),
+      ConsistentRead: true
+    }));
+    return result.Item ? formatMergeCandidate(unmarshall(result.Item)) : null;
+  }
+
+  /**
+   * Score the employees and replace the open candidates with the result
+   *
+   * Open candidates no longer raised are removed; pairs already merged or
+   * dismissed are skipped. Older snake_case profiles (PERSON#… records)
+   * are left out, since personnelService can't merge them.
+   */
+  async sweep(records: Employee[], threshold: number = MATCH_THRESHOLD): Promise<SweepResult> {
+    const employees = records.filter(employee => employee.personId && employee.fullName);
+    console.log(`🔍 Sweeping ${employees.length} employees for duplicates`);
+
+    const candidates = findDuplicateCandidates(employees, threshold);
+    const existing = new Map((await this.all()).map(record => [record.candidate_id, record]));
+    const wanted = new Set(candidates.map(candidate => candidate.candidateId));
+    let cleared = 0;
+    let queued = 0;
+    let skipped = 0;
+
+    for (const record of existing.values()) {
+      if (record.candidate_status === 'open' && !wanted.has(record.candidate_id)) {
+        await this.client.send(new DeleteItemCommand({
+          TableName: this.tableName,
+          Key: marshall({ PK: record.PK, SK: record.SK })
+        }));
+        cleared++;
+      }
+    }
+
+    const now = new Date().toISOString();
+    for (const candidate of candidates) {
+      const previous = existing.get(candidate.candidateId);
+      if (previous && previous.candidate_status !== 'open') {
+        skipped++;
+        continue;
+      }
+
+      await this.client.send(new PutItemCommand({
+        TableName: this.tableName,
+        Item: marshall({
+          ...candidateKey(candidate.candidateId),
+          candidate_id: candidate.candidateId,
+          person_ids: candidate.people.map(p => p.personId),
+          people: candidate.people,
+          suggested_primary_id: candidate.suggestedPrimaryId,
+          score: candidate.score,
+          reason: candidate.reason,
+          score_breakdown: candidate.scoreBreakdown,
+          candidate_status: 'open',
+          detected_at: previous?.detected_at || now,
+          updated_at: now
+        }, { removeUndefinedValues: true })
+      }));
+      queued++;
+    }
+
+    console.log(`✅ Duplicate sweep: ${queued} open candidates, ${cleared} cleared, ${skipped} already handled`);
+    return {
+      employees: employees.length,
+      pairsScored: (employees.length * (employees.length - 1)) / 2,
+      queued,
+      cleared,
+      skipped
+    };
+  }
+
+  /**
+   * Close an open candidate as merged (with the personnelMerge id) or
+   * dismissed; null when there is no open candidate with that id
+   */
+  async resolve(
+    id: string,
+    status: Exclude<MergeCandidateStatus, 'open'>,
+    { resolvedBy, note, mergedIntoId, mergeId }: {
+      resolvedBy: string;
+      note?: string | null;
+      mergedIntoId?: string | null;
+      mergeId?: string | null;
+    }
+  ): Promise<MergeCandidate | null> {
+    if (!parseCandidateId(id)) return null;
+
+    try {
+      const result = await this.client.send(new UpdateItemCommand({
+        TableName: this.tableName,
+        Key: marshall(candidateKey(id)),
+        UpdateExpression: 'SET candidate_status = :status, resolved_at = :now, resolved_by = :by, resolution_note = :note, merged_into_id = :mergedInto, merge_id = :mergeId, updated_at = :now',
+        ConditionExpression: 'candidate_status = :open',
+        ExpressionAttributeValues: marshall({
+          ':status': status,
+          ':open': 'open',
+          ':now': new Date().toISOString(),
+          ':by': resolvedBy,
+          ':note': note || null,
+          ':mergedInto': mergedIntoId || null,
+          ':mergeId': mergeId || null
+        }),
+        ReturnValues: 'ALL_NEW'
+      }));
+      return formatMergeCandidate(unmarshall(result.Attributes || {}));
+    } catch (error: any) {
+      if (error?.name === 'ConditionalCheckFailedException') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Open a merged candidate again once its merge has been undone, so the
+   * pair can be merged the other way or dismissed; null when the candidate
+   * is not merged
+   */
+  async reopen(id: string): Promise<MergeCandidate | null> {
+    if (!parseCandidateId(id)) return null;
+
+    try {
+      const result = await this.client.send(new UpdateItemCommand({
+        TableName: this.tableName,
+        Key: marshall(candidateKey(id)),
+        UpdateExpression: 'SET candidate_status = :open, updated_at = :now REMOVE resolved_at, resolved_by, resolution_note, merged_into_id, merge_id',
+        ConditionExpression: 'candidate_status = :merged',
+        ExpressionAttributeValues: marshall({
+          ':open': 'open',
+          ':merged': 'merged',
+          ':now': new Date().toISOString()
+        }),
+        ReturnValues: 'ALL_NEW'
+      }));
+      return formatMergeCandidate(unmarshall(result.Attributes || {}));
+    } catch (error: any) {
+      if (error?.name === 'ConditionalCheckFailedException') return null;
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,300 @@
+/**
+ * Personnel Merge Tests
+ *
+ * Re-pointing payroll entries, time entries and report references from a
+ * duplicate employee to the one kept, the audit record, undoing a failed
+ * merge, and unmerging, against the local DynamoDB stand-in so the merge's
+ * conditions, employee indexes and transactions behave as they do in AWS.
+ */
+
+const { PutItemCommand, GetItemCommand, ScanCommand, TransactWriteItemsCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { LocalDynamoDB, DynamoDBError, localClient } = require('../local/dynamodb');
+const { loadTableDefinitions } = require('../local/seed');
+const {
+  EmployeeMerges,
+  PersonnelMergeConflictError,
+  batchGroups,
+  mergeIdMap,
+  planProfileMerge,
+  reportReferencePaths,
+  repointReport
+} = require('./personnelMerge');
+
+const PERSONNEL = 'sitelogix-personnel';
+const PAYROLL = 'sitelogix-payroll-entries';
+const TIME_ENTRIES = 'sitelogix-time-entries';
+const REPORTS = 'sitelogix-reports';
+const MERGES = 'sitelogix-personnel-merges';
+
+const WILLIAM = {
+  personId: 'PER#EMP-1',
+  employeeNumber: 'EMP-1',
+  fullName: 'William Ortiz',
+  knownAliases: ['William Ortiz'],
+  email: 'wortiz@example.com',
+  employmentStatus: 'active'
+};
+const BILL = {
+  personId: 'PER#EMP-2',
+  employeeNumber: 'EMP-2',
+  fullName: 'Bill Ortiz',
+  knownAliases: ['Bill Ortiz', 'Billy'],
+  email: 'bill@example.com',
+  phone: '555-0102',
+  hourlyRate: 42,
+  employmentStatus: 'active'
+};
+
+// The time entries table isn't defined in infrastructure/; index it the way merges query it
+const DEFINITIONS = [...loadTableDefinitions(), {
+  TableName: TIME_ENTRIES,
+  GlobalSecondaryIndexes: [{ IndexName: 'GSI1-EmployeeIndex', KeySchema: [{ AttributeName: 'employee_id', KeyType: 'HASH' }] }]
+}];
+
+const aliasRecord = alias => ({ SK: `ALIAS#${alias.toLowerCase().replace(/\s+/g, '_')}`, alias });
+
+function payrollEntry(reportId, employee, timestamp) {
+  return {
+    PK: reportId,
+    SK: `${employee.personId}#${timestamp}`,
+    report_id: reportId,
+    employee_id: employee.personId,
+    employee_number: employee.employeeNumber,
+    employee_name: employee.fullName,
+    report_date: '2026-10-01',
+    regular_hours: 8
+  };
+}
+
+function put(client, tableName, item) {
+  return client.send(new PutItemCommand({ TableName: tableName, Item: marshall(item, { removeUndefinedValues: true }) }));
+}
+
+async function item(client, tableName, PK, SK) {
+  const result = await client.send(new GetItemCommand({ TableName: tableName, Key: marshall({ PK, SK }) }));
+  return result.Item ? unmarshall(result.Item) : null;
+}
+
+async function items(client, tableName) {
+  const result = await client.send(new ScanCommand({ TableName: tableName }));
+  return result.Items.map(record => unmarshall(record));
+}
+
+async function seed(client) {
+  for (const employee of [WILLIAM, BILL]) {
+    await put(client, PERSONNEL, { PK: employee.personId, SK: 'PROFILE', ...employee });
+  }
+  await put(client, PAYROLL, payrollEntry('RPT-1', BILL, 1759300000000));
+  await put(client, PAYROLL, payrollEntry('RPT-1', WILLIAM, 1759300000001));
+  await put(client, TIME_ENTRIES, { PK: 'TIME_ENTRY#t1', SK: 'METADATA', employee_id: 'EMP-2', hours: 8 });
+  await put(client, REPORTS, {
+    PK: 'REPORT#RPT-1',
+    SK: 'METADATA',
+    report_id: 'RPT-1',
+    reporter_personnel_id: 'PER#EMP-2',
+    extracted_data: JSON.stringify({ additional_personnel: [{ name: 'Bill', personnel_id: 'PER#EMP-2' }] })
+  });
+  await put(client, REPORTS, {
+    PK: 'REPORT#RPT-2',
+    SK: 'METADATA',
+    report_id: 'RPT-2',
+    extracted_data: { personnel: [{ fullName: 'Maria Santos', personId: 'PER#EMP-5' }] }
+  });
+}
+
+describe('mergeIdMap', () => {
+  it('should map the person id and the bare employee number', () => {
+    expect([...mergeIdMap(WILLIAM, BILL)]).toEqual([['PER#EMP-2', 'PER#EMP-1'], ['EMP-2', 'EMP-1']]);
+  });
+});
+
+describe('planProfileMerge', () => {
+  it('should add every alias and fill only the fields the primary left blank', () => {
+    expect(planProfileMerge(WILLIAM, BILL)).toEqual({
+      knownAliases: ['William Ortiz', 'Bill Ortiz', 'Billy'],
+      addedAliases: ['Bill Ortiz', 'Billy'],
+      filled: { phone: '555-0102', hourlyRate: 42 }
+    });
+  });
+});
+
+describe('reportReferencePaths and repointReport', () => {
+  const idMap = new Map([['PER#EMP-2', 'PER#EMP-1']]);
+  const report = {
+    reporter_personnel_id: 'PER#EMP-2',
+    extracted_data: JSON.stringify({
+      additional_personnel: [{ personnel_id: 'PER#EMP-9' }, { personnel_id: 'PER#EMP-2' }]
+    })
+  };
+
+  it('should find the reporter and personnel list entries', () => {
+    expect(reportReferencePaths(report, idMap)).toEqual([
+      'reporter_personnel_id',
+      'extracted_data.additional_personnel.1.personnel_id'
+    ]);
+  });
+
+  it('should re-point only those paths and keep extracted_data a JSON string', () => {
+    const result = repointReport(report, reportReferencePaths(report, idMap), idMap);
+
+    expect(result.reporterPersonnelId).toBe('PER#EMP-1');
+    expect(JSON.parse(result.extractedData).additional_personnel.map(p => p.personnel_id)).toEqual(['PER#EMP-9', 'PER#EMP-1']);
+    expect(result.changed).toHaveLength(2);
+  });
+});
+
+describe('batchGroups', () => {
+  it('should keep each group in one transaction, in order', () => {
+    const groups = [{ apply: [1, 2] }, { apply: [3] }, { apply: [4, 5] }, { apply: [6] }];
+
+    expect(batchGroups(groups, 3).map(batch => batch.flatMap(group => group.apply))).toEqual([[1, 2, 3], [4, 5, 6]]);
+  });
+});
+
+describe('EmployeeMerges', () => {
+  let client;
+  let merges;
+
+  const get = (tableName, PK, SK) => item(client, tableName, PK, SK);
+  const transactions = () => client.send.mock.calls.filter(([command]) => command instanceof TransactWriteItemsCommand).length;
+
+  async function addPayrollEntries(count) {
+    for (let i = 0; i < count; i++) await put(client, PAYROLL, payrollEntry(`RPT-${100 + i}`, BILL, 1759300000000));
+  }
+
+  beforeEach(async () => {
+    client = localClient(new LocalDynamoDB({ definitions: DEFINITIONS }));
+    merges = new EmployeeMerges(client);
+    await seed(client);
+    jest.spyOn(client, 'send');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should re-point payroll entries, time entries and reports in one transaction', async () => {
+    const merge = await merges.merge(WILLIAM, BILL, { mergedBy: 'David Chen', candidateId: 'PER#EMP-1~PER#EMP-2', aliasRecord });
+
+    expect(transactions()).toBe(1);
+    expect(merge).toEqual(expect.objectContaining({
+      status: 'merged',
+      primaryId: 'PER#EMP-1',
+      duplicateId: 'PER#EMP-2',
+      candidateId: 'PER#EMP-1~PER#EMP-2',
+      addedAliases: ['Bill Ortiz', 'Billy'],
+      filledFields: ['phone', 'hourlyRate'],
+      repointed: { payrollEntries: 1, timeEntries: 1, reports: 1 }
+    }));
+
+    expect(await get(PAYROLL, 'RPT-1', 'PER#EMP-2#1759300000000')).toBeNull();
+    expect(await get(PAYROLL, 'RPT-1', 'PER#EMP-1#1759300000000')).toEqual(expect.objectContaining({
+      employee_id: 'PER#EMP-1',
+      employee_number: 'EMP-1',
+      employee_name: 'William Ortiz',
+      regular_hours: 8
+    }));
+    expect((await get(TIME_ENTRIES, 'TIME_ENTRY#t1', 'METADATA')).employee_id).toBe('EMP-1');
+
+    const report = await get(REPORTS, 'REPORT#RPT-1', 'METADATA');
+    expect(report.reporter_personnel_id).toBe('PER#EMP-1');
+    expect(JSON.parse(report.extracted_data).additional_personnel[0].personnel_id).toBe('PER#EMP-1');
+
+    expect(await get(PERSONNEL, 'PER#EMP-1', 'PROFILE')).toEqual(expect.objectContaining({
+      knownAliases: ['William Ortiz', 'Bill Ortiz', 'Billy'],
+      email: 'wortiz@example.com',
+      phone: '555-0102'
+    }));
+    expect(await get(PERSONNEL, 'PER#EMP-2', 'PROFILE')).toEqual(expect.objectContaining({
+      employmentStatus: 'terminated',
+      mergedIntoId: 'PER#EMP-1',
+      mergeId: merge.mergeId
+    }));
+    expect(await get(PERSONNEL, 'PER#EMP-1', 'ALIAS#billy')).toEqual(expect.objectContaining({ alias: 'Billy' }));
+    expect((await merges.get(merge.mergeId)).status).toBe('merged');
+  });
+
+  it('should split large merges into transactions of 100 items', async () => {
+    await addPayrollEntries(120);
+
+    const merge = await merges.merge(WILLIAM, BILL, { mergedBy: 'David Chen', aliasRecord });
+
+    expect(transactions()).toBe(3);
+    expect(merge.repointed.payrollEntries).toBe(121);
+    expect((await items(client, PAYROLL)).filter(entry => entry.employee_id === 'PER#EMP-2')).toHaveLength(0);
+  });
+
+  it('should undo the batches written when a later one fails', async () => {
+    await addPayrollEntries(120);
+    const send = client.send.getMockImplementation();
+    let attempt = 0;
+    client.send.mockImplementation(async (command) => {
+      if (command instanceof TransactWriteItemsCommand && ++attempt === 2) {
+        throw new DynamoDBError('TransactionCanceledException', 'Transaction cancelled');
+      }
+      return send(command);
+    });
+
+    await expect(merges.merge(WILLIAM, BILL, { mergedBy: 'David Chen', aliasRecord }))
+      .rejects.toThrow(PersonnelMergeConflictError);
+
+    expect((await items(client, PAYROLL)).filter(entry => entry.employee_id === 'PER#EMP-2')).toHaveLength(121);
+    expect((await get(PERSONNEL, 'PER#EMP-2', 'PROFILE')).employmentStatus).toBe('active');
+    const [audit] = await items(client, MERGES);
+    expect(audit).toEqual(expect.objectContaining({ merge_status: 'failed' }));
+  });
+
+  it('should not merge a duplicate that was already merged', async () => {
+    await merges.merge(WILLIAM, BILL, { mergedBy: 'David Chen', aliasRecord });
+
+    await expect(merges.merge(WILLIAM, BILL, { mergedBy: 'David Chen', aliasRecord }))
+      .rejects.toThrow(PersonnelMergeConflictError);
+  });
+
+  it('should put everything back on unmerge', async () => {
+    const merge = await merges.merge(WILLIAM, BILL, { mergedBy: 'David Chen', aliasRecord });
+    const unmerged = await merges.unmerge(merge.mergeId, { unmergedBy: 'David Chen', note: 'Father and son' });
+
+    expect(unmerged).toEqual(expect.objectContaining({ status: 'unmerged', unmergedBy: 'David Chen', unmergeSkipped: 0 }));
+    expect(await get(PAYROLL, 'RPT-1', 'PER#EMP-1#1759300000000')).toBeNull();
+    expect(await get(PAYROLL, 'RPT-1', 'PER#EMP-2#1759300000000')).toEqual(expect.objectContaining({
+      employee_id: 'PER#EMP-2',
+      employee_number: 'EMP-2',
+      employee_name: 'Bill Ortiz'
+    }));
+    expect((await get(PAYROLL, 'RPT-1', 'PER#EMP-1#1759300000001')).employee_id).toBe('PER#EMP-1');
+    expect((await get(TIME_ENTRIES, 'TIME_ENTRY#t1', 'METADATA')).employee_id).toBe('EMP-2');
+    expect((await get(REPORTS, 'REPORT#RPT-1', 'METADATA')).reporter_personnel_id).toBe('PER#EMP-2');
+
+    const primary = await get(PERSONNEL, 'PER#EMP-1', 'PROFILE');
+    expect(primary.knownAliases).toEqual(['William Ortiz']);
+    expect(primary.phone).toBeUndefined();
+    const duplicate = await get(PERSONNEL, 'PER#EMP-2', 'PROFILE');
+    expect(duplicate.employmentStatus).toBe('active');
+    expect(duplicate.mergedIntoId).toBeUndefined();
+    expect(await get(PERSONNEL, 'PER#EMP-1', 'ALIAS#billy')).toBeNull();
+  });
+
+  it('should leave records changed since the merge alone on unmerge', async () => {
+    const merge = await merges.merge(WILLIAM, BILL, { mergedBy: 'David Chen', aliasRecord });
+    await put(client, TIME_ENTRIES, { ...(await get(TIME_ENTRIES, 'TIME_ENTRY#t1', 'METADATA')), employee_id: 'EMP-7' });
+    await put(client, PERSONNEL, { ...(await get(PERSONNEL, 'PER#EMP-1', 'PROFILE')), phone: '555-0199' });
+
+    const unmerged = await merges.unmerge(merge.mergeId, { unmergedBy: 'David Chen' });
+
+    expect(unmerged.unmergeSkipped).toBe(1);
+    expect((await get(TIME_ENTRIES, 'TIME_ENTRY#t1', 'METADATA')).employee_id).toBe('EMP-7');
+    expect((await get(PERSONNEL, 'PER#EMP-1', 'PROFILE')).phone).toBe('555-0199');
+  });
+
+  it('should return null when the merge is missing or already undone', async () => {
+    const merge = await merges.merge(WILLIAM, BILL, { mergedBy: 'David Chen', aliasRecord });
+    await merges.unmerge(merge.mergeId, { unmergedBy: 'David Chen' });
+
+    expect(await merges.unmerge(merge.mergeId, { unmergedBy: 'David Chen' })).toBeNull();
+    expect(await merges.unmerge('merge_missing', { unmergedBy: 'David Chen' })).toBeNull();
+  });
+});
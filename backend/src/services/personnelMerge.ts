@@ -0,0 +1,838 @@
+/**
+ * Personnel Merge
+ *
+ * Merging a duplicate employee into the one kept moves everything that
+ * references the duplicate over to the primary, so timesheets stop splitting
+ * in two:
+ * - payroll entries (sitelogix-payroll-entries, found through
+ *   GSI1-EmployeeDateIndex). Their sort key starts with the employee id, so
+ *   each one is deleted and put back under the primary's key
+ * - time entries (sitelogix-time-entries, GSI1-EmployeeIndex)
+ * - reports naming the duplicate as reporter or in their extracted personnel
+ *   lists (reports have no personnel index, so they are scanned)
+ *
+ * References hold either the person id (PER#EMP-…) or the bare employee
+ * number; each is swapped for the primary's id of the same form.
+ *
+ * Everything is written with TransactWriteItems, MAX_TRANSACTION_ITEMS at a
+ * time. The profile changes (aliases and blank fields copied onto the
+ * primary, the duplicate terminated) commit with the last batch, and if a
+ * batch fails the batches already written are undone. The audit record in
+ * sitelogix-personnel-merges (MERGE#{mergeId} / AUDIT) lists every record
+ * that was re-pointed; unmerge reverses exactly those.
+ */
+
+import {
+  DynamoDBClient,
+  GetItemCommand,
+  PutItemCommand,
+  QueryCommand,
+  ScanCommand,
+  TransactWriteItem,
+  TransactWriteItemsCommand,
+  UpdateItemCommand
+} from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { v4 as uuidv4 } from 'uuid';
+import type { Employee } from './personnelService';
+
+export const PERSONNEL_MERGES_TABLE = 'sitelogix-personnel-merges';
+
+// DynamoDB's limit on the items in one TransactWriteItems call
+export const MAX_TRANSACTION_ITEMS = 100;
+
+export const PERSONNEL_MERGE_STATUSES = ['merging', 'merged', 'failed', 'unmerged'] as const;
+export type PersonnelMergeStatus = typeof PERSONNEL_MERGE_STATUSES[number];
+
+export interface MergeTables {
+  personnel: string;
+  payrollEntries: string;
+  timeEntries: string;
+  reports: string;
+  merges: string;
+}
+
+export const DEFAULT_MERGE_TABLES: MergeTables = {
+  personnel: process.env.PERSONNEL_TABLE || 'sitelogix-personnel',
+  payrollEntries: 'sitelogix-payroll-entries',
+  timeEntries: 'sitelogix-time-entries',
+  reports: 'sitelogix-reports',
+  merges: PERSONNEL_MERGES_TABLE
+};
+
+// Profile fields the primary takes from the duplicate when its own are blank
+const FILLED_FIELDS = ['email', 'phone', 'hireDate', 'hourlyRate', 'overtimeRate'] as const;
+
+// Where reports keep personnel ids inside extracted_data
+const REPORT_PERSONNEL_LISTS = ['additional_personnel', 'personnel'];
+const REPORT_PERSONNEL_ID_FIELDS = ['personnel_id', 'personId', 'employeeId', 'employee_id'];
+
+const SORT_KEY = 'AUDIT';
+
+export interface ProfileMerge {
+  knownAliases: string[];
+  addedAliases: string[];
+  filled: Partial<Pick<Employee, typeof FILLED_FIELDS[number]>>;
+}
+
+export interface MergeOptions {
+  mergedBy: string;
+  note?: string | null;
+  candidateId?: string | null;
+  /** Alias record (sort key and stored alias) personnelService writes for a name */
+  aliasRecord: (alias: string) => { SK: string; alias: string };
+}
+
+export interface PersonnelMerge {
+  mergeId: string;
+  status: PersonnelMergeStatus;
+  primaryId: string;
+  primaryName: string;
+  duplicateId: string;
+  duplicateName: string;
+  candidateId: string | null;
+  addedAliases: string[];
+  filledFields: string[];
+  repointed: { payrollEntries: number; timeEntries: number; reports: number };
+  mergedBy: string;
+  mergedAt: string;
+  note: string | null;
+  unmergedBy: string | null;
+  unmergedAt: string | null;
+  unmergeNote: string | null;
+  // Re-pointed records that had changed again by the time of the unmerge
+  unmergeSkipped: number | null;
+  error: string | null;
+}
+
+export interface PayrollEntryRef {
+  report_id: string;
+  sk: string;
+  previous_sk: string;
+  employee_id: string;
+  employee_number: string | null;
+  employee_name: string | null;
+}
+
+export interface TimeEntryRef {
+  PK: string;
+  SK: string;
+  employee_id: string;
+}
+
+export interface ReportRef {
+  PK: string;
+  SK: string;
+  report_id: string | null;
+  paths: string[];
+}
+
+/**
+ * Thrown when a record changed under a merge or unmerge; nothing is left
+ * half-written
+ */
+export class PersonnelMergeConflictError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'PersonnelMergeConflictError';
+  }
+}
+
+/**
+ * Writes that belong in one transaction, and the writes that take them back
+ */
+export interface WriteGroup {
+  apply: TransactWriteItem[];
+  undo: TransactWriteItem[];
+}
+
+/**
+ * Each form of the duplicate's id mapped to the primary's id of the same form
+ */
+export function mergeIdMap(primary: Employee, duplicate: Employee): Map<string, string> {
+  const map = new Map([[duplicate.personId, primary.personId]]);
+  if (duplicate.employeeNumber && primary.employeeNumber && duplicate.employeeNumber !== duplicate.personId) {
+    map.set(duplicate.employeeNumber, primary.employeeNumber);
+  }
+  return map;
+}
+
+/**
+ * What the primary's profile takes from the duplicate: every alias, and any
+ * field the primary has left blank
+ */
+export function planProfileMerge(primary: Employee, duplicate: Employee): ProfileMerge {
+  const primaryAliases = primary.knownAliases || [];
+  const duplicateAliases = duplicate.knownAliases || [];
+  const filled: Record<string, any> = {};
+
+  for (const field of FILLED_FIELDS) {
+    if (!primary[field] && duplicate[field]) filled[field] = duplicate[field];
+  }
+
+  return {
+    knownAliases: [...new Set([...primaryAliases, ...duplicateAliases])],
+    addedAliases: [...new Set(duplicateAliases.filter(alias => !primaryAliases.includes(alias)))],
+    filled
+  };
+}
+
+function parseExtractedData(value: any): any {
+  if (typeof value !== 'string') return value || null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Paths of the personnel ids in a report that the map re-points, e.g.
+ * "reporter_personnel_id" or "extracted_data.additional_personnel.2.personnel_id"
+ */
+export function reportReferencePaths(report: any, idMap: Map<string, string>): string[] {
+  const paths: string[] = [];
+  if (idMap.has(report.reporter_personnel_id)) paths.push('reporter_personnel_id');
+
+  const data = parseExtractedData(report.extracted_data);
+  for (const list of REPORT_PERSONNEL_LISTS) {
+    const people = Array.isArray(data?.[list]) ? data[list] : [];
+    people.forEach((person: any, index: number) => {
+      for (const field of REPORT_PERSONNEL_ID_FIELDS) {
+        if (idMap.has(person?.[field])) paths.push(`extracted_data.${list}.${index}.${field}`);
+      }
+    });
+  }
+
+  return paths;
+}
+
+/**
+ * The report's reporter_personnel_id and extracted_data with the ids at the
+ * given paths re-pointed (extracted_data keeps its JSON string or map form),
+ * and the paths that changed
+ */
+export function repointReport(
+  report: any,
+  paths: string[],
+  idMap: Map<string, string>
+): { reporterPersonnelId: any; extractedData: any; changed: string[] } {
+  let reporterPersonnelId = report.reporter_personnel_id;
+  const data = parseExtractedData(report.extracted_data);
+  const changed: string[] = [];
+
+  for (const path of paths) {
+    if (path === 'reporter_personnel_id') {
+      if (idMap.has(reporterPersonnelId)) {
+        reporterPersonnelId = idMap.get(reporterPersonnelId);
+        changed.push(path);
+      }
+      continue;
+    }
+
+    const [, list, index, field] = path.split('.');
+    const person = data?.[list]?.[Number(index)];
+    if (person && idMap.has(person[field])) {
+      person[field] = idMap.get(person[field]);
+      changed.push(path);
+    }
+  }
+
+  const extractedData = typeof report.extracted_data === 'string' && data
+    ? JSON.stringify(data)
+    : data ?? report.extracted_data;
+  return { reporterPersonnelId, extractedData, changed };
+}
+
+/**
+ * Split write groups into transactions of at most `max` items, keeping each
+ * group in one transaction and the groups in order
+ */
+export function batchGroups<T extends { apply: unknown[] }>(groups: T[], max: number = MAX_TRANSACTION_ITEMS): T[][] {
+  const batches: T[][] = [];
+  let current: T[] = [];
+  let size = 0;
+
+  for (const group of groups) {
+    if (current.length > 0 && size + group.apply.length > max) {
+      batches.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(group);
+    size += group.apply.length;
+  }
+  if (current.length > 0) batches.push(current);
+
+  return batches;
+}
+
+/**
+ * Run the groups as transactions in order; when one fails, undo the ones
+ * already written and rethrow its error
+ */
+export async function writeTransactionGroups(client: DynamoDBClient, groups: WriteGroup[], action: string): Promise<void> {
+  const batches = batchGroups(groups);
+
+  for (let i = 0; i < batches.length; i++) {
+    try {
+      await client.send(new TransactWriteItemsCommand({
+        TransactItems: batches[i].flatMap(group => group.apply)
+      }));
+    } catch (error) {
+      if (i > 0) {
+        console.warn(`⚠️ ${action} failed on batch ${i + 1} of ${batches.length}; undoing the batches written`);
+        for (const written of batches.slice(0, i).reverse()) {
+          const undo = written.map(group => ({ apply: group.undo }));
+          for (const batch of batchGroups(undo)) {
+            await client.send(new TransactWriteItemsCommand({ TransactItems: batch.flatMap(group => group.apply) }));
+          }
+        }
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Public view of a stored audit record
+ */
+export function formatPersonnelMerge(record: any): PersonnelMerge {
+  return {
+    mergeId: record.merge_id,
+    status: record.merge_status,
+    primaryId: record.primary_id,
+    primaryName: record.primary_name,
+    duplicateId: record.duplicate_id,
+    duplicateName: record.duplicate_name,
+    candidateId: record.candidate_id || null,
+    addedAliases: record.added_aliases || [],
+    filledFields: Object.keys(record.filled_fields || {}),
+    repointed: {
+      payrollEntries: (record.payroll_entries || []).length,
+      timeEntries: (record.time_entries || []).length,
+      reports: (record.reports || []).length
+    },
+    mergedBy: record.merged_by,
+    mergedAt: record.merged_at,
+    note: record.note || null,
+    unmergedBy: record.unmerged_by || null,
+    unmergedAt: record.unmerged_at || null,
+    unmergeNote: record.unmerge_note || null,
+    unmergeSkipped: record.unmerge_skipped ?? null,
+    error: record.error || null
+  };
+}
+
+function mergeKey(mergeId: string): { PK: string; SK: string } {
+  return { PK: `MERGE#${mergeId}`, SK: SORT_KEY };
+}
+
+/**
+ * Swap a stored item for another: a conditional put when the key is the
+ * same, otherwise a delete of the old key and a put of the new one
+ */
+function replaceItem(tableName: string, current: any, next: any): TransactWriteItem[] {
+  const unchanged = {
+    ConditionExpression: 'employee_id = :current',
+    ExpressionAttributeValues: marshall({ ':current': current.employee_id })
+  };
+
+  if (current.PK === next.PK && current.SK === next.SK) {
+    return [{ Put: { TableName: tableName, Item: marshall(next, { removeUndefinedValues: true }), ...unchanged } }];
+  }
+  return [
+    { Delete: { TableName: tableName, Key: marshall({ PK: current.PK, SK: current.SK }), ...unchanged } },
+    {
+      Put: {
+        TableName: tableName,
+        Item: marshall(next, { removeUndefinedValues: true }),
+        ConditionExpression: 'attribute_not_exists(SK)'
+      }
+    }
+  ];
+}
+
+/**
+ * The payroll entry under `employeeId`, its sort key prefix swapped too
+ */
+function repointPayrollEntry(
+  entry: any,
+  employee: { employee_id: string; employee_number: string | null; employee_name: string | null },
+  now: string
+): any {
+  const prefix = `${entry.employee_id}#`;
+  return {
+    ...entry,
+    SK: entry.SK.startsWith(prefix) ? `${employee.employee_id}#${entry.SK.slice(prefix.length)}` : entry.SK,
+    employee_id: employee.employee_id,
+    employee_number: employee.employee_number ?? undefined,
+    employee_name: employee.employee_name ?? undefined,
+    updated_at: now
+  };
+}
+
+function setEmployeeId(tableName: string, key: { PK: string; SK: string }, from: string, to: string, now: string): TransactWriteItem {
+  return {
+    Update: {
+      TableName: tableName,
+      Key: marshall(key),
+      UpdateExpression: 'SET employee_id = :to, updated_at = :now',
+      ConditionExpression: 'employee_id = :from',
+      ExpressionAttributeValues: marshall({ ':from': from, ':to': to, ':now': now })
+    }
+  };
+}
+
+/**
+ * Write a report's personnel ids back, as long as nobody has corrected its
+ * extracted data in the meantime
+ */
+function reportUpdate(
+  tableName: string,
+  report: any,
+  values: { reporterPersonnelId: any; extractedData: any },
+  now: string,
+  guarded: boolean
+): TransactWriteItem {
+  const sets = ['updated_at = :now'];
+  const attributeValues: Record<string, any> = { ':now': now };
+
+  if (values.reporterPersonnelId !== undefined) {
+    sets.push('reporter_personnel_id = :reporter');
+    attributeValues[':reporter'] = values.reporterPersonnelId;
+  }
+  if (values.extractedData !== undefined) {
+    sets.push('extracted_data = :data');
+    attributeValues[':data'] = values.extractedData;
+  }
+
+  let condition = 'attribute_exists(PK)';
+  if (guarded) {
+    if (report.extracted_data_revision) {
+      condition += ' AND extracted_data_revision = :revision';
+      attributeValues[':revision'] = report.extracted_data_revision;
+    } else {
+      condition += ' AND attribute_not_exists(extracted_data_revision)';
+    }
+  }
+
+  return {
+    Update: {
+      TableName: tableName,
+      Key: marshall({ PK: report.PK, SK: report.SK }),
+      UpdateExpression: `SET ${sets.join(', ')}`,
+      ConditionExpression: condition,
+      ExpressionAttributeValues: marshall(attributeValues, { removeUndefinedValues: true })
+    }
+  };
+}
+
+export class EmployeeMerges {
+  private tables: MergeTables;
+
+  constructor(private client: DynamoDBClient, tables: Partial<MergeTables> = {}) {
+    this.tables = { ...DEFAULT_MERGE_TABLES, ...tables };
+  }
+
+  /**
+   * Stored audit record; null when there is no such merge
+   */
+  async getRecord(mergeId: string): Promise<any | null> {
+    const result = await this.client.send(new GetItemCommand({
+      TableName: this.tables.merges,
+      Key: marshall(mergeKey(mergeId)),
+      ConsistentRead: true
+    }));
+    return result.Item ? unmarshall(result.Item) : null;
+  }
+
+  /**
+   * One merge; null when there is no such merge
+   */
+  async get(mergeId: string): Promise<PersonnelMerge | null> {
+    const record = await this.getRecord(mergeId);
+    return record ? formatPersonnelMerge(record) : null;
+  }
+
+  private async getItem(tableName: string, key: { PK: string; SK: string }): Promise<any | null> {
+    const result = await this.client.send(new GetItemCommand({
+      TableName: tableName,
+      Key: marshall(key),
+      ConsistentRead: true
+    }));
+    return result.Item ? unmarshall(result.Item) : null;
+  }
+
+  /**
+   * Every item on an employee index with one of the ids
+   */
+  private async queryEmployeeIndex(tableName: string, indexName: string, ids: string[]): Promise<any[]> {
+    const items: any[] = [];
+
+    for (const id of ids) {
+      let startKey: Record<string, any> | undefined;
+      do {
+        try {
+          const result = await this.client.send(new QueryCommand({
+            TableName: tableName,
+            IndexName: indexName,
+            KeyConditionExpression: 'employee_id = :id',
+            ExpressionAttributeValues: marshall({ ':id': id }),
+            ExclusiveStartKey: startKey
+          }));
+          items.push(...(result.Items || []).map(item => unmarshall(item)));
+          startKey = result.LastEvaluatedKey;
+        } catch (error: any) {
+          if (error?.name !== 'ResourceNotFoundException') throw error;
+          console.warn(`⚠️ ${tableName} does not exist; nothing to re-point there`);
+          return items;
+        }
+      } while (startKey);
+    }
+
+    return items;
+  }
+
+  /**
+   * Reports with a personnel id in the map
+   */
+  private async findReports(idMap: Map<string, string>): Promise<any[]> {
+    const reports: any[] = [];
+    let startKey: Record<string, any> | undefined;
+
+    do {
+      const result = await this.client.send(new ScanCommand({
+        TableName: this.tables.reports,
+        ProjectionExpression: 'PK, SK, report_id, reporter_personnel_id, extracted_data, extracted_data_revision',
+        ExclusiveStartKey: startKey
+      }));
+      reports.push(...(result.Items || [])
+        .map(item => unmarshall(item))
+        .filter(report => reportReferencePaths(report, idMap).length > 0));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+
+    return reports;
+  }
+
+  /**
+   * Write the groups, throwing PersonnelMergeConflictError if a condition failed
+   */
+  private async writeGroups(groups: WriteGroup[], action: string): Promise<void> {
+    try {
+      await writeTransactionGroups(this.client, groups, action);
+    } catch (error: any) {
+      if (error?.name === 'TransactionCanceledException') {
+        throw new PersonnelMergeConflictError(`Records changed during the ${action.toLowerCase()}; nothing was changed, try again`);
+      }
+      throw error;
+    }
+  }
+
+  private async markFailed(mergeId: string, error: Error): Promise<void> {
+    await this.client.send(new UpdateItemCommand({
+      TableName: this.tables.merges,
+      Key: marshall(mergeKey(mergeId)),
+      UpdateExpression: 'SET merge_status = :failed, #error = :error, updated_at = :now',
+      ExpressionAttributeNames: { '#error': 'error' },
+      ExpressionAttributeValues: marshall({ ':failed': 'failed', ':error': error.message, ':now': new Date().toISOString() })
+    }));
+  }
+
+  /**
+   * Merge the duplicate into the primary: re-point its payroll entries, time
+   * entries and report references, update both profiles and keep the audit
+   * record unmerge works from
+   */
+  async merge(primary: Employee, duplicate: Employee, options: MergeOptions): Promise<PersonnelMerge> {
+    if (primary.personId === duplicate.personId) {
+      throw new Error('Cannot merge an employee into itself');
+    }
+    console.log(`🔀 Merging employees: ${duplicate.personId} → ${primary.personId}`);
+
+    const idMap = mergeIdMap(primary, duplicate);
+    const ids = [...idMap.keys()];
+    const profile = planProfileMerge(primary, duplicate);
+    const mergeId = `merge_${uuidv4()}`;
+    const now = new Date().toISOString();
+    const groups: WriteGroup[] = [];
+
+    const payrollEntries: PayrollEntryRef[] = [];
+    for (const entry of await this.queryEmployeeIndex(this.tables.payrollEntries, 'GSI1-EmployeeDateIndex', ids)) {
+      const next = repointPayrollEntry(entry, {
+        employee_id: idMap.get(entry.employee_id) as string,
+        employee_number: entry.employee_number ? primary.employeeNumber : null,
+        employee_name: primary.fullName
+      }, now);
+      groups.push({
+        apply: replaceItem(this.tables.payrollEntries, entry, next),
+        undo: replaceItem(this.tables.payrollEntries, next, entry)
+      });
+      payrollEntries.push({
+        report_id: entry.PK,
+        sk: next.SK,
+        previous_sk: entry.SK,
+        employee_id: entry.employee_id,
+        employee_number: entry.employee_number ?? null,
+        employee_name: entry.employee_name ?? null
+      });
+    }
+
+    const timeEntries: TimeEntryRef[] = [];
+    for (const entry of await this.queryEmployeeIndex(this.tables.timeEntries, 'GSI1-EmployeeIndex', ids)) {
+      const key = { PK: entry.PK, SK: entry.SK };
+      const to = idMap.get(entry.employee_id) as string;
+      groups.push({
+        apply: [setEmployeeId(this.tables.timeEntries, key, entry.employee_id, to, now)],
+        undo: [setEmployeeId(this.tables.timeEntries, key, to, entry.employee_id, now)]
+      });
+      timeEntries.push({ ...key, employee_id: entry.employee_id });
+    }
+
+    const reports: ReportRef[] = [];
+    for (const report of await this.findReports(idMap)) {
+      const paths = reportReferencePaths(report, idMap);
+      const repointed = repointReport(report, paths, idMap);
+      const original = {
+        reporterPersonnelId: report.reporter_personnel_id,
+        extractedData: report.extracted_data
+      };
+      groups.push({
+        apply: [reportUpdate(this.tables.reports, report, repointed, now, true)],
+        undo: [reportUpdate(this.tables.reports, report, original, now, false)]
+      });
+      reports.push({ PK: report.PK, SK: report.SK, report_id: report.report_id || null, paths });
+    }
+
+    const aliasRecords = profile.addedAliases.map(alias => options.aliasRecord(alias));
+    const record = {
+      ...mergeKey(mergeId),
+      merge_id: mergeId,
+      merge_status: 'merging',
+      primary_id: primary.personId,
+      primary_name: primary.fullName,
+      duplicate_id: duplicate.personId,
+      duplicate_name: duplicate.fullName,
+      duplicate_status: duplicate.employmentStatus,
+      candidate_id: options.candidateId || null,
+      id_map: Object.fromEntries(idMap),
+      added_aliases: profile.addedAliases,
+      alias_keys: aliasRecords.map(aliasRecord => aliasRecord.SK),
+      filled_fields: profile.filled,
+      payroll_entries: payrollEntries,
+      time_entries: timeEntries,
+      reports,
+      merged_by: options.mergedBy,
+      merged_at: now,
+      note: options.note || null,
+      updated_at: now
+    };
+
+    const primarySets = ['knownAliases = :aliases', 'updatedAt = :now'];
+    const primaryValues: Record<string, any> = { ':aliases': profile.knownAliases, ':now': now };
+    for (const [field, value] of Object.entries(profile.filled)) {
+      primarySets.push(`${field} = :${field}`);
+      primaryValues[`:${field}`] = value;
+    }
+
+    const final: WriteGroup = {
+      apply: [
+        {
+          Update: {
+            TableName: this.tables.personnel,
+            Key: marshall({ PK: primary.personId, SK: 'PROFILE' }),
+            UpdateExpression: `SET ${primarySets.join(', ')}`,
+            ConditionExpression: 'attribute_exists(PK)',
+            ExpressionAttributeValues: marshall(primaryValues)
+          }
+        },
+        {
+          Update: {
+            TableName: this.tables.personnel,
+            Key: marshall({ PK: duplicate.personId, SK: 'PROFILE' }),
+            UpdateExpression: 'SET employmentStatus = :terminated, employment_status = :terminated, mergedIntoId = :primary, mergeId = :mergeId, terminationReason = :reason, updatedAt = :now',
+            ConditionExpression: 'attribute_exists(PK) AND attribute_not_exists(mergedIntoId)',
+            ExpressionAttributeValues: marshall({
+              ':terminated': 'terminated',
+              ':primary': primary.personId,
+              ':mergeId': mergeId,
+              ':reason': `Merged into ${primary.fullName} (${primary.personId})`,
+              ':now': now
+            })
+          }
+        },
+        ...aliasRecords.map(aliasRecord => ({
+          Put: {
+            TableName: this.tables.personnel,
+            Item: marshall({ PK: primary.personId, SK: aliasRecord.SK, alias: aliasRecord.alias, mergeId, createdAt: now })
+          }
+        })),
+        {
+          Update: {
+            TableName: this.tables.merges,
+            Key: marshall(mergeKey(mergeId)),
+            UpdateExpression: 'SET merge_status = :merged, updated_at = :now',
+            ConditionExpression: 'merge_status = :merging',
+            ExpressionAttributeValues: marshall({ ':merged': 'merged', ':merging': 'merging', ':now': now })
+          }
+        }
+      ],
+      undo: []
+    };
+
+    await this.client.send(new PutItemCommand({
+      TableName: this.tables.merges,
+      Item: marshall(record, { removeUndefinedValues: true }),
+      ConditionExpression: 'attribute_not_exists(PK)'
+    }));
+
+    try {
+      await this.writeGroups([...groups, final], 'Merge');
+    } catch (error: any) {
+      await this.markFailed(mergeId, error);
+      throw error;
+    }
+
+    console.log(`✅ Employees merged (${mergeId}): ${payrollEntries.length} payroll entries, ${timeEntries.length} time entries, ${reports.length} reports re-pointed`);
+    return formatPersonnelMerge({ ...record, merge_status: 'merged' });
+  }
+
+  /**
+   * Undo a merge from its audit record: records still pointing at the
+   * primary go back to the duplicate, the primary loses the aliases and
+   * fields it took, and the duplicate gets its status back. Null when there
+   * is no completed merge with that id.
+   */
+  async unmerge(mergeId: string, { unmergedBy, note }: { unmergedBy: string; note?: string | null }): Promise<PersonnelMerge | null> {
+    const record = await this.getRecord(mergeId);
+    if (!record || record.merge_status !== 'merged') return null;
+    console.log(`↩️ Unmerging ${record.duplicate_id} from ${record.primary_id} (${mergeId})`);
+
+    const idMap = new Map<string, string>(Object.entries(record.id_map));
+    const reverse = new Map([...idMap].map(([from, to]) => [to, from]));
+    const now = new Date().toISOString();
+    const groups: WriteGroup[] = [];
+    let skipped = 0;
+
+    for (const ref of record.payroll_entries as PayrollEntryRef[]) {
+      const current = await this.getItem(this.tables.payrollEntries, { PK: ref.report_id, SK: ref.sk });
+      if (!current || idMap.get(ref.employee_id) !== current.employee_id) {
+        skipped++;
+        continue;
+      }
+      const restored = {
+        ...repointPayrollEntry(current, ref, now),
+        SK: ref.previous_sk
+      };
+      groups.push({
+        apply: replaceItem(this.tables.payrollEntries, current, restored),
+        undo: replaceItem(this.tables.payrollEntries, restored, current)
+      });
+    }
+
+    for (const ref of record.time_entries as TimeEntryRef[]) {
+      const key = { PK: ref.PK, SK: ref.SK };
+      const current = await this.getItem(this.tables.timeEntries, key);
+      const to = idMap.get(ref.employee_id) as string;
+      if (!current || current.employee_id !== to) {
+        skipped++;
+        continue;
+      }
+      groups.push({
+        apply: [setEmployeeId(this.tables.timeEntries, key, to, ref.employee_id, now)],
+        undo: [setEmployeeId(this.tables.timeEntries, key, ref.employee_id, to, now)]
+      });
+    }
+
+    for (const ref of record.reports as ReportRef[]) {
+      const current = await this.getItem(this.tables.reports, { PK: ref.PK, SK: ref.SK });
+      const restored = current && repointReport(current, ref.paths, reverse);
+      if (!restored || restored.changed.length === 0) {
+        skipped++;
+        continue;
+      }
+      groups.push({
+        apply: [reportUpdate(this.tables.reports, current, restored, now, true)],
+        undo: [reportUpdate(this.tables.reports, current, {
+          reporterPersonnelId: current.reporter_personnel_id,
+          extractedData: current.extracted_data
+        }, now, false)]
+      });
+    }
+
+    // Take back only what the merge gave the primary and is still unchanged
+    const primary = await this.getItem(this.tables.personnel, { PK: record.primary_id, SK: 'PROFILE' });
+    const addedAliases: string[] = record.added_aliases || [];
+    const primarySets = ['knownAliases = :aliases', 'updatedAt = :now'];
+    const primaryRemoves: string[] = [];
+    for (const [field, value] of Object.entries(record.filled_fields || {})) {
+      if (primary?.[field] === value) primaryRemoves.push(field);
+    }
+
+    const final: WriteGroup = {
+      apply: [
+        {
+          Update: {
+            TableName: this.tables.personnel,
+            Key: marshall({ PK: record.primary_id, SK: 'PROFILE' }),
+            UpdateExpression: `SET ${primarySets.join(', ')}${primaryRemoves.length ? ` REMOVE ${primaryRemoves.join(', ')}` : ''}`,
+            ConditionExpression: 'attribute_exists(PK)',
+            ExpressionAttributeValues: marshall({
+              ':aliases': (primary?.knownAliases || []).filter((alias: string) => !addedAliases.includes(alias)),
+              ':now': now
+            })
+          }
+        },
+        {
+          Update: {
+            TableName: this.tables.personnel,
+            Key: marshall({ PK: record.duplicate_id, SK: 'PROFILE' }),
+            UpdateExpression: 'SET employmentStatus = :status, employment_status = :status, updatedAt = :now REMOVE mergedIntoId, mergeId, terminationReason',
+            ConditionExpression: 'mergeId = :mergeId',
+            ExpressionAttributeValues: marshall({
+              ':status': record.duplicate_status || 'active',
+              ':mergeId': mergeId,
+              ':now': now
+            })
+          }
+        },
+        ...(record.alias_keys || []).map((aliasKey: string) => ({
+          Delete: {
+            TableName: this.tables.personnel,
+            Key: marshall({ PK: record.primary_id, SK: aliasKey })
+          }
+        })),
+        {
+          Update: {
+            TableName: this.tables.merges,
+            Key: marshall(mergeKey(mergeId)),
+            UpdateExpression: 'SET merge_status = :unmerged, unmerged_by = :by, unmerged_at = :now, unmerge_note = :note, unmerge_skipped = :skipped, updated_at = :now',
+            ConditionExpression: 'merge_status = :merged',
+            ExpressionAttributeValues: marshall({
+              ':unmerged': 'unmerged',
+              ':merged': 'merged',
+              ':by': unmergedBy,
+              ':note': note || null,
+              ':skipped': skipped,
+              ':now': now
+            })
+          }
+        }
+      ],
+      undo: []
+    };
+
+    await this.writeGroups([...groups, final], 'Unmerge');
+
+    console.log(`✅ Unmerged ${mergeId}: ${groups.length} records restored, ${skipped} changed since and left alone`);
+    return formatPersonnelMerge({
+      ...record,
+      merge_status: 'unmerged',
+      unmerged_by: unmergedBy,
+      unmerged_at: now,
+      unmerge_note: note || null,
+      unmerge_skipped: skipped
+    });
+  }
+}
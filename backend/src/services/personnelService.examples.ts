@@ -200,9 +200,10 @@ async function detectAndResolveDuplicates() {
   console.log(`\n  Aliases to Merge: ${preview.aliasesToMerge.join(', ')}`);
 
   // Perform the merge
-  const merged = await personnelService.mergeEmployees(emp1.personId, emp2.personId);
+  const { employee: merged, merge } = await personnelService.mergeEmployees(emp1.personId, emp2.personId);
 
   console.log('\nMerge Complete:');
+  console.log(`  Merge ID: ${merge.mergeId} (payroll entries re-pointed: ${merge.repointed.payrollEntries})`);
   console.log(`  Merged Employee: ${merged.fullName}`);
   console.log(`  All Aliases: ${merged.knownAliases.join(', ')}`);
   console.log(`  Email: ${merged.email}`);
@@ -3,6 +3,7 @@
  *
  * Complete personnel management service with intelligent 6-layer employee deduplication
  * Handles employee CRUD operations, smart name matching, alias tracking, and merge operations
+ * (name scoring itself lives in nameMatching)
  *
  * @module personnelService
  */
@@ -17,6 +18,14 @@ import {
   ScanCommand,
 } from '@aws-sdk/lib-dynamodb';
 import * as bcrypt from 'bcryptjs';
+import {
+  CLEAR_LEAD,
+  MATCH_THRESHOLD,
+  ScoreBreakdown,
+  explainScore,
+  scoreName,
+} from './nameMatching';
+import { EmployeeMerges, PersonnelMerge } from './personnelMerge';
 
 // ============================================================================
 // TYPE DEFINITIONS
@@ -96,14 +105,25 @@ interface MatchResult {
   needsReview: boolean;
   matchedName?: string;
   matchMethod?: string;
+  scoreBreakdown?: ScoreBreakdown;
   suggestedMatches?: Array<{
     employeeId: string;
     name: string;
     reason: string;
     confidence: number;
+    scoreBreakdown: ScoreBreakdown;
   }>;
 }
 
+/**
+ * An employee scored against a spoken name
+ */
+interface ScoredEmployee {
+  employee: Employee;
+  similarity: number;
+  breakdown: ScoreBreakdown;
+}
+
 /**
  * Preview of merge operation
  */
@@ -151,63 +171,6 @@ function normalizeName(name: string): string {
     .replace(/\b\w/g, (char) => char.toUpperCase()); // Title case
 }
 
-/**
- * Calculate Levenshtein distance between two strings
- * Used for fuzzy name matching to handle typos
- *
- * @param str1 - First string
- * @param str2 - Second string
- * @returns Edit distance (number of changes needed)
- *
- * @example
- * levenshteinDistance("Robert", "Roberto") // 1
- * levenshteinDistance("Smith", "Smyth") // 1
- */
-function levenshteinDistance(str1: string, str2: string): number {
-  const m = str1.length;
-  const n = str2.length;
-
-  // Create DP table
-  const dp: number[][] = Array(m + 1)
-    .fill(null)
-    .map(() => Array(n + 1).fill(0));
-
-  // Initialize first row and column
-  for (let i = 0; i <= m; i++) dp[i][0] = i;
-  for (let j = 0; j <= n; j++) dp[0][j] = j;
-
-  // Fill DP table
-  for (let i = 1; i <= m; i++) {
-    for (let j = 1; j <= n; j++) {
-      if (str1[i - 1] === str2[j - 1]) {
-        dp[i][j] = dp[i - 1][j - 1];
-      } else {
-        dp[i][j] = Math.min(
-          dp[i - 1][j] + 1, // deletion
-          dp[i][j - 1] + 1, // insertion
-          dp[i - 1][j - 1] + 1 // substitution
-        );
-      }
-    }
-  }
-
-  return dp[m][n];
-}
-
-/**
- * Calculate similarity percentage between two strings
- *
- * @param str1 - First string
- * @param str2 - Second string
- * @returns Similarity score (0-100)
- */
-function calculateSimilarity(str1: string, str2: string): number {
-  const distance = levenshteinDistance(str1.toLowerCase(), str2.toLowerCase());
-  const maxLength = Math.max(str1.length, str2.length);
-  if (maxLength === 0) return 100;
-  return ((maxLength - distance) / maxLength) * 100;
-}
-
 /**
  * Generate unique employee number
  *
@@ -283,11 +246,13 @@ function generateAliasKey(alias: string): string {
 class PersonnelService {
   private docClient: DynamoDBDocumentClient;
   private readonly tableName: string;
+  private merges: EmployeeMerges;
 
   constructor() {
     const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
     this.docClient = DynamoDBDocumentClient.from(client);
     this.tableName = process.env.PERSONNEL_TABLE || 'sitelogix-personnel';
+    this.merges = new EmployeeMerges(client, { personnel: this.tableName });
   }
 
   // ==========================================================================
@@ -756,11 +721,14 @@ class PersonnelService {
    * Matching Layers:
    * 1. Exact Full Name Match (GSI1-NameIndex)
    * 2. Alias Search (SK pattern "ALIAS#")
-   * 3. Fuzzy Name Matching (Levenshtein distance ≤ 2)
-   * 4. Context-Based (same project recent employees)
+   * 3. Scored Name Matching (nickname, phonetic and edit similarity per name
+   *    part, plus a boost for people last seen on the project; see nameMatching)
+   * 4. Context-Based (the project boost alone puts one candidate ahead)
    * 5. Multiple Matches Detection (flag for manual review)
    * 6. Auto-Create New (with needs_profile_completion=true)
    *
+   * Scored matches carry the breakdown behind their score.
+   *
    * @param name - Name from voice transcript (e.g., "Bob", "Bobby Smith")
    * @param context - Optional context for matching
    * @returns Match result with employee ID and confidence
@@ -800,45 +768,50 @@ class PersonnelService {
       };
     }
 
-    // LAYER 3: Fuzzy Name Matching (Levenshtein distance ≤ 2)
-    const fuzzyMatches = await this.fuzzyNameMatch(normalizedName);
-    if (fuzzyMatches.length === 1) {
-      const match = fuzzyMatches[0];
+    const scoredMatches = await this.scoredNameMatch(normalizedName, context);
+    const [best, runnerUp] = scoredMatches;
+    const suggestedMatches = scoredMatches.map((m) => ({
+      employeeId: m.employee.personId,
+      name: m.employee.fullName,
+      reason: explainScore(m.breakdown),
+      confidence: m.similarity,
+      scoreBreakdown: m.breakdown,
+    }));
+
+    // LAYER 3: Scored Name Matching (one candidate, or one clearly ahead)
+    const nameOnly = (m: ScoredEmployee) => Math.max(m.breakdown.nameScore, m.breakdown.editSimilarity);
+    const lead = best && runnerUp ? best.similarity - runnerUp.similarity : Infinity;
+    const leadWithoutProject = best && runnerUp ? nameOnly(best) - nameOnly(runnerUp) : Infinity;
+    if (best && leadWithoutProject >= CLEAR_LEAD) {
       console.log(
-        `✅ LAYER 3: Fuzzy match found - ${match.employee.fullName} (confidence: ${match.similarity.toFixed(1)}%)`
+        `✅ LAYER 3: Scored match found - ${best.employee.fullName} (${explainScore(best.breakdown)})`
       );
       return {
-        employeeId: match.employee.personId,
-        confidence: match.similarity > 90 ? 'high' : 'medium',
-        needsReview: match.similarity < 85,
-        matchedName: match.employee.fullName,
+        employeeId: best.employee.personId,
+        confidence: best.similarity > 90 ? 'high' : 'medium',
+        needsReview: best.similarity < 85,
+        matchedName: best.employee.fullName,
         matchMethod: 'fuzzy_match',
+        scoreBreakdown: best.breakdown,
       };
     }
 
-    // LAYER 4: Context-Based Matching (if project context provided)
-    if (context?.projectId && fuzzyMatches.length > 1) {
-      const contextMatch = await this.contextBasedMatch(fuzzyMatches, context.projectId);
-      if (contextMatch) {
-        console.log(`✅ LAYER 4: Context-based match - ${contextMatch.fullName}`);
-        return {
-          employeeId: contextMatch.personId,
-          confidence: 'medium',
-          needsReview: true,
-          matchedName: contextMatch.fullName,
-          matchMethod: 'context_match',
-          suggestedMatches: fuzzyMatches.map((m) => ({
-            employeeId: m.employee.personId,
-            name: m.employee.fullName,
-            reason: `${m.similarity.toFixed(1)}% name similarity`,
-            confidence: m.similarity,
-          })),
-        };
-      }
+    // LAYER 4: Context-Based Matching (the project boost settles it)
+    if (best && lead >= CLEAR_LEAD) {
+      console.log(`✅ LAYER 4: Context-based match - ${best.employee.fullName}`);
+      return {
+        employeeId: best.employee.personId,
+        confidence: 'medium',
+        needsReview: true,
+        matchedName: best.employee.fullName,
+        matchMethod: 'context_match',
+        scoreBreakdown: best.breakdown,
+        suggestedMatches,
+      };
     }
 
     // LAYER 5: Multiple Matches Detection
-    if (fuzzyMatches.length > 1) {
+    if (scoredMatches.length > 1) {
       console.log(`⚠️ LAYER 5: Multiple matches found - needs review`);
       // Create new employee but flag for review
       const newEmployee = await this.createAutoEmployee(normalizedName, parsedName, context);
@@ -848,12 +821,7 @@ class PersonnelService {
         needsReview: true,
         matchedName: newEmployee.fullName,
         matchMethod: 'multiple_matches_create_new',
-        suggestedMatches: fuzzyMatches.map((m) => ({
-          employeeId: m.employee.personId,
-          name: m.employee.fullName,
-          reason: `${m.similarity.toFixed(1)}% name similarity`,
-          confidence: m.similarity,
-        })),
+        suggestedMatches,
       };
     }
 
@@ -929,11 +897,14 @@ class PersonnelService {
   }
 
   /**
-   * LAYER 3: Fuzzy name matching using Levenshtein distance
+   * LAYERS 3-4: Score every active employee against the name, best first
+   *
+   * Only candidates scoring at least MATCH_THRESHOLD are returned.
    */
-  private async fuzzyNameMatch(
-    normalizedName: string
-  ): Promise<Array<{ employee: Employee; similarity: number }>> {
+  private async scoredNameMatch(
+    normalizedName: string,
+    context?: MatchContext
+  ): Promise<ScoredEmployee[]> {
     try {
       // Get all active employees
       const result = await this.docClient.send(
@@ -951,66 +922,31 @@ class PersonnelService {
         return [];
       }
 
-      const matches: Array<{ employee: Employee; similarity: number }> = [];
+      const matches: ScoredEmployee[] = [];
 
       for (const item of result.Items) {
         const employee = item as Employee;
-
-        // Check similarity with full name
-        const fullNameSimilarity = calculateSimilarity(normalizedName, employee.fullName);
-
-        // Check similarity with known aliases
-        let bestAliasSimilarity = 0;
-        for (const alias of employee.knownAliases) {
-          const similarity = calculateSimilarity(normalizedName, alias);
-          if (similarity > bestAliasSimilarity) {
-            bestAliasSimilarity = similarity;
-          }
-        }
-
-        const bestSimilarity = Math.max(fullNameSimilarity, bestAliasSimilarity);
-
-        // Threshold: 85% similarity and Levenshtein distance ≤ 2
-        const distance = levenshteinDistance(
-          normalizedName.toLowerCase(),
-          employee.fullName.toLowerCase()
+        const breakdown = scoreName(
+          normalizedName,
+          [employee.fullName, ...(employee.knownAliases || [])],
+          { onProject: Boolean(context?.projectId) && employee.lastSeenProjectId === context?.projectId }
         );
 
-        if (bestSimilarity >= 85 || distance <= 2) {
-          matches.push({ employee, similarity: bestSimilarity });
+        if (breakdown.total >= MATCH_THRESHOLD) {
+          matches.push({ employee, similarity: breakdown.total, breakdown });
         }
       }
 
-      // Sort by similarity (highest first)
+      // Sort by score (highest first)
       matches.sort((a, b) => b.similarity - a.similarity);
 
       return matches;
     } catch (error) {
-      console.error('❌ Error in fuzzy name matching:', error);
+      console.error('❌ Error in scored name matching:', error);
       return [];
     }
   }
 
-  /**
-   * LAYER 4: Context-based matching (filter by recent project activity)
-   */
-  private async contextBasedMatch(
-    candidates: Array<{ employee: Employee; similarity: number }>,
-    projectId: string
-  ): Promise<Employee | null> {
-    // Filter candidates who recently worked on the same project
-    const projectMatches = candidates.filter(
-      (c) => c.employee.lastSeenProjectId === projectId
-    );
-
-    if (projectMatches.length === 1) {
-      return projectMatches[0].employee;
-    }
-
-    // If multiple or none, return highest similarity
-    return candidates.length > 0 ? candidates[0].employee : null;
-  }
-
   /**
    * LAYER 6: Auto-create new employee from voice transcript mention
    */
@@ -1131,13 +1067,20 @@ class PersonnelService {
   /**
    * Merge duplicate employee into primary employee
    *
+   * Payroll entries, time entries and report references move to the primary
+   * along with the profile changes (see personnelMerge); the merge returned is
+   * the audit record unmergeEmployees works from.
+   *
    * @param primaryId - Primary employee ID (will be kept)
    * @param duplicateId - Duplicate employee ID (will be terminated)
-   * @returns Updated primary employee
+   * @param options - Who merged them, a note, and the merge candidate if any
+   * @returns Updated primary employee and the merge
    */
-  async mergeEmployees(primaryId: string, duplicateId: string): Promise<Employee> {
-    console.log(`🔀 Merging employees: ${duplicateId} → ${primaryId}`);
-
+  async mergeEmployees(
+    primaryId: string,
+    duplicateId: string,
+    options: { mergedBy?: string; note?: string | null; candidateId?: string | null } = {}
+  ): Promise<{ employee: Employee; merge: PersonnelMerge }> {
     const primary = await this.getEmployeeById(primaryId);
     const duplicate = await this.getEmployeeById(duplicateId);
 
@@ -1145,46 +1088,12 @@ class PersonnelService {
       throw new Error('One or both employees not found');
     }
 
-    // Merge aliases
-    const mergedAliases = [...new Set([...primary.knownAliases, ...duplicate.knownAliases])];
-
-    // Fill missing fields from duplicate
-    const updates: Partial<Employee> = {
-      knownAliases: mergedAliases,
-    };
-
-    if (!primary.email && duplicate.email) updates.email = duplicate.email;
-    if (!primary.phone && duplicate.phone) updates.phone = duplicate.phone;
-    if (!primary.hireDate && duplicate.hireDate) updates.hireDate = duplicate.hireDate;
-    if (!primary.hourlyRate && duplicate.hourlyRate) updates.hourlyRate = duplicate.hourlyRate;
-    if (!primary.overtimeRate && duplicate.overtimeRate)
-      updates.overtimeRate = duplicate.overtimeRate;
-
-    // Update primary employee
-    await this.docClient.send(
-      new UpdateCommand({
-        TableName: this.tableName,
-        Key: {
-          PK: primaryId,
-          SK: 'PROFILE',
-        },
-        UpdateExpression: 'SET knownAliases = :aliases, updatedAt = :updatedAt',
-        ExpressionAttributeValues: {
-          ':aliases': mergedAliases,
-          ':updatedAt': new Date().toISOString(),
-        },
-      })
-    );
-
-    // Write alias records for duplicate's aliases pointing to primary
-    for (const alias of duplicate.knownAliases) {
-      await this.writeAliasRecord(primaryId, alias);
-    }
-
-    // Terminate duplicate employee
-    await this.terminateEmployee(duplicateId);
-
-    console.log(`✅ Employees merged successfully`);
+    const merge = await this.merges.merge(primary, duplicate, {
+      mergedBy: options.mergedBy || 'system',
+      note: options.note,
+      candidateId: options.candidateId,
+      aliasRecord: (alias) => ({ SK: generateAliasKey(alias), alias: normalizeName(alias) }),
+    });
 
     // Return updated primary
     const updated = await this.getEmployeeById(primaryId);
@@ -1192,7 +1101,34 @@ class PersonnelService {
       throw new Error('Failed to fetch merged employee');
     }
 
-    return updated;
+    return { employee: updated, merge };
+  }
+
+  /**
+   * Undo a merge from its audit record
+   *
+   * @param mergeId - Merge ID returned by mergeEmployees
+   * @param options - Who unmerged it and why
+   * @returns The merge, now unmerged; null when there is no completed merge with that ID
+   */
+  async unmergeEmployees(
+    mergeId: string,
+    options: { unmergedBy?: string; note?: string | null } = {}
+  ): Promise<PersonnelMerge | null> {
+    return this.merges.unmerge(mergeId, {
+      unmergedBy: options.unmergedBy || 'system',
+      note: options.note,
+    });
+  }
+
+  /**
+   * Get a merge's audit record
+   *
+   * @param mergeId - Merge ID
+   * @returns The merge or null
+   */
+  async getMerge(mergeId: string): Promise<PersonnelMerge | null> {
+    return this.merges.get(mergeId);
   }
 }
 
@@ -5,6 +5,10 @@
  * Import these types in your application for type safety
  */
 
+import type { ScoreBreakdown } from './nameMatching';
+
+export type { ScoreBreakdown };
+
 /**
  * Complete employee record
  */
@@ -165,11 +169,14 @@ export interface SuggestedMatch {
   /** Full name of suggested match */
   name: string;
 
-  /** Reason for suggestion (e.g., "95.5% name similarity") */
+  /** Reason for suggestion (e.g., "Bryan ~ Brian (sounds alike, 88) → 88") */
   reason: string;
 
   /** Confidence score (0-100) */
   confidence: number;
+
+  /** How the score was reached */
+  scoreBreakdown: ScoreBreakdown;
 }
 
 /**
@@ -191,6 +198,9 @@ export interface MatchResult {
   /** Method used to find the match */
   matchMethod?: MatchMethod;
 
+  /** How a scored (fuzzy or context) match's score was reached */
+  scoreBreakdown?: ScoreBreakdown;
+
   /** Array of suggested matches when multiple candidates found */
   suggestedMatches?: SuggestedMatch[];
 }
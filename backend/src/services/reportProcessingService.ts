@@ -4,8 +4,10 @@
  * Orchestrates the complete AI processing pipeline:
  * 1. Fetch transcript from S3/DynamoDB
  * 2. Analyze with AI
- * 3. Deduplicate and store in database
- * 4. Generate reports (PDF + Google Sheets)
+ * 3. Check it against the project's history and its own checklist answers,
+ *    score each extracted entity and queue low-confidence ones for review
+ * 4. Deduplicate and store in database
+ * 5. Generate reports (PDF + Google Sheets)
  */
 
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
@@ -17,10 +19,17 @@ import { getTranscriptAnalysisService, ExtractedReportData } from './transcriptA
 import { getPersonnelDeduplicationService } from './personnelDeduplicationService';
 import { getVendorDeduplicationService } from './vendorDeduplicationService';
 import { getGoogleSheetsService } from './googleSheetsService';
+import { EntityConfidence, getConfidenceScoringService } from './confidenceScoringService';
+import { attachSources } from './transcriptProvenance';
+import { EXTRACTION_REVIEW_TYPES, ReviewQueue, extractionReviewItems } from './reviewQueue';
+import { AnomalyDetector, AnomalyFlag } from './anomalyDetection';
+import { ValidationWarning, checkConsistency } from './extractionConsistency';
 
 const dynamoClient = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(dynamoClient);
 const s3Client = new S3Client({});
+const reviewQueue = new ReviewQueue(dynamoClient);
+const anomalyDetector = new AnomalyDetector(dynamoClient);
 
 const REPORTS_TABLE = process.env.REPORTS_TABLE || 'sitelogix-reports';
 const WORK_LOGS_TABLE = process.env.WORK_LOGS_TABLE || 'sitelogix-work-logs';
@@ -44,6 +53,9 @@ interface ReportRecord {
   rawTranscriptText?: string;
 }
 
+// Extracted items after scoreExtraction
+type Scored<T> = T & { confidenceScore?: EntityConfidence };
+
 export class ReportProcessingService {
   /**
    * Fetch transcript from S3
@@ -96,7 +108,8 @@ export class ReportProcessingService {
   private async updateReportStatus(
     reportId: string,
     status: string,
-    aiProcessingVersion?: string
+    aiProcessingVersion?: string,
+    findings?: { anomalyFlags: AnomalyFlag[]; validationWarnings: ValidationWarning[] }
   ): Promise<void> {
     const now = new Date().toISOString();
 
@@ -111,7 +124,9 @@ export class ReportProcessingService {
           SET #status = :status,
               updatedAt = :updatedAt,
               aiProcessedAt = :aiProcessedAt,
-              aiProcessingVersion = :aiProcessingVersion
+              aiProcessingVersion = :aiProcessingVersion${findings ? `,
+              anomalyFlags = :anomalyFlags,
+              validationWarnings = :validationWarnings` : ''}
         `,
         ExpressionAttributeNames: {
           '#status': 'status'
@@ -120,7 +135,11 @@ export class ReportProcessingService {
           ':status': status,
           ':updatedAt': now,
           ':aiProcessedAt': now,
-          ':aiProcessingVersion': aiProcessingVersion || 'v1.0.0'
+          ':aiProcessingVersion': aiProcessingVersion || 'v1.0.0',
+          ...(findings ? {
+            ':anomalyFlags': findings.anomalyFlags,
+            ':validationWarnings': findings.validationWarnings
+          } : {})
         }
       })
     );
@@ -203,7 +222,7 @@ export class ReportProcessingService {
     reportDate: string,
     projectId: string,
     projectName: string,
-    constraints: ExtractedReportData['constraints']
+    constraints: Scored<ExtractedReportData['constraints'][number]>[]
   ): Promise<void> {
     for (const constraint of constraints) {
       const constraintId = `constraint_${uuidv4()}`;
@@ -229,6 +248,7 @@ export class ReportProcessingService {
             status: constraint.status,
             dateIdentified: reportDate,
             extractedFromText: constraint.extractedFromText,
+            confidenceScore: constraint.confidenceScore,
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
           }
@@ -245,7 +265,7 @@ export class ReportProcessingService {
     reportDate: string,
     projectId: string,
     projectName: string,
-    personnel: ExtractedReportData['personnel']
+    personnel: Scored<ExtractedReportData['personnel'][number]>[]
   ): Promise<void> {
     const personnelService = getPersonnelDeduplicationService();
 
@@ -262,7 +282,8 @@ export class ReportProcessingService {
         reportDate,
         projectId,
         projectName,
-        person.activitiesPerformed
+        person.activitiesPerformed,
+        person.confidenceScore
       );
     }
   }
@@ -275,7 +296,7 @@ export class ReportProcessingService {
     reportDate: string,
     projectId: string,
     projectName: string,
-    vendors: ExtractedReportData['vendors']
+    vendors: Scored<ExtractedReportData['vendors'][number]>[]
   ): Promise<void> {
     const vendorService = getVendorDeduplicationService();
 
@@ -291,7 +312,8 @@ export class ReportProcessingService {
         reportId,
         reportDate,
         projectId,
-        projectName
+        projectName,
+        vendor.confidenceScore
       );
     }
   }
@@ -363,13 +385,29 @@ export class ReportProcessingService {
       // 3. Analyze transcript with AI
       console.log('🤖 Analyzing transcript with AI...');
       const analysisService = getTranscriptAnalysisService();
-      const extractedData = await analysisService.analyzeTranscript(transcriptData, {
+      const analyzed = await analysisService.analyzeTranscript(transcriptData, {
         projectName: report.projectName,
         projectLocation: report.projectLocation,
         managerName: report.managerName,
         reportDate: report.reportDate
       });
 
+      // Score every entity (its quote's place in the transcript and how it
+      // compares with the project's history are signals) and queue the
+      // low-confidence ones for review
+      const anomalies = await anomalyDetector.detect(analyzed, report);
+      const { data: extractedData, reviewCount } = getConfidenceScoringService()
+        .scoreExtraction(attachSources(analyzed, transcriptData).data, { personnel: anomalies.personnel });
+      await reviewQueue.replaceReportItems(
+        { reportId, projectId: report.projectId, projectName: report.projectName, reportDate: report.reportDate },
+        EXTRACTION_REVIEW_TYPES,
+        extractionReviewItems(extractedData)
+      );
+      console.log(`🔎 ${reviewCount} extracted entities queued for review`);
+      anomalies.flags.forEach(flag => console.warn(`🚩 ${flag.message}`));
+      const validationWarnings = checkConsistency(extractedData);
+      validationWarnings.forEach(warning => console.warn(`⚠️  ${warning.message}`));
+
       // 4. Save AI analysis to cache
       console.log('💾 Saving AI analysis to cache...');
       await this.saveAIAnalysisCache(reportId, 'full_extraction', extractedData, 'claude-3-5-sonnet');
@@ -416,7 +454,10 @@ export class ReportProcessingService {
 
       // 10. Update report status
       console.log('✅ Updating report status to "analyzed"...');
-      await this.updateReportStatus(reportId, 'analyzed', 'v1.0.0');
+      await this.updateReportStatus(reportId, 'analyzed', 'v1.0.0', {
+        anomalyFlags: anomalies.flags,
+        validationWarnings
+      });
 
       console.log('='.repeat(80));
       console.log('✅ Report processing complete!');
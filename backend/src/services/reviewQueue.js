@@ -0,0 +1,297 @@
+"use strict";
+/**
+ * Review Queue
+ *
+ * One queue for everything someone should check before it is trusted:
+ * extracted personnel, vendors and constraints scoring below the review
+ * threshold, crew names that did not match an employee exactly, and payroll
+ * hours outside a normal shift.
+ *
+ * Items live in sitelogix-review-queue under their report
+ * (PK REPORT#{reportId}, SK {type}#{key}); GSI1-StatusIndex
+ * (review_status, queued_at) serves the open queue newest first.
+ * Re-running a stage replaces that stage's open items for the report, while
+ * items someone has already resolved stay resolved.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ReviewQueue = exports.PAYROLL_REVIEW_TYPES = exports.EXTRACTION_REVIEW_TYPES = exports.REVIEW_TYPES = exports.REVIEW_STATUS_INDEX = exports.REVIEW_QUEUE_TABLE = void 0;
+exports.reviewKey = reviewKey;
+exports.parseReviewId = parseReviewId;
+exports.formatReviewItem = formatReviewItem;
+exports.extractionReviewItems = extractionReviewItems;
+exports.payrollReviewItems = payrollReviewItems;
+exports.reviewQueryParams = reviewQueryParams;
+const client_dynamodb_1 = require("@aws-sdk/client-dynamodb");
+const util_dynamodb_1 = require("@aws-sdk/util-dynamodb");
+const confidenceScoringService_1 = require("./confidenceScoringService");
+exports.REVIEW_QUEUE_TABLE = 'sitelogix-review-queue';
+exports.REVIEW_STATUS_INDEX = 'GSI1-StatusIndex';
+exports.REVIEW_TYPES = ['personnel', 'personnel_match', 'payroll_hours', 'vendor', 'constraint'];
+// Types each pipeline stage owns, replaced together when the stage re-runs
+exports.EXTRACTION_REVIEW_TYPES = ['personnel', 'vendor', 'constraint'];
+exports.PAYROLL_REVIEW_TYPES = ['personnel_match', 'payroll_hours'];
+// reviewId is "{reportId}~{type}~{key}"; report ids and keys never contain "~"
+const ID_SEPARATOR = '~';
+/**
+ * Stable key for an entity within its report, e.g. "Jim O'Loughlin" -> "jim-o-loughlin"
+ */
+function reviewKey(text) {
+    return String(text ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80);
+}
+function sortKey(type, key) {
+    return `${type}#${key}`;
+}
+/**
+ * Table key for a reviewId, or null when it is not one we issued
+ */
+function parseReviewId(reviewId) {
+    const [reportId, type, key, ...rest] = String(reviewId).split(ID_SEPARATOR);
+    if (!reportId || !key || rest.length > 0 || !exports.REVIEW_TYPES.includes(type)) {
+        return null;
+    }
+    return { PK: `REPORT#${reportId}`, SK: sortKey(type, key) };
+}
+/**
+ * Public view of a stored review item
+ */
+function formatReviewItem(record) {
+    return {
+        reviewId: record.review_id,
+        type: record.review_type,
+        key: record.entity_key,
+        label: record.label,
+        reason: record.reason,
+        confidence: record.confidence ?? null,
+        details: record.details || {},
+        reportId: record.report_id,
+        projectId: record.project_id,
+        projectName: record.project_name || null,
+        reportDate: record.report_date,
+        status: record.review_status,
+        queuedAt: record.queued_at,
+        resolvedAt: record.resolved_at || null,
+        resolvedBy: record.resolved_by || null,
+        note: record.resolution_note || null
+    };
+}
+/**
+ * Keys of items with the same name get a suffix so both are queued
+ */
+function uniqueKey(key, used) {
+    let candidate = key;
+    for (let n = 2; used.has(candidate); n++) {
+        candidate = `${key}-${n}`;
+    }
+    used.add(candidate);
+    return candidate;
+}
+/**
+ * Review items for the scored personnel, vendors and constraints of an
+ * extraction (see ConfidenceScoringService.scoreExtraction)
+ */
+function extractionReviewItems(scoredData) {
+    const sections = [
+        ['personnel', 'personnel', 'fullName'],
+        ['vendors', 'vendor', 'companyName'],
+        ['constraints', 'constraint', 'title']
+    ];
+    const items = [];
+    for (const [section, type, nameField] of sections) {
+        const used = new Set();
+        (Array.isArray(scoredData?.[section]) ? scoredData[section] : []).forEach((entity, index) => {
+            const score = entity?.confidenceScore;
+            if (!score?.requiresReview)
+                return;
+            const label = entity[nameField] || `${type} ${index + 1}`;
+            items.push({
+                type,
+                key: uniqueKey(reviewKey(label) || String(index + 1), used),
+                label,
+                reason: score.reviewReason || `Low confidence score: ${score.overall}%`,
+                confidence: score.overall,
+                details: entity
+            });
+        });
+    }
+    return items;
+}
+/**
+ * Review items for payroll: crew names that did not match an employee
+ * exactly (the same entries payroll flags needs_review) and hours scoring
+ * below the threshold
+ *
+ * @param employees - Payroll extraction employees ({name, regular_hours, ...})
+ * @param matchResults - createPayrollEntriesFromExtraction matchResults
+ */
+function payrollReviewItems(employees, matchResults, threshold = (0, confidenceScoringService_1.reviewThreshold)()) {
+    const scoring = (0, confidenceScoringService_1.getConfidenceScoringService)();
+    const items = [];
+    const usedMatches = new Set();
+    const usedHours = new Set();
+    for (const match of matchResults || []) {
+        if (match.success && match.confidence === 'exact' && !match.needsReview)
+            continue;
+        let reason;
+        if (!match.success) {
+            reason = `No employee record matched "${match.name}"${match.error ? `: ${match.error}` : ''}`;
+        }
+        else if (match.confidence === 'new_employee') {
+            reason = `"${match.name}" did not match an employee; a new employee record was created`;
+        }
+        else {
+            reason = `"${match.name}" matched ${match.fullName} (${match.employeeNumber}) with ${match.confidence} confidence`;
+        }
+        items.push({
+            type: 'personnel_match',
+            key: uniqueKey(reviewKey(match.name), usedMatches),
+            label: match.name,
+            reason,
+            confidence: match.success ? confidenceScoringService_1.MATCH_LEVEL_CONFIDENCE[match.confidence] ?? null : 0,
+            details: match
+        });
+    }
+    for (const employee of employees || []) {
+        const regular = Number(employee.regular_hours) || 0;
+        const overtime = (Number(employee.overtime_hours) || 0) + (Number(employee.double_time_hours) || 0);
+        const confidence = scoring.calculateHoursConfidence(regular, overtime, '');
+        if (confidence >= threshold)
+            continue;
+        items.push({
+            type: 'payroll_hours',
+            key: uniqueKey(reviewKey(employee.name), usedHours),
+            label: employee.name,
+            reason: `${regular} regular and ${overtime} overtime hours is outside a normal shift`,
+            confidence,
+            details: employee
+        });
+    }
+    return items;
+}
+/**
+ * Query input for the queue, newest first
+ */
+function reviewQueryParams(filters = {}) {
+    const conditions = [];
+    const values = { ':status': filters.status || 'open' };
+    if (filters.type) {
+        conditions.push('review_type = :type');
+        values[':type'] = filters.type;
+    }
+    if (filters.projectId) {
+        conditions.push('project_id = :projectId');
+        values[':projectId'] = filters.projectId;
+    }
+    return {
+        TableName: exports.REVIEW_QUEUE_TABLE,
+        IndexName: exports.REVIEW_STATUS_INDEX,
+        KeyConditionExpression: 'review_status = :status',
+        ...(conditions.length > 0 ? { FilterExpression: conditions.join(' AND ') } : {}),
+        ExpressionAttributeValues: (0, util_dynamodb_1.marshall)(values),
+        ScanIndexForward: false
+    };
+}
+class ReviewQueue {
+    constructor(client, tableName = exports.REVIEW_QUEUE_TABLE) {
+        this.client = client;
+        this.tableName = tableName;
+    }
+    /**
+     * Every item stored for a report
+     */
+    async reportItems(reportId) {
+        const items = [];
+        let startKey;
+        do {
+            const result = await this.client.send(new client_dynamodb_1.QueryCommand({
+                TableName: this.tableName,
+                KeyConditionExpression: 'PK = :pk',
+                ExpressionAttributeValues: (0, util_dynamodb_1.marshall)({ ':pk': `REPORT#${reportId}` }),
+                ExclusiveStartKey: startKey
+            }));
+            items.push(...(result.Items || []).map(item => (0, util_dynamodb_1.unmarshall)(item)));
+            startKey = result.LastEvaluatedKey;
+        } while (startKey);
+        return items;
+    }
+    /**
+     * Replace a report's open items of the given types with `items`
+     *
+     * Open items no longer raised are removed; an item that was resolved is
+     * not queued again.
+     */
+    async replaceReportItems(report, types, items) {
+        const existing = new Map((await this.reportItems(report.reportId)).map(record => [record.SK, record]));
+        const wanted = new Set(items.map(item => sortKey(item.type, item.key)));
+        let cleared = 0;
+        let queued = 0;
+        for (const record of existing.values()) {
+            if (record.review_status === 'open' && types.includes(record.review_type) && !wanted.has(record.SK)) {
+                await this.client.send(new client_dynamodb_1.DeleteItemCommand({
+                    TableName: this.tableName,
+                    Key: (0, util_dynamodb_1.marshall)({ PK: record.PK, SK: record.SK })
+                }));
+                cleared++;
+            }
+        }
+        const now = new Date().toISOString();
+        for (const item of items) {
+            const SK = sortKey(item.type, item.key);
+            const previous = existing.get(SK);
+            if (previous && previous.review_status !== 'open')
+                continue;
+            await this.client.send(new client_dynamodb_1.PutItemCommand({
+                TableName: this.tableName,
+                Item: (0, util_dynamodb_1.marshall)({
+                    PK: `REPORT#${report.reportId}`,
+                    SK,
+                    review_id: [report.reportId, item.type, item.key].join(ID_SEPARATOR),
+                    review_type: item.type,
+                    entity_key: item.key,
+                    label: item.label,
+                    reason: item.reason,
+                    confidence: item.confidence,
+                    details: item.details,
+                    report_id: report.reportId,
+                    project_id: report.projectId,
+                    project_name: report.projectName,
+                    report_date: report.reportDate,
+                    review_status: 'open',
+                    queued_at: previous?.queued_at || now,
+                    updated_at: now
+                }, { removeUndefinedValues: true, convertClassInstanceToMap: true })
+            }));
+            queued++;
+        }
+        return { queued, cleared };
+    }
+    /**
+     * Mark an item resolved; null when there is no such item
+     */
+    async resolve(reviewId, { resolvedBy, note }) {
+        const key = parseReviewId(reviewId);
+        if (!key)
+            return null;
+        try {
+            const result = await this.client.send(new client_dynamodb_1.UpdateItemCommand({
+                TableName: this.tableName,
+                Key: (0, util_dynamodb_1.marshall)(key),
+                UpdateExpression: 'SET review_status = :resolved, resolved_at = :now, resolved_by = :by, resolution_note = :note, updated_at = :now',
+                ConditionExpression: 'attribute_exists(PK)',
+                ExpressionAttributeValues: (0, util_dynamodb_1.marshall)({
+                    ':resolved': 'resolved',
+                    ':now': new Date().toISOString(),
+                    ':by': resolvedBy,
+                    ':note': note || null
+                }),
+                ReturnValues: 'ALL_NEW'
+            }));
+            return formatReviewItem((0, util_dynamodb_1.unmarshall)(result.Attributes || {}));
+        }
+        catch (error) {
+            if (error?.name === 'ConditionalCheckFailedException')
+                return null;
+            throw error;
+        }
+    }
+}
+exports.ReviewQueue = ReviewQueue;
@@ -0,0 +1,174 @@
+/**
+ * Review Queue Tests
+ *
+ * Building review items from scored extractions and payroll matches, and
+ * keeping a report's items in sync (against the local DynamoDB stand-in).
+ */
+
+const { GetItemCommand, ScanCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { LocalDynamoDB, localClient } = require('../local/dynamodb');
+const { loadTableDefinitions } = require('../local/seed');
+const {
+  ReviewQueue,
+  EXTRACTION_REVIEW_TYPES,
+  PAYROLL_REVIEW_TYPES,
+  reviewKey,
+  parseReviewId,
+  extractionReviewItems,
+  payrollReviewItems,
+  reviewQueryParams
+} = require('./reviewQueue');
+
+const REPORT = { reportId: 'rpt_1', projectId: 'proj_001', projectName: 'Parkway Plaza', reportDate: '2026-10-19' };
+
+const lowScore = { overall: 50, requiresReview: true, reviewReason: 'Low confidence score: 50.0%' };
+const highScore = { overall: 95, requiresReview: false };
+
+describe('reviewKey and parseReviewId', () => {
+  it('should slug names into keys', () => {
+    expect(reviewKey("Jim O'Loughlin")).toBe('jim-o-loughlin');
+    expect(reviewKey('  Ferguson Supply, Inc. ')).toBe('ferguson-supply-inc');
+    expect(reviewKey(null)).toBe('');
+  });
+
+  it('should map a review id to its table key and reject others', () => {
+    expect(parseReviewId('rpt_1~vendor~ferguson')).toEqual({ PK: 'REPORT#rpt_1', SK: 'vendor#ferguson' });
+    expect(parseReviewId('rpt_1~invoice~ferguson')).toBeNull();
+    expect(parseReviewId('rpt_1~vendor')).toBeNull();
+    expect(parseReviewId('rpt_1~vendor~a~b')).toBeNull();
+  });
+});
+
+describe('extractionReviewItems', () => {
+  it('should queue the scored items that require review', () => {
+    const items = extractionReviewItems({
+      personnel: [
+        { fullName: 'Wes Clark', confidenceScore: highScore },
+        { fullName: 'Jim', confidenceScore: lowScore },
+        { fullName: 'Jim', confidenceScore: lowScore }
+      ],
+      vendors: [{ companyName: 'Ferguson', confidenceScore: lowScore }],
+      constraints: [{ confidenceScore: { overall: 88, requiresReview: true, reviewReason: 'Critical safety or project issue detected' } }]
+    });
+
+    expect(items.map(item => [item.type, item.key, item.reason])).toEqual([
+      ['personnel', 'jim', 'Low confidence score: 50.0%'],
+      ['personnel', 'jim-2', 'Low confidence score: 50.0%'],
+      ['vendor', 'ferguson', 'Low confidence score: 50.0%'],
+      ['constraint', 'constraint-1', 'Critical safety or project issue detected']
+    ]);
+    expect(items[2]).toEqual(expect.objectContaining({ label: 'Ferguson', confidence: 50 }));
+  });
+
+  it('should queue nothing for unscored data', () => {
+    expect(extractionReviewItems({ personnel: [{ fullName: 'Wes Clark' }] })).toEqual([]);
+    expect(extractionReviewItems(null)).toEqual([]);
+  });
+});
+
+describe('payrollReviewItems', () => {
+  const employees = [
+    { name: 'Wes Clark', regular_hours: 8, overtime_hours: 0 },
+    { name: 'Jimmy', regular_hours: 8, overtime_hours: 2 },
+    { name: 'Bob', regular_hours: 18, overtime_hours: 4 }
+  ];
+
+  it('should queue inexact name matches and unusual hours', () => {
+    const items = payrollReviewItems(employees, [
+      { name: 'Wes Clark', success: true, confidence: 'exact', fullName: 'Wes Clark', employeeNumber: 'E001' },
+      { name: 'Jimmy', success: true, confidence: 'medium', fullName: "Jim O'Loughlin", employeeNumber: 'E002' },
+      { name: 'Bob', success: false, error: 'Personnel service unavailable' }
+    ], 60);
+
+    expect(items.map(item => [item.type, item.key, item.confidence])).toEqual([
+      ['personnel_match', 'jimmy', 70],
+      ['personnel_match', 'bob', 0],
+      ['payroll_hours', 'bob', 50]
+    ]);
+    expect(items[0].reason).toBe(`"Jimmy" matched Jim O'Loughlin (E002) with medium confidence`);
+    expect(items[1].reason).toBe('No employee record matched "Bob": Personnel service unavailable');
+  });
+
+  it('should queue exact matches payroll still flagged', () => {
+    const items = payrollReviewItems([], [
+      { name: 'Wes Clark', success: true, confidence: 'exact', needsReview: true, fullName: 'Wes Clark', employeeNumber: 'E001' }
+    ]);
+
+    expect(items).toHaveLength(1);
+    expect(items[0].confidence).toBe(100);
+  });
+});
+
+describe('reviewQueryParams', () => {
+  it('should query open items newest first with optional filters', () => {
+    expect(reviewQueryParams()).toEqual(expect.objectContaining({
+      IndexName: 'GSI1-StatusIndex',
+      KeyConditionExpression: 'review_status = :status',
+      ScanIndexForward: false
+    }));
+    expect(reviewQueryParams().FilterExpression).toBeUndefined();
+
+    const params = reviewQueryParams({ status: 'resolved', type: 'vendor', projectId: 'proj_001' });
+    expect(params.FilterExpression).toBe('review_type = :type AND project_id = :projectId');
+    expect(unmarshall(params.ExpressionAttributeValues)).toEqual({ ':status': 'resolved', ':type': 'vendor', ':projectId': 'proj_001' });
+  });
+});
+
+describe('ReviewQueue', () => {
+  let client;
+  let queue;
+
+  async function stored() {
+    const result = await client.send(new ScanCommand({ TableName: 'sitelogix-review-queue' }));
+    return result.Items.map(record => unmarshall(record)).map(item => `${item.SK}:${item.review_status}`).sort();
+  }
+  const item = (type, key) => ({ type, key, label: key, reason: 'Low confidence', confidence: 40, details: {} });
+
+  beforeEach(() => {
+    client = localClient(new LocalDynamoDB({ definitions: loadTableDefinitions() }));
+    queue = new ReviewQueue(client);
+  });
+
+  it('should replace only the open items of the stage that re-ran', async () => {
+    await queue.replaceReportItems(REPORT, EXTRACTION_REVIEW_TYPES, [item('personnel', 'jim'), item('vendor', 'ferguson')]);
+    await queue.replaceReportItems(REPORT, PAYROLL_REVIEW_TYPES, [item('personnel_match', 'jimmy')]);
+
+    const result = await queue.replaceReportItems(REPORT, EXTRACTION_REVIEW_TYPES, [item('vendor', 'ferguson')]);
+
+    expect(result).toEqual({ queued: 1, cleared: 1 });
+    expect(await stored()).toEqual(['personnel_match#jimmy:open', 'vendor#ferguson:open']);
+    const { Item } = await client.send(new GetItemCommand({
+      TableName: 'sitelogix-review-queue',
+      Key: marshall({ PK: 'REPORT#rpt_1', SK: 'vendor#ferguson' })
+    }));
+    expect(unmarshall(Item)).toEqual(expect.objectContaining({
+      review_id: 'rpt_1~vendor~ferguson',
+      project_id: 'proj_001',
+      report_date: '2026-10-19'
+    }));
+  });
+
+  it('should keep resolved items resolved when a stage re-runs', async () => {
+    await queue.replaceReportItems(REPORT, EXTRACTION_REVIEW_TYPES, [item('personnel', 'jim')]);
+    const resolved = await queue.resolve('rpt_1~personnel~jim', { resolvedBy: 'Dana Chen', note: 'Checked the sign-in sheet' });
+
+    expect(resolved).toEqual(expect.objectContaining({
+      reviewId: 'rpt_1~personnel~jim',
+      status: 'resolved',
+      resolvedBy: 'Dana Chen',
+      note: 'Checked the sign-in sheet'
+    }));
+
+    const result = await queue.replaceReportItems(REPORT, EXTRACTION_REVIEW_TYPES, []);
+    await queue.replaceReportItems(REPORT, EXTRACTION_REVIEW_TYPES, [item('personnel', 'jim')]);
+
+    expect(result).toEqual({ queued: 0, cleared: 0 });
+    expect(await stored()).toEqual(['personnel#jim:resolved']);
+  });
+
+  it('should return null when resolving an item that does not exist', async () => {
+    expect(await queue.resolve('rpt_1~vendor~ferguson', { resolvedBy: 'Dana Chen' })).toBeNull();
+    expect(await queue.resolve('not-a-review-id', { resolvedBy: 'Dana Chen' })).toBeNull();
+  });
+});
@@ -0,0 +1,352 @@
+/**
+ * Review Queue
+ *
+ * One queue for everything someone should check before it is trusted:
+ * extracted personnel, vendors and constraints scoring below the review
+ * threshold, crew names that did not match an employee exactly, and payroll
+ * hours outside a normal shift.
+ *
+ * Items live in sitelogix-review-queue under their report
+ * (PK REPORT#{reportId}, SK {type}#{key}); GSI1-StatusIndex
+ * (review_status, queued_at) serves the open queue newest first.
+ * Re-running a stage replaces that stage's open items for the report, while
+ * items someone has already resolved stay resolved.
+ */
+
+import {
+  DeleteItemCommand,
+  DynamoDBClient,
+  PutItemCommand,
+  QueryCommand,
+  QueryCommandInput,
+  UpdateItemCommand
+} from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { MATCH_LEVEL_CONFIDENCE, getConfidenceScoringService, reviewThreshold } from './confidenceScoringService';
+
+export const REVIEW_QUEUE_TABLE = 'sitelogix-review-queue';
+export const REVIEW_STATUS_INDEX = 'GSI1-StatusIndex';
+
+export const REVIEW_TYPES = ['personnel', 'personnel_match', 'payroll_hours', 'vendor', 'constraint'] as const;
+export type ReviewType = typeof REVIEW_TYPES[number];
+
+// Types each pipeline stage owns, replaced together when the stage re-runs
+export const EXTRACTION_REVIEW_TYPES: ReviewType[] = ['personnel', 'vendor', 'constraint'];
+export const PAYROLL_REVIEW_TYPES: ReviewType[] = ['personnel_match', 'payroll_hours'];
+
+export type ReviewStatus = 'open' | 'resolved';
+
+export interface ReviewReport {
+  reportId: string;
+  projectId: string;
+  projectName?: string;
+  reportDate: string;
+}
+
+export interface NewReviewItem {
+  type: ReviewType;
+  key: string;
+  label: string;
+  reason: string;
+  confidence: number | null;
+  details: Record<string, unknown>;
+}
+
+export interface ReviewItem extends NewReviewItem {
+  reviewId: string;
+  reportId: string;
+  projectId: string;
+  projectName: string | null;
+  reportDate: string;
+  status: ReviewStatus;
+  queuedAt: string;
+  resolvedAt: string | null;
+  resolvedBy: string | null;
+  note: string | null;
+}
+
+// reviewId is "{reportId}~{type}~{key}"; report ids and keys never contain "~"
+const ID_SEPARATOR = '~';
+
+/**
+ * Stable key for an entity within its report, e.g. "Jim O'Loughlin" -> "jim-o-loughlin"
+ */
+export function reviewKey(text: unknown): string {
+  return String(text ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80);
+}
+
+function sortKey(type: string, key: string): string {
+  return `${type}#${key}`;
+}
+
+/**
+ * Table key for a reviewId, or null when it is not one we issued
+ */
+export function parseReviewId(reviewId: string): { PK: string; SK: string } | null {
+  const [reportId, type, key, ...rest] = String(reviewId).split(ID_SEPARATOR);
+  if (!reportId || !key || rest.length > 0 || !(REVIEW_TYPES as readonly string[]).includes(type)) {
+    return null;
+  }
+  return { PK: `REPORT#${reportId}`, SK: sortKey(type, key) };
+}
+
+/**
+ * Public view of a stored review item
+ */
+export function formatReviewItem(record: any): ReviewItem {
+  return {
+    reviewId: record.review_id,
+    type: record.review_type,
+    key: record.entity_key,
+    label: record.label,
+    reason: record.reason,
+    confidence: record.confidence ?? null,
+    details: record.details || {},
+    reportId: record.report_id,
+    projectId: record.project_id,
+    projectName: record.project_name || null,
+    reportDate: record.report_date,
+    status: record.review_status,
+    queuedAt: record.queued_at,
+    resolvedAt: record.resolved_at || null,
+    resolvedBy: record.resolved_by || null,
+    note: record.resolution_note || null
+  };
+}
+
+/**
+ * Keys of items with the same name get a suffix so both are queued
+ */
+function uniqueKey(key: string, used: Set<string>): string {
+  let candidate = key;
+  for (let n = 2; used.has(candidate); n++) {
+    candidate = `${key}-${n}`;
+  }
+  used.add(candidate);
+  return candidate;
+}
+
+/**
+ * Review items for the scored personnel, vendors and constraints of an
+ * extraction (see ConfidenceScoringService.scoreExtraction)
+ */
+export function extractionReviewItems(scoredData: any): NewReviewItem[] {
+  const sections: [string, ReviewType, string][] = [
+    ['personnel', 'personnel', 'fullName'],
+    ['vendors', 'vendor', 'companyName'],
+    ['constraints', 'constraint', 'title']
+  ];
+  const items: NewReviewItem[] = [];
+
+  for (const [section, type, nameField] of sections) {
+    const used = new Set<string>();
+    (Array.isArray(scoredData?.[section]) ? scoredData[section] : []).forEach((entity: any, index: number) => {
+      const score = entity?.confidenceScore;
+      if (!score?.requiresReview) return;
+
+      const label = entity[nameField] || `${type} ${index + 1}`;
+      items.push({
+        type,
+        key: uniqueKey(reviewKey(label) || String(index + 1), used),
+        label,
+        reason: score.reviewReason || `Low confidence score: ${score.overall}%`,
+        confidence: score.overall,
+        details: entity
+      });
+    });
+  }
+  return items;
+}
+
+/**
+ * Review items for payroll: crew names that did not match an employee
+ * exactly (the same entries payroll flags needs_review) and hours scoring
+ * below the threshold
+ *
+ * @param employees - Payroll extraction employees ({name, regular_hours, ...})
+ * @param matchResults - createPayrollEntriesFromExtraction matchResults
+ */
+export function payrollReviewItems(employees: any[], matchResults: any[], threshold: number = reviewThreshold()): NewReviewItem[] {
+  const scoring = getConfidenceScoringService();
+  const items: NewReviewItem[] = [];
+  const usedMatches = new Set<string>();
+  const usedHours = new Set<string>();
+
+  for (const match of matchResults || []) {
+    if (match.success && match.confidence === 'exact' && !match.needsReview) continue;
+
+    let reason: string;
+    if (!match.success) {
+      reason = `No employee record matched "${match.name}"${match.error ? `: ${match.error}` : ''}`;
+    } else if (match.confidence === 'new_employee') {
+      reason = `"${match.name}" did not match an employee; a new employee record was created`;
+    } else {
+      reason = `"${match.name}" matched ${match.fullName} (${match.employeeNumber}) with ${match.confidence} confidence`;
+    }
+
+    items.push({
+      type: 'personnel_match',
+      key: uniqueKey(reviewKey(match.name), usedMatches),
+      label: match.name,
+      reason,
+      confidence: match.success ? MATCH_LEVEL_CONFIDENCE[match.confidence] ?? null : 0,
+      details: match
+    });
+  }
+
+  for (const employee of employees || []) {
+    const regular = Number(employee.regular_hours) || 0;
+    const overtime = (Number(employee.overtime_hours) || 0) + (Number(employee.double_time_hours) || 0);
+    const confidence = scoring.calculateHoursConfidence(regular, overtime, '');
+    if (confidence >= threshold) continue;
+
+    items.push({
+      type: 'payroll_hours',
+      key: uniqueKey(reviewKey(employee.name), usedHours),
+      label: employee.name,
+      reason: `${regular} regular and ${overtime} overtime hours is outside a normal shift`,
+      confidence,
+      details: employee
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Query input for the queue, newest first
+ */
+export function reviewQueryParams(filters: { status?: ReviewStatus; type?: string; projectId?: string } = {}): QueryCommandInput {
+  const conditions: string[] = [];
+  const values: Record<string, unknown> = { ':status': filters.status || 'open' };
+
+  if (filters.type) {
+    conditions.push('review_type = :type');
+    values[':type'] = filters.type;
+  }
+  if (filters.projectId) {
+    conditions.push('project_id = :projectId');
+    values[':projectId'] = filters.projectId;
+  }
+
+  return {
+    TableName: REVIEW_QUEUE_TABLE,
+    IndexName: REVIEW_STATUS_INDEX,
+    KeyConditionExpression: 'review_status = :status',
+    ...(conditions.length > 0 ? { FilterExpression: conditions.join(' AND ') } : {}),
+    ExpressionAttributeValues: marshall(values),
+    ScanIndexForward: false
+  };
+}
+
+export class ReviewQueue {
+  constructor(private client: DynamoDBClient, private tableName: string = REVIEW_QUEUE_TABLE) {}
+
+  /**
+   * Every item stored for a report
+   */
+  async reportItems(reportId: string): Promise<any[]> {
+    const items: any[] = [];
+    let startKey: Record<string, any> | undefined;
+
+    do {
+      const result = await this.client.send(new QueryCommand({
+        TableName: this.tableName,
+        KeyConditionExpression: 'PK = :pk',
+        ExpressionAttributeValues: marshall({ ':pk': `REPORT#${reportId}` }),
+        ExclusiveStartKey: startKey
+      }));
+      items.push(...(result.Items || []).map(item => unmarshall(item)));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+
+    return items;
+  }
+
+  /**
+   * Replace a report's open items of the given types with `items`
+   *
+   * Open items no longer raised are removed; an item that was resolved is
+   * not queued again.
+   */
+  async replaceReportItems(
+    report: ReviewReport,
+    types: ReviewType[],
+    items: NewReviewItem[]
+  ): Promise<{ queued: number; cleared: number }> {
+    const existing = new Map((await this.reportItems(report.reportId)).map(record => [record.SK, record]));
+    const wanted = new Set(items.map(item => sortKey(item.type, item.key)));
+    let cleared = 0;
+    let queued = 0;
+
+    for (const record of existing.values()) {
+      if (record.review_status === 'open' && types.includes(record.review_type) && !wanted.has(record.SK)) {
+        await this.client.send(new DeleteItemCommand({
+          TableName: this.tableName,
+          Key: marshall({ PK: record.PK, SK: record.SK })
+        }));
+        cleared++;
+      }
+    }
+
+    const now = new Date().toISOString();
+    for (const item of items) {
+      const SK = sortKey(item.type, item.key);
+      const previous = existing.get(SK);
+      if (previous && previous.review_status !== 'open') continue;
+
+      await this.client.send(new PutItemCommand({
+        TableName: this.tableName,
+        Item: marshall({
+          PK: `REPORT#${report.reportId}`,
+          SK,
+          review_id: [report.reportId, item.type, item.key].join(ID_SEPARATOR),
+          review_type: item.type,
+          entity_key: item.key,
+          label: item.label,
+          reason: item.reason,
+          confidence: item.confidence,
+          details: item.details,
+          report_id: report.reportId,
+          project_id: report.projectId,
+          project_name: report.projectName,
+          report_date: report.reportDate,
+          review_status: 'open',
+          queued_at: previous?.queued_at || now,
+          updated_at: now
+        }, { removeUndefinedValues: true, convertClassInstanceToMap: true })
+      }));
+      queued++;
+    }
+
+    return { queued, cleared };
+  }
+
+  /**
+   * Mark an item resolved; null when there is no such item
+   */
+  async resolve(reviewId: string, { resolvedBy, note }: { resolvedBy: string; note?: string | null }): Promise<ReviewItem | null> {
+    const key = parseReviewId(reviewId);
+    if (!key) return null;
+
+    try {
+      const result = await this.client.send(new UpdateItemCommand({
+        TableName: this.tableName,
+        Key: marshall(key),
+        UpdateExpression: 'SET review_status = :resolved, resolved_at = :now, resolved_by = :by, resolution_note = :note, updated_at = :now',
+        ConditionExpression: 'attribute_exists(PK)',
+        ExpressionAttributeValues: marshall({
+          ':resolved': 'resolved',
+          ':now': new Date().toISOString(),
+          ':by': resolvedBy,
+          ':note': note || null
+        }),
+        ReturnValues: 'ALL_NEW'
+      }));
+      return formatReviewItem(unmarshall(result.Attributes || {}));
+    } catch (error: any) {
+      if (error?.name === 'ConditionalCheckFailedException') return null;
+      throw error;
+    }
+  }
+}
@@ -1,11 +1,12 @@
 /**
  * Transcript Analysis Service
  *
- * Uses AI (Claude or GPT-4) to extract structured data from conversation transcripts
+ * Uses AI (Claude or GPT-4) to extract structured data from conversation transcripts.
+ * The model comes from the registry's 'report-extraction' task.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
-import OpenAI from 'openai';
+import { AIModelRegistry, LLMTaskModel, runLLMTask } from './aiModelRegistry';
+import { AnthropicProvider, OpenAIProvider } from './llmProviders';
 
 interface TranscriptMessage {
   role: 'user' | 'agent';
@@ -87,23 +88,33 @@ export interface ExtractedReportData {
   timeSummary: TimeSummary;
 }
 
-export class TranscriptAnalysisService {
-  private anthropic: Anthropic | null = null;
-  private openai: OpenAI | null = null;
-  private preferredModel: 'claude' | 'gpt4' = 'claude';
+const PREFERRED_MODELS: Record<'claude' | 'gpt4', Partial<LLMTaskModel>> = {
+  claude: { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022' },
+  gpt4: { provider: 'openai', model: 'gpt-4-turbo-preview' }
+};
 
+export class TranscriptAnalysisService {
   constructor(config: {
     anthropicApiKey?: string;
     openaiApiKey?: string;
     preferredModel?: 'claude' | 'gpt4';
   }) {
     if (config.anthropicApiKey) {
-      this.anthropic = new Anthropic({ apiKey: config.anthropicApiKey });
+      AIModelRegistry.registerProvider(new AnthropicProvider({ apiKey: config.anthropicApiKey }));
     }
     if (config.openaiApiKey) {
-      this.openai = new OpenAI({ apiKey: config.openaiApiKey });
+      AIModelRegistry.registerProvider(new OpenAIProvider({ apiKey: config.openaiApiKey }));
     }
-    this.preferredModel = config.preferredModel || 'claude';
+
+    // Use the preferred model, or the other one if only its key is configured
+    const preferred = config.preferredModel || 'claude';
+    const fallback = preferred === 'claude' ? 'gpt4' : 'claude';
+    const usable = (choice: 'claude' | 'gpt4') =>
+      AIModelRegistry.getProvider(PREFERRED_MODELS[choice].provider!).isConfigured();
+    AIModelRegistry.setTaskModel(
+      'report-extraction',
+      PREFERRED_MODELS[usable(preferred) || !usable(fallback) ? preferred : fallback]
+    );
   }
 
   /**
@@ -211,78 +222,6 @@ Return ONLY a valid JSON object with this exact structure:
 }`;
   }
 
-  /**
-   * Analyze transcript using Claude
-   */
-  private async analyzeWithClaude(
-    prompt: string
-  ): Promise<ExtractedReportData> {
-    if (!this.anthropic) {
-      throw new Error('Anthropic API key not configured');
-    }
-
-    const message = await this.anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 8000,
-      temperature: 0,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ]
-    });
-
-    const content = message.content[0];
-    if (content.type !== 'text') {
-      throw new Error('Unexpected response type from Claude');
-    }
-
-    // Extract JSON from response (Claude sometimes wraps it in markdown)
-    let jsonText = content.text.trim();
-    if (jsonText.startsWith('```json')) {
-      jsonText = jsonText.replace(/```json\n/, '').replace(/\n```$/, '');
-    } else if (jsonText.startsWith('```')) {
-      jsonText = jsonText.replace(/```\n/, '').replace(/\n```$/, '');
-    }
-
-    return JSON.parse(jsonText);
-  }
-
-  /**
-   * Analyze transcript using GPT-4
-   */
-  private async analyzeWithGPT4(
-    prompt: string
-  ): Promise<ExtractedReportData> {
-    if (!this.openai) {
-      throw new Error('OpenAI API key not configured');
-    }
-
-    const completion = await this.openai.chat.completions.create({
-      model: 'gpt-4-turbo-preview',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an AI assistant specialized in extracting structured construction data from daily report conversations. Always respond with valid JSON only.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0,
-      response_format: { type: 'json_object' }
-    });
-
-    const content = completion.choices[0].message.content;
-    if (!content) {
-      throw new Error('No response from GPT-4');
-    }
-
-    return JSON.parse(content);
-  }
-
   /**
    * Analyze transcript and extract structured data
    */
@@ -301,27 +240,11 @@ Return ONLY a valid JSON object with this exact structure:
       // Build prompt
       const prompt = this.buildExtractionPrompt(rawTranscript, context);
 
-      // Analyze with preferred model
-      let result: ExtractedReportData;
-
-      if (this.preferredModel === 'claude' && this.anthropic) {
-        console.log('🤖 Analyzing transcript with Claude 3.5 Sonnet...');
-        result = await this.analyzeWithClaude(prompt);
-      } else if (this.preferredModel === 'gpt4' && this.openai) {
-        console.log('🤖 Analyzing transcript with GPT-4...');
-        result = await this.analyzeWithGPT4(prompt);
-      } else {
-        // Fallback to available model
-        if (this.anthropic) {
-          console.log('🤖 Analyzing transcript with Claude 3.5 Sonnet (fallback)...');
-          result = await this.analyzeWithClaude(prompt);
-        } else if (this.openai) {
-          console.log('🤖 Analyzing transcript with GPT-4 (fallback)...');
-          result = await this.analyzeWithGPT4(prompt);
-        } else {
-          throw new Error('No AI provider configured');
-        }
-      }
+      const { data: result } = await runLLMTask('report-extraction', {
+        system: 'You are an AI assistant specialized in extracting structured construction data from daily report conversations. Always respond with valid JSON only.',
+        prompt,
+        json: true
+      });
 
       console.log('✅ Transcript analysis complete:');
       console.log(`   - Personnel: ${result.personnel.length}`);
@@ -0,0 +1,173 @@
+/**
+ * Transcript Chunking Tests
+ *
+ * Splitting on speaker turns, merging chunk extractions, and a chunked run
+ * on FakeLLMProvider.
+ */
+
+const { AIModelRegistry } = require('./aiModelRegistry');
+const { FakeLLMProvider } = require('./llmProviders');
+const {
+  estimateTokens,
+  splitTurns,
+  splitTranscript,
+  mergeExtractions,
+  runChunkedExtraction
+} = require('./transcriptChunking');
+
+const TURNS = [
+  'Roxy: Who was on site at Parkway today?',
+  'Manager: Wes Clark and Jim worked eight hours each.',
+  'Roxy: Any deliveries?',
+  'Manager: Ferguson dropped off six inch sleeves around ten.',
+  'Roxy: Now the Riverside site?',
+  'Manager: Jim O\'Loughlin went over there for two hours of overtime. Ferguson Supply brought the rest of the sleeves.'
+];
+const TRANSCRIPT = TURNS.join('\n\n');
+
+describe('splitTranscript', () => {
+  it('should keep a transcript within the budget whole', () => {
+    expect(splitTranscript(TRANSCRIPT, estimateTokens(TRANSCRIPT))).toEqual([TRANSCRIPT]);
+  });
+
+  it('should split between speaker turns and repeat the previous turn', () => {
+    const chunks = splitTranscript(TRANSCRIPT, 40);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(estimateTokens(chunk)).toBeLessThanOrEqual(40);
+      for (const turn of chunk.split('\n\n')) {
+        expect(TURNS).toContain(turn);
+      }
+    }
+    expect(chunks[1].startsWith(chunks[0].split('\n\n').pop())).toBe(true);
+    expect(new Set(chunks.flatMap(chunk => chunk.split('\n\n')))).toEqual(new Set(TURNS));
+  });
+
+  it('should break a turn that is over budget between sentences and keep its speaker', () => {
+    const chunks = splitTranscript(TURNS[5], 20);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.every(chunk => chunk.startsWith('Manager: '))).toBe(true);
+    expect(chunks.join(' ')).toContain('Ferguson Supply brought the rest of the sleeves.');
+  });
+
+  it('should treat continuation lines as part of the turn above', () => {
+    expect(splitTurns('Manager: Wes worked\neight hours\nRoxy: Thanks')).toEqual(['Manager: Wes worked\neight hours', 'Roxy: Thanks']);
+  });
+});
+
+describe('mergeExtractions', () => {
+  const merged = mergeExtractions([
+    {
+      personnel: [
+        { fullName: 'Wes Clark', hoursWorked: 8, overtimeHours: 0, extractedFromText: 'Wes Clark and Jim worked eight hours', confidence: 90 },
+        { fullName: 'Jim', hoursWorked: 8, overtimeHours: null, extractedFromText: 'Wes Clark and Jim worked eight hours', confidence: 70 }
+      ],
+      vendors: [{ companyName: 'Ferguson', materialsDelivered: 'six inch sleeves', deliveryTime: '10:00', extractedFromText: 'Ferguson dropped off six inch sleeves' }],
+      constraints: [{ title: 'Short sleeves', extractedFromText: 'Ferguson dropped off six inch sleeves' }],
+      workLogs: [],
+      timeSummary: { totalPersonnelCount: 2, totalRegularHours: 16, arrivalTime: '7:00' }
+    },
+    {
+      personnel: [{ fullName: "Jim O'Loughlin", hoursWorked: null, overtimeHours: 2, extractedFromText: "Jim O'Loughlin went over there", confidence: 85 }],
+      vendors: [{ companyName: 'Ferguson Supply', materialsDelivered: 'rest of the sleeves', deliveryTime: null, extractedFromText: 'Ferguson Supply brought the rest' }],
+      constraints: [{ title: 'Sleeves short', extractedFromText: 'Ferguson dropped off six inch sleeves' }],
+      workLogs: [],
+      timeSummary: { totalPersonnelCount: 1, totalRegularHours: 0, departureTime: '16:00' }
+    }
+  ]);
+
+  it('should merge people named in several chunks and keep every quote', () => {
+    expect(merged.personnel).toEqual([
+      { fullName: 'Wes Clark', hoursWorked: 8, overtimeHours: 0, extractedFromText: 'Wes Clark and Jim worked eight hours', confidence: 90 },
+      {
+        fullName: "Jim O'Loughlin",
+        hoursWorked: 8,
+        overtimeHours: 2,
+        extractedFromText: "Wes Clark and Jim worked eight hours … Jim O'Loughlin went over there",
+        confidence: 85
+      }
+    ]);
+  });
+
+  it('should merge vendors by company name', () => {
+    expect(merged.vendors).toEqual([{
+      companyName: 'Ferguson Supply',
+      materialsDelivered: 'rest of the sleeves',
+      deliveryTime: '10:00',
+      extractedFromText: 'Ferguson dropped off six inch sleeves … Ferguson Supply brought the rest'
+    }]);
+  });
+
+  it('should drop items repeated from the shared turn', () => {
+    expect(merged.constraints).toHaveLength(1);
+  });
+
+  it('should total the merged people rather than the chunk totals', () => {
+    expect(merged.timeSummary).toEqual({
+      totalPersonnelCount: 2,
+      totalRegularHours: 16,
+      totalOvertimeHours: 2,
+      arrivalTime: '7:00',
+      departureTime: '16:00'
+    });
+  });
+
+  it('should keep people a bare first name could belong to more than one of', () => {
+    const { personnel } = mergeExtractions([
+      { personnel: [{ fullName: 'Mike Smith' }, { fullName: 'Mike Jones' }] },
+      { personnel: [{ fullName: 'Mike', hoursWorked: 8 }] }
+    ]);
+
+    expect(personnel.map(person => person.fullName)).toEqual(['Mike Smith', 'Mike Jones', 'Mike']);
+  });
+});
+
+describe('runChunkedExtraction', () => {
+  let fake;
+
+  beforeEach(() => {
+    process.env.LLM_PROVIDER = 'fake';
+    fake = new FakeLLMProvider().respond('transcript-analytics', (request) => ({
+      personnel: request.prompt.includes('Riverside')
+        ? [{ fullName: "Jim O'Loughlin", overtimeHours: 2, extractedFromText: 'two hours of overtime' }]
+        : [{ fullName: 'Jim', hoursWorked: 8, extractedFromText: 'Jim worked eight hours' }]
+    }));
+    AIModelRegistry.resetProviders();
+    AIModelRegistry.registerProvider(fake);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.LLM_PROVIDER;
+    AIModelRegistry.resetProviders();
+    jest.restoreAllMocks();
+  });
+
+  it('should make one call for a transcript within the budget', async () => {
+    const result = await runChunkedExtraction('transcript-analytics', 'Manager: Jim worked eight hours.', (text, part, total) => `${part}/${total}\n${text}`);
+
+    expect(fake.calls).toHaveLength(1);
+    expect(fake.calls[0].prompt).toBe('1/1\nManager: Jim worked eight hours.');
+    expect(result.chunks).toBe(1);
+  });
+
+  it('should extract each chunk and merge the results', async () => {
+    const result = await runChunkedExtraction('transcript-analytics', TRANSCRIPT, (text, part, total) => `Part ${part} of ${total}\n${text}`, {
+      system: 'JSON only',
+      maxTokens: 40
+    });
+
+    expect(fake.calls.length).toBe(result.chunks);
+    expect(fake.calls.every(call => call.system === 'JSON only')).toBe(true);
+    expect(fake.calls[1].prompt).toContain(`Part 2 of ${result.chunks}`);
+    expect(result.needsReview).toBe(false);
+    expect(result.data.personnel).toEqual([{
+      fullName: "Jim O'Loughlin",
+      hoursWorked: 8,
+      overtimeHours: 2,
+      extractedFromText: 'Jim worked eight hours … two hours of overtime'
+    }]);
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * Transcript Chunking
+ *
+ * Long reports (a superintendent walking through several sites) are split
+ * into chunks that each fit the extraction token budget, extracted one by one
+ * and merged back into a single extraction.
+ *
+ * - Chunks break between speaker turns ("Manager: ...", "Roxy: ..."); a turn
+ *   that alone is over budget is broken between sentences
+ * - Each chunk repeats the last turn of the one before, so an answer keeps
+ *   the question it answers
+ * - Personnel and vendors named in several chunks become one entry; work logs
+ *   and constraints seen twice (from the repeated turn) are kept once
+ * - Every extractedFromText quote is kept, joined with " … "
+ *
+ * Budget: EXTRACTION_CHUNK_TOKENS (transcript tokens per chunk, default 6000)
+ */
+
+import { LLMTask } from './aiModelRegistry';
+import { ExtractionTaskResult, OutputError, runExtractionTask } from './extractionSchema';
+import { namesMatch } from './extractionEvaluation';
+
+export const DEFAULT_CHUNK_TOKENS = 6000;
+
+// Between quotes merged from different chunks
+const QUOTE_SEPARATOR = ' … ';
+
+/**
+ * Rough token count (about 4 characters per token for English)
+ */
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+export function chunkTokenBudget(): number {
+  const configured = Number(process.env.EXTRACTION_CHUNK_TOKENS);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_CHUNK_TOKENS;
+}
+
+/**
+ * Speaker turns: lines starting "Speaker:" begin a new turn
+ */
+export function splitTurns(transcript: string): string[] {
+  const turns: string[] = [];
+  for (const line of transcript.split('\n')) {
+    if (/^[A-Z][\w .'-]{0,40}:\s/.test(line) || turns.length === 0) {
+      turns.push(line);
+    } else {
+      turns[turns.length - 1] += `\n${line}`;
+    }
+  }
+  return turns.map(turn => turn.trim()).filter(Boolean);
+}
+
+/**
+ * Break one oversized turn between sentences, keeping its speaker label on each piece
+ */
+function splitLongTurn(turn: string, maxTokens: number): string[] {
+  const label = turn.match(/^([A-Z][\w .'-]{0,40}:)\s/)?.[1] || '';
+  const body = label ? turn.slice(label.length).trim() : turn;
+  const sentences = body.match(/[^.!?]+(?:[.!?]+|$)/g) || [body];
+  const pieces: string[] = [];
+  let current = '';
+
+  for (const sentence of sentences.map(s => s.trim()).filter(Boolean)) {
+    const candidate = current ? `${current} ${sentence}` : sentence;
+    if (current && estimateTokens(`${label} ${candidate}`) > maxTokens) {
+      pieces.push(current);
+      current = sentence;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) pieces.push(current);
+
+  return pieces.map(piece => (label ? `${label} ${piece}` : piece));
+}
+
+/**
+ * Split a transcript into chunks of at most maxTokens (estimated)
+ * A transcript within the budget comes back as a single chunk.
+ */
+export function splitTranscript(transcript: string, maxTokens: number = chunkTokenBudget()): string[] {
+  if (estimateTokens(transcript) <= maxTokens) {
+    return [transcript];
+  }
+
+  const turns = splitTurns(transcript)
+    .flatMap(turn => (estimateTokens(turn) > maxTokens ? splitLongTurn(turn, maxTokens) : [turn]));
+  const chunks: string[][] = [];
+  let current: string[] = [];
+
+  const size = (parts: string[]) => estimateTokens(parts.join('\n\n'));
+
+  for (const turn of turns) {
+    if (current.length > 0 && size([...current, turn]) > maxTokens) {
+      chunks.push(current);
+      const previous = current[current.length - 1];
+      current = size([previous, turn]) <= maxTokens ? [previous] : [];
+    }
+    current.push(turn);
+  }
+  if (current.length > 0) chunks.push(current);
+
+  return chunks.map(parts => parts.join('\n\n'));
+}
+
+function quotes(item: any): string[] {
+  return typeof item?.extractedFromText === 'string' && item.extractedFromText.trim()
+    ? item.extractedFromText.split(QUOTE_SEPARATOR)
+    : [];
+}
+
+function joinQuotes(a: any, b: any): string | undefined {
+  const all = Array.from(new Set([...quotes(a), ...quotes(b)]));
+  return all.length > 0 ? all.join(QUOTE_SEPARATOR) : undefined;
+}
+
+function isSet(value: unknown): boolean {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Fold a later mention of the same person or vendor into the earlier one:
+ * empty fields are filled, a stated value from a later chunk wins (reports
+ * correct themselves as they go), quotes from both are kept
+ */
+function mergeEntity(earlier: any, later: any, nameField: string): any {
+  const merged: any = { ...earlier };
+  for (const [key, value] of Object.entries(later)) {
+    if (isSet(value) && key !== 'extractedFromText' && key !== 'confidence') {
+      merged[key] = value;
+    }
+  }
+
+  const longer = [earlier[nameField], later[nameField]]
+    .filter(name => typeof name === 'string')
+    .sort((a, b) => b.length - a.length)[0];
+  if (longer) merged[nameField] = longer;
+
+  const quote = joinQuotes(earlier, later);
+  if (quote) merged.extractedFromText = quote;
+
+  if (typeof earlier.confidence === 'number' || typeof later.confidence === 'number') {
+    merged.confidence = Math.max(earlier.confidence ?? 0, later.confidence ?? 0);
+  }
+  return merged;
+}
+
+/**
+ * Add each item to the list, merging it into the one existing entry it
+ * names; a name matching several entries ("Mike" with two Mikes) stays separate
+ */
+function mergeByName(items: any[], names: (item: any) => string[], nameField: string): any[] {
+  const merged: any[] = [];
+  for (const item of items) {
+    const itemNames = names(item);
+    const matches = merged
+      .map((existing, index) => ({ existing, index }))
+      .filter(({ existing }) => names(existing).some(a => itemNames.some(b => namesMatch(a, b))));
+
+    if (matches.length === 1) {
+      merged[matches[0].index] = mergeEntity(matches[0].existing, item, nameField);
+    } else {
+      merged.push(item);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Drop items that repeat an earlier one, e.g. from the turn two chunks share
+ */
+function dedupe(items: any[], key: (item: any) => string): any[] {
+  const seen = new Set<string>();
+  return items.filter(item => {
+    const k = key(item);
+    if (!k) return true;
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+function normalizedText(...values: unknown[]): string {
+  return values.filter(v => typeof v === 'string').join(' ').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function sum(values: unknown[]): number | null {
+  const numbers = values.filter((v): v is number => typeof v === 'number');
+  return numbers.length > 0 ? numbers.reduce((total, n) => total + n, 0) : null;
+}
+
+/**
+ * Merge per-chunk extractions, in transcript order, into one
+ */
+export function mergeExtractions(parts: any[]): any {
+  if (parts.length === 1) {
+    return parts[0];
+  }
+
+  const all = (section: string) => parts.flatMap(part => (Array.isArray(part?.[section]) ? part[section] : []));
+
+  const personnel = mergeByName(
+    all('personnel'),
+    person => [person.fullName, person.goByName].filter(name => typeof name === 'string' && name.trim()),
+    'fullName'
+  );
+  const vendors = mergeByName(
+    all('vendors'),
+    vendor => (typeof vendor.companyName === 'string' && vendor.companyName.trim() ? [vendor.companyName] : []),
+    'companyName'
+  );
+  const workLogs = dedupe(all('workLogs'), log =>
+    normalizedText(log.extractedFromText) || normalizedText(log.teamId, log.level, log.description, log.taskDescription));
+  const constraints = dedupe(all('constraints'), constraint =>
+    normalizedText(constraint.extractedFromText) || normalizedText(constraint.title, constraint.description));
+
+  // Chunk totals would count the repeated turns twice; total the merged people instead
+  const summaries = parts.map(part => part?.timeSummary || {});
+  const regular = sum(personnel.map(person => person.hoursWorked));
+  const overtime = sum(personnel.map(person => person.overtimeHours));
+
+  return {
+    ...parts[0],
+    personnel,
+    workLogs,
+    constraints,
+    vendors,
+    timeSummary: {
+      ...summaries.reduce((merged, summary) => ({ ...merged, ...summary }), {}),
+      totalPersonnelCount: personnel.length,
+      totalRegularHours: regular ?? sum(summaries.map(summary => summary.totalRegularHours)),
+      totalOvertimeHours: overtime ?? sum(summaries.map(summary => summary.totalOvertimeHours)) ?? 0,
+      arrivalTime: summaries.map(summary => summary.arrivalTime).find(isSet) ?? null,
+      departureTime: summaries.map(summary => summary.departureTime).filter(isSet).pop() ?? null
+    }
+  };
+}
+
+export interface ChunkedExtractionResult extends ExtractionTaskResult {
+  chunks: number;
+}
+
+/**
+ * Extract a transcript of any length: one call when it fits the budget,
+ * otherwise one per chunk and a merge
+ *
+ * @param buildPrompt - Prompt for a piece of the transcript; `part` and
+ *   `total` are 1-based and total is 1 for an unsplit transcript
+ */
+export async function runChunkedExtraction(
+  task: LLMTask | string,
+  transcript: string,
+  buildPrompt: (text: string, part: number, total: number) => string,
+  options: { system?: string; maxTokens?: number } = {}
+): Promise<ChunkedExtractionResult> {
+  const chunks = splitTranscript(transcript, options.maxTokens);
+  if (chunks.length > 1) {
+    console.log(`✂️ Transcript is ~${estimateTokens(transcript)} tokens, extracting in ${chunks.length} chunks`);
+  }
+
+  const results: ExtractionTaskResult[] = [];
+  for (const [index, chunk] of chunks.entries()) {
+    results.push(await runExtractionTask(task, {
+      system: options.system,
+      prompt: buildPrompt(chunk, index + 1, chunks.length)
+    }));
+  }
+
+  const errors: OutputError[] = results.flatMap((result, index) =>
+    result.errors.map(error => (chunks.length > 1 ? { ...error, field: `chunk[${index}].${error.field}` } : error)));
+
+  return {
+    data: mergeExtractions(results.map(result => result.data)),
+    needsReview: results.some(result => result.needsReview),
+    errors,
+    attempts: results.reduce((total, result) => total + result.attempts, 0),
+    coerced: results.reduce((total, result) => total + result.coerced, 0),
+    completion: results[results.length - 1].completion,
+    chunks: chunks.length
+  };
+}
@@ -0,0 +1,183 @@
+"use strict";
+/**
+ * Transcript Provenance
+ *
+ * Links each extracted personnel, vendor and constraint item back to where it
+ * was said: the extractedFromText quotes the model returns are located in the
+ * conversation's turns, so reviewers can jump from "Wes Clark, 10 hours" to
+ * the sentence that claims it.
+ *
+ * - Turn indexes are positions in the ElevenLabs transcript array (the same
+ *   order the transcript viewer shows); spans are character offsets into the
+ *   turn's message
+ * - Quotes are matched ignoring case and punctuation first, then by the
+ *   closest run of words, since models tidy up what they quote
+ * - Manager turns are searched before Roxy's, so a quote Roxy read back
+ *   points at what the manager said
+ * - timeInCallSecs is the turn's start in the call recording when ElevenLabs
+ *   provides it (time_in_call_secs), otherwise null
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.PROVENANCE_SECTIONS = void 0;
+exports.transcriptTurns = transcriptTurns;
+exports.locateQuote = locateQuote;
+exports.locateSources = locateSources;
+exports.attachSources = attachSources;
+const transcriptChunking_1 = require("./transcriptChunking");
+exports.PROVENANCE_SECTIONS = ['personnel', 'vendors', 'constraints'];
+// Share of a quote's words a fuzzy match has to find in one place
+const MIN_FUZZY_SCORE = 0.6;
+// Quotes merged across chunks are joined with " … "; models also elide with "..."
+const QUOTE_BREAK = /\s*(?:…|\.{3})\s*/;
+const SPEAKER_LABEL = /^([A-Z][\w .'-]{0,40}):\s/;
+/**
+ * Turns of a transcript: an ElevenLabs conversation ({transcript: [...]}),
+ * its message array, or plain "Speaker: ..." text
+ */
+function transcriptTurns(transcript) {
+    const messages = Array.isArray(transcript) ? transcript : transcript?.transcript;
+    if (Array.isArray(messages)) {
+        return messages.map((msg, index) => {
+            const role = msg?.role === 'user' ? 'user' : 'agent';
+            return {
+                index,
+                role,
+                speaker: role === 'user' ? 'Manager' : 'Roxy',
+                // Handle both 'message' (standard) and 'multivoice_message' (advanced) formats
+                message: msg?.message || msg?.multivoice_message?.parts?.map((p) => p.text).join(' ') || '',
+                timeInCallSecs: typeof msg?.time_in_call_secs === 'number' ? msg.time_in_call_secs : null
+            };
+        });
+    }
+    if (typeof transcript === 'string') {
+        return (0, transcriptChunking_1.splitTurns)(transcript).map((turn, index) => {
+            const speaker = turn.match(SPEAKER_LABEL)?.[1] || '';
+            return {
+                index,
+                role: speaker === 'Roxy' ? 'agent' : 'user',
+                speaker: speaker || 'Manager',
+                message: speaker ? turn.slice(speaker.length + 1).trimStart() : turn,
+                timeInCallSecs: null
+            };
+        });
+    }
+    return [];
+}
+/**
+ * Lowercased words (letters and digits) with their offsets in the text
+ */
+function words(text) {
+    const result = { words: [], starts: [], ends: [] };
+    for (const match of text.matchAll(/[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu)) {
+        result.words.push(match[0].toLowerCase());
+        result.starts.push(match.index);
+        result.ends.push(match.index + match[0].length);
+    }
+    return result;
+}
+/**
+ * Where the quote's words appear in the turn in the same order, or the
+ * window of as many words sharing the most of them
+ */
+function matchInTurn(quote, turn) {
+    const size = quote.length;
+    if (size === 0 || turn.words.length === 0)
+        return null;
+    for (let i = 0; i + size <= turn.words.length; i++) {
+        if (quote.every((word, j) => turn.words[i + j] === word)) {
+            return { start: turn.starts[i], end: turn.ends[i + size - 1], score: 1 };
+        }
+    }
+    let best = null;
+    const width = Math.min(size, turn.words.length);
+    for (let i = 0; i + width <= turn.words.length; i++) {
+        const remaining = [...quote];
+        let found = 0;
+        let first = -1;
+        let last = -1;
+        for (let j = i; j < i + width; j++) {
+            const at = remaining.indexOf(turn.words[j]);
+            if (at === -1)
+                continue;
+            remaining.splice(at, 1);
+            found++;
+            if (first === -1)
+                first = j;
+            last = j;
+        }
+        const score = found / size;
+        if (found > 0 && (!best || score > best.score)) {
+            best = { start: turn.starts[first], end: turn.ends[last], score };
+        }
+    }
+    return best;
+}
+/**
+ * Find one quote in the transcript; null when nothing matches well enough
+ */
+function locateQuote(quote, turns) {
+    const quoteWords = words(quote).words;
+    if (quoteWords.length === 0)
+        return null;
+    const ordered = [...turns.filter(turn => turn.role === 'user'), ...turns.filter(turn => turn.role !== 'user')];
+    let best = null;
+    for (const turn of ordered) {
+        const match = matchInTurn(quoteWords, words(turn.message));
+        if (match && (!best || match.score > best.score)) {
+            best = { turn, ...match };
+            if (match.score === 1)
+                break;
+        }
+    }
+    // A single word has to match exactly; longer quotes may be paraphrased a little
+    if (!best || best.score < (quoteWords.length === 1 ? 1 : MIN_FUZZY_SCORE))
+        return null;
+    return {
+        turnIndex: best.turn.index,
+        start: best.start,
+        end: best.end,
+        timeInCallSecs: best.turn.timeInCallSecs,
+        match: best.score === 1 ? 'exact' : 'fuzzy'
+    };
+}
+/**
+ * Source spans for every quote in an item's extractedFromText
+ */
+function locateSources(extractedFromText, turns) {
+    if (typeof extractedFromText !== 'string')
+        return [];
+    const spans = [];
+    for (const quote of extractedFromText.split(QUOTE_BREAK)) {
+        const span = locateQuote(quote, turns);
+        if (span && !spans.some(s => s.turnIndex === span.turnIndex && s.start === span.start)) {
+            spans.push(span);
+        }
+    }
+    return spans;
+}
+/**
+ * Add `sources` to each personnel, vendor and constraint item that quotes the
+ * transcript. Items without a quote are left as they are; an item whose quote
+ * cannot be found gets an empty list.
+ */
+function attachSources(extractedData, transcript) {
+    const turns = transcriptTurns(transcript);
+    const data = { ...extractedData };
+    let linked = 0;
+    let unmatched = 0;
+    for (const section of exports.PROVENANCE_SECTIONS) {
+        if (!Array.isArray(data[section]))
+            continue;
+        data[section] = data[section].map((item) => {
+            if (typeof item?.extractedFromText !== 'string' || !item.extractedFromText.trim())
+                return item;
+            const sources = locateSources(item.extractedFromText, turns);
+            if (sources.length > 0)
+                linked++;
+            else
+                unmatched++;
+            return { ...item, sources };
+        });
+    }
+    return { data, linked, unmatched };
+}
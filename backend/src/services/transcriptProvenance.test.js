@@ -0,0 +1,104 @@
+/**
+ * Transcript Provenance Tests
+ *
+ * Reading transcript turns, locating extractedFromText quotes in them and
+ * attaching source spans to extracted items.
+ */
+
+const { transcriptTurns, locateQuote, locateSources, attachSources } = require('./transcriptProvenance');
+
+const CONVERSATION = {
+  conversation_id: 'conv_1',
+  transcript: [
+    { role: 'agent', message: 'Who was on site at Parkway today?', time_in_call_secs: 0 },
+    { role: 'user', message: 'Wes Clark and Jim worked eight hours each. Jim stayed two more for overtime.', time_in_call_secs: 4 },
+    { role: 'agent', message: 'Got it, Wes Clark and Jim worked eight hours. Any deliveries?', time_in_call_secs: 15 },
+    { role: 'user', message: 'Ferguson dropped off the six-inch sleeves around ten.', time_in_call_secs: 21 },
+    { role: 'user', multivoice_message: { parts: [{ text: 'Inspector never' }, { text: 'showed up.' }] }, time_in_call_secs: 30 }
+  ]
+};
+
+const turns = transcriptTurns(CONVERSATION);
+const said = (span) => turns[span.turnIndex].message.slice(span.start, span.end);
+
+describe('transcriptTurns', () => {
+  it('should keep ElevenLabs message positions and call times', () => {
+    expect(turns).toHaveLength(5);
+    expect(turns[1]).toEqual({
+      index: 1,
+      role: 'user',
+      speaker: 'Manager',
+      message: 'Wes Clark and Jim worked eight hours each. Jim stayed two more for overtime.',
+      timeInCallSecs: 4
+    });
+    expect(turns[4].message).toBe('Inspector never showed up.');
+  });
+
+  it('should read speaker turns from plain text', () => {
+    expect(transcriptTurns('Roxy: Who was on site?\n\nManager: Wes worked\neight hours')).toEqual([
+      { index: 0, role: 'agent', speaker: 'Roxy', message: 'Who was on site?', timeInCallSecs: null },
+      { index: 1, role: 'user', speaker: 'Manager', message: 'Wes worked\neight hours', timeInCallSecs: null }
+    ]);
+  });
+
+  it('should return no turns for anything else', () => {
+    expect(transcriptTurns(null)).toEqual([]);
+    expect(transcriptTurns({ status: 'pending' })).toEqual([]);
+  });
+});
+
+describe('locateQuote', () => {
+  it('should find a quote regardless of case and punctuation, preferring the manager', () => {
+    const span = locateQuote('wes clark and jim worked eight hours', turns);
+
+    expect(span).toEqual({ turnIndex: 1, start: 0, end: 36, timeInCallSecs: 4, match: 'exact' });
+    expect(said(span)).toBe('Wes Clark and Jim worked eight hours');
+    expect(said(locateQuote('six inch sleeves', turns))).toBe('six-inch sleeves');
+  });
+
+  it('should find a lightly paraphrased quote', () => {
+    const span = locateQuote('Jim stayed two hours for overtime', turns);
+
+    expect(span).toEqual(expect.objectContaining({ turnIndex: 1, match: 'fuzzy' }));
+    expect(said(span)).toBe('Jim stayed two more for overtime');
+  });
+
+  it('should not link a quote the transcript does not contain', () => {
+    expect(locateQuote('the crane was down all morning', turns)).toBeNull();
+    expect(locateQuote('Bob', turns)).toBeNull();
+    expect(locateQuote('', turns)).toBeNull();
+  });
+});
+
+describe('locateSources', () => {
+  it('should locate each quote merged into one item', () => {
+    const spans = locateSources('Wes Clark and Jim worked eight hours … Jim stayed two more for overtime', turns);
+
+    expect(spans.map(said)).toEqual(['Wes Clark and Jim worked eight hours', 'Jim stayed two more for overtime']);
+  });
+});
+
+describe('attachSources', () => {
+  it('should add sources to personnel, vendors and constraints that quote the transcript', () => {
+    const extracted = {
+      personnel: [
+        { fullName: 'Jim', hoursWorked: 8, extractedFromText: 'Jim worked eight hours each' },
+        { fullName: 'Wes Clark', hoursWorked: 8 }
+      ],
+      vendors: [{ companyName: 'Ferguson', extractedFromText: 'Ferguson dropped off the six inch sleeves' }],
+      constraints: [{ title: 'Inspection', extractedFromText: 'The city inspector was a no-show again' }],
+      workLogs: [{ description: 'Rough-in', extractedFromText: 'Wes Clark' }]
+    };
+
+    const { data, linked, unmatched } = attachSources(extracted, CONVERSATION);
+
+    expect(linked).toBe(2);
+    expect(unmatched).toBe(1);
+    expect(data.personnel[0].sources).toEqual([{ turnIndex: 1, start: 14, end: 41, timeInCallSecs: 4, match: 'exact' }]);
+    expect(data.personnel[1]).toEqual({ fullName: 'Wes Clark', hoursWorked: 8 });
+    expect(data.vendors[0].sources).toEqual([expect.objectContaining({ turnIndex: 3, timeInCallSecs: 21 })]);
+    expect(data.constraints[0].sources).toEqual([]);
+    expect(data.workLogs).toBe(extracted.workLogs);
+    expect(extracted.personnel[0].sources).toBeUndefined();
+  });
+});
@@ -3,17 +3,20 @@
  *
  * Smart deduplication for vendors/suppliers/subcontractors
  * Normalizes company names and tracks delivery history
+ *
+ * Names are matched with vendorMatching, so aliases, initials and merged
+ * vendors resolve to the vendor kept.
  */
 
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
 import { DynamoDBDocumentClient, QueryCommand, PutCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
 import { v4 as uuidv4 } from 'uuid';
+import { EntityConfidence } from './confidenceScoringService';
+import { VENDORS_TABLE, VendorDirectory, VendorEntry, normalizeVendorName, vendorEntry } from './vendorMatching';
 
 const dynamoClient = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(dynamoClient);
 
-const VENDORS_TABLE = process.env.VENDORS_TABLE || 'sitelogix-vendors';
-
 interface VendorProfile {
   vendorId: string;
   companyName: string;
@@ -31,65 +34,12 @@ interface VendorProfile {
 }
 
 export class VendorDeduplicationService {
-  /**
-   * Normalize company name for comparison
-   */
-  private normalizeCompanyName(name: string): string {
-    return name
-      .toLowerCase()
-      .trim()
-      // Remove common suffixes
-      .replace(/\s+(inc|llc|corp|corporation|company|co|ltd|limited)\b\.?/gi, '')
-      // Remove special characters except spaces
-      .replace(/[^a-z0-9\s]/g, '')
-      // Normalize whitespace
-      .replace(/\s+/g, ' ')
-      .trim();
-  }
-
-  /**
-   * Calculate Levenshtein distance
-   */
-  private levenshteinDistance(str1: string, str2: string): number {
-    const m = str1.length;
-    const n = str2.length;
-    const dp: number[][] = Array(m + 1)
-      .fill(null)
-      .map(() => Array(n + 1).fill(0));
-
-    for (let i = 0; i <= m; i++) dp[i][0] = i;
-    for (let j = 0; j <= n; j++) dp[0][j] = j;
-
-    for (let i = 1; i <= m; i++) {
-      for (let j = 1; j <= n; j++) {
-        if (str1[i - 1] === str2[j - 1]) {
-          dp[i][j] = dp[i - 1][j - 1];
-        } else {
-          dp[i][j] = Math.min(
-            dp[i - 1][j] + 1,
-            dp[i][j - 1] + 1,
-            dp[i - 1][j - 1] + 1
-          );
-        }
-      }
-    }
-
-    return dp[m][n];
-  }
-
-  /**
-   * Calculate similarity score (0-100)
-   */
-  private calculateSimilarity(str1: string, str2: string): number {
-    const distance = this.levenshteinDistance(str1, str2);
-    const maxLength = Math.max(str1.length, str2.length);
-    return ((maxLength - distance) / maxLength) * 100;
-  }
+  private directory = new VendorDirectory(dynamoClient);
 
   /**
-   * Query vendor by normalized company name
+   * Query vendor by normalized company name, following a merge to the vendor kept
    */
-  private async queryByCompanyName(normalizedName: string): Promise<VendorProfile | null> {
+  private async queryByCompanyName(normalizedName: string): Promise<VendorEntry | null> {
     try {
       const result = await docClient.send(
         new QueryCommand({
@@ -103,11 +53,11 @@ export class VendorDeduplicationService {
         })
       );
 
-      if (result.Items && result.Items.length > 0) {
-        return result.Items[0] as VendorProfile;
+      const vendor = vendorEntry(result.Items?.[0]);
+      if (vendor?.mergedIntoId) {
+        return this.directory.get(vendor.mergedIntoId);
       }
-
-      return null;
+      return vendor;
     } catch (error) {
       console.error('Error querying vendor by name:', error);
       return null;
@@ -115,64 +65,19 @@ export class VendorDeduplicationService {
   }
 
   /**
-   * Fuzzy match company name against existing vendors
+   * Match company name against every vendor's names and aliases
    */
-  private async fuzzyMatchCompanyName(normalizedName: string): Promise<VendorProfile | null> {
+  private async fuzzyMatchCompanyName(companyName: string): Promise<VendorEntry | null> {
     try {
-      // Get all active vendors
-      const result = await docClient.send(
-        new QueryCommand({
-          TableName: VENDORS_TABLE,
-          IndexName: 'GSI2-TypeIndex',
-          KeyConditionExpression: 'vendor_type = :type',
-          ExpressionAttributeValues: {
-            ':type': 'supplier' // Start with suppliers, could expand
-          }
-        })
-      );
-
-      if (!result.Items || result.Items.length === 0) {
+      const { match } = await this.directory.match(companyName);
+      if (!match) {
         return null;
       }
 
-      let bestMatch: VendorProfile | null = null;
-      let bestScore = 0;
-
-      for (const item of result.Items) {
-        const vendor = item as VendorProfile;
-
-        // Check against primary company name
-        const primaryScore = this.calculateSimilarity(
-          normalizedName,
-          this.normalizeCompanyName(vendor.companyName)
-        );
-
-        if (primaryScore > 85 && primaryScore > bestScore) {
-          bestScore = primaryScore;
-          bestMatch = vendor;
-        }
-
-        // Check against name variations
-        for (const variation of vendor.companyNameVariations || []) {
-          const variationScore = this.calculateSimilarity(
-            normalizedName,
-            this.normalizeCompanyName(variation)
-          );
-
-          if (variationScore > 85 && variationScore > bestScore) {
-            bestScore = variationScore;
-            bestMatch = vendor;
-          }
-        }
-      }
-
-      if (bestMatch) {
-        console.log(
-          `🔍 Found fuzzy vendor match: "${normalizedName}" -> "${bestMatch.companyName}" (${bestScore.toFixed(1)}% match)`
-        );
-      }
-
-      return bestMatch;
+      console.log(
+        `🔍 Found fuzzy vendor match: "${companyName}" -> "${match.companyName}" (${match.score}% ${match.scoreBreakdown.method} match)`
+      );
+      return this.directory.get(match.vendorId);
     } catch (error) {
       console.error('Error in vendor fuzzy matching:', error);
       return null;
@@ -188,7 +93,7 @@ export class VendorDeduplicationService {
     reportDate: string
   ): Promise<VendorProfile> {
     const vendorId = `vendor_${uuidv4()}`;
-    const normalizedName = this.normalizeCompanyName(companyName);
+    const normalizedName = normalizeVendorName(companyName);
     const now = new Date().toISOString();
 
     const vendor: VendorProfile = {
@@ -218,55 +123,47 @@ export class VendorDeduplicationService {
       })
     );
 
+    this.directory.invalidate();
     console.log(`✨ Created new vendor: ${companyName} (${vendorId})`);
     return vendor;
   }
 
   /**
    * Update existing vendor profile
+   * Vendors added on the vendor screens start their delivery count here
    */
   private async updateVendor(
-    vendor: VendorProfile,
+    vendor: VendorEntry,
     reportDate: string,
     originalCompanyName: string
-  ): Promise<VendorProfile> {
+  ): Promise<void> {
     const now = new Date().toISOString();
 
     // Add new name variation if not already in list
-    const updatedVariations = [...new Set([...vendor.companyNameVariations, originalCompanyName])];
-
-    const updatedVendor = {
-      ...vendor,
-      dateLastSeen: reportDate,
-      totalDeliveriesCount: vendor.totalDeliveriesCount + 1,
-      companyNameVariations: updatedVariations,
-      updatedAt: now
-    };
+    const known = vendor.companyName === originalCompanyName || vendor.aliases.includes(originalCompanyName);
 
     await docClient.send(
       new UpdateCommand({
         TableName: VENDORS_TABLE,
-        Key: {
-          PK: `VENDOR#${vendor.vendorId}`,
-          SK: 'PROFILE'
-        },
+        Key: vendor.key,
         UpdateExpression: `
           SET dateLastSeen = :dateLastSeen,
-              totalDeliveriesCount = :totalDeliveriesCount,
-              companyNameVariations = :companyNameVariations,
+              totalDeliveriesCount = if_not_exists(totalDeliveriesCount, :zero) + :one,
+              companyNameVariations = list_append(if_not_exists(companyNameVariations, :empty), :heard),
               updatedAt = :updatedAt
         `,
         ExpressionAttributeValues: {
           ':dateLastSeen': reportDate,
-          ':totalDeliveriesCount': updatedVendor.totalDeliveriesCount,
-          ':companyNameVariations': updatedVariations,
+          ':zero': 0,
+          ':one': 1,
+          ':empty': [],
+          ':heard': known ? [] : [originalCompanyName],
           ':updatedAt': now
         }
       })
     );
 
     console.log(`🔄 Updated vendor: ${vendor.companyName} (${vendor.vendorId})`);
-    return updatedVendor;
   }
 
   /**
@@ -282,7 +179,8 @@ export class VendorDeduplicationService {
     deliveryTime?: string,
     receivedBy?: string,
     deliveryNotes?: string,
-    extractedFromText?: string
+    extractedFromText?: string,
+    confidenceScore?: EntityConfidence
   ): Promise<void> {
     const timestamp = new Date().toISOString();
 
@@ -300,7 +198,8 @@ export class VendorDeduplicationService {
           deliveryTime,
           receivedBy,
           deliveryNotes,
-          extractedFromText
+          extractedFromText,
+          confidenceScore
         }
       })
     );
@@ -320,31 +219,34 @@ export class VendorDeduplicationService {
     reportId: string,
     reportDate: string,
     projectId: string,
-    projectName: string
+    projectName: string,
+    confidenceScore?: EntityConfidence
   ): Promise<string> {
     try {
       // 1. Normalize company name
-      const normalizedName = this.normalizeCompanyName(companyName);
+      const normalizedName = normalizeVendorName(companyName);
 
       // 2. Search by exact match
       let vendor = await this.queryByCompanyName(normalizedName);
 
-      // 3. If not found, fuzzy match on variations
+      // 3. If not found, match against every vendor's names and aliases
       if (!vendor) {
-        vendor = await this.fuzzyMatchCompanyName(normalizedName);
+        vendor = await this.fuzzyMatchCompanyName(companyName);
       }
 
       // 4. If still not found, create new vendor
+      let vendorId: string;
       if (!vendor) {
-        vendor = await this.createVendor(companyName, vendorType, reportDate);
+        vendorId = (await this.createVendor(companyName, vendorType, reportDate)).vendorId;
       } else {
         // 5. Update existing vendor
-        vendor = await this.updateVendor(vendor, reportDate, companyName);
+        await this.updateVendor(vendor, reportDate, companyName);
+        vendorId = vendor.vendorId;
       }
 
       // 6. Create delivery record
       await this.createVendorDelivery(
-        vendor.vendorId,
+        vendorId,
         reportId,
         reportDate,
         projectId,
@@ -353,10 +255,11 @@ export class VendorDeduplicationService {
         deliveryTime,
         receivedBy,
         deliveryNotes,
-        extractedFromText
+        extractedFromText,
+        confidenceScore
       );
 
-      return vendor.vendorId;
+      return vendorId;
     } catch (error) {
       console.error('Error in findOrCreateVendor:', error);
       throw error;
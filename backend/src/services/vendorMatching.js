@@ -0,0 +1,379 @@
+"use strict";
+/**
+ * Vendor Matching
+ *
+ * Decides which vendor on file a company name from a report refers to.
+ * Foremen say the same supplier many ways ("ABC Supply", "ABC Supply Co",
+ * "A.B.C."), so names are compared after dropping punctuation, legal
+ * suffixes and trade words, and by initials, before falling back to edit
+ * similarity. Every score carries the breakdown that produced it.
+ *
+ * sitelogix-vendors holds two shapes of vendor record: the VENDOR#{id} /
+ * METADATA records the vendor screens create (snake_case) and the
+ * VENDOR#vendor_{uuid} / PROFILE records vendorDeduplicationService creates
+ * from reports (camelCase). Both are read here as a VendorEntry. Aliases are
+ * kept on the record in `aliases` (and, on PROFILE records, every spelling
+ * heard in `companyNameVariations`); a vendor merged into another keeps
+ * `merged_into_id`.
+ *
+ * @module vendorMatching
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.VendorDirectory = exports.VendorAliasConflictError = exports.VENDOR_DIRECTORY_TTL_MS = exports.VENDOR_CLEAR_LEAD = exports.VENDOR_CANDIDATE_THRESHOLD = exports.VENDOR_MATCH_THRESHOLD = exports.VENDOR_NAME_SCORES = exports.VENDORS_TABLE = void 0;
+exports.normalizeVendorName = normalizeVendorName;
+exports.vendorCoreName = vendorCoreName;
+exports.scoreVendorName = scoreVendorName;
+exports.vendorEntry = vendorEntry;
+exports.vendorNames = vendorNames;
+exports.canonicalVendor = canonicalVendor;
+exports.matchVendorName = matchVendorName;
+exports.resolveVendor = resolveVendor;
+const client_dynamodb_1 = require("@aws-sdk/client-dynamodb");
+const util_dynamodb_1 = require("@aws-sdk/util-dynamodb");
+const nameMatching_1 = require("./nameMatching");
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+exports.VENDORS_TABLE = process.env.VENDORS_TABLE || 'sitelogix-vendors';
+/** Score a name gets for each way of matching (edit similarity is 0-100) */
+exports.VENDOR_NAME_SCORES = {
+    exact: 100,
+    core: 92,
+    initials: 88
+};
+/** Lowest score taken as the same vendor */
+exports.VENDOR_MATCH_THRESHOLD = 85;
+/** Lowest score still listed as a candidate */
+exports.VENDOR_CANDIDATE_THRESHOLD = 50;
+/** How far the best vendor must lead the next to be taken without review */
+exports.VENDOR_CLEAR_LEAD = 5;
+/** How long a loaded directory is reused */
+exports.VENDOR_DIRECTORY_TTL_MS = 5 * 60 * 1000;
+const MAX_CANDIDATES = 5;
+// Dropped from the end of a name: "ABC Supply Co." is "abc supply"
+const LEGAL_SUFFIXES = new Set([
+    'inc', 'incorporated', 'llc', 'llp', 'lp', 'corp', 'corporation', 'company', 'co', 'ltd', 'limited', 'plc'
+]);
+// Words that say what a vendor sells rather than who it is
+const TRADE_WORDS = new Set([
+    'and', 'supply', 'supplies', 'supplier', 'material', 'materials', 'building', 'equipment', 'rental',
+    'rentals', 'service', 'services', 'group', 'industries', 'enterprises', 'distribution', 'distributors', 'sales'
+]);
+const RECORD_SORT_KEYS = ['PROFILE', 'METADATA'];
+/**
+ * Thrown when an alias already names another vendor
+ */
+class VendorAliasConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'VendorAliasConflictError';
+    }
+}
+exports.VendorAliasConflictError = VendorAliasConflictError;
+// ============================================================================
+// NAMES
+// ============================================================================
+/**
+ * Lower-case words of a company name without punctuation, a leading "the" or
+ * legal suffixes; spelled-out initials are joined up
+ *
+ * @example
+ * normalizeVendorName("A.B.C. Supply Co.") // "abc supply"
+ * normalizeVendorName("Smith & Sons, Inc") // "smith and sons"
+ */
+function normalizeVendorName(name) {
+    const words = (name || '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/\./g, '')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+    if (words[0] === 'the' && words.length > 1)
+        words.shift();
+    while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1]))
+        words.pop();
+    // "a b c supply" -> "abc supply"
+    const joined = [];
+    let spellingInitials = false;
+    for (const word of words) {
+        const initial = /^[a-z]$/.test(word);
+        if (initial && spellingInitials) {
+            joined[joined.length - 1] += word;
+        }
+        else {
+            joined.push(word);
+        }
+        spellingInitials = initial;
+    }
+    return joined.join(' ');
+}
+/**
+ * The words of a normalized name that say who the vendor is, without the
+ * trade words ("abc supply" -> "abc"); the whole name when nothing else is left
+ */
+function vendorCoreName(normalized) {
+    const words = normalized.split(' ').filter(Boolean);
+    const core = words.filter(word => !TRADE_WORDS.has(word));
+    return (core.length > 0 ? core : words).join(' ');
+}
+/**
+ * Whether a one-word name is the initials of a longer one, with or without
+ * its trade words ("hd" and "home depot supply")
+ */
+function isInitialsOf(short, long) {
+    if (short.length < 2 || short.includes(' '))
+        return false;
+    return [long, vendorCoreName(long)].some(name => {
+        const words = name.split(' ').filter(Boolean);
+        return words.length >= 2 && words.map(word => word[0]).join('') === short;
+    });
+}
+/**
+ * Compare a company name with one vendor name or alias
+ *
+ * @example
+ * scoreVendorName("A.B.C.", "ABC Supply") // { method: "core", total: 92, ... }
+ */
+function scoreVendorName(heard, known) {
+    const a = normalizeVendorName(heard);
+    const b = normalizeVendorName(known);
+    const edit = a && b ? Math.round((0, nameMatching_1.editSimilarity)(a, b) * 10) / 10 : 0;
+    let method = 'edit';
+    let score = edit;
+    if (a && b) {
+        if (a === b) {
+            method = 'exact';
+            score = exports.VENDOR_NAME_SCORES.exact;
+        }
+        else if (vendorCoreName(a) === vendorCoreName(b)) {
+            method = 'core';
+            score = exports.VENDOR_NAME_SCORES.core;
+        }
+        else if (isInitialsOf(vendorCoreName(a), b) || isInitialsOf(vendorCoreName(b), a)) {
+            method = 'initials';
+            score = exports.VENDOR_NAME_SCORES.initials;
+        }
+        if (edit > score) {
+            method = 'edit';
+            score = edit;
+        }
+    }
+    return { matchedName: known, normalized: [a, b], method, editSimilarity: edit, total: score };
+}
+// ============================================================================
+// VENDOR RECORDS
+// ============================================================================
+/**
+ * A sitelogix-vendors item read as a vendor; null for deliveries and other
+ * items kept under a vendor
+ */
+function vendorEntry(item) {
+    if (!item || typeof item.PK !== 'string' || !item.PK.startsWith('VENDOR#') || !RECORD_SORT_KEYS.includes(item.SK)) {
+        return null;
+    }
+    const profile = item.SK === 'PROFILE';
+    // PROFILE records keep the normalized name in companyName; the first
+    // variation is the name as first heard
+    const companyName = profile
+        ? (item.companyNameVariations || [])[0] || item.companyName
+        : item.company_name;
+    if (!companyName)
+        return null;
+    const names = [...(profile ? item.companyNameVariations || [] : []), ...(item.aliases || [])];
+    return {
+        vendorId: item.PK.slice('VENDOR#'.length),
+        companyName,
+        aliases: [...new Set(names)].filter(name => name && name !== companyName),
+        vendorType: (profile ? item.vendorType : item.vendor_type) || null,
+        status: item.status || 'active',
+        mergedIntoId: item.merged_into_id || null,
+        key: { PK: item.PK, SK: item.SK }
+    };
+}
+/**
+ * Every name a vendor goes by
+ */
+function vendorNames(vendor) {
+    return [vendor.companyName, ...vendor.aliases];
+}
+/**
+ * Follow merges from a vendor id to the vendor kept; null when the id is not
+ * on file
+ */
+function canonicalVendor(vendors, vendorId) {
+    const byId = new Map(vendors.map(vendor => [vendor.vendorId, vendor]));
+    let vendor = byId.get(vendorId) || null;
+    const seen = new Set();
+    while (vendor?.mergedIntoId && !seen.has(vendor.vendorId)) {
+        seen.add(vendor.vendorId);
+        vendor = byId.get(vendor.mergedIntoId) || vendor;
+    }
+    return vendor;
+}
+/**
+ * Score a company name against every vendor still on file (merged vendors'
+ * names live on as aliases of the vendor kept)
+ *
+ * The best vendor at or above the threshold is the match; it is ambiguous
+ * when another vendor comes within VENDOR_CLEAR_LEAD of it.
+ */
+function matchVendorName(name, vendors, threshold = exports.VENDOR_MATCH_THRESHOLD) {
+    const scored = [];
+    for (const vendor of vendors) {
+        if (vendor.mergedIntoId)
+            continue;
+        let best = null;
+        for (const known of vendorNames(vendor)) {
+            const breakdown = scoreVendorName(name, known);
+            if (!best || breakdown.total > best.total)
+                best = breakdown;
+        }
+        if (best && best.total >= exports.VENDOR_CANDIDATE_THRESHOLD) {
+            scored.push({ vendorId: vendor.vendorId, companyName: vendor.companyName, score: best.total, scoreBreakdown: best });
+        }
+    }
+    scored.sort((a, b) => b.score - a.score || a.companyName.localeCompare(b.companyName));
+    const candidates = scored.slice(0, MAX_CANDIDATES);
+    const match = candidates[0] && candidates[0].score >= threshold ? candidates[0] : null;
+    return {
+        match,
+        candidates,
+        ambiguous: Boolean(match && candidates[1] && match.score - candidates[1].score < exports.VENDOR_CLEAR_LEAD)
+    };
+}
+/**
+ * The vendor kept for a record that names a vendor by id, name or both:
+ * the id when it is on file, otherwise the name's match
+ */
+function resolveVendor(vendors, { vendorId, name }) {
+    const byId = vendorId ? canonicalVendor(vendors, vendorId) : null;
+    if (byId)
+        return byId;
+    if (!name)
+        return null;
+    const { match } = matchVendorName(name, vendors);
+    return match ? canonicalVendor(vendors, match.vendorId) : null;
+}
+/**
+ * Vendors from sitelogix-vendors, cached per Lambda container
+ */
+class VendorDirectory {
+    constructor(client, { tableName = exports.VENDORS_TABLE, ttlMs = exports.VENDOR_DIRECTORY_TTL_MS } = {}) {
+        this.client = client;
+        this.vendors = null;
+        this.loadedAtMs = 0;
+        this.loading = null;
+        this.tableName = tableName;
+        this.ttlMs = ttlMs;
+    }
+    async scanVendors() {
+        const vendors = [];
+        let startKey;
+        do {
+            const result = await this.client.send(new client_dynamodb_1.ScanCommand({
+                TableName: this.tableName,
+                FilterExpression: 'SK IN (:profile, :metadata)',
+                ExpressionAttributeValues: (0, util_dynamodb_1.marshall)({ ':profile': 'PROFILE', ':metadata': 'METADATA' }),
+                ExclusiveStartKey: startKey
+            }));
+            for (const item of result.Items || []) {
+                const vendor = vendorEntry((0, util_dynamodb_1.unmarshall)(item));
+                if (vendor)
+                    vendors.push(vendor);
+            }
+            startKey = result.LastEvaluatedKey;
+        } while (startKey);
+        return vendors;
+    }
+    /**
+     * Every vendor, scanned again once the cached list is older than the TTL
+     *
+     * A failed reload keeps serving the previous list; with none to fall back
+     * on the error is thrown.
+     */
+    async load({ refresh = false } = {}) {
+        if (!refresh && this.vendors && Date.now() - this.loadedAtMs < this.ttlMs) {
+            return this.vendors;
+        }
+        if (!this.loading) {
+            this.loading = this.scanVendors()
+                .then(vendors => {
+                this.vendors = vendors;
+                this.loadedAtMs = Date.now();
+                console.log(`📇 Vendor directory loaded: ${vendors.length} vendors`);
+                return vendors;
+            })
+                .catch(error => {
+                if (!this.vendors)
+                    throw error;
+                console.warn(`⚠️ Vendor directory reload failed, keeping the cached list: ${error.message}`);
+                return this.vendors;
+            })
+                .finally(() => {
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    }
+    /**
+     * Drop the cached list so the next load scans the table
+     */
+    invalidate() {
+        this.vendors = null;
+        this.loadedAtMs = 0;
+    }
+    async match(name, threshold = exports.VENDOR_MATCH_THRESHOLD) {
+        return matchVendorName(name, await this.load(), threshold);
+    }
+    async resolve(reference) {
+        return resolveVendor(await this.load(), reference);
+    }
+    /**
+     * One vendor straight from the table (either shape); null when not on file
+     */
+    async get(vendorId) {
+        for (const SK of RECORD_SORT_KEYS) {
+            const result = await this.client.send(new client_dynamodb_1.GetItemCommand({
+                TableName: this.tableName,
+                Key: (0, util_dynamodb_1.marshall)({ PK: `VENDOR#${vendorId}`, SK }),
+                ConsistentRead: true
+            }));
+            if (result.Item)
+                return vendorEntry((0, util_dynamodb_1.unmarshall)(result.Item));
+        }
+        return null;
+    }
+    /**
+     * Add a name the vendor is also known by; null when the vendor is not on
+     * file. Throws VendorAliasConflictError when the name is already another
+     * vendor's.
+     */
+    async addAlias(vendorId, alias) {
+        const vendor = await this.get(vendorId);
+        if (!vendor)
+            return null;
+        const normalized = normalizeVendorName(alias);
+        if (vendorNames(vendor).some(name => normalizeVendorName(name) === normalized)) {
+            console.log(`⚠️ "${alias}" is already a name of ${vendorId}`);
+            return vendor;
+        }
+        const owner = (await this.load({ refresh: true })).find(other => other.vendorId !== vendorId && !other.mergedIntoId && vendorNames(other).some(name => normalizeVendorName(name) === normalized));
+        if (owner) {
+            throw new VendorAliasConflictError(`"${alias}" is already a name of ${owner.companyName} (${owner.vendorId})`);
+        }
+        console.log(`🏷️ Adding alias "${alias}" to vendor ${vendorId}`);
+        const updatedAt = vendor.key.SK === 'PROFILE' ? 'updatedAt' : 'updated_at';
+        const result = await this.client.send(new client_dynamodb_1.UpdateItemCommand({
+            TableName: this.tableName,
+            Key: (0, util_dynamodb_1.marshall)(vendor.key),
+            UpdateExpression: `SET aliases = list_append(if_not_exists(aliases, :empty), :alias), ${updatedAt} = :now`,
+            ConditionExpression: 'attribute_exists(PK)',
+            ExpressionAttributeValues: (0, util_dynamodb_1.marshall)({ ':empty': [], ':alias': [alias.trim()], ':now': new Date().toISOString() }),
+            ReturnValues: 'ALL_NEW'
+        }));
+        this.invalidate();
+        return vendorEntry((0, util_dynamodb_1.unmarshall)(result.Attributes || {}));
+    }
+}
+exports.VendorDirectory = VendorDirectory;
@@ -0,0 +1,197 @@
+/**
+ * Vendor Matching Tests
+ *
+ * Normalizing company names, scoring them against vendor names and aliases,
+ * following merges, and the cached vendor directory (against the local
+ * DynamoDB stand-in).
+ */
+
+const { PutItemCommand, ScanCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall } = require('@aws-sdk/util-dynamodb');
+const { LocalDynamoDB, localClient } = require('../local/dynamodb');
+const { loadTableDefinitions } = require('../local/seed');
+const {
+  VendorDirectory,
+  VendorAliasConflictError,
+  canonicalVendor,
+  matchVendorName,
+  normalizeVendorName,
+  resolveVendor,
+  scoreVendorName,
+  vendorCoreName,
+  vendorEntry
+} = require('./vendorMatching');
+
+// A vendor added on the vendor screens and one created from a report
+const ABC = {
+  PK: 'VENDOR#9b2f',
+  SK: 'METADATA',
+  vendor_id: '9b2f',
+  company_name: 'ABC Supply',
+  status: 'active'
+};
+const HOME_DEPOT = {
+  PK: 'VENDOR#vendor_41c0',
+  SK: 'PROFILE',
+  vendorId: 'vendor_41c0',
+  companyName: 'home depot',
+  companyNameVariations: ['Home Depot', 'home depot', 'The Home Depot'],
+  vendorType: 'supplier',
+  status: 'active'
+};
+const SUNBELT = {
+  PK: 'VENDOR#7d1e',
+  SK: 'METADATA',
+  vendor_id: '7d1e',
+  company_name: 'Sunbelt Rentals',
+  aliases: ['Sunbelt'],
+  status: 'active'
+};
+const DELIVERY = { PK: 'VENDOR#9b2f', SK: 'DELIVERY#rpt_1#2026-10-01T07:00:00.000Z', reportId: 'rpt_1' };
+
+const VENDORS = [ABC, HOME_DEPOT, SUNBELT].map(vendorEntry);
+
+describe('normalizeVendorName and vendorCoreName', () => {
+  it('should drop punctuation, legal suffixes and a leading "the"', () => {
+    expect(normalizeVendorName('ABC Supply Co.')).toBe('abc supply');
+    expect(normalizeVendorName('The Home Depot, Inc')).toBe('home depot');
+    expect(normalizeVendorName('Smith & Sons LLC')).toBe('smith and sons');
+  });
+
+  it('should join up initials however they are written', () => {
+    expect(normalizeVendorName('A.B.C.')).toBe('abc');
+    expect(normalizeVendorName('A. B. C. Supply')).toBe('abc supply');
+  });
+
+  it('should keep only the words that say who the vendor is', () => {
+    expect(vendorCoreName('abc supply')).toBe('abc');
+    expect(vendorCoreName('sunbelt rentals')).toBe('sunbelt');
+    expect(vendorCoreName('supply')).toBe('supply');
+  });
+});
+
+describe('scoreVendorName', () => {
+  it('should score each way of naming the same vendor', () => {
+    expect(scoreVendorName('ABC Supply Co', 'ABC Supply')).toEqual(expect.objectContaining({ method: 'exact', total: 100 }));
+    expect(scoreVendorName('A.B.C.', 'ABC Supply')).toEqual(expect.objectContaining({
+      method: 'core',
+      normalized: ['abc', 'abc supply'],
+      total: 92
+    }));
+    expect(scoreVendorName('HD Supply', 'Home Depot Supply')).toEqual(expect.objectContaining({ method: 'initials', total: 88 }));
+  });
+
+  it('should fall back on edit similarity', () => {
+    expect(scoreVendorName('Sunbelt Rental', 'Sunbelt Rentals')).toEqual(expect.objectContaining({ method: 'edit', total: 93.3 }));
+    expect(scoreVendorName('Fastenall', 'Fastenal')).toEqual(expect.objectContaining({ method: 'edit', total: 88.9 }));
+    expect(scoreVendorName('Grainger', 'ABC Supply').total).toBeLessThan(50);
+  });
+});
+
+describe('vendorEntry', () => {
+  it('should read both vendor record shapes', () => {
+    expect(vendorEntry(ABC)).toEqual({
+      vendorId: '9b2f',
+      companyName: 'ABC Supply',
+      aliases: [],
+      vendorType: null,
+      status: 'active',
+      mergedIntoId: null,
+      key: { PK: 'VENDOR#9b2f', SK: 'METADATA' }
+    });
+    expect(vendorEntry(HOME_DEPOT)).toEqual(expect.objectContaining({
+      vendorId: 'vendor_41c0',
+      companyName: 'Home Depot',
+      aliases: ['home depot', 'The Home Depot'],
+      vendorType: 'supplier'
+    }));
+  });
+
+  it('should skip deliveries', () => {
+    expect(vendorEntry(DELIVERY)).toBeNull();
+  });
+});
+
+describe('matchVendorName', () => {
+  it('should match every spelling of a vendor to it with its breakdown', () => {
+    for (const name of ['ABC Supply', 'ABC Supply Co', 'A.B.C.']) {
+      expect(matchVendorName(name, VENDORS).match).toEqual(expect.objectContaining({ vendorId: '9b2f', companyName: 'ABC Supply' }));
+    }
+    expect(matchVendorName('sunbelt', VENDORS).match.scoreBreakdown).toEqual(expect.objectContaining({ matchedName: 'Sunbelt', method: 'exact' }));
+  });
+
+  it('should list candidates without a match below the threshold', () => {
+    const result = matchVendorName('Sunbel Rent', VENDORS);
+
+    expect(result.match).toBeNull();
+    expect(result.candidates[0]).toEqual(expect.objectContaining({ vendorId: '7d1e' }));
+  });
+
+  it('should flag a match another vendor scores nearly as well', () => {
+    const abcRentals = vendorEntry({ PK: 'VENDOR#c4d1', SK: 'METADATA', company_name: 'ABC Rentals' });
+    const result = matchVendorName('A.B.C.', [...VENDORS, abcRentals]);
+
+    expect(result.ambiguous).toBe(true);
+    expect(result.candidates.map(c => c.vendorId)).toEqual(['c4d1', '9b2f']);
+  });
+
+  it('should leave out vendors merged into another', () => {
+    const merged = vendorEntry({ ...ABC, merged_into_id: 'vendor_41c0' });
+    expect(matchVendorName('ABC Supply', [merged]).match).toBeNull();
+  });
+});
+
+describe('canonicalVendor and resolveVendor', () => {
+  const merged = vendorEntry({ ...ABC, PK: 'VENDOR#0aa1', company_name: 'ABC Supply Co', merged_into_id: '9b2f' });
+  const vendors = [...VENDORS, merged];
+
+  it('should follow a merge to the vendor kept', () => {
+    expect(canonicalVendor(vendors, '0aa1').vendorId).toBe('9b2f');
+    expect(canonicalVendor(vendors, 'missing')).toBeNull();
+  });
+
+  it('should resolve a record by id first, then by name', () => {
+    expect(resolveVendor(vendors, { vendorId: '0aa1', name: 'Sunbelt' }).vendorId).toBe('9b2f');
+    expect(resolveVendor(vendors, { vendorId: 'missing', name: 'The Home Depot' }).vendorId).toBe('vendor_41c0');
+    expect(resolveVendor(vendors, { name: 'Grainger' })).toBeNull();
+  });
+});
+
+describe('VendorDirectory', () => {
+  let client;
+  let directory;
+
+  beforeEach(async () => {
+    client = localClient(new LocalDynamoDB({ definitions: loadTableDefinitions() }));
+    for (const item of [ABC, DELIVERY, HOME_DEPOT, SUNBELT]) {
+      await client.send(new PutItemCommand({ TableName: 'sitelogix-vendors', Item: marshall(item) }));
+    }
+    jest.spyOn(client, 'send');
+    directory = new VendorDirectory(client);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should load the vendors once and reuse them', async () => {
+    expect((await directory.load()).map(v => v.vendorId).sort()).toEqual(['7d1e', '9b2f', 'vendor_41c0']);
+    await directory.match('A.B.C.');
+
+    expect(client.send.mock.calls.filter(([command]) => command instanceof ScanCommand)).toHaveLength(1);
+  });
+
+  it('should add an alias the matcher then uses', async () => {
+    await directory.load();
+    const vendor = await directory.addAlias('9b2f', 'Allied Building Co');
+
+    expect(vendor.aliases).toEqual(['Allied Building Co']);
+    expect((await directory.match('Allied Building')).match.vendorId).toBe('9b2f');
+  });
+
+  it('should refuse an alias that is another vendor\'s name', async () => {
+    await expect(directory.addAlias('9b2f', 'Sunbelt Rentals, Inc.')).rejects.toThrow(VendorAliasConflictError);
+    expect(await directory.addAlias('missing', 'Grainger')).toBeNull();
+  });
+});
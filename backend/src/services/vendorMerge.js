@@ -0,0 +1,340 @@
+"use strict";
+/**
+ * Vendor Merge
+ *
+ * Merging a duplicate vendor into the one kept moves its history over, so
+ * grades stop splitting between "ABC Supply" and "A.B.C.":
+ * - deliveries (sitelogix-vendors, VENDOR#{id} / DELIVERY#…), moved under the
+ *   primary's key
+ * - performance records (sitelogix-analytics, VENDOR_PERFORMANCE#{key} /
+ *   DATE#…), keyed by vendor id or, from before vendors were resolved, by the
+ *   name in the report. Each is moved under VENDOR_PERFORMANCE#{primaryId};
+ *   one landing on a date the primary already has keeps its report id in
+ *   the sort key
+ * - charge-backs (sitelogix-analytics, CHARGEBACK#… / VENDOR#{name}), found by
+ *   scan and re-keyed to the primary's name
+ *
+ * Moved analytics records get the primary's vendor_id and vendor_name and
+ * keep the name the report used in reported_vendor_name.
+ *
+ * Everything is written with writeTransactionGroups: the profile changes
+ * (the duplicate's names added to the primary's aliases, the duplicate set
+ * inactive with merged_into_id) commit with the last batch, and a failed
+ * batch undoes the ones before it. The audit record in sitelogix-vendor-merges
+ * (MERGE#{mergeId} / AUDIT) lists every record that was moved.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.VendorMerges = exports.VendorMergeConflictError = exports.DEFAULT_VENDOR_MERGE_TABLES = exports.VENDOR_MERGE_STATUSES = exports.VENDOR_MERGES_TABLE = void 0;
+exports.addedVendorAliases = addedVendorAliases;
+exports.performanceKeys = performanceKeys;
+exports.formatVendorMerge = formatVendorMerge;
+const client_dynamodb_1 = require("@aws-sdk/client-dynamodb");
+const util_dynamodb_1 = require("@aws-sdk/util-dynamodb");
+const uuid_1 = require("uuid");
+const personnelMerge_1 = require("./personnelMerge");
+const vendorMatching_1 = require("./vendorMatching");
+exports.VENDOR_MERGES_TABLE = 'sitelogix-vendor-merges';
+exports.VENDOR_MERGE_STATUSES = ['merging', 'merged', 'failed'];
+exports.DEFAULT_VENDOR_MERGE_TABLES = {
+    vendors: vendorMatching_1.VENDORS_TABLE,
+    analytics: 'sitelogix-analytics',
+    merges: exports.VENDOR_MERGES_TABLE
+};
+const SORT_KEY = 'AUDIT';
+/**
+ * Thrown when a vendor or its history changed under a merge; nothing is left
+ * half-written
+ */
+class VendorMergeConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'VendorMergeConflictError';
+    }
+}
+exports.VendorMergeConflictError = VendorMergeConflictError;
+/**
+ * Names the primary takes from the duplicate as aliases: every name the
+ * duplicate went by that the primary doesn't already
+ */
+function addedVendorAliases(primary, duplicate) {
+    const known = new Set((0, vendorMatching_1.vendorNames)(primary).map(vendorMatching_1.normalizeVendorName));
+    const added = [];
+    for (const name of (0, vendorMatching_1.vendorNames)(duplicate)) {
+        const normalized = (0, vendorMatching_1.normalizeVendorName)(name);
+        if (!known.has(normalized)) {
+            known.add(normalized);
+            added.push(name);
+        }
+    }
+    return added;
+}
+/**
+ * Performance record keys that may hold the duplicate's history: its id and
+ * every name it was stored under
+ */
+function performanceKeys(vendor) {
+    return [...new Set([vendor.vendorId, ...(0, vendorMatching_1.vendorNames)(vendor)])].map(key => `VENDOR_PERFORMANCE#${key}`);
+}
+/**
+ * Public view of a stored audit record
+ */
+function formatVendorMerge(record) {
+    return {
+        mergeId: record.merge_id,
+        status: record.merge_status,
+        primaryId: record.primary_id,
+        primaryName: record.primary_name,
+        duplicateId: record.duplicate_id,
+        duplicateName: record.duplicate_name,
+        addedAliases: record.added_aliases || [],
+        repointed: {
+            deliveries: (record.deliveries || []).length,
+            performance: (record.performance || []).length,
+            chargebacks: (record.chargebacks || []).length
+        },
+        mergedBy: record.merged_by,
+        mergedAt: record.merged_at,
+        note: record.note || null,
+        error: record.error || null
+    };
+}
+function mergeKey(mergeId) {
+    return { PK: `MERGE#${mergeId}`, SK: SORT_KEY };
+}
+/**
+ * Delete an item and put its replacement under another key, and the writes
+ * that put it back
+ */
+function moveItem(tableName, current, next) {
+    const move = (from, to) => [
+        {
+            Delete: {
+                TableName: tableName,
+                Key: (0, util_dynamodb_1.marshall)({ PK: from.PK, SK: from.SK }),
+                ConditionExpression: 'attribute_exists(PK)'
+            }
+        },
+        {
+            Put: {
+                TableName: tableName,
+                Item: (0, util_dynamodb_1.marshall)(to, { removeUndefinedValues: true }),
+                ConditionExpression: 'attribute_not_exists(PK)'
+            }
+        }
+    ];
+    return { apply: move(current, next), undo: move(next, current) };
+}
+class VendorMerges {
+    constructor(client, tables = {}) {
+        this.client = client;
+        this.tables = { ...exports.DEFAULT_VENDOR_MERGE_TABLES, ...tables };
+    }
+    /**
+     * One merge; null when there is no such merge
+     */
+    async get(mergeId) {
+        const result = await this.client.send(new client_dynamodb_1.GetItemCommand({
+            TableName: this.tables.merges,
+            Key: (0, util_dynamodb_1.marshall)(mergeKey(mergeId)),
+            ConsistentRead: true
+        }));
+        return result.Item ? formatVendorMerge((0, util_dynamodb_1.unmarshall)(result.Item)) : null;
+    }
+    async exists(tableName, key) {
+        const result = await this.client.send(new client_dynamodb_1.GetItemCommand({
+            TableName: tableName,
+            Key: (0, util_dynamodb_1.marshall)(key),
+            ProjectionExpression: 'PK'
+        }));
+        return Boolean(result.Item);
+    }
+    /**
+     * Every item under a partition key, optionally only sort keys with a prefix
+     */
+    async queryPartition(tableName, pk, skPrefix) {
+        const items = [];
+        let startKey;
+        do {
+            const result = await this.client.send(new client_dynamodb_1.QueryCommand({
+                TableName: tableName,
+                KeyConditionExpression: skPrefix ? 'PK = :pk AND begins_with(SK, :prefix)' : 'PK = :pk',
+                ExpressionAttributeValues: (0, util_dynamodb_1.marshall)(skPrefix ? { ':pk': pk, ':prefix': skPrefix } : { ':pk': pk }),
+                ExclusiveStartKey: startKey
+            }));
+            items.push(...(result.Items || []).map(item => (0, util_dynamodb_1.unmarshall)(item)));
+            startKey = result.LastEvaluatedKey;
+        } while (startKey);
+        return items;
+    }
+    /**
+     * Charge-backs recorded against the vendor's id or any of its names
+     */
+    async findChargebacks(vendor) {
+        const sortKeys = new Set((0, vendorMatching_1.vendorNames)(vendor).map(name => `VENDOR#${name}`));
+        const chargebacks = [];
+        let startKey;
+        do {
+            const result = await this.client.send(new client_dynamodb_1.ScanCommand({
+                TableName: this.tables.analytics,
+                FilterExpression: 'begins_with(PK, :pk)',
+                ExpressionAttributeValues: (0, util_dynamodb_1.marshall)({ ':pk': 'CHARGEBACK#' }),
+                ExclusiveStartKey: startKey
+            }));
+            chargebacks.push(...(result.Items || [])
+                .map(item => (0, util_dynamodb_1.unmarshall)(item))
+                .filter(item => item.vendor_id === vendor.vendorId || sortKeys.has(item.SK)));
+            startKey = result.LastEvaluatedKey;
+        } while (startKey);
+        return chargebacks;
+    }
+    /**
+     * A key for a moved analytics record that nothing holds yet
+     */
+    async freeKey(key, suffix, taken) {
+        const free = async (candidate) => !taken.has(`${candidate.PK}|${candidate.SK}`) && !(await this.exists(this.tables.analytics, candidate));
+        const target = (await free(key)) ? key : { PK: key.PK, SK: `${key.SK}#${suffix}` };
+        taken.add(`${target.PK}|${target.SK}`);
+        return target;
+    }
+    async markFailed(mergeId, error) {
+        await this.client.send(new client_dynamodb_1.UpdateItemCommand({
+            TableName: this.tables.merges,
+            Key: (0, util_dynamodb_1.marshall)(mergeKey(mergeId)),
+            UpdateExpression: 'SET merge_status = :failed, #error = :error, updated_at = :now',
+            ExpressionAttributeNames: { '#error': 'error' },
+            ExpressionAttributeValues: (0, util_dynamodb_1.marshall)({ ':failed': 'failed', ':error': error.message, ':now': new Date().toISOString() })
+        }));
+    }
+    /**
+     * Merge the duplicate into the primary: move its deliveries, performance
+     * records and charge-backs, give the primary its names as aliases and
+     * keep an audit record
+     */
+    async merge(primary, duplicate, { mergedBy, note }) {
+        if (primary.vendorId === duplicate.vendorId) {
+            throw new Error('Cannot merge a vendor into itself');
+        }
+        if (primary.mergedIntoId || duplicate.mergedIntoId) {
+            throw new VendorMergeConflictError('One of these vendors has already been merged into another');
+        }
+        console.log(`🔀 Merging vendors: ${duplicate.vendorId} → ${primary.vendorId}`);
+        const mergeId = `merge_${(0, uuid_1.v4)()}`;
+        const now = new Date().toISOString();
+        const groups = [];
+        const moved = (current, next) => ({
+            from: { PK: current.PK, SK: current.SK },
+            to: { PK: next.PK, SK: next.SK }
+        });
+        const deliveries = [];
+        for (const delivery of await this.queryPartition(this.tables.vendors, duplicate.key.PK, 'DELIVERY#')) {
+            const next = { ...delivery, PK: primary.key.PK, merged_from_vendor_id: duplicate.vendorId };
+            groups.push(moveItem(this.tables.vendors, delivery, next));
+            deliveries.push(moved(delivery, next));
+        }
+        const taken = new Set();
+        const performance = [];
+        for (const pk of performanceKeys(duplicate)) {
+            for (const record of await this.queryPartition(this.tables.analytics, pk)) {
+                const key = await this.freeKey({ PK: `VENDOR_PERFORMANCE#${primary.vendorId}`, SK: record.SK }, record.report_id || duplicate.vendorId, taken);
+                const next = {
+                    ...record,
+                    ...key,
+                    vendor_id: primary.vendorId,
+                    vendor_name: primary.companyName,
+                    reported_vendor_name: record.reported_vendor_name || record.vendor_name
+                };
+                groups.push(moveItem(this.tables.analytics, record, next));
+                performance.push(moved(record, next));
+            }
+        }
+        const chargebacks = [];
+        for (const chargeback of await this.findChargebacks(duplicate)) {
+            const key = await this.freeKey({ PK: chargeback.PK, SK: `VENDOR#${primary.companyName}` }, duplicate.vendorId, taken);
+            const next = {
+                ...chargeback,
+                ...key,
+                vendor_id: primary.vendorId,
+                vendor_name: primary.companyName,
+                reported_vendor_name: chargeback.reported_vendor_name || chargeback.vendor_name
+            };
+            groups.push(moveItem(this.tables.analytics, chargeback, next));
+            chargebacks.push(moved(chargeback, next));
+        }
+        const addedAliases = addedVendorAliases(primary, duplicate);
+        const record = {
+            ...mergeKey(mergeId),
+            merge_id: mergeId,
+            merge_status: 'merging',
+            primary_id: primary.vendorId,
+            primary_name: primary.companyName,
+            duplicate_id: duplicate.vendorId,
+            duplicate_name: duplicate.companyName,
+            duplicate_status: duplicate.status,
+            added_aliases: addedAliases,
+            deliveries,
+            performance,
+            chargebacks,
+            merged_by: mergedBy,
+            merged_at: now,
+            note: note || null,
+            updated_at: now
+        };
+        const updatedAt = (vendor) => (vendor.key.SK === 'PROFILE' ? 'updatedAt' : 'updated_at');
+        const final = {
+            apply: [
+                {
+                    Update: {
+                        TableName: this.tables.vendors,
+                        Key: (0, util_dynamodb_1.marshall)(primary.key),
+                        UpdateExpression: `SET aliases = list_append(if_not_exists(aliases, :empty), :added), ${updatedAt(primary)} = :now`,
+                        ConditionExpression: 'attribute_exists(PK) AND attribute_not_exists(merged_into_id)',
+                        ExpressionAttributeValues: (0, util_dynamodb_1.marshall)({ ':empty': [], ':added': addedAliases, ':now': now })
+                    }
+                },
+                {
+                    Update: {
+                        TableName: this.tables.vendors,
+                        Key: (0, util_dynamodb_1.marshall)(duplicate.key),
+                        UpdateExpression: `SET #status = :inactive, merged_into_id = :primary, merge_id = :mergeId, ${updatedAt(duplicate)} = :now`,
+                        ConditionExpression: 'attribute_exists(PK) AND attribute_not_exists(merged_into_id)',
+                        ExpressionAttributeNames: { '#status': 'status' },
+                        ExpressionAttributeValues: (0, util_dynamodb_1.marshall)({
+                            ':inactive': 'inactive',
+                            ':primary': primary.vendorId,
+                            ':mergeId': mergeId,
+                            ':now': now
+                        })
+                    }
+                },
+                {
+                    Update: {
+                        TableName: this.tables.merges,
+                        Key: (0, util_dynamodb_1.marshall)(mergeKey(mergeId)),
+                        UpdateExpression: 'SET merge_status = :merged, updated_at = :now',
+                        ConditionExpression: 'merge_status = :merging',
+                        ExpressionAttributeValues: (0, util_dynamodb_1.marshall)({ ':merged': 'merged', ':merging': 'merging', ':now': now })
+                    }
+                }
+            ],
+            undo: []
+        };
+        await this.client.send(new client_dynamodb_1.PutItemCommand({
+            TableName: this.tables.merges,
+            Item: (0, util_dynamodb_1.marshall)(record, { removeUndefinedValues: true }),
+            ConditionExpression: 'attribute_not_exists(PK)'
+        }));
+        try {
+            await (0, personnelMerge_1.writeTransactionGroups)(this.client, [...groups, final], 'Vendor merge');
+        }
+        catch (error) {
+            await this.markFailed(mergeId, error);
+            if (error?.name === 'TransactionCanceledException') {
+                throw new VendorMergeConflictError('Vendor records changed during the merge; nothing was changed, try again');
+            }
+            throw error;
+        }
+        console.log(`✅ Vendors merged (${mergeId}): ${deliveries.length} deliveries, ${performance.length} performance records, ${chargebacks.length} charge-backs moved`);
+        return formatVendorMerge({ ...record, merge_status: 'merged' });
+    }
+}
+exports.VendorMerges = VendorMerges;
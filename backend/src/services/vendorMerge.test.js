@@ -0,0 +1,181 @@
+/**
+ * Vendor Merge Tests
+ *
+ * Moving a duplicate vendor's deliveries, performance records and
+ * charge-backs to the vendor kept, the aliases it takes, the audit record,
+ * and conflicts, against the local DynamoDB stand-in.
+ */
+
+const { PutItemCommand, GetItemCommand, ScanCommand, TransactWriteItemsCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { LocalDynamoDB, DynamoDBError, localClient } = require('../local/dynamodb');
+const { loadTableDefinitions } = require('../local/seed');
+const {
+  VendorMerges,
+  VendorMergeConflictError,
+  addedVendorAliases,
+  performanceKeys
+} = require('./vendorMerge');
+const { vendorEntry } = require('./vendorMatching');
+
+const VENDORS = 'sitelogix-vendors';
+const ANALYTICS = 'sitelogix-analytics';
+const MERGES = 'sitelogix-vendor-merges';
+
+const PRIMARY = {
+  PK: 'VENDOR#9b2f',
+  SK: 'METADATA',
+  vendor_id: '9b2f',
+  company_name: 'ABC Supply',
+  status: 'active'
+};
+const DUPLICATE = {
+  PK: 'VENDOR#vendor_41c0',
+  SK: 'PROFILE',
+  vendorId: 'vendor_41c0',
+  companyName: 'abc',
+  companyNameVariations: ['A.B.C.', 'abc', 'ABC Supply Co'],
+  status: 'active'
+};
+
+function performance(pk, date, extra = {}) {
+  return { PK: `VENDOR_PERFORMANCE#${pk}`, SK: `DATE#${date}`, report_date: date, performance_grade: 'B', ...extra };
+}
+
+function put(client, tableName, item) {
+  return client.send(new PutItemCommand({ TableName: tableName, Item: marshall(item, { removeUndefinedValues: true }) }));
+}
+
+async function item(client, tableName, PK, SK) {
+  const result = await client.send(new GetItemCommand({ TableName: tableName, Key: marshall({ PK, SK }) }));
+  return result.Item ? unmarshall(result.Item) : null;
+}
+
+async function items(client, tableName) {
+  const result = await client.send(new ScanCommand({ TableName: tableName }));
+  return result.Items.map(record => unmarshall(record));
+}
+
+async function seed(client) {
+  await put(client, VENDORS, PRIMARY);
+  await put(client, VENDORS, DUPLICATE);
+  await put(client, VENDORS, { PK: DUPLICATE.PK, SK: 'DELIVERY#rpt_7#2026-10-02T07:00:00.000Z', reportId: 'rpt_7' });
+  await put(client, VENDORS, { PK: DUPLICATE.PK, SK: 'DELIVERY#rpt_8#2026-10-03T07:00:00.000Z', reportId: 'rpt_8' });
+  await put(client, ANALYTICS, performance('9b2f', '2026-10-01', { vendor_id: '9b2f', vendor_name: 'ABC Supply', report_id: 'rpt_6' }));
+  await put(client, ANALYTICS, performance('A.B.C.', '2026-10-01', { vendor_name: 'A.B.C.', report_id: 'rpt_5' }));
+  await put(client, ANALYTICS, performance('vendor_41c0', '2026-10-02', { vendor_id: 'vendor_41c0', vendor_name: 'abc', report_id: 'rpt_7' }));
+  await put(client, ANALYTICS, { PK: 'CHARGEBACK#EWO-12', SK: 'VENDOR#A.B.C.', vendor_name: 'A.B.C.', amount: 450 });
+  await put(client, ANALYTICS, { PK: 'CHARGEBACK#EWO-13', SK: 'VENDOR#Sunbelt', vendor_name: 'Sunbelt', amount: 90 });
+}
+
+describe('addedVendorAliases and performanceKeys', () => {
+  it('should add only the duplicate\'s names the primary does not go by', () => {
+    expect(addedVendorAliases(vendorEntry(PRIMARY), vendorEntry(DUPLICATE))).toEqual(['A.B.C.']);
+  });
+
+  it('should look up history under the vendor id and every name', () => {
+    expect(performanceKeys(vendorEntry(DUPLICATE))).toEqual([
+      'VENDOR_PERFORMANCE#vendor_41c0',
+      'VENDOR_PERFORMANCE#A.B.C.',
+      'VENDOR_PERFORMANCE#abc',
+      'VENDOR_PERFORMANCE#ABC Supply Co'
+    ]);
+  });
+});
+
+describe('VendorMerges', () => {
+  let client;
+  let merges;
+
+  const get = (tableName, PK, SK) => item(client, tableName, PK, SK);
+
+  beforeEach(async () => {
+    client = localClient(new LocalDynamoDB({ definitions: loadTableDefinitions() }));
+    await seed(client);
+    merges = new VendorMerges(client);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should move deliveries under the vendor kept', async () => {
+    const merge = await merges.merge(vendorEntry(PRIMARY), vendorEntry(DUPLICATE), { mergedBy: 'David Chen' });
+
+    expect(merge.repointed.deliveries).toBe(2);
+    expect((await items(client, VENDORS)).filter(item => item.SK.startsWith('DELIVERY#')).map(item => item.PK))
+      .toEqual(['VENDOR#9b2f', 'VENDOR#9b2f']);
+  });
+
+  it('should move performance history under the primary id, keeping a date it already has', async () => {
+    await merges.merge(vendorEntry(PRIMARY), vendorEntry(DUPLICATE), { mergedBy: 'David Chen' });
+
+    const history = (await items(client, ANALYTICS)).filter(item => item.PK.startsWith('VENDOR_PERFORMANCE#'));
+    expect(history.map(item => `${item.PK} ${item.SK}`).sort()).toEqual([
+      'VENDOR_PERFORMANCE#9b2f DATE#2026-10-01',
+      'VENDOR_PERFORMANCE#9b2f DATE#2026-10-01#rpt_5',
+      'VENDOR_PERFORMANCE#9b2f DATE#2026-10-02'
+    ]);
+    expect(await get(ANALYTICS, 'VENDOR_PERFORMANCE#9b2f', 'DATE#2026-10-01#rpt_5')).toEqual(expect.objectContaining({
+      vendor_id: '9b2f',
+      vendor_name: 'ABC Supply',
+      reported_vendor_name: 'A.B.C.'
+    }));
+  });
+
+  it('should re-key the duplicate\'s charge-backs and leave others alone', async () => {
+    await merges.merge(vendorEntry(PRIMARY), vendorEntry(DUPLICATE), { mergedBy: 'David Chen' });
+
+    expect(await get(ANALYTICS, 'CHARGEBACK#EWO-12', 'VENDOR#ABC Supply')).toEqual(expect.objectContaining({
+      vendor_name: 'ABC Supply',
+      amount: 450
+    }));
+    expect(await get(ANALYTICS, 'CHARGEBACK#EWO-12', 'VENDOR#A.B.C.')).toBeNull();
+    expect(await get(ANALYTICS, 'CHARGEBACK#EWO-13', 'VENDOR#Sunbelt')).not.toBeNull();
+  });
+
+  it('should give the primary the duplicate\'s names and mark the duplicate merged', async () => {
+    const merge = await merges.merge(vendorEntry(PRIMARY), vendorEntry(DUPLICATE), { mergedBy: 'David Chen', note: 'Same yard' });
+
+    expect((await get(VENDORS, PRIMARY.PK, 'METADATA')).aliases).toEqual(['A.B.C.']);
+    expect(await get(VENDORS, DUPLICATE.PK, 'PROFILE')).toEqual(expect.objectContaining({
+      status: 'inactive',
+      merged_into_id: '9b2f',
+      merge_id: merge.mergeId
+    }));
+    expect(await merges.get(merge.mergeId)).toEqual(expect.objectContaining({
+      status: 'merged',
+      primaryName: 'ABC Supply',
+      duplicateName: 'A.B.C.',
+      addedAliases: ['A.B.C.'],
+      repointed: { deliveries: 2, performance: 2, chargebacks: 1 },
+      mergedBy: 'David Chen',
+      note: 'Same yard'
+    }));
+  });
+
+  it('should refuse a vendor that was already merged', async () => {
+    await merges.merge(vendorEntry(PRIMARY), vendorEntry(DUPLICATE), { mergedBy: 'David Chen' });
+    const merged = vendorEntry(await get(VENDORS, DUPLICATE.PK, 'PROFILE'));
+
+    await expect(merges.merge(vendorEntry(PRIMARY), merged, { mergedBy: 'David Chen' })).rejects.toThrow(VendorMergeConflictError);
+    await expect(merges.merge(vendorEntry(PRIMARY), vendorEntry(PRIMARY), { mergedBy: 'David Chen' })).rejects.toThrow('itself');
+  });
+
+  it('should change nothing and record the failure when a record changed underneath', async () => {
+    const send = client.send;
+    jest.spyOn(client, 'send').mockImplementation(async (command) => {
+      if (command instanceof TransactWriteItemsCommand) {
+        throw new DynamoDBError('TransactionCanceledException', 'Transaction cancelled');
+      }
+      return send(command);
+    });
+
+    await expect(merges.merge(vendorEntry(PRIMARY), vendorEntry(DUPLICATE), { mergedBy: 'David Chen' }))
+      .rejects.toThrow(VendorMergeConflictError);
+    expect((await get(VENDORS, DUPLICATE.PK, 'PROFILE')).merged_into_id).toBeUndefined();
+    expect((await items(client, MERGES))[0]).toEqual(expect.objectContaining({ merge_status: 'failed' }));
+  });
+});
@@ -0,0 +1,413 @@
+/**
+ * Vendor Merge
+ *
+ * Merging a duplicate vendor into the one kept moves its history over, so
+ * grades stop splitting between "ABC Supply" and "A.B.C.":
+ * - deliveries (sitelogix-vendors, VENDOR#{id} / DELIVERY#…), moved under the
+ *   primary's key
+ * - performance records (sitelogix-analytics, VENDOR_PERFORMANCE#{key} /
+ *   DATE#…), keyed by vendor id or, from before vendors were resolved, by the
+ *   name in the report. Each is moved under VENDOR_PERFORMANCE#{primaryId};
+ *   one landing on a date the primary already has keeps its report id in
+ *   the sort key
+ * - charge-backs (sitelogix-analytics, CHARGEBACK#… / VENDOR#{name}), found by
+ *   scan and re-keyed to the primary's name
+ *
+ * Moved analytics records get the primary's vendor_id and vendor_name and
+ * keep the name the report used in reported_vendor_name.
+ *
+ * Everything is written with writeTransactionGroups: the profile changes
+ * (the duplicate's names added to the primary's aliases, the duplicate set
+ * inactive with merged_into_id) commit with the last batch, and a failed
+ * batch undoes the ones before it. The audit record in sitelogix-vendor-merges
+ * (MERGE#{mergeId} / AUDIT) lists every record that was moved.
+ */
+
+import {
+  DynamoDBClient,
+  GetItemCommand,
+  PutItemCommand,
+  QueryCommand,
+  ScanCommand,
+  TransactWriteItem,
+  UpdateItemCommand
+} from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { v4 as uuidv4 } from 'uuid';
+import { WriteGroup, writeTransactionGroups } from './personnelMerge';
+import { VENDORS_TABLE, VendorEntry, normalizeVendorName, vendorNames } from './vendorMatching';
+
+export const VENDOR_MERGES_TABLE = 'sitelogix-vendor-merges';
+
+export const VENDOR_MERGE_STATUSES = ['merging', 'merged', 'failed'] as const;
+export type VendorMergeStatus = typeof VENDOR_MERGE_STATUSES[number];
+
+export interface VendorMergeTables {
+  vendors: string;
+  analytics: string;
+  merges: string;
+}
+
+export const DEFAULT_VENDOR_MERGE_TABLES: VendorMergeTables = {
+  vendors: VENDORS_TABLE,
+  analytics: 'sitelogix-analytics',
+  merges: VENDOR_MERGES_TABLE
+};
+
+const SORT_KEY = 'AUDIT';
+
+export interface VendorMerge {
+  mergeId: string;
+  status: VendorMergeStatus;
+  primaryId: string;
+  primaryName: string;
+  duplicateId: string;
+  duplicateName: string;
+  addedAliases: string[];
+  repointed: { deliveries: number; performance: number; chargebacks: number };
+  mergedBy: string;
+  mergedAt: string;
+  note: string | null;
+  error: string | null;
+}
+
+/**
+ * A moved record: where it was and where it is now
+ */
+export interface MovedRef {
+  from: { PK: string; SK: string };
+  to: { PK: string; SK: string };
+}
+
+/**
+ * Thrown when a vendor or its history changed under a merge; nothing is left
+ * half-written
+ */
+export class VendorMergeConflictError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'VendorMergeConflictError';
+  }
+}
+
+/**
+ * Names the primary takes from the duplicate as aliases: every name the
+ * duplicate went by that the primary doesn't already
+ */
+export function addedVendorAliases(primary: VendorEntry, duplicate: VendorEntry): string[] {
+  const known = new Set(vendorNames(primary).map(normalizeVendorName));
+  const added: string[] = [];
+
+  for (const name of vendorNames(duplicate)) {
+    const normalized = normalizeVendorName(name);
+    if (!known.has(normalized)) {
+      known.add(normalized);
+      added.push(name);
+    }
+  }
+  return added;
+}
+
+/**
+ * Performance record keys that may hold the duplicate's history: its id and
+ * every name it was stored under
+ */
+export function performanceKeys(vendor: VendorEntry): string[] {
+  return [...new Set([vendor.vendorId, ...vendorNames(vendor)])].map(key => `VENDOR_PERFORMANCE#${key}`);
+}
+
+/**
+ * Public view of a stored audit record
+ */
+export function formatVendorMerge(record: any): VendorMerge {
+  return {
+    mergeId: record.merge_id,
+    status: record.merge_status,
+    primaryId: record.primary_id,
+    primaryName: record.primary_name,
+    duplicateId: record.duplicate_id,
+    duplicateName: record.duplicate_name,
+    addedAliases: record.added_aliases || [],
+    repointed: {
+      deliveries: (record.deliveries || []).length,
+      performance: (record.performance || []).length,
+      chargebacks: (record.chargebacks || []).length
+    },
+    mergedBy: record.merged_by,
+    mergedAt: record.merged_at,
+    note: record.note || null,
+    error: record.error || null
+  };
+}
+
+function mergeKey(mergeId: string): { PK: string; SK: string } {
+  return { PK: `MERGE#${mergeId}`, SK: SORT_KEY };
+}
+
+/**
+ * Delete an item and put its replacement under another key, and the writes
+ * that put it back
+ */
+function moveItem(tableName: string, current: any, next: any): WriteGroup {
+  const move = (from: any, to: any): TransactWriteItem[] => [
+    {
+      Delete: {
+        TableName: tableName,
+        Key: marshall({ PK: from.PK, SK: from.SK }),
+        ConditionExpression: 'attribute_exists(PK)'
+      }
+    },
+    {
+      Put: {
+        TableName: tableName,
+        Item: marshall(to, { removeUndefinedValues: true }),
+        ConditionExpression: 'attribute_not_exists(PK)'
+      }
+    }
+  ];
+  return { apply: move(current, next), undo: move(next, current) };
+}
+
+export class VendorMerges {
+  private tables: VendorMergeTables;
+
+  constructor(private client: DynamoDBClient, tables: Partial<VendorMergeTables> = {}) {
+    this.tables = { ...DEFAULT_VENDOR_MERGE_TABLES, ...tables };
+  }
+
+  /**
+   * One merge; null when there is no such merge
+   */
+  async get(mergeId: string): Promise<VendorMerge | null> {
+    const result = await this.client.send(new GetItemCommand({
+      TableName: this.tables.merges,
+      Key: marshall(mergeKey(mergeId)),
+      ConsistentRead: true
+    }));
+    return result.Item ? formatVendorMerge(unmarshall(result.Item)) : null;
+  }
+
+  private async exists(tableName: string, key: { PK: string; SK: string }): Promise<boolean> {
+    const result = await this.client.send(new GetItemCommand({
+      TableName: tableName,
+      Key: marshall(key),
+      ProjectionExpression: 'PK'
+    }));
+    return Boolean(result.Item);
+  }
+
+  /**
+   * Every item under a partition key, optionally only sort keys with a prefix
+   */
+  private async queryPartition(tableName: string, pk: string, skPrefix?: string): Promise<any[]> {
+    const items: any[] = [];
+    let startKey: Record<string, any> | undefined;
+
+    do {
+      const result = await this.client.send(new QueryCommand({
+        TableName: tableName,
+        KeyConditionExpression: skPrefix ? 'PK = :pk AND begins_with(SK, :prefix)' : 'PK = :pk',
+        ExpressionAttributeValues: marshall(skPrefix ? { ':pk': pk, ':prefix': skPrefix } : { ':pk': pk }),
+        ExclusiveStartKey: startKey
+      }));
+      items.push(...(result.Items || []).map(item => unmarshall(item)));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+
+    return items;
+  }
+
+  /**
+   * Charge-backs recorded against the vendor's id or any of its names
+   */
+  private async findChargebacks(vendor: VendorEntry): Promise<any[]> {
+    const sortKeys = new Set(vendorNames(vendor).map(name => `VENDOR#${name}`));
+    const chargebacks: any[] = [];
+    let startKey: Record<string, any> | undefined;
+
+    do {
+      const result = await this.client.send(new ScanCommand({
+        TableName: this.tables.analytics,
+        FilterExpression: 'begins_with(PK, :pk)',
+        ExpressionAttributeValues: marshall({ ':pk': 'CHARGEBACK#' }),
+        ExclusiveStartKey: startKey
+      }));
+      chargebacks.push(...(result.Items || [])
+        .map(item => unmarshall(item))
+        .filter(item => item.vendor_id === vendor.vendorId || sortKeys.has(item.SK)));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+
+    return chargebacks;
+  }
+
+  /**
+   * A key for a moved analytics record that nothing holds yet
+   */
+  private async freeKey(key: { PK: string; SK: string }, suffix: string, taken: Set<string>): Promise<{ PK: string; SK: string }> {
+    const free = async (candidate: { PK: string; SK: string }) =>
+      !taken.has(`${candidate.PK}|${candidate.SK}`) && !(await this.exists(this.tables.analytics, candidate));
+
+    const target = (await free(key)) ? key : { PK: key.PK, SK: `${key.SK}#${suffix}` };
+    taken.add(`${target.PK}|${target.SK}`);
+    return target;
+  }
+
+  private async markFailed(mergeId: string, error: Error): Promise<void> {
+    await this.client.send(new UpdateItemCommand({
+      TableName: this.tables.merges,
+      Key: marshall(mergeKey(mergeId)),
+      UpdateExpression: 'SET merge_status = :failed, #error = :error, updated_at = :now',
+      ExpressionAttributeNames: { '#error': 'error' },
+      ExpressionAttributeValues: marshall({ ':failed': 'failed', ':error': error.message, ':now': new Date().toISOString() })
+    }));
+  }
+
+  /**
+   * Merge the duplicate into the primary: move its deliveries, performance
+   * records and charge-backs, give the primary its names as aliases and
+   * keep an audit record
+   */
+  async merge(
+    primary: VendorEntry,
+    duplicate: VendorEntry,
+    { mergedBy, note }: { mergedBy: string; note?: string | null }
+  ): Promise<VendorMerge> {
+    if (primary.vendorId === duplicate.vendorId) {
+      throw new Error('Cannot merge a vendor into itself');
+    }
+    if (primary.mergedIntoId || duplicate.mergedIntoId) {
+      throw new VendorMergeConflictError('One of these vendors has already been merged into another');
+    }
+    console.log(`🔀 Merging vendors: ${duplicate.vendorId} → ${primary.vendorId}`);
+
+    const mergeId = `merge_${uuidv4()}`;
+    const now = new Date().toISOString();
+    const groups: WriteGroup[] = [];
+    const moved = (current: any, next: any): MovedRef => ({
+      from: { PK: current.PK, SK: current.SK },
+      to: { PK: next.PK, SK: next.SK }
+    });
+
+    const deliveries: MovedRef[] = [];
+    for (const delivery of await this.queryPartition(this.tables.vendors, duplicate.key.PK, 'DELIVERY#')) {
+      const next = { ...delivery, PK: primary.key.PK, merged_from_vendor_id: duplicate.vendorId };
+      groups.push(moveItem(this.tables.vendors, delivery, next));
+      deliveries.push(moved(delivery, next));
+    }
+
+    const taken = new Set<string>();
+    const performance: MovedRef[] = [];
+    for (const pk of performanceKeys(duplicate)) {
+      for (const record of await this.queryPartition(this.tables.analytics, pk)) {
+        const key = await this.freeKey(
+          { PK: `VENDOR_PERFORMANCE#${primary.vendorId}`, SK: record.SK },
+          record.report_id || duplicate.vendorId,
+          taken
+        );
+        const next = {
+          ...record,
+          ...key,
+          vendor_id: primary.vendorId,
+          vendor_name: primary.companyName,
+          reported_vendor_name: record.reported_vendor_name || record.vendor_name
+        };
+        groups.push(moveItem(this.tables.analytics, record, next));
+        performance.push(moved(record, next));
+      }
+    }
+
+    const chargebacks: MovedRef[] = [];
+    for (const chargeback of await this.findChargebacks(duplicate)) {
+      const key = await this.freeKey({ PK: chargeback.PK, SK: `VENDOR#${primary.companyName}` }, duplicate.vendorId, taken);
+      const next = {
+        ...chargeback,
+        ...key,
+        vendor_id: primary.vendorId,
+        vendor_name: primary.companyName,
+        reported_vendor_name: chargeback.reported_vendor_name || chargeback.vendor_name
+      };
+      groups.push(moveItem(this.tables.analytics, chargeback, next));
+      chargebacks.push(moved(chargeback, next));
+    }
+
+    const addedAliases = addedVendorAliases(primary, duplicate);
+    const record = {
+      ...mergeKey(mergeId),
+      merge_id: mergeId,
+      merge_status: 'merging',
+      primary_id: primary.vendorId,
+      primary_name: primary.companyName,
+      duplicate_id: duplicate.vendorId,
+      duplicate_name: duplicate.companyName,
+      duplicate_status: duplicate.status,
+      added_aliases: addedAliases,
+      deliveries,
+      performance,
+      chargebacks,
+      merged_by: mergedBy,
+      merged_at: now,
+      note: note || null,
+      updated_at: now
+    };
+
+    const updatedAt = (vendor: VendorEntry) => (vendor.key.SK === 'PROFILE' ? 'updatedAt' : 'updated_at');
+    const final: WriteGroup = {
+      apply: [
+        {
+          Update: {
+            TableName: this.tables.vendors,
+            Key: marshall(primary.key),
+            UpdateExpression: `SET aliases = list_append(if_not_exists(aliases, :empty), :added), ${updatedAt(primary)} = :now`,
+            ConditionExpression: 'attribute_exists(PK) AND attribute_not_exists(merged_into_id)',
+            ExpressionAttributeValues: marshall({ ':empty': [], ':added': addedAliases, ':now': now })
+          }
+        },
+        {
+          Update: {
+            TableName: this.tables.vendors,
+            Key: marshall(duplicate.key),
+            UpdateExpression: `SET #status = :inactive, merged_into_id = :primary, merge_id = :mergeId, ${updatedAt(duplicate)} = :now`,
+            ConditionExpression: 'attribute_exists(PK) AND attribute_not_exists(merged_into_id)',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: marshall({
+              ':inactive': 'inactive',
+              ':primary': primary.vendorId,
+              ':mergeId': mergeId,
+              ':now': now
+            })
+          }
+        },
+        {
+          Update: {
+            TableName: this.tables.merges,
+            Key: marshall(mergeKey(mergeId)),
+            UpdateExpression: 'SET merge_status = :merged, updated_at = :now',
+            ConditionExpression: 'merge_status = :merging',
+            ExpressionAttributeValues: marshall({ ':merged': 'merged', ':merging': 'merging', ':now': now })
+          }
+        }
+      ],
+      undo: []
+    };
+
+    await this.client.send(new PutItemCommand({
+      TableName: this.tables.merges,
+      Item: marshall(record, { removeUndefinedValues: true }),
+      ConditionExpression: 'attribute_not_exists(PK)'
+    }));
+
+    try {
+      await writeTransactionGroups(this.client, [...groups, final], 'Vendor merge');
+    } catch (error: any) {
+      await this.markFailed(mergeId, error);
+      if (error?.name === 'TransactionCanceledException') {
+        throw new VendorMergeConflictError('Vendor records changed during the merge; nothing was changed, try again');
+      }
+      throw error;
+    }
+
+    console.log(`✅ Vendors merged (${mergeId}): ${deliveries.length} deliveries, ${performance.length} performance records, ${chargebacks.length} charge-backs moved`);
+    return formatVendorMerge({ ...record, merge_status: 'merged' });
+  }
+}
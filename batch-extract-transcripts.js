@@ -9,10 +9,10 @@
 require('dotenv').config();
 
 const { S3Client, ListObjectsV2Command, GetObjectCommand } = require('@aws-sdk/client-s3');
-const { DynamoDBClient, GetItemCommand, PutItemCommand } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBClient, PutItemCommand } = require('@aws-sdk/client-dynamodb');
 const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
 const Anthropic = require('@anthropic-ai/sdk');
-const { normalizeExtractedData, getMasterPersonnel } = require('./backend/src/functions/entityNormalizationService');
+const { MasterDataDirectory, normalizeExtractedData } = require('./backend/src/services/entityNormalizationService');
 
 const s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
 const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
@@ -41,10 +41,10 @@ async function main() {
     return;
   }
 
-  // Step 2: Seed master personnel
-  console.log('👥 Step 2: Seeding master personnel...');
-  await seedMasterPersonnel();
-  console.log('✅ Master personnel seeded');
+  // Step 2: Load the personnel and project directory
+  console.log('👥 Step 2: Loading master personnel and projects...');
+  const masterData = await new MasterDataDirectory(dynamoClient).load();
+  console.log(`✅ Loaded ${masterData.personnel.length} personnel and ${masterData.projects.length} projects`);
   console.log('');
 
   // Step 3: Process each transcript
@@ -87,7 +87,7 @@ async function main() {
 
       // Normalize entities
       console.log('🔄 Normalizing entities...');
-      const normalized = normalizeExtractedData(extraction.data);
+      const normalized = normalizeExtractedData(extraction.data, masterData);
       console.log(`   ✓ Normalized: ${normalized.additional_personnel?.length || 0} personnel, ${normalized.vendors?.length || 0} vendors`);
 
       // Store in DynamoDB
@@ -363,46 +363,6 @@ async function storeExtractedReport(normalizedData, s3Key, filename) {
   return reportItem;
 }
 
-/**
- * Seed master personnel
- */
-async function seedMasterPersonnel() {
-  const masterPersonnel = getMasterPersonnel();
-  let created = 0;
-
-  for (const [personnelId, data] of Object.entries(masterPersonnel)) {
-    const existsCheck = await dynamoClient.send(new GetItemCommand({
-      TableName: 'sitelogix-personnel',
-      Key: {
-        PK: { S: `PERSONNEL#${personnelId}` },
-        SK: { S: 'METADATA' }
-      }
-    }));
-
-    if (!existsCheck.Item) {
-      const personnelItem = {
-        PK: `PERSONNEL#${personnelId}`,
-        SK: 'METADATA',
-        personnel_id: personnelId,
-        full_name: data.canonical_name,
-        role: data.role,
-        status: 'active',
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
-
-      await dynamoClient.send(new PutItemCommand({
-        TableName: 'sitelogix-personnel',
-        Item: marshall(personnelItem, { removeUndefinedValues: true })
-      }));
-
-      created++;
-    }
-  }
-
-  console.log(`   ✓ Seeded ${created} new personnel`);
-}
-
 // Run the batch processor
 main().catch(error => {
   console.error('\n❌ Fatal error:', error);
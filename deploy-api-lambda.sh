@@ -107,8 +107,15 @@ fi
 echo "Creating zip file..."
 rm -f $PACKAGE_FILE
 
-# Copy service files to functions directory for flat structure
-cp ../services/*.js . 2>/dev/null || true
+# Copy service files to functions directory for flat structure (not their tests)
+COPIED_SERVICES=()
+for file in ../services/*.js ../services/*.json; do
+  [ -f "$file" ] || continue
+  case "$file" in *.test.js) continue ;; esac
+  [ -e "$(basename "$file")" ] && continue
+  cp "$file" .
+  COPIED_SERVICES+=("$(basename "$file")")
+done
 
 # Copy compiled TypeScript services (dist folder) for analytics
 echo "Including compiled TypeScript services..."
@@ -122,13 +129,13 @@ fi
 
 # Create zip with flat structure and dist folder
 if [ -d "dist" ]; then
-  zip -r $PACKAGE_FILE *.js node_modules/ dist/ > /dev/null 2>&1
+  zip -r $PACKAGE_FILE *.js node_modules/ dist/ -x '*.test.js' > /dev/null 2>&1
 else
-  zip -r $PACKAGE_FILE *.js node_modules/ > /dev/null 2>&1
+  zip -r $PACKAGE_FILE *.js node_modules/ -x '*.test.js' > /dev/null 2>&1
 fi
 
 # Clean up copied service files
-rm -f personnelService.js payrollService.js payrollExtractionService.js 2>/dev/null || true
+rm -f "${COPIED_SERVICES[@]}" 2>/dev/null || true
 rm -rf dist/ 2>/dev/null || true
 
 echo "✅ Deployment package created: $(du -h $PACKAGE_FILE | cut -f1)"
@@ -244,144 +251,34 @@ INTEGRATION_ID=$(aws apigatewayv2 create-integration \
 
 echo "✅ Integration configured: $INTEGRATION_ID"
 
-# Create GET routes
-for ROUTE in "/api/managers" "/api/projects" "/api/projects/{projectId}" "/api/health" "/api/reports" "/api/reports/{reportId}/html" "/api/reports/{reportId}/transcript" "/api/analytics/insights" "/api/analytics/reports/{reportType}" "/api/bi/reports/overtime" "/api/bi/reports/constraints" "/api/bi/reports/savings" "/api/bi/reports/deliveries" "/api/elevenlabs/agent-config" "/api/personnel" "/api/personnel/{id}" "/api/vendors" "/api/vendors/{id}" "/api/auth/me" "/api/admin/employees" "/api/admin/employees/{employeeId}" "/api/time-entries" "/api/time-entries/employee/{employeeId}/hours"; do
-    ROUTE_ID=$(aws apigatewayv2 get-routes --api-id $API_ID --region $REGION --query "Items[?RouteKey=='GET $ROUTE'].RouteId" --output text)
-
-    if [ -z "$ROUTE_ID" ]; then
-        aws apigatewayv2 create-route \
-            --api-id $API_ID \
-            --route-key "GET $ROUTE" \
-            --target "integrations/$INTEGRATION_ID" \
-            --region $REGION \
-            > /dev/null
-        echo "✅ Route created: GET $ROUTE"
-    else
-        echo "✅ Route already exists: GET $ROUTE"
-    fi
-done
-
-# Create POST routes
-for ROUTE in "/api/reports" "/api/analytics/query" "/api/analytics/constraints/{constraintId}/resolution" "/api/analytics/constraints/{constraintId}/status" "/api/elevenlabs/conversation" "/api/personnel" "/api/vendors" "/api/auth/login" "/api/auth/logout" "/api/auth/refresh" "/api/admin/employees" "/api/projects" "/api/time-entries"; do
-    ROUTE_ID=$(aws apigatewayv2 get-routes --api-id $API_ID --region $REGION --query "Items[?RouteKey=='POST $ROUTE'].RouteId" --output text)
-
-    if [ -z "$ROUTE_ID" ]; then
-        aws apigatewayv2 create-route \
-            --api-id $API_ID \
-            --route-key "POST $ROUTE" \
-            --target "integrations/$INTEGRATION_ID" \
-            --region $REGION \
-            > /dev/null
-        echo "✅ Route created: POST $ROUTE"
-    else
-        echo "✅ Route already exists: POST $ROUTE"
-    fi
-done
-
-# Create PUT routes
-for ROUTE in "/api/personnel/{id}" "/api/vendors/{id}" "/api/admin/employees/{employeeId}" "/api/projects/{projectId}" "/api/projects/{projectId}/status" "/api/projects/{projectId}/timeline" "/api/time-entries/{entryId}"; do
-    ROUTE_ID=$(aws apigatewayv2 get-routes --api-id $API_ID --region $REGION --query "Items[?RouteKey=='PUT $ROUTE'].RouteId" --output text)
-
-    if [ -z "$ROUTE_ID" ]; then
-        aws apigatewayv2 create-route \
-            --api-id $API_ID \
-            --route-key "PUT $ROUTE" \
-            --target "integrations/$INTEGRATION_ID" \
-            --region $REGION \
-            > /dev/null
-        echo "✅ Route created: PUT $ROUTE"
-    else
-        echo "✅ Route already exists: PUT $ROUTE"
-    fi
-done
-
-# Create DELETE routes
-for ROUTE in "/api/personnel/{id}" "/api/vendors/{id}" "/api/admin/employees/{employeeId}" "/api/projects/{projectId}"; do
-    ROUTE_ID=$(aws apigatewayv2 get-routes --api-id $API_ID --region $REGION --query "Items[?RouteKey=='DELETE $ROUTE'].RouteId" --output text)
-
-    if [ -z "$ROUTE_ID" ]; then
-        aws apigatewayv2 create-route \
-            --api-id $API_ID \
-            --route-key "DELETE $ROUTE" \
-            --target "integrations/$INTEGRATION_ID" \
-            --region $REGION \
-            > /dev/null
-        echo "✅ Route created: DELETE $ROUTE"
-    else
-        echo "✅ Route already exists: DELETE $ROUTE"
-    fi
-done
-
-echo ""
-echo "🤖 Creating Roxy AI extraction routes..."
-
-# Create extraction POST routes
-for ROUTE in "/api/extract/batch" "/api/extract/personnel/seed"; do
-    ROUTE_ID=$(aws apigatewayv2 get-routes --api-id $API_ID --region $REGION --query "Items[?RouteKey=='POST $ROUTE'].RouteId" --output text)
-
-    if [ -z "$ROUTE_ID" ]; then
-        aws apigatewayv2 create-route \
-            --api-id $API_ID \
-            --route-key "POST $ROUTE" \
-            --target "integrations/$INTEGRATION_ID" \
-            --region $REGION \
-            > /dev/null
-        echo "✅ Route created: POST $ROUTE"
-    else
-        echo "✅ Route already exists: POST $ROUTE"
-    fi
-done
-
-# Create extraction GET routes
-ROUTE="/api/extract/master-data"
-ROUTE_ID=$(aws apigatewayv2 get-routes --api-id $API_ID --region $REGION --query "Items[?RouteKey=='GET $ROUTE'].RouteId" --output text)
+# Send every /api request to the Lambda; its route table answers 404 and 405
+# for paths and methods it doesn't serve. Routes created by earlier versions
+# of this script point at the same integration and keep working.
+ROUTE_KEY='ANY /api/{proxy+}'
+ROUTE_ID=$(aws apigatewayv2 get-routes --api-id $API_ID --region $REGION --query "Items[?RouteKey=='$ROUTE_KEY'].RouteId" --output text)
 
 if [ -z "$ROUTE_ID" ]; then
     aws apigatewayv2 create-route \
         --api-id $API_ID \
-        --route-key "GET $ROUTE" \
+        --route-key "$ROUTE_KEY" \
         --target "integrations/$INTEGRATION_ID" \
         --region $REGION \
         > /dev/null
-    echo "✅ Route created: GET $ROUTE"
+    echo "✅ Route created: $ROUTE_KEY"
 else
-    echo "✅ Route already exists: GET $ROUTE"
+    echo "✅ Route already exists: $ROUTE_KEY"
 fi
 
-echo ""
-echo "💼 Creating Payroll API routes..."
-
-# Create payroll GET routes
-for ROUTE in "/api/payroll/daily/{date}" "/api/payroll/export/daily/{date}"; do
-    ROUTE_ID=$(aws apigatewayv2 get-routes --api-id $API_ID --region $REGION --query "Items[?RouteKey=='GET $ROUTE'].RouteId" --output text)
-
-    if [ -z "$ROUTE_ID" ]; then
-        aws apigatewayv2 create-route \
-            --api-id $API_ID \
-            --route-key "GET $ROUTE" \
-            --target "integrations/$INTEGRATION_ID" \
-            --region $REGION \
-            > /dev/null
-        echo "✅ Route created: GET $ROUTE"
-    else
-        echo "✅ Route already exists: GET $ROUTE"
-    fi
-done
-
-# Create payroll POST routes
-for ROUTE in "/api/payroll/bulk" "/api/personnel/match"; do
-    ROUTE_ID=$(aws apigatewayv2 get-routes --api-id $API_ID --region $REGION --query "Items[?RouteKey=='POST $ROUTE'].RouteId" --output text)
+# Remove routes whose handlers were deleted
+for ROUTE_KEY in "POST /api/extract/personnel/seed"; do
+    ROUTE_ID=$(aws apigatewayv2 get-routes --api-id $API_ID --region $REGION --query "Items[?RouteKey=='$ROUTE_KEY'].RouteId" --output text)
 
-    if [ -z "$ROUTE_ID" ]; then
-        aws apigatewayv2 create-route \
+    if [ -n "$ROUTE_ID" ]; then
+        aws apigatewayv2 delete-route \
             --api-id $API_ID \
-            --route-key "POST $ROUTE" \
-            --target "integrations/$INTEGRATION_ID" \
-            --region $REGION \
-            > /dev/null
-        echo "✅ Route created: POST $ROUTE"
-    else
-        echo "✅ Route already exists: POST $ROUTE"
+            --route-id $ROUTE_ID \
+            --region $REGION
+        echo "🗑️  Route removed: $ROUTE_KEY"
     fi
 done
 
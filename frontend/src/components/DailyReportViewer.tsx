@@ -1,4 +1,6 @@
 import React, { useEffect, useState } from 'react';
+import ExtractedDataEditor from './ExtractedDataEditor';
+import ExtractionSources from './ExtractionSources';
 
 interface DailyReportViewerProps {
   reportUrl?: string;
@@ -12,6 +14,8 @@ interface DailyReportViewerProps {
  *
  * Displays beautiful HTML construction reports in an iframe
  * Can fetch report URL from S3 based on reportId or use direct URL
+ * Edit mode lets managers correct the extracted data behind the report
+ * Sources mode lists where each item was said and jumps to it in the transcript
  */
 export const DailyReportViewer: React.FC<DailyReportViewerProps> = ({
   reportUrl,
@@ -21,6 +25,10 @@ export const DailyReportViewer: React.FC<DailyReportViewerProps> = ({
 }) => {
   const [htmlReportUrl, setHtmlReportUrl] = useState<string | null>(reportUrl || null);
   const [error, setError] = useState<string | null>(null);
+  const [editing, setEditing] = useState(false);
+  const [showingSources, setShowingSources] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+  const [reloadKey, setReloadKey] = useState(0);
 
   useEffect(() => {
     // If we have a direct URL, use it
@@ -66,6 +74,12 @@ export const DailyReportViewer: React.FC<DailyReportViewerProps> = ({
     }
   };
 
+  const handleCorrectionSaved = (revision: number) => {
+    setEditing(false);
+    setMessage(`Saved revision ${revision}. Payroll entries are being updated.`);
+    setReloadKey(key => key + 1);
+  };
+
   const handleOpenInNewTab = () => {
     if (htmlReportUrl) {
       window.open(htmlReportUrl, '_blank');
@@ -92,6 +106,37 @@ export const DailyReportViewer: React.FC<DailyReportViewerProps> = ({
         </div>
 
         <div className="flex items-center space-x-2">
+          {reportId && (
+            <button
+              onClick={() => {
+                setMessage(null);
+                setShowingSources(false);
+                setEditing(!editing);
+              }}
+              className="px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 transition flex items-center space-x-2"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+              </svg>
+              <span>{editing ? 'View' : 'Edit'}</span>
+            </button>
+          )}
+
+          {reportId && (
+            <button
+              onClick={() => {
+                setEditing(false);
+                setShowingSources(!showingSources);
+              }}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition flex items-center space-x-2"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z" />
+              </svg>
+              <span>{showingSources ? 'Report' : 'Sources'}</span>
+            </button>
+          )}
+
           <button
             onClick={handlePrint}
             className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition flex items-center space-x-2"
@@ -132,13 +177,37 @@ export const DailyReportViewer: React.FC<DailyReportViewerProps> = ({
           </div>
         )}
 
-        <iframe
-          id="report-iframe"
-          src={htmlReportUrl}
-          className="w-full h-full border-0"
-          title="Daily Construction Report"
-          sandbox="allow-same-origin allow-scripts allow-popups allow-forms"
-        />
+        {message && (
+          <div className="p-4 bg-green-50 border border-green-200 rounded-lg m-4">
+            <p className="text-green-800">{message}</p>
+          </div>
+        )}
+
+        {editing && reportId ? (
+          <ExtractedDataEditor
+            reportId={reportId}
+            projectId={projectId}
+            reportDate={reportDate}
+            onSaved={handleCorrectionSaved}
+            onCancel={() => setEditing(false)}
+          />
+        ) : showingSources && reportId ? (
+          <ExtractionSources
+            key={reloadKey}
+            reportId={reportId}
+            projectId={projectId}
+            reportDate={reportDate}
+          />
+        ) : (
+          <iframe
+            key={reloadKey}
+            id="report-iframe"
+            src={htmlReportUrl}
+            className="w-full h-full border-0"
+            title="Daily Construction Report"
+            sandbox="allow-same-origin allow-scripts allow-popups allow-forms"
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,398 @@
+import React, { useEffect, useState } from 'react';
+import {
+  getExtractedData,
+  updateExtractedData,
+  getReportRevisions,
+  getReportRevision,
+  type ExtractedData,
+  type ExtractedPerson,
+  type ExtractedConstraint,
+  type ExtractedVendor,
+  type ReportRevision,
+} from '../services/reportService';
+
+interface ExtractedDataEditorProps {
+  reportId: string;
+  projectId?: string;
+  reportDate?: string;
+  onSaved: (revision: number) => void;
+  onCancel: () => void;
+}
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const CONSTRAINT_STATUSES = ['open', 'in_progress', 'resolved'];
+
+const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const formatValue = (value: unknown) => {
+  if (value === undefined) return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Extracted Data Editor
+ *
+ * Lets a manager correct the personnel, constraints and deliveries extracted
+ * from a report, saving each correction as a new revision, and browse the
+ * report's earlier revisions with what changed in each.
+ */
+export const ExtractedDataEditor: React.FC<ExtractedDataEditorProps> = ({
+  reportId,
+  projectId,
+  reportDate,
+  onSaved,
+  onCancel
+}) => {
+  const [data, setData] = useState<ExtractedData | null>(null);
+  const [baseRevision, setBaseRevision] = useState(0);
+  const [note, setNote] = useState('');
+  const [revisions, setRevisions] = useState<ReportRevision[]>([]);
+  const [selectedRevision, setSelectedRevision] = useState<ReportRevision | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const key = { reportId, projectId, reportDate };
+        const [current, history] = await Promise.all([getExtractedData(key), getReportRevisions(key)]);
+        setData(current.extractedData || { personnel: [], constraints: [], vendors: [] });
+        setBaseRevision(current.revision);
+        setRevisions(history);
+      } catch (err) {
+        console.error('Error loading extracted data:', err);
+        setError(err instanceof Error ? err.message : 'Failed to load report data');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [reportId, projectId, reportDate]);
+
+  const updateList = <T,>(field: 'personnel' | 'constraints' | 'vendors', update: (items: T[]) => T[]) => {
+    setData(prev => prev && { ...prev, [field]: update(((prev[field] as T[] | undefined) || [])) });
+  };
+
+  const updatePerson = (index: number, changes: Partial<ExtractedPerson>) => {
+    updateList<ExtractedPerson>('personnel', items => items.map((p, i) => (i === index ? { ...p, ...changes } : p)));
+  };
+
+  const updateConstraint = (index: number, changes: Partial<ExtractedConstraint>) => {
+    updateList<ExtractedConstraint>('constraints', items => items.map((c, i) => (i === index ? { ...c, ...changes } : c)));
+  };
+
+  const updateVendor = (index: number, changes: Partial<ExtractedVendor>) => {
+    updateList<ExtractedVendor>('vendors', items => items.map((v, i) => (i === index ? { ...v, ...changes } : v)));
+  };
+
+  const parseHours = (value: string) => (value === '' ? 0 : Math.max(0, Math.min(24, parseFloat(value) || 0)));
+
+  const handleSave = async () => {
+    if (!data) return;
+    if ((data.personnel || []).some(p => !p.fullName?.trim())) {
+      setError('Every crew member needs a name');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await updateExtractedData(
+        { reportId, projectId, reportDate },
+        { extractedData: data, baseRevision, note: note.trim() || undefined }
+      );
+      onSaved(result.revision);
+    } catch (err) {
+      console.error('Error saving correction:', err);
+      setError(err instanceof Error ? err.message : 'Failed to save correction');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSelectRevision = async (revision: number) => {
+    try {
+      setSelectedRevision(await getReportRevision(reportId, revision));
+    } catch (err) {
+      console.error('Error loading revision:', err);
+      setError(err instanceof Error ? err.message : 'Failed to load revision');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <p className="text-gray-500">Loading report data...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 space-y-6 overflow-y-auto">
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-800">{error}</p>
+        </div>
+      )}
+
+      {data && (
+        <>
+          {/* Personnel */}
+          <section>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="font-semibold text-gray-900">Crew & Hours</h3>
+              <button
+                onClick={() => updateList<ExtractedPerson>('personnel', items => [...items, { fullName: '', hoursWorked: 8, overtimeHours: 0 }])}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                + Add person
+              </button>
+            </div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1">Name</th>
+                  <th className="py-1 w-24">Hours</th>
+                  <th className="py-1 w-24">Overtime</th>
+                  <th className="py-1">Activities</th>
+                  <th className="py-1 w-8"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {(data.personnel || []).map((person, index) => (
+                  <tr key={index}>
+                    <td className="py-1 pr-2">
+                      <input
+                        value={person.fullName}
+                        onChange={(e) => updatePerson(index, { fullName: e.target.value })}
+                        className={inputClass}
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="number"
+                        min={0}
+                        max={24}
+                        step={0.5}
+                        value={person.hoursWorked ?? 0}
+                        onChange={(e) => updatePerson(index, { hoursWorked: parseHours(e.target.value) })}
+                        className={inputClass}
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="number"
+                        min={0}
+                        max={24}
+                        step={0.5}
+                        value={person.overtimeHours ?? 0}
+                        onChange={(e) => updatePerson(index, { overtimeHours: parseHours(e.target.value) })}
+                        className={inputClass}
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input
+                        value={person.activitiesPerformed || ''}
+                        onChange={(e) => updatePerson(index, { activitiesPerformed: e.target.value })}
+                        className={inputClass}
+                      />
+                    </td>
+                    <td className="py-1">
+                      <button
+                        onClick={() => updateList<ExtractedPerson>('personnel', items => items.filter((_, i) => i !== index))}
+                        className="text-red-600 hover:text-red-800"
+                        title="Remove"
+                      >
+                        ✕
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          {/* Constraints */}
+          <section>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="font-semibold text-gray-900">Constraints & Issues</h3>
+              <button
+                onClick={() => updateList<ExtractedConstraint>('constraints', items => [...items, { title: '', severity: 'medium', status: 'open' }])}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                + Add issue
+              </button>
+            </div>
+            {(data.constraints || []).map((constraint, index) => (
+              <div key={index} className="grid grid-cols-12 gap-2 mb-2 text-sm">
+                <input
+                  value={constraint.title || ''}
+                  onChange={(e) => updateConstraint(index, { title: e.target.value })}
+                  placeholder="Title"
+                  className={`${inputClass} col-span-3`}
+                />
+                <input
+                  value={constraint.description || ''}
+                  onChange={(e) => updateConstraint(index, { description: e.target.value })}
+                  placeholder="Description"
+                  className={`${inputClass} col-span-5`}
+                />
+                <select
+                  value={constraint.severity || 'medium'}
+                  onChange={(e) => updateConstraint(index, { severity: e.target.value })}
+                  className={`${inputClass} col-span-2`}
+                >
+                  {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                </select>
+                <select
+                  value={constraint.status || 'open'}
+                  onChange={(e) => updateConstraint(index, { status: e.target.value })}
+                  className={`${inputClass} col-span-1`}
+                >
+                  {CONSTRAINT_STATUSES.map(status => <option key={status} value={status}>{status.replace('_', ' ')}</option>)}
+                </select>
+                <button
+                  onClick={() => updateList<ExtractedConstraint>('constraints', items => items.filter((_, i) => i !== index))}
+                  className="text-red-600 hover:text-red-800 col-span-1"
+                  title="Remove"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </section>
+
+          {/* Vendors */}
+          <section>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="font-semibold text-gray-900">Deliveries</h3>
+              <button
+                onClick={() => updateList<ExtractedVendor>('vendors', items => [...items, { companyName: '', materialsDelivered: '' }])}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                + Add delivery
+              </button>
+            </div>
+            {(data.vendors || []).map((vendor, index) => (
+              <div key={index} className="grid grid-cols-12 gap-2 mb-2 text-sm">
+                <input
+                  value={vendor.companyName || ''}
+                  onChange={(e) => updateVendor(index, { companyName: e.target.value })}
+                  placeholder="Company"
+                  className={`${inputClass} col-span-4`}
+                />
+                <input
+                  value={vendor.materialsDelivered || ''}
+                  onChange={(e) => updateVendor(index, { materialsDelivered: e.target.value })}
+                  placeholder="Materials delivered"
+                  className={`${inputClass} col-span-5`}
+                />
+                <input
+                  value={vendor.deliveryTime || ''}
+                  onChange={(e) => updateVendor(index, { deliveryTime: e.target.value })}
+                  placeholder="Time"
+                  className={`${inputClass} col-span-2`}
+                />
+                <button
+                  onClick={() => updateList<ExtractedVendor>('vendors', items => items.filter((_, i) => i !== index))}
+                  className="text-red-600 hover:text-red-800 col-span-1"
+                  title="Remove"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </section>
+
+          {/* Save */}
+          <section className="border-t pt-4">
+            <label htmlFor="revision-note" className="block text-sm font-semibold text-gray-700 mb-1">
+              What did you correct? (optional)
+            </label>
+            <input
+              id="revision-note"
+              value={note}
+              maxLength={1000}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="e.g., Aaron stayed two hours late"
+              className={inputClass}
+            />
+            <div className="flex items-center justify-end space-x-2 mt-3">
+              <button
+                onClick={onCancel}
+                className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={saving}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : `Save as revision ${baseRevision + 1}`}
+              </button>
+            </div>
+          </section>
+        </>
+      )}
+
+      {/* Revision history */}
+      {revisions.length > 0 && (
+        <section className="border-t pt-4">
+          <h3 className="font-semibold text-gray-900 mb-2">Revision History</h3>
+          <ul className="text-sm divide-y">
+            {[...revisions].reverse().map(revision => (
+              <li key={revision.revision}>
+                <button
+                  onClick={() => handleSelectRevision(revision.revision)}
+                  className="w-full text-left py-2 hover:bg-gray-50"
+                >
+                  <span className="font-medium">Revision {revision.revision}</span>
+                  <span className="text-gray-500">
+                    {' '}· {revision.source === 'extraction' ? 'AI extraction' : revision.author.name}
+                    {' '}· {new Date(revision.createdAt).toLocaleString()}
+                    {revision.source === 'correction' && ` · ${revision.changes} changes`}
+                  </span>
+                  {revision.note && <div className="text-gray-700">{revision.note}</div>}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {selectedRevision && (
+            <div className="mt-3 p-3 bg-gray-50 rounded-lg text-sm">
+              <div className="flex items-center justify-between mb-2">
+                <span className="font-semibold">Changes in revision {selectedRevision.revision}</span>
+                <button onClick={() => setSelectedRevision(null)} className="text-gray-500 hover:text-gray-700">✕</button>
+              </div>
+              {(selectedRevision.diff || []).length === 0 ? (
+                <p className="text-gray-500">Original extraction</p>
+              ) : (
+                <ul className="font-mono text-xs space-y-1">
+                  {(selectedRevision.diff || []).map((change, i) => (
+                    <li key={i}>
+                      <span className="text-gray-600">{change.path}</span>{' '}
+                      {change.op === 'add' && <span className="text-green-700">+ {formatValue(change.to)}</span>}
+                      {change.op === 'remove' && <span className="text-red-700">− {formatValue(change.from)}</span>}
+                      {change.op === 'replace' && (
+                        <span>
+                          <span className="text-red-700">{formatValue(change.from)}</span> →{' '}
+                          <span className="text-green-700">{formatValue(change.to)}</span>
+                        </span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default ExtractedDataEditor;
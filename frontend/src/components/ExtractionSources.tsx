@@ -0,0 +1,190 @@
+import React, { useEffect, useState } from 'react';
+import TranscriptViewer from './TranscriptViewer';
+import {
+  getExtractedData,
+  getTranscriptTurns,
+  type ExtractedData,
+  type ReportTranscript,
+  type SourceSpan,
+} from '../services/reportService';
+
+interface ExtractionSourcesProps {
+  reportId: string;
+  projectId?: string;
+  reportDate?: string;
+}
+
+interface SourcedItem {
+  label: string;
+  detail: string | null;
+  quote: string | null;
+  sources?: SourceSpan[];
+}
+
+interface OpenSource {
+  sources: SourceSpan[];
+  focusTurn: number;
+}
+
+const formatCallTime = (seconds: number) =>
+  `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+const hoursDetail = (hours?: number | null, overtime?: number | null) => {
+  const parts = [];
+  if (typeof hours === 'number') parts.push(`${hours} hrs`);
+  if (typeof overtime === 'number' && overtime > 0) parts.push(`${overtime} OT`);
+  return parts.length > 0 ? parts.join(' + ') : null;
+};
+
+const sections = (data: ExtractedData): { title: string; items: SourcedItem[] }[] => [
+  {
+    title: 'Crew & Hours',
+    items: (data.personnel || []).map(person => ({
+      label: person.fullName,
+      detail: hoursDetail(person.hoursWorked, person.overtimeHours),
+      quote: person.extractedFromText || null,
+      sources: person.sources,
+    })),
+  },
+  {
+    title: 'Deliveries',
+    items: (data.vendors || []).map(vendor => ({
+      label: vendor.companyName || 'Unnamed vendor',
+      detail: vendor.materialsDelivered || null,
+      quote: vendor.extractedFromText || null,
+      sources: vendor.sources,
+    })),
+  },
+  {
+    title: 'Constraints & Issues',
+    items: (data.constraints || []).map(constraint => ({
+      label: constraint.title || 'Untitled issue',
+      detail: constraint.severity || null,
+      quote: constraint.extractedFromText || null,
+      sources: constraint.sources,
+    })),
+  },
+];
+
+/**
+ * Extraction Sources
+ *
+ * Lists each extracted crew member, delivery and issue with the transcript
+ * turns it was quoted from. Clicking a source opens the transcript at that
+ * turn with the quoted words highlighted, so hours claims can be checked
+ * against what was actually said.
+ */
+export const ExtractionSources: React.FC<ExtractionSourcesProps> = ({ reportId, projectId, reportDate }) => {
+  const [data, setData] = useState<ExtractedData | null>(null);
+  const [transcript, setTranscript] = useState<ReportTranscript | null>(null);
+  const [openSource, setOpenSource] = useState<OpenSource | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const key = { reportId, projectId, reportDate };
+        const [current, turns] = await Promise.all([
+          getExtractedData(key),
+          getTranscriptTurns(key).catch(err => {
+            console.warn('⚠️ Could not load transcript turns:', err);
+            return null;
+          }),
+        ]);
+        setData(current.extractedData || { personnel: [], constraints: [], vendors: [] });
+        setTranscript(turns);
+      } catch (err) {
+        console.error('Error loading extraction sources:', err);
+        setError(err instanceof Error ? err.message : 'Failed to load report data');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [reportId, projectId, reportDate]);
+
+  if (loading) {
+    return <div className="p-4 text-gray-500">Loading sources...</div>;
+  }
+
+  return (
+    <div className="p-4 space-y-6 overflow-y-auto h-full">
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-800">{error}</p>
+        </div>
+      )}
+
+      {!transcript && !error && (
+        <div className="p-4 bg-amber-50 border border-amber-200 rounded-lg">
+          <p className="text-amber-800">The transcript for this report is not available, so sources cannot be opened.</p>
+        </div>
+      )}
+
+      {data && sections(data).map(section => (
+        <section key={section.title}>
+          <h3 className="font-semibold text-gray-900 mb-2">{section.title}</h3>
+          {section.items.length === 0 ? (
+            <p className="text-sm text-gray-500">None reported</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 bg-white rounded-lg border">
+              {section.items.map((item, index) => (
+                <li key={index} className="p-3 text-sm">
+                  <div className="flex items-center justify-between gap-4">
+                    <div>
+                      <span className="font-medium text-gray-900">{item.label}</span>
+                      {item.detail && <span className="ml-2 text-gray-500">{item.detail}</span>}
+                    </div>
+                    <div className="flex flex-wrap gap-2 justify-end">
+                      {(item.sources || []).map(source => (
+                        <button
+                          key={`${source.turnIndex}-${source.start}`}
+                          onClick={() => setOpenSource({ sources: item.sources || [], focusTurn: source.turnIndex })}
+                          disabled={!transcript}
+                          className="px-2 py-1 rounded bg-blue-50 text-blue-700 hover:bg-blue-100 disabled:opacity-50"
+                          title={source.match === 'fuzzy' ? 'Closest match to the quote' : 'Exact quote'}
+                        >
+                          Turn {source.turnIndex + 1}
+                          {source.timeInCallSecs !== null && ` · ${formatCallTime(source.timeInCallSecs)}`}
+                          {source.match === 'fuzzy' && ' ≈'}
+                        </button>
+                      ))}
+                      {item.quote && item.sources?.length === 0 && (
+                        <span className="text-amber-700">Quote not found in transcript</span>
+                      )}
+                      {!item.quote && <span className="text-gray-400">No source quoted</span>}
+                    </div>
+                  </div>
+                  {item.quote && <p className="mt-1 text-gray-500 italic">“{item.quote}”</p>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      ))}
+
+      {openSource && transcript && (
+        <TranscriptViewer
+          transcript={{
+            conversation_id: transcript.conversationId || '',
+            transcript: transcript.turns.map(turn => ({
+              role: turn.role,
+              message: turn.message,
+              time_in_call_secs: turn.timeInCallSecs ?? undefined,
+            })),
+          }}
+          conversationId={transcript.conversationId || reportId}
+          reportDate={reportDate}
+          highlights={openSource.sources}
+          focusTurn={openSource.focusTurn}
+          onClose={() => setOpenSource(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ExtractionSources;
@@ -91,15 +91,28 @@ const PayrollDashboard: React.FC<PayrollDashboardProps> = ({ onClose }) => {
     try {
       setLoading(true);
       setError(null);
-      const response = await fetch(`${API_BASE_URL}/payroll/review`);
-      const data = await response.json();
+      // The review queue is worked through as a whole, so follow every page
+      const entries: PayrollEntry[] = [];
+      let cursor: string | null = null;
 
-      if (data.success) {
-        setEntriesNeedingReview(data.data.entries || []);
-      } else {
-        setError(data.error || 'Failed to fetch entries needing review');
-        setEntriesNeedingReview([]);
-      }
+      do {
+        const params = new URLSearchParams({ limit: '200' });
+        if (cursor) params.append('cursor', cursor);
+
+        const response = await fetch(`${API_BASE_URL}/payroll/review?${params.toString()}`);
+        const data = await response.json();
+
+        if (!data.success) {
+          setError(data.error || 'Failed to fetch entries needing review');
+          setEntriesNeedingReview([]);
+          return;
+        }
+
+        entries.push(...(data.data.entries || []));
+        cursor = data.data.pagination?.nextCursor || null;
+      } while (cursor);
+
+      setEntriesNeedingReview(entries);
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to fetch entries needing review');
       setEntriesNeedingReview([]);
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 
 interface Manager {
@@ -67,6 +67,23 @@ interface Report {
   extracted_data?: string | ExtractedData; // Can be JSON string or parsed object
   reporter_name?: string;
   extraction_confidence?: number;
+  anomaly_flags?: AnomalyFlag[];
+  validation_warnings?: ValidationWarning[];
+}
+
+// Values far outside the project's recent history, set by the analytics run
+interface AnomalyFlag {
+  metric: string;
+  subject: string | null;
+  message: string;
+}
+
+// Checklist answers that contradict each other, set by the analytics run
+// and rechecked on every correction
+interface ValidationWarning {
+  check: string;
+  subject: string | null;
+  message: string;
 }
 
 interface ReportsListProps {
@@ -77,6 +94,7 @@ interface ReportsListProps {
 }
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
+const PAGE_SIZE = 30;
 
 const ReportsList: React.FC<ReportsListProps> = ({ manager, project, onBack, onNavigateToAnalytics }) => {
   const { user } = useAuth();
@@ -86,9 +104,14 @@ const ReportsList: React.FC<ReportsListProps> = ({ manager, project, onBack, onN
   const [filter, setFilter] = useState<'all' | 'project' | 'myreports'>('myreports');
   const [selectedProject, setSelectedProject] = useState<string>('all');
   const [sortBy, setSortBy] = useState<'date-desc' | 'date-asc'>('date-desc');
+  const [fromDate, setFromDate] = useState<string>('');
+  const [toDate, setToDate] = useState<string>('');
   const [viewingReport, setViewingReport] = useState<Report | null>(null);
   const [reportHtml, setReportHtml] = useState<string>('');
   const [loadingReport, setLoadingReport] = useState(false);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const loadMoreRef = useRef<HTMLDivElement>(null);
 
   // Helper to parse extracted_data if it's a JSON string
   const getExtractedData = (report: Report): ExtractedData | null => {
@@ -105,39 +128,60 @@ const ReportsList: React.FC<ReportsListProps> = ({ manager, project, onBack, onN
     }
   };
 
-  useEffect(() => {
-    fetchReports();
-
-    // Auto-refresh after 3 seconds to catch reports that are still being processed
-    const refreshTimeout = setTimeout(() => {
-      console.log('Auto-refreshing reports to catch late-arriving data...');
-      fetchReports();
-    }, 3000);
+  // Filtering happens server-side; only the sort order is applied here
+  const sortReports = useCallback((list: Report[]): Report[] => {
+    // Sort by date and time (use submission_timestamp for accurate ordering)
+    return list.sort((a: Report, b: Report) => {
+      // Use submission_timestamp if available, otherwise fall back to created_at or report_date
+      const timeA = new Date(a.submission_timestamp || a.created_at || a.report_date).getTime();
+      const timeB = new Date(b.submission_timestamp || b.created_at || b.report_date).getTime();
+      return sortBy === 'date-desc' ? timeB - timeA : timeA - timeB;
+    });
+  }, [sortBy]);
 
-    return () => clearTimeout(refreshTimeout);
-  }, [filter, selectedProject, sortBy, project?.id]);
+  const projectId = project?.id;
 
-  const fetchReports = async () => {
+  // Fetch the first page, or the page after `cursor` and append it
+  const fetchReports = useCallback(async (cursor?: string) => {
     try {
-      setLoading(true);
+      if (cursor) {
+        setLoadingMore(true);
+      } else {
+        setLoading(true);
+      }
       setError(null);
 
-      // Pass projectId to optimize backend query (uses Query instead of Scan)
+      // Filters map onto key conditions in the backend (project partition, manager/month indexes)
       const queryParams = new URLSearchParams();
-      if (filter === 'project' && project) {
-        queryParams.append('projectId', project.id);
+      if (filter === 'project' && projectId) {
+        queryParams.append('projectId', projectId);
       } else if (selectedProject !== 'all') {
         queryParams.append('projectId', selectedProject);
       }
+      if (filter === 'myreports') {
+        queryParams.append('managerId', manager.id);
+      }
+      if (fromDate) {
+        queryParams.append('from', fromDate);
+      }
+      if (toDate) {
+        queryParams.append('to', toDate);
+      }
+      queryParams.append('limit', String(PAGE_SIZE));
+      if (cursor) {
+        queryParams.append('cursor', cursor);
+      }
 
       console.log('🔍 ReportsList - Fetching reports with:', {
         filter,
         selectedProject,
-        projectId: project?.id || 'all',
-        projectObject: project
+        projectId: projectId || 'all',
+        fromDate,
+        toDate,
+        cursor
       });
 
-      const url = `${API_BASE_URL}/reports${queryParams.toString() ? `?${queryParams.toString()}` : ''}`;
+      const url = `${API_BASE_URL}/reports?${queryParams.toString()}`;
       const accessToken = localStorage.getItem('accessToken');
       const response = await fetch(url, {
         method: 'GET',
@@ -151,35 +195,17 @@ const ReportsList: React.FC<ReportsListProps> = ({ manager, project, onBack, onN
       const data = await response.json();
 
       if (data.success) {
-        let filteredReports = data.reports;
-
-        // Filter by ownership (My Reports vs All)
-        if (filter === 'myreports') {
-          filteredReports = filteredReports.filter((r: Report) =>
-            r.reporter_name === manager.name || r.manager_name === manager.name
-          );
-        } else if (filter === 'project' && project) {
-          filteredReports = filteredReports.filter((r: Report) =>
-            r.project_id === project.id
-          );
+        const pageReports = sortReports(data.reports);
+
+        if (cursor) {
+          setReports(prev => {
+            const seen = new Set(prev.map(r => r.report_id));
+            return sortReports([...prev, ...pageReports.filter(r => !seen.has(r.report_id))]);
+          });
+        } else {
+          setReports(pageReports);
         }
-
-        // Filter by selected project (if not 'all')
-        if (selectedProject !== 'all') {
-          filteredReports = filteredReports.filter((r: Report) =>
-            r.project_id === selectedProject
-          );
-        }
-
-        // Sort by date and time (use submission_timestamp for accurate ordering)
-        const sortedReports = filteredReports.sort((a: Report, b: Report) => {
-          // Use submission_timestamp if available, otherwise fall back to created_at or report_date
-          const timeA = new Date(a.submission_timestamp || a.created_at || a.report_date).getTime();
-          const timeB = new Date(b.submission_timestamp || b.created_at || b.report_date).getTime();
-          return sortBy === 'date-desc' ? timeB - timeA : timeA - timeB;
-        });
-
-        setReports(sortedReports);
+        setNextCursor(data.pagination?.nextCursor || null);
       } else {
         setError(data.error || 'Failed to load reports');
       }
@@ -188,8 +214,36 @@ const ReportsList: React.FC<ReportsListProps> = ({ manager, project, onBack, onN
       setError('Failed to connect to server. Please ensure the API server is running.');
     } finally {
       setLoading(false);
+      setLoadingMore(false);
     }
-  };
+  }, [filter, selectedProject, fromDate, toDate, projectId, manager.id, sortReports]);
+
+  useEffect(() => {
+    fetchReports();
+
+    // Auto-refresh after 3 seconds to catch reports that are still being processed
+    const refreshTimeout = setTimeout(() => {
+      console.log('Auto-refreshing reports to catch late-arriving data...');
+      fetchReports();
+    }, 3000);
+
+    return () => clearTimeout(refreshTimeout);
+  }, [fetchReports]);
+
+  // Infinite scroll: load the next page when the sentinel below the list scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor || loadingMore) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        fetchReports(nextCursor);
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadingMore, fetchReports]);
 
   // Get unique projects from reports for filter dropdown
   const uniqueProjects = Array.from(new Set(reports.map(r => r.project_id)));
@@ -322,8 +376,13 @@ const ReportsList: React.FC<ReportsListProps> = ({ manager, project, onBack, onN
   const handleDeleteReport = async (report: Report, e: React.MouseEvent) => {
     e.stopPropagation();
 
-    // Confirm deletion
-    if (!window.confirm(`Are you sure you want to delete this report?\n\nProject: ${report.project_name}\nDate: ${formatDate(report.report_date)}\n\nThis action cannot be undone.`)) {
+    // Confirm deletion and ask why - the reason is kept with the deleted report
+    const reason = window.prompt(`Why are you deleting this report?\n\nProject: ${report.project_name}\nDate: ${formatDate(report.report_date)}\n\nAn admin can restore it until it is permanently purged.`);
+    if (reason === null) {
+      return;
+    }
+    if (reason.trim().length < 3) {
+      setError('Please give a reason for deleting the report');
       return;
     }
 
@@ -367,6 +426,7 @@ const ReportsList: React.FC<ReportsListProps> = ({ manager, project, onBack, onN
           'Authorization': `Bearer ${accessToken}`,
           'Content-Type': 'application/json',
         },
+        body: JSON.stringify({ reason: reason.trim() }),
         credentials: 'omit',
         cache: 'no-store'
       });
@@ -537,6 +597,26 @@ const ReportsList: React.FC<ReportsListProps> = ({ manager, project, onBack, onN
               </select>
             </div>
 
+            {/* Date Range */}
+            <div className="flex items-center space-x-2">
+              <label className="text-sm text-gray-400">From:</label>
+              <input
+                type="date"
+                value={fromDate}
+                max={toDate || undefined}
+                onChange={(e) => setFromDate(e.target.value)}
+                className="px-3 py-1.5 bg-white/5 border border-white/10 rounded-lg text-white text-sm focus:ring-2 focus:ring-gold focus:border-gold/50 outline-none"
+              />
+              <label className="text-sm text-gray-400">To:</label>
+              <input
+                type="date"
+                value={toDate}
+                min={fromDate || undefined}
+                onChange={(e) => setToDate(e.target.value)}
+                className="px-3 py-1.5 bg-white/5 border border-white/10 rounded-lg text-white text-sm focus:ring-2 focus:ring-gold focus:border-gold/50 outline-none"
+              />
+            </div>
+
             {/* Date Sort */}
             <div className="flex items-center space-x-2">
               <label className="text-sm text-gray-400">Sort:</label>
@@ -706,6 +786,28 @@ const ReportsList: React.FC<ReportsListProps> = ({ manager, project, onBack, onN
                         </div>
                       )}
 
+                      {/* Anomaly Flags */}
+                      {report.anomaly_flags && report.anomaly_flags.length > 0 && (
+                        <div className="mb-3 space-y-1">
+                          {report.anomaly_flags.map((flag, index) => (
+                            <p key={index} className="text-xs text-yellow-400" title="Unusual for this project">
+                              🚩 {flag.message}
+                            </p>
+                          ))}
+                        </div>
+                      )}
+
+                      {/* Validation Warnings */}
+                      {report.validation_warnings && report.validation_warnings.length > 0 && (
+                        <div className="mb-3 space-y-1">
+                          {report.validation_warnings.map((warning, index) => (
+                            <p key={index} className="text-xs text-orange-400" title="Checklist answers that don't add up">
+                              ⚠️ {warning.message}
+                            </p>
+                          ))}
+                        </div>
+                      )}
+
                       {/* Action Buttons */}
                       <div className="mt-4 pt-3 border-t border-white/10 flex items-center justify-between">
                         <div className="text-xs text-gray-500">
@@ -759,6 +861,18 @@ const ReportsList: React.FC<ReportsListProps> = ({ manager, project, onBack, onN
           </div>
         )}
 
+        {/* Infinite scroll sentinel */}
+        {!loading && nextCursor && (
+          <div ref={loadMoreRef} className="text-center py-8">
+            {loadingMore && (
+              <>
+                <div className="inline-block h-8 w-8 animate-spin rounded-full border-4 border-solid border-gold border-r-transparent mb-2"></div>
+                <p className="text-gray-400 text-sm">Loading more reports...</p>
+              </>
+            )}
+          </div>
+        )}
+
         {/* Summary Stats */}
         {reports.length > 0 && (
           <div className="mt-8 glass rounded-xl p-6">
@@ -22,6 +22,63 @@ interface TeamMember {
   role?: string;
 }
 
+// Possible duplicate employees found by the backend's daily sweep
+interface MergeEmployee {
+  personId: string;
+  employeeNumber?: string;
+  fullName: string;
+  email?: string;
+  phone?: string;
+  hireDate?: string;
+  jobTitle?: string;
+  hourlyRate?: number;
+  overtimeRate?: number;
+  knownAliases?: string[];
+}
+
+interface MergePreview {
+  primaryEmployee: MergeEmployee;
+  duplicateEmployee: MergeEmployee;
+  conflicts: { field: string; primaryValue: unknown; duplicateValue: unknown }[];
+  aliasesToMerge: string[];
+  historyRecordsToMove: number;
+}
+
+interface MergeCandidate {
+  candidateId: string;
+  people: { personId: string; fullName: string; employeeNumber: string | null }[];
+  suggestedPrimaryId: string;
+  score: number;
+  reason: string;
+  detectedAt: string;
+  preview: MergePreview;
+}
+
+// Audit record of a merge, kept so it can be undone
+interface PersonnelMerge {
+  mergeId: string;
+  primaryName: string;
+  duplicateName: string;
+  repointed: { payrollEntries: number; timeEntries: number; reports: number };
+}
+
+const MERGE_FIELDS: { field: keyof MergeEmployee; label: string }[] = [
+  { field: 'employeeNumber', label: 'Employee #' },
+  { field: 'email', label: 'Email' },
+  { field: 'phone', label: 'Phone' },
+  { field: 'hireDate', label: 'Hire Date' },
+  { field: 'jobTitle', label: 'Job Title' },
+  { field: 'hourlyRate', label: 'Hourly Rate' },
+  { field: 'overtimeRate', label: 'Overtime Rate' },
+  { field: 'knownAliases', label: 'Known As' }
+];
+
+const formatMergeValue = (value: unknown): string => {
+  if (Array.isArray(value)) return value.join(', ') || '-';
+  if (value === undefined || value === null || value === '') return '-';
+  return String(value);
+};
+
 interface TeamManagementProps {
   onClose: () => void;
 }
@@ -38,6 +95,14 @@ const TeamManagement: React.FC<TeamManagementProps> = ({ onClose }) => {
   const [selectedMember, setSelectedMember] = useState<TeamMember | null>(null);
   const [formData, setFormData] = useState<Partial<TeamMember>>({});
   const [newPassword, setNewPassword] = useState('');
+  const [view, setView] = useState<'team' | 'duplicates'>('team');
+  const [mergeCandidates, setMergeCandidates] = useState<MergeCandidate[]>([]);
+  const [candidatesLoading, setCandidatesLoading] = useState(false);
+  const [candidatesError, setCandidatesError] = useState<string | null>(null);
+  const [sweeping, setSweeping] = useState(false);
+  const [busyCandidateId, setBusyCandidateId] = useState<string | null>(null);
+  const [lastMerge, setLastMerge] = useState<PersonnelMerge | null>(null);
+  const [undoingMerge, setUndoingMerge] = useState(false);
 
   useEffect(() => {
     fetchTeam();
@@ -47,6 +112,10 @@ const TeamManagement: React.FC<TeamManagementProps> = ({ onClose }) => {
     filterTeam();
   }, [team, searchTerm, statusFilter]);
 
+  useEffect(() => {
+    fetchMergeCandidates();
+  }, []);
+
   const fetchTeam = async () => {
     try {
       setLoading(true);
@@ -332,6 +401,171 @@ const TeamManagement: React.FC<TeamManagementProps> = ({ onClose }) => {
     }
   };
 
+  const fetchMergeCandidates = async () => {
+    try {
+      setCandidatesLoading(true);
+      setCandidatesError(null);
+      const accessToken = localStorage.getItem('accessToken');
+      const response = await fetch(`${API_BASE_URL}/personnel/merge-candidates?limit=100`, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+        },
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setMergeCandidates(data.candidates || []);
+      } else {
+        setCandidatesError(data.error || 'Failed to fetch possible duplicates');
+      }
+    } catch (err) {
+      setCandidatesError(err instanceof Error ? err.message : 'Failed to fetch possible duplicates');
+    } finally {
+      setCandidatesLoading(false);
+    }
+  };
+
+  const handleRunSweep = async () => {
+    try {
+      setSweeping(true);
+      const accessToken = localStorage.getItem('accessToken');
+      const response = await fetch(`${API_BASE_URL}/personnel/merge-candidates/sweep`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`,
+        },
+        body: JSON.stringify({})
+      });
+      const result = await response.json();
+      if (!result.success) {
+        alert(result.error || 'Failed to look for duplicates');
+      }
+      fetchMergeCandidates();
+    } catch (err) {
+      console.error('Error running duplicate sweep:', err);
+      alert('Failed to look for duplicates: ' + (err instanceof Error ? err.message : 'Unknown error'));
+    } finally {
+      setSweeping(false);
+    }
+  };
+
+  // Keep the other employee of the pair instead, fetching the preview for that direction
+  const handleSwapPrimary = async (candidate: MergeCandidate) => {
+    const primaryId = candidate.preview.duplicateEmployee.personId;
+
+    try {
+      setBusyCandidateId(candidate.candidateId);
+      const accessToken = localStorage.getItem('accessToken');
+      const response = await fetch(
+        `${API_BASE_URL}/personnel/merge-candidates/${encodeURIComponent(candidate.candidateId)}/preview?primaryId=${encodeURIComponent(primaryId)}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+          },
+        }
+      );
+      const result = await response.json();
+      if (result.success) {
+        setMergeCandidates(candidates => candidates.map(c =>
+          c.candidateId === candidate.candidateId ? { ...c, preview: result.preview } : c
+        ));
+      } else {
+        alert(result.error || 'Failed to preview merge');
+      }
+    } catch (err) {
+      console.error('Error previewing merge:', err);
+      alert('Failed to preview merge: ' + (err instanceof Error ? err.message : 'Unknown error'));
+    } finally {
+      setBusyCandidateId(null);
+    }
+  };
+
+  const handleMerge = async (candidate: MergeCandidate) => {
+    const { primaryEmployee, duplicateEmployee } = candidate.preview;
+    if (!confirm(`Merge ${duplicateEmployee.fullName} into ${primaryEmployee.fullName}? ${duplicateEmployee.fullName} will be terminated.`)) return;
+
+    try {
+      setBusyCandidateId(candidate.candidateId);
+      const accessToken = localStorage.getItem('accessToken');
+      const response = await fetch(`${API_BASE_URL}/personnel/merge-candidates/${encodeURIComponent(candidate.candidateId)}/merge`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`,
+        },
+        body: JSON.stringify({ primaryId: primaryEmployee.personId })
+      });
+      const result = await response.json();
+      if (result.success) {
+        setLastMerge(result.merge);
+        fetchMergeCandidates();
+        fetchTeam();
+      } else {
+        alert(result.error || 'Failed to merge employees');
+      }
+    } catch (err) {
+      console.error('Error merging employees:', err);
+      alert('Failed to merge employees: ' + (err instanceof Error ? err.message : 'Unknown error'));
+    } finally {
+      setBusyCandidateId(null);
+    }
+  };
+
+  const handleUndoMerge = async (merge: PersonnelMerge) => {
+    try {
+      setUndoingMerge(true);
+      const accessToken = localStorage.getItem('accessToken');
+      const response = await fetch(`${API_BASE_URL}/personnel/merges/${encodeURIComponent(merge.mergeId)}/unmerge`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`,
+        },
+        body: JSON.stringify({})
+      });
+      const result = await response.json();
+      if (result.success) {
+        setLastMerge(null);
+        fetchMergeCandidates();
+        fetchTeam();
+      } else {
+        alert(result.error || 'Failed to undo merge');
+      }
+    } catch (err) {
+      console.error('Error undoing merge:', err);
+      alert('Failed to undo merge: ' + (err instanceof Error ? err.message : 'Unknown error'));
+    } finally {
+      setUndoingMerge(false);
+    }
+  };
+
+  const handleDismiss = async (candidate: MergeCandidate) => {
+    try {
+      setBusyCandidateId(candidate.candidateId);
+      const accessToken = localStorage.getItem('accessToken');
+      const response = await fetch(`${API_BASE_URL}/personnel/merge-candidates/${encodeURIComponent(candidate.candidateId)}/dismiss`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`,
+        },
+        body: JSON.stringify({})
+      });
+      const result = await response.json();
+      if (result.success) {
+        setMergeCandidates(candidates => candidates.filter(c => c.candidateId !== candidate.candidateId));
+      } else {
+        alert(result.error || 'Failed to dismiss');
+      }
+    } catch (err) {
+      console.error('Error dismissing merge candidate:', err);
+      alert('Failed to dismiss: ' + (err instanceof Error ? err.message : 'Unknown error'));
+    } finally {
+      setBusyCandidateId(null);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-dark-bg">
       {/* Header */}
@@ -389,6 +623,16 @@ const TeamManagement: React.FC<TeamManagementProps> = ({ onClose }) => {
               <option value="all" className="bg-dark-card text-white">All</option>
               <option value="terminated" className="bg-dark-card text-white">Terminated</option>
             </select>
+            <button
+              onClick={() => setView(view === 'team' ? 'duplicates' : 'team')}
+              className={`px-4 py-2 border rounded-lg text-sm font-medium transition ${
+                view === 'duplicates'
+                  ? 'bg-gold/20 border-gold/50 text-gold'
+                  : 'bg-white/5 border-white/10 text-white hover:bg-white/10'
+              }`}
+            >
+              {view === 'duplicates' ? 'Back to Team' : `Possible Duplicates (${mergeCandidates.length})`}
+            </button>
             <button
               onClick={handleAdd}
               className="px-6 py-2 bg-gradient-to-r from-gold-light to-gold-dark text-dark-bg font-semibold rounded-lg hover:shadow-lg hover:shadow-gold/20 transition-all duration-300"
@@ -399,7 +643,135 @@ const TeamManagement: React.FC<TeamManagementProps> = ({ onClose }) => {
         </div>
       </div>
 
+      {/* Possible Duplicates */}
+      {view === 'duplicates' && (
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pb-6 space-y-4">
+          <div className="glass rounded-xl p-4 border border-white/10 flex items-center justify-between">
+            <p className="text-sm text-gray-400">
+              Employees whose names look like the same person, checked daily. Merging keeps the left-hand record,
+              adds the other's names as aliases, moves its payroll, time entries and reports over and terminates it.
+            </p>
+            <button
+              onClick={handleRunSweep}
+              disabled={sweeping}
+              className="ml-4 px-4 py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white text-sm font-medium transition whitespace-nowrap disabled:opacity-50"
+            >
+              {sweeping ? 'Checking...' : 'Check Now'}
+            </button>
+          </div>
+
+          {lastMerge && (
+            <div className="glass rounded-xl p-4 border border-green-500/30 flex items-center justify-between">
+              <p className="text-sm text-gray-300">
+                Merged {lastMerge.duplicateName} into {lastMerge.primaryName}: moved {lastMerge.repointed.payrollEntries} payroll
+                entries, {lastMerge.repointed.timeEntries} time entries and {lastMerge.repointed.reports} reports.
+              </p>
+              <button
+                onClick={() => handleUndoMerge(lastMerge)}
+                disabled={undoingMerge}
+                className="ml-4 px-4 py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white text-sm font-medium transition whitespace-nowrap disabled:opacity-50"
+              >
+                {undoingMerge ? 'Undoing...' : 'Undo Merge'}
+              </button>
+            </div>
+          )}
+
+          {candidatesLoading ? (
+            <div className="text-center py-12 text-gray-400">
+              <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-gold"></div>
+              <p className="mt-4">Loading possible duplicates...</p>
+            </div>
+          ) : candidatesError ? (
+            <div className="text-center py-12 text-red-400">{candidatesError}</div>
+          ) : mergeCandidates.length === 0 ? (
+            <div className="glass rounded-xl border border-white/10 text-center py-12 text-gray-400">
+              No possible duplicates
+            </div>
+          ) : (
+            mergeCandidates.map((candidate) => {
+              const { primaryEmployee, duplicateEmployee, conflicts, aliasesToMerge } = candidate.preview;
+              const conflictFields = new Set(conflicts.map(conflict => conflict.field));
+              const busy = busyCandidateId === candidate.candidateId;
+
+              return (
+                <div key={candidate.candidateId} className="glass rounded-xl border border-white/10 overflow-hidden">
+                  <div className="px-6 py-3 bg-white/5 border-b border-white/10 flex items-center justify-between">
+                    <div>
+                      <span className="text-white font-medium">{primaryEmployee.fullName} / {duplicateEmployee.fullName}</span>
+                      <span className="ml-3 inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-gold/20 text-gold">
+                        {candidate.score}% match
+                      </span>
+                    </div>
+                    <span className="text-xs text-gray-400">{candidate.reason}</span>
+                  </div>
+
+                  <table className="w-full text-sm">
+                    <thead className="border-b border-white/10">
+                      <tr>
+                        <th className="px-6 py-2 text-left text-xs font-medium text-gray-400 uppercase tracking-wider w-40"></th>
+                        <th className="px-6 py-2 text-left text-xs font-medium text-green-400 uppercase tracking-wider">Keep</th>
+                        <th className="px-6 py-2 text-left text-xs font-medium text-red-400 uppercase tracking-wider">Merge Into It</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-white/5">
+                      <tr>
+                        <td className="px-6 py-2 text-gray-400">Name</td>
+                        <td className="px-6 py-2 text-white font-medium">{primaryEmployee.fullName}</td>
+                        <td className="px-6 py-2 text-white font-medium">{duplicateEmployee.fullName}</td>
+                      </tr>
+                      {MERGE_FIELDS.map(({ field, label }) => (
+                        <tr key={field} className={conflictFields.has(field) ? 'bg-yellow-500/10' : ''}>
+                          <td className="px-6 py-2 text-gray-400">
+                            {label}
+                            {conflictFields.has(field) && <span className="ml-2 text-xs text-yellow-400">differs</span>}
+                          </td>
+                          <td className="px-6 py-2 text-gray-300">{formatMergeValue(primaryEmployee[field])}</td>
+                          <td className="px-6 py-2 text-gray-300">{formatMergeValue(duplicateEmployee[field])}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+
+                  <div className="px-6 py-3 border-t border-white/10 flex items-center justify-between">
+                    <div className="text-xs text-gray-400">
+                      {aliasesToMerge.length > 0
+                        ? `Adds ${aliasesToMerge.join(', ')} to ${primaryEmployee.fullName}'s names`
+                        : 'No new names to add'}
+                      {conflicts.length > 0 && ` · ${conflicts.length} differing field${conflicts.length === 1 ? '' : 's'} keep the left-hand value`}
+                    </div>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleSwapPrimary(candidate)}
+                        disabled={busy}
+                        className="px-4 py-1.5 border border-white/10 text-gray-300 rounded-lg hover:bg-white/5 transition-colors text-sm font-medium disabled:opacity-50"
+                      >
+                        Swap
+                      </button>
+                      <button
+                        onClick={() => handleDismiss(candidate)}
+                        disabled={busy}
+                        className="px-4 py-1.5 border border-white/10 text-gray-300 rounded-lg hover:bg-white/5 transition-colors text-sm font-medium disabled:opacity-50"
+                      >
+                        Not a Duplicate
+                      </button>
+                      <button
+                        onClick={() => handleMerge(candidate)}
+                        disabled={busy}
+                        className="px-4 py-1.5 bg-gradient-to-r from-gold-light to-gold-dark text-dark-bg rounded-lg hover:shadow-lg hover:shadow-gold/20 transition-all duration-300 text-sm font-semibold disabled:opacity-50"
+                      >
+                        Merge
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              );
+            })
+          )}
+        </div>
+      )}
+
       {/* Table */}
+      {view === 'team' && (
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pb-6">
         <div className="glass rounded-xl border border-white/10 overflow-hidden">
           {loading ? (
@@ -505,6 +877,7 @@ const TeamManagement: React.FC<TeamManagementProps> = ({ onClose }) => {
           )}
         </div>
       </div>
+      )}
 
       {/* Add/Edit Modal */}
       {(showAddModal || showEditModal) && (
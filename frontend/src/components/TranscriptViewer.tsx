@@ -1,9 +1,20 @@
-import React from 'react';
+import React, { useEffect, useRef } from 'react';
 
 interface Message {
   role: 'user' | 'agent';
   message: string;
   timestamp?: string;
+  time_in_call_secs?: number;
+}
+
+/**
+ * A character span of one message to highlight, e.g. the words an extracted
+ * item was quoted from
+ */
+export interface TranscriptHighlight {
+  turnIndex: number;
+  start: number;
+  end: number;
 }
 
 interface TranscriptData {
@@ -22,16 +33,55 @@ interface TranscriptViewerProps {
   managerName?: string;
   projectName?: string;
   reportDate?: string;
+  highlights?: TranscriptHighlight[];
+  /** Message to scroll to when the transcript opens */
+  focusTurn?: number;
 }
 
+const formatCallTime = (seconds: number) =>
+  `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+// Message text with the highlighted spans wrapped in <mark>
+const renderMessage = (text: string, spans: TranscriptHighlight[]) => {
+  const sorted = [...spans].sort((a, b) => a.start - b.start);
+  const parts: React.ReactNode[] = [];
+  let position = 0;
+
+  sorted.forEach((span, i) => {
+    const start = Math.max(span.start, position);
+    const end = Math.min(span.end, text.length);
+    if (end <= start) return;
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(
+      <mark key={i} className="bg-yellow-300 text-dark-bg rounded px-0.5">
+        {text.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  if (position < text.length) parts.push(text.slice(position));
+
+  return parts;
+};
+
 const TranscriptViewer: React.FC<TranscriptViewerProps> = ({
   transcript,
   onClose,
   conversationId,
   managerName,
   projectName,
-  reportDate
+  reportDate,
+  highlights = [],
+  focusTurn
 }) => {
+  const turnRefs = useRef<(HTMLDivElement | null)[]>([]);
+
+  useEffect(() => {
+    if (focusTurn !== undefined) {
+      turnRefs.current[focusTurn]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [focusTurn, transcript]);
+
   if (!transcript) {
     return (
       <div className="fixed inset-0 bg-black/80 backdrop-blur-sm z-50 flex items-center justify-center p-4">
@@ -105,6 +155,7 @@ const TranscriptViewer: React.FC<TranscriptViewerProps> = ({
             messages.map((msg, index) => (
               <div
                 key={index}
+                ref={element => { turnRefs.current[index] = element; }}
                 className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}
               >
                 <div
@@ -112,7 +163,7 @@ const TranscriptViewer: React.FC<TranscriptViewerProps> = ({
                     msg.role === 'user'
                       ? 'bg-gold text-dark-bg ml-auto'
                       : 'glass text-white'
-                  }`}
+                  } ${index === focusTurn ? 'ring-4 ring-yellow-300' : ''}`}
                 >
                   <div className="flex items-center gap-2 mb-2">
                     <span className="text-xs font-semibold opacity-70">
@@ -123,8 +174,13 @@ const TranscriptViewer: React.FC<TranscriptViewerProps> = ({
                         {new Date(msg.timestamp).toLocaleTimeString()}
                       </span>
                     )}
+                    {!msg.timestamp && msg.time_in_call_secs !== undefined && (
+                      <span className="text-xs opacity-50">{formatCallTime(msg.time_in_call_secs)}</span>
+                    )}
                   </div>
-                  <p className="text-sm whitespace-pre-wrap">{msg.message}</p>
+                  <p className="text-sm whitespace-pre-wrap">
+                    {renderMessage(msg.message, highlights.filter(span => span.turnIndex === index))}
+                  </p>
                 </div>
               </div>
             ))
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useElevenLabsConversation } from '../hooks/useElevenLabsConversation';
-import { saveReport } from '../services/reportService';
+import { saveReport, watchReportProcessing, type ReportJob } from '../services/reportService';
 import { getChecklistItems, getChecklistKeywords } from '../config/checklistConfig';
 import TranscriptViewer from './TranscriptViewer';
 import DailyReportChecklist from './DailyReportChecklist';
@@ -27,6 +27,25 @@ interface VoiceReportingScreenProps {
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
 
+const processingStatusMessage = (job: ReportJob): string => {
+  switch (job.status) {
+    case 'queued':
+      return 'Report saved. Waiting to process...';
+    case 'extracting':
+      return 'Extracting crew hours from transcript...';
+    case 'normalizing':
+      return 'Creating payroll entries...';
+    case 'analytics':
+      return 'Running report analytics...';
+    case 'done':
+      return 'Report successfully saved and processed!';
+    case 'failed':
+      return `Processing hit an error, retrying (attempt ${job.attempts}/${job.maxAttempts})...`;
+    case 'dead_letter':
+      return `Report saved, but processing failed after ${job.attempts} attempts.`;
+  }
+};
+
 const VoiceReportingScreen: React.FC<VoiceReportingScreenProps> = ({
   manager,
   project,
@@ -351,7 +370,16 @@ const VoiceReportingScreen: React.FC<VoiceReportingScreenProps> = ({
             const htmlUrl = `https://sitelogix-prod.s3.amazonaws.com/SITELOGIX/projects/${project.id}/reports/${year}/${month}/${day}/${result.reportId}/report.html`;
             setReportHtmlUrl(htmlUrl);
 
-            setStatus('Report successfully saved to S3 and DynamoDB!');
+            if (result.processing?.status === 'failed') {
+              setStatus('Report saved, but processing could not be started.');
+            } else {
+              setStatus('Report saved. Processing payroll and analytics...');
+
+              // Extraction and analytics run in the background; follow them without blocking
+              watchReportProcessing(result.reportId, (job) => {
+                setStatus(processingStatusMessage(job));
+              });
+            }
           } catch (uploadError) {
             console.error('Error uploading to S3/DynamoDB:', uploadError);
 
@@ -88,3 +88,228 @@ export const saveReport = async (params: SaveReportParams) => {
     throw error;
   }
 };
+
+export type ReportJobStatus =
+  | 'queued'
+  | 'extracting'
+  | 'normalizing'
+  | 'analytics'
+  | 'done'
+  | 'failed'
+  | 'dead_letter';
+
+export interface ReportJob {
+  reportId: string;
+  status: ReportJobStatus;
+  stage: string | null;
+  attempts: number;
+  maxAttempts: number;
+  lastError: string | null;
+  retryAt: string | null;
+  stages: Record<string, { completedAt: string | null }>;
+  createdAt: string;
+  updatedAt: string;
+  completedAt: string | null;
+}
+
+// Authenticated JSON request to the API; throws with the API's error message
+const requestJson = async (path: string, init: RequestInit = {}) => {
+  const accessToken = localStorage.getItem('accessToken');
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...init,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${accessToken}`,
+      ...init.headers,
+    },
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: response.statusText }));
+    throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  return response.json();
+};
+
+export const getReportStatus = async (reportId: string): Promise<ReportJob> => {
+  const result = await requestJson(`/reports/${encodeURIComponent(reportId)}/status`);
+  return result.job;
+};
+
+/**
+ * Poll a report's processing job until it finishes (done or dead_letter)
+ * or maxPolls is reached, calling onUpdate with every status seen.
+ * A `failed` job is still retrying, so polling continues through it.
+ */
+export const watchReportProcessing = async (
+  reportId: string,
+  onUpdate: (job: ReportJob) => void,
+  { intervalMs = 3000, maxPolls = 100 } = {}
+): Promise<ReportJob | null> => {
+  let job: ReportJob | null = null;
+
+  for (let poll = 0; poll < maxPolls; poll++) {
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+    try {
+      job = await getReportStatus(reportId);
+    } catch (error) {
+      console.warn('⚠️ Could not fetch report processing status:', error);
+      continue;
+    }
+
+    onUpdate(job);
+    if (job.status === 'done' || job.status === 'dead_letter') {
+      break;
+    }
+  }
+
+  return job;
+};
+
+/**
+ * Where in the transcript an extracted item was quoted from: a character span
+ * of one turn, with the turn's start in the call recording when known
+ */
+export interface SourceSpan {
+  turnIndex: number;
+  start: number;
+  end: number;
+  timeInCallSecs: number | null;
+  match: 'exact' | 'fuzzy';
+}
+
+export interface ExtractedPerson {
+  fullName: string;
+  position?: string | null;
+  hoursWorked?: number | null;
+  overtimeHours?: number | null;
+  activitiesPerformed?: string | null;
+  extractedFromText?: string | null;
+  sources?: SourceSpan[];
+  [field: string]: unknown;
+}
+
+export interface ExtractedConstraint {
+  title?: string | null;
+  description?: string | null;
+  category?: string | null;
+  severity?: string | null;
+  status?: string | null;
+  extractedFromText?: string | null;
+  sources?: SourceSpan[];
+  [field: string]: unknown;
+}
+
+export interface ExtractedVendor {
+  companyName?: string | null;
+  materialsDelivered?: string | null;
+  deliveryTime?: string | null;
+  extractedFromText?: string | null;
+  sources?: SourceSpan[];
+  [field: string]: unknown;
+}
+
+export interface ExtractedData {
+  personnel?: ExtractedPerson[];
+  workLogs?: Record<string, unknown>[];
+  constraints?: ExtractedConstraint[];
+  vendors?: ExtractedVendor[];
+  timeSummary?: Record<string, unknown>;
+}
+
+export interface RevisionAuthor {
+  userId: string;
+  name: string;
+}
+
+export interface RevisionChange {
+  path: string;
+  op: 'add' | 'remove' | 'replace';
+  from?: unknown;
+  to?: unknown;
+}
+
+export interface ReportRevision {
+  revision: number;
+  source: 'extraction' | 'correction';
+  author: RevisionAuthor;
+  note: string | null;
+  createdAt: string;
+  changes: number;
+  diff?: RevisionChange[];
+  extractedData?: ExtractedData;
+}
+
+export interface ReportExtractedData {
+  reportId: string;
+  projectId: string;
+  reportDate: string;
+  revision: number;
+  extractedData: ExtractedData | null;
+  correctedBy: RevisionAuthor | null;
+  correctedAt: string | null;
+}
+
+interface ReportKey {
+  reportId: string;
+  projectId?: string;
+  reportDate?: string;
+}
+
+const reportPath = ({ reportId, projectId, reportDate }: ReportKey, suffix: string) => {
+  const params = new URLSearchParams();
+  if (projectId) params.set('projectId', projectId);
+  if (reportDate) params.set('reportDate', reportDate);
+  const query = params.toString();
+  return `/reports/${encodeURIComponent(reportId)}/${suffix}${query ? `?${query}` : ''}`;
+};
+
+export const getExtractedData = async (key: ReportKey): Promise<ReportExtractedData> => {
+  return requestJson(reportPath(key, 'extracted-data'));
+};
+
+/**
+ * Save a correction as the report's next revision. Pass the revision the edit
+ * started from as baseRevision; the API rejects it if someone saved first.
+ */
+export const updateExtractedData = async (
+  key: ReportKey,
+  correction: { extractedData: ExtractedData; baseRevision: number; note?: string }
+) => {
+  return requestJson(reportPath(key, 'extracted-data'), {
+    method: 'PUT',
+    body: JSON.stringify(correction),
+  });
+};
+
+export const getReportRevisions = async (key: ReportKey): Promise<ReportRevision[]> => {
+  const result = await requestJson(reportPath(key, 'revisions'));
+  return result.revisions;
+};
+
+export const getReportRevision = async (reportId: string, revision: number): Promise<ReportRevision> => {
+  const result = await requestJson(`/reports/${encodeURIComponent(reportId)}/revisions/${revision}`);
+  return result.revision;
+};
+
+export interface TranscriptTurn {
+  index: number;
+  role: 'user' | 'agent';
+  speaker: string;
+  message: string;
+  timeInCallSecs: number | null;
+}
+
+export interface ReportTranscript {
+  reportId: string;
+  conversationId: string | null;
+  turns: TranscriptTurn[];
+}
+
+/**
+ * The report's conversation as turns; SourceSpan.turnIndex indexes into turns
+ */
+export const getTranscriptTurns = async (key: ReportKey): Promise<ReportTranscript> => {
+  return requestJson(reportPath(key, 'transcript/turns'));
+};
@@ -0,0 +1,160 @@
+#!/bin/bash
+
+###############################################################################
+# SiteLogix Personnel Duplicate Sweep
+#
+# Sets up the daily search for employees on file twice:
+# 1. Creates sitelogix-merge-candidates from table-merge-candidates.json
+#    (PAIR#{personId}~{personId} / CANDIDATE, GSI1-StatusIndex on
+#    candidate_status + detected_at)
+# 2. Creates sitelogix-personnel-merges from table-personnel-merges.json
+#    (MERGE#{mergeId} / AUDIT), the audit record of each merge that unmerge
+#    works from
+# 3. Schedules the API Lambda once a day with
+#    {"source": "sitelogix.personnel-duplicate-sweep"}, which scores every
+#    pair of active employees and refreshes the open merge candidates shown
+#    in Team Management
+#
+# The API Lambda role needs PutItem, GetItem, UpdateItem, DeleteItem, Scan
+# and Query on both tables and the candidates index. Merging re-points
+# payroll entries, time entries and reports, so it also needs
+# TransactWriteItems on those tables and sitelogix-personnel, and Query on
+# GSI1-EmployeeDateIndex and GSI1-EmployeeIndex.
+#
+# Usage:
+#   ./add-personnel-duplicate-sweep.sh [--region us-east-1] [--profile default] [--function sitelogix-api]
+###############################################################################
+
+set -e  # Exit on error
+
+# Default values
+REGION="us-east-1"
+PROFILE="default"
+FUNCTION_NAME="sitelogix-api"
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+INFRA_DIR="$(dirname "$SCRIPT_DIR")"
+CANDIDATES_TABLE="sitelogix-merge-candidates"
+MERGES_TABLE="sitelogix-personnel-merges"
+RULE_NAME="sitelogix-personnel-duplicate-sweep"
+
+# Color output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+BLUE='\033[0;34m'
+NC='\033[0m' # No Color
+
+# Parse command line arguments
+while [[ $# -gt 0 ]]; do
+  case $1 in
+    --region)
+      REGION="$2"
+      shift 2
+      ;;
+    --profile)
+      PROFILE="$2"
+      shift 2
+      ;;
+    --function)
+      FUNCTION_NAME="$2"
+      shift 2
+      ;;
+    -h|--help)
+      echo "Usage: $0 [--region REGION] [--profile PROFILE] [--function FUNCTION_NAME]"
+      echo ""
+      echo "Options:"
+      echo "  --region   AWS region (default: us-east-1)"
+      echo "  --profile  AWS CLI profile (default: default)"
+      echo "  --function API Lambda function name (default: sitelogix-api)"
+      echo "  -h, --help Show this help message"
+      exit 0
+      ;;
+    *)
+      echo -e "${RED}Unknown option: $1${NC}"
+      exit 1
+      ;;
+  esac
+done
+
+AWS_CMD="aws --region $REGION --profile $PROFILE"
+
+echo -e "${BLUE}================================================${NC}"
+echo -e "${BLUE}SiteLogix Personnel Duplicate Sweep${NC}"
+echo -e "${BLUE}================================================${NC}"
+echo ""
+
+###############################################################################
+# Step 1: Merge candidates table
+###############################################################################
+echo -e "${BLUE}Step 1: Merge candidates table${NC}"
+echo "----------------------------------------"
+
+if $AWS_CMD dynamodb describe-table --table-name "$CANDIDATES_TABLE" &>/dev/null; then
+  echo -e "${GREEN}Table $CANDIDATES_TABLE already exists${NC}"
+else
+  echo -e "${YELLOW}Creating table $CANDIDATES_TABLE...${NC}"
+  $AWS_CMD dynamodb create-table \
+    --cli-input-json file://"$INFRA_DIR/table-merge-candidates.json"
+  $AWS_CMD dynamodb wait table-exists --table-name "$CANDIDATES_TABLE"
+  echo -e "${GREEN}Table $CANDIDATES_TABLE created${NC}"
+fi
+echo ""
+
+###############################################################################
+# Step 2: Merge audit table
+###############################################################################
+echo -e "${BLUE}Step 2: Merge audit table${NC}"
+echo "----------------------------------------"
+
+if $AWS_CMD dynamodb describe-table --table-name "$MERGES_TABLE" &>/dev/null; then
+  echo -e "${GREEN}Table $MERGES_TABLE already exists${NC}"
+else
+  echo -e "${YELLOW}Creating table $MERGES_TABLE...${NC}"
+  $AWS_CMD dynamodb create-table \
+    --cli-input-json file://"$INFRA_DIR/table-personnel-merges.json"
+  $AWS_CMD dynamodb wait table-exists --table-name "$MERGES_TABLE"
+  echo -e "${GREEN}Table $MERGES_TABLE created${NC}"
+fi
+echo ""
+
+###############################################################################
+# Step 3: Daily sweep schedule
+###############################################################################
+echo -e "${BLUE}Step 3: Daily sweep schedule${NC}"
+echo "----------------------------------------"
+
+FUNCTION_ARN=$($AWS_CMD lambda get-function --function-name "$FUNCTION_NAME" \
+  --query "Configuration.FunctionArn" --output text)
+
+RULE_ARN=$($AWS_CMD events put-rule \
+  --name "$RULE_NAME" \
+  --schedule-expression "cron(0 6 * * ? *)" \
+  --description "Look for SiteLogix employees on file twice" \
+  --query "RuleArn" --output text)
+echo -e "${GREEN}✓${NC} Rule $RULE_NAME runs daily at 06:00 UTC"
+
+$AWS_CMD events put-targets \
+  --rule "$RULE_NAME" \
+  --targets '[{
+    "Id": "sitelogix-api",
+    "Arn": "'"$FUNCTION_ARN"'",
+    "Input": "{\"source\": \"sitelogix.personnel-duplicate-sweep\"}"
+  }]' > /dev/null
+echo -e "${GREEN}✓${NC} Target $FUNCTION_NAME"
+
+if $AWS_CMD lambda add-permission \
+  --function-name "$FUNCTION_NAME" \
+  --statement-id "$RULE_NAME" \
+  --action lambda:InvokeFunction \
+  --principal events.amazonaws.com \
+  --source-arn "$RULE_ARN" > /dev/null 2>&1; then
+  echo -e "${GREEN}✓${NC} EventBridge may invoke $FUNCTION_NAME"
+else
+  echo -e "${GREEN}EventBridge invoke permission already exists${NC}"
+fi
+
+echo ""
+echo -e "${BLUE}================================================${NC}"
+echo -e "${GREEN}Personnel duplicate sweep ready!${NC}"
+echo -e "${YELLOW}Admins can also run it from Team Management or POST /api/personnel/merge-candidates/sweep${NC}"
+echo -e "${BLUE}================================================${NC}"
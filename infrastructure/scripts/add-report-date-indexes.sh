@@ -0,0 +1,156 @@
+#!/bin/bash
+
+###############################################################################
+# SiteLogix Report Date Indexes
+#
+# Brings an existing sitelogix-reports table in line with table-reports.json:
+# 1. Adds GSI2-ManagerIndex (manager_id + report_date) if missing
+# 2. Adds GSI4-MonthIndex (report_month + report_date) if missing
+# 3. Backfills report_month (YYYY-MM) on reports written before it existed
+#
+# GET /api/reports uses these for from/to/managerId filters instead of a Scan.
+#
+# Usage:
+#   ./add-report-date-indexes.sh [--region us-east-1] [--profile default]
+###############################################################################
+
+set -e  # Exit on error
+
+# Default values
+REGION="us-east-1"
+PROFILE="default"
+REPORTS_TABLE="sitelogix-reports"
+
+# Color output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+BLUE='\033[0;34m'
+NC='\033[0m' # No Color
+
+# Parse command line arguments
+while [[ $# -gt 0 ]]; do
+  case $1 in
+    --region)
+      REGION="$2"
+      shift 2
+      ;;
+    --profile)
+      PROFILE="$2"
+      shift 2
+      ;;
+    -h|--help)
+      echo "Usage: $0 [--region REGION] [--profile PROFILE]"
+      echo ""
+      echo "Options:"
+      echo "  --region   AWS region (default: us-east-1)"
+      echo "  --profile  AWS CLI profile (default: default)"
+      echo "  -h, --help Show this help message"
+      exit 0
+      ;;
+    *)
+      echo -e "${RED}Unknown option: $1${NC}"
+      exit 1
+      ;;
+  esac
+done
+
+AWS_CMD="aws --region $REGION --profile $PROFILE"
+
+echo -e "${BLUE}================================================${NC}"
+echo -e "${BLUE}SiteLogix Report Date Indexes${NC}"
+echo -e "${BLUE}================================================${NC}"
+echo ""
+
+###############################################################################
+# Function: Add a report_date-ranged GSI if it does not exist yet
+###############################################################################
+add_date_index() {
+  local index_name=$1
+  local hash_key=$2
+
+  local exists
+  exists=$($AWS_CMD dynamodb describe-table --table-name "$REPORTS_TABLE" \
+    --query "Table.GlobalSecondaryIndexes[?IndexName=='$index_name'].IndexName" \
+    --output text)
+
+  if [ -n "$exists" ]; then
+    echo -e "${GREEN}$index_name already exists${NC}"
+    return
+  fi
+
+  echo -e "${YELLOW}Adding $index_name to $REPORTS_TABLE...${NC}"
+  $AWS_CMD dynamodb update-table \
+    --table-name "$REPORTS_TABLE" \
+    --attribute-definitions \
+      AttributeName="$hash_key",AttributeType=S \
+      AttributeName=report_date,AttributeType=S \
+    --global-secondary-index-updates '[{
+      "Create": {
+        "IndexName": "'"$index_name"'",
+        "KeySchema": [
+          {"AttributeName": "'"$hash_key"'", "KeyType": "HASH"},
+          {"AttributeName": "report_date", "KeyType": "RANGE"}
+        ],
+        "Projection": {"ProjectionType": "ALL"},
+        "ProvisionedThroughput": {
+          "ReadCapacityUnits": 5,
+          "WriteCapacityUnits": 5
+        }
+      }
+    }]'
+
+  # Only one GSI can be created at a time, so wait before moving on
+  echo -e "${YELLOW}Waiting for $index_name to be active...${NC}"
+  while true; do
+    local status
+    status=$($AWS_CMD dynamodb describe-table --table-name "$REPORTS_TABLE" \
+      --query "Table.GlobalSecondaryIndexes[?IndexName=='$index_name'].IndexStatus" \
+      --output text)
+
+    if [ "$status" = "ACTIVE" ]; then
+      echo -e "${GREEN}$index_name is now active${NC}"
+      break
+    fi
+
+    echo -e "${YELLOW}GSI status: $status (waiting...)${NC}"
+    sleep 10
+  done
+}
+
+###############################################################################
+# Step 1: Indexes
+###############################################################################
+echo -e "${BLUE}Step 1: Indexes${NC}"
+echo "----------------------------------------"
+
+add_date_index "GSI2-ManagerIndex" "manager_id"
+add_date_index "GSI4-MonthIndex" "report_month"
+echo ""
+
+###############################################################################
+# Step 2: Backfill report_month
+###############################################################################
+echo -e "${BLUE}Step 2: Backfill report_month${NC}"
+echo "----------------------------------------"
+
+$AWS_CMD dynamodb scan \
+  --table-name "$REPORTS_TABLE" \
+  --projection-expression "PK, SK, report_date" \
+  --filter-expression "attribute_not_exists(report_month) AND attribute_exists(report_date)" \
+  --query "Items[].[PK.S, SK.S, report_date.S]" \
+  --output text |
+while IFS=$'\t' read -r PK SK REPORT_DATE; do
+  [ -z "$PK" ] && continue
+  $AWS_CMD dynamodb update-item \
+    --table-name "$REPORTS_TABLE" \
+    --key '{"PK": {"S": "'"$PK"'"}, "SK": {"S": "'"$SK"'"}}' \
+    --update-expression "SET report_month = :month" \
+    --expression-attribute-values '{":month": {"S": "'"${REPORT_DATE:0:7}"'"}}'
+  echo -e "${GREEN}✓${NC} $SK -> ${REPORT_DATE:0:7}"
+done
+
+echo ""
+echo -e "${BLUE}================================================${NC}"
+echo -e "${GREEN}Report date indexes ready!${NC}"
+echo -e "${BLUE}================================================${NC}"
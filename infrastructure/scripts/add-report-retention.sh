@@ -0,0 +1,167 @@
+#!/bin/bash
+
+###############################################################################
+# SiteLogix Report Retention
+#
+# Sets up soft delete and purging for sitelogix-reports:
+# 1. Adds GSI5-DeletedIndex (tombstone + deleted_at) if missing. Only deleted
+#    reports carry `tombstone`, so the index holds nothing else.
+# 2. Schedules the API Lambda once a day with {"source": "sitelogix.report-retention"},
+#    which purges reports deleted more than REPORT_RETENTION_DAYS ago (default 90)
+#
+# The API Lambda role also needs DeleteItem on sitelogix-reports,
+# sitelogix-report-revisions and sitelogix-report-jobs, plus s3:DeleteObject
+# on the reports bucket.
+#
+# Usage:
+#   ./add-report-retention.sh [--region us-east-1] [--profile default] [--function sitelogix-api]
+###############################################################################
+
+set -e  # Exit on error
+
+# Default values
+REGION="us-east-1"
+PROFILE="default"
+FUNCTION_NAME="sitelogix-api"
+REPORTS_TABLE="sitelogix-reports"
+INDEX_NAME="GSI5-DeletedIndex"
+RULE_NAME="sitelogix-report-retention"
+
+# Color output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+BLUE='\033[0;34m'
+NC='\033[0m' # No Color
+
+# Parse command line arguments
+while [[ $# -gt 0 ]]; do
+  case $1 in
+    --region)
+      REGION="$2"
+      shift 2
+      ;;
+    --profile)
+      PROFILE="$2"
+      shift 2
+      ;;
+    --function)
+      FUNCTION_NAME="$2"
+      shift 2
+      ;;
+    -h|--help)
+      echo "Usage: $0 [--region REGION] [--profile PROFILE] [--function FUNCTION_NAME]"
+      echo ""
+      echo "Options:"
+      echo "  --region   AWS region (default: us-east-1)"
+      echo "  --profile  AWS CLI profile (default: default)"
+      echo "  --function API Lambda function name (default: sitelogix-api)"
+      echo "  -h, --help Show this help message"
+      exit 0
+      ;;
+    *)
+      echo -e "${RED}Unknown option: $1${NC}"
+      exit 1
+      ;;
+  esac
+done
+
+AWS_CMD="aws --region $REGION --profile $PROFILE"
+
+echo -e "${BLUE}================================================${NC}"
+echo -e "${BLUE}SiteLogix Report Retention${NC}"
+echo -e "${BLUE}================================================${NC}"
+echo ""
+
+###############################################################################
+# Step 1: Deleted report index
+###############################################################################
+echo -e "${BLUE}Step 1: Deleted report index${NC}"
+echo "----------------------------------------"
+
+EXISTS=$($AWS_CMD dynamodb describe-table --table-name "$REPORTS_TABLE" \
+  --query "Table.GlobalSecondaryIndexes[?IndexName=='$INDEX_NAME'].IndexName" \
+  --output text)
+
+if [ -n "$EXISTS" ]; then
+  echo -e "${GREEN}$INDEX_NAME already exists${NC}"
+else
+  echo -e "${YELLOW}Adding $INDEX_NAME to $REPORTS_TABLE...${NC}"
+  $AWS_CMD dynamodb update-table \
+    --table-name "$REPORTS_TABLE" \
+    --attribute-definitions \
+      AttributeName=tombstone,AttributeType=S \
+      AttributeName=deleted_at,AttributeType=S \
+    --global-secondary-index-updates '[{
+      "Create": {
+        "IndexName": "'"$INDEX_NAME"'",
+        "KeySchema": [
+          {"AttributeName": "tombstone", "KeyType": "HASH"},
+          {"AttributeName": "deleted_at", "KeyType": "RANGE"}
+        ],
+        "Projection": {"ProjectionType": "ALL"},
+        "ProvisionedThroughput": {
+          "ReadCapacityUnits": 1,
+          "WriteCapacityUnits": 1
+        }
+      }
+    }]'
+
+  echo -e "${YELLOW}Waiting for $INDEX_NAME to be active...${NC}"
+  while true; do
+    STATUS=$($AWS_CMD dynamodb describe-table --table-name "$REPORTS_TABLE" \
+      --query "Table.GlobalSecondaryIndexes[?IndexName=='$INDEX_NAME'].IndexStatus" \
+      --output text)
+
+    if [ "$STATUS" = "ACTIVE" ]; then
+      echo -e "${GREEN}$INDEX_NAME is now active${NC}"
+      break
+    fi
+
+    echo -e "${YELLOW}GSI status: $STATUS (waiting...)${NC}"
+    sleep 10
+  done
+fi
+echo ""
+
+###############################################################################
+# Step 2: Daily retention schedule
+###############################################################################
+echo -e "${BLUE}Step 2: Daily retention schedule${NC}"
+echo "----------------------------------------"
+
+FUNCTION_ARN=$($AWS_CMD lambda get-function --function-name "$FUNCTION_NAME" \
+  --query "Configuration.FunctionArn" --output text)
+
+RULE_ARN=$($AWS_CMD events put-rule \
+  --name "$RULE_NAME" \
+  --schedule-expression "cron(0 7 * * ? *)" \
+  --description "Purge SiteLogix reports deleted longer than the retention window" \
+  --query "RuleArn" --output text)
+echo -e "${GREEN}✓${NC} Rule $RULE_NAME runs daily at 07:00 UTC"
+
+$AWS_CMD events put-targets \
+  --rule "$RULE_NAME" \
+  --targets '[{
+    "Id": "sitelogix-api",
+    "Arn": "'"$FUNCTION_ARN"'",
+    "Input": "{\"source\": \"sitelogix.report-retention\"}"
+  }]' > /dev/null
+echo -e "${GREEN}✓${NC} Target $FUNCTION_NAME"
+
+if $AWS_CMD lambda add-permission \
+  --function-name "$FUNCTION_NAME" \
+  --statement-id "$RULE_NAME" \
+  --action lambda:InvokeFunction \
+  --principal events.amazonaws.com \
+  --source-arn "$RULE_ARN" > /dev/null 2>&1; then
+  echo -e "${GREEN}✓${NC} EventBridge may invoke $FUNCTION_NAME"
+else
+  echo -e "${GREEN}EventBridge invoke permission already exists${NC}"
+fi
+
+echo ""
+echo -e "${BLUE}================================================${NC}"
+echo -e "${GREEN}Report retention ready!${NC}"
+echo -e "${YELLOW}Set REPORT_RETENTION_DAYS on $FUNCTION_NAME to change the 90 day window${NC}"
+echo -e "${BLUE}================================================${NC}"
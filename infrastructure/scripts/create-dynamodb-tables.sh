@@ -13,12 +13,14 @@ aws dynamodb create-table \
     AttributeName=project_id,AttributeType=S \
     AttributeName=manager_id,AttributeType=S \
     AttributeName=report_date,AttributeType=S \
+    AttributeName=report_month,AttributeType=S \
   --key-schema \
     AttributeName=PK,KeyType=HASH \
     AttributeName=SK,KeyType=RANGE \
   --global-secondary-indexes \
     IndexName=GSI1-ProjectIndex,KeySchema=[{AttributeName=project_id,KeyType=HASH},{AttributeName=report_date,KeyType=RANGE}],Projection={ProjectionType=ALL},ProvisionedThroughput={ReadCapacityUnits=5,WriteCapacityUnits=5} \
     IndexName=GSI2-ManagerIndex,KeySchema=[{AttributeName=manager_id,KeyType=HASH},{AttributeName=report_date,KeyType=RANGE}],Projection={ProjectionType=ALL},ProvisionedThroughput={ReadCapacityUnits=5,WriteCapacityUnits=5} \
+    IndexName=GSI4-MonthIndex,KeySchema=[{AttributeName=report_month,KeyType=HASH},{AttributeName=report_date,KeyType=RANGE}],Projection={ProjectionType=ALL},ProvisionedThroughput={ReadCapacityUnits=5,WriteCapacityUnits=5} \
   --billing-mode PROVISIONED \
   --provisioned-throughput ReadCapacityUnits=10,WriteCapacityUnits=10 \
   --sse-specification Enabled=true \
@@ -0,0 +1,92 @@
+#!/bin/bash
+
+###############################################################################
+# SiteLogix Idempotency Table
+#
+# Creates sitelogix-idempotency from table-idempotency.json and turns on TTL
+# for its expires_at attribute. POST /api/reports claims a record here per
+# Idempotency-Key / conversationId so retried submissions replay the first
+# response instead of creating a second report.
+#
+# The API Lambda role needs GetItem, PutItem, UpdateItem and DeleteItem on
+# this table.
+#
+# Usage:
+#   ./create-idempotency-table.sh [--region us-east-1] [--profile default]
+###############################################################################
+
+set -e  # Exit on error
+
+# Default values
+REGION="us-east-1"
+PROFILE="default"
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+INFRA_DIR="$(dirname "$SCRIPT_DIR")"
+IDEMPOTENCY_TABLE="sitelogix-idempotency"
+
+# Color output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+BLUE='\033[0;34m'
+NC='\033[0m' # No Color
+
+# Parse command line arguments
+while [[ $# -gt 0 ]]; do
+  case $1 in
+    --region)
+      REGION="$2"
+      shift 2
+      ;;
+    --profile)
+      PROFILE="$2"
+      shift 2
+      ;;
+    -h|--help)
+      echo "Usage: $0 [--region REGION] [--profile PROFILE]"
+      echo ""
+      echo "Options:"
+      echo "  --region   AWS region (default: us-east-1)"
+      echo "  --profile  AWS CLI profile (default: default)"
+      echo "  -h, --help Show this help message"
+      exit 0
+      ;;
+    *)
+      echo -e "${RED}Unknown option: $1${NC}"
+      exit 1
+      ;;
+  esac
+done
+
+AWS_CMD="aws --region $REGION --profile $PROFILE"
+
+echo -e "${BLUE}================================================${NC}"
+echo -e "${BLUE}SiteLogix Idempotency Table${NC}"
+echo -e "${BLUE}================================================${NC}"
+echo ""
+
+if $AWS_CMD dynamodb describe-table --table-name "$IDEMPOTENCY_TABLE" &>/dev/null; then
+  echo -e "${YELLOW}Table $IDEMPOTENCY_TABLE already exists${NC}"
+else
+  echo -e "${YELLOW}Creating table $IDEMPOTENCY_TABLE...${NC}"
+  $AWS_CMD dynamodb create-table \
+    --cli-input-json file://"$INFRA_DIR/table-idempotency.json"
+  $AWS_CMD dynamodb wait table-exists --table-name "$IDEMPOTENCY_TABLE"
+  echo -e "${GREEN}Table $IDEMPOTENCY_TABLE created${NC}"
+fi
+
+TTL_STATUS=$($AWS_CMD dynamodb describe-time-to-live --table-name "$IDEMPOTENCY_TABLE" \
+  --query "TimeToLiveDescription.TimeToLiveStatus" --output text)
+
+if [ "$TTL_STATUS" = "ENABLED" ] || [ "$TTL_STATUS" = "ENABLING" ]; then
+  echo -e "${GREEN}✓${NC} TTL already $TTL_STATUS"
+else
+  echo -e "${YELLOW}Enabling TTL on expires_at...${NC}"
+  $AWS_CMD dynamodb update-time-to-live \
+    --table-name "$IDEMPOTENCY_TABLE" \
+    --time-to-live-specification "Enabled=true, AttributeName=expires_at"
+  echo -e "${GREEN}✓${NC} TTL enabled"
+fi
+
+echo ""
+echo -e "${GREEN}Idempotency table setup complete!${NC}"
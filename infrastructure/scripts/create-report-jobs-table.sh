@@ -0,0 +1,78 @@
+#!/bin/bash
+
+###############################################################################
+# SiteLogix Report Jobs Table
+#
+# Creates sitelogix-report-jobs from table-report-jobs.json. POST /api/reports
+# records a processing job here (JOB#{reportId} / STATUS) and the API Lambda
+# works through it asynchronously; GET /api/reports/:reportId/status reads it.
+#
+# The API Lambda role needs GetItem, PutItem and UpdateItem on this table,
+# plus lambda:InvokeFunction on itself to enqueue jobs and retries.
+#
+# Usage:
+#   ./create-report-jobs-table.sh [--region us-east-1] [--profile default]
+###############################################################################
+
+set -e  # Exit on error
+
+# Default values
+REGION="us-east-1"
+PROFILE="default"
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+INFRA_DIR="$(dirname "$SCRIPT_DIR")"
+JOBS_TABLE="sitelogix-report-jobs"
+
+# Color output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+BLUE='\033[0;34m'
+NC='\033[0m' # No Color
+
+# Parse command line arguments
+while [[ $# -gt 0 ]]; do
+  case $1 in
+    --region)
+      REGION="$2"
+      shift 2
+      ;;
+    --profile)
+      PROFILE="$2"
+      shift 2
+      ;;
+    -h|--help)
+      echo "Usage: $0 [--region REGION] [--profile PROFILE]"
+      echo ""
+      echo "Options:"
+      echo "  --region   AWS region (default: us-east-1)"
+      echo "  --profile  AWS CLI profile (default: default)"
+      echo "  -h, --help Show this help message"
+      exit 0
+      ;;
+    *)
+      echo -e "${RED}Unknown option: $1${NC}"
+      exit 1
+      ;;
+  esac
+done
+
+AWS_CMD="aws --region $REGION --profile $PROFILE"
+
+echo -e "${BLUE}================================================${NC}"
+echo -e "${BLUE}SiteLogix Report Jobs Table${NC}"
+echo -e "${BLUE}================================================${NC}"
+echo ""
+
+if $AWS_CMD dynamodb describe-table --table-name "$JOBS_TABLE" &>/dev/null; then
+  echo -e "${YELLOW}Table $JOBS_TABLE already exists${NC}"
+else
+  echo -e "${YELLOW}Creating table $JOBS_TABLE...${NC}"
+  $AWS_CMD dynamodb create-table \
+    --cli-input-json file://"$INFRA_DIR/table-report-jobs.json"
+  $AWS_CMD dynamodb wait table-exists --table-name "$JOBS_TABLE"
+  echo -e "${GREEN}Table $JOBS_TABLE created${NC}"
+fi
+
+echo ""
+echo -e "${GREEN}Report jobs table setup complete!${NC}"
@@ -0,0 +1,79 @@
+#!/bin/bash
+
+###############################################################################
+# SiteLogix Report Revisions Table
+#
+# Creates sitelogix-report-revisions from table-report-revisions.json.
+# PUT /api/reports/:reportId/extracted-data stores every manager correction
+# here (REPORT#{reportId} / REVISION#{n}) with its author and diff, in a
+# transaction with the report update.
+#
+# The API Lambda role needs PutItem, GetItem and Query on this table, and
+# TransactWriteItems must be allowed on it and sitelogix-reports.
+#
+# Usage:
+#   ./create-report-revisions-table.sh [--region us-east-1] [--profile default]
+###############################################################################
+
+set -e  # Exit on error
+
+# Default values
+REGION="us-east-1"
+PROFILE="default"
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+INFRA_DIR="$(dirname "$SCRIPT_DIR")"
+REVISIONS_TABLE="sitelogix-report-revisions"
+
+# Color output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+BLUE='\033[0;34m'
+NC='\033[0m' # No Color
+
+# Parse command line arguments
+while [[ $# -gt 0 ]]; do
+  case $1 in
+    --region)
+      REGION="$2"
+      shift 2
+      ;;
+    --profile)
+      PROFILE="$2"
+      shift 2
+      ;;
+    -h|--help)
+      echo "Usage: $0 [--region REGION] [--profile PROFILE]"
+      echo ""
+      echo "Options:"
+      echo "  --region   AWS region (default: us-east-1)"
+      echo "  --profile  AWS CLI profile (default: default)"
+      echo "  -h, --help Show this help message"
+      exit 0
+      ;;
+    *)
+      echo -e "${RED}Unknown option: $1${NC}"
+      exit 1
+      ;;
+  esac
+done
+
+AWS_CMD="aws --region $REGION --profile $PROFILE"
+
+echo -e "${BLUE}================================================${NC}"
+echo -e "${BLUE}SiteLogix Report Revisions Table${NC}"
+echo -e "${BLUE}================================================${NC}"
+echo ""
+
+if $AWS_CMD dynamodb describe-table --table-name "$REVISIONS_TABLE" &>/dev/null; then
+  echo -e "${YELLOW}Table $REVISIONS_TABLE already exists${NC}"
+else
+  echo -e "${YELLOW}Creating table $REVISIONS_TABLE...${NC}"
+  $AWS_CMD dynamodb create-table \
+    --cli-input-json file://"$INFRA_DIR/table-report-revisions.json"
+  $AWS_CMD dynamodb wait table-exists --table-name "$REVISIONS_TABLE"
+  echo -e "${GREEN}Table $REVISIONS_TABLE created${NC}"
+fi
+
+echo ""
+echo -e "${GREEN}Report revisions table setup complete!${NC}"
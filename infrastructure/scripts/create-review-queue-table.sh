@@ -0,0 +1,79 @@
+#!/bin/bash
+
+###############################################################################
+# SiteLogix Review Queue Table
+#
+# Creates sitelogix-review-queue from table-review-queue.json.
+# Report processing queues low-confidence personnel, vendors, constraints,
+# personnel matches and payroll hours here (REPORT#{reportId} / {type}#{key});
+# GET /api/review reads open items through GSI1-StatusIndex.
+#
+# The API Lambda role needs PutItem, UpdateItem, DeleteItem and Query on this
+# table and its indexes.
+#
+# Usage:
+#   ./create-review-queue-table.sh [--region us-east-1] [--profile default]
+###############################################################################
+
+set -e  # Exit on error
+
+# Default values
+REGION="us-east-1"
+PROFILE="default"
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+INFRA_DIR="$(dirname "$SCRIPT_DIR")"
+REVIEW_TABLE="sitelogix-review-queue"
+
+# Color output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+BLUE='\033[0;34m'
+NC='\033[0m' # No Color
+
+# Parse command line arguments
+while [[ $# -gt 0 ]]; do
+  case $1 in
+    --region)
+      REGION="$2"
+      shift 2
+      ;;
+    --profile)
+      PROFILE="$2"
+      shift 2
+      ;;
+    -h|--help)
+      echo "Usage: $0 [--region REGION] [--profile PROFILE]"
+      echo ""
+      echo "Options:"
+      echo "  --region   AWS region (default: us-east-1)"
+      echo "  --profile  AWS CLI profile (default: default)"
+      echo "  -h, --help Show this help message"
+      exit 0
+      ;;
+    *)
+      echo -e "${RED}Unknown option: $1${NC}"
+      exit 1
+      ;;
+  esac
+done
+
+AWS_CMD="aws --region $REGION --profile $PROFILE"
+
+echo -e "${BLUE}================================================${NC}"
+echo -e "${BLUE}SiteLogix Review Queue Table${NC}"
+echo -e "${BLUE}================================================${NC}"
+echo ""
+
+if $AWS_CMD dynamodb describe-table --table-name "$REVIEW_TABLE" &>/dev/null; then
+  echo -e "${YELLOW}Table $REVIEW_TABLE already exists${NC}"
+else
+  echo -e "${YELLOW}Creating table $REVIEW_TABLE...${NC}"
+  $AWS_CMD dynamodb create-table \
+    --cli-input-json file://"$INFRA_DIR/table-review-queue.json"
+  $AWS_CMD dynamodb wait table-exists --table-name "$REVIEW_TABLE"
+  echo -e "${GREEN}Table $REVIEW_TABLE created${NC}"
+fi
+
+echo ""
+echo -e "${GREEN}Review queue table setup complete!${NC}"
@@ -0,0 +1,79 @@
+#!/bin/bash
+
+###############################################################################
+# SiteLogix Vendor Merges Table
+#
+# Creates sitelogix-vendor-merges from table-vendor-merges.json, the audit
+# record (MERGE#{mergeId} / AUDIT) of each POST /api/vendors/:vendorId/merge.
+#
+# The API Lambda role needs PutItem, GetItem and UpdateItem on this table.
+# Merging moves the duplicate's deliveries, performance records and
+# charge-backs, so it also needs TransactWriteItems, Query and Scan on
+# sitelogix-vendors and sitelogix-analytics.
+#
+# Usage:
+#   ./create-vendor-merges-table.sh [--region us-east-1] [--profile default]
+###############################################################################
+
+set -e  # Exit on error
+
+# Default values
+REGION="us-east-1"
+PROFILE="default"
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+INFRA_DIR="$(dirname "$SCRIPT_DIR")"
+MERGES_TABLE="sitelogix-vendor-merges"
+
+# Color output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+BLUE='\033[0;34m'
+NC='\033[0m' # No Color
+
+# Parse command line arguments
+while [[ $# -gt 0 ]]; do
+  case $1 in
+    --region)
+      REGION="$2"
+      shift 2
+      ;;
+    --profile)
+      PROFILE="$2"
+      shift 2
+      ;;
+    -h|--help)
+      echo "Usage: $0 [--region REGION] [--profile PROFILE]"
+      echo ""
+      echo "Options:"
+      echo "  --region   AWS region (default: us-east-1)"
+      echo "  --profile  AWS CLI profile (default: default)"
+      echo "  -h, --help Show this help message"
+      exit 0
+      ;;
+    *)
+      echo -e "${RED}Unknown option: $1${NC}"
+      exit 1
+      ;;
+  esac
+done
+
+AWS_CMD="aws --region $REGION --profile $PROFILE"
+
+echo -e "${BLUE}================================================${NC}"
+echo -e "${BLUE}SiteLogix Vendor Merges Table${NC}"
+echo -e "${BLUE}================================================${NC}"
+echo ""
+
+if $AWS_CMD dynamodb describe-table --table-name "$MERGES_TABLE" &>/dev/null; then
+  echo -e "${YELLOW}Table $MERGES_TABLE already exists${NC}"
+else
+  echo -e "${YELLOW}Creating table $MERGES_TABLE...${NC}"
+  $AWS_CMD dynamodb create-table \
+    --cli-input-json file://"$INFRA_DIR/table-vendor-merges.json"
+  $AWS_CMD dynamodb wait table-exists --table-name "$MERGES_TABLE"
+  echo -e "${GREEN}Table $MERGES_TABLE created${NC}"
+fi
+
+echo ""
+echo -e "${GREEN}Vendor merges table setup complete!${NC}"
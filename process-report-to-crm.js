@@ -13,7 +13,8 @@ const { S3Client, GetObjectCommand, PutObjectCommand } = require('@aws-sdk/clien
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, PutCommand, BatchWriteCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
 const { google } = require('googleapis');
-const Anthropic = require('@anthropic-ai/sdk');
+const { runExtractionTask } = require('./backend/src/services/extractionSchema');
+const { attachSources } = require('./backend/src/services/transcriptProvenance');
 const { generateHTMLReport } = require('./generate-html-report');
 
 const s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
@@ -93,9 +94,8 @@ function extractReportInfo(s3Key) {
 }
 
 async function analyzeWithClaude(transcript, context) {
-  console.log('🤖 Analyzing with Claude 3.5 Sonnet...');
+  console.log('🤖 Analyzing transcript...');
 
-  const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
   const messages = transcript.transcript || [];
   const rawText = messages.map(m =>
     `${m.role === 'user' ? 'Manager' : 'Roxy'}: ${m.message}`
@@ -140,41 +140,15 @@ CONSTRAINTS format: [{ category, level, severity, title, description, status, ex
 VENDORS format: [{ companyName, vendorType, materialsDelivered, deliveryTime, receivedBy, extractedFromText }]
 TIME SUMMARY format: { totalPersonnelCount, totalRegularHours, totalOvertimeHours, arrivalTime, departureTime }`;
 
-  const message = await anthropic.messages.create({
-    model: 'claude-3-5-sonnet-20241022',
-    max_tokens: 8000,
-    temperature: 0,
-    messages: [{ role: 'user', content: prompt }]
-  });
-
-  let jsonText = message.content[0].text.trim();
-  if (jsonText.startsWith('```')) {
-    jsonText = jsonText.replace(/```json\n?/, '').replace(/\n?```$/, '');
+  const { data, needsReview, errors } = await runExtractionTask('report-extraction', { prompt });
+  if (needsReview) {
+    console.log(`⚠️  Extraction still invalid after a repair attempt (${errors.length} errors); report flagged for review`);
   }
 
-  // Try to parse, if fails, try to extract JSON from text
-  try {
-    return JSON.parse(jsonText);
-  } catch (error) {
-    console.log('⚠️  JSON parse failed, attempting to extract...');
-    console.log('Raw response (first 1000 chars):');
-    console.log(jsonText.substring(0, 1000));
-    console.log('---');
-
-    // Try to find JSON object in text
-    const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      console.log('Found JSON match, attempting to parse...');
-      try {
-        return JSON.parse(jsonMatch[0]);
-      } catch (parseError) {
-        console.log('Parse error:', parseError.message);
-        console.log('Matched content (first 1000 chars):');
-        console.log(jsonMatch[0].substring(0, 1000));
-      }
-    }
-    throw new Error(`Failed to parse AI response: ${error.message}\n\nResponse:\n${jsonText.substring(0, 500)}...`);
-  }
+  // Point personnel, vendors and constraints at the turns they were quoted from
+  const { data: linked } = attachSources(data, transcript);
+
+  return { ...linked, needsReview, validationErrors: errors };
 }
 
 // Database helpers
@@ -569,8 +543,8 @@ async function writeToDynamoDB_Constraints(extracted, context) {
   console.log(`   ✅ DynamoDB: ${extracted.constraints.length} constraint records saved`);
 }
 
-async function updateDynamoDB_ReportURL(reportId, projectId, htmlReportUrl) {
-  // Update the report record with the HTML URL
+async function updateDynamoDB_ReportURL(reportId, projectId, htmlReportUrl, needsReview = false) {
+  // Update the report record with the HTML URL and whether the extraction needs a manager's review
   const params = {
     TableName: TABLES.REPORTS,
     Key: {
@@ -609,6 +583,7 @@ async function updateDynamoDB_ReportURL(reportId, projectId, htmlReportUrl) {
         Item: {
           ...item,
           report_html_url: htmlReportUrl,
+          needs_review: needsReview,
           updated_at: new Date().toISOString()
         }
       }));
@@ -1265,7 +1240,7 @@ async function main() {
     await updateReportDocUrl(info.reportId, htmlReportUrl);
 
     // Update DynamoDB with HTML report URL
-    await updateDynamoDB_ReportURL(info.reportId, info.projectId, htmlReportUrl);
+    await updateDynamoDB_ReportURL(info.reportId, info.projectId, htmlReportUrl, extracted.needsReview);
 
     console.log('');
     console.log('='.repeat(80));
@@ -6,7 +6,7 @@
  * Processes all 102 training transcripts from S3:
  * 1. Read transcripts from S3
  * 2. Extract structured data using Roxy AI
- * 3. Normalize entities (personnel, projects)
+ * 3. Normalize entities against the personnel and projects tables
  * 4. Store in DynamoDB
  *
  * Usage:
@@ -14,10 +14,10 @@
  */
 
 const { S3Client, ListObjectsV2Command, GetObjectCommand } = require('@aws-sdk/client-s3');
-const { DynamoDBClient, PutItemCommand, QueryCommand } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBClient, PutItemCommand } = require('@aws-sdk/client-dynamodb');
 const { marshall } = require('@aws-sdk/util-dynamodb');
 const { extractFromTranscript } = require('./backend/src/services/extractionService');
-const { normalizeExtractedData, getMasterPersonnel, getMasterProjects } = require('./backend/src/services/entityNormalizationService');
+const { MasterDataDirectory, normalizeExtractedData } = require('./backend/src/services/entityNormalizationService');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -144,85 +144,10 @@ async function storeReport(normalizedData, s3Key) {
   return reportItem;
 }
 
-/**
- * Check if personnel already exists in database
- */
-async function personnelExists(personnelId) {
-  const command = new QueryCommand({
-    TableName: CONFIG.personnelTable,
-    KeyConditionExpression: 'PK = :pk',
-    ExpressionAttributeValues: {
-      ':pk': { S: `PERSONNEL#${personnelId}` }
-    },
-    Limit: 1
-  });
-
-  const result = await dynamoClient.send(command);
-  return result.Items && result.Items.length > 0;
-}
-
-/**
- * Store personnel data in DynamoDB
- */
-async function storePersonnel(personnelId, personnelData) {
-  // Check if already exists
-  const exists = await personnelExists(personnelId);
-  if (exists) {
-    console.log(`   ⏭️  Personnel ${personnelId} already exists, skipping`);
-    return;
-  }
-
-  const timestamp = new Date().toISOString();
-
-  const personnelItem = {
-    PK: `PERSONNEL#${personnelId}`,
-    SK: 'METADATA',
-    personnel_id: personnelId,
-    full_name: personnelData.canonical_name,
-    role: personnelData.role || '',
-    status: 'active',
-    created_at: timestamp,
-    updated_at: timestamp
-  };
-
-  const command = new PutItemCommand({
-    TableName: CONFIG.personnelTable,
-    Item: marshall(personnelItem, { removeUndefinedValues: true })
-  });
-
-  await dynamoClient.send(command);
-
-  console.log(`   ✅ Created personnel: ${personnelId} (${personnelData.canonical_name})`);
-}
-
-/**
- * Seed master personnel list to database
- */
-async function seedMasterPersonnel() {
-  console.log('\n👥 Seeding master personnel list...');
-
-  const masterPersonnel = getMasterPersonnel();
-  let created = 0;
-  let skipped = 0;
-
-  for (const [personnelId, data] of Object.entries(masterPersonnel)) {
-    const exists = await personnelExists(personnelId);
-
-    if (exists) {
-      skipped++;
-    } else {
-      await storePersonnel(personnelId, data);
-      created++;
-    }
-  }
-
-  console.log(`   ✅ Personnel seeded: ${created} created, ${skipped} skipped\n`);
-}
-
 /**
  * Process a single transcript
  */
-async function processTranscript(transcript, index, total) {
+async function processTranscript(transcript, index, total, masterData) {
   console.log(`\n[${index + 1}/${total}] 📄 ${transcript.filename}`);
   console.log(`   📍 S3 Key: ${transcript.key}`);
 
@@ -250,7 +175,7 @@ async function processTranscript(transcript, index, total) {
 
     // Step 3: Normalize entities
     console.log('   🔄 Normalizing entities...');
-    const normalizedData = normalizeExtractedData(extractedData);
+    const normalizedData = normalizeExtractedData(extractedData, masterData);
     console.log(`   ✅ Normalized:`);
     console.log(`      • Reporter: ${normalizedData.reporter_canonical_name} (${normalizedData.reporter_personnel_id || 'NEW'})`);
     console.log(`      • Project: ${normalizedData.project_canonical_name} (${normalizedData.project_id || 'NEW'})`);
@@ -289,10 +214,9 @@ async function main() {
     // Create output directory
     await fs.mkdir(CONFIG.outputDir, { recursive: true });
 
-    // Seed master personnel first
-    if (!dryRun) {
-      await seedMasterPersonnel();
-    }
+    // Names are normalized against the personnel and projects tables
+    const masterData = await new MasterDataDirectory(dynamoClient).load();
+    console.log(`👥 Master data: ${masterData.personnel.length} personnel, ${masterData.projects.length} projects\n`);
 
     // List transcripts
     const transcripts = await listTranscripts();
@@ -316,7 +240,7 @@ async function main() {
     for (let i = 0; i < transcriptsToProcess.length; i++) {
       const transcript = transcriptsToProcess[i];
 
-      const result = await processTranscript(transcript, i, transcriptsToProcess.length);
+      const result = await processTranscript(transcript, i, transcriptsToProcess.length, masterData);
 
       if (result.success) {
         results.succeeded++;
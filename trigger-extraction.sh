@@ -16,16 +16,8 @@ echo "API Endpoint: $API_ENDPOINT"
 echo "Limit: $LIMIT transcripts"
 echo ""
 
-# Step 1: Seed master personnel
-echo "👥 Step 1: Seeding master personnel..."
-SEED_RESPONSE=$(curl -s -X POST "$API_ENDPOINT/extract/personnel/seed" \
-  -H "Content-Type: application/json")
-
-echo "$SEED_RESPONSE" | jq '.' 2>/dev/null || echo "$SEED_RESPONSE"
-echo ""
-
-# Step 2: Trigger batch extraction
-echo "🚀 Step 2: Triggering batch extraction (limit: $LIMIT)..."
+# Trigger batch extraction (names are matched against the live personnel and projects tables)
+echo "🚀 Triggering batch extraction (limit: $LIMIT)..."
 echo ""
 
 BATCH_RESPONSE=$(curl -s -X POST "$API_ENDPOINT/extract/batch" \